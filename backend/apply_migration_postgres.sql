@@ -0,0 +1,25 @@
+-- RPC function through which Clothinv upgrades the schema of its database.
+-- New databases get it from the Makefile; for an existing database run this file once with psql.
+--
+-- POST /rpc/apply_migration {"from_version": 10, "to_version": 11, "migration_sql": "..."}
+-- runs the script of one migration step, if the database is still at from_version,
+-- and records to_version in schema_version. PostgREST runs the call in one transaction,
+-- so the BEGIN and COMMIT of the migration file must be left out.
+
+CREATE OR REPLACE FUNCTION apply_migration(from_version INTEGER, to_version INTEGER, migration_sql TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    current_version INTEGER;
+BEGIN
+    SELECT version INTO current_version FROM schema_version LIMIT 1 FOR UPDATE;
+    IF current_version IS DISTINCT FROM from_version THEN
+        RAISE EXCEPTION 'The database is at version %, not %.', current_version, from_version;
+    END IF;
+    EXECUTE migration_sql;
+    UPDATE schema_version SET version = to_version;
+    RETURN to_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the owner of the database may change its schema, not the anonymous role
+REVOKE ALL ON FUNCTION apply_migration(INTEGER, INTEGER, TEXT) FROM PUBLIC;
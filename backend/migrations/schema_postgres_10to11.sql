@@ -0,0 +1,34 @@
+-- Migration from schema version 10 → 11
+
+BEGIN;
+
+-- 1) Create the append-only log of changes to items, locations, categories and owners
+CREATE TABLE IF NOT EXISTS history (
+    history_id SERIAL PRIMARY KEY,
+    entity_type TEXT NOT NULL, -- 'item', 'location', 'category' or 'owner'
+    entity_uuid UUID NOT NULL, -- UUID of the changed row, which survives exports and imports
+    action TEXT NOT NULL, -- 'add', 'update', 'delete', 'restore' or 'purge'
+    changes JSONB, -- Changed fields: { "field": { "from": ..., "to": ... } }
+    actor TEXT, -- Client name of the client that made the change, if it has one
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_entity ON history(entity_type, entity_uuid);
+
+-- 2) Keep history rows from being changed once written
+CREATE OR REPLACE FUNCTION reject_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+   RAISE EXCEPTION 'history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER history_no_update
+BEFORE UPDATE ON history
+FOR EACH ROW
+EXECUTE FUNCTION reject_history_update();
+
+-- 3) Record that we’re now at version 11
+UPDATE schema_version SET version = 11;
+
+COMMIT;
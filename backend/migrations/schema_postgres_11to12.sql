@@ -0,0 +1,30 @@
+-- Migration from schema version 11 → 12
+
+BEGIN;
+
+-- 1) Create the table of days on which an item was worn
+CREATE TABLE IF NOT EXISTS wear_events (
+    wear_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    item_uuid UUID NOT NULL, -- UUID of the worn item, which survives exports and imports
+    worn_on DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_wear_events_item ON wear_events(item_uuid, worn_on);
+
+-- 2) Add the wear count and last wear date to items as computed columns of PostgREST
+CREATE OR REPLACE FUNCTION wear_count(items) RETURNS BIGINT AS $$
+    SELECT COUNT(*) FROM wear_events WHERE wear_events.item_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION last_worn_on(items) RETURNS DATE AS $$
+    SELECT MAX(worn_on) FROM wear_events WHERE wear_events.item_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+-- 3) Record that we’re now at version 12
+UPDATE schema_version SET version = 12;
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Migration from schema version 12 → 13
+
+BEGIN;
+
+-- 1) Add the status of items, e.g. 'clean' or 'laundry'
+ALTER TABLE items
+  ADD COLUMN IF NOT EXISTS status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_items_status ON items(status);
+
+-- 2) Record that we’re now at version 13
+UPDATE schema_version SET version = 13;
+
+COMMIT;
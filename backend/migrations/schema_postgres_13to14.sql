@@ -0,0 +1,35 @@
+-- Migration from schema version 13 → 14
+
+BEGIN;
+
+-- 1) Create the table of loans of items to family and friends
+CREATE TABLE IF NOT EXISTS loans (
+    loan_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    item_uuid UUID NOT NULL, -- UUID of the lent item, which survives exports and imports
+    borrower_owner_uuid UUID, -- The borrower when they are one of the owners
+    borrower_name TEXT NOT NULL, -- Name of the borrower, kept even if their owner is deleted
+    lent_on DATE NOT NULL,
+    due_on DATE,
+    returned_on DATE,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (borrower_owner_uuid) REFERENCES owners(uuid) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_loans_item ON loans(item_uuid, lent_on);
+
+-- 2) Add the dates of the open loan to items as computed columns of PostgREST
+CREATE OR REPLACE FUNCTION lent_on(items) RETURNS DATE AS $$
+    SELECT MAX(lent_on) FROM loans WHERE loans.item_uuid = $1.uuid AND loans.returned_on IS NULL;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION loan_due_on(items) RETURNS DATE AS $$
+    SELECT MIN(due_on) FROM loans WHERE loans.item_uuid = $1.uuid AND loans.returned_on IS NULL;
+$$ LANGUAGE sql STABLE;
+
+-- 3) Record that we’re now at version 14
+UPDATE schema_version SET version = 14;
+
+COMMIT;
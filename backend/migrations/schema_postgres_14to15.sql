@@ -0,0 +1,71 @@
+-- Migration from schema version 14 → 15
+
+BEGIN;
+
+-- 1) Create the tables of outfits, their items, tags and wear events
+CREATE TABLE IF NOT EXISTS outfits (
+    outfit_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    description TEXT,
+    image_uuid UUID, -- Photo of the outfit, stored in images like those of items
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ, -- Trigger will handle updates
+    FOREIGN KEY (image_uuid) REFERENCES images(uuid) ON DELETE SET NULL
+);
+
+-- Trigger for outfits updated_at
+CREATE TRIGGER update_outfits_updated_at
+BEFORE UPDATE ON outfits
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Items of an outfit; both sides are referred to by UUID, which survives exports and imports
+CREATE TABLE IF NOT EXISTS outfit_items (
+    outfit_item_id SERIAL PRIMARY KEY,
+    outfit_uuid UUID NOT NULL,
+    item_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    UNIQUE (outfit_uuid, item_uuid),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_items_item ON outfit_items(item_uuid);
+
+-- Links between outfits and tags
+CREATE TABLE IF NOT EXISTS outfit_tags (
+    outfit_tag_id SERIAL PRIMARY KEY,
+    outfit_uuid UUID NOT NULL,
+    tag_id INTEGER NOT NULL,
+    UNIQUE (outfit_uuid, tag_id),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Days on which an outfit was worn
+CREATE TABLE IF NOT EXISTS outfit_wear_events (
+    outfit_wear_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    outfit_uuid UUID NOT NULL,
+    worn_on DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_wear_events_outfit ON outfit_wear_events(outfit_uuid, worn_on);
+
+-- 2) Add the wear counts of outfits as computed columns of PostgREST
+CREATE OR REPLACE FUNCTION wear_count(outfits) RETURNS BIGINT AS $$
+    SELECT COUNT(*) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION last_worn_on(outfits) RETURNS DATE AS $$
+    SELECT MAX(worn_on) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+-- 3) Record that we’re now at version 15
+UPDATE schema_version SET version = 15;
+
+COMMIT;
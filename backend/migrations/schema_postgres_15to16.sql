@@ -0,0 +1,42 @@
+-- Migration from schema version 15 → 16
+
+BEGIN;
+
+-- 1) Create the tables of packing lists and their items
+CREATE TABLE IF NOT EXISTS packing_lists (
+    packing_list_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    note TEXT,
+    starts_on DATE,
+    ends_on DATE,
+    is_template BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ -- Trigger will handle updates
+);
+
+-- Trigger for packing_lists updated_at
+CREATE TRIGGER update_packing_lists_updated_at
+BEFORE UPDATE ON packing_lists
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Items on a packing list, each checked off when packed and again when back from the trip
+CREATE TABLE IF NOT EXISTS packing_list_items (
+    packing_list_item_id SERIAL PRIMARY KEY,
+    packing_list_uuid UUID NOT NULL,
+    item_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    packed BOOLEAN NOT NULL DEFAULT FALSE,
+    returned BOOLEAN NOT NULL DEFAULT FALSE,
+    UNIQUE (packing_list_uuid, item_uuid),
+    FOREIGN KEY (packing_list_uuid) REFERENCES packing_lists(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_list_items_item ON packing_list_items(item_uuid);
+
+-- 2) Record that we’re now at version 16
+UPDATE schema_version SET version = 16;
+
+COMMIT;
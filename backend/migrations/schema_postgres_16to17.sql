@@ -0,0 +1,24 @@
+-- Migration from schema version 16 → 17
+
+BEGIN;
+
+-- 1) Record when a loan was last changed, e.g. returned, so that sync can tell which side changed it
+ALTER TABLE loans
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ; -- Trigger will handle updates
+
+-- Trigger for loans updated_at
+CREATE TRIGGER update_loans_updated_at
+BEFORE UPDATE ON loans
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- 2) Sort key of an item's name for order=name_key.asc: A-Z folded to lower case and compared by code point
+-- as bytes, like SQLite's NOCASE collation and the app do, whatever the collation of the database
+CREATE OR REPLACE FUNCTION name_key(items) RETURNS BYTEA AS $$
+    SELECT convert_to(translate($1.name, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'UTF8');
+$$ LANGUAGE sql STABLE;
+
+-- 3) Record that we’re now at version 17
+UPDATE schema_version SET version = 17;
+
+COMMIT;
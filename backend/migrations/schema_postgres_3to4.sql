@@ -0,0 +1,29 @@
+-- Migration from schema version 3 → 4
+
+BEGIN;
+
+-- 1) Create the join table for multiple images per item
+CREATE TABLE IF NOT EXISTS item_images (
+    item_image_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    image_id INTEGER NOT NULL,
+    image_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, image_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- 2) Every existing item image becomes that item's first and primary image
+INSERT INTO item_images (item_id, image_id, image_uuid, position, is_primary)
+  SELECT item_id, image_id, image_uuid, 0, TRUE
+  FROM items
+  WHERE image_id IS NOT NULL AND image_uuid IS NOT NULL
+ON CONFLICT (item_id, image_id) DO NOTHING;
+
+-- 3) Record that we’re now at version 4
+UPDATE schema_version SET version = 4;
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- Migration from schema version 4 → 5
+
+BEGIN;
+
+-- 1) Create the table for image variants (thumbnails are backfilled from the app)
+CREATE TABLE IF NOT EXISTS image_variants (
+    image_variant_id SERIAL PRIMARY KEY,
+    image_id INTEGER NOT NULL,
+    image_uuid UUID NOT NULL,
+    variant TEXT NOT NULL,
+    image_data TEXT NOT NULL,
+    image_mimetype TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (image_uuid, variant),
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- 2) Record that we’re now at version 5
+UPDATE schema_version SET version = 5;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Migration from schema version 5 → 6
+
+BEGIN;
+
+-- 1) Create the tags table
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ -- Trigger will handle updates
+);
+
+-- Trigger for tags updated_at (the function exists since the initial schema)
+CREATE TRIGGER update_tags_updated_at
+BEFORE UPDATE ON tags
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- 2) Create the join table between items and tags
+CREATE TABLE IF NOT EXISTS item_tags (
+    item_tag_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, tag_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- 3) Record that we’re now at version 6
+UPDATE schema_version SET version = 6;
+
+COMMIT;
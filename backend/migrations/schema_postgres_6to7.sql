@@ -0,0 +1,40 @@
+-- Migration from schema version 6 → 7
+
+BEGIN;
+
+-- 1) Create the custom field definitions of categories
+CREATE TABLE IF NOT EXISTS custom_fields (
+    field_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    category_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    field_type TEXT NOT NULL, -- 'text', 'number', 'enum', 'date' or 'boolean'
+    options TEXT, -- JSON array of the allowed values of an 'enum' field
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order within the category
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ, -- Trigger will handle updates
+    UNIQUE (category_id, name),
+    FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+);
+
+-- Trigger for custom_fields updated_at (the function exists since the initial schema)
+CREATE TRIGGER update_custom_fields_updated_at
+BEFORE UPDATE ON custom_fields
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- 2) Create the table of custom field values
+CREATE TABLE IF NOT EXISTS item_field_values (
+    item_field_value_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    field_id INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    UNIQUE (item_id, field_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES custom_fields(field_id) ON DELETE CASCADE
+);
+
+-- 3) Record that we’re now at version 7
+UPDATE schema_version SET version = 7;
+
+COMMIT;
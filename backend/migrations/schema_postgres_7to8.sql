@@ -0,0 +1,12 @@
+-- Migration from schema version 7 → 8
+
+BEGIN;
+
+-- 1) Add the parent reference that nests locations
+ALTER TABLE locations
+  ADD COLUMN IF NOT EXISTS parent_location_id INTEGER REFERENCES locations(location_id);
+
+-- 2) Record that we’re now at version 8
+UPDATE schema_version SET version = 8;
+
+COMMIT;
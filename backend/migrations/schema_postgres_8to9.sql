@@ -0,0 +1,12 @@
+-- Migration from schema version 8 → 9
+
+BEGIN;
+
+-- 1) Add the parent reference that nests categories
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS parent_category_id INTEGER REFERENCES categories(category_id);
+
+-- 2) Record that we’re now at version 9
+UPDATE schema_version SET version = 9;
+
+COMMIT;
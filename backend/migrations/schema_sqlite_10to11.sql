@@ -0,0 +1,28 @@
+-- Migration from schema version 10 → 11 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the append-only log of changes to items, locations, categories and owners
+CREATE TABLE IF NOT EXISTS history (
+    history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL, -- 'item', 'location', 'category' or 'owner'
+    entity_uuid TEXT NOT NULL, -- UUID of the changed row, which survives exports and imports
+    action TEXT NOT NULL, -- 'add', 'update', 'delete', 'restore' or 'purge'
+    changes TEXT, -- JSON object of the changed fields: { "field": { "from": ..., "to": ... } }
+    actor TEXT, -- Client name of the client that made the change, if it has one
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_entity ON history(entity_type, entity_uuid);
+
+-- 2) Keep history rows from being changed once written
+CREATE TRIGGER IF NOT EXISTS history_no_update
+BEFORE UPDATE ON history
+BEGIN
+    SELECT RAISE(ABORT, 'history is append-only');
+END;
+
+-- 3) Record that we’re now at version 11
+UPDATE schema_version SET version = 11;
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- Migration from schema version 11 → 12 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the table of days on which an item was worn
+CREATE TABLE IF NOT EXISTS wear_events (
+    wear_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    item_uuid TEXT NOT NULL, -- UUID of the worn item, which survives exports and imports
+    worn_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_wear_events_item ON wear_events(item_uuid, worn_on);
+
+-- 2) Record that we’re now at version 12
+UPDATE schema_version SET version = 12;
+
+COMMIT;
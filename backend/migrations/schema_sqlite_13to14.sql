@@ -0,0 +1,26 @@
+-- Migration from schema version 13 → 14 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the table of loans of items to family and friends
+CREATE TABLE IF NOT EXISTS loans (
+    loan_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    item_uuid TEXT NOT NULL, -- UUID of the lent item, which survives exports and imports
+    borrower_owner_uuid TEXT, -- The borrower when they are one of the owners
+    borrower_name TEXT NOT NULL, -- Name of the borrower, kept even if their owner is deleted
+    lent_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    due_on DATE, -- 'YYYY-MM-DD'
+    returned_on DATE, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (borrower_owner_uuid) REFERENCES owners(uuid) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_loans_item ON loans(item_uuid, lent_on);
+
+-- 2) Record that we’re now at version 14
+UPDATE schema_version SET version = 14;
+
+COMMIT;
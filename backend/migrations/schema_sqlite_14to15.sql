@@ -0,0 +1,56 @@
+-- Migration from schema version 14 → 15 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the tables of outfits, their items, tags and wear events
+CREATE TABLE IF NOT EXISTS outfits (
+    outfit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT NOT NULL,
+    description TEXT,
+    image_uuid TEXT, -- Photo of the outfit, stored in images like those of items
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    FOREIGN KEY (image_uuid) REFERENCES images(uuid) ON DELETE SET NULL
+);
+
+-- Items of an outfit; both sides are referred to by UUID, which survives exports and imports
+CREATE TABLE IF NOT EXISTS outfit_items (
+    outfit_item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outfit_uuid TEXT NOT NULL,
+    item_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    UNIQUE (outfit_uuid, item_uuid),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_items_item ON outfit_items(item_uuid);
+
+-- Links between outfits and tags
+CREATE TABLE IF NOT EXISTS outfit_tags (
+    outfit_tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outfit_uuid TEXT NOT NULL,
+    tag_id INTEGER NOT NULL,
+    UNIQUE (outfit_uuid, tag_id),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Days on which an outfit was worn
+CREATE TABLE IF NOT EXISTS outfit_wear_events (
+    outfit_wear_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    outfit_uuid TEXT NOT NULL,
+    worn_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_wear_events_outfit ON outfit_wear_events(outfit_uuid, worn_on);
+
+-- 2) Record that we’re now at version 15
+UPDATE schema_version SET version = 15;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Migration from schema version 15 → 16 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the tables of packing lists and their items
+CREATE TABLE IF NOT EXISTS packing_lists (
+    packing_list_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT NOT NULL,
+    note TEXT,
+    starts_on DATE, -- 'YYYY-MM-DD'
+    ends_on DATE, -- 'YYYY-MM-DD'
+    is_template INTEGER NOT NULL DEFAULT 0, -- 1 for a template
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+-- Items on a packing list, each checked off when packed and again when back from the trip
+CREATE TABLE IF NOT EXISTS packing_list_items (
+    packing_list_item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    packing_list_uuid TEXT NOT NULL,
+    item_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    packed INTEGER NOT NULL DEFAULT 0, -- 1 once packed
+    returned INTEGER NOT NULL DEFAULT 0, -- 1 once back from the trip
+    UNIQUE (packing_list_uuid, item_uuid),
+    FOREIGN KEY (packing_list_uuid) REFERENCES packing_lists(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_list_items_item ON packing_list_items(item_uuid);
+
+-- 2) Record that we’re now at version 16
+UPDATE schema_version SET version = 16;
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Migration from schema version 16 → 17 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Record when a loan was last changed, e.g. returned, so that sync can tell which side changed it
+ALTER TABLE loans
+  ADD COLUMN updated_at TIMESTAMP;
+
+-- 2) Record that we’re now at version 17
+UPDATE schema_version SET version = 17;
+
+COMMIT;
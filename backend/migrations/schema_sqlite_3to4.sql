@@ -0,0 +1,28 @@
+-- Migration from schema version 3 → 4 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the join table for multiple images per item
+CREATE TABLE IF NOT EXISTS item_images (
+    item_image_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    image_id INTEGER NOT NULL,
+    image_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, image_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- 2) Every existing item image becomes that item's first and primary image
+INSERT OR IGNORE INTO item_images (item_id, image_id, image_uuid, position, is_primary)
+  SELECT item_id, image_id, image_uuid, 0, 1
+  FROM items
+  WHERE image_id IS NOT NULL AND image_uuid IS NOT NULL;
+
+-- 3) Record that we’re now at version 4
+UPDATE schema_version SET version = 4;
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Migration from schema version 5 → 6 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Create the tags table
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+-- 2) Create the join table between items and tags
+CREATE TABLE IF NOT EXISTS item_tags (
+    item_tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, tag_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- 3) Record that we’re now at version 6
+UPDATE schema_version SET version = 6;
+
+COMMIT;
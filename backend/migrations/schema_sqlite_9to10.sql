@@ -0,0 +1,12 @@
+-- Migration from schema version 9 → 10 for SQLite
+
+BEGIN TRANSACTION;
+
+-- 1) Add the trash timestamp of items
+ALTER TABLE items
+  ADD COLUMN deleted_at TIMESTAMP;
+
+-- 2) Record that we’re now at version 10
+UPDATE schema_version SET version = 10;
+
+COMMIT;
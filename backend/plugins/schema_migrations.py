@@ -0,0 +1,70 @@
+"""
+Datasette plugin that lets Clothinv upgrade the schema of its database.
+
+POST /<database>/-/migrate with a JSON body
+    {"from_version": 10, "to_version": 11, "sql": "..."}
+runs the script of one migration step, if the database is still at from_version,
+and records to_version in schema_version. Only the root actor may call it, so the
+request must carry an API token created for root.
+"""
+import json
+import re
+
+from datasette import hookimpl
+from datasette.utils import add_cors_headers
+from datasette.utils.asgi import Response
+
+# The BEGIN and COMMIT of a migration file, which are there for running it by hand with sqlite3
+TRANSACTION_STATEMENT = re.compile(r"^\s*(BEGIN(\s+TRANSACTION)?|COMMIT)\s*;\s*$", re.IGNORECASE | re.MULTILINE)
+
+
+def _response(datasette, data, status=200):
+    response = Response.json(data, status=status)
+    if datasette.cors:
+        add_cors_headers(response.headers)
+    return response
+
+
+async def migrate(request, datasette):
+    if request.method == "OPTIONS":
+        return _response(datasette, {"ok": True})
+    if request.method != "POST":
+        return _response(datasette, {"ok": False, "error": "Use POST."}, status=405)
+    if not request.actor or request.actor.get("id") != "root":
+        return _response(datasette, {"ok": False, "error": "Only root may migrate the schema."}, status=403)
+
+    try:
+        body = json.loads(await request.post_body())
+        from_version = int(body["from_version"])
+        to_version = int(body["to_version"])
+        sql = body["sql"]
+    except (ValueError, KeyError, TypeError):
+        return _response(datasette, {"ok": False, "error": "Expected from_version, to_version and sql."}, status=400)
+
+    db = datasette.get_database(request.url_vars["database"])
+
+    def apply(conn):
+        current = conn.execute("SELECT version FROM schema_version LIMIT 1").fetchone()
+        if not current or current[0] != from_version:
+            raise ValueError(f"The database is at version {current[0] if current else None}, not {from_version}.")
+        # The step and its version run in one transaction of our own, so that a failing
+        # statement leaves nothing half-applied on the write connection Datasette shares
+        script = TRANSACTION_STATEMENT.sub("", sql)
+        try:
+            conn.executescript(f"BEGIN;\n{script}\nUPDATE schema_version SET version = {to_version};\nCOMMIT;")
+        except Exception:
+            if conn.in_transaction:
+                conn.rollback()
+            raise
+        return to_version
+
+    try:
+        version = await db.execute_write_fn(apply)
+    except Exception as e:
+        return _response(datasette, {"ok": False, "error": str(e)}, status=400)
+    return _response(datasette, {"ok": True, "version": version})
+
+
+@hookimpl
+def register_routes():
+    return [(r"^/(?P<database>[^/]+)/-/migrate$", migrate)]
@@ -15,6 +15,7 @@ CREATE TABLE IF NOT EXISTS locations (
     uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
     name TEXT NOT NULL,
     description TEXT,
+    parent_location_id INTEGER REFERENCES locations(location_id), -- Enclosing location, NULL for a top-level location
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ -- Trigger will handle updates
 );
@@ -31,6 +32,7 @@ CREATE TABLE IF NOT EXISTS categories (
     uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
     name TEXT NOT NULL,
     description TEXT,
+    parent_category_id INTEGER REFERENCES categories(category_id), -- Broader category, NULL for a top-level category
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ -- Trigger will handle updates
 );
@@ -80,6 +82,8 @@ CREATE TABLE IF NOT EXISTS items (
     image_uuid UUID, -- The UUID of the linked image
     owner_id INTEGER,
     price NUMERIC(10,2), -- nullable, two-decimal float
+    deleted_at TIMESTAMPTZ, -- Set when the item is moved to the trash, NULL otherwise
+    status TEXT, -- Key of a status configured in the app, e.g. 'clean' or 'laundry'; NULL when none is set
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ, -- Trigger will handle updates
     FOREIGN KEY (location_id) REFERENCES locations(location_id) ON DELETE SET NULL,
@@ -89,16 +93,288 @@ CREATE TABLE IF NOT EXISTS items (
     FOREIGN KEY (owner_id) REFERENCES owners(owner_id) ON DELETE SET NULL
 );
 
+CREATE INDEX IF NOT EXISTS idx_items_status ON items(status);
+
 -- Trigger for items updated_at
 CREATE TRIGGER update_items_updated_at
 BEFORE UPDATE ON items
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
 
+-- Ordered images of an item. items.image_id/image_uuid mirror the row marked as primary.
+CREATE TABLE IF NOT EXISTS item_images (
+    item_image_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    image_id INTEGER NOT NULL,
+    image_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, image_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- Smaller renditions of an image, e.g. the 'thumb' variant shown in the item grid
+CREATE TABLE IF NOT EXISTS image_variants (
+    image_variant_id SERIAL PRIMARY KEY,
+    image_id INTEGER NOT NULL,
+    image_uuid UUID NOT NULL, -- UUID of the full-size image
+    variant TEXT NOT NULL,
+    image_data TEXT NOT NULL, -- base64, like images.image_data
+    image_mimetype TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (image_uuid, variant),
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- Free-form labels such as "winter" or "needs repair"; items and tags are many-to-many
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ -- Trigger will handle updates
+);
+
+-- Trigger for tags updated_at
+CREATE TRIGGER update_tags_updated_at
+BEFORE UPDATE ON tags
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Links between items and tags
+CREATE TABLE IF NOT EXISTS item_tags (
+    item_tag_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, tag_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Typed extra fields that a category declares for its items, e.g. shoe size or brand
+CREATE TABLE IF NOT EXISTS custom_fields (
+    field_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    category_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    field_type TEXT NOT NULL, -- 'text', 'number', 'enum', 'date' or 'boolean'
+    options TEXT, -- JSON array of the allowed values of an 'enum' field
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order within the category
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ, -- Trigger will handle updates
+    UNIQUE (category_id, name),
+    FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+);
+
+-- Trigger for custom_fields updated_at
+CREATE TRIGGER update_custom_fields_updated_at
+BEFORE UPDATE ON custom_fields
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Values of custom fields, stored as text in the form the application writes them
+CREATE TABLE IF NOT EXISTS item_field_values (
+    item_field_value_id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL,
+    field_id INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    UNIQUE (item_id, field_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES custom_fields(field_id) ON DELETE CASCADE
+);
+
+-- Append-only log of changes to items, locations, categories and owners
+CREATE TABLE IF NOT EXISTS history (
+    history_id SERIAL PRIMARY KEY,
+    entity_type TEXT NOT NULL, -- 'item', 'location', 'category' or 'owner'
+    entity_uuid UUID NOT NULL, -- UUID of the changed row, which survives exports and imports
+    action TEXT NOT NULL, -- 'add', 'update', 'delete', 'restore' or 'purge'
+    changes JSONB, -- Changed fields: { "field": { "from": ..., "to": ... } }
+    actor TEXT, -- Client name of the client that made the change, if it has one
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_entity ON history(entity_type, entity_uuid);
+
+-- History rows are never changed once written
+CREATE OR REPLACE FUNCTION reject_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+   RAISE EXCEPTION 'history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER history_no_update
+BEFORE UPDATE ON history
+FOR EACH ROW
+EXECUTE FUNCTION reject_history_update();
+
+-- Days on which an item was worn, for wear counts and cost per wear
+CREATE TABLE IF NOT EXISTS wear_events (
+    wear_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    item_uuid UUID NOT NULL, -- UUID of the worn item, which survives exports and imports
+    worn_on DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_wear_events_item ON wear_events(item_uuid, worn_on);
+
+-- Computed columns of items, which PostgREST selects like ordinary ones (select=*,wear_count,last_worn_on)
+CREATE OR REPLACE FUNCTION wear_count(items) RETURNS BIGINT AS $$
+    SELECT COUNT(*) FROM wear_events WHERE wear_events.item_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION last_worn_on(items) RETURNS DATE AS $$
+    SELECT MAX(worn_on) FROM wear_events WHERE wear_events.item_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+-- Sort key of an item's name for order=name_key.asc: A-Z folded to lower case and compared by code point
+-- as bytes, like SQLite's NOCASE collation and the app do, whatever the collation of the database
+CREATE OR REPLACE FUNCTION name_key(items) RETURNS BYTEA AS $$
+    SELECT convert_to(translate($1.name, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), 'UTF8');
+$$ LANGUAGE sql STABLE;
+
+-- Loans of items to family and friends; an item is lent out until its loan has a returned_on date
+CREATE TABLE IF NOT EXISTS loans (
+    loan_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    item_uuid UUID NOT NULL, -- UUID of the lent item, which survives exports and imports
+    borrower_owner_uuid UUID, -- The borrower when they are one of the owners
+    borrower_name TEXT NOT NULL, -- Name of the borrower, kept even if their owner is deleted
+    lent_on DATE NOT NULL,
+    due_on DATE,
+    returned_on DATE,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ, -- Trigger will handle updates
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (borrower_owner_uuid) REFERENCES owners(uuid) ON DELETE SET NULL
+);
+
+-- Trigger for loans updated_at
+CREATE TRIGGER update_loans_updated_at
+BEFORE UPDATE ON loans
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_loans_item ON loans(item_uuid, lent_on);
+
+-- Computed columns of items for the loan that is still open (select=*,lent_on,loan_due_on)
+CREATE OR REPLACE FUNCTION lent_on(items) RETURNS DATE AS $$
+    SELECT MAX(lent_on) FROM loans WHERE loans.item_uuid = $1.uuid AND loans.returned_on IS NULL;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION loan_due_on(items) RETURNS DATE AS $$
+    SELECT MIN(due_on) FROM loans WHERE loans.item_uuid = $1.uuid AND loans.returned_on IS NULL;
+$$ LANGUAGE sql STABLE;
+
+-- Named combinations of items from different categories, with an optional photo of the whole outfit
+CREATE TABLE IF NOT EXISTS outfits (
+    outfit_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    description TEXT,
+    image_uuid UUID, -- Photo of the outfit, stored in images like those of items
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ, -- Trigger will handle updates
+    FOREIGN KEY (image_uuid) REFERENCES images(uuid) ON DELETE SET NULL
+);
+
+-- Trigger for outfits updated_at
+CREATE TRIGGER update_outfits_updated_at
+BEFORE UPDATE ON outfits
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Items of an outfit; both sides are referred to by UUID, which survives exports and imports
+CREATE TABLE IF NOT EXISTS outfit_items (
+    outfit_item_id SERIAL PRIMARY KEY,
+    outfit_uuid UUID NOT NULL,
+    item_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    UNIQUE (outfit_uuid, item_uuid),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_items_item ON outfit_items(item_uuid);
+
+-- Links between outfits and tags
+CREATE TABLE IF NOT EXISTS outfit_tags (
+    outfit_tag_id SERIAL PRIMARY KEY,
+    outfit_uuid UUID NOT NULL,
+    tag_id INTEGER NOT NULL,
+    UNIQUE (outfit_uuid, tag_id),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Days on which an outfit was worn
+CREATE TABLE IF NOT EXISTS outfit_wear_events (
+    outfit_wear_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    outfit_uuid UUID NOT NULL,
+    worn_on DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_wear_events_outfit ON outfit_wear_events(outfit_uuid, worn_on);
+
+-- Computed columns of outfits, like those of items (select=*,wear_count,last_worn_on)
+CREATE OR REPLACE FUNCTION wear_count(outfits) RETURNS BIGINT AS $$
+    SELECT COUNT(*) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION last_worn_on(outfits) RETURNS DATE AS $$
+    SELECT MAX(worn_on) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = $1.uuid;
+$$ LANGUAGE sql STABLE;
+
+-- Packing lists for trips; templates have no dates and are copied into new lists
+CREATE TABLE IF NOT EXISTS packing_lists (
+    packing_list_id SERIAL PRIMARY KEY,
+    uuid UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    note TEXT,
+    starts_on DATE,
+    ends_on DATE,
+    is_template BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ -- Trigger will handle updates
+);
+
+-- Trigger for packing_lists updated_at
+CREATE TRIGGER update_packing_lists_updated_at
+BEFORE UPDATE ON packing_lists
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Items on a packing list, each checked off when packed and again when back from the trip
+CREATE TABLE IF NOT EXISTS packing_list_items (
+    packing_list_item_id SERIAL PRIMARY KEY,
+    packing_list_uuid UUID NOT NULL,
+    item_uuid UUID NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    packed BOOLEAN NOT NULL DEFAULT FALSE,
+    returned BOOLEAN NOT NULL DEFAULT FALSE,
+    UNIQUE (packing_list_uuid, item_uuid),
+    FOREIGN KEY (packing_list_uuid) REFERENCES packing_lists(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_list_items_item ON packing_list_items(item_uuid);
+
 -- Schema versioning table
 CREATE TABLE IF NOT EXISTS schema_version (
     version INTEGER NOT NULL
 );
 INSERT INTO schema_version(version)
-  SELECT 3
+  SELECT 17
   WHERE NOT EXISTS (SELECT 1 FROM schema_version);
@@ -8,8 +8,10 @@ CREATE TABLE IF NOT EXISTS locations (
     uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
     name TEXT NOT NULL,
     description TEXT,
+    parent_location_id INTEGER, -- Enclosing location, NULL for a top-level location
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP
+    updated_at TIMESTAMP,
+    FOREIGN KEY (parent_location_id) REFERENCES locations(location_id)
 );
 
 -- Table for item categories
@@ -18,8 +20,10 @@ CREATE TABLE IF NOT EXISTS categories (
     uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
     name TEXT NOT NULL,
     description TEXT,
+    parent_category_id INTEGER, -- Broader category, NULL for a top-level category
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP
+    updated_at TIMESTAMP,
+    FOREIGN KEY (parent_category_id) REFERENCES categories(category_id)
 );
 
 -- Table for storing image data
@@ -55,6 +59,8 @@ CREATE TABLE IF NOT EXISTS items (
     image_uuid TEXT, -- Added column to store the UUID of the linked image
     owner_id INTEGER,
     price REAL, -- nullable, two-decimal float
+    deleted_at TIMESTAMP, -- Set when the item is moved to the trash, NULL otherwise
+    status TEXT, -- Key of a status configured in the app, e.g. 'clean' or 'laundry'; NULL when none is set
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP,
     FOREIGN KEY (location_id) REFERENCES locations(location_id) ON DELETE SET NULL,
@@ -64,8 +70,211 @@ CREATE TABLE IF NOT EXISTS items (
     FOREIGN KEY (owner_id) REFERENCES owners(owner_id) ON DELETE SET NULL
 );
 
+CREATE INDEX IF NOT EXISTS idx_items_status ON items(status);
+
+-- Ordered images of an item. items.image_id/image_uuid mirror the row marked as primary.
+CREATE TABLE IF NOT EXISTS item_images (
+    item_image_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    image_id INTEGER NOT NULL,
+    image_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    is_primary INTEGER NOT NULL DEFAULT 0, -- 1 for the item's primary image
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, image_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- Smaller renditions of an image, e.g. the 'thumb' variant shown in the item grid
+CREATE TABLE IF NOT EXISTS image_variants (
+    image_variant_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER NOT NULL,
+    image_uuid TEXT NOT NULL, -- UUID of the full-size image
+    variant TEXT NOT NULL,
+    image_data BLOB NOT NULL,
+    image_mimetype TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (image_uuid, variant),
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE
+);
+
+-- Free-form labels such as "winter" or "needs repair"; items and tags are many-to-many
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+-- Links between items and tags
+CREATE TABLE IF NOT EXISTS item_tags (
+    item_tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, tag_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Typed extra fields that a category declares for its items, e.g. shoe size or brand
+CREATE TABLE IF NOT EXISTS custom_fields (
+    field_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    category_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    field_type TEXT NOT NULL, -- 'text', 'number', 'enum', 'date' or 'boolean'
+    options TEXT, -- JSON array of the allowed values of an 'enum' field
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order within the category
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    UNIQUE (category_id, name),
+    FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+);
+
+-- Values of custom fields, stored as text in the form the application writes them
+CREATE TABLE IF NOT EXISTS item_field_values (
+    item_field_value_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    field_id INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    UNIQUE (item_id, field_id),
+    FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES custom_fields(field_id) ON DELETE CASCADE
+);
+
+-- Append-only log of changes to items, locations, categories and owners
+CREATE TABLE IF NOT EXISTS history (
+    history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL, -- 'item', 'location', 'category' or 'owner'
+    entity_uuid TEXT NOT NULL, -- UUID of the changed row, which survives exports and imports
+    action TEXT NOT NULL, -- 'add', 'update', 'delete', 'restore' or 'purge'
+    changes TEXT, -- JSON object of the changed fields: { "field": { "from": ..., "to": ... } }
+    actor TEXT, -- Client name of the client that made the change, if it has one
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_entity ON history(entity_type, entity_uuid);
+
+-- History rows are never changed once written
+CREATE TRIGGER IF NOT EXISTS history_no_update
+BEFORE UPDATE ON history
+BEGIN
+    SELECT RAISE(ABORT, 'history is append-only');
+END;
+
+-- Days on which an item was worn, for wear counts and cost per wear
+CREATE TABLE IF NOT EXISTS wear_events (
+    wear_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    item_uuid TEXT NOT NULL, -- UUID of the worn item, which survives exports and imports
+    worn_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_wear_events_item ON wear_events(item_uuid, worn_on);
+
+-- Loans of items to family and friends; an item is lent out until its loan has a returned_on date
+CREATE TABLE IF NOT EXISTS loans (
+    loan_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    item_uuid TEXT NOT NULL, -- UUID of the lent item, which survives exports and imports
+    borrower_owner_uuid TEXT, -- The borrower when they are one of the owners
+    borrower_name TEXT NOT NULL, -- Name of the borrower, kept even if their owner is deleted
+    lent_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    due_on DATE, -- 'YYYY-MM-DD'
+    returned_on DATE, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (borrower_owner_uuid) REFERENCES owners(uuid) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_loans_item ON loans(item_uuid, lent_on);
+
+-- Named combinations of items from different categories, with an optional photo of the whole outfit
+CREATE TABLE IF NOT EXISTS outfits (
+    outfit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT NOT NULL,
+    description TEXT,
+    image_uuid TEXT, -- Photo of the outfit, stored in images like those of items
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    FOREIGN KEY (image_uuid) REFERENCES images(uuid) ON DELETE SET NULL
+);
+
+-- Items of an outfit; both sides are referred to by UUID, which survives exports and imports
+CREATE TABLE IF NOT EXISTS outfit_items (
+    outfit_item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outfit_uuid TEXT NOT NULL,
+    item_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    UNIQUE (outfit_uuid, item_uuid),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_items_item ON outfit_items(item_uuid);
+
+-- Links between outfits and tags
+CREATE TABLE IF NOT EXISTS outfit_tags (
+    outfit_tag_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    outfit_uuid TEXT NOT NULL,
+    tag_id INTEGER NOT NULL,
+    UNIQUE (outfit_uuid, tag_id),
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE
+);
+
+-- Days on which an outfit was worn
+CREATE TABLE IF NOT EXISTS outfit_wear_events (
+    outfit_wear_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    outfit_uuid TEXT NOT NULL,
+    worn_on DATE NOT NULL, -- 'YYYY-MM-DD'
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (outfit_uuid) REFERENCES outfits(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outfit_wear_events_outfit ON outfit_wear_events(outfit_uuid, worn_on);
+
+-- Packing lists for trips; templates have no dates and are copied into new lists
+CREATE TABLE IF NOT EXISTS packing_lists (
+    packing_list_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- UUID provided by application or import
+    name TEXT NOT NULL,
+    note TEXT,
+    starts_on DATE, -- 'YYYY-MM-DD'
+    ends_on DATE, -- 'YYYY-MM-DD'
+    is_template INTEGER NOT NULL DEFAULT 0, -- 1 for a template
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+-- Items on a packing list, each checked off when packed and again when back from the trip
+CREATE TABLE IF NOT EXISTS packing_list_items (
+    packing_list_item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    packing_list_uuid TEXT NOT NULL,
+    item_uuid TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- 0-based display order
+    packed INTEGER NOT NULL DEFAULT 0, -- 1 once packed
+    returned INTEGER NOT NULL DEFAULT 0, -- 1 once back from the trip
+    UNIQUE (packing_list_uuid, item_uuid),
+    FOREIGN KEY (packing_list_uuid) REFERENCES packing_lists(uuid) ON DELETE CASCADE,
+    FOREIGN KEY (item_uuid) REFERENCES items(uuid) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_list_items_item ON packing_list_items(item_uuid);
+
 -- Schema versioning table
 CREATE TABLE IF NOT EXISTS schema_version (
     version INTEGER NOT NULL
 );
-INSERT OR IGNORE INTO schema_version(version) VALUES(3);
+INSERT OR IGNORE INTO schema_version(version) VALUES(17);
@@ -13,10 +13,16 @@ import ItemsView from "./components/ItemsView";
 import LocationsView from "./components/LocationsView";
 import CategoriesView from "./components/CategoriesView";
 import OwnersView from "./components/OwnersView";
+import TrashView from "./components/TrashView";
+import StatusBasketView from "./components/StatusBasketView";
+import LoansView from "./components/LoansView";
+import OutfitsView from "./components/OutfitsView";
+import PackingListsView from "./components/PackingListsView";
 import SettingsView from "./components/SettingsView";
 import ConfigureFromUrlView from "./components/ConfigureFromUrlView";
 import ShareConfigurationLinkView from "./components/ShareConfigurationLinkView";
 import MigrateView from "./components/MigrateView";
+import UndoSnackbar from "./components/UndoSnackbar";
 import "./App.css";
 
 function App() {
@@ -104,6 +110,42 @@ function App() {
             >
               {intl.formatMessage({ id: "nav.items", defaultMessage: "Items" })}
             </NavLink>
+            <NavLink
+              to="/outfits"
+              className={({ isActive }) => (isActive ? "active" : "")}
+            >
+              {intl.formatMessage({
+                id: "nav.outfits",
+                defaultMessage: "Outfits",
+              })}
+            </NavLink>
+            <NavLink
+              to="/packing-lists"
+              className={({ isActive }) => (isActive ? "active" : "")}
+            >
+              {intl.formatMessage({
+                id: "nav.packingLists",
+                defaultMessage: "Packing Lists",
+              })}
+            </NavLink>
+            <NavLink
+              to="/basket"
+              className={({ isActive }) => (isActive ? "active" : "")}
+            >
+              {intl.formatMessage({
+                id: "nav.basket",
+                defaultMessage: "Basket",
+              })}
+            </NavLink>
+            <NavLink
+              to="/loans"
+              className={({ isActive }) => (isActive ? "active" : "")}
+            >
+              {intl.formatMessage({
+                id: "nav.loans",
+                defaultMessage: "Lent Out",
+              })}
+            </NavLink>
             <NavLink
               to="/locations"
               className={({ isActive }) => (isActive ? "active" : "")}
@@ -131,6 +173,15 @@ function App() {
                 defaultMessage: "Owners",
               })}
             </NavLink>
+            <NavLink
+              to="/trash"
+              className={({ isActive }) => (isActive ? "active" : "")}
+            >
+              {intl.formatMessage({
+                id: "nav.trash",
+                defaultMessage: "Trash",
+              })}
+            </NavLink>
             <NavLink
               to="/settings"
               className={({ isActive }) => (isActive ? "active" : "")}
@@ -165,6 +216,46 @@ function App() {
                   defaultMessage: "Items",
                 })}
               </NavLink>
+              <NavLink
+                to="/outfits"
+                className={({ isActive }) => (isActive ? "active" : "")}
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {intl.formatMessage({
+                  id: "nav.outfits",
+                  defaultMessage: "Outfits",
+                })}
+              </NavLink>
+              <NavLink
+                to="/packing-lists"
+                className={({ isActive }) => (isActive ? "active" : "")}
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {intl.formatMessage({
+                  id: "nav.packingLists",
+                  defaultMessage: "Packing Lists",
+                })}
+              </NavLink>
+              <NavLink
+                to="/basket"
+                className={({ isActive }) => (isActive ? "active" : "")}
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {intl.formatMessage({
+                  id: "nav.basket",
+                  defaultMessage: "Basket",
+                })}
+              </NavLink>
+              <NavLink
+                to="/loans"
+                className={({ isActive }) => (isActive ? "active" : "")}
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {intl.formatMessage({
+                  id: "nav.loans",
+                  defaultMessage: "Lent Out",
+                })}
+              </NavLink>
               <NavLink
                 to="/locations"
                 className={({ isActive }) => (isActive ? "active" : "")}
@@ -195,6 +286,16 @@ function App() {
                   defaultMessage: "Owners",
                 })}
               </NavLink>
+              <NavLink
+                to="/trash"
+                className={({ isActive }) => (isActive ? "active" : "")}
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                {intl.formatMessage({
+                  id: "nav.trash",
+                  defaultMessage: "Trash",
+                })}
+              </NavLink>
               <NavLink
                 to="/settings"
                 className={({ isActive }) => (isActive ? "active" : "")}
@@ -212,9 +313,14 @@ function App() {
           <Routes>
             <Route path="/" element={<Navigate to="/items" replace />} />
             <Route path="/items" element={<ItemsView />} />
+            <Route path="/basket" element={<StatusBasketView />} />
+            <Route path="/loans" element={<LoansView />} />
+            <Route path="/outfits" element={<OutfitsView />} />
+            <Route path="/packing-lists" element={<PackingListsView />} />
             <Route path="/locations" element={<LocationsView />} />
             <Route path="/categories" element={<CategoriesView />} />
             <Route path="/owners" element={<OwnersView />} />
+            <Route path="/trash" element={<TrashView />} />
             <Route path="/settings" element={<SettingsView />} />
             <Route path="/configure" element={<ConfigureFromUrlView />} />
             <Route
@@ -256,6 +362,7 @@ function App() {
             )}
           </div>
         </main>
+        <UndoSnackbar />
       </div>
     </BrowserRouter>
   );
@@ -6,18 +6,14 @@ import React, {
   useCallback,
 } from "react";
 import { useSettings } from "../settings/SettingsContext";
-import {
-  providers,
-  getProviderById,
-  REQUIRED_API_METHODS,
-} from "./providerRegistry";
+import { getProviderById, bindProvider } from "./providerRegistry";
 import { FORMAT_VERSION } from "./exportFormat";
 
 const ApiContext = createContext();
 
 export const useApi = () => useContext(ApiContext);
 
-const checkConfiguration = (providerType, settings) => {
+export const checkConfiguration = (providerType, settings) => {
   const provider = getProviderById(providerType);
   if (!provider || providerType === "none") {
     return false;
@@ -38,7 +34,8 @@ const checkConfiguration = (providerType, settings) => {
 
 export const ApiProvider = ({ children }) => {
   const { settings } = useSettings();
-  const { apiProviderType, apiSettings } = settings;
+  const { apiProviderType, apiSettings, clientName, trashRetentionDays } =
+    settings;
 
   const isConfigured = checkConfiguration(apiProviderType, apiSettings);
 
@@ -53,45 +50,59 @@ export const ApiProvider = ({ children }) => {
   const writeAllowed = !isVersionMismatch;
 
   const bindApiMethods = useCallback(
-    (providerType, currentApiSettings, configured) => {
-      const newApiMethods = {};
-      const provider = getProviderById(providerType);
-
-      if (provider && provider.module && configured) {
-        REQUIRED_API_METHODS.forEach((methodName) => {
-          const methodImpl = provider.module[methodName];
-          if (typeof methodImpl === "function") {
-            const providerSpecificSettingsForMethod =
-              currentApiSettings?.[providerType] || {};
-            newApiMethods[methodName] = (...args) =>
-              methodImpl(providerSpecificSettingsForMethod, ...args);
-          } else {
-            console.warn(
-              `Method '${methodName}' not found or not a function in provider module for '${providerType}'.`,
-            );
-          }
-        });
-      }
-      setApiMethods(newApiMethods);
+    (providerType, currentApiSettings, configured, currentClientName) => {
+      setApiMethods(
+        configured
+          ? bindProvider(
+              providerType,
+              currentApiSettings?.[providerType],
+              currentClientName,
+            )
+          : {},
+      );
     },
     [],
   );
 
   useEffect(() => {
-    bindApiMethods(apiProviderType, apiSettings, isConfigured);
-  }, [apiProviderType, apiSettings, isConfigured, bindApiMethods]);
+    bindApiMethods(apiProviderType, apiSettings, isConfigured, clientName);
+  }, [apiProviderType, apiSettings, isConfigured, clientName, bindApiMethods]);
 
-  useEffect(() => {
+  const refreshDbVersion = useCallback(() => {
     if (apiMethods.getDbVersion) {
-      apiMethods
+      return apiMethods
         .getDbVersion()
         .then((v) => setDbVersion(v))
         .catch(() => setDbVersion(1));
-    } else {
-      setDbVersion(1);
     }
+    setDbVersion(1);
+    return Promise.resolve();
   }, [apiMethods.getDbVersion]);
 
+  useEffect(() => {
+    refreshDbVersion();
+  }, [refreshDbVersion]);
+
+  // Purge items that have been in the trash longer than the retention period,
+  // once the database is known to match the app
+  useEffect(() => {
+    if (!apiMethods.purgeTrash || dbVersion === null || !writeAllowed) return;
+    if (!(trashRetentionDays > 0)) return;
+    const cutoff = new Date(
+      Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000,
+    );
+    apiMethods
+      .purgeTrash({ deleted_before: cutoff.toISOString() })
+      .then((result) => {
+        if (result?.purgedCount > 0) {
+          console.log(
+            `Purged ${result.purgedCount} item(s) from the trash after ${trashRetentionDays} days.`,
+          );
+        }
+      })
+      .catch((err) => console.error("Failed to purge the trash:", err));
+  }, [apiMethods.purgeTrash, dbVersion, writeAllowed, trashRetentionDays]);
+
   const value = {
     apiProviderType: apiProviderType,
     apiSettings: apiSettings,
@@ -102,6 +113,7 @@ export const ApiProvider = ({ children }) => {
     isAppBehind,
     isVersionMismatch,
     writeAllowed,
+    refreshDbVersion, // Re-reads the version, e.g. after a schema migration
     ...apiMethods,
   };
 
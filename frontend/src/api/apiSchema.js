@@ -14,6 +14,7 @@
  * @property {UUID} uuid
  * @property {string} name
  * @property {string | null} description
+ * @property {ProviderID | null} parent_location_id - The location this one is inside of, null for a top-level location.
  * @property {Timestamp} created_at
  * @property {Timestamp} updated_at
  */
@@ -24,6 +25,7 @@
  * @property {UUID} uuid
  * @property {string} name
  * @property {string | null} description
+ * @property {ProviderID | null} parent_category_id - The broader category this one belongs to, null for a top-level category.
  * @property {Timestamp} created_at
  * @property {Timestamp} updated_at
  */
@@ -50,10 +52,146 @@
  * @property {ProviderID | null} image_id - Provider-specific ID for the image record.
  * @property {UUID | null} image_uuid - UUID for the image content.
  * @property {number|null} price
+ * @property {ProviderID[]} tag_ids - IDs of the item's tags, in no particular order.
+ * @property {Object<string, string>} field_values - Custom field values keyed by field_id, in their stored text form.
+ * @property {Timestamp | null} deleted_at - When the item was moved to the trash, null for items that are not in it.
+ * @property {string | null} status - Key of the item's status, e.g. 'clean' or 'laundry'; null when none is set.
+ * @property {number} wear_count - Number of wear events of the item; read-only.
+ * @property {string | null} last_worn_on - Date of the latest wear event ('YYYY-MM-DD'), null if never worn; read-only.
+ * @property {string | null} lent_on - When the item was lent out ('YYYY-MM-DD'), null unless it has an open loan; read-only.
+ * @property {string | null} loan_due_on - Due date of the open loan ('YYYY-MM-DD'), null when there is none; read-only.
  * @property {Timestamp} created_at
  * @property {Timestamp} updated_at
  */
 
+/**
+ * @typedef {object} Tag
+ * @property {ProviderID} tag_id
+ * @property {UUID} uuid
+ * @property {string} name - Unique among tags.
+ * @property {Timestamp} created_at
+ * @property {Timestamp} updated_at
+ */
+
+/**
+ * A typed extra field that a category declares for its items, e.g. "Size" or "Brand".
+ * @typedef {object} CustomField
+ * @property {ProviderID} field_id
+ * @property {UUID} uuid
+ * @property {ProviderID} category_id
+ * @property {string} name - Unique within the category.
+ * @property {'text' | 'number' | 'enum' | 'date' | 'boolean'} field_type
+ * @property {string[] | null} options - Allowed values of an 'enum' field, null for other types.
+ * @property {number} position - 0-based display order within the category.
+ * @property {Timestamp} created_at
+ * @property {Timestamp} updated_at
+ */
+
+/**
+ * One of an item's images. The primary image is also mirrored into the item's image_id/image_uuid.
+ * @typedef {object} ItemImage
+ * @property {ProviderID} item_id
+ * @property {UUID} image_uuid
+ * @property {number} position - 0-based display order.
+ * @property {boolean} is_primary
+ * @property {Timestamp=} created_at
+ * @property {string=} image_mimetype - Stored with the image by the IndexedDB provider.
+ * @property {string=} image_filename - Original filename, likewise.
+ * @property {number=} image_size - In bytes, likewise.
+ */
+
+/** @typedef {'add' | 'update' | 'delete' | 'restore' | 'purge'} HistoryAction - 'delete' moves an item to the trash, 'purge' deletes it for good. */
+/** @typedef {{ from: *, to: * }} HistoryChange - Values before and after the change, null when empty. */
+
+/**
+ * One row of the append-only change history.
+ * @typedef {object} HistoryEntry
+ * @property {ProviderID} history_id
+ * @property {'item' | 'location' | 'category' | 'owner'} entity_type
+ * @property {UUID} entity_uuid - The entity keeps its UUID through exports and imports, unlike its ID.
+ * @property {HistoryAction} action
+ * @property {Object<string, HistoryChange>} changes - Changed fields; a new entity lists its initial values, a deleted one its last values.
+ * @property {string | null} actor - Client name set in the settings of the client that made the change.
+ * @property {Timestamp} created_at
+ */
+
+/**
+ * A day on which an item was worn.
+ * @typedef {object} WearEvent
+ * @property {ProviderID} wear_id
+ * @property {UUID} uuid
+ * @property {UUID} item_uuid - The item keeps its UUID through exports and imports, unlike its ID.
+ * @property {string} worn_on - 'YYYY-MM-DD'
+ * @property {string | null} note
+ * @property {Timestamp} created_at
+ */
+
+/**
+ * An item lent to someone. The item counts as lent out until returned_on is set.
+ * @typedef {object} Loan
+ * @property {ProviderID} loan_id
+ * @property {UUID} uuid
+ * @property {UUID} item_uuid - The item keeps its UUID through exports and imports, unlike its ID.
+ * @property {UUID | null} borrower_owner_uuid - Set when the borrower is one of the owners.
+ * @property {string} borrower_name - Name of the borrower; for an owner, their name when the item was lent.
+ * @property {string} lent_on - 'YYYY-MM-DD'
+ * @property {string | null} due_on - 'YYYY-MM-DD'
+ * @property {string | null} returned_on - 'YYYY-MM-DD', null while the item is lent out.
+ * @property {string | null} note
+ * @property {Timestamp} created_at
+ * @property {Timestamp | null} updated_at - Set by updateLoan, e.g. when the item is returned.
+ */
+
+/**
+ * A named combination of items, e.g. for work or for hiking.
+ * @typedef {object} Outfit
+ * @property {ProviderID} outfit_id
+ * @property {UUID} uuid
+ * @property {string} name
+ * @property {string | null} description
+ * @property {UUID | null} image_uuid - Optional photo of the whole outfit; read it with getImage.
+ * @property {UUID[]} item_uuids - The items of the outfit, in display order.
+ * @property {ProviderID[]} tag_ids - The same tags as items have.
+ * @property {number} wear_count - Number of the outfit's wear events.
+ * @property {string | null} last_worn_on - 'YYYY-MM-DD' of the latest one.
+ * @property {Timestamp} created_at
+ * @property {Timestamp | null} updated_at
+ */
+
+/**
+ * A day on which an outfit was worn.
+ * @typedef {object} OutfitWearEvent
+ * @property {ProviderID} outfit_wear_id
+ * @property {UUID} uuid
+ * @property {UUID} outfit_uuid
+ * @property {string} worn_on - 'YYYY-MM-DD'
+ * @property {string | null} note
+ * @property {Timestamp} created_at
+ */
+
+/**
+ * An item on a packing list.
+ * @typedef {object} PackingListEntry
+ * @property {UUID} item_uuid
+ * @property {boolean} packed
+ * @property {boolean} returned - Back from the trip.
+ */
+
+/**
+ * The clothes to take on a trip, or a template to start such lists from.
+ * @typedef {object} PackingList
+ * @property {ProviderID} packing_list_id
+ * @property {UUID} uuid
+ * @property {string} name
+ * @property {string | null} note
+ * @property {string | null} starts_on - 'YYYY-MM-DD'; null for templates.
+ * @property {string | null} ends_on - 'YYYY-MM-DD'; null for templates.
+ * @property {boolean} is_template
+ * @property {PackingListEntry[]} entries - In display order.
+ * @property {Timestamp} created_at
+ * @property {Timestamp | null} updated_at
+ */
+
 // --- API Method Schemas ---
 
 // --- Location Methods ---
@@ -61,19 +199,29 @@ export const ListLocationsInputSchema = undefined; // No app-specific input beyo
 /** @typedef {Location[]} ListLocationsOutput */
 export const ListLocationsOutputSchema = Array; // Array of Location
 
-/** @typedef {{ name: string, description?: string | null, uuid?: UUID }} AddLocationInputData */
+/** @typedef {{ name: string, description?: string | null, parent_location_id?: ProviderID | null, uuid?: UUID }} AddLocationInputData */
 export const AddLocationInputSchema = Object;
 /** @typedef {{ success: boolean, newId: ProviderID, uuid: UUID, message?: string }} AddLocationOutput */
 export const AddLocationOutputSchema = Object;
 
-/** @typedef {{ location_id: ProviderID, name: string, description?: string | null }} UpdateLocationInputData */
+/**
+ * Fields left out are unchanged, so `{ location_id, parent_location_id }` alone moves a location.
+ * @typedef {{ location_id: ProviderID, name?: string, description?: string | null, parent_location_id?: ProviderID | null }} UpdateLocationInputData
+ */
 export const UpdateLocationInputSchema = Object;
-/** @typedef {{ success: boolean, message?: string }} UpdateLocationOutput */
+/**
+ * errorCode 'INVALID_PARENT' means the new parent is the location itself or one of its descendants.
+ * @typedef {{ success: boolean, message?: string, errorCode?: string }} UpdateLocationOutput
+ */
 export const UpdateLocationOutputSchema = Object;
 
 /** @typedef {{ location_id: ProviderID }} DeleteLocationInputData */
 export const DeleteLocationInputSchema = Object;
-/** @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteLocationOutput */
+/**
+ * errorCode 'ENTITY_IN_USE' means items are stored in the location, 'ENTITY_IN_TRASH' that only items in the trash are,
+ * 'ENTITY_HAS_CHILDREN' that other locations are inside it.
+ * @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteLocationOutput
+ */
 export const DeleteLocationOutputSchema = Object;
 
 // --- Category Methods ---
@@ -81,19 +229,29 @@ export const ListCategoriesInputSchema = undefined;
 /** @typedef {Category[]} ListCategoriesOutput */
 export const ListCategoriesOutputSchema = Array; // Array of Category
 
-/** @typedef {{ name: string, description?: string | null, uuid?: UUID }} AddCategoryInputData */
+/** @typedef {{ name: string, description?: string | null, parent_category_id?: ProviderID | null, uuid?: UUID }} AddCategoryInputData */
 export const AddCategoryInputSchema = Object;
 /** @typedef {{ success: boolean, newId: ProviderID, uuid: UUID, message?: string }} AddCategoryOutput */
 export const AddCategoryOutputSchema = Object;
 
-/** @typedef {{ category_id: ProviderID, name: string, description?: string | null }} UpdateCategoryInputData */
+/**
+ * Fields left out are unchanged, as with locations.
+ * @typedef {{ category_id: ProviderID, name?: string, description?: string | null, parent_category_id?: ProviderID | null }} UpdateCategoryInputData
+ */
 export const UpdateCategoryInputSchema = Object;
-/** @typedef {{ success: boolean, message?: string }} UpdateCategoryOutput */
+/**
+ * errorCode 'INVALID_PARENT' means the new parent is the category itself or one of its subcategories.
+ * @typedef {{ success: boolean, message?: string, errorCode?: string }} UpdateCategoryOutput
+ */
 export const UpdateCategoryOutputSchema = Object;
 
 /** @typedef {{ category_id: ProviderID }} DeleteCategoryInputData */
 export const DeleteCategoryInputSchema = Object;
-/** @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteCategoryOutput */
+/**
+ * errorCode 'ENTITY_IN_USE' means items belong to the category, 'ENTITY_IN_TRASH' that only items in the trash do,
+ * 'ENTITY_HAS_CHILDREN' that it has subcategories.
+ * @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteCategoryOutput
+ */
 export const DeleteCategoryOutputSchema = Object;
 
 // --- Owner Methods ---
@@ -113,13 +271,87 @@ export const UpdateOwnerOutputSchema = Object;
 
 /** @typedef {{ owner_id: ProviderID }} DeleteOwnerInputData */
 export const DeleteOwnerInputSchema = Object;
-/** @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteOwnerOutput */
+/**
+ * errorCode 'ENTITY_IN_USE' means items belong to the owner, 'ENTITY_IN_TRASH' that only items in the trash do.
+ * @typedef {{ success: boolean, message?: string, errorCode?: string }} DeleteOwnerOutput
+ */
 export const DeleteOwnerOutputSchema = Object;
 
+// --- Tag Methods ---
+export const ListTagsInputSchema = undefined;
+/** @typedef {Tag[]} ListTagsOutput */
+export const ListTagsOutputSchema = Array; // Array of Tag
+
+/**
+ * Creates a tag. Names are trimmed; adding a name that already exists returns the existing tag.
+ * @typedef {{ name: string, uuid?: UUID }} AddTagInputData
+ */
+export const AddTagInputSchema = Object;
+/** @typedef {{ success: boolean, newId: ProviderID, uuid: UUID, message?: string }} AddTagOutput */
+export const AddTagOutputSchema = Object;
+
+// --- Custom Field Methods ---
+export const ListCustomFieldsInputSchema = undefined;
+/** @typedef {CustomField[]} ListCustomFieldsOutput */ // Sorted by category_id, then position
+export const ListCustomFieldsOutputSchema = Array; // Array of CustomField
+
+/**
+ * @typedef {object} AddCustomFieldInputData
+ * @property {ProviderID} category_id
+ * @property {string} name
+ * @property {'text' | 'number' | 'enum' | 'date' | 'boolean'} field_type
+ * @property {string[]=} options - Required for 'enum' fields.
+ * @property {number=} position - Defaults to after the category's last field.
+ * @property {UUID=} uuid
+ */
+export const AddCustomFieldInputSchema = Object;
+/** @typedef {{ success: boolean, newId: ProviderID, uuid: UUID, message?: string }} AddCustomFieldOutput */
+export const AddCustomFieldOutputSchema = Object;
+
+/**
+ * Renames a field or changes its options or position. The category and type of a field are fixed.
+ * @typedef {{ field_id: ProviderID, name: string, options?: string[] | null, position?: number }} UpdateCustomFieldInputData
+ */
+export const UpdateCustomFieldInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} UpdateCustomFieldOutput */
+export const UpdateCustomFieldOutputSchema = Object;
+
+/** @typedef {{ field_id: ProviderID }} DeleteCustomFieldInputData */ // Also deletes the field's values
+export const DeleteCustomFieldInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeleteCustomFieldOutput */
+export const DeleteCustomFieldOutputSchema = Object;
+
 // --- Item Methods ---
-export const ListItemsInputSchema = undefined;
-/** @typedef {ItemMetadata[]} ListItemsOutput */
-export const ListItemsOutputSchema = Array; // Array of ItemMetadata
+/**
+ * Optional query for listItems. Providers apply it server-side where they can.
+ * Omitting it (or `limit`) returns every matching item.
+ * @typedef {object} ListItemsQuery
+ * @property {string=} name - Case-insensitive substring matched against name and description.
+ * @property {ProviderID[]=} locationIds - Match any of these locations or the locations inside them.
+ * @property {ProviderID[]=} categoryIds - Match any of these categories or their subcategories.
+ * @property {ProviderID[]=} ownerIds - Match any of these owners.
+ * @property {number=} priceMin - Items without a price are never excluded by the price range.
+ * @property {number=} priceMax
+ * @property {ProviderID[]=} tagIds - Match items carrying these tags, combined according to tagMode.
+ * @property {('or' | 'and')=} tagMode - 'or' (default) matches any of the tags, 'and' requires all of them.
+ * @property {FieldFilter[]=} fieldFilters - Custom field conditions; an item has to match all of them.
+ * @property {string[]=} statuses - Match items having any of these status keys.
+ * @property {string=} sort - `<field>_<asc|desc>`, e.g. "created_at_desc" (default), "price_asc" or "last_worn_on_asc" (least recently worn first).
+ * @property {number=} offset - Number of matching items to skip.
+ * @property {number=} limit - Maximum number of items to return.
+ * @property {boolean=} trashed - Match the items in the trash instead of the others. Set by listTrash.
+ */
+export const ListItemsInputSchema = Object; // ListItemsQuery, optional
+/**
+ * Text fields match a case-insensitive substring, every other type the exact stored value.
+ * @typedef {{ field_id: ProviderID, field_type: string, value: * }} FieldFilter
+ */
+/**
+ * @typedef {object} ListItemsOutput
+ * @property {ItemMetadata[]} items - The requested page of items.
+ * @property {number} totalCount - Number of items matching the filters, ignoring offset/limit.
+ */
+export const ListItemsOutputSchema = Object;
 
 /**
  * @typedef {object} AddItemInputData
@@ -129,9 +361,15 @@ export const ListItemsOutputSchema = Array; // Array of ItemMetadata
  * @property {ProviderID} category_id
  * @property {ProviderID} owner_id
  * @property {(FileObject | null)=} imageFile
+ * @property {(FileObject | null)=} thumbnailFile - Optional 'thumb' variant of imageFile.
  * @property {(number|string|null)=} price
+ * @property {ProviderID[]=} tag_ids
+ * @property {Object<string, string>=} field_values - Custom field values keyed by field_id, see encodeFieldValue.
+ * @property {(string | null)=} status - Status key; the item has no status when omitted.
  * @property {UUID=} uuid - Optional item UUID (for import).
  * @property {UUID=} image_uuid - Optional image UUID (for import, if imageFile is also provided).
+ * @property {(Timestamp | null)=} deleted_at - Adds the item straight to the trash (for import and migration).
+ * @property {Timestamp=} created_at - Optional creation time (for migration); defaults to now.
  */
 export const AddItemInputSchema = Object;
 /**
@@ -152,7 +390,11 @@ export const AddItemOutputSchema = Object;
  * @property {ProviderID} category_id
  * @property {ProviderID} owner_id
  * @property {(FileObject | null)=} imageFile
+ * @property {(FileObject | null)=} thumbnailFile - Optional 'thumb' variant of imageFile.
  * @property {(number|string|null)=} price
+ * @property {ProviderID[]=} tag_ids - Replaces the item's tags. Left unchanged when omitted.
+ * @property {Object<string, string>=} field_values - Replaces all of the item's custom field values. Left unchanged when omitted.
+ * @property {(string | null)=} status - Status key, null to clear it. Left unchanged when omitted.
  * @property {(boolean)=} removeImage
  */
 export const UpdateItemInputSchema = Object;
@@ -164,19 +406,273 @@ export const UpdateItemInputSchema = Object;
  */
 export const UpdateItemOutputSchema = Object;
 
-/** @typedef {{ item_id: ProviderID }} DeleteItemInputData */
+/**
+ * Moves the item to the trash. It keeps its images, tags and field values until the trash is purged.
+ * @typedef {{ item_id: ProviderID }} DeleteItemInputData
+ */
 export const DeleteItemInputSchema = Object;
 /** @typedef {{ success: boolean, message?: string }} DeleteItemOutput */
 export const DeleteItemOutputSchema = Object;
 
+/**
+ * Moves several items to one status at once, e.g. everything in the laundry back to clean.
+ * @typedef {object} SetItemStatusInputData
+ * @property {ProviderID[]} item_ids
+ * @property {string | null} status - Status key, null to clear the status.
+ */
+export const SetItemStatusInputSchema = Object;
+/** @typedef {{ success: boolean, updatedCount: number, message?: string }} SetItemStatusOutput */
+export const SetItemStatusOutputSchema = Object;
+
+/** @typedef {{ uuid: UUID }} GetItemByUuidInputData */
+export const GetItemByUuidInputSchema = Object;
+/** @typedef {ItemMetadata | null} GetItemByUuidOutput */ // Also finds items in the trash; null when there is no such item
+export const GetItemByUuidOutputSchema = Object;
+
+// --- Trash Methods ---
+/** @typedef {ListItemsQuery} ListTrashInputData - Optional; sorted by "deleted_at_desc" unless `sort` is given. */
+export const ListTrashInputSchema = Object;
+/** @typedef {ListItemsOutput} ListTrashOutput */
+export const ListTrashOutputSchema = Object;
+
+/** @typedef {{ item_id: ProviderID }} RestoreItemInputData */
+export const RestoreItemInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} RestoreItemOutput */
+export const RestoreItemOutputSchema = Object;
+
+/**
+ * Permanently deletes items in the trash together with their images. Without input the whole trash is emptied.
+ * @typedef {object} PurgeTrashInputData
+ * @property {ProviderID[]=} item_ids - Only purge these items.
+ * @property {Timestamp=} deleted_before - Only purge items moved to the trash before this time.
+ */
+export const PurgeTrashInputSchema = Object;
+/** @typedef {{ success: boolean, purgedCount: number, message?: string }} PurgeTrashOutput */
+export const PurgeTrashOutputSchema = Object;
+
+// --- History Methods ---
+/** @typedef {{ entity_type?: string, entity_uuid?: UUID }} ListHistoryInputData - Optional; without it the whole history is listed. */
+export const ListHistoryInputSchema = Object;
+/** @typedef {HistoryEntry[]} ListHistoryOutput */ // Newest first
+export const ListHistoryOutputSchema = Array;
+/** @typedef {{ entries: HistoryEntry[] }} ReplaceHistoryInputData - Newest first, as listed; their history IDs are not kept. */
+export const ReplaceHistoryInputSchema = Object;
+/** @typedef {{ success: boolean }} ReplaceHistoryOutput */
+export const ReplaceHistoryOutputSchema = Object;
+
+// --- Wear Methods ---
+/**
+ * @typedef {object} AddWearEventInputData
+ * @property {UUID} item_uuid
+ * @property {string=} worn_on - 'YYYY-MM-DD'; defaults to today.
+ * @property {string=} note
+ * @property {UUID=} uuid - Kept when given, e.g. by an import.
+ */
+export const AddWearEventInputSchema = Object;
+/** @typedef {{ success: boolean, newId?: ProviderID, uuid?: UUID, message?: string }} AddWearEventOutput */
+export const AddWearEventOutputSchema = Object;
+/** @typedef {{ item_uuid?: UUID }} ListWearEventsInputData - Optional; without it the events of every item are listed. */
+export const ListWearEventsInputSchema = Object;
+/** @typedef {WearEvent[]} ListWearEventsOutput */ // Most recently worn first
+export const ListWearEventsOutputSchema = Array;
+/** @typedef {{ wear_id: ProviderID }} DeleteWearEventInputData */
+export const DeleteWearEventInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeleteWearEventOutput */
+export const DeleteWearEventOutputSchema = Object;
+
+// --- Loan Methods ---
+/**
+ * @typedef {object} AddLoanInputData
+ * @property {UUID} item_uuid - Must not have an open loan already, unless this loan is returned.
+ * @property {UUID=} borrower_owner_uuid
+ * @property {string} borrower_name
+ * @property {string=} lent_on - 'YYYY-MM-DD'; defaults to today.
+ * @property {string=} due_on - 'YYYY-MM-DD', not before lent_on.
+ * @property {string=} returned_on - 'YYYY-MM-DD', e.g. when copying a finished loan.
+ * @property {string=} note
+ * @property {UUID=} uuid - Kept when given, e.g. by an import.
+ */
+export const AddLoanInputSchema = Object;
+/** @typedef {{ success: boolean, newId?: ProviderID, uuid?: UUID, message?: string }} AddLoanOutput */
+export const AddLoanOutputSchema = Object;
+/** @typedef {{ item_uuid?: UUID, open?: boolean }} ListLoansInputData - Optional; `open` lists only the loans not returned yet. */
+export const ListLoansInputSchema = Object;
+/** @typedef {Loan[]} ListLoansOutput */ // Most recently lent first
+export const ListLoansOutputSchema = Array;
+/**
+ * @typedef {object} UpdateLoanInputData - Fields left out keep their value; null clears due_on, returned_on or note.
+ * @property {ProviderID} loan_id
+ * @property {(string | null)=} due_on
+ * @property {(string | null)=} returned_on - Set it to today when the item comes back.
+ * @property {(string | null)=} note
+ */
+export const UpdateLoanInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} UpdateLoanOutput */
+export const UpdateLoanOutputSchema = Object;
+/** @typedef {{ loan_id: ProviderID }} DeleteLoanInputData */
+export const DeleteLoanInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeleteLoanOutput */
+export const DeleteLoanOutputSchema = Object;
+
+// --- Outfit Methods ---
+/** @typedef {{ item_uuid?: UUID }} ListOutfitsInputData - Optional; `item_uuid` lists only the outfits with that item. */
+export const ListOutfitsInputSchema = Object;
+/** @typedef {Outfit[]} ListOutfitsOutput */ // Sorted by name
+export const ListOutfitsOutputSchema = Array;
+/**
+ * @typedef {object} AddOutfitInputData
+ * @property {string} name
+ * @property {string=} description
+ * @property {UUID[]=} item_uuids - In display order.
+ * @property {ProviderID[]=} tag_ids
+ * @property {FileObject=} imageFile - Photo of the outfit.
+ * @property {UUID=} image_uuid - UUID for the photo, e.g. from an import.
+ * @property {UUID=} uuid - Kept when given, e.g. by an import.
+ */
+export const AddOutfitInputSchema = Object;
+/** @typedef {{ success: boolean, newId?: ProviderID, uuid?: UUID, message?: string }} AddOutfitOutput */
+export const AddOutfitOutputSchema = Object;
+/**
+ * @typedef {object} UpdateOutfitInputData - Fields left out keep their value.
+ * @property {ProviderID} outfit_id
+ * @property {string=} name
+ * @property {(string | null)=} description
+ * @property {UUID[]=} item_uuids - Replaces the items of the outfit.
+ * @property {ProviderID[]=} tag_ids - Replaces the tags of the outfit.
+ * @property {FileObject=} imageFile - Replaces the photo.
+ * @property {UUID=} image_uuid - UUID for the new photo, e.g. from a sync.
+ * @property {boolean=} removeImage - Deletes the photo.
+ */
+export const UpdateOutfitInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} UpdateOutfitOutput */
+export const UpdateOutfitOutputSchema = Object;
+/** @typedef {{ outfit_id: ProviderID }} DeleteOutfitInputData - Deletes the photo and wear events with the outfit, not its items. */
+export const DeleteOutfitInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeleteOutfitOutput */
+export const DeleteOutfitOutputSchema = Object;
+
+/**
+ * @typedef {object} AddOutfitWearEventInputData
+ * @property {UUID} outfit_uuid
+ * @property {string=} worn_on - 'YYYY-MM-DD'; defaults to today.
+ * @property {string=} note
+ * @property {UUID=} uuid - Kept when given, e.g. by an import.
+ */
+export const AddOutfitWearEventInputSchema = Object;
+/** @typedef {{ success: boolean, newId?: ProviderID, uuid?: UUID, message?: string }} AddOutfitWearEventOutput */
+export const AddOutfitWearEventOutputSchema = Object;
+/** @typedef {{ outfit_uuid?: UUID }} ListOutfitWearEventsInputData - Optional; lists only the events of one outfit. */
+export const ListOutfitWearEventsInputSchema = Object;
+/** @typedef {OutfitWearEvent[]} ListOutfitWearEventsOutput */ // Most recently worn first
+export const ListOutfitWearEventsOutputSchema = Array;
+/** @typedef {{ outfit_wear_id: ProviderID }} DeleteOutfitWearEventInputData */
+export const DeleteOutfitWearEventInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeleteOutfitWearEventOutput */
+export const DeleteOutfitWearEventOutputSchema = Object;
+
+// --- Packing List Methods ---
+export const ListPackingListsInputSchema = undefined; // No app-specific input beyond settings
+/** @typedef {PackingList[]} ListPackingListsOutput */ // Trips with the latest start first, then templates by name
+export const ListPackingListsOutputSchema = Array;
+/**
+ * @typedef {object} AddPackingListInputData
+ * @property {string} name
+ * @property {string=} note
+ * @property {string=} starts_on - 'YYYY-MM-DD'
+ * @property {string=} ends_on - 'YYYY-MM-DD'
+ * @property {boolean=} is_template - Templates cannot have dates.
+ * @property {PackingListEntry[]=} entries - `packed` and `returned` default to false.
+ * @property {UUID=} uuid - Kept when given, e.g. by an import.
+ */
+export const AddPackingListInputSchema = Object;
+/** @typedef {{ success: boolean, newId?: ProviderID, uuid?: UUID, message?: string }} AddPackingListOutput */
+export const AddPackingListOutputSchema = Object;
+/**
+ * @typedef {object} UpdatePackingListInputData - Fields left out keep their value.
+ * @property {ProviderID} packing_list_id
+ * @property {string=} name
+ * @property {(string | null)=} note
+ * @property {(string | null)=} starts_on
+ * @property {(string | null)=} ends_on
+ * @property {PackingListEntry[]=} entries - Replaces the entries, e.g. to check one off.
+ */
+export const UpdatePackingListInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} UpdatePackingListOutput */
+export const UpdatePackingListOutputSchema = Object;
+/** @typedef {{ packing_list_id: ProviderID }} DeletePackingListInputData - Keeps the items of the list. */
+export const DeletePackingListInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} DeletePackingListOutput */
+export const DeletePackingListOutputSchema = Object;
+
 // --- Image Methods ---
-/** @typedef {{ image_uuid: UUID }} GetImageInputData */
+/**
+ * @typedef {object} GetImageInputData
+ * @property {UUID} image_uuid
+ * @property {('thumb' | null)=} variant - A smaller rendition. Falls back to the full image when none is stored.
+ */
 export const GetImageInputSchema = Object;
 /** @typedef {FileObject | null} GetImageOutput */
 export const GetImageOutputSchema = FileObject; // Or null
 
+/**
+ * Stores (or replaces) a variant of an existing image.
+ * @typedef {object} SaveImageVariantInputData
+ * @property {UUID} image_uuid - UUID of the full-size image.
+ * @property {'thumb'} variant
+ * @property {FileObject} imageFile
+ */
+export const SaveImageVariantInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} SaveImageVariantOutput */
+export const SaveImageVariantOutputSchema = Object;
+
+/** @typedef {{ variant: 'thumb' }} ListImagesMissingVariantInputData */
+export const ListImagesMissingVariantInputSchema = Object;
+/** @typedef {UUID[]} ListImagesMissingVariantOutput */ // UUIDs of full-size images without the variant
+export const ListImagesMissingVariantOutputSchema = Array;
+
+// --- Item Image Methods ---
+/** @typedef {{ item_id: ProviderID }} ListItemImagesInputData */
+export const ListItemImagesInputSchema = Object;
+/** @typedef {ItemImage[]} ListItemImagesOutput */ // Sorted by position
+export const ListItemImagesOutputSchema = Array;
+
+/**
+ * Appends an image to an item. It becomes primary when requested or when the item has no images yet.
+ * @typedef {object} AddItemImageInputData
+ * @property {ProviderID} item_id
+ * @property {FileObject} imageFile
+ * @property {(FileObject | null)=} thumbnailFile - Optional 'thumb' variant of imageFile.
+ * @property {UUID=} image_uuid - Optional image UUID (for import).
+ * @property {boolean=} is_primary
+ */
+export const AddItemImageInputSchema = Object;
+/** @typedef {{ success: boolean, image_uuid?: UUID, message?: string }} AddItemImageOutput */
+export const AddItemImageOutputSchema = Object;
+
+/** @typedef {{ item_id: ProviderID, image_uuid: UUID }} RemoveItemImageInputData */
+export const RemoveItemImageInputSchema = Object;
+/**
+ * When the primary image is removed, the next image in order is promoted.
+ * @typedef {{ success: boolean, image_uuid?: UUID | null, message?: string }} RemoveItemImageOutput - image_uuid is the item's resulting primary image.
+ */
+export const RemoveItemImageOutputSchema = Object;
+
+/** @typedef {{ item_id: ProviderID, image_uuids: UUID[] }} ReorderItemImagesInputData */
+export const ReorderItemImagesInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} ReorderItemImagesOutput */
+export const ReorderItemImagesOutputSchema = Object;
+
+/** @typedef {{ item_id: ProviderID, image_uuid: UUID }} SetPrimaryItemImageInputData */
+export const SetPrimaryItemImageInputSchema = Object;
+/** @typedef {{ success: boolean, message?: string }} SetPrimaryItemImageOutput */
+export const SetPrimaryItemImageOutputSchema = Object;
+
 // --- Data Management Methods ---
-export const ExportDataInputSchema = undefined;
+/**
+ * @typedef {object} ExportDataInputData
+ * @property {boolean=} includeTrash - Also export the items in the trash. Off by default.
+ */
+export const ExportDataInputSchema = Object; // Optional
 /** @typedef {BlobObject} ExportDataOutput */ // Providers should throw on error.
 export const ExportDataOutputSchema = BlobObject;
 
@@ -185,7 +681,7 @@ export const ImportDataInputSchema = FileObject; // zipFile is the param
 /**
  * @typedef {object} ImportDataOutput
  * @property {boolean} success
- * @property {{ locations?: number, categories?: number, owners?: number, items?: number }=} counts
+ * @property {{ locations?: number, categories?: number, owners?: number, tags?: number, custom_fields?: number, items?: number }=} counts
  * @property {string=} message - General success summary or info (UI might construct more detailed messages using counts).
  * @property {string=} errorKey - Translation key for an error message.
  * @property {object=} errorValues - Values for the errorKey template.
@@ -1,13 +1,58 @@
 import JSZip from 'jszip';
-import { FORMAT_VERSION } from './exportFormat';
+import { FORMAT_VERSION, IMPORTABLE_FORMAT_VERSIONS } from './exportFormat';
 import { v4 as uuidv4 } from 'uuid';
 import {
     getMimeTypeFromFilename,
     readFileAsBase64,
     createCSV,
     parseCSV,
-    base64ToBlob // Needed for listItems
+    base64ToBlob,
+    normalizeItemQuery,
+    containsGlobPattern,
+    parseSortCriteria,
+    normalizeItemImageRows,
+    applyItemImageOrder,
+    itemImageZipFilename,
+    outfitImageZipFilename,
+    groupItemImageRows,
+    loadZipImageFile,
+    normalizeImageVariant,
+    normalizeTagName,
+    normalizeTagIds,
+    groupItemTagRows,
+    parseFieldOptions,
+    normalizeCustomField,
+    normalizeFieldValues,
+    compareCustomFields,
+    groupItemFieldValueRows,
+    createsParentCycle,
+    flattenTree,
+    diffForHistory,
+    createHistoryEntry,
+    normalizeHistoryEntries,
+    normalizeWearEvent,
+    normalizeWearEvents,
+    normalizeLoan,
+    normalizeLoanUpdate,
+    normalizeLoans,
+    normalizeItemStatus,
+    normalizeSetItemStatusInput,
+    normalizeOutfit,
+    normalizeOutfitUpdate,
+    normalizeOutfits,
+    joinOutfitRows,
+    normalizeOutfitWearEvent,
+    normalizeOutfitWearEvents,
+    normalizePackingList,
+    normalizePackingListUpdate,
+    normalizePackingLists,
+    joinPackingListRows,
+    createImportProgress,
+    schemaHas,
+    legacyItemImages,
+    referencingItemsErrorCode,
 } from './providerUtils'; // Import shared utilities
+import { createZipWriter, createBlobSink, ZIP_TOO_LARGE } from './zipStream';
 
 // At the top of the file, for convenience
 const PROVIDER_NAME = "Datasette Provider";
@@ -43,6 +88,33 @@ export const getDbVersion = async (settings) => {
     }
 };
 
+/**
+ * Runs one schema migration step through the /-/migrate route of the schema_migrations
+ * plugin in backend/plugins. The plugin checks the version, runs the script and records
+ * the new version; it needs the API token of root.
+ * @param {object} settings
+ * @param {{ from: number, to: number, sql: string }} step - A step from schemaMigrations.
+ * @returns {Promise<{ success: boolean, version: number }>}
+ */
+export const applySchemaMigration = async (settings, step) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error(`[${PROVIDER_NAME}]: Datasette Base URL is not configured.`);
+    const res = await fetch(`${baseUrl}/-/migrate`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ from_version: step.from, to_version: step.to, sql: step.sql }),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.ok) {
+        const reason = data?.error || (res.status === 404
+            ? 'the schema_migrations plugin is not installed'
+            : `status ${res.status}`);
+        console.error(`[${PROVIDER_NAME}]: Migration ${step.from} → ${step.to} failed: ${reason}`);
+        throw new Error(`Failed to migrate the schema from version ${step.from} to ${step.to}: ${reason}`);
+    }
+    return { success: true, version: data.version };
+};
+
 // handleResponse updated to be more generic and return JSON if possible
 const handleResponse = async (res, operation, entityDescription) => {
     if (!res.ok) {
@@ -107,6 +179,108 @@ const fetchRecordByUuidWithRetry = async (settings, tableName, uuidToFetch, sele
     return fetchedRecord; // Return the successfully fetched record object
 };
 
+// --- Change History ---
+
+/**
+ * Internal: Fetches a single row by its ID, or null if it does not exist.
+ */
+const _getRow = async (settings, tableName, id) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/${tableName}/${id}.json?_shape=object&_ttl=0`, { headers: { 'Accept': 'application/json' } });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data?.[id] || null;
+};
+
+/**
+ * Internal: Appends a change to the history table.
+ * The change itself has already been saved, so a failure here is logged instead of thrown.
+ */
+const _recordHistory = async (settings, entityType, entityUuid, action, changes) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const entry = createHistoryEntry(settings, entityType, entityUuid, action, changes);
+    if (!entityUuid || !entry) return;
+
+    try {
+        const res = await fetch(`${baseUrl}/history/-/insert`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ row: { ...entry, changes: JSON.stringify(entry.changes) } }),
+        });
+        await handleResponse(res, 'add', 'history entry');
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Failed to record ${action} of ${entityType} ${entityUuid} in the history:`, error);
+    }
+};
+
+/**
+ * Lists history entries, newest first, optionally only those of one entity.
+ */
+export const listHistory = async (settings, query = {}) => {
+    const conditions = [];
+    const params = {};
+    if (query.entity_type) {
+        conditions.push('entity_type = :entity_type');
+        params.entity_type = query.entity_type;
+    }
+    if (query.entity_uuid) {
+        conditions.push('entity_uuid = :entity_uuid');
+        params.entity_uuid = query.entity_uuid;
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT * FROM history ${where} ORDER BY history_id DESC LIMIT :limit OFFSET :offset`,
+            { ...params, limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizeHistoryEntries(rows);
+};
+
+/**
+ * Internal: Deletes every history entry, for replacing all data.
+ */
+const _clearHistory = async (settings) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const entry of await listHistory(settings)) {
+        const res = await fetch(`${baseUrl}/history/${entry.history_id}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `history entry ID ${entry.history_id}`);
+    }
+};
+
+const HISTORY_INSERT_BATCH = 100; // Datasette's default max_insert_rows
+
+/**
+ * Replaces the whole history with the given entries, e.g. those of an import or of a provider
+ * being migrated here. The entries are given newest first, as listHistory returns them.
+ */
+export const replaceHistory = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    await _clearHistory(settings);
+    const historyToInsert = [...inputData.entries].reverse().map(({ history_id, ...entry }) => ({ ...entry, changes: JSON.stringify(entry.changes) }));
+    for (let start = 0; start < historyToInsert.length; start += HISTORY_INSERT_BATCH) {
+        const res = await fetch(`${baseUrl}/history/-/insert`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ rows: historyToInsert.slice(start, start + HISTORY_INSERT_BATCH) }),
+        });
+        await handleResponse(res, 'add', 'history entries');
+    }
+    return { success: true };
+};
+
 // --- Internal Helper Functions (Not Exported Directly to Context) ---
 // These now accept the 'settings' object instead of individual config parameters.
 
@@ -134,6 +308,7 @@ export const addCategory = async (settings, data) => {
     const fetchedCategory = await fetchRecordByUuidWithRetry(settings, "categories", newUuid, "category_id,uuid", "category");
     const newCategoryId = fetchedCategory.category_id;
     // newUuid is already known. fetchedCategory.uuid should match newUuid.
+    await _recordHistory(settings, 'category', newUuid, 'add', diffForHistory('category', null, categoryData.row));
 
     // Return success status, the new ID, and the UUID
     return { success: true, newId: newCategoryId, uuid: newUuid };
@@ -169,6 +344,7 @@ export const addLocation = async (settings, data) => {
     // Fetch the newly created location by its UUID to get its ID and confirm creation
     const fetchedLocation = await fetchRecordByUuidWithRetry(settings, "locations", locationData.row.uuid, "location_id,uuid", "location");
     const newLocationId = fetchedLocation.location_id;
+    await _recordHistory(settings, 'location', locationData.row.uuid, 'add', diffForHistory('location', null, locationData.row));
 
     // Return success status, the new ID, and the UUID
     // Assuming addLocation was called with data containing the UUID or it was generated before calling
@@ -198,11 +374,21 @@ export const listLocations = async (settings) => {
 
 export const updateLocation = async (settings, inputData) => {
     const { location_id: locationId, ...data } = inputData;
-    // Expects data like { name, description }
+    // Expects data like { name?, description?, parent_location_id? }; omitted fields are left as they are
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!locationId) throw new Error("Location ID is required for update.");
 
+    // A location cannot be moved inside itself or one of its descendants
+    if (data.parent_location_id != null) {
+        const locations = await listLocations(settings);
+        if (createsParentCycle(locations, 'location_id', 'parent_location_id', locationId, data.parent_location_id)) {
+            console.warn(`[${PROVIDER_NAME}]: Refused to move location ${locationId} under its own descendant ${data.parent_location_id}.`);
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+
+    const before = await _getRow(settings, 'locations', locationId);
     const updateUrl = `${baseUrl}/locations/${locationId}/-/update`;
     const { uuid, ...updateData } = data; // Exclude uuid from update payload
     const payload = {
@@ -217,36 +403,57 @@ export const updateLocation = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'update', `location ID ${locationId}`);
+    await _recordHistory(settings, 'location', before?.uuid, 'update', diffForHistory('location', before, updateData));
     return { success: true };
 };
 
+// Internal: Lists locations so that every location comes before the one it is inside of, for deleting them all
+const _listLocationsChildrenFirst = async (settings) => {
+    const locations = await listLocations(settings);
+    return flattenTree(locations, 'location_id', 'parent_location_id').map(({ row }) => row).reverse();
+};
+
+// Internal: Lists categories so that subcategories come before their parents, for deleting them all
+const _listCategoriesChildrenFirst = async (settings) => {
+    const categories = await listCategories(settings);
+    return flattenTree(categories, 'category_id', 'parent_category_id').map(({ row }) => row).reverse();
+};
+
 export const deleteLocation = async (settings, inputData) => {
     const { location_id: locationId } = inputData;
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!locationId) throw new Error("Location ID is required for deletion.");
 
-    // Dependency Check: Efficiently check if any item uses this location
-    const checkUrl = `${baseUrl}/items.json?location_id=${locationId}&_size=1&_shape=array`;
+    // Dependency Check: Efficiently check if any item uses this location, an item outside the trash first
     try {
-        const checkRes = await fetch(checkUrl, { headers: { 'Accept': 'application/json' } });
-        if (!checkRes.ok) {
-            // Log error but attempt deletion if check fails, or handle more strictly
-            console.error(`[${PROVIDER_NAME}]: Failed to perform dependency check for location ${locationId}: ${checkRes.status} ${await checkRes.text()}`);
-            // Depending on policy, you might throw an error here or allow deletion to proceed cautiously.
-            // For now, let's be strict:
-            return { success: false, error: `Failed to check dependencies for location: ${checkRes.statusText}` };
-        }
-        const usageCheckData = await checkRes.json();
-        if (usageCheckData && usageCheckData.length > 0) {
+        const usageCheckData = await _runSqlQuery(
+            settings,
+            'SELECT deleted_at FROM items WHERE location_id = :location_id ORDER BY deleted_at IS NOT NULL LIMIT 1',
+            { location_id: locationId }
+        );
+        const usedErrorCode = referencingItemsErrorCode(usageCheckData);
+        if (usedErrorCode) {
             console.warn(`[${PROVIDER_NAME}]: Attempted to delete location ${locationId} which is used by items.`);
-            return { success: false, errorCode: 'ENTITY_IN_USE' };
+            return { success: false, errorCode: usedErrorCode };
+        }
+        // Locations nested inside this one have to be moved or deleted first
+        const childCheckRes = await fetch(`${baseUrl}/locations.json?parent_location_id=${locationId}&_size=1&_shape=array&_ttl=0`, { headers: { 'Accept': 'application/json' } });
+        if (!childCheckRes.ok) {
+            console.error(`[${PROVIDER_NAME}]: Failed to check child locations of location ${locationId}: ${childCheckRes.status} ${await childCheckRes.text()}`);
+            return { success: false, error: `Failed to check dependencies for location: ${childCheckRes.statusText}` };
+        }
+        const childCheckData = await childCheckRes.json();
+        if (childCheckData && childCheckData.length > 0) {
+            console.warn(`[${PROVIDER_NAME}]: Attempted to delete location ${locationId} which contains other locations.`);
+            return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
         }
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during dependency check for location ${locationId}:`, error);
         return { success: false, error: `Error checking dependencies for location: ${error.message}` };
     }
 
+    const before = await _getRow(settings, 'locations', locationId);
     const deleteUrl = `${baseUrl}/locations/${locationId}/-/delete`;
     const res = await fetch(deleteUrl, {
         method: 'POST',
@@ -256,6 +463,7 @@ export const deleteLocation = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'delete', `location ID ${locationId}`);
+    await _recordHistory(settings, 'location', before?.uuid, 'delete', diffForHistory('location', before, null));
     return { success: true };
 };
 
@@ -282,11 +490,21 @@ export const listCategories = async (settings) => {
 
 export const updateCategory = async (settings, inputData) => {
     const { category_id: categoryId, ...data } = inputData;
-    // Expects data like { name, description }
+    // Expects data like { name?, description?, parent_category_id? }; omitted fields are left as they are
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!categoryId) throw new Error("Category ID is required for update.");
 
+    // A category cannot be moved under itself or one of its subcategories
+    if (data.parent_category_id != null) {
+        const categories = await listCategories(settings);
+        if (createsParentCycle(categories, 'category_id', 'parent_category_id', categoryId, data.parent_category_id)) {
+            console.warn(`[${PROVIDER_NAME}]: Refused to move category ${categoryId} under its own subcategory ${data.parent_category_id}.`);
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+
+    const before = await _getRow(settings, 'categories', categoryId);
     const updateUrl = `${baseUrl}/categories/${categoryId}/-/update`;
     const { uuid, ...updateData } = data; // Exclude uuid from update payload
     const payload = {
@@ -301,6 +519,7 @@ export const updateCategory = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'update', `category ID ${categoryId}`);
+    await _recordHistory(settings, 'category', before?.uuid, 'update', diffForHistory('category', before, updateData));
     return { success: true };
 };
 
@@ -310,24 +529,39 @@ export const deleteCategory = async (settings, inputData) => {
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!categoryId) throw new Error("Category ID is required for deletion.");
 
-    // Dependency Check: Efficiently check if any item uses this category
-    const checkUrl = `${baseUrl}/items.json?category_id=${categoryId}&_size=1&_shape=array`;
+    // Dependency Check: Efficiently check if any item uses this category, an item outside the trash first
     try {
-        const checkRes = await fetch(checkUrl, { headers: { 'Accept': 'application/json' } });
-        if (!checkRes.ok) {
-            console.error(`[${PROVIDER_NAME}]: Failed to perform dependency check for category ${categoryId}: ${checkRes.status} ${await checkRes.text()}`);
-            return { success: false, error: `Failed to check dependencies for category: ${checkRes.statusText}` };
-        }
-        const usageCheckData = await checkRes.json();
-        if (usageCheckData && usageCheckData.length > 0) {
+        const usageCheckData = await _runSqlQuery(
+            settings,
+            'SELECT deleted_at FROM items WHERE category_id = :category_id ORDER BY deleted_at IS NOT NULL LIMIT 1',
+            { category_id: categoryId }
+        );
+        const usedErrorCode = referencingItemsErrorCode(usageCheckData);
+        if (usedErrorCode) {
             console.warn(`[${PROVIDER_NAME}]: Attempted to delete category ${categoryId} which is used by items.`);
-            return { success: false, errorCode: 'ENTITY_IN_USE' };
+            return { success: false, errorCode: usedErrorCode };
+        }
+        // Subcategories have to be moved or deleted first
+        const childCheckRes = await fetch(`${baseUrl}/categories.json?parent_category_id=${categoryId}&_size=1&_shape=array&_ttl=0`, { headers: { 'Accept': 'application/json' } });
+        if (!childCheckRes.ok) {
+            console.error(`[${PROVIDER_NAME}]: Failed to check subcategories of category ${categoryId}: ${childCheckRes.status} ${await childCheckRes.text()}`);
+            return { success: false, error: `Failed to check dependencies for category: ${childCheckRes.statusText}` };
+        }
+        const childCheckData = await childCheckRes.json();
+        if (childCheckData && childCheckData.length > 0) {
+            console.warn(`[${PROVIDER_NAME}]: Attempted to delete category ${categoryId} which has subcategories.`);
+            return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
         }
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during dependency check for category ${categoryId}:`, error);
         return { success: false, error: `Error checking dependencies for category: ${error.message}` };
     }
 
+    // The category's custom fields go with it
+    const categoryFields = (await listCustomFields(settings)).filter(field => field.category_id === categoryId);
+    for (const field of categoryFields) await deleteCustomField(settings, { field_id: field.field_id });
+
+    const before = await _getRow(settings, 'categories', categoryId);
     const deleteUrl = `${baseUrl}/categories/${categoryId}/-/delete`;
     const res = await fetch(deleteUrl, {
         method: 'POST',
@@ -337,6 +571,7 @@ export const deleteCategory = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'delete', `category ID ${categoryId}`);
+    await _recordHistory(settings, 'category', before?.uuid, 'delete', diffForHistory('category', before, null));
     return { success: true };
 };
 
@@ -385,6 +620,7 @@ export const addOwner = async (settings, data) => { // Rename to addOwner and ex
     const fetchedOwner = await fetchRecordByUuidWithRetry(settings, "owners", newUuid, "owner_id,uuid", "owner");
     const newOwnerId = fetchedOwner.owner_id;
     // newUuid is already known. fetchedOwner.uuid should match newUuid.
+    await _recordHistory(settings, 'owner', newUuid, 'add', diffForHistory('owner', null, ownerData.row));
 
     // Return success status, the new ID, and the UUID
     return { success: true, newId: newOwnerId, uuid: newUuid };
@@ -397,6 +633,7 @@ export const updateOwner = async (settings, inputData) => {
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!ownerId) throw new Error("Owner ID is required for update.");
 
+    const before = await _getRow(settings, 'owners', ownerId);
     const updateUrl = `${baseUrl}/owners/${ownerId}/-/update`;
     const { uuid, ...updateData } = data; // Exclude uuid from update payload
     const payload = {
@@ -411,6 +648,7 @@ export const updateOwner = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'update', `owner ID ${ownerId}`);
+    await _recordHistory(settings, 'owner', before?.uuid, 'update', diffForHistory('owner', before, updateData));
     return { success: true };
 };
 
@@ -420,24 +658,24 @@ export const deleteOwner = async (settings, inputData) => {
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
     if (!ownerId) throw new Error("Owner ID is required for deletion.");
 
-    // Dependency Check: Efficiently check if any item uses this owner
-    const checkUrl = `${baseUrl}/items.json?owner_id=${ownerId}&_size=1&_shape=array`;
+    // Dependency Check: Efficiently check if any item uses this owner, an item outside the trash first
     try {
-        const checkRes = await fetch(checkUrl, { headers: { 'Accept': 'application/json' } });
-        if (!checkRes.ok) {
-            console.error(`[${PROVIDER_NAME}]: Failed to perform dependency check for owner ${ownerId}: ${checkRes.status} ${await checkRes.text()}`);
-            return { success: false, error: `Failed to check dependencies for owner: ${checkRes.statusText}` };
-        }
-        const usageCheckData = await checkRes.json();
-        if (usageCheckData && usageCheckData.length > 0) {
+        const usageCheckData = await _runSqlQuery(
+            settings,
+            'SELECT deleted_at FROM items WHERE owner_id = :owner_id ORDER BY deleted_at IS NOT NULL LIMIT 1',
+            { owner_id: ownerId }
+        );
+        const usedErrorCode = referencingItemsErrorCode(usageCheckData);
+        if (usedErrorCode) {
             console.warn(`[${PROVIDER_NAME}]: Attempted to delete owner ${ownerId} which is used by items.`);
-            return { success: false, errorCode: 'ENTITY_IN_USE' };
+            return { success: false, errorCode: usedErrorCode };
         }
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during dependency check for owner ${ownerId}:`, error);
         return { success: false, error: `Error checking dependencies for owner: ${error.message}` };
     }
 
+    const before = await _getRow(settings, 'owners', ownerId);
     const deleteUrl = `${baseUrl}/owners/${ownerId}/-/delete`;
     const res = await fetch(deleteUrl, {
         method: 'POST',
@@ -447,9 +685,298 @@ export const deleteOwner = async (settings, inputData) => {
 
     // Use handleResponse, customizing operation and entity description
     await handleResponse(res, 'delete', `owner ID ${ownerId}`);
+    await _recordHistory(settings, 'owner', before?.uuid, 'delete', diffForHistory('owner', before, null));
+    return { success: true };
+};
+
+// --- Tags ---
+
+export const listTags = async (settings) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/tags.json?_shape=array&_sort=name&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+    });
+
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to fetch tags: ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to fetch tags: ${res.status}`);
+    }
+
+    return (await res.json()) || []; // Returns array like [{tag_id: 1, uuid: '...', name: 'winter', ...}, ...]
+};
+
+/**
+ * Adds a tag, or returns the existing tag with the same name.
+ */
+export const addTag = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const name = normalizeTagName(data?.name);
+    if (!name) throw new Error("Tag name is required.");
+
+    // Tag names are unique, so reuse an existing tag instead of failing the insert
+    const existingUrl = `${baseUrl}/tags.json?name=${encodeURIComponent(name)}&_shape=array&_select=tag_id,uuid&_ttl=0&_size=1`;
+    const existingRes = await fetch(existingUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (existingRes.ok) {
+        const existing = await existingRes.json();
+        if (existing && existing.length > 0) {
+            return { success: true, newId: existing[0].tag_id, uuid: existing[0].uuid };
+        }
+    }
+
+    const newUuid = data.uuid || uuidv4(); // Use provided UUID or generate
+    const insertRes = await fetch(`${baseUrl}/tags/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...data, name, uuid: newUuid, updated_at: null } }),
+    });
+    await handleResponse(insertRes, 'add', 'tag');
+
+    const fetchedTag = await fetchRecordByUuidWithRetry(settings, "tags", newUuid, "tag_id,uuid", "tag");
+    return { success: true, newId: fetchedTag.tag_id, uuid: newUuid };
+};
+
+// --- Item Tags (item_tags join table) ---
+// Like item_images, join rows are deleted explicitly because Datasette does not enforce the foreign keys.
+
+/**
+ * Internal: Lists item_tags rows matching a filter such as `item_id=5` or `tag_id=3`.
+ */
+const _listItemTagRows = async (settings, filter) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/item_tags.json?${filter}&_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to list item tags (${filter}): ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to list item tags: ${res.status}`);
+    }
+    return (await res.json()) || [];
+};
+
+/**
+ * Internal: Deletes item_tags rows by their IDs.
+ */
+const _deleteItemTagRows = async (settings, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const row of rows) {
+        const deleteUrl = `${baseUrl}/item_tags/${row.item_tag_id}/-/delete`;
+        const res = await fetch(deleteUrl, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `tag link ID ${row.item_tag_id}`);
+    }
+};
+
+/**
+ * Internal: Makes the item's tags exactly the given tag IDs.
+ */
+const _setItemTags = async (settings, itemId, tagIds) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const wantedTagIds = normalizeTagIds(tagIds);
+    const rows = await _listItemTagRows(settings, `item_id=${itemId}`);
+    await _deleteItemTagRows(settings, rows.filter(row => !wantedTagIds.includes(row.tag_id)));
+
+    const newRows = wantedTagIds
+        .filter(tagId => !rows.some(row => row.tag_id === tagId))
+        .map(tagId => ({ item_id: itemId, tag_id: tagId }));
+    if (newRows.length === 0) return;
+    const res = await fetch(`${baseUrl}/item_tags/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ rows: newRows }),
+    });
+    await handleResponse(res, 'insert', `tag links for item ID ${itemId}`);
+};
+
+/**
+ * Internal: Deletes a tag and its links to items and outfits.
+ */
+const _deleteTag = async (settings, tagId) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    await _deleteItemTagRows(settings, await _listItemTagRows(settings, `tag_id=${tagId}`));
+    await _deleteLinkRows(settings, 'outfit_tags', await _listLinkRows(settings, 'outfit_tags', `tag_id=${tagId}`));
+    const res = await fetch(`${baseUrl}/tags/${tagId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `tag ID ${tagId}`);
+};
+
+// --- Custom Fields ---
+
+export const listCustomFields = async (settings) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/custom_fields.json?_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+    });
+
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to fetch custom fields: ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to fetch custom fields: ${res.status}`);
+    }
+
+    const fields = (await res.json()) || [];
+    return fields
+        .map(field => ({ ...field, options: field.field_type === 'enum' ? parseFieldOptions(field.options) : null }))
+        .sort(compareCustomFields);
+};
+
+export const addCustomField = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!data?.category_id) throw new Error("Category ID is required for a custom field.");
+    const { name, field_type, options } = normalizeCustomField(data);
+
+    let position = parseInt(data.position, 10);
+    if (isNaN(position)) {
+        // Append after the category's last field
+        const fields = await listCustomFields(settings);
+        position = fields.filter(field => field.category_id === data.category_id).length;
+    }
+
+    const newUuid = data.uuid || uuidv4(); // Use provided UUID or generate
+    const row = {
+        uuid: newUuid,
+        category_id: data.category_id,
+        name,
+        field_type,
+        options: options ? JSON.stringify(options) : null,
+        position,
+        updated_at: null
+    };
+    if (data.created_at) row.created_at = data.created_at; // Preserved on import
+    const insertRes = await fetch(`${baseUrl}/custom_fields/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row }),
+    });
+    await handleResponse(insertRes, 'add', 'custom field');
+
+    const fetchedField = await fetchRecordByUuidWithRetry(settings, "custom_fields", newUuid, "field_id,uuid", "custom field");
+    return { success: true, newId: fetchedField.field_id, uuid: newUuid };
+};
+
+export const updateCustomField = async (settings, inputData) => {
+    const { field_id: fieldId, ...data } = inputData;
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!fieldId) throw new Error("Field ID is required for update.");
+
+    // The type of a field is fixed, so the stored one is used to check the new definition
+    const currentRes = await fetch(`${baseUrl}/custom_fields.json?field_id=${fieldId}&_shape=array&_select=field_type,options&_ttl=0`, { headers: { 'Accept': 'application/json' } });
+    if (!currentRes.ok) throw new Error(`Failed to fetch current custom field for update: ${currentRes.status}`);
+    const current = (await currentRes.json())[0];
+    if (!current) return { success: false, message: 'Custom field not found' };
+    const { name, options } = normalizeCustomField({ ...data, field_type: current.field_type, options: data.options ?? current.options });
+
+    const update = { name, options: options ? JSON.stringify(options) : null, updated_at: new Date().toISOString() };
+    if (typeof data.position === 'number') update.position = data.position;
+    const res = await fetch(`${baseUrl}/custom_fields/${fieldId}/-/update`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ update }),
+    });
+    await handleResponse(res, 'update', `custom field ID ${fieldId}`);
+    return { success: true };
+};
+
+/**
+ * Deletes a custom field together with its values.
+ */
+export const deleteCustomField = async (settings, inputData) => {
+    const { field_id: fieldId } = inputData;
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!fieldId) throw new Error("Field ID is required for deletion.");
+
+    await _deleteItemFieldValueRows(settings, await _listItemFieldValueRows(settings, `field_id=${fieldId}`));
+    const res = await fetch(`${baseUrl}/custom_fields/${fieldId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `custom field ID ${fieldId}`);
     return { success: true };
 };
 
+// --- Item Field Values (item_field_values table) ---
+// Deleted explicitly like the other join rows, as Datasette does not enforce the foreign keys.
+
+/**
+ * Internal: Lists item_field_values rows matching a filter such as `item_id=5` or `field_id=3`.
+ */
+const _listItemFieldValueRows = async (settings, filter) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/item_field_values.json?${filter}&_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to list field values (${filter}): ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to list field values: ${res.status}`);
+    }
+    return (await res.json()) || [];
+};
+
+/**
+ * Internal: Deletes item_field_values rows by their IDs.
+ */
+const _deleteItemFieldValueRows = async (settings, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const row of rows) {
+        const deleteUrl = `${baseUrl}/item_field_values/${row.item_field_value_id}/-/delete`;
+        const res = await fetch(deleteUrl, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `field value ID ${row.item_field_value_id}`);
+    }
+};
+
+/**
+ * Internal: Makes the item's custom field values exactly the given ones.
+ */
+const _setItemFieldValues = async (settings, itemId, fieldValues) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const wantedValues = normalizeFieldValues(fieldValues);
+    const rows = await _listItemFieldValueRows(settings, `item_id=${itemId}`);
+    await _deleteItemFieldValueRows(settings, rows.filter(row => !(row.field_id in wantedValues)));
+
+    for (const row of rows) {
+        const value = wantedValues[row.field_id];
+        if (typeof value === 'undefined' || value === row.value) continue;
+        const res = await fetch(`${baseUrl}/item_field_values/${row.item_field_value_id}/-/update`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ update: { value } }),
+        });
+        await handleResponse(res, 'update', `field value ID ${row.item_field_value_id}`);
+    }
+
+    const newRows = Object.entries(wantedValues)
+        .filter(([fieldId]) => !rows.some(row => row.field_id === Number(fieldId)))
+        .map(([fieldId, value]) => ({ item_id: itemId, field_id: Number(fieldId), value }));
+    if (newRows.length === 0) return;
+    const res = await fetch(`${baseUrl}/item_field_values/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ rows: newRows }),
+    });
+    await handleResponse(res, 'insert', `field values for item ID ${itemId}`);
+};
+
 // --- Image Handling ---
 
 /**
@@ -509,6 +1036,7 @@ const _deleteImage = async (settings, imageId) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
 
+    await _deleteImageVariants(settings, imageId);
     const deleteUrl = `${baseUrl}/images/${imageId}/-/delete`;
     const res = await fetch(deleteUrl, { method: 'POST', headers: defaultHeaders(settings) });
     // We might ignore the response slightly, as the foreign key constraint handles item linking
@@ -516,211 +1044,1264 @@ const _deleteImage = async (settings, imageId) => {
     return handleResponse(res, 'delete', `image ID ${imageId}`);
 };
 
+// --- Image Variants (image_variants table) ---
+
 /**
- * Adds a single item record with basic details.
- * Expects data like { name, description, location_id, category_id, owner_id }
- * and optionally `imageFile` (a File object).
- * Can also accept `uuid` and `image_uuid` if importing. */
-export const addItem = async (settings, data) => {
+ * Internal: Lists variant rows (without their data) matching a column filter, e.g. `image_id=3`.
+ */
+const _listImageVariantRows = async (settings, filter) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
-    if (!data || !data.name || !data.location_id || !data.category_id || !data.owner_id) {
-        throw new Error("Item name, location ID, category ID, and owner ID are required.");
+
+    const queryUrl = `${baseUrl}/image_variants.json?${filter}&_col=image_id&_col=image_uuid&_col=variant&_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`Failed to list image variants: ${res.status} ${errorText}`);
     }
+    return (await res.json()) || [];
+};
 
-    let imageId = null;
-    let imageUuid = null; // Store image UUID separately
-    if (data.imageFile instanceof File) { // Ensure it's a File object
-        try {
-            const base64Data = await readFileAsBase64(data.imageFile);
-            // Pass filename and potentially image_uuid (if importing) to _insertImage
-            const imageResult = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name, data.image_uuid);
-            imageId = imageResult.imageId;
-            imageUuid = imageResult.imageUuid; // Get the generated or provided image UUID
-        } catch (error) {
-            console.error(`[${PROVIDER_NAME}]: Failed to process or insert image:`, error);
-            throw new Error(`Failed to handle image upload: ${error.message}`);
-        }
+/**
+ * Internal: Deletes every variant of an image.
+ */
+const _deleteImageVariants = async (settings, imageId) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const rows = await _listImageVariantRows(settings, `image_id=${imageId}`);
+    for (const row of rows) {
+        const res = await fetch(`${baseUrl}/image_variants/${row.image_variant_id}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `image variant ID ${row.image_variant_id}`);
     }
+};
 
-    const newItemUuid = data.uuid || uuidv4(); // Use provided UUID or generate
-    // Prepare the row data, ensuring description is null if empty
-    const itemRowData = {
+/**
+ * Internal: Inserts a variant of an image, or replaces the one already stored.
+ */
+const _saveImageVariant = async (settings, imageId, imageUuid, variant, file) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const base64Data = await readFileAsBase64(file);
+    const [existing] = await _listImageVariantRows(settings, `image_uuid=${imageUuid}&variant=${variant}`);
+    if (existing) {
+        const payload = { update: { image_data: base64Data, image_mimetype: file.type } };
+        const res = await fetch(`${baseUrl}/image_variants/${existing.image_variant_id}/-/update`, { method: 'POST', headers: defaultHeaders(settings), body: JSON.stringify(payload) });
+        return handleResponse(res, 'update', `${variant} of image ${imageUuid}`);
+    }
+    const payload = { row: { image_id: imageId, image_uuid: imageUuid, variant, image_data: base64Data, image_mimetype: file.type } };
+    const res = await fetch(`${baseUrl}/image_variants/-/insert`, { method: 'POST', headers: defaultHeaders(settings), body: JSON.stringify(payload) });
+    return handleResponse(res, 'insert', `${variant} of image ${imageUuid}`);
+};
+
+/**
+ * Internal: Fetches a stored variant of an image as { blob, filename }, or null if there is none.
+ */
+const _getImageVariantByUuid = async (settings, imageUuid, variant) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/image_variants.json?image_uuid=${imageUuid}&variant=${variant}&_col=image_data&_col=image_mimetype&_shape=array&_size=1`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`Failed to fetch ${variant} of image ${imageUuid}: ${res.status} ${errorText}`);
+    }
+    const [row] = (await res.json()) || [];
+    if (!row || !row.image_data || !row.image_mimetype) return null;
+    return { blob: base64ToBlob(row.image_data, row.image_mimetype), filename: `${variant}_${imageUuid}` };
+};
+
+// --- Item Images (item_images join table) ---
+// Datasette does not enforce the foreign keys, so join rows are deleted explicitly.
+
+/**
+ * Internal: Lists an item's item_images rows in display order.
+ */
+const _listItemImageRows = async (settings, itemId) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/item_images.json?item_id=${itemId}&_sort=position&_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to list images of item ID ${itemId}: ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to list images of item ID ${itemId}: ${res.status}`);
+    }
+    const rows = (await res.json()) || [];
+    return rows.map(row => ({ ...row, is_primary: !!row.is_primary })); // SQLite stores booleans as 0/1
+};
+
+/**
+ * Internal: Inserts an item_images row.
+ */
+const _insertItemImageRow = async (settings, row) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/item_images/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...row, is_primary: row.is_primary ? 1 : 0 } }),
+    });
+    return handleResponse(res, 'insert', `image link for item ID ${row.item_id}`);
+};
+
+/**
+ * Internal: Deletes item_images rows by their IDs.
+ */
+const _deleteItemImageRows = async (settings, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const row of rows) {
+        const deleteUrl = `${baseUrl}/item_images/${row.item_image_id}/-/delete`;
+        const res = await fetch(deleteUrl, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `image link ID ${row.item_image_id}`);
+    }
+};
+
+/**
+ * Internal: Writes the positions and primary flags that differ between two versions of an item's rows.
+ */
+const _saveItemImageRows = async (settings, previousRows, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const row of rows) {
+        const previous = previousRows.find(r => r.item_image_id === row.item_image_id);
+        if (previous && previous.position === row.position && previous.is_primary === row.is_primary) continue;
+        const updateUrl = `${baseUrl}/item_images/${row.item_image_id}/-/update`;
+        const payload = { update: { position: row.position, is_primary: row.is_primary ? 1 : 0 } };
+        const res = await fetch(updateUrl, { method: 'POST', headers: defaultHeaders(settings), body: JSON.stringify(payload) });
+        await handleResponse(res, 'update', `image link ID ${row.item_image_id}`);
+    }
+};
+
+/**
+ * Internal: Mirrors the primary image (or its absence) into the item row.
+ */
+const _setItemPrimaryImage = async (settings, itemId, primaryRow) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const payload = {
+        update: {
+            image_id: primaryRow?.image_id ?? null,
+            image_uuid: primaryRow?.image_uuid ?? null,
+            updated_at: new Date().toISOString()
+        }
+    };
+    const res = await fetch(`${baseUrl}/items/${itemId}/-/update`, { method: 'POST', headers: defaultHeaders(settings), body: JSON.stringify(payload) });
+    return handleResponse(res, 'update', `item ID ${itemId}`);
+};
+
+/**
+ * Internal: Saves changed rows and updates the item row if the primary image changed.
+ */
+const _applyItemImageRows = async (settings, itemId, previousRows, rows) => {
+    await _saveItemImageRows(settings, previousRows, rows);
+    const previousPrimary = previousRows.find(row => row.is_primary);
+    const primary = rows.find(row => row.is_primary);
+    if (previousPrimary?.image_uuid !== primary?.image_uuid) {
+        await _setItemPrimaryImage(settings, itemId, primary);
+    }
+};
+
+/**
+ * Internal: Stores an image (and its thumbnail, if given) and appends it to the item's images.
+ * Does not touch the item row; callers mirror the image there when `isPrimary` is returned.
+ */
+const _appendItemImage = async (settings, itemId, imageFile, imageUuid, makePrimary, thumbnailFile = null) => {
+    const previousRows = await _listItemImageRows(settings, itemId);
+    const base64Data = await readFileAsBase64(imageFile);
+    const imageResult = await _insertImage(settings, base64Data, imageFile.type, imageFile.name, imageUuid);
+    if (thumbnailFile instanceof File) {
+        await _saveImageVariant(settings, imageResult.imageId, imageResult.imageUuid, 'thumb', thumbnailFile);
+    }
+
+    const isPrimary = makePrimary || !previousRows.some(row => row.is_primary);
+    const position = previousRows.length > 0 ? Math.max(...previousRows.map(row => row.position)) + 1 : 0;
+    await _insertItemImageRow(settings, {
+        item_id: itemId,
+        image_id: imageResult.imageId,
+        image_uuid: imageResult.imageUuid,
+        position,
+        is_primary: isPrimary,
+    });
+    if (isPrimary) {
+        await _saveItemImageRows(settings, previousRows, previousRows.map(row => ({ ...row, is_primary: false })));
+    }
+    return { ...imageResult, isPrimary };
+};
+
+/**
+ * Adds a single item record with basic details.
+ * Expects data like { name, description, location_id, category_id, owner_id, tag_ids?, field_values? }
+ * and optionally `imageFile` (a File object) with its `thumbnailFile`.
+ * Can also accept `uuid` and `image_uuid` if importing. */
+export const addItem = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!data || !data.name || !data.location_id || !data.category_id || !data.owner_id) {
+        throw new Error("Item name, location ID, category ID, and owner ID are required.");
+    }
+
+    let imageId = null;
+    let imageUuid = null; // Store image UUID separately
+    if (data.imageFile instanceof File) { // Ensure it's a File object
+        try {
+            const base64Data = await readFileAsBase64(data.imageFile);
+            // Pass filename and potentially image_uuid (if importing) to _insertImage
+            const imageResult = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name, data.image_uuid);
+            imageId = imageResult.imageId;
+            imageUuid = imageResult.imageUuid; // Get the generated or provided image UUID
+            if (data.thumbnailFile instanceof File) {
+                await _saveImageVariant(settings, imageId, imageUuid, 'thumb', data.thumbnailFile);
+            }
+        } catch (error) {
+            console.error(`[${PROVIDER_NAME}]: Failed to process or insert image:`, error);
+            throw new Error(`Failed to handle image upload: ${error.message}`);
+        }
+    }
+
+    const newItemUuid = data.uuid || uuidv4(); // Use provided UUID or generate
+    // Prepare the row data, ensuring description is null if empty
+    const itemRowData = {
         name: data.name,
         description: data.description || null,
         location_id: data.location_id,
         category_id: data.category_id,
         owner_id: data.owner_id, // Add owner_id
         price: typeof data.price !== "undefined" && data.price !== null ? parseFloat(data.price) : null,
+        status: normalizeItemStatus(data.status) ?? null,
         uuid: newItemUuid, // Add item UUID
         image_id: imageId, // Use the inserted image ID or null
         image_uuid: imageUuid, // Use the inserted image UUID or null
+        deleted_at: data.deleted_at || null, // Only set when importing an item that was in the trash
         updated_at: null // Explicitly set updated_at to null on creation
     };
+    if (data.created_at) itemRowData.created_at = data.created_at; // Kept when migrating from another provider
     const itemPayload = { row: itemRowData };
 
-    const itemRes = await fetch(`${baseUrl}/items/-/insert`, {
+    const itemRes = await fetch(`${baseUrl}/items/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(itemPayload),
+    });
+
+    // Use handleResponse for the item insert result
+    const addResult = await handleResponse(itemRes, 'add', 'item');
+    if (!addResult.success) {
+        // This case should ideally be covered by handleResponse throwing an error
+        throw new Error("Failed to add item, initial insert failed.");
+    }
+
+    // Fetch the newly created item by its UUID to get its ID and confirm creation details
+    // newItemUuid was generated earlier. imageUuid was determined from _insertImage or was null.
+    const fetchedItem = await fetchRecordByUuidWithRetry(settings, "items", newItemUuid, "item_id,uuid,image_uuid", "item");
+
+    if (imageId) {
+        // The first image of an item is its primary image
+        await _insertItemImageRow(settings, { item_id: fetchedItem.item_id, image_id: imageId, image_uuid: imageUuid, position: 0, is_primary: true });
+    }
+    if (Array.isArray(data.tag_ids)) {
+        await _setItemTags(settings, fetchedItem.item_id, data.tag_ids);
+    }
+    if (data.field_values) {
+        await _setItemFieldValues(settings, fetchedItem.item_id, data.field_values);
+    }
+    await _recordHistory(settings, 'item', newItemUuid, 'add', diffForHistory('item', null, {
+        ...itemRowData, tag_ids: data.tag_ids, field_values: data.field_values
+    }));
+
+    // fetchedItem.uuid should match newItemUuid.
+    // fetchedItem.image_uuid is the actual image_uuid associated in the DB.
+    return { success: true, newId: fetchedItem.item_id, uuid: newItemUuid, image_uuid: fetchedItem.image_uuid };
+};
+
+
+/**
+ * Updates an item's details, including potentially the image.
+ * Expects itemId and data like { name, description, location_id, category_id, owner_id, tag_ids?, field_values?, imageFile?, thumbnailFile?, removeImage? }
+ */
+export const updateItem = async (settings, inputData) => { // data should NOT contain uuid
+    const { item_id: itemId, ...data } = inputData;
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!itemId) throw new Error("Item ID is required for update.");
+    // Add checks for location_id and category_id if they are mandatory for update
+    if (!data || !data.name || !data.location_id || !data.category_id || !data.owner_id) {
+        throw new Error("Item name, location ID, category ID, and owner ID are required for update.");
+    }
+
+    const before = await _getItemMetadata(settings, itemId); // For the history
+
+    // Fetch current item data to get existing image_id and image_uuid
+    // Select uuid as well to ensure it's not overwritten
+    const currentItemRes = await fetch(`${baseUrl}/items/${itemId}.json?_shape=object&_select=image_id,image_uuid,uuid`, { headers: { 'Accept': 'application/json' } });
+    if (!currentItemRes.ok) throw new Error(`Failed to fetch current item data for update: ${currentItemRes.status}`);
+    const currentItemData = await currentItemRes.json();
+        
+        const existingImageId = currentItemData[itemId]?.image_id || null; // Use direct access
+    let existingImageUuid = currentItemData[itemId]?.image_uuid; // Get existing image UUID
+
+    let newImageId = existingImageId; // Assume image doesn't change initially
+    let newImageUuid = existingImageUuid; // Assume image UUID doesn't change
+
+    if (data.removeImage && existingImageId) {
+        // Remove the primary image and promote the next one, if any
+        const rows = await _listItemImageRows(settings, itemId);
+        const remainingRows = normalizeItemImageRows(rows.filter(row => row.image_id !== existingImageId));
+        await _saveItemImageRows(settings, rows, remainingRows);
+        await _deleteItemImageRows(settings, rows.filter(row => row.image_id === existingImageId));
+        await _deleteImage(settings, existingImageId);
+        const promotedRow = remainingRows.find(row => row.is_primary);
+        newImageId = promotedRow?.image_id ?? null;
+        newImageUuid = promotedRow?.image_uuid ?? null;
+    } else if (data.imageFile) {
+        try {
+            if (existingImageId) {
+                // Update existing image record, pass filename
+                const base64Data = await readFileAsBase64(data.imageFile);
+                await _updateImage(settings, existingImageId, base64Data, data.imageFile.type, data.imageFile.name);
+                // newImageId remains existingImageId
+                // newImageUuid remains existingImageUuid (image content update doesn't change its UUID)
+                // Variants of the old content are stale now
+                await _deleteImageVariants(settings, existingImageId);
+                if (data.thumbnailFile instanceof File) {
+                    await _saveImageVariant(settings, existingImageId, existingImageUuid, 'thumb', data.thumbnailFile);
+                }
+            } else {
+                // Insert new image record as the primary image
+                const imageResult = await _appendItemImage(settings, itemId, data.imageFile, undefined, true, data.thumbnailFile);
+                newImageId = imageResult.imageId;
+                newImageUuid = imageResult.imageUuid; // Get the new image UUID
+            }
+        } catch (error) {
+            console.error("Failed to process or update/insert image:", error);
+            throw new Error(`Failed to handle image update: ${error.message}`);
+        }
+    }
+
+    const updateUrl = `${baseUrl}/items/${itemId}/-/update`;
+    const { uuid, ...updateData } = data; // Ensure item's own UUID isn't in the update payload
+    const payload = {
+        update: {
+            name: updateData.name,
+            description: updateData.description || null,
+            location_id: updateData.location_id,
+            category_id: updateData.category_id,
+            owner_id: updateData.owner_id,
+            price: typeof updateData.price !== "undefined" && updateData.price !== null ? parseFloat(updateData.price) : null,
+            status: normalizeItemStatus(updateData.status), // Undefined, and so left out of the JSON, when not given
+            image_id: newImageId, // Set the potentially updated image ID
+            image_uuid: newImageUuid, // Set the potentially updated image UUID
+            updated_at: new Date().toISOString() // Add the current timestamp
+        } // created_at is not updated
+    };
+
+    const res = await fetch(updateUrl, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(payload),
+    });
+
+    const updateResult = await handleResponse(res, 'update', `item ID ${itemId}`);
+    if (!updateResult.success) {
+        // This case should ideally be covered by handleResponse throwing an error
+        throw new Error(`Failed to update item ID ${itemId}, initial update failed.`);
+    }
+    if (Array.isArray(data.tag_ids)) {
+        await _setItemTags(settings, itemId, data.tag_ids);
+    }
+    if (data.field_values) {
+        await _setItemFieldValues(settings, itemId, data.field_values);
+    }
+    await _recordHistory(settings, 'item', before?.uuid, 'update', diffForHistory('item', before, {
+        ...payload.update, tag_ids: data.tag_ids, field_values: data.field_values
+    }));
+
+    // Fetch the updated image_uuid for the item
+    // newImageUuid is known from the logic within updateItem
+    return { success: true, image_uuid: newImageUuid }; // newImageUuid is determined earlier in the function
+};
+
+/**
+ * Internal: Sets or clears the deleted_at timestamp of an item.
+ * The operation ('delete' or 'restore') is also the action recorded in the history.
+ */
+const _setItemDeletedAt = async (settings, itemId, deletedAt, operation) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!itemId) throw new Error(`Item ID is required for ${operation}.`);
+
+    const before = await _getRow(settings, 'items', itemId);
+    const res = await fetch(`${baseUrl}/items/${itemId}/-/update`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ update: { deleted_at: deletedAt, updated_at: new Date().toISOString() } }),
+    });
+    await handleResponse(res, operation, `item ID ${itemId}`);
+    await _recordHistory(settings, 'item', before?.uuid, operation);
+    return { success: true };
+};
+
+/**
+ * Moves an item to the trash. Its images, tags and field values are kept until the trash is purged.
+ */
+export const deleteItem = async (settings, inputData) => {
+    return _setItemDeletedAt(settings, inputData?.item_id, new Date().toISOString(), 'delete');
+};
+
+/**
+ * Takes an item back out of the trash.
+ */
+export const restoreItem = async (settings, inputData) => {
+    return _setItemDeletedAt(settings, inputData?.item_id, null, 'restore');
+};
+
+/**
+ * Moves items to one status, recording the change of each in the history.
+ * Datasette updates one row per request, so the items are updated in turn.
+ */
+export const setItemStatus = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const { itemIds, status } = normalizeSetItemStatusInput(inputData);
+
+    let updatedCount = 0;
+    for (const itemId of itemIds) {
+        const before = await _getRow(settings, 'items', itemId);
+        if (!before) continue; // Deleted meanwhile
+        const res = await fetch(`${baseUrl}/items/${itemId}/-/update`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ update: { status, updated_at: new Date().toISOString() } }),
+        });
+        await handleResponse(res, 'update', `status of item ID ${itemId}`);
+        await _recordHistory(settings, 'item', before.uuid, 'update', diffForHistory('item', before, { status }));
+        updatedCount++;
+    }
+    return { success: true, updatedCount };
+};
+
+/**
+ * Internal: Permanently deletes an item record together with its images, wear events and loans,
+ * and drops it from its outfits and packing lists.
+ */
+const _purgeItem = async (settings, itemId) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!itemId) throw new Error("Item ID is required for deletion.");
+
+    // 1. Delete all of the item's images, tag links, field values and image links *before* deleting the item
+    const imageRows = await _listItemImageRows(settings, itemId);
+    await _deleteItemImageRows(settings, imageRows);
+    for (const row of imageRows) await _deleteImage(settings, row.image_id);
+    await _deleteItemTagRows(settings, await _listItemTagRows(settings, `item_id=${itemId}`));
+    await _deleteItemFieldValueRows(settings, await _listItemFieldValueRows(settings, `item_id=${itemId}`));
+
+    const itemRes = await fetch(`${baseUrl}/items/${itemId}.json?_shape=object&_select=image_id,uuid`); // Only need image_id and uuid
+    let itemUuid = null;
+    if (itemRes.ok) {
+        const itemData = await itemRes.json();
+            const imageId = itemData[itemId]?.image_id || null; // Use direct access
+        itemUuid = itemData[itemId]?.uuid || null;
+        // Delete an image that was never linked through item_images (handles its own errors)
+        if (imageId && !imageRows.some(row => row.image_id === imageId)) await _deleteImage(settings, imageId);
+    } // Ignore error if item not found, e.g., already deleted or inconsistent data.
+    if (itemUuid) await _deleteWearEvents(settings, await listWearEvents(settings, { item_uuid: itemUuid }));
+    if (itemUuid) await _deleteLoans(settings, await listLoans(settings, { item_uuid: itemUuid }));
+    if (itemUuid) await _deleteLinkRows(settings, 'outfit_items', await _listLinkRows(settings, 'outfit_items', `item_uuid=${encodeURIComponent(itemUuid)}`));
+    if (itemUuid) await _deleteLinkRows(settings, 'packing_list_items', await _listLinkRows(settings, 'packing_list_items', `item_uuid=${encodeURIComponent(itemUuid)}`));
+
+    const deleteUrl = `${baseUrl}/items/${itemId}/-/delete`;
+
+    const res = await fetch(deleteUrl, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        // No body needed
+    });
+
+    await handleResponse(res, 'delete', `item ID ${itemId}`);
+    await _recordHistory(settings, 'item', itemUuid, 'purge');
+    return { success: true };
+};
+
+/**
+ * Lists the items in the trash, most recently deleted first unless the query says otherwise.
+ */
+export const listTrash = async (settings, query) => {
+    return listItems(settings, { ...query, trashed: true, sort: query?.sort || 'deleted_at_desc' });
+};
+
+/**
+ * Permanently deletes items in the trash, optionally only the given ones or those deleted before a time.
+ */
+export const purgeTrash = async (settings, inputData = {}) => {
+    const { item_ids: itemIds, deleted_before: deletedBefore } = inputData;
+    const { items: trashedItems } = await listTrash(settings);
+    const itemsToPurge = trashedItems.filter(item =>
+        (!Array.isArray(itemIds) || itemIds.includes(item.item_id)) &&
+        (!deletedBefore || new Date(item.deleted_at) < new Date(deletedBefore))
+    );
+    for (const item of itemsToPurge) await _purgeItem(settings, item.item_id);
+    return { success: true, purgedCount: itemsToPurge.length };
+};
+
+/**
+ * Internal: Lists every item, the ones in the trash included.
+ */
+const _listItemsWithTrash = async (settings) => {
+    const { items } = await listItems(settings);
+    const { items: trashedItems } = await listTrash(settings);
+    return [...items, ...trashedItems];
+};
+
+// Datasette caps rows returned by a single SQL query (max_returned_rows, 1000 by default),
+// so unbounded listings are fetched in pages of this size.
+const SQL_PAGE_SIZE = 500;
+
+/**
+ * Internal: Runs a read-only SQL query against the database's JSON endpoint.
+ * Named parameters (`:name`) are passed as query string arguments.
+ */
+const _runSqlQuery = async (settings, sql, params = {}) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const searchParams = new URLSearchParams({ sql, _shape: 'array', _ttl: '0' });
+    Object.entries(params).forEach(([key, value]) => searchParams.set(key, String(value)));
+    const res = await fetch(`${baseUrl}.json?${searchParams.toString()}`, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+    });
+    if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`Failed to run query: ${res.status} ${errorText}`);
+    }
+    return (await res.json()) || [];
+};
+
+/**
+ * Internal: Translates a normalized item query into a SQL WHERE clause with named parameters.
+ */
+const _buildItemWhere = (q) => {
+    const conditions = [];
+    const params = {};
+    const addIdFilter = (column, ids) => {
+        if (ids.length === 0) return;
+        const names = ids.map((id, i) => {
+            params[`${column}_${i}`] = id;
+            return `:${column}_${i}`;
+        });
+        conditions.push(`${column} IN (${names.join(', ')})`);
+    };
+    // Matches the selected rows of a tree table and every row nested inside them; UNION stops at rows already seen
+    const addSubtreeFilter = (column, table, parentColumn, ids) => {
+        if (ids.length === 0) return;
+        const names = ids.map((id, i) => {
+            params[`${column}_${i}`] = id;
+            return `:${column}_${i}`;
+        });
+        conditions.push(`${column} IN (WITH RECURSIVE subtree(id) AS (`
+            + `SELECT ${column} FROM ${table} WHERE ${column} IN (${names.join(', ')}) `
+            + `UNION SELECT ${table}.${column} FROM ${table} JOIN subtree ON ${table}.${parentColumn} = subtree.id`
+            + `) SELECT id FROM subtree)`);
+    };
+
+    if (q.name) {
+        // The pattern ignores case beyond ASCII too, matching the in-browser filter
+        conditions.push('(name GLOB :name OR description GLOB :name)');
+        params.name = containsGlobPattern(q.name);
+    }
+    addSubtreeFilter('location_id', 'locations', 'parent_location_id', q.locationIds);
+    addSubtreeFilter('category_id', 'categories', 'parent_category_id', q.categoryIds);
+    addIdFilter('owner_id', q.ownerIds);
+    addIdFilter('status', q.statuses);
+    conditions.push(q.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+    if (q.tagIds.length > 0) {
+        const names = q.tagIds.map((id, i) => {
+            params[`tag_id_${i}`] = id;
+            return `:tag_id_${i}`;
+        });
+        // In 'and' mode an item has to be linked to every one of the tags
+        const having = q.tagMode === 'and' ? ` GROUP BY item_id HAVING COUNT(DISTINCT tag_id) = ${q.tagIds.length}` : '';
+        conditions.push(`item_id IN (SELECT item_id FROM item_tags WHERE tag_id IN (${names.join(', ')})${having})`);
+    }
+    q.fieldFilters.forEach((filter, i) => {
+        params[`field_id_${i}`] = filter.fieldId;
+        let valueCondition = `value = :field_value_${i}`;
+        params[`field_value_${i}`] = filter.value;
+        if (filter.match === 'contains') {
+            valueCondition = `value GLOB :field_value_${i}`;
+            params[`field_value_${i}`] = containsGlobPattern(filter.value);
+        }
+        conditions.push(`item_id IN (SELECT item_id FROM item_field_values WHERE field_id = :field_id_${i} AND ${valueCondition})`);
+    });
+    if (typeof q.priceMin === 'number') {
+        conditions.push('(price IS NULL OR price >= :price_min)');
+        params.price_min = q.priceMin;
+    }
+    if (typeof q.priceMax === 'number') {
+        conditions.push('(price IS NULL OR price <= :price_max)');
+        params.price_max = q.priceMax;
+    }
+
+    return {
+        where: `WHERE ${conditions.join(' AND ')}`, // The trash condition is always there
+        params,
+    };
+};
+
+// Collects an item's tag IDs into a comma-separated tag_ids column
+const ITEM_TAG_IDS_COLUMN = '(SELECT group_concat(tag_id) FROM item_tags WHERE item_tags.item_id = items.item_id) AS tag_ids';
+// Collects an item's custom field values into a JSON object keyed by field_id
+const ITEM_FIELD_VALUES_COLUMN = '(SELECT json_group_object(field_id, value) FROM item_field_values WHERE item_field_values.item_id = items.item_id) AS field_values';
+// Counts an item's wear events and finds the latest of them
+const ITEM_WEAR_COLUMNS = '(SELECT COUNT(*) FROM wear_events WHERE wear_events.item_uuid = items.uuid) AS wear_count, ' +
+    '(SELECT MAX(worn_on) FROM wear_events WHERE wear_events.item_uuid = items.uuid) AS last_worn_on';
+// Finds the latest loan date and the earliest due date of an item's open loans, as summarizeOpenLoans does
+const ITEM_LOAN_COLUMNS = '(SELECT MAX(lent_on) FROM loans WHERE loans.item_uuid = items.uuid AND loans.returned_on IS NULL) AS lent_on, ' +
+    '(SELECT MIN(due_on) FROM loans WHERE loans.item_uuid = items.uuid AND loans.returned_on IS NULL) AS loan_due_on';
+
+/**
+ * Internal: Turns a row selected with the tag and field value columns into ItemMetadata.
+ */
+const _toItemMetadata = (row) => ({
+    ...row,
+    tag_ids: row.tag_ids ? String(row.tag_ids).split(',').map(Number) : [],
+    field_values: row.field_values ? JSON.parse(row.field_values) : {},
+});
+
+/**
+ * Internal: Fetches the metadata of one item, or null if it does not exist.
+ */
+const _getItemMetadata = async (settings, itemId) => {
+    const rows = await _runSqlQuery(
+        settings,
+        `SELECT items.*, ${ITEM_TAG_IDS_COLUMN}, ${ITEM_FIELD_VALUES_COLUMN}, ${ITEM_WEAR_COLUMNS}, ${ITEM_LOAN_COLUMNS} FROM items WHERE item_id = :item_id`,
+        { item_id: itemId }
+    );
+    return rows.length > 0 ? _toItemMetadata(rows[0]) : null;
+};
+
+/**
+ * Gets an item by its UUID, also when it is in the trash. Resolves to null when there is no such item.
+ */
+export const getItemByUuid = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (!inputData?.uuid) throw new Error("Item UUID is required.");
+    const rows = await _runSqlQuery(
+        settings,
+        `SELECT items.*, ${ITEM_TAG_IDS_COLUMN}, ${ITEM_FIELD_VALUES_COLUMN}, ${ITEM_WEAR_COLUMNS}, ${ITEM_LOAN_COLUMNS} FROM items WHERE uuid = :uuid`,
+        { uuid: inputData.uuid }
+    );
+    return rows.length > 0 ? _toItemMetadata(rows[0]) : null;
+};
+
+/**
+ * Lists item metadata matching an optional query, filtered, sorted and paged by SQLite,
+ * in the order compareItemsBy describes.
+ */
+export const listItems = async (settings, query) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const q = normalizeItemQuery(query);
+
+    try {
+        const { where, params } = _buildItemWhere(q);
+        const { sortBy, sortOrder } = parseSortCriteria(q.sort);
+        const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+        const nulls = sortOrder === 'asc' ? 'NULLS FIRST' : 'NULLS LAST';
+        const orderBy = `ORDER BY ${sortBy === 'name' ? 'name COLLATE NOCASE' : sortBy} ${direction} ${nulls}, item_id ${direction}`;
+
+        const countRows = await _runSqlQuery(settings, `SELECT COUNT(*) AS total FROM items ${where}`, params);
+        const totalCount = countRows[0]?.total || 0;
+
+        const end = q.limit !== undefined ? Math.min(q.offset + q.limit, totalCount) : totalCount;
+        const items = [];
+        for (let offset = q.offset; offset < end; offset += SQL_PAGE_SIZE) {
+            const pageRows = await _runSqlQuery(
+                settings,
+                `SELECT items.*, ${ITEM_TAG_IDS_COLUMN}, ${ITEM_FIELD_VALUES_COLUMN}, ${ITEM_WEAR_COLUMNS}, ${ITEM_LOAN_COLUMNS} FROM items ${where} ${orderBy} LIMIT :limit OFFSET :offset`,
+                { ...params, limit: Math.min(SQL_PAGE_SIZE, end - offset), offset }
+            );
+            items.push(...pageRows.map(_toItemMetadata));
+            if (pageRows.length === 0) break; // Rows were deleted between the count and this page
+        }
+
+        return { items, totalCount };
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Error in Datasette listItems:`, error); // Keep provider prefix
+        throw error;
+    }
+};
+
+/**
+ * Internal: Lists every item for an export, selecting only what the database's schema
+ * version has, so that a database waiting for its schema migration can be backed up.
+ */
+const _listItemsForExport = async (settings, dbVersion, includeTrash) => {
+    const columns = ['items.*'];
+    if (schemaHas(dbVersion, 'item_tags')) columns.push(ITEM_TAG_IDS_COLUMN);
+    if (schemaHas(dbVersion, 'item_field_values')) columns.push(ITEM_FIELD_VALUES_COLUMN);
+    // Items can only be in the trash once the schema has deleted_at
+    const where = includeTrash || !schemaHas(dbVersion, 'items.deleted_at') ? '' : 'WHERE deleted_at IS NULL';
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT ${columns.join(', ')} FROM items ${where} ORDER BY item_id LIMIT :limit OFFSET :offset`,
+            { limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return rows.map(_toItemMetadata);
+};
+
+// --- Wear Events ---
+
+/**
+ * Records that an item was worn, today unless the input names another day.
+ */
+export const addWearEvent = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const wearEvent = normalizeWearEvent(data);
+    const newUuid = wearEvent.uuid || uuidv4();
+
+    const insertRes = await fetch(`${baseUrl}/wear_events/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...wearEvent, uuid: newUuid } }),
+    });
+    await handleResponse(insertRes, 'add', 'wear event');
+
+    const fetchedEvent = await fetchRecordByUuidWithRetry(settings, "wear_events", newUuid, "wear_id,uuid", "wear event");
+    return { success: true, newId: fetchedEvent.wear_id, uuid: newUuid };
+};
+
+/**
+ * Lists wear events, most recently worn first, optionally only those of one item.
+ */
+export const listWearEvents = async (settings, query = {}) => {
+    const where = query.item_uuid ? 'WHERE item_uuid = :item_uuid' : '';
+    const params = query.item_uuid ? { item_uuid: query.item_uuid } : {};
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT * FROM wear_events ${where} ORDER BY worn_on DESC, wear_id DESC LIMIT :limit OFFSET :offset`,
+            { ...params, limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizeWearEvents(rows);
+};
+
+/**
+ * Deletes a wear event, e.g. one recorded by mistake.
+ */
+export const deleteWearEvent = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const wearId = inputData?.wear_id;
+    if (!wearId) throw new Error("Wear event ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/wear_events/${wearId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `wear event ID ${wearId}`);
+    return { success: true };
+};
+
+/**
+ * Internal: Deletes the given wear events, e.g. those of a purged item.
+ */
+const _deleteWearEvents = async (settings, wearEvents) => {
+    for (const wearEvent of wearEvents) await deleteWearEvent(settings, wearEvent);
+};
+
+// --- Loans ---
+
+/**
+ * Records that an item was lent to someone. An item that is lent out already cannot be lent again
+ * before it is returned.
+ */
+export const addLoan = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const loan = normalizeLoan(data);
+    if (!loan.returned_on && (await listLoans(settings, { item_uuid: loan.item_uuid, open: true })).length > 0) {
+        throw new Error("The item is lent out already.");
+    }
+    const newUuid = loan.uuid || uuidv4();
+
+    const insertRes = await fetch(`${baseUrl}/loans/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...loan, uuid: newUuid } }),
+    });
+    await handleResponse(insertRes, 'add', 'loan');
+
+    const fetchedLoan = await fetchRecordByUuidWithRetry(settings, "loans", newUuid, "loan_id,uuid", "loan");
+    return { success: true, newId: fetchedLoan.loan_id, uuid: newUuid };
+};
+
+/**
+ * Lists loans, most recently lent first, optionally only those of one item or those not returned yet.
+ */
+export const listLoans = async (settings, query = {}) => {
+    const conditions = [];
+    const params = {};
+    if (query.item_uuid) {
+        conditions.push('item_uuid = :item_uuid');
+        params.item_uuid = query.item_uuid;
+    }
+    if (query.open) conditions.push('returned_on IS NULL');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT * FROM loans ${where} ORDER BY lent_on DESC, loan_id DESC LIMIT :limit OFFSET :offset`,
+            { ...params, limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizeLoans(rows);
+};
+
+/**
+ * Changes the due date, return date or note of a loan, e.g. when the item comes back.
+ */
+export const updateLoan = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for update.");
+    const loan = await _getRow(settings, 'loans', loanId);
+    if (!loan) throw new Error(`Loan ID ${loanId} not found.`);
+    const changes = normalizeLoanUpdate(inputData, normalizeLoans([loan])[0]);
+
+    const res = await fetch(`${baseUrl}/loans/${loanId}/-/update`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ update: { ...changes, updated_at: new Date().toISOString() } }),
+    });
+    await handleResponse(res, 'update', `loan ID ${loanId}`);
+    return { success: true };
+};
+
+/**
+ * Deletes a loan, e.g. one recorded by mistake.
+ */
+export const deleteLoan = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/loans/${loanId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `loan ID ${loanId}`);
+    return { success: true };
+};
+
+/**
+ * Internal: Deletes the given loans, e.g. those of a purged item.
+ */
+const _deleteLoans = async (settings, loans) => {
+    for (const loan of loans) await deleteLoan(settings, loan);
+};
+
+// --- Outfits ---
+// The items and tags of an outfit are in the outfit_items and outfit_tags join tables, which refer
+// to the outfit by UUID. Like the other join rows, they are deleted explicitly.
+
+// Primary key column of each join table that refers to its outfit or packing list by UUID
+const LINK_IDS = { outfit_items: 'outfit_item_id', outfit_tags: 'outfit_tag_id', packing_list_items: 'packing_list_item_id' };
+
+// Collects an outfit's item and tag links as JSON arrays, and counts its wear events
+const OUTFIT_COLUMNS = "(SELECT json_group_array(json_object('item_uuid', item_uuid, 'position', position)) FROM outfit_items WHERE outfit_items.outfit_uuid = outfits.uuid) AS outfit_items, " +
+    "(SELECT json_group_array(json_object('tag_id', tag_id)) FROM outfit_tags WHERE outfit_tags.outfit_uuid = outfits.uuid) AS outfit_tags, " +
+    '(SELECT COUNT(*) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = outfits.uuid) AS wear_count, ' +
+    '(SELECT MAX(worn_on) FROM outfit_wear_events WHERE outfit_wear_events.outfit_uuid = outfits.uuid) AS last_worn_on';
+
+/**
+ * Internal: Lists the rows of a join table in LINK_IDS matching a filter such as `outfit_uuid=...`.
+ */
+const _listLinkRows = async (settings, table, filter) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const queryUrl = `${baseUrl}/${table}.json?${filter}&_shape=array&_size=max&_ttl=0`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+    if (!res.ok) {
+        const errorText = await res.text();
+        console.error(`[${PROVIDER_NAME}]: Failed to list ${table} (${filter}): ${res.status} ${errorText}`, res);
+        throw new Error(`Failed to list ${table}: ${res.status}`);
+    }
+    return (await res.json()) || [];
+};
+
+/**
+ * Internal: Deletes rows of a join table in LINK_IDS.
+ */
+const _deleteLinkRows = async (settings, table, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    for (const row of rows) {
+        const linkId = row[LINK_IDS[table]];
+        const res = await fetch(`${baseUrl}/${table}/${linkId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+        await handleResponse(res, 'delete', `${table} row ID ${linkId}`);
+    }
+};
+
+/**
+ * Internal: Inserts rows into a join table in LINK_IDS.
+ */
+const _insertLinkRows = async (settings, table, rows) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    if (rows.length === 0) return;
+
+    const res = await fetch(`${baseUrl}/${table}/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ rows }),
+    });
+    await handleResponse(res, 'insert', table);
+};
+
+/**
+ * Internal: Makes the outfit's items exactly the given item UUIDs, in that order.
+ */
+const _setOutfitItems = async (settings, outfitUuid, itemUuids) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+
+    const rows = await _listLinkRows(settings, 'outfit_items', `outfit_uuid=${encodeURIComponent(outfitUuid)}`);
+    await _deleteLinkRows(settings, 'outfit_items', rows.filter(row => !itemUuids.includes(row.item_uuid)));
+    for (const row of rows) {
+        const position = itemUuids.indexOf(row.item_uuid);
+        if (position === -1 || position === row.position) continue;
+        const res = await fetch(`${baseUrl}/outfit_items/${row.outfit_item_id}/-/update`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ update: { position } }),
+        });
+        await handleResponse(res, 'update', `outfit_items row ID ${row.outfit_item_id}`);
+    }
+    await _insertLinkRows(settings, 'outfit_items', itemUuids
+        .map((itemUuid, position) => ({ outfit_uuid: outfitUuid, item_uuid: itemUuid, position }))
+        .filter(link => !rows.some(row => row.item_uuid === link.item_uuid)));
+};
+
+/**
+ * Internal: Makes the outfit's tags exactly the given tag IDs.
+ */
+const _setOutfitTags = async (settings, outfitUuid, tagIds) => {
+    const rows = await _listLinkRows(settings, 'outfit_tags', `outfit_uuid=${encodeURIComponent(outfitUuid)}`);
+    await _deleteLinkRows(settings, 'outfit_tags', rows.filter(row => !tagIds.includes(row.tag_id)));
+    await _insertLinkRows(settings, 'outfit_tags', tagIds
+        .filter(tagId => !rows.some(row => row.tag_id === tagId))
+        .map(tagId => ({ outfit_uuid: outfitUuid, tag_id: tagId })));
+};
+
+/**
+ * Internal: Deletes the image with the given UUID, e.g. the photo of an outfit.
+ */
+const _deleteImageByUuid = async (settings, imageUuid) => {
+    const [image] = await _runSqlQuery(settings, 'SELECT image_id FROM images WHERE uuid = :uuid', { uuid: imageUuid });
+    if (image) await _deleteImage(settings, image.image_id);
+};
+
+/**
+ * Lists outfits by name, optionally only those with the given item.
+ */
+export const listOutfits = async (settings, query = {}) => {
+    const where = query.item_uuid ? 'WHERE uuid IN (SELECT outfit_uuid FROM outfit_items WHERE item_uuid = :item_uuid)' : '';
+    const params = query.item_uuid ? { item_uuid: query.item_uuid } : {};
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT *, ${OUTFIT_COLUMNS} FROM outfits ${where} ORDER BY outfit_id LIMIT :limit OFFSET :offset`,
+            { ...params, limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizeOutfits(rows);
+};
+
+/**
+ * Adds an outfit, with its photo when the input has an imageFile.
+ */
+export const addOutfit = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const { item_uuids: itemUuids, tag_ids: tagIds, ...outfit } = normalizeOutfit(data);
+    const newUuid = outfit.uuid || uuidv4();
+
+    let imageUuid = null;
+    if (data.imageFile instanceof File) {
+        const base64Data = await readFileAsBase64(data.imageFile);
+        ({ imageUuid } = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name, data.image_uuid));
+    }
+
+    const insertRes = await fetch(`${baseUrl}/outfits/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...outfit, uuid: newUuid, image_uuid: imageUuid, updated_at: data.updated_at || null } }),
+    });
+    await handleResponse(insertRes, 'add', 'outfit');
+
+    const fetchedOutfit = await fetchRecordByUuidWithRetry(settings, "outfits", newUuid, "outfit_id,uuid", "outfit");
+    await _setOutfitItems(settings, newUuid, itemUuids);
+    await _setOutfitTags(settings, newUuid, tagIds);
+    return { success: true, newId: fetchedOutfit.outfit_id, uuid: newUuid };
+};
+
+/**
+ * Changes an outfit; a new imageFile replaces its photo and removeImage deletes it.
+ */
+export const updateOutfit = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for update.");
+    const existing = await _getRow(settings, 'outfits', outfitId);
+    if (!existing) return { success: false, message: 'Outfit not found' };
+    const { item_uuids: itemUuids, tag_ids: tagIds, ...changes } = normalizeOutfitUpdate(inputData);
+
+    const imageFile = inputData.imageFile instanceof File ? inputData.imageFile : null;
+    const replacesImage = Boolean(imageFile || inputData.removeImage);
+    let imageUuid = replacesImage ? null : existing.image_uuid;
+    if (imageFile) {
+        const base64Data = await readFileAsBase64(imageFile);
+        ({ imageUuid } = await _insertImage(settings, base64Data, imageFile.type, imageFile.name, inputData.image_uuid));
+    }
+
+    const res = await fetch(`${baseUrl}/outfits/${outfitId}/-/update`, {
         method: 'POST',
         headers: defaultHeaders(settings),
-        body: JSON.stringify(itemPayload),
+        body: JSON.stringify({ update: { ...changes, image_uuid: imageUuid, updated_at: new Date().toISOString() } }),
     });
+    await handleResponse(res, 'update', `outfit ID ${outfitId}`);
+    if (replacesImage && existing.image_uuid) await _deleteImageByUuid(settings, existing.image_uuid);
+    if (itemUuids !== undefined) await _setOutfitItems(settings, existing.uuid, itemUuids);
+    if (tagIds !== undefined) await _setOutfitTags(settings, existing.uuid, tagIds);
+    return { success: true };
+};
 
-    // Use handleResponse for the item insert result
-    const addResult = await handleResponse(itemRes, 'add', 'item');
-    if (!addResult.success) {
-        // This case should ideally be covered by handleResponse throwing an error
-        throw new Error("Failed to add item, initial insert failed.");
-    }
+/**
+ * Deletes an outfit with its photo and wear events; its items stay.
+ */
+export const deleteOutfit = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for deletion.");
+    const existing = await _getRow(settings, 'outfits', outfitId);
+    if (!existing) return { success: false, message: 'Outfit not found' };
+
+    const outfitFilter = `outfit_uuid=${encodeURIComponent(existing.uuid)}`;
+    await _deleteLinkRows(settings, 'outfit_items', await _listLinkRows(settings, 'outfit_items', outfitFilter));
+    await _deleteLinkRows(settings, 'outfit_tags', await _listLinkRows(settings, 'outfit_tags', outfitFilter));
+    await _deleteOutfitWearEvents(settings, await listOutfitWearEvents(settings, { outfit_uuid: existing.uuid }));
+
+    const res = await fetch(`${baseUrl}/outfits/${outfitId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `outfit ID ${outfitId}`);
+    if (existing.image_uuid) await _deleteImageByUuid(settings, existing.image_uuid);
+    return { success: true };
+};
 
-    // Fetch the newly created item by its UUID to get its ID and confirm creation details
-    // newItemUuid was generated earlier. imageUuid was determined from _insertImage or was null.
-    const fetchedItem = await fetchRecordByUuidWithRetry(settings, "items", newItemUuid, "item_id,uuid,image_uuid", "item");
+/**
+ * Records that an outfit was worn, today unless the input names another day.
+ */
+export const addOutfitWearEvent = async (settings, data) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const wearEvent = normalizeOutfitWearEvent(data);
+    const newUuid = wearEvent.uuid || uuidv4();
 
-    // fetchedItem.uuid should match newItemUuid.
-    // fetchedItem.image_uuid is the actual image_uuid associated in the DB.
-    return { success: true, newId: fetchedItem.item_id, uuid: newItemUuid, image_uuid: fetchedItem.image_uuid };
+    const insertRes = await fetch(`${baseUrl}/outfit_wear_events/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...wearEvent, uuid: newUuid } }),
+    });
+    await handleResponse(insertRes, 'add', 'outfit wear event');
+
+    const fetchedEvent = await fetchRecordByUuidWithRetry(settings, "outfit_wear_events", newUuid, "outfit_wear_id,uuid", "outfit wear event");
+    return { success: true, newId: fetchedEvent.outfit_wear_id, uuid: newUuid };
 };
 
+/**
+ * Lists outfit wear events, most recently worn first, optionally only those of one outfit.
+ */
+export const listOutfitWearEvents = async (settings, query = {}) => {
+    const where = query.outfit_uuid ? 'WHERE outfit_uuid = :outfit_uuid' : '';
+    const params = query.outfit_uuid ? { outfit_uuid: query.outfit_uuid } : {};
+
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT * FROM outfit_wear_events ${where} ORDER BY worn_on DESC, outfit_wear_id DESC LIMIT :limit OFFSET :offset`,
+            { ...params, limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizeOutfitWearEvents(rows);
+};
 
 /**
- * Updates an item's details, including potentially the image.
- * Expects itemId and data like { name, description, location_id, category_id, owner_id, imageFile?, removeImage? }
+ * Deletes an outfit wear event, e.g. one recorded by mistake.
  */
-export const updateItem = async (settings, inputData) => { // data should NOT contain uuid
-    const { item_id: itemId, ...data } = inputData;
+export const deleteOutfitWearEvent = async (settings, inputData) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
-    if (!itemId) throw new Error("Item ID is required for update.");
-    // Add checks for location_id and category_id if they are mandatory for update
-    if (!data || !data.name || !data.location_id || !data.category_id || !data.owner_id) {
-        throw new Error("Item name, location ID, category ID, and owner ID are required for update.");
-    }
+    const outfitWearId = inputData?.outfit_wear_id;
+    if (!outfitWearId) throw new Error("Outfit wear event ID is required for deletion.");
 
-    // Fetch current item data to get existing image_id and image_uuid
-    // Select uuid as well to ensure it's not overwritten
-    const currentItemRes = await fetch(`${baseUrl}/items/${itemId}.json?_shape=object&_select=image_id,image_uuid,uuid`, { headers: { 'Accept': 'application/json' } });
-    if (!currentItemRes.ok) throw new Error(`Failed to fetch current item data for update: ${currentItemRes.status}`);
-    const currentItemData = await currentItemRes.json();
-        
-        const existingImageId = currentItemData[itemId]?.image_id || null; // Use direct access
-    let existingImageUuid = currentItemData[itemId]?.image_uuid; // Get existing image UUID
+    const res = await fetch(`${baseUrl}/outfit_wear_events/${outfitWearId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `outfit wear event ID ${outfitWearId}`);
+    return { success: true };
+};
 
-    let newImageId = existingImageId; // Assume image doesn't change initially
-    let newImageUuid = existingImageUuid; // Assume image UUID doesn't change
+/**
+ * Internal: Deletes the given outfit wear events, e.g. those of a deleted outfit.
+ */
+const _deleteOutfitWearEvents = async (settings, wearEvents) => {
+    for (const wearEvent of wearEvents) await deleteOutfitWearEvent(settings, wearEvent);
+};
 
-    if (data.removeImage && existingImageId) {
-        await _deleteImage(settings, existingImageId);
-        newImageId = null;
-        newImageUuid = null; // Clear image UUID
-    } else if (data.imageFile) {
-        try {
-            const base64Data = await readFileAsBase64(data.imageFile);
-            if (existingImageId) {
-                // Update existing image record, pass filename
-                await _updateImage(settings, existingImageId, base64Data, data.imageFile.type, data.imageFile.name);
-                // newImageId remains existingImageId
-                // newImageUuid remains existingImageUuid (image content update doesn't change its UUID)
-            } else {
-                // Insert new image record, pass filename
-                const imageResult = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name);
-                newImageId = imageResult.imageId;
-                newImageUuid = imageResult.imageUuid; // Get the new image UUID
-            }
-        } catch (error) {
-            console.error("Failed to process or update/insert image:", error);
-            throw new Error(`Failed to handle image update: ${error.message}`);
-        }
-    }
+// New internal helper to get image by UUID
+// --- Packing Lists ---
+// The entries of a packing list are packing_list_items rows, which refer to the list by UUID and
+// store the packed and returned flags as 0/1.
 
-    const updateUrl = `${baseUrl}/items/${itemId}/-/update`;
-    const { uuid, ...updateData } = data; // Ensure item's own UUID isn't in the update payload
-    const payload = {
-        update: {
-            name: updateData.name,
-            description: updateData.description || null,
-            location_id: updateData.location_id,
-            category_id: updateData.category_id,
-            owner_id: updateData.owner_id,
-            price: typeof updateData.price !== "undefined" && updateData.price !== null ? parseFloat(updateData.price) : null,
-            image_id: newImageId, // Set the potentially updated image ID
-            image_uuid: newImageUuid, // Set the potentially updated image UUID
-            updated_at: new Date().toISOString() // Add the current timestamp
-        } // created_at is not updated
-    };
+// Collects a packing list's entries as a JSON array
+const PACKING_LIST_COLUMNS = "(SELECT json_group_array(json_object('item_uuid', item_uuid, 'position', position, 'packed', packed, 'returned', returned)) " +
+    'FROM packing_list_items WHERE packing_list_items.packing_list_uuid = packing_lists.uuid) AS packing_list_items';
 
-    const res = await fetch(updateUrl, {
-        method: 'POST',
-        headers: defaultHeaders(settings),
-        body: JSON.stringify(payload),
-    });
+/**
+ * Internal: Makes the list's entries exactly the given ones, in that order.
+ */
+const _setPackingListEntries = async (settings, packingListUuid, entries) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
 
-    const updateResult = await handleResponse(res, 'update', `item ID ${itemId}`);
-    if (!updateResult.success) {
-        // This case should ideally be covered by handleResponse throwing an error
-        throw new Error(`Failed to update item ID ${itemId}, initial update failed.`);
+    const rows = await _listLinkRows(settings, 'packing_list_items', `packing_list_uuid=${encodeURIComponent(packingListUuid)}`);
+    const toRow = (entry, position) => ({ position, packed: entry.packed ? 1 : 0, returned: entry.returned ? 1 : 0 });
+    await _deleteLinkRows(settings, 'packing_list_items', rows.filter(row => !entries.some(entry => entry.item_uuid === row.item_uuid)));
+    for (const row of rows) {
+        const position = entries.findIndex(entry => entry.item_uuid === row.item_uuid);
+        if (position === -1) continue;
+        const update = toRow(entries[position], position);
+        if (update.position === row.position && update.packed === row.packed && update.returned === row.returned) continue;
+        const res = await fetch(`${baseUrl}/packing_list_items/${row.packing_list_item_id}/-/update`, {
+            method: 'POST',
+            headers: defaultHeaders(settings),
+            body: JSON.stringify({ update }),
+        });
+        await handleResponse(res, 'update', `packing_list_items row ID ${row.packing_list_item_id}`);
     }
+    await _insertLinkRows(settings, 'packing_list_items', entries
+        .map((entry, position) => ({ packing_list_uuid: packingListUuid, item_uuid: entry.item_uuid, ...toRow(entry, position) }))
+        .filter(link => !rows.some(row => row.item_uuid === link.item_uuid)));
+};
 
-    // Fetch the updated image_uuid for the item
-    // newImageUuid is known from the logic within updateItem
-    return { success: true, image_uuid: newImageUuid }; // newImageUuid is determined earlier in the function
+/**
+ * Lists the trips with the latest start first, then the templates by name.
+ */
+export const listPackingLists = async (settings) => {
+    const rows = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(
+            settings,
+            `SELECT *, ${PACKING_LIST_COLUMNS} FROM packing_lists ORDER BY packing_list_id LIMIT :limit OFFSET :offset`,
+            { limit: SQL_PAGE_SIZE, offset }
+        );
+        rows.push(...pageRows);
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return normalizePackingLists(rows);
 };
 
 /**
- * Deletes an item record.
+ * Adds a packing list or template with its entries.
  */
-export const deleteItem = async (settings, inputData) => {
-    const { item_id: itemId } = inputData;
+export const addPackingList = async (settings, data) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
-    if (!itemId) throw new Error("Item ID is required for deletion.");
+    const { entries, ...packingList } = normalizePackingList(data);
+    const newUuid = packingList.uuid || uuidv4();
 
-    // 1. Get the image_id associated with the item *before* deleting the item
-    const itemRes = await fetch(`${baseUrl}/items/${itemId}.json?_shape=object&_select=image_id`); // Only need image_id
-    if (itemRes.ok) {
-        const itemData = await itemRes.json();
-            const imageId = itemData[itemId]?.image_id || null; // Use direct access
-        if (imageId) await _deleteImage(settings, imageId); // Delete image if it exists (handles its own errors)
-    } // Ignore error if item not found, e.g., already deleted or inconsistent data.
+    const insertRes = await fetch(`${baseUrl}/packing_lists/-/insert`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ row: { ...packingList, uuid: newUuid, is_template: packingList.is_template ? 1 : 0, updated_at: data.updated_at || null } }),
+    });
+    await handleResponse(insertRes, 'add', 'packing list');
 
-    const deleteUrl = `${baseUrl}/items/${itemId}/-/delete`;
+    const fetchedList = await fetchRecordByUuidWithRetry(settings, "packing_lists", newUuid, "packing_list_id,uuid", "packing list");
+    await _setPackingListEntries(settings, newUuid, entries);
+    return { success: true, newId: fetchedList.packing_list_id, uuid: newUuid };
+};
 
-    const res = await fetch(deleteUrl, {
+/**
+ * Changes a packing list; given entries replace the old ones, which is how items are checked off.
+ */
+export const updatePackingList = async (settings, inputData) => {
+    const baseUrl = settings?.datasetteBaseUrl;
+    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for update.");
+    const existing = await _getRow(settings, 'packing_lists', packingListId);
+    if (!existing) return { success: false, message: 'Packing list not found' };
+    const { entries, ...changes } = normalizePackingListUpdate(inputData, { ...existing, is_template: !!existing.is_template });
+
+    const res = await fetch(`${baseUrl}/packing_lists/${packingListId}/-/update`, {
         method: 'POST',
         headers: defaultHeaders(settings),
-        // No body needed
+        body: JSON.stringify({ update: { ...changes, updated_at: new Date().toISOString() } }),
     });
-
-    await handleResponse(res, 'delete', `item ID ${itemId}`);
+    await handleResponse(res, 'update', `packing list ID ${packingListId}`);
+    if (entries !== undefined) await _setPackingListEntries(settings, existing.uuid, entries);
     return { success: true };
 };
 
-// listItems: Remove options, pagination, filtering, sorting, and direct image fetching.
-// It should return all item metadata.
-export const listItems = async (settings) => {
+/**
+ * Deletes a packing list; its items stay.
+ */
+export const deletePackingList = async (settings, inputData) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
-
-    try {
-        // Fetch all items metadata. _shape=array fetches all columns by default.
-        const itemsUrl = `${baseUrl}/items.json?_shape=array&_sort_desc=created_at&_ttl=0`; // Bypass cache
-        const itemsRes = await fetch(itemsUrl, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' }
-        });
-        if (!itemsRes.ok) {
-            const errorText = await itemsRes.text();
-            throw new Error(`Failed to fetch items metadata: ${itemsRes.status} ${errorText}`);
-        }
-        const allItemsMetadata = await itemsRes.json();
-            
-        return allItemsMetadata || []; // Return metadata array
-    } catch (error) {
-        console.error(`[${PROVIDER_NAME}]: Error in Datasette listItems:`, error); // Keep provider prefix
-        throw error;
-    }
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for deletion.");
+    const existing = await _getRow(settings, 'packing_lists', packingListId);
+    if (!existing) return { success: false, message: 'Packing list not found' };
+
+    await _deleteLinkRows(settings, 'packing_list_items', await _listLinkRows(settings, 'packing_list_items', `packing_list_uuid=${encodeURIComponent(existing.uuid)}`));
+    const res = await fetch(`${baseUrl}/packing_lists/${packingListId}/-/delete`, { method: 'POST', headers: defaultHeaders(settings) });
+    await handleResponse(res, 'delete', `packing list ID ${packingListId}`);
+    return { success: true };
 };
 
-// New internal helper to get image by UUID
 const _getImageByUuid = async (settings, imageUuid) => {
     const baseUrl = settings?.datasetteBaseUrl;
     if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
@@ -784,6 +2365,14 @@ export const getImage = async (settings, inputData) => {
     const { image_uuid: imageUuid } = inputData;
     if (!imageUuid) return null;
     try {
+        const variant = normalizeImageVariant(inputData.variant);
+        if (variant) {
+            const variantDetails = await _getImageVariantByUuid(settings, imageUuid, variant);
+            if (variantDetails) {
+                return new File([variantDetails.blob], variantDetails.filename, { type: variantDetails.blob.type });
+            }
+            // No variant stored (yet), fall back to the full-size image
+        }
         const imageDetails = await _getImageByUuid(settings, imageUuid);
         if (imageDetails && imageDetails.blob) {
             return new File([imageDetails.blob], imageDetails.filename, { type: imageDetails.blob.type });
@@ -797,57 +2386,270 @@ export const getImage = async (settings, inputData) => {
     }
 };
 
+/**
+ * Stores a variant (e.g. a thumbnail) of an existing image, replacing any previous one.
+ */
+export const saveImageVariant = async (settings, inputData) => {
+    const { image_uuid: imageUuid, imageFile } = inputData;
+    const variant = normalizeImageVariant(inputData.variant);
+    if (!imageUuid || !variant) throw new Error("Image UUID and variant are required to save an image variant.");
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to save an image variant.");
+
+    const image = await fetchRecordByUuidWithRetry(settings, "images", imageUuid, "image_id,uuid", "image");
+    await _saveImageVariant(settings, image.image_id, imageUuid, variant, imageFile);
+    return { success: true };
+};
+
+/**
+ * Lists the UUIDs of images that have no stored variant of the given kind.
+ */
+export const listImagesMissingVariant = async (settings, inputData) => {
+    const variant = normalizeImageVariant(inputData?.variant);
+    if (!variant) throw new Error("Variant is required to list images missing it.");
+
+    const sql = `SELECT uuid FROM images WHERE uuid NOT IN (SELECT image_uuid FROM image_variants WHERE variant = :variant) ORDER BY image_id LIMIT :limit OFFSET :offset`;
+    const uuids = [];
+    for (let offset = 0; ; offset += SQL_PAGE_SIZE) {
+        const pageRows = await _runSqlQuery(settings, sql, { variant, limit: SQL_PAGE_SIZE, offset });
+        uuids.push(...pageRows.map(row => row.uuid));
+        if (pageRows.length < SQL_PAGE_SIZE) break;
+    }
+    return uuids;
+};
+
+/**
+ * Lists an item's images in display order.
+ */
+export const listItemImages = async (settings, inputData) => {
+    const { item_id: itemId } = inputData;
+    if (!itemId) throw new Error("Item ID is required to list item images.");
+    return normalizeItemImageRows(await _listItemImageRows(settings, itemId));
+};
+
+/**
+ * Appends an image to an item. It becomes primary if requested or if the item has no images yet.
+ */
+export const addItemImage = async (settings, inputData) => {
+    const { item_id: itemId, imageFile, thumbnailFile, image_uuid: imageUuid, is_primary: isPrimary } = inputData;
+    if (!itemId) throw new Error("Item ID is required to add an item image.");
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to add an item image.");
+
+    let imageResult;
+    try {
+        imageResult = await _appendItemImage(settings, itemId, imageFile, imageUuid, !!isPrimary, thumbnailFile);
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Failed to process or insert item image:`, error);
+        throw new Error(`Failed to handle image upload: ${error.message}`);
+    }
+    if (imageResult.isPrimary) {
+        await _setItemPrimaryImage(settings, itemId, { image_id: imageResult.imageId, image_uuid: imageResult.imageUuid });
+    }
+    return { success: true, image_uuid: imageResult.imageUuid };
+};
+
+/**
+ * Removes one of an item's images. Removing the primary image promotes the next one in order.
+ */
+export const removeItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    if (!itemId) throw new Error("Item ID is required to remove an item image.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    const removedRow = rows.find(row => row.image_uuid === imageUuid);
+    if (!removedRow) return { success: false, message: 'Image not found' };
+
+    const remainingRows = normalizeItemImageRows(rows.filter(row => row !== removedRow));
+    await _applyItemImageRows(settings, itemId, rows, remainingRows);
+    await _deleteItemImageRows(settings, [removedRow]);
+    await _deleteImage(settings, removedRow.image_id);
+    return { success: true, image_uuid: remainingRows.find(row => row.is_primary)?.image_uuid ?? null };
+};
+
+/**
+ * Reorders an item's images to follow the given image UUIDs.
+ */
+export const reorderItemImages = async (settings, inputData) => {
+    const { item_id: itemId, image_uuids: imageUuids } = inputData;
+    if (!itemId) throw new Error("Item ID is required to reorder item images.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    await _applyItemImageRows(settings, itemId, rows, applyItemImageOrder(rows, imageUuids || []));
+    return { success: true };
+};
+
+/**
+ * Marks one of an item's images as primary and mirrors it into the item row.
+ */
+export const setPrimaryItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    if (!itemId) throw new Error("Item ID is required to set the primary image.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    if (!rows.some(row => row.image_uuid === imageUuid)) return { success: false, message: 'Image not found' };
+    const updatedRows = normalizeItemImageRows(rows.map(row => ({ ...row, is_primary: row.image_uuid === imageUuid })));
+    await _applyItemImageRows(settings, itemId, rows, updatedRows);
+    return { success: true };
+};
+
 
 // --- Export/Import ---
 
-export const exportData = async (settings) => {
-    const zip = new JSZip();
+export const exportData = async (settings, options = {}) => {
+    const { signal, onProgress } = options;
+    // Entries are written as they are made; options.sink receives them, or they become a Blob
+    const zip = createZipWriter(options.sink || createBlobSink(), { signal });
+    const reportProgress = (entity, done, total) => onProgress?.({ entity, done, total });
 
     try {
-        // 1. Fetch all data using existing list functions
+        // 1. Fetch all data using existing list functions. A database on an older schema, e.g. one
+        // backed up before its schema migration, has none of the tables added after its version.
+        const dbVersion = await getDbVersion(settings);
+        const listIfInSchema = (table, list) => (schemaHas(dbVersion, table) ? list(settings) : []);
         const locations = await listLocations(settings);
         const categories = await listCategories(settings);
         const owners = await listOwners(settings);
-        // listItems now returns all item metadata without File objects.
-        const itemsMetadata = await listItems(settings); // Changed variable name for clarity
-        const allImagesMeta = await listImagesMetadata(settings);
+        const tags = await listIfInSchema('tags', listTags);
+        const customFields = await listIfInSchema('custom_fields', listCustomFields);
+        const history = await listIfInSchema('history', listHistory);
+        const itemsMetadata = await _listItemsForExport(settings, dbVersion, options.includeTrash);
+        // Only the wear events of exported items, so that every one of them finds its item on import
+        const exportedItemUuids = new Set(itemsMetadata.map(item => item.uuid));
+        const wearEvents = (await listIfInSchema('wear_events', listWearEvents)).filter(wearEvent => exportedItemUuids.has(wearEvent.item_uuid));
+        const loans = (await listIfInSchema('loans', listLoans)).filter(loan => exportedItemUuids.has(loan.item_uuid));
+        const outfits = await listIfInSchema('outfits', listOutfits);
+        const outfitWearEvents = await listIfInSchema('outfit_wear_events', listOutfitWearEvents);
+        const packingLists = await listIfInSchema('packing_lists', listPackingLists);
         console.log(`[${PROVIDER_NAME}]: Starting export... Fetched all data.`);
 
         // 2. Create CSVs
-        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('locations.csv', createCSV(locationHeaders, locations));
+        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'parent_location_id', 'created_at', 'updated_at'];
+        await zip.file('locations.csv', createCSV(locationHeaders, locations));
+        reportProgress('locations', locations.length, locations.length);
 
-        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'parent_category_id', 'created_at', 'updated_at'];
+        await zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        reportProgress('categories', categories.length, categories.length);
 
         const ownerHeaders = ['owner_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        await zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        reportProgress('owners', owners.length, owners.length);
+
+        const tagHeaders = ['tag_id', 'uuid', 'name', 'created_at', 'updated_at'];
+        await zip.file('tags.csv', createCSV(tagHeaders, tags));
+        reportProgress('tags', tags.length, tags.length);
 
-        const imageHeaders = ['image_id', 'uuid', 'image_mimetype', 'image_filename', 'created_at'];
-        zip.file('images.csv', createCSV(imageHeaders, allImagesMeta));
+        const itemTagHeaders = ['item_id', 'tag_id'];
+        const itemTagsForCsv = itemsMetadata.flatMap(item => item.tag_ids.map(tagId => ({ item_id: item.item_id, tag_id: tagId })));
+        await zip.file('item_tags.csv', createCSV(itemTagHeaders, itemTagsForCsv));
 
-        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'created_at', 'updated_at'];
+        const customFieldHeaders = ['field_id', 'uuid', 'category_id', 'name', 'field_type', 'options', 'position', 'created_at', 'updated_at'];
+        const customFieldsForCsv = customFields.map(field => ({ ...field, options: field.options ? JSON.stringify(field.options) : '' }));
+        await zip.file('custom_fields.csv', createCSV(customFieldHeaders, customFieldsForCsv));
+        reportProgress('customFields', customFields.length, customFields.length);
+
+        const itemFieldValueHeaders = ['item_id', 'field_id', 'value'];
+        const itemFieldValuesForCsv = itemsMetadata.flatMap(item => Object.entries(item.field_values).map(([fieldId, value]) => ({ item_id: item.item_id, field_id: fieldId, value })));
+        await zip.file('item_field_values.csv', createCSV(itemFieldValueHeaders, itemFieldValuesForCsv));
+
+        // images.csv lists every image of every item; items.csv keeps pointing at the primary one
+        const imageHeaders = ['image_id', 'uuid', 'item_id', 'position', 'is_primary', 'image_mimetype', 'image_filename', 'image_zip_filename', 'created_at'];
+        const imagesForCsv = [];
+
+        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'deleted_at', 'status', 'created_at', 'updated_at'];
         const itemsForCsv = [];
         const imagesFolder = zip.folder('images');
 
-        for (const item of itemsMetadata) { // Iterate over metadata
+        for (const [index, item] of itemsMetadata.entries()) { // Iterate over metadata
+            signal?.throwIfAborted();
             const itemCsvRow = { ...item };
             itemCsvRow.image_zip_filename = '';
             itemCsvRow.image_original_filename = '';
 
-            if (item.image_uuid) { // Check if there's an associated image UUID
-                const imageFile = await getImage(settings, { image_uuid: item.image_uuid }); // Fetch the image File object
-                if (imageFile instanceof File) {
-                    const fileExtension = imageFile.name.split('.').pop() || 'bin';
-                    const zipFilename = `${item.item_id}.${fileExtension}`;
+            const itemImages = schemaHas(dbVersion, 'item_images')
+                ? await listItemImages(settings, { item_id: item.item_id })
+                : legacyItemImages(item);
+            for (const itemImage of itemImages) {
+                const imageFile = await getImage(settings, { image_uuid: itemImage.image_uuid }); // Fetch the image File object
+                if (!(imageFile instanceof File)) continue;
+                const zipFilename = itemImageZipFilename(item.item_id, itemImage.position, imageFile);
+                await imagesFolder.file(zipFilename, imageFile);
+                imagesForCsv.push({
+                    image_id: itemImage.image_id,
+                    uuid: itemImage.image_uuid,
+                    item_id: item.item_id,
+                    position: itemImage.position,
+                    is_primary: itemImage.is_primary,
+                    image_mimetype: imageFile.type,
+                    image_filename: imageFile.name,
+                    image_zip_filename: zipFilename,
+                    created_at: itemImage.created_at
+                });
+                if (itemImage.image_uuid === item.image_uuid) {
                     itemCsvRow.image_zip_filename = zipFilename;
                     itemCsvRow.image_original_filename = imageFile.name;
-                    imagesFolder.file(zipFilename, imageFile);
                 }
             }
             itemsForCsv.push(itemCsvRow);
+            reportProgress('items', index + 1, itemsMetadata.length);
+        }
+        await zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
+        await zip.file('images.csv', createCSV(imageHeaders, imagesForCsv));
+
+        const historyHeaders = ['history_id', 'entity_type', 'entity_uuid', 'action', 'changes', 'actor', 'created_at'];
+        const historyForCsv = history.map(entry => ({ ...entry, changes: JSON.stringify(entry.changes) }));
+        await zip.file('history.csv', createCSV(historyHeaders, historyForCsv));
+        reportProgress('history', history.length, history.length);
+
+        const wearEventHeaders = ['wear_id', 'uuid', 'item_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('wear_events.csv', createCSV(wearEventHeaders, wearEvents));
+        reportProgress('wearEvents', wearEvents.length, wearEvents.length);
+
+        const loanHeaders = ['loan_id', 'uuid', 'item_uuid', 'borrower_owner_uuid', 'borrower_name', 'lent_on', 'due_on', 'returned_on', 'note', 'created_at', 'updated_at'];
+        await zip.file('loans.csv', createCSV(loanHeaders, loans));
+        reportProgress('loans', loans.length, loans.length);
+
+        // Outfit photos go into images/ next to those of the items
+        const outfitHeaders = ['outfit_id', 'uuid', 'name', 'description', 'image_uuid', 'image_zip_filename', 'image_filename', 'image_mimetype', 'created_at', 'updated_at'];
+        const outfitsForCsv = [];
+        for (const outfit of outfits) {
+            signal?.throwIfAborted();
+            const outfitCsvRow = { ...outfit, image_zip_filename: '', image_filename: '', image_mimetype: '' };
+            const imageFile = outfit.image_uuid ? await getImage(settings, { image_uuid: outfit.image_uuid }) : null;
+            if (imageFile instanceof File) {
+                outfitCsvRow.image_zip_filename = outfitImageZipFilename(outfit.outfit_id, imageFile);
+                outfitCsvRow.image_filename = imageFile.name;
+                outfitCsvRow.image_mimetype = imageFile.type;
+                await imagesFolder.file(outfitCsvRow.image_zip_filename, imageFile);
+            }
+            outfitsForCsv.push(outfitCsvRow);
         }
-        zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
+        await zip.file('outfits.csv', createCSV(outfitHeaders, outfitsForCsv));
+
+        // Only the exported items of an outfit, so that every one of them is found on import
+        const outfitItemHeaders = ['outfit_uuid', 'item_uuid', 'position'];
+        const outfitItemsForCsv = outfits.flatMap(outfit => outfit.item_uuids
+            .filter(itemUuid => exportedItemUuids.has(itemUuid))
+            .map((itemUuid, position) => ({ outfit_uuid: outfit.uuid, item_uuid: itemUuid, position })));
+        await zip.file('outfit_items.csv', createCSV(outfitItemHeaders, outfitItemsForCsv));
+
+        const outfitTagHeaders = ['outfit_uuid', 'tag_id'];
+        const outfitTagsForCsv = outfits.flatMap(outfit => outfit.tag_ids.map(tagId => ({ outfit_uuid: outfit.uuid, tag_id: tagId })));
+        await zip.file('outfit_tags.csv', createCSV(outfitTagHeaders, outfitTagsForCsv));
+        reportProgress('outfits', outfits.length, outfits.length);
+
+        const outfitWearEventHeaders = ['outfit_wear_id', 'uuid', 'outfit_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('outfit_wear_events.csv', createCSV(outfitWearEventHeaders, outfitWearEvents));
+        reportProgress('outfitWearEvents', outfitWearEvents.length, outfitWearEvents.length);
+
+        const packingListHeaders = ['packing_list_id', 'uuid', 'name', 'note', 'starts_on', 'ends_on', 'is_template', 'created_at', 'updated_at'];
+        await zip.file('packing_lists.csv', createCSV(packingListHeaders, packingLists));
+        // Only the exported items of a list, so that every one of them is found on import
+        const packingListItemHeaders = ['packing_list_uuid', 'item_uuid', 'position', 'packed', 'returned'];
+        const packingListItemsForCsv = packingLists.flatMap(packingList => packingList.entries
+            .filter(entry => exportedItemUuids.has(entry.item_uuid))
+            .map((entry, position) => ({ packing_list_uuid: packingList.uuid, ...entry, position })));
+        await zip.file('packing_list_items.csv', createCSV(packingListItemHeaders, packingListItemsForCsv));
+        reportProgress('packingLists', packingLists.length, packingLists.length);
 
         // 3. Create Manifest
         const manifest = {
@@ -855,117 +2657,175 @@ export const exportData = async (settings) => {
             exportedAt: new Date().toISOString(),
             sourceProvider: "datasette"
         };
-        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        await zip.file('manifest.json', JSON.stringify(manifest, null, 2));
 
-        // 4. Generate ZIP
-        const blob = await zip.generateAsync({ type: "blob" });
+        // 4. Finish the ZIP: the Blob, or null when it went to options.sink
+        const blob = await zip.close();
         console.log(`[${PROVIDER_NAME}]: Export generated successfully.`);
         return blob;
 
     } catch (error) {
+        await zip.abort();
+        if (error.name === 'AbortError') throw error; // Cancelled through options.signal
+        if (error.errorCode === ZIP_TOO_LARGE) throw error; // Explained by the settings page
         console.error(`[${PROVIDER_NAME}]: Error during Datasette export:`, error);
         throw new Error(`Export failed: ${error.message}`);
     }
 };
 
-// Helper function to list only image metadata (id, uuid, filename, mimetype, created_at)
-const listImagesMetadata = async (settings) => {
-    const baseUrl = settings?.datasetteBaseUrl;
-    if (!baseUrl) throw new Error("Datasette Base URL is not configured.");
-
-    const queryUrl = `${baseUrl}/images.json?_shape=array&_select=image_id,uuid,image_mimetype,image_filename,created_at&_sort=image_id&_ttl=0`; // Bypass cache
-    const res = await fetch(queryUrl, {
-        method: 'GET',
-        headers: { 'Accept': 'application/json' }
-    });
-
-    if (!res.ok) {
-        const errorText = await res.text();
-        console.error(`[${PROVIDER_NAME}]: Failed to fetch image metadata: ${res.status} ${errorText}`, res);
-        throw new Error(`Failed to fetch image metadata: ${res.status}`);
-    }
-
-    const data = await res.json();
-    return data || [];
-};
-
 /*
 // --- importData v1 for Datasette provider ---
 */
-async function importDataV1(settings, loadedZip) {
+async function importDataV1(settings, loadedZip, options = {}) {
     try {
         // Validate essential files
         if (!loadedZip.file('manifest.json') || !loadedZip.file('items.csv') || !loadedZip.file('locations.csv') || !loadedZip.file('categories.csv') || !loadedZip.file('owners.csv') || !loadedZip.file('images.csv')) {
             throw new Error("Import file is missing required CSV or manifest files.");
         }
 
-        // --- Clear existing data ---
-        console.log(`[${PROVIDER_NAME}]: Clearing existing Datasette data (Items first)...`);
-        const existingItems = await listItems(settings);
-        for (const item of existingItems) {
-            await deleteItem(settings, { item_id: item.item_id }); // deleteItem also handles image deletion
+        const progress = createImportProgress(options.checkpoint, options.onCheckpoint);
+
+        // --- Clear existing data (done already when resuming) ---
+        if (!progress.cleared) {
+            console.log(`[${PROVIDER_NAME}]: Clearing existing Datasette data (Items first)...`);
+            const existingItems = await _listItemsWithTrash(settings);
+            for (const item of existingItems) {
+                await _purgeItem(settings, item.item_id); // _purgeItem also handles image deletion
+            }
+            console.log(`[${PROVIDER_NAME}]: Items cleared. Clearing Locations, Categories, Owners, Outfits, Packing Lists, Tags...`);
+            const existingLocations = await _listLocationsChildrenFirst(settings);
+            for (const loc of existingLocations) await deleteLocation(settings, { location_id: loc.location_id });
+            const existingCategories = await _listCategoriesChildrenFirst(settings);
+            for (const cat of existingCategories) await deleteCategory(settings, { category_id: cat.category_id });
+            const existingOwners = await listOwners(settings);
+            for (const owner of existingOwners) await deleteOwner(settings, { owner_id: owner.owner_id });
+            for (const outfit of await listOutfits(settings)) await deleteOutfit(settings, outfit);
+            for (const packingList of await listPackingLists(settings)) await deletePackingList(settings, packingList);
+            const existingTags = await listTags(settings);
+            for (const tag of existingTags) await _deleteTag(settings, tag.tag_id);
+            await progress.markCleared();
+            console.log(`[${PROVIDER_NAME}]: Existing data cleared.`);
         }
-        console.log(`[${PROVIDER_NAME}]: Items cleared. Clearing Locations, Categories, Owners...`);
-        const existingLocations = await listLocations(settings);
-        for (const loc of existingLocations) await deleteLocation(settings, { location_id: loc.location_id });
-        const existingCategories = await listCategories(settings);
-        for (const cat of existingCategories) await deleteCategory(settings, { category_id: cat.category_id });
-        const existingOwners = await listOwners(settings);
-        for (const owner of existingOwners) await deleteOwner(settings, { owner_id: owner.owner_id });
-        console.log(`[${PROVIDER_NAME}]: Existing data cleared.`);
 
         // --- Parse and Import ---
-        const locationMap = {}; // exported_id -> new_datasette_id
-        const categoryMap = {};
-        const ownerMap = {};
+        // exported_id -> new_datasette_id; rows already in a map were imported before resuming
+        const locationMap = progress.idMap('locations');
+        const categoryMap = progress.idMap('categories');
+        const ownerMap = progress.idMap('owners');
+        const tagMap = progress.idMap('tags');
         const imageMap = {}; // exported_image_id -> { newId: new_datasette_id, uuid: image_uuid }
 
         const locations = parseCSV(await loadedZip.file('locations.csv').async('string'));
-        for (const loc of locations) {
+        // Parents are imported before the locations inside them, so their new IDs are known
+        for (const { row: loc } of flattenTree(locations, 'location_id', 'parent_location_id')) {
             const { location_id: exportedId, ...locData } = loc;
+            if (exportedId in locationMap) continue;
             // Pass timestamps from CSV to preserve them
             // Pass UUID from CSV
             const result = await addLocation(settings, {
                 uuid: locData.uuid, // Pass UUID
-                name: locData.name, description: locData.description, created_at: locData.created_at, updated_at: locData.updated_at
+                name: locData.name, description: locData.description,
+                parent_location_id: locationMap[locData.parent_location_id] ?? null,
+                created_at: locData.created_at, updated_at: locData.updated_at
             });
-            if (result.success) locationMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('locations', exportedId, result.newId);
             else throw new Error(`Failed to import location: ${loc.name}`);
         }
 
         const categories = parseCSV(await loadedZip.file('categories.csv').async('string'));
-        for (const cat of categories) {
+        // Parent categories are imported before their subcategories, so their new IDs are known
+        for (const { row: cat } of flattenTree(categories, 'category_id', 'parent_category_id')) {
             const { category_id: exportedId, ...catData } = cat;
+            if (exportedId in categoryMap) continue;
             // Pass UUID from CSV
             const result = await addCategory(settings, {
                 uuid: catData.uuid, // Pass UUID
-                name: catData.name, description: catData.description, created_at: catData.created_at, updated_at: catData.updated_at
+                name: catData.name, description: catData.description,
+                parent_category_id: categoryMap[catData.parent_category_id] ?? null,
+                created_at: catData.created_at, updated_at: catData.updated_at
             });
-            if (result.success) categoryMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('categories', exportedId, result.newId);
             else throw new Error(`Failed to import category: ${cat.name}`);
         }
 
         const owners = parseCSV(await loadedZip.file('owners.csv').async('string'));
         for (const owner of owners) {
             const { owner_id: exportedId, ...ownerData } = owner;
+            if (exportedId in ownerMap) continue;
             // Pass UUID from CSV
             const result = await addOwner(settings, {
                 uuid: ownerData.uuid, // Pass UUID
                 name: ownerData.name, description: ownerData.description, created_at: ownerData.created_at, updated_at: ownerData.updated_at
             });
-            if (result.success) ownerMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('owners', exportedId, result.newId);
             else throw new Error(`Failed to import owner: ${owner.name}`);
         }
 
+        // Exports before format 6.0 have no tags
+        const tags = loadedZip.file('tags.csv') ? parseCSV(await loadedZip.file('tags.csv').async('string')) : [];
+        for (const tag of tags) {
+            const { tag_id: exportedId, ...tagData } = tag;
+            if (exportedId in tagMap) continue;
+            const result = await addTag(settings, {
+                uuid: tagData.uuid,
+                name: tagData.name, created_at: tagData.created_at
+            });
+            if (result.success) await progress.recordId('tags', exportedId, result.newId);
+            else throw new Error(`Failed to import tag: ${tag.name}`);
+        }
+        const itemTagRows = loadedZip.file('item_tags.csv') ? parseCSV(await loadedZip.file('item_tags.csv').async('string')) : [];
+        const tagIdsByItem = groupItemTagRows(itemTagRows);
+
+        // Exports before format 7.0 have no custom fields
+        const fieldMap = progress.idMap('custom_fields');
+        const customFields = loadedZip.file('custom_fields.csv') ? parseCSV(await loadedZip.file('custom_fields.csv').async('string')) : [];
+        for (const field of customFields) {
+            const { field_id: exportedId, ...fieldData } = field;
+            if (exportedId in fieldMap) continue;
+            const result = await addCustomField(settings, {
+                uuid: fieldData.uuid,
+                category_id: categoryMap[fieldData.category_id], // Map to new ID
+                name: fieldData.name, field_type: fieldData.field_type, options: fieldData.options,
+                position: fieldData.position, created_at: fieldData.created_at
+            });
+            if (result.success) await progress.recordId('custom_fields', exportedId, result.newId);
+            else throw new Error(`Failed to import custom field: ${field.name}`);
+        }
+        const itemFieldValueRows = loadedZip.file('item_field_values.csv') ? parseCSV(await loadedZip.file('item_field_values.csv').async('string')) : [];
+        const fieldValuesByItem = groupItemFieldValueRows(itemFieldValueRows);
+
         // Import Images first (without data, just to get IDs and UUIDs - assuming addItem handles image data)
         // Correction: addItem handles image insertion. We need to process images *as we process items*.
 
+        // Exports since format 4.0 list every image of an item in images.csv
+        const imageRowsByItem = groupItemImageRows(parseCSV(await loadedZip.file('images.csv').async('string')));
+
         const items = parseCSV(await loadedZip.file('items.csv').async('string'));
+        const skippedItemUuids = new Set(); // Their wear events and loans are skipped with them, like those of unknown items
         for (const item of items) {
             const { item_id, uuid: itemUuid, image_id: exportedImageId, image_uuid: imageUuidFromItemCsv, image_zip_filename, image_original_filename, location_id, category_id, owner_id, ...itemMetadata } = item;
+            if (progress.isItemDone(item_id)) continue;
+            // An earlier run stopped while importing this item, which may be there without all its images
+            if (progress.wasItemStarted(item_id) && itemUuid) {
+                const partialItem = await getItemByUuid(settings, { uuid: itemUuid });
+                if (partialItem) await _purgeItem(settings, partialItem.item_id);
+            }
             let imageFile = null;
+            let imageUuid = imageUuidFromItemCsv;
+            const itemImages = []; // { uuid, isPrimary, file } in display order
 
-            if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
+            if (imageRowsByItem.has(item_id)) {
+                for (const row of imageRowsByItem.get(item_id)) {
+                    const file = await loadZipImageFile(loadedZip, row.image_zip_filename, row.image_filename, row.image_mimetype);
+                    if (file) itemImages.push({ uuid: row.uuid || uuidv4(), isPrimary: row.is_primary, file });
+                }
+                // The primary image is added with the item, the others are appended afterwards
+                const primaryImage = itemImages.find(image => image.isPrimary) || itemImages[0];
+                if (primaryImage) {
+                    imageFile = primaryImage.file;
+                    imageUuid = primaryImage.uuid;
+                }
+            } else if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
                 try { // Add try...catch for robustness
                     const imageBlob = await loadedZip.file(`images/${image_zip_filename}`).async('blob');
                     const originalFilename = image_original_filename || image_zip_filename;
@@ -1001,8 +2861,14 @@ async function importDataV1(settings, loadedZip) {
                     ? parseFloat(itemMetadata.price)
                     : null,
                 owner_id: ownerMap[owner_id],       // Map to new ID
-                image_uuid: imageUuidFromItemCsv, // Pass image UUID from CSV (addItem will use this for _insertImage)
+                tag_ids: (tagIdsByItem.get(parseInt(item_id, 10)) || []).map(tagId => tagMap[tagId]).filter(Boolean),
+                field_values: Object.fromEntries(Object.entries(fieldValuesByItem.get(parseInt(item_id, 10)) || {})
+                    .filter(([fieldId]) => fieldMap[fieldId])
+                    .map(([fieldId, value]) => [fieldMap[fieldId], value])),
+                image_uuid: imageUuid, // Pass image UUID from CSV (addItem will use this for _insertImage)
                 imageFile: imageFile,
+                deleted_at: itemMetadata.deleted_at || null, // Exports before format 10.0 have no trash
+                status: normalizeItemStatus(itemMetadata.status) ?? null, // Exports before format 13.0 have no status
                 created_at: itemMetadata.created_at, // Preserve timestamp
                 updated_at: itemMetadata.updated_at  // Preserve timestamp
                 // addItem will handle image_id and image_uuid generation/storage
@@ -1011,11 +2877,103 @@ async function importDataV1(settings, loadedZip) {
             // Ensure mapped IDs are valid before adding
             if (!newItemData.location_id || !newItemData.category_id || !newItemData.owner_id) {
                  console.warn(`[${PROVIDER_NAME}]: Skipping item "${item.name}" due to missing mapped ID (Location: ${location_id}=>${newItemData.location_id}, Category: ${category_id}=>${newItemData.category_id}, Owner: ${owner_id}=>${newItemData.owner_id})`);
+                 skippedItemUuids.add(itemUuid);
                  continue; // Skip this item if any mapping failed
             }
 
 
-            await addItem(settings, newItemData); // addItem handles image insertion
+            await progress.startItem(item_id);
+            const addResult = await addItem(settings, newItemData); // addItem handles image insertion
+            if (itemImages.length > 1) {
+                for (const image of itemImages) {
+                    if (image.file === imageFile) continue;
+                    await addItemImage(settings, { item_id: addResult.newId, imageFile: image.file, image_uuid: image.uuid });
+                }
+                await reorderItemImages(settings, { item_id: addResult.newId, image_uuids: itemImages.map(image => image.uuid) });
+            }
+            await progress.markItemDone(item_id);
+        }
+
+        // Importing wrote its own history entries; the exported history replaces them.
+        // Exports before format 11.0 have no history.
+        const historyRows = loadedZip.file('history.csv') ? normalizeHistoryEntries(parseCSV(await loadedZip.file('history.csv').async('string'))) : [];
+        await replaceHistory(settings, { entries: historyRows });
+        const baseUrl = settings?.datasetteBaseUrl;
+
+        // Exports before format 12.0 have no wear events. Those of an earlier run that stopped halfway are replaced.
+        await _deleteWearEvents(settings, await listWearEvents(settings));
+        const wearEventRows = loadedZip.file('wear_events.csv') ? normalizeWearEvents(parseCSV(await loadedZip.file('wear_events.csv').async('string'))) : [];
+        const importedItemUuids = new Set(items.map(item => item.uuid).filter(itemUuid => !skippedItemUuids.has(itemUuid)));
+        const wearEventsToInsert = wearEventRows.reverse()
+            .filter(wearEvent => importedItemUuids.has(wearEvent.item_uuid))
+            .map(({ wear_id, ...wearEvent }) => wearEvent);
+        for (let start = 0; start < wearEventsToInsert.length; start += HISTORY_INSERT_BATCH) {
+            const res = await fetch(`${baseUrl}/wear_events/-/insert`, {
+                method: 'POST',
+                headers: defaultHeaders(settings),
+                body: JSON.stringify({ rows: wearEventsToInsert.slice(start, start + HISTORY_INSERT_BATCH) }),
+            });
+            await handleResponse(res, 'add', 'wear events');
+        }
+
+        // Exports before format 14.0 have no loans. Borrowers that are not among the imported owners keep only their name.
+        await _deleteLoans(settings, await listLoans(settings));
+        const loanRows = loadedZip.file('loans.csv') ? normalizeLoans(parseCSV(await loadedZip.file('loans.csv').async('string'))) : [];
+        const importedOwnerUuids = new Set(owners.map(owner => owner.uuid));
+        const loansToInsert = loanRows.reverse()
+            .filter(loan => importedItemUuids.has(loan.item_uuid))
+            .map(({ loan_id, ...loan }) => ({ ...loan, borrower_owner_uuid: importedOwnerUuids.has(loan.borrower_owner_uuid) ? loan.borrower_owner_uuid : null }));
+        for (let start = 0; start < loansToInsert.length; start += HISTORY_INSERT_BATCH) {
+            const res = await fetch(`${baseUrl}/loans/-/insert`, {
+                method: 'POST',
+                headers: defaultHeaders(settings),
+                body: JSON.stringify({ rows: loansToInsert.slice(start, start + HISTORY_INSERT_BATCH) }),
+            });
+            await handleResponse(res, 'add', 'loans');
+        }
+
+        // Exports before format 15.0 have no outfits. Those of an earlier run that stopped halfway are replaced.
+        for (const outfit of await listOutfits(settings)) await deleteOutfit(settings, outfit);
+        const outfits = loadedZip.file('outfits.csv') ? joinOutfitRows(
+            parseCSV(await loadedZip.file('outfits.csv').async('string')),
+            loadedZip.file('outfit_items.csv') ? parseCSV(await loadedZip.file('outfit_items.csv').async('string')) : [],
+            loadedZip.file('outfit_tags.csv') ? parseCSV(await loadedZip.file('outfit_tags.csv').async('string')) : [],
+        ) : [];
+        for (const { outfit_id, wear_count, last_worn_on, image_zip_filename, image_filename, image_mimetype, ...outfit } of outfits) {
+            const imageFile = await loadZipImageFile(loadedZip, image_zip_filename, image_filename, image_mimetype);
+            await addOutfit(settings, {
+                ...outfit,
+                item_uuids: outfit.item_uuids.filter(itemUuid => importedItemUuids.has(itemUuid)),
+                tag_ids: outfit.tag_ids.map(tagId => tagMap[tagId]).filter(Boolean),
+                image_uuid: outfit.image_uuid || undefined,
+                imageFile,
+            });
+        }
+        const outfitWearEventRows = loadedZip.file('outfit_wear_events.csv') ? normalizeOutfitWearEvents(parseCSV(await loadedZip.file('outfit_wear_events.csv').async('string'))) : [];
+        const importedOutfitUuids = new Set(outfits.map(outfit => outfit.uuid));
+        const outfitWearEventsToInsert = outfitWearEventRows.reverse()
+            .filter(wearEvent => importedOutfitUuids.has(wearEvent.outfit_uuid))
+            .map(({ outfit_wear_id, ...wearEvent }) => wearEvent);
+        for (let start = 0; start < outfitWearEventsToInsert.length; start += HISTORY_INSERT_BATCH) {
+            const res = await fetch(`${baseUrl}/outfit_wear_events/-/insert`, {
+                method: 'POST',
+                headers: defaultHeaders(settings),
+                body: JSON.stringify({ rows: outfitWearEventsToInsert.slice(start, start + HISTORY_INSERT_BATCH) }),
+            });
+            await handleResponse(res, 'add', 'outfit wear events');
+        }
+
+        // Exports before format 16.0 have no packing lists. Those of an earlier run that stopped halfway are replaced.
+        for (const packingList of await listPackingLists(settings)) await deletePackingList(settings, packingList);
+        const packingLists = loadedZip.file('packing_lists.csv') ? joinPackingListRows(
+            parseCSV(await loadedZip.file('packing_lists.csv').async('string')),
+            loadedZip.file('packing_list_items.csv') ? parseCSV(await loadedZip.file('packing_list_items.csv').async('string')) : [],
+        ) : [];
+        for (const { packing_list_id, ...packingList } of packingLists) {
+            await addPackingList(settings, {
+                ...packingList,
+                entries: packingList.entries.filter(entry => importedItemUuids.has(entry.item_uuid)),
+            });
         }
 
         console.log(`[${PROVIDER_NAME}]: Import completed successfully.`);
@@ -1025,19 +2983,25 @@ async function importDataV1(settings, loadedZip) {
                 locations: locations.length,
                 categories: categories.length,
                 owners: owners.length,
+                tags: tags.length,
+                custom_fields: customFields.length,
                 items: items.length
             }
         };
 
-    } catch (error) { // TODO: Improve error handling and potential rollback/cleanup
+    } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during Datasette import:`, error);
-        // Datasette rollback is complex, data might be partially imported/deleted.
-        return { success: false, errorKey: "api.import.errorDetailInconsistent", errorValues: { detail: error.message } };
+        // Datasette rollback is complex, data might be partially imported/deleted; a checkpointed import can be resumed.
+        const errorKey = options.onCheckpoint ? "api.import.errorDetailResumable" : "api.import.errorDetailInconsistent";
+        return { success: false, errorKey, errorValues: { detail: error.message } };
     }
 }
 
 // --- importData dispatcher for versioning ---
-export const importData = async (settings, zipFile) => {
+// options.checkpoint and options.onCheckpoint make the import resumable: onCheckpoint receives
+// the progress after every step, and an import given the last one, with the completed items of
+// all of them collected (see createImportProgress), carries on from there.
+export const importData = async (settings, zipFile, options = {}) => {
     const zip = new JSZip();
     const loadedZip = await zip.loadAsync(zipFile);
 
@@ -1050,35 +3014,31 @@ export const importData = async (settings, zipFile) => {
         } catch (_) {}
     }
 
-    switch (version) {
-      case "1.0":
-      case "2.0":
-      case FORMAT_VERSION:
-        return importDataV1(settings, loadedZip);
-      default:
-        return {
-          success: false,
-          error: `Unsupported export format version: ${version}`,
-        };
+    if (IMPORTABLE_FORMAT_VERSIONS.includes(version)) {
+        return importDataV1(settings, loadedZip, options);
     }
+    return {
+        success: false,
+        error: `Unsupported export format version: ${version}`,
+    };
 };
 
 export const destroyData = async (settings) => {
     try {
         // --- Clear existing data ---
         console.log(`[${PROVIDER_NAME}]: Clearing existing Datasette data (Items first)...`);
-        const existingItemsMetadata = await listItems(settings); // Gets all item metadata
+        const existingItemsMetadata = await _listItemsWithTrash(settings); // Gets all item metadata, trash included
         // Delete items first to handle associated images
         for (const item of existingItemsMetadata) { // Iterate over metadata
-            await deleteItem(settings, { item_id: item.item_id }); // deleteItem also handles image deletion
+            await _purgeItem(settings, item.item_id); // _purgeItem also handles image deletion
         }
-        console.log(`[${PROVIDER_NAME}]: Items (${existingItemsMetadata.length}) cleared. Clearing Locations, Categories, Owners...`);
+        console.log(`[${PROVIDER_NAME}]: Items (${existingItemsMetadata.length}) cleared. Clearing Locations, Categories, Owners, Outfits, Packing Lists, Tags...`);
 
-        const existingLocations = await listLocations(settings);
+        const existingLocations = await _listLocationsChildrenFirst(settings);
         for (const loc of existingLocations) await deleteLocation(settings, { location_id: loc.location_id });
         console.log(`[${PROVIDER_NAME}]: Locations (${existingLocations.length}) cleared.`);
 
-        const existingCategories = await listCategories(settings);
+        const existingCategories = await _listCategoriesChildrenFirst(settings);
         for (const cat of existingCategories) await deleteCategory(settings, { category_id: cat.category_id });
         console.log(`[${PROVIDER_NAME}]: Categories (${existingCategories.length}) cleared.`);
 
@@ -1086,6 +3046,22 @@ export const destroyData = async (settings) => {
         for (const owner of existingOwners) await deleteOwner(settings, { owner_id: owner.owner_id });
         console.log(`[${PROVIDER_NAME}]: Owners (${existingOwners.length}) cleared.`);
 
+        const existingOutfits = await listOutfits(settings);
+        for (const outfit of existingOutfits) await deleteOutfit(settings, outfit);
+        console.log(`[${PROVIDER_NAME}]: Outfits (${existingOutfits.length}) cleared.`);
+
+        const existingPackingLists = await listPackingLists(settings);
+        for (const packingList of existingPackingLists) await deletePackingList(settings, packingList);
+        console.log(`[${PROVIDER_NAME}]: Packing Lists (${existingPackingLists.length}) cleared.`);
+
+        const existingTags = await listTags(settings);
+        for (const tag of existingTags) await _deleteTag(settings, tag.tag_id);
+        console.log(`[${PROVIDER_NAME}]: Tags (${existingTags.length}) cleared.`);
+
+        // Last, as deleting the rest above writes history entries of its own
+        await _clearHistory(settings);
+        console.log(`[${PROVIDER_NAME}]: History cleared.`);
+
         console.log(`[${PROVIDER_NAME}]: Existing data cleared.`);
         return { success: true, summaryKey: "api.destroy.successSummary" };
 
@@ -0,0 +1,107 @@
+import JSZip from 'jszip'
+import { exportData, listItems } from './datasetteProvider'
+import { readFileAsArrayBuffer } from './providerUtils'
+
+const BASE_URL = 'http://datasette.test/wardrobe'
+
+// A database on schema version 13: it has wear events and item statuses, but no loans,
+// outfits or packing lists yet. Reading a table it lacks fails the way Datasette does.
+const createSchema13Fetch = () => {
+  const tables = {
+    schema_version: [{ version: 13 }],
+    locations: [{ location_id: 1, uuid: 'loc-1', name: 'Closet', description: '', parent_location_id: null }],
+    categories: [{ category_id: 1, uuid: 'cat-1', name: 'Tops', description: '', parent_category_id: null }],
+    owners: [{ owner_id: 1, uuid: 'own-1', name: 'Alex', description: '' }],
+    tags: [{ tag_id: 1, uuid: 'tag-1', name: 'summer' }],
+    custom_fields: [],
+    items: [{ item_id: 1, uuid: 'item-1', name: 'Shirt', description: '', location_id: 1, category_id: 1, owner_id: 1, image_id: null, image_uuid: null, deleted_at: null, status: 'clean', tag_ids: '1', field_values: null }],
+    item_tags: [{ item_id: 1, tag_id: 1 }],
+    item_field_values: [],
+    item_images: [],
+    history: [],
+    wear_events: [{ wear_id: 1, uuid: 'wear-1', item_uuid: 'item-1', worn_on: '2026-05-01', note: '', created_at: '2026-05-01T08:00:00Z' }],
+  }
+  const requested = new Set()
+  const respond = (status, body) => ({
+    ok: status === 200,
+    status,
+    headers: new Map(),
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  })
+
+  const fetch = async (url) => {
+    const { pathname, searchParams } = new URL(url)
+    const sql = searchParams.get('sql')
+    const names = sql
+      ? [...sql.matchAll(/\b(?:FROM|JOIN)\s+([a-z_]+)/gi)].map(match => match[1])
+      : [pathname.slice(pathname.lastIndexOf('/') + 1).replace(/\.json$/, '')]
+    names.forEach(name => requested.add(name))
+    const missing = names.find(name => !tables[name])
+    if (missing) return respond(400, { ok: false, error: `no such table: ${missing}` })
+    // Subqueries of the selected columns come before the FROM of the query itself
+    const rows = tables[names[names.length - 1]]
+    return respond(200, sql && Number(searchParams.get('offset')) > 0 ? [] : rows)
+  }
+  return { fetch, requested }
+}
+
+describe('Datasette export', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('backs up a database on an older schema without reading the tables it lacks', async () => {
+    const { fetch, requested } = createSchema13Fetch()
+    vi.stubGlobal('fetch', fetch)
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+
+    const blob = await exportData({ datasetteBaseUrl: BASE_URL }, { includeTrash: true })
+
+    expect([...requested].filter(name => ['loans', 'outfits', 'outfit_wear_events', 'packing_lists'].includes(name))).toEqual([])
+    const zip = await JSZip.loadAsync(await readFileAsArrayBuffer(blob))
+    const items = await zip.file('items.csv').async('string')
+    expect(items.split('\n')[1]).toContain('Shirt')
+    expect(await zip.file('item_tags.csv').async('string')).toBe('item_id,tag_id\n1,1')
+    expect((await zip.file('wear_events.csv').async('string')).split('\n')).toHaveLength(2)
+    // The newer entities are there, empty, so that the backup imports like any other export
+    expect((await zip.file('loans.csv').async('string')).split('\n')).toHaveLength(1)
+    expect((await zip.file('outfits.csv').async('string')).split('\n')).toHaveLength(1)
+    expect((await zip.file('packing_lists.csv').async('string')).split('\n')).toHaveLength(1)
+  })
+})
+
+describe('Datasette item queries', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('matches names with a pattern that folds the case of non-ASCII letters', async () => {
+    const queries = []
+    vi.stubGlobal('fetch', async (url) => {
+      const searchParams = new URL(url).searchParams
+      queries.push({ sql: searchParams.get('sql'), name: searchParams.get('name') })
+      return { ok: true, status: 200, json: async () => (searchParams.get('sql').startsWith('SELECT COUNT') ? [{ total: 0 }] : []) }
+    })
+
+    await listItems({ datasetteBaseUrl: BASE_URL }, { name: 'ÄITI' })
+
+    expect(queries[0].sql).toContain('name GLOB :name OR description GLOB :name')
+    expect(queries[0].name).toBe('*[Ää][Ii][Tt][Ii]*')
+  })
+
+  it('folds the case of custom field values the same way', async () => {
+    const queries = []
+    vi.stubGlobal('fetch', async (url) => {
+      const searchParams = new URL(url).searchParams
+      queries.push({ sql: searchParams.get('sql'), value: searchParams.get('field_value_0') })
+      return { ok: true, status: 200, json: async () => (searchParams.get('sql').startsWith('SELECT COUNT') ? [{ total: 0 }] : []) }
+    })
+
+    await listItems({ datasetteBaseUrl: BASE_URL }, { fieldFilters: [{ field_id: 1, field_type: 'text', value: 'Öljy' }] })
+
+    expect(queries[0].sql).toContain('value GLOB :field_value_0')
+    expect(queries[0].value).toBe('*[Öö][lL][jJ][yY]*')
+  })
+})
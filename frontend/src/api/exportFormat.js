@@ -1,2 +1,5 @@
 // shared export/import format version for all providers
-export const FORMAT_VERSION = "3.0";
+export const FORMAT_VERSION = "17.0";
+
+// format versions the importers read; older exports lack the files added since
+export const IMPORTABLE_FORMAT_VERSIONS = ["1.0", "2.0", "3.0", "4.0", "5.0", "6.0", "7.0", "8.0", "9.0", "10.0", "11.0", "12.0", "13.0", "14.0", "15.0", "16.0", FORMAT_VERSION];
@@ -0,0 +1,187 @@
+import JSZip from 'jszip';
+import { FORMAT_VERSION, IMPORTABLE_FORMAT_VERSIONS } from './exportFormat';
+import { parseCSV, groupItemImageRows } from './providerUtils';
+
+// Dry run of an import: reads an export ZIP the way the providers' importers do, without
+// writing anything, and lists what would be imported and what would go wrong.
+
+const REQUIRED_FILES = ['manifest.json', 'items.csv', 'locations.csv', 'categories.csv', 'owners.csv', 'images.csv'];
+
+// Columns the importers cannot do without, per file
+const REQUIRED_COLUMNS = {
+    'items.csv': ['item_id', 'name', 'location_id', 'category_id', 'owner_id'],
+    'locations.csv': ['location_id', 'name'],
+    'categories.csv': ['category_id', 'name'],
+    'owners.csv': ['owner_id', 'name'],
+    'tags.csv': ['tag_id', 'name'],
+    'custom_fields.csv': ['field_id', 'category_id', 'name', 'field_type'],
+    'wear_events.csv': ['item_uuid', 'worn_on'],
+    'loans.csv': ['item_uuid', 'borrower_name', 'lent_on'],
+    'outfits.csv': ['uuid', 'name'],
+    'outfit_items.csv': ['outfit_uuid', 'item_uuid'],
+    'outfit_tags.csv': ['outfit_uuid', 'tag_id'],
+    'outfit_wear_events.csv': ['outfit_uuid', 'worn_on'],
+    'packing_lists.csv': ['uuid', 'name'],
+    'packing_list_items.csv': ['packing_list_uuid', 'item_uuid'],
+};
+
+// Problems that make the importers fail, as opposed to ones they skip over
+const BLOCKING_PROBLEMS = ['missingFile', 'invalidManifest', 'unsupportedVersion', 'missingColumn'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// Column names of a CSV without rows, which parseCSV cannot tell
+const headerOf = (csvString) => csvString.split(/\r?\n/, 1)[0].split(',').map(column => column.replace(/^"|"$/g, '').trim());
+
+/**
+ * Reads an export ZIP and reports what importing it would do.
+ * @param {Blob} zipFile
+ * @returns {Promise<{
+ *   formatVersion: string,
+ *   counts: { locations: number, categories: number, owners: number, tags: number, customFields: number, items: number, images: number, history: number, wearEvents: number, loans: number, outfits: number, packingLists: number },
+ *   problems: { kind: string, blocking: boolean, file?: string, column?: string, version?: string, name?: string, field?: string, id?: string }[],
+ *   canImport: boolean
+ * }>} Every problem names its kind and the values its message needs.
+ */
+export const previewImport = async (zipFile) => {
+    const loadedZip = await JSZip.loadAsync(zipFile);
+    const problems = [];
+    const addProblem = (kind, values = {}) => problems.push({ kind, blocking: BLOCKING_PROBLEMS.includes(kind), ...values });
+
+    REQUIRED_FILES.forEach(file => {
+        if (!loadedZip.file(file)) addProblem('missingFile', { file });
+    });
+
+    let formatVersion = FORMAT_VERSION; // importData assumes the current format without a manifest
+    if (loadedZip.file('manifest.json')) {
+        try {
+            formatVersion = JSON.parse(await loadedZip.file('manifest.json').async('string')).exportFormatVersion || formatVersion;
+        } catch {
+            addProblem('invalidManifest', { file: 'manifest.json' });
+        }
+    }
+    if (!IMPORTABLE_FORMAT_VERSIONS.includes(formatVersion)) addProblem('unsupportedVersion', { version: formatVersion });
+
+    // Files of older formats are missing; they import as empty
+    const readRows = async (file) => {
+        const entry = loadedZip.file(file);
+        if (!entry) return [];
+        const csvString = await entry.async('string');
+        const rows = parseCSV(csvString);
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : headerOf(csvString);
+        (REQUIRED_COLUMNS[file] || []).forEach(column => {
+            if (!columns.includes(column)) addProblem('missingColumn', { file, column });
+        });
+        return rows;
+    };
+    const locations = await readRows('locations.csv');
+    const categories = await readRows('categories.csv');
+    const owners = await readRows('owners.csv');
+    const tags = await readRows('tags.csv');
+    const customFields = await readRows('custom_fields.csv');
+    const items = await readRows('items.csv');
+    const images = await readRows('images.csv');
+    const itemTags = await readRows('item_tags.csv');
+    const itemFieldValues = await readRows('item_field_values.csv');
+    const history = await readRows('history.csv');
+    const wearEvents = await readRows('wear_events.csv');
+    const loans = await readRows('loans.csv');
+    const outfits = await readRows('outfits.csv');
+    const outfitItems = await readRows('outfit_items.csv');
+    const outfitTags = await readRows('outfit_tags.csv');
+    const outfitWearEvents = await readRows('outfit_wear_events.csv');
+    const packingLists = await readRows('packing_lists.csv');
+    const packingListItems = await readRows('packing_list_items.csv');
+
+    // IDs are compared as text, as parseCSV turns numeric ones into numbers
+    const idsOf = (rows, idKey) => new Set(rows.map(row => String(row[idKey])));
+    const locationIds = idsOf(locations, 'location_id');
+    const categoryIds = idsOf(categories, 'category_id');
+    const ownerIds = idsOf(owners, 'owner_id');
+    const tagIds = idsOf(tags, 'tag_id');
+    const fieldIds = idsOf(customFields, 'field_id');
+    const itemIds = idsOf(items, 'item_id');
+    const itemNames = new Map(items.map(item => [String(item.item_id), item.name]));
+    const itemUuids = idsOf(items, 'uuid');
+    const ownerUuids = idsOf(owners, 'uuid');
+    const outfitUuids = idsOf(outfits, 'uuid');
+    const outfitNames = new Map(outfits.map(outfit => [String(outfit.uuid), outfit.name]));
+    const packingListUuids = idsOf(packingLists, 'uuid');
+    const packingListNames = new Map(packingLists.map(packingList => [String(packingList.uuid), packingList.name]));
+
+    const checkReference = (file, name, row, field, knownIds, optional) => {
+        const id = row[field];
+        if (!isSet(id)) {
+            if (!optional) addProblem('unknownReference', { file, name, field, id: '' });
+            return;
+        }
+        if (!knownIds.has(String(id))) addProblem('unknownReference', { file, name, field, id: String(id) });
+    };
+    locations.forEach(row => checkReference('locations.csv', row.name, row, 'parent_location_id', locationIds, true));
+    categories.forEach(row => checkReference('categories.csv', row.name, row, 'parent_category_id', categoryIds, true));
+    customFields.forEach(row => checkReference('custom_fields.csv', row.name, row, 'category_id', categoryIds, false));
+    items.forEach(row => {
+        checkReference('items.csv', row.name, row, 'location_id', locationIds, false);
+        checkReference('items.csv', row.name, row, 'category_id', categoryIds, false);
+        checkReference('items.csv', row.name, row, 'owner_id', ownerIds, false);
+    });
+    itemTags.forEach(row => {
+        checkReference('item_tags.csv', itemNames.get(String(row.item_id)) ?? '', row, 'item_id', itemIds, false);
+        checkReference('item_tags.csv', itemNames.get(String(row.item_id)) ?? '', row, 'tag_id', tagIds, false);
+    });
+    itemFieldValues.forEach(row => {
+        checkReference('item_field_values.csv', itemNames.get(String(row.item_id)) ?? '', row, 'item_id', itemIds, false);
+        checkReference('item_field_values.csv', itemNames.get(String(row.item_id)) ?? '', row, 'field_id', fieldIds, false);
+    });
+    wearEvents.forEach(row => checkReference('wear_events.csv', '', row, 'item_uuid', itemUuids, false));
+    loans.forEach(row => {
+        checkReference('loans.csv', row.borrower_name, row, 'item_uuid', itemUuids, false);
+        checkReference('loans.csv', row.borrower_name, row, 'borrower_owner_uuid', ownerUuids, true);
+    });
+    outfitItems.forEach(row => {
+        checkReference('outfit_items.csv', outfitNames.get(String(row.outfit_uuid)) ?? '', row, 'outfit_uuid', outfitUuids, false);
+        checkReference('outfit_items.csv', outfitNames.get(String(row.outfit_uuid)) ?? '', row, 'item_uuid', itemUuids, false);
+    });
+    outfitTags.forEach(row => {
+        checkReference('outfit_tags.csv', outfitNames.get(String(row.outfit_uuid)) ?? '', row, 'outfit_uuid', outfitUuids, false);
+        checkReference('outfit_tags.csv', outfitNames.get(String(row.outfit_uuid)) ?? '', row, 'tag_id', tagIds, false);
+    });
+    outfitWearEvents.forEach(row => checkReference('outfit_wear_events.csv', '', row, 'outfit_uuid', outfitUuids, false));
+    packingListItems.forEach(row => {
+        checkReference('packing_list_items.csv', packingListNames.get(String(row.packing_list_uuid)) ?? '', row, 'packing_list_uuid', packingListUuids, false);
+        checkReference('packing_list_items.csv', packingListNames.get(String(row.packing_list_uuid)) ?? '', row, 'item_uuid', itemUuids, false);
+    });
+
+    // Exports since format 4.0 list every image in images.csv, older ones name one per item
+    const imageRowsByItem = groupItemImageRows(images);
+    [...imageRowsByItem.keys()].forEach(itemId => {
+        if (!itemIds.has(String(itemId))) addProblem('unknownReference', { file: 'images.csv', name: '', field: 'item_id', id: String(itemId) });
+    });
+    const imageFiles = items.flatMap(item => {
+        if (imageRowsByItem.has(item.item_id)) return imageRowsByItem.get(item.item_id).map(row => ({ file: row.image_zip_filename, name: item.name }));
+        return isSet(item.image_zip_filename) ? [{ file: item.image_zip_filename, name: item.name }] : [];
+    }).concat(outfits.filter(outfit => isSet(outfit.image_zip_filename)).map(outfit => ({ file: outfit.image_zip_filename, name: outfit.name })));
+    imageFiles.forEach(({ file, name }) => {
+        if (!isSet(file) || !loadedZip.file(`images/${file}`)) addProblem('missingImage', { file: isSet(file) ? `images/${file}` : '', name });
+    });
+
+    return {
+        formatVersion,
+        counts: {
+            locations: locations.length,
+            categories: categories.length,
+            owners: owners.length,
+            tags: tags.length,
+            customFields: customFields.length,
+            items: items.length,
+            images: imageFiles.length,
+            history: history.length,
+            wearEvents: wearEvents.length,
+            loans: loans.length,
+            outfits: outfits.length,
+            packingLists: packingLists.length,
+        },
+        problems,
+        canImport: !problems.some(problem => problem.blocking),
+    };
+};
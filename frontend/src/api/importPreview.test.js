@@ -0,0 +1,80 @@
+import JSZip from 'jszip'
+import { previewImport } from './importPreview'
+
+const buildZip = async (files) => {
+  const zip = new JSZip()
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content))
+  return zip.generateAsync({ type: 'uint8array' })
+}
+
+const validFiles = {
+  'manifest.json': JSON.stringify({ exportFormatVersion: '11.0' }),
+  'locations.csv': 'location_id,uuid,name,parent_location_id\n1,l1,Closet,\n2,l2,Drawer,1',
+  'categories.csv': 'category_id,uuid,name,parent_category_id\n1,c1,Shirts,',
+  'owners.csv': 'owner_id,uuid,name\n1,o1,Alex',
+  'items.csv': 'item_id,uuid,name,location_id,category_id,owner_id\n1,i1,Blue shirt,2,1,1\n2,i2,Red shirt,1,1,1',
+  'images.csv': 'image_id,uuid,item_id,position,is_primary,image_zip_filename\n1,m1,1,0,1,1_0.jpg\n2,m2,2,0,1,2_0.jpg',
+  'images/1_0.jpg': 'jpeg',
+  'images/2_0.jpg': 'jpeg',
+}
+
+describe('import preview', () => {
+  it('counts the rows of a complete export and finds no problems', async () => {
+    const preview = await previewImport(await buildZip(validFiles))
+
+    expect(preview.counts).toEqual({ locations: 2, categories: 1, owners: 1, tags: 0, customFields: 0, items: 2, images: 2, history: 0, wearEvents: 0, loans: 0, outfits: 0, packingLists: 0 })
+    expect(preview.problems).toEqual([])
+    expect(preview.canImport).toBe(true)
+  })
+
+  it('reports missing images and unknown references without blocking the import', async () => {
+    const { 'images/2_0.jpg': _missing, ...files } = validFiles
+    files['items.csv'] = 'item_id,uuid,name,location_id,category_id,owner_id\n1,i1,Blue shirt,2,1,1\n2,i2,Red shirt,7,1,1'
+    const preview = await previewImport(await buildZip(files))
+
+    expect(preview.problems).toEqual([
+      { kind: 'unknownReference', blocking: false, file: 'items.csv', name: 'Red shirt', field: 'location_id', id: '7' },
+      { kind: 'missingImage', blocking: false, file: 'images/2_0.jpg', name: 'Red shirt' },
+    ])
+    expect(preview.canImport).toBe(true)
+  })
+
+  it('checks the items and photos of outfits', async () => {
+    const files = {
+      ...validFiles,
+      'outfits.csv': 'outfit_id,uuid,name,image_zip_filename\n1,f1,Office,outfit_1.jpg',
+      'outfit_items.csv': 'outfit_uuid,item_uuid,position\nf1,i1,0\nf1,i9,1',
+    }
+    const preview = await previewImport(await buildZip(files))
+
+    expect(preview.counts).toMatchObject({ outfits: 1, images: 3 })
+    expect(preview.problems).toEqual([
+      { kind: 'unknownReference', blocking: false, file: 'outfit_items.csv', name: 'Office', field: 'item_uuid', id: 'i9' },
+      { kind: 'missingImage', blocking: false, file: 'images/outfit_1.jpg', name: 'Office' },
+    ])
+  })
+
+  it('checks the items of packing lists', async () => {
+    const files = {
+      ...validFiles,
+      'packing_lists.csv': 'packing_list_id,uuid,name,starts_on,ends_on,is_template\n1,p1,Rome,2024-06-01,2024-06-05,false',
+      'packing_list_items.csv': 'packing_list_uuid,item_uuid,position,packed,returned\np1,i1,0,true,false\np9,i2,0,false,false',
+    }
+    const preview = await previewImport(await buildZip(files))
+
+    expect(preview.counts).toMatchObject({ packingLists: 1 })
+    expect(preview.problems).toEqual([
+      { kind: 'unknownReference', blocking: false, file: 'packing_list_items.csv', name: '', field: 'packing_list_uuid', id: 'p9' },
+    ])
+  })
+
+  it('blocks files that the importers cannot read', async () => {
+    const { 'owners.csv': _owners, ...files } = validFiles
+    files['manifest.json'] = JSON.stringify({ exportFormatVersion: '99.0' })
+    files['categories.csv'] = 'category_id,uuid\n1,c1'
+    const preview = await previewImport(await buildZip(files))
+
+    expect(preview.problems.filter(problem => problem.blocking).map(problem => problem.kind)).toEqual(['missingFile', 'unsupportedVersion', 'missingColumn'])
+    expect(preview.canImport).toBe(false)
+  })
+})
@@ -1,82 +1,104 @@
 import JSZip from 'jszip';
-import { FORMAT_VERSION } from './exportFormat';
+import { FORMAT_VERSION, IMPORTABLE_FORMAT_VERSIONS } from './exportFormat';
 import { v4 as uuidv4 } from 'uuid';
 import {
     createCSV,
     parseCSV,
     getMimeTypeFromFilename,
+    normalizeItemQuery,
+    expandLocationFilter,
+    expandCategoryFilter,
+    parseSortCriteria,
+    itemMatchesQuery,
+    compareItemsBy,
+    normalizeItemImageRows,
+    applyItemImageOrder,
+    itemImageZipFilename,
+    groupItemImageRows,
+    loadZipImageFile,
+    IMAGE_VARIANTS,
+    normalizeImageVariant,
+    normalizeTagName,
+    normalizeTagIds,
+    groupItemTagRows,
+    normalizeCustomField,
+    normalizeFieldValues,
+    compareCustomFields,
+    groupItemFieldValueRows,
+    createsParentCycle,
+    diffForHistory,
+    createHistoryEntry,
+    normalizeHistoryEntries,
+    normalizeWearEvent,
+    normalizeWearEvents,
+    summarizeWearEvents,
+    normalizeItemStatus,
+    normalizeSetItemStatusInput,
+    withWearStats,
+    normalizeLoan,
+    normalizeLoanUpdate,
+    normalizeLoans,
+    summarizeOpenLoans,
+    withLoanStats,
+    outfitImageZipFilename,
+    normalizeOutfit,
+    normalizeOutfitUpdate,
+    normalizeOutfits,
+    joinOutfitRows,
+    normalizeOutfitWearEvent,
+    normalizeOutfitWearEvents,
+    normalizePackingList,
+    normalizePackingListUpdate,
+    normalizePackingLists,
+    joinPackingListRows,
+    createImportProgress,
+    referencingItemsErrorCode,
 } from './providerUtils';
+import { openDatabase } from './indexedDBUpgrades';
+import { createZipWriter, createBlobSink, ZIP_TOO_LARGE } from './zipStream';
 
 const PROVIDER_NAME = "IndexedDB Provider";
 const DB_NAME = 'ClothinvDB';
-const DB_VERSION = 3;
 const STORES = {
-    items: 'items',
-    images: 'images', // Note: Stores File objects, keyed by item_id (integer)
-    locations: 'locations', // Stores location metadata, keyed by location_id
-    categories: 'categories', // Stores category metadata, keyed by category_id
+    items: 'items', // Stores item metadata, keyed by item_id. Items in the trash carry a deleted_at timestamp (since version 10).
+    images: 'images', // Note: Stores File objects, keyed by image_uuid
+    item_images: 'item_images', // Stores { image_uuid, item_id, position, is_primary, created_at, image_mimetype, image_filename, image_size }, keyed by image_uuid
+    image_variants: 'image_variants', // Stores File objects (e.g. thumbnails), keyed by [image_uuid, variant] (since version 5)
+    locations: 'locations', // Stores location metadata, keyed by location_id. Nested locations point to their parent in parent_location_id (since version 8).
+    categories: 'categories', // Stores category metadata, keyed by category_id. Subcategories point to their parent in parent_category_id (since version 9).
     owners: 'owners', // Stores owner metadata, keyed by owner_id
+    tags: 'tags', // Stores tag metadata, keyed by tag_id (since version 6). Items list their tags in tag_ids.
+    custom_fields: 'custom_fields', // Stores custom field definitions, keyed by field_id (since version 7). Items keep the values in field_values.
+    history: 'history', // Append-only change log, keyed by an auto-incremented history_id (since version 11)
+    wear_events: 'wear_events', // Days on which an item was worn, keyed by an auto-incremented wear_id (since version 12)
+    loans: 'loans', // Items lent to someone, keyed by an auto-incremented loan_id (since version 14)
+    outfits: 'outfits', // Named combinations of items, keyed by outfit_id (since version 15). Outfits list their items in item_uuids and their tags in tag_ids.
+    outfit_wear_events: 'outfit_wear_events', // Days on which an outfit was worn, keyed by an auto-incremented outfit_wear_id (since version 15)
+    packing_lists: 'packing_lists', // Packing lists and their templates, keyed by packing_list_id (since version 16). Lists keep their items in entries.
     counters: 'counters', // Stores next available ID for each entity type
     schema_version: 'schema_version' // Stores schema version
 };
 
 let dbPromise = null;
 
+// Opens the database, running the upgrades of indexedDBUpgrades.js it still needs
 const openDB = () => {
-  if (dbPromise) return dbPromise;
-
-  dbPromise = (async () => {
-    // always open (or create) with the browser’s default version number
-    const request = indexedDB.open(DB_NAME);
-
-    return new Promise((resolve, reject) => {
-      request.onerror = (event) => {
-        console.error(`[${PROVIDER_NAME}]: IndexedDB error:`, event.target.error);
-        reject(event.target.error);
-      };
-
-      request.onsuccess = (event) => {
-        console.log(`[${PROVIDER_NAME}]: IndexedDB opened.`);
-        resolve(event.target.result);
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        const transaction = event.target.transaction;
-
-        // Create all object stores if missing
-        if (!db.objectStoreNames.contains(STORES.items)) {
-            db.createObjectStore(STORES.items, { keyPath: 'item_id' });
-        }
-        if (!db.objectStoreNames.contains(STORES.images)) {
-            db.createObjectStore(STORES.images);
-        }
-        if (!db.objectStoreNames.contains(STORES.locations)) {
-            db.createObjectStore(STORES.locations, { keyPath: 'location_id' });
-        }
-        if (!db.objectStoreNames.contains(STORES.categories)) {
-            db.createObjectStore(STORES.categories, { keyPath: 'category_id' });
-        }
-        if (!db.objectStoreNames.contains(STORES.owners)) {
-            db.createObjectStore(STORES.owners, { keyPath: 'owner_id' });
-        }
-        // Counters store (seed default nextId = 1 for each entity)
-        if (!db.objectStoreNames.contains(STORES.counters)) {
-            const counterStore = db.createObjectStore(STORES.counters, { keyPath: 'entity' });
-            ['items','locations','categories','owners']
-              .forEach(entity => counterStore.put({ entity, nextId: 1 }));
-        }
-        if (!db.objectStoreNames.contains(STORES.schema_version)) {
-            const versionStore = db.createObjectStore(STORES.schema_version, { keyPath: 'key' });
-            versionStore.put({ key: 'db_version', value: DB_VERSION });
-        }
-
-        console.log(`[${PROVIDER_NAME}]: IndexedDB creation complete.`);
-      };
-    });
-  })();
-
-  return dbPromise;
+    if (dbPromise) return dbPromise;
+    const opening = openDatabase(indexedDB, DB_NAME, () => {
+        // The closed connection is of no use; the next call opens the database again
+        if (dbPromise === opening) dbPromise = null;
+    })
+        .then((db) => {
+            console.log(`[${PROVIDER_NAME}]: IndexedDB opened.`);
+            return db;
+        })
+        .catch((error) => {
+            console.error(`[${PROVIDER_NAME}]: IndexedDB error:`, error);
+            dbPromise = null; // Let the next call try again
+            throw error;
+        });
+    dbPromise = opening;
+    return dbPromise;
 };
 
 // --- Helper Functions for IndexedDB Operations ---
@@ -103,16 +125,26 @@ export const destroyData = async (settings) => {
         console.log(`[${PROVIDER_NAME}]: Clearing all IndexedDB object stores...`); // Keep
         await clearStore(STORES.items);
         await clearStore(STORES.images);
+        await clearStore(STORES.item_images);
+        await clearStore(STORES.image_variants);
         await clearStore(STORES.locations);
         await clearStore(STORES.categories);
         await clearStore(STORES.owners);
+        await clearStore(STORES.tags);
+        await clearStore(STORES.custom_fields);
+        await clearStore(STORES.history);
+        await clearStore(STORES.wear_events);
+        await clearStore(STORES.loans);
+        await clearStore(STORES.outfits);
+        await clearStore(STORES.outfit_wear_events);
+        await clearStore(STORES.packing_lists);
         // Don't clear counters store here, reset it below
         console.log(`[${PROVIDER_NAME}]: Main data stores cleared.`); // Keep
         console.log(`[${PROVIDER_NAME}]: Resetting ID counters in IndexedDB...`); // Keep
         const db = await openDB();
         const transaction = db.transaction(STORES.counters, 'readwrite');
         const counterStore = transaction.objectStore(STORES.counters);
-        const entities = ['items', 'locations', 'categories', 'owners'];
+        const entities = ['items', 'locations', 'categories', 'owners', 'tags', 'custom_fields'];
         const promises = entities.map(entity => {
             return new Promise((resolve, reject) => {
                 const request = counterStore.put({ entity: entity, nextId: 1 });
@@ -137,9 +169,12 @@ export const destroyData = async (settings) => {
 
 // --- Export/Import ---
 
-export const exportData = async (settings) => {
+export const exportData = async (settings, options = {}) => {
     console.log(`[${PROVIDER_NAME}]: exportData called`); // Keep
-    const zip = new JSZip();
+    const { signal, onProgress } = options;
+    // Entries are written as they are made; options.sink receives them, or they become a Blob
+    const zip = createZipWriter(options.sink || createBlobSink(), { signal });
+    const reportProgress = (entity, done, total) => onProgress?.({ entity, done, total });
 
     try {
         // 1. Fetch all data
@@ -147,58 +182,151 @@ export const exportData = async (settings) => {
         const locations = await getAllFromStore(STORES.locations);
         const categories = await getAllFromStore(STORES.categories);
         const owners = await getAllFromStore(STORES.owners);
-        // listItems now returns all item metadata without File objects.
-        const itemsMetadata = await listItems(settings); // Fetches all item metadata
+        const tags = await listTags(settings);
+        const customFields = await listCustomFields(settings);
+        const history = await listHistory(settings);
+        // listItems returns all item metadata (without File objects) when no limit is given.
+        const { items: itemsMetadata } = await listItems(settings);
+        if (options.includeTrash) itemsMetadata.push(...(await listTrash(settings)).items);
+        // Only the wear events of exported items, so that every one of them finds its item on import
+        const exportedItemUuids = new Set(itemsMetadata.map(item => item.uuid));
+        const wearEvents = (await listWearEvents(settings)).filter(wearEvent => exportedItemUuids.has(wearEvent.item_uuid));
+        const loans = (await listLoans(settings)).filter(loan => exportedItemUuids.has(loan.item_uuid));
+        const outfits = await listOutfits(settings);
+        const outfitWearEvents = await listOutfitWearEvents(settings);
+        const packingLists = await listPackingLists(settings);
 
         // 2. Create CSVs
-        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('locations.csv', createCSV(locationHeaders, locations));
+        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'parent_location_id', 'created_at', 'updated_at'];
+        await zip.file('locations.csv', createCSV(locationHeaders, locations));
+        reportProgress('locations', locations.length, locations.length);
 
-        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'parent_category_id', 'created_at', 'updated_at'];
+        await zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        reportProgress('categories', categories.length, categories.length);
 
         const ownerHeaders = ['owner_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        await zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        reportProgress('owners', owners.length, owners.length);
+
+        const tagHeaders = ['tag_id', 'uuid', 'name', 'created_at', 'updated_at'];
+        await zip.file('tags.csv', createCSV(tagHeaders, tags));
+        reportProgress('tags', tags.length, tags.length);
+
+        const itemTagHeaders = ['item_id', 'tag_id'];
+        const itemTagsForCsv = itemsMetadata.flatMap(item => item.tag_ids.map(tagId => ({ item_id: item.item_id, tag_id: tagId })));
+        await zip.file('item_tags.csv', createCSV(itemTagHeaders, itemTagsForCsv));
+
+        const customFieldHeaders = ['field_id', 'uuid', 'category_id', 'name', 'field_type', 'options', 'position', 'created_at', 'updated_at'];
+        const customFieldsForCsv = customFields.map(field => ({ ...field, options: field.options ? JSON.stringify(field.options) : '' }));
+        await zip.file('custom_fields.csv', createCSV(customFieldHeaders, customFieldsForCsv));
+        reportProgress('customFields', customFields.length, customFields.length);
 
-        // Prepare images CSV and collect image data
-        const imageHeaders = ['image_id', 'uuid', 'image_mimetype', 'image_filename', 'created_at']; // Using item_id as image_id for simplicity here
+        const itemFieldValueHeaders = ['item_id', 'field_id', 'value'];
+        const itemFieldValuesForCsv = itemsMetadata.flatMap(item => Object.entries(item.field_values).map(([fieldId, value]) => ({ item_id: item.item_id, field_id: fieldId, value })));
+        await zip.file('item_field_values.csv', createCSV(itemFieldValueHeaders, itemFieldValuesForCsv));
+
+        // Prepare images CSV and collect image data.
+        // images.csv lists every image of every item; items.csv keeps pointing at the primary one.
+        const imageHeaders = ['image_id', 'uuid', 'item_id', 'position', 'is_primary', 'image_mimetype', 'image_filename', 'image_zip_filename', 'created_at'];
         const imagesForCsv = [];
+        let nextImageId = 1; // Images have no numeric ID here, so they are numbered for the export
 
-        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'created_at', 'updated_at'];
+        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'deleted_at', 'status', 'created_at', 'updated_at'];
         const itemsForCsv = [];
         const imagesFolder = zip.folder('images');
 
-        for (const item of itemsMetadata) { // Iterate over metadata
+        for (const [index, item] of itemsMetadata.entries()) { // Iterate over metadata
+            signal?.throwIfAborted();
             const itemCsvRow = { ...item };
             itemCsvRow.image_zip_filename = '';
             itemCsvRow.image_original_filename = '';
             // image_uuid is already in item metadata
 
-            if (item.image_uuid) { // Check if there's an associated image UUID
-                // Fetch the image File object using the new getImage method
-                const imageFile = await getImage(settings, { image_uuid: item.image_uuid });
-                if (imageFile instanceof File) {
-                    const fileExtension = imageFile.name.split('.').pop() || 'bin';
-                    const zipFilename = `${item.item_id}.${fileExtension}`; // Use item_id for zip filename
+            const itemImages = normalizeItemImageRows(await getItemImageRows(item.item_id));
+            for (const itemImage of itemImages) {
+                // The file is read by its key; its metadata comes from the item_images row
+                const imageFile = await getFromStore(STORES.images, itemImage.image_uuid);
+                if (!(imageFile instanceof File)) continue;
+                const zipFilename = itemImageZipFilename(item.item_id, itemImage.position, imageFile);
+                await imagesFolder.file(zipFilename, imageFile);
+                imagesForCsv.push({
+                    image_id: nextImageId++,
+                    uuid: itemImage.image_uuid,
+                    item_id: item.item_id,
+                    position: itemImage.position,
+                    is_primary: itemImage.is_primary,
+                    image_mimetype: itemImage.image_mimetype || imageFile.type,
+                    image_filename: itemImage.image_filename || imageFile.name,
+                    image_zip_filename: zipFilename,
+                    created_at: itemImage.created_at
+                });
+                if (itemImage.image_uuid === item.image_uuid) {
                     itemCsvRow.image_zip_filename = zipFilename;
-                    itemCsvRow.image_original_filename = imageFile.name;
-                    // itemCsvRow.image_id = item.item_id; // Already part of item
-
-                    imagesFolder.file(zipFilename, imageFile);
-
-                    imagesForCsv.push({
-                        image_id: item.item_id, // Use item_id as the key/ID for the image in this context
-                        uuid: item.image_uuid,
-                        image_mimetype: imageFile.type,
-                        image_filename: imageFile.name,
-                        created_at: item.created_at // Or a more specific image creation time if available
-                    });
+                    itemCsvRow.image_original_filename = itemImage.image_filename || imageFile.name;
                 }
             }
             itemsForCsv.push(itemCsvRow);
+            reportProgress('items', index + 1, itemsMetadata.length);
         }
-        zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
-        zip.file('images.csv', createCSV(imageHeaders, imagesForCsv));
+        await zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
+        await zip.file('images.csv', createCSV(imageHeaders, imagesForCsv));
+
+        const historyHeaders = ['history_id', 'entity_type', 'entity_uuid', 'action', 'changes', 'actor', 'created_at'];
+        const historyForCsv = history.map(entry => ({ ...entry, changes: JSON.stringify(entry.changes) }));
+        await zip.file('history.csv', createCSV(historyHeaders, historyForCsv));
+        reportProgress('history', history.length, history.length);
+
+        const wearEventHeaders = ['wear_id', 'uuid', 'item_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('wear_events.csv', createCSV(wearEventHeaders, wearEvents));
+        reportProgress('wearEvents', wearEvents.length, wearEvents.length);
+
+        const loanHeaders = ['loan_id', 'uuid', 'item_uuid', 'borrower_owner_uuid', 'borrower_name', 'lent_on', 'due_on', 'returned_on', 'note', 'created_at', 'updated_at'];
+        await zip.file('loans.csv', createCSV(loanHeaders, loans));
+        reportProgress('loans', loans.length, loans.length);
+
+        // Outfit photos go into images/ next to those of the items
+        const outfitHeaders = ['outfit_id', 'uuid', 'name', 'description', 'image_uuid', 'image_zip_filename', 'image_filename', 'image_mimetype', 'created_at', 'updated_at'];
+        const outfitsForCsv = [];
+        for (const outfit of outfits) {
+            signal?.throwIfAborted();
+            const outfitCsvRow = { ...outfit, image_zip_filename: '', image_filename: '', image_mimetype: '' };
+            const imageFile = outfit.image_uuid ? await getFromStore(STORES.images, outfit.image_uuid) : null;
+            if (imageFile instanceof File) {
+                outfitCsvRow.image_zip_filename = outfitImageZipFilename(outfit.outfit_id, imageFile);
+                outfitCsvRow.image_filename = imageFile.name;
+                outfitCsvRow.image_mimetype = imageFile.type;
+                await imagesFolder.file(outfitCsvRow.image_zip_filename, imageFile);
+            }
+            outfitsForCsv.push(outfitCsvRow);
+        }
+        await zip.file('outfits.csv', createCSV(outfitHeaders, outfitsForCsv));
+
+        // Only the exported items of an outfit, so that every one of them is found on import
+        const outfitItemHeaders = ['outfit_uuid', 'item_uuid', 'position'];
+        const outfitItemsForCsv = outfits.flatMap(outfit => outfit.item_uuids
+            .filter(itemUuid => exportedItemUuids.has(itemUuid))
+            .map((itemUuid, position) => ({ outfit_uuid: outfit.uuid, item_uuid: itemUuid, position })));
+        await zip.file('outfit_items.csv', createCSV(outfitItemHeaders, outfitItemsForCsv));
+
+        const outfitTagHeaders = ['outfit_uuid', 'tag_id'];
+        const outfitTagsForCsv = outfits.flatMap(outfit => outfit.tag_ids.map(tagId => ({ outfit_uuid: outfit.uuid, tag_id: tagId })));
+        await zip.file('outfit_tags.csv', createCSV(outfitTagHeaders, outfitTagsForCsv));
+        reportProgress('outfits', outfits.length, outfits.length);
+
+        const outfitWearEventHeaders = ['outfit_wear_id', 'uuid', 'outfit_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('outfit_wear_events.csv', createCSV(outfitWearEventHeaders, outfitWearEvents));
+        reportProgress('outfitWearEvents', outfitWearEvents.length, outfitWearEvents.length);
+
+        const packingListHeaders = ['packing_list_id', 'uuid', 'name', 'note', 'starts_on', 'ends_on', 'is_template', 'created_at', 'updated_at'];
+        await zip.file('packing_lists.csv', createCSV(packingListHeaders, packingLists));
+        // Only the exported items of a list, so that every one of them is found on import
+        const packingListItemHeaders = ['packing_list_uuid', 'item_uuid', 'position', 'packed', 'returned'];
+        const packingListItemsForCsv = packingLists.flatMap(packingList => packingList.entries
+            .filter(entry => exportedItemUuids.has(entry.item_uuid))
+            .map((entry, position) => ({ packing_list_uuid: packingList.uuid, ...entry, position })));
+        await zip.file('packing_list_items.csv', createCSV(packingListItemHeaders, packingListItemsForCsv));
+        reportProgress('packingLists', packingLists.length, packingLists.length);
 
         // 3. Create Manifest
         const manifest = {
@@ -206,14 +334,17 @@ export const exportData = async (settings) => {
             exportedAt: new Date().toISOString(),
             sourceProvider: "indexedDB"
         };
-        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        await zip.file('manifest.json', JSON.stringify(manifest, null, 2));
 
-        // 4. Generate ZIP
-        const blob = await zip.generateAsync({ type: "blob" });
+        // 4. Finish the ZIP: the Blob, or null when it went to options.sink
+        const blob = await zip.close();
         console.log(`[${PROVIDER_NAME}]: Export generated successfully.`); // Keep
         return blob;
 
     } catch (error) {
+        await zip.abort();
+        if (error.name === 'AbortError') throw error; // Cancelled through options.signal
+        if (error.errorCode === ZIP_TOO_LARGE) throw error; // Explained by the settings page
         console.error(`[${PROVIDER_NAME}]: Error during IndexedDB export:`, error); // Add prefix
         throw new Error(`Export failed: ${error.message}`);
     }
@@ -222,7 +353,7 @@ export const exportData = async (settings) => {
 /*
 // --- importData v1 for IndexedDB provider ---
 */
-async function importDataV1(settings, loadedZip) {
+async function importDataV1(settings, loadedZip, options = {}) {
     console.log(`[${PROVIDER_NAME}]: importData called`); // Keep
     try {
         // Validate essential files
@@ -230,15 +361,32 @@ async function importDataV1(settings, loadedZip) {
             throw new Error("Import file is missing required CSV or manifest files.");
         }
 
-        // Clear existing data (implement this carefully!)
-        console.log(`[${PROVIDER_NAME}]: Clearing existing IndexedDB data...`); // Keep
-        await clearStore(STORES.items);
-        await clearStore(STORES.images);
-        await clearStore(STORES.locations);
-        await clearStore(STORES.categories);
-        await clearStore(STORES.owners);
-        // Don't reset counters here, do it after parsing below
-        console.log(`[${PROVIDER_NAME}]: Existing data cleared.`); // Keep
+        // Rows keep their exported IDs and are put, not added, so every step but the items
+        // can simply run again when an import is resumed
+        const progress = createImportProgress(options.checkpoint, options.onCheckpoint);
+
+        // Clear existing data (done already when resuming)
+        if (!progress.cleared) {
+            console.log(`[${PROVIDER_NAME}]: Clearing existing IndexedDB data...`); // Keep
+            await clearStore(STORES.items);
+            await clearStore(STORES.images);
+            await clearStore(STORES.item_images);
+            await clearStore(STORES.image_variants);
+            await clearStore(STORES.locations);
+            await clearStore(STORES.categories);
+            await clearStore(STORES.owners);
+            await clearStore(STORES.tags);
+            await clearStore(STORES.custom_fields);
+            await clearStore(STORES.history);
+            await clearStore(STORES.wear_events);
+            await clearStore(STORES.loans);
+            await clearStore(STORES.outfits);
+            await clearStore(STORES.outfit_wear_events);
+            await clearStore(STORES.packing_lists);
+            // Don't reset counters here, do it after parsing below
+            await progress.markCleared();
+            console.log(`[${PROVIDER_NAME}]: Existing data cleared.`); // Keep
+        }
 
         // --- Parse Data ---
         const locations = parseCSV(await loadedZip.file('locations.csv').async('string'));
@@ -246,6 +394,16 @@ async function importDataV1(settings, loadedZip) {
         const owners = parseCSV(await loadedZip.file('owners.csv').async('string'));
         const imagesMetadata = parseCSV(await loadedZip.file('images.csv').async('string')); // Parse images metadata
         const items = parseCSV(await loadedZip.file('items.csv').async('string'));
+        // Exports before format 6.0 have no tags
+        const tags = loadedZip.file('tags.csv') ? parseCSV(await loadedZip.file('tags.csv').async('string')) : [];
+        const itemTagRows = loadedZip.file('item_tags.csv') ? parseCSV(await loadedZip.file('item_tags.csv').async('string')) : [];
+        const tagIdsByItem = groupItemTagRows(itemTagRows);
+        // Exports before format 7.0 have no custom fields
+        const customFields = loadedZip.file('custom_fields.csv') ? parseCSV(await loadedZip.file('custom_fields.csv').async('string')) : [];
+        const itemFieldValueRows = loadedZip.file('item_field_values.csv') ? parseCSV(await loadedZip.file('item_field_values.csv').async('string')) : [];
+        const fieldValuesByItem = groupItemFieldValueRows(itemFieldValueRows);
+        // Exports since format 4.0 list every image of an item in images.csv
+        const imageRowsByItem = groupItemImageRows(imagesMetadata);
 
         // --- Reset Counters Based on Max Imported IDs ---
         console.log(`[${PROVIDER_NAME}]: Resetting ID counters based on imported data...`); // Keep
@@ -253,6 +411,8 @@ async function importDataV1(settings, loadedZip) {
         const maxCatId = Math.max(0, ...categories.map(c => parseInt(c.category_id, 10) || 0));
         const maxOwnerId = Math.max(0, ...owners.map(o => parseInt(o.owner_id, 10) || 0));
         const maxItemId = Math.max(0, ...items.map(i => parseInt(i.item_id, 10) || 0));
+        const maxTagId = Math.max(0, ...tags.map(t => parseInt(t.tag_id, 10) || 0));
+        const maxFieldId = Math.max(0, ...customFields.map(f => parseInt(f.field_id, 10) || 0));
         // No counter needed for images as their ID is derived from item_id
 
         const dbCounters = await openDB();
@@ -263,6 +423,8 @@ async function importDataV1(settings, loadedZip) {
             { entity: 'categories', nextId: maxCatId + 1 },
             { entity: 'owners', nextId: maxOwnerId + 1 },
             { entity: 'items', nextId: maxItemId + 1 },
+            { entity: 'tags', nextId: maxTagId + 1 },
+            { entity: 'custom_fields', nextId: maxFieldId + 1 },
         ].map(counter => {
             return new Promise((resolve, reject) => {
                 const req = counterStore.put(counter);
@@ -281,6 +443,7 @@ async function importDataV1(settings, loadedZip) {
         for (const loc of locations) {
             // Ensure IDs are numbers
             loc.location_id = parseInt(loc.location_id, 10);
+            loc.parent_location_id = loc.parent_location_id ?? null; // Missing from exports before version 8
             // Preserve timestamps or set defaults
             loc.created_at = loc.created_at || new Date().toISOString();
             loc.updated_at = loc.updated_at || null;
@@ -294,6 +457,7 @@ async function importDataV1(settings, loadedZip) {
         console.log(`[${PROVIDER_NAME}]: Importing categories...`); // Keep (and for categories, owners, items)
         for (const cat of categories) {
             cat.category_id = parseInt(cat.category_id, 10);
+            cat.parent_category_id = cat.parent_category_id ?? null; // Missing from exports before version 9
             cat.created_at = cat.created_at || new Date().toISOString();
             cat.updated_at = cat.updated_at || null;
             cat.uuid = cat.uuid || uuidv4();
@@ -311,17 +475,68 @@ async function importDataV1(settings, loadedZip) {
         }
         console.log(`[${PROVIDER_NAME}]: Owners imported.`); // Keep (and for categories, owners)
 
+        console.log(`[${PROVIDER_NAME}]: Importing tags...`);
+        const importedTagIds = new Set();
+        for (const tag of tags) {
+            tag.tag_id = parseInt(tag.tag_id, 10);
+            tag.name = normalizeTagName(tag.name);
+            tag.created_at = tag.created_at || new Date().toISOString();
+            tag.updated_at = tag.updated_at || null;
+            tag.uuid = tag.uuid || uuidv4();
+            await updateInStore(STORES.tags, tag);
+            importedTagIds.add(tag.tag_id);
+        }
+        console.log(`[${PROVIDER_NAME}]: Tags imported.`);
+
+        console.log(`[${PROVIDER_NAME}]: Importing custom fields...`);
+        const importedFieldIds = new Set();
+        for (const field of customFields) {
+            const { name, field_type, options } = normalizeCustomField(field);
+            await updateInStore(STORES.custom_fields, {
+                field_id: parseInt(field.field_id, 10),
+                uuid: field.uuid || uuidv4(),
+                category_id: parseInt(field.category_id, 10),
+                name,
+                field_type,
+                options,
+                position: parseInt(field.position, 10) || 0,
+                created_at: field.created_at || new Date().toISOString(),
+                updated_at: field.updated_at || null
+            });
+            importedFieldIds.add(parseInt(field.field_id, 10));
+        }
+        console.log(`[${PROVIDER_NAME}]: Custom fields imported.`);
+
         console.log(`[${PROVIDER_NAME}]: Importing items and images...`); // Keep
         for (const item of items) {
             const { image_zip_filename, image_original_filename, ...itemMetadata } = item;
             const itemId = parseInt(itemMetadata.item_id, 10); // Ensure item_id is number
+            if (progress.isItemDone(itemId)) continue; // Item and images were stored in one transaction
             itemMetadata.item_id = itemId;
             itemMetadata.uuid = itemMetadata.uuid || uuidv4(); // Use imported UUID or generate
 
             let imageFile = null;
             let imageUuid = itemMetadata.image_uuid || null; // Get image UUID from item row
-
-            if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
+            let itemImageRows = [];
+            const itemImageFiles = {}; // image_uuid -> File
+
+            if (imageRowsByItem.has(itemId)) {
+                for (const row of imageRowsByItem.get(itemId)) {
+                    const file = await loadZipImageFile(loadedZip, row.image_zip_filename, row.image_filename, row.image_mimetype);
+                    if (!file) continue;
+                    const rowUuid = row.uuid || uuidv4();
+                    itemImageFiles[rowUuid] = file;
+                    itemImageRows.push({
+                        item_id: itemId,
+                        image_uuid: rowUuid,
+                        position: row.position,
+                        is_primary: row.is_primary,
+                        created_at: row.created_at || new Date().toISOString()
+                    });
+                }
+                itemImageRows = normalizeItemImageRows(itemImageRows);
+                imageUuid = itemImageRows.find(row => row.is_primary)?.image_uuid ?? null;
+            } else if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
                 const imageBlob = await loadedZip.file(`images/${image_zip_filename}`).async('blob');
                 const originalFilenameToUse = image_original_filename || image_zip_filename;
 
@@ -359,7 +574,18 @@ async function importDataV1(settings, loadedZip) {
             // Preserve timestamps or set defaults
             itemMetadata.created_at = itemMetadata.created_at || new Date().toISOString();
             itemMetadata.updated_at = itemMetadata.updated_at || null;
+            itemMetadata.deleted_at = itemMetadata.deleted_at || null; // Exports before format 10.0 have no trash
+            itemMetadata.status = normalizeItemStatus(itemMetadata.status) ?? null; // Exports before format 13.0 have no status
             itemMetadata.image_uuid = imageUuid; // Store the image's UUID in the item metadata
+            // Tag IDs are kept as exported, like every other ID
+            itemMetadata.tag_ids = (tagIdsByItem.get(itemId) || []).filter(tagId => importedTagIds.has(tagId));
+            itemMetadata.field_values = Object.fromEntries(Object.entries(fieldValuesByItem.get(itemId) || {})
+                .filter(([fieldId]) => importedFieldIds.has(Number(fieldId))));
+            if (imageFile) {
+                // Older exports carry a single image, which becomes the primary one
+                itemImageFiles[imageUuid] = imageFile;
+                itemImageRows = [{ item_id: itemId, image_uuid: imageUuid, position: 0, is_primary: true, created_at: itemMetadata.created_at }];
+            }
 
             // Add price support: parse price as number or null
             if (itemMetadata.price !== '' && itemMetadata.price != null) {
@@ -370,16 +596,18 @@ async function importDataV1(settings, loadedZip) {
 
             // Use a transaction to add item and image together
             const dbItem = await openDB();
-            const itemTx = dbItem.transaction([STORES.items, STORES.images], 'readwrite');
+            const itemTx = dbItem.transaction([STORES.items, STORES.images, STORES.item_images], 'readwrite');
             const itemsStore = itemTx.objectStore(STORES.items);
             const imagesStore = itemTx.objectStore(STORES.images);
+            const itemImagesStore = itemTx.objectStore(STORES.item_images);
 
             const itemReq = itemsStore.put(itemMetadata); // Use put for add/update
             itemReq.onerror = (e) => console.error(`[${PROVIDER_NAME}]: Error importing item ${itemId}:`, e.target.error); // Add prefix
 
-            if (imageFile) {
-                const imageReq = imagesStore.put(imageFile, itemMetadata.item_id); // Use put for add/update, key is item_id
+            for (const row of itemImageRows) {
+                const imageReq = imagesStore.put(itemImageFiles[row.image_uuid], row.image_uuid); // Use put for add/update, key is image_uuid
                 imageReq.onerror = (e) => console.error(`[${PROVIDER_NAME}]: Error importing image for item ${itemId}:`, e.target.error); // Add prefix
+                itemImagesStore.put({ ...row, ...imageFileMetadata(itemImageFiles[row.image_uuid]) });
             }
 
             // Wait for transaction to complete for this item
@@ -394,8 +622,88 @@ async function importDataV1(settings, loadedZip) {
                     reject(`Transaction aborted importing item ${itemMetadata.item_id}: ${e.target.error}`); 
                 };
             });
+            await progress.markItemDone(itemId);
         }
         console.log(`[${PROVIDER_NAME}]: Items and images imported.`); // Keep
+
+        // Exports before format 11.0 have no history
+        const historyRows = loadedZip.file('history.csv') ? normalizeHistoryEntries(parseCSV(await loadedZip.file('history.csv').async('string'))) : [];
+        if (historyRows.length > 0) {
+            await replaceHistory(settings, { entries: historyRows }); // Also drops entries added by an earlier run that stopped halfway
+            console.log(`[${PROVIDER_NAME}]: History imported.`);
+        }
+
+        // Exports before format 12.0 have no wear events
+        const wearEventRows = loadedZip.file('wear_events.csv') ? normalizeWearEvents(parseCSV(await loadedZip.file('wear_events.csv').async('string'))) : [];
+        if (wearEventRows.length > 0) {
+            await clearStore(STORES.wear_events); // Events added by an earlier run that stopped halfway
+            const importedItemUuids = new Set(items.map(item => item.uuid));
+            for (const { wear_id, ...wearEvent } of wearEventRows.reverse()) {
+                if (importedItemUuids.has(wearEvent.item_uuid)) await addToStore(STORES.wear_events, wearEvent); // Skips events of unknown items
+            }
+            console.log(`[${PROVIDER_NAME}]: Wear events imported.`);
+        }
+
+        // Exports before format 14.0 have no loans
+        const loanRows = loadedZip.file('loans.csv') ? normalizeLoans(parseCSV(await loadedZip.file('loans.csv').async('string'))) : [];
+        if (loanRows.length > 0) {
+            await clearStore(STORES.loans); // Loans added by an earlier run that stopped halfway
+            const importedItemUuids = new Set(items.map(item => item.uuid));
+            const importedOwnerUuids = new Set(owners.map(owner => owner.uuid));
+            for (const { loan_id, ...loan } of loanRows.reverse()) {
+                if (!importedItemUuids.has(loan.item_uuid)) continue; // Skips loans of unknown items
+                // Borrowers that are not among the imported owners keep only their name
+                await addToStore(STORES.loans, { ...loan, borrower_owner_uuid: importedOwnerUuids.has(loan.borrower_owner_uuid) ? loan.borrower_owner_uuid : null });
+            }
+            console.log(`[${PROVIDER_NAME}]: Loans imported.`);
+        }
+
+        // Exports before format 15.0 have no outfits. Outfits keep their exported IDs, like tags.
+        const outfits = loadedZip.file('outfits.csv') ? joinOutfitRows(
+            parseCSV(await loadedZip.file('outfits.csv').async('string')),
+            loadedZip.file('outfit_items.csv') ? parseCSV(await loadedZip.file('outfit_items.csv').async('string')) : [],
+            loadedZip.file('outfit_tags.csv') ? parseCSV(await loadedZip.file('outfit_tags.csv').async('string')) : [],
+        ) : [];
+        if (outfits.length > 0) {
+            await clearStore(STORES.outfits); // Outfits added by an earlier run that stopped halfway
+            await clearStore(STORES.outfit_wear_events);
+            const importedItemUuids = new Set(items.map(item => item.uuid));
+            for (const { wear_count, last_worn_on, image_zip_filename, image_filename, image_mimetype, ...outfit } of outfits) {
+                const imageFile = await loadZipImageFile(loadedZip, image_zip_filename, image_filename, image_mimetype);
+                const imageUuid = imageFile ? (outfit.image_uuid || uuidv4()) : null;
+                await putOutfitWithImage({
+                    ...outfit,
+                    image_uuid: imageUuid,
+                    item_uuids: outfit.item_uuids.filter(itemUuid => importedItemUuids.has(itemUuid)),
+                    tag_ids: outfit.tag_ids.filter(tagId => importedTagIds.has(tagId)),
+                    updated_at: outfit.updated_at || null,
+                }, imageFile ? { uuid: imageUuid, file: imageFile } : null);
+            }
+            const outfitWearEventRows = loadedZip.file('outfit_wear_events.csv') ? normalizeOutfitWearEvents(parseCSV(await loadedZip.file('outfit_wear_events.csv').async('string'))) : [];
+            const importedOutfitUuids = new Set(outfits.map(outfit => outfit.uuid));
+            for (const { outfit_wear_id, ...wearEvent } of outfitWearEventRows.reverse()) {
+                if (importedOutfitUuids.has(wearEvent.outfit_uuid)) await addToStore(STORES.outfit_wear_events, wearEvent);
+            }
+            console.log(`[${PROVIDER_NAME}]: Outfits imported.`);
+        }
+
+        // Exports before format 16.0 have no packing lists. Lists keep their exported IDs, like outfits.
+        const packingLists = loadedZip.file('packing_lists.csv') ? joinPackingListRows(
+            parseCSV(await loadedZip.file('packing_lists.csv').async('string')),
+            loadedZip.file('packing_list_items.csv') ? parseCSV(await loadedZip.file('packing_list_items.csv').async('string')) : [],
+        ) : [];
+        if (packingLists.length > 0) {
+            await clearStore(STORES.packing_lists); // Lists added by an earlier run that stopped halfway
+            const importedItemUuids = new Set(items.map(item => item.uuid));
+            for (const packingList of packingLists) {
+                await updateInStore(STORES.packing_lists, {
+                    ...packingList,
+                    entries: packingList.entries.filter(entry => importedItemUuids.has(entry.item_uuid)),
+                    updated_at: packingList.updated_at || null,
+                });
+            }
+            console.log(`[${PROVIDER_NAME}]: Packing lists imported.`);
+        }
         console.log(`[${PROVIDER_NAME}]: Import completed successfully.`); // Keep
         return {
             success: true,
@@ -403,19 +711,25 @@ async function importDataV1(settings, loadedZip) {
                 locations: locations.length,
                 categories: categories.length,
                 owners: owners.length,
+                tags: tags.length,
+                custom_fields: customFields.length,
                 items: items.length
             }
         };
         // Note: Image count isn't explicitly tracked in summary, but they are imported.
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during IndexedDB import:`, error); // Add prefix
-        // Attempt to clean up partially imported data? Difficult in IndexedDB.
-        return { success: false, errorKey: "api.import.errorDetail", errorValues: { detail: error.message } };
+        // Attempt to clean up partially imported data? Difficult in IndexedDB; a checkpointed import can be resumed.
+        const errorKey = options.onCheckpoint ? "api.import.errorDetailResumable" : "api.import.errorDetail";
+        return { success: false, errorKey, errorValues: { detail: error.message } };
     }
 }
 
 // --- importData dispatcher for versioning ---
-export const importData = async (settings, zipFile) => {
+// options.checkpoint and options.onCheckpoint make the import resumable: onCheckpoint receives
+// the progress after every step, and an import given the last one, with the completed items of
+// all of them collected (see createImportProgress), carries on from there.
+export const importData = async (settings, zipFile, options = {}) => {
     const zip = new JSZip();
     const loadedZip = await zip.loadAsync(zipFile);
 
@@ -428,42 +742,13 @@ export const importData = async (settings, zipFile) => {
         } catch (_) {}
     }
 
-    switch (version) {
-      case "1.0":
-      case "2.0":
-      case FORMAT_VERSION:
-        return importDataV1(settings, loadedZip);
-      default:
-        return {
-          success: false,
-          error: `Unsupported export format version: ${version}`,
-        };
+    if (IMPORTABLE_FORMAT_VERSIONS.includes(version)) {
+        return importDataV1(settings, loadedZip, options);
     }
-};
-
-// Helper to get all images keyed by item_id
-const getAllImagesWithKeys = async () => {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(STORES.images, 'readonly');
-        const store = transaction.objectStore(STORES.images);
-        const imageMap = {};
-        const cursorRequest = store.openCursor();
-
-        cursorRequest.onsuccess = event => {
-            const cursor = event.target.result;
-            if (cursor) {
-                imageMap[cursor.key] = cursor.value; // key is item_id, value is File
-                cursor.continue();
-            } else {
-                resolve(imageMap); // All images fetched
-            }
-        };
-        cursorRequest.onerror = event => {
-            console.error(`[${PROVIDER_NAME}]: Error fetching images with keys:`, event.target.error); // Add prefix
-            reject("Error fetching images with keys");
-        };
-    });
+    return {
+        success: false,
+        error: `Unsupported export format version: ${version}`,
+    };
 };
 
 // Helper function to clear an object store
@@ -563,6 +848,43 @@ export const getDbVersion = async () => {
     }
 };
 
+// --- Change History ---
+
+// Appends a change to the history. The change itself has already been saved,
+// so a failure here is logged instead of thrown.
+const recordHistory = async (settings, entityType, entityUuid, action, changes) => {
+    const entry = createHistoryEntry(settings, entityType, entityUuid, action, changes);
+    if (!entityUuid || !entry) return;
+    try {
+        await addToStore(STORES.history, entry);
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Failed to record ${action} of ${entityType} ${entityUuid} in the history:`, error);
+    }
+};
+
+// Lists history entries, newest first, optionally only those of one entity
+export const listHistory = async (settings, query = {}) => {
+    const db = await openDB();
+    const entries = await new Promise((resolve, reject) => {
+        const store = db.transaction(STORES.history, 'readonly').objectStore(STORES.history);
+        const request = query.entity_uuid ? store.index('entity_uuid').getAll(query.entity_uuid) : store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error listing history:`, event.target.error);
+            reject(`Error listing history: ${event.target.error}`);
+        };
+    });
+    return normalizeHistoryEntries(entries.filter(entry => !query.entity_type || entry.entity_type === query.entity_type));
+};
+
+// Replaces the whole history with the given entries, e.g. those of an import or of a provider
+// being migrated here. The entries are given newest first, as listHistory returns them.
+export const replaceHistory = async (settings, inputData) => {
+    await clearStore(STORES.history);
+    for (const { history_id, ...entry } of [...inputData.entries].reverse()) await addToStore(STORES.history, entry);
+    return { success: true };
+};
+
 // --- Exported API Methods ---
 
 // Locations
@@ -578,7 +900,7 @@ export const addLocation = async (settings, data) => {
         const counterStore = transaction.objectStore(STORES.counters);
         const entity = 'locations';
         let newId;
-        const newUuid = uuidv4(); // Generate UUID
+        const newUuid = data.uuid || uuidv4(); // Use provided UUID or generate
 
         const counterRequest = counterStore.get(entity);
 
@@ -604,7 +926,7 @@ export const addLocation = async (settings, data) => {
                 ...data,
                 uuid: newUuid, // Add UUID
                 location_id: newId,
-                created_at: new Date().toISOString(),
+                created_at: data.created_at || new Date().toISOString(), // Kept when migrating from another provider
                 updated_at: null
             };
             const addLocationRequest = locationStore.add(newLocation);
@@ -615,7 +937,8 @@ export const addLocation = async (settings, data) => {
             };
         };
 
-        transaction.oncomplete = () => {
+        transaction.oncomplete = async () => {
+            await recordHistory(settings, 'location', newUuid, 'add', diffForHistory('location', null, data));
             resolve({ success: true, newId: newId, uuid: newUuid }); // Return UUID
         };
         transaction.onerror = (event) => {
@@ -633,29 +956,43 @@ export const updateLocation = async (settings, inputData) => {
     const { location_id: locationId, ...data } = inputData;
     const existing = await getFromStore(STORES.locations, locationId);
     if (!existing) return { success: false, message: 'Location not found' };
-    const { uuid, ...updateData } = data; // Exclude uuid from update data
+    // A location cannot be moved inside itself or one of its descendants
+    if (data.parent_location_id != null) {
+        const locations = await getAllFromStore(STORES.locations);
+        if (createsParentCycle(locations, 'location_id', 'parent_location_id', locationId, data.parent_location_id)) {
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+    const { uuid, ...updateData } = data; // Exclude uuid from update data; omitted fields are left as they are
     const updatedLocation = {
         ...existing,
         ...updateData, // Apply other updates
         updated_at: new Date().toISOString() // Set updated_at on update
     };
     await updateInStore(STORES.locations, updatedLocation);
+    await recordHistory(settings, 'location', existing.uuid, 'update', diffForHistory('location', existing, updateData));
     return { success: true };
 };
 
 export const deleteLocation = async (settings, inputData) => {
     const { location_id: locationId } = inputData;
-    // Check if used by items
+    // Check if used by items, also those in the trash
     const items = await getAllFromStore(STORES.items);
-    const isUsed = items.some(item => item.location_id === locationId);
-    if (isUsed) {
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+    const usedErrorCode = referencingItemsErrorCode(items.filter(item => item.location_id === locationId));
+    if (usedErrorCode) {
+        return { success: false, errorCode: usedErrorCode };
+    }
+    // Locations nested inside this one have to be moved or deleted first
+    const locations = await getAllFromStore(STORES.locations);
+    if (locations.some(loc => loc.parent_location_id === locationId)) {
+        return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
     }
     // Check if exists before attempting delete (optional, deleteFromStore handles NotFoundError)
     const existing = await getFromStore(STORES.locations, locationId);
      if (!existing) return { success: false, message: 'Location not found' };
 
     await deleteFromStore(STORES.locations, locationId);
+    await recordHistory(settings, 'location', existing.uuid, 'delete', diffForHistory('location', existing, null));
     return { success: true };
 };
 
@@ -672,7 +1009,7 @@ export const addCategory = async (settings, data) => {
         const counterStore = transaction.objectStore(STORES.counters);
         const entity = 'categories';
         let newId;
-        const newUuid = uuidv4(); // Generate UUID
+        const newUuid = data.uuid || uuidv4(); // Use provided UUID or generate
 
         const counterRequest = counterStore.get(entity);
 
@@ -698,7 +1035,7 @@ export const addCategory = async (settings, data) => {
                 ...data,
                 uuid: newUuid, // Add UUID
                 category_id: newId,
-                created_at: new Date().toISOString(),
+                created_at: data.created_at || new Date().toISOString(), // Kept when migrating from another provider
                 updated_at: null
             };
             const addCategoryRequest = categoryStore.add(newCategory);
@@ -709,7 +1046,8 @@ export const addCategory = async (settings, data) => {
             };
         };
 
-        transaction.oncomplete = () => {
+        transaction.oncomplete = async () => {
+            await recordHistory(settings, 'category', newUuid, 'add', diffForHistory('category', null, data));
             resolve({ success: true, newId: newId, uuid: newUuid });
         };
         transaction.onerror = (event) => {
@@ -726,26 +1064,44 @@ export const updateCategory = async (settings, inputData) => {
     const { category_id: categoryId, ...data } = inputData;
     const existing = await getFromStore(STORES.categories, categoryId);
     if (!existing) return { success: false, message: 'Category not found' };
-    const { uuid, ...updateData } = data; // Exclude uuid from update data
+    // A category cannot be moved under itself or one of its subcategories
+    if (data.parent_category_id != null) {
+        const categories = await getAllFromStore(STORES.categories);
+        if (createsParentCycle(categories, 'category_id', 'parent_category_id', categoryId, data.parent_category_id)) {
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+    const { uuid, ...updateData } = data; // Exclude uuid from update data; omitted fields are left as they are
     const updatedCategory = {
         ...existing,
         ...updateData, // Apply other updates
         updated_at: new Date().toISOString()
     };
     await updateInStore(STORES.categories, updatedCategory);
+    await recordHistory(settings, 'category', existing.uuid, 'update', diffForHistory('category', existing, updateData));
     return { success: true };
 };
 
 export const deleteCategory = async (settings, inputData) => {
     const { category_id: categoryId } = inputData;
+    // Check if used by items, also those in the trash
     const items = await getAllFromStore(STORES.items);
-    const isUsed = items.some(item => item.category_id === categoryId);
-    if (isUsed) {
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+    const usedErrorCode = referencingItemsErrorCode(items.filter(item => item.category_id === categoryId));
+    if (usedErrorCode) {
+        return { success: false, errorCode: usedErrorCode };
+    }
+    // Subcategories have to be moved or deleted first
+    const categories = await getAllFromStore(STORES.categories);
+    if (categories.some(cat => cat.parent_category_id === categoryId)) {
+        return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
     }
      const existing = await getFromStore(STORES.categories, categoryId);
      if (!existing) return { success: false, message: 'Category not found' };
+    // The category's custom fields go with it; no item holds their values anymore
+    const categoryFields = (await listCustomFields(settings)).filter(field => field.category_id === categoryId);
+    for (const field of categoryFields) await deleteFromStore(STORES.custom_fields, field.field_id);
     await deleteFromStore(STORES.categories, categoryId);
+    await recordHistory(settings, 'category', existing.uuid, 'delete', diffForHistory('category', existing, null));
     return { success: true };
 };
 
@@ -762,7 +1118,7 @@ export const addOwner = async (settings, data) => {
         const counterStore = transaction.objectStore(STORES.counters);
         const entity = 'owners';
         let newId;
-        const newUuid = uuidv4(); // Generate UUID
+        const newUuid = data.uuid || uuidv4(); // Use provided UUID or generate
 
         const counterRequest = counterStore.get(entity);
 
@@ -788,7 +1144,7 @@ export const addOwner = async (settings, data) => {
                 ...data,
                 uuid: newUuid, // Add UUID
                 owner_id: newId,
-                created_at: new Date().toISOString(),
+                created_at: data.created_at || new Date().toISOString(), // Kept when migrating from another provider
                 updated_at: null
             };
             const addOwnerRequest = ownerStore.add(newOwner);
@@ -799,7 +1155,8 @@ export const addOwner = async (settings, data) => {
             };
         };
 
-        transaction.oncomplete = () => {
+        transaction.oncomplete = async () => {
+            await recordHistory(settings, 'owner', newUuid, 'add', diffForHistory('owner', null, data));
             resolve({ success: true, newId: newId, uuid: newUuid }); // Return UUID
         };
         transaction.onerror = (event) => {
@@ -823,30 +1180,260 @@ export const updateOwner = async (settings, inputData) => {
         updated_at: new Date().toISOString()
     };
     await updateInStore(STORES.owners, updatedOwner);
+    await recordHistory(settings, 'owner', existing.uuid, 'update', diffForHistory('owner', existing, updateData));
     return { success: true };
 };
 
 export const deleteOwner = async (settings, inputData) => {
     const { owner_id: ownerId } = inputData;
+    // Check if used by items, also those in the trash
     const items = await getAllFromStore(STORES.items);
-    const isUsed = items.some(item => item.owner_id === ownerId);
-    if (isUsed) {
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+    const usedErrorCode = referencingItemsErrorCode(items.filter(item => item.owner_id === ownerId));
+    if (usedErrorCode) {
+        return { success: false, errorCode: usedErrorCode };
     }
     const existing = await getFromStore(STORES.owners, ownerId);
     if (!existing) return { success: false, message: 'Owner not found' };
     await deleteFromStore(STORES.owners, ownerId);
+    await recordHistory(settings, 'owner', existing.uuid, 'delete', diffForHistory('owner', existing, null));
+    return { success: true };
+};
+
+// Tags
+export const listTags = async (settings) => {
+    const tags = await getAllFromStore(STORES.tags);
+    return tags.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const addTag = async (settings, data) => {
+    const name = normalizeTagName(data?.name);
+    if (!name) throw new Error("Tag name is required.");
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORES.tags, STORES.counters], 'readwrite');
+        const tagStore = transaction.objectStore(STORES.tags);
+        const counterStore = transaction.objectStore(STORES.counters);
+        const entity = 'tags';
+        let result;
+
+        // Tag names are unique, so an existing tag is returned instead of adding a duplicate
+        const existingRequest = tagStore.index('name').get(name);
+        existingRequest.onsuccess = (event) => {
+            const existing = event.target.result;
+            if (existing) {
+                result = { success: true, newId: existing.tag_id, uuid: existing.uuid };
+                return;
+            }
+
+            const counterRequest = counterStore.get(entity);
+            counterRequest.onerror = (event) => {
+                console.error(`[${PROVIDER_NAME}]: Error getting counter for ${entity}:`, event.target.error);
+                transaction.abort();
+                reject(`Error getting counter: ${event.target.error}`);
+            };
+            counterRequest.onsuccess = (event) => {
+                const counter = event.target.result || { entity: entity, nextId: 1 };
+                const newTag = {
+                    ...data,
+                    name,
+                    uuid: data.uuid || uuidv4(),
+                    tag_id: counter.nextId,
+                    created_at: data.created_at || new Date().toISOString(), // Kept when migrating from another provider
+                    updated_at: null
+                };
+                counter.nextId++;
+                counterStore.put(counter);
+                const addTagRequest = tagStore.add(newTag);
+                addTagRequest.onerror = (event) => {
+                    console.error(`[${PROVIDER_NAME}]: Error adding tag:`, event.target.error);
+                    transaction.abort();
+                    reject(`Error adding tag: ${event.target.error}`);
+                };
+                result = { success: true, newId: newTag.tag_id, uuid: newTag.uuid };
+            };
+        };
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction error adding tag:`, event.target.error);
+            reject(`Transaction error: ${event.target.error}`);
+        };
+    });
+};
+
+// Custom Fields
+export const listCustomFields = async (settings) => {
+    const fields = await getAllFromStore(STORES.custom_fields);
+    return fields.sort(compareCustomFields);
+};
+
+export const addCustomField = async (settings, data) => {
+    if (!data?.category_id) throw new Error("Category ID is required for a custom field.");
+    const { name, field_type, options } = normalizeCustomField(data);
+    const categoryFields = (await listCustomFields(settings)).filter(field => field.category_id === data.category_id);
+    if (categoryFields.some(field => field.name === name)) throw new Error(`The category already has a field named "${name}".`);
+    const position = parseInt(data.position, 10);
+
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORES.custom_fields, STORES.counters], 'readwrite');
+        const fieldStore = transaction.objectStore(STORES.custom_fields);
+        const counterStore = transaction.objectStore(STORES.counters);
+        const entity = 'custom_fields';
+        let result;
+
+        const counterRequest = counterStore.get(entity);
+        counterRequest.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error getting counter for ${entity}:`, event.target.error);
+            transaction.abort();
+            reject(`Error getting counter: ${event.target.error}`);
+        };
+        counterRequest.onsuccess = (event) => {
+            const counter = event.target.result || { entity: entity, nextId: 1 };
+            const newField = {
+                uuid: data.uuid || uuidv4(),
+                field_id: counter.nextId,
+                category_id: data.category_id,
+                name,
+                field_type,
+                options,
+                position: isNaN(position) ? categoryFields.length : position, // Appended by default
+                created_at: data.created_at || new Date().toISOString(), // Kept when migrating from another provider
+                updated_at: null
+            };
+            counter.nextId++;
+            counterStore.put(counter);
+            const addFieldRequest = fieldStore.add(newField);
+            addFieldRequest.onerror = (event) => {
+                console.error(`[${PROVIDER_NAME}]: Error adding custom field:`, event.target.error);
+                transaction.abort();
+                reject(`Error adding custom field: ${event.target.error}`);
+            };
+            result = { success: true, newId: newField.field_id, uuid: newField.uuid };
+        };
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction error adding custom field:`, event.target.error);
+            reject(`Transaction error: ${event.target.error}`);
+        };
+    });
+};
+
+export const updateCustomField = async (settings, inputData) => {
+    const { field_id: fieldId, ...data } = inputData;
+    const existing = await getFromStore(STORES.custom_fields, fieldId);
+    if (!existing) return { success: false, message: 'Custom field not found' };
+    // The category and type of a field are fixed
+    const { name, options } = normalizeCustomField({ ...data, field_type: existing.field_type, options: data.options ?? existing.options });
+    const updatedField = {
+        ...existing,
+        name,
+        options,
+        position: typeof data.position === 'number' ? data.position : existing.position,
+        updated_at: new Date().toISOString()
+    };
+    await updateInStore(STORES.custom_fields, updatedField);
+    return { success: true };
+};
+
+/**
+ * Deletes a custom field and removes its values from every item.
+ */
+export const deleteCustomField = async (settings, inputData) => {
+    const { field_id: fieldId } = inputData;
+    const existing = await getFromStore(STORES.custom_fields, fieldId);
+    if (!existing) return { success: false, message: 'Custom field not found' };
+
+    const items = await getAllFromStore(STORES.items);
+    for (const item of items) {
+        if (!item.field_values || !(fieldId in item.field_values)) continue;
+        const { [fieldId]: removed, ...fieldValues } = item.field_values;
+        await updateInStore(STORES.items, { ...item, field_values: fieldValues });
+    }
+    await deleteFromStore(STORES.custom_fields, fieldId);
     return { success: true };
 };
 
 
 // Items
-// listItems: Remove options, pagination, filtering, sorting, and direct image fetching.
-export const listItems = async (settings) => { // Remove options parameter
+
+// Items saved before version 6 have no tag_ids, and those saved before version 7 no field_values
+const withItemDefaults = (item) => ({
+    ...item,
+    tag_ids: Array.isArray(item.tag_ids) ? item.tag_ids : [],
+    field_values: item.field_values || {},
+    deleted_at: item.deleted_at || null,
+    status: item.status ?? null
+});
+
+// Walks a cursor request to the end, handing each value to onValue
+const walkCursor = (request, onValue) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            onValue(cursor.value);
+            cursor.continue();
+        };
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error walking cursor:`, event.target.error);
+            reject(`Error walking cursor: ${event.target.error}`);
+        };
+    });
+};
+
+/**
+ * Lists item metadata matching an optional query.
+ * Sorting by created_at walks the created_at index in order, so only the requested page is kept.
+ * Otherwise a location filter narrows the walk through the location_id index and the matches are sorted in memory.
+ * Databases created before the indexes existed fall back to a full store cursor.
+ */
+export const listItems = async (settings, query) => {
+    let q = normalizeItemQuery(query);
     try {
-        // Fetch all items metadata
-        const allItemsMetadata = await getAllFromStore(STORES.items);
-        return allItemsMetadata; // Return raw metadata array
+        // Location and category filters also cover the locations and subcategories nested inside the selected ones
+        if (q.locationIds.length > 0) q = expandLocationFilter(q, await getAllFromStore(STORES.locations));
+        if (q.categoryIds.length > 0) q = expandCategoryFilter(q, await getAllFromStore(STORES.categories));
+        const wearSummary = summarizeWearEvents(await getAllFromStore(STORES.wear_events));
+        const loanSummary = summarizeOpenLoans(normalizeLoans(await getAllFromStore(STORES.loans)));
+        const withStats = (item) => withLoanStats(withWearStats(item, wearSummary), loanSummary);
+        const db = await openDB();
+        const transaction = db.transaction(STORES.items, 'readonly');
+        const store = transaction.objectStore(STORES.items);
+        const { sortBy, sortOrder } = parseSortCriteria(q.sort);
+        const end = q.limit !== undefined ? q.offset + q.limit : Infinity;
+
+        if (sortBy === 'created_at' && store.indexNames.contains('created_at')) {
+            const page = [];
+            let totalCount = 0;
+            const direction = sortOrder === 'desc' ? 'prev' : 'next';
+            await walkCursor(store.index('created_at').openCursor(null, direction), (item) => {
+                if (!itemMatchesQuery(item, q)) return;
+                if (totalCount >= q.offset && totalCount < end) page.push(withStats(item));
+                totalCount++;
+            });
+            return { items: page.map(withItemDefaults), totalCount };
+        }
+
+        const matches = [];
+        const collect = (item) => {
+            if (itemMatchesQuery(item, q)) matches.push(withStats(item)); // Before sorting by last_worn_on
+        };
+        if (q.locationIds.length > 0 && store.indexNames.contains('location_id')) {
+            const locationIndex = store.index('location_id');
+            // Open all ranges at once so the transaction stays active until every walk completes
+            await Promise.all(q.locationIds.map(locationId =>
+                walkCursor(locationIndex.openCursor(IDBKeyRange.only(locationId)), collect)
+            ));
+        } else {
+            await walkCursor(store.openCursor(), collect);
+        }
+        matches.sort(compareItemsBy(q.sort));
+        return { items: matches.slice(q.offset, end).map(withItemDefaults), totalCount: matches.length };
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error in IndexedDB listItems:`, error); // Add prefix
         throw error;
@@ -861,42 +1448,201 @@ export const getImage = async (settings, inputData) => {
         return null;
     }
     try {
-        // To get the image, we first need to find which item it belongs to,
-        // as images are keyed by item_id in the STORES.images.
-        const allItems = await getAllFromStore(STORES.items);
-        const itemWithImage = allItems.find(item => item.image_uuid === imageUuid);
-
-        if (itemWithImage && itemWithImage.item_id) {
-            const imageFile = await getFromStore(STORES.images, itemWithImage.item_id);
-            if (imageFile instanceof File) {
-                return imageFile;
-            } else {
-                console.warn(`[${PROVIDER_NAME}]: Image data found for item_id ${itemWithImage.item_id} (uuid: ${imageUuid}) was not a File object.`); // Add prefix
-                return null;
-            }
-        } else {
-            return null;
+        const variant = normalizeImageVariant(inputData.variant);
+        if (variant) {
+            const variantFile = await getFromStore(STORES.image_variants, [imageUuid, variant]);
+            if (variantFile instanceof File) return variantFile;
+            // No variant stored (yet), fall back to the full-size image
         }
+        const imageFile = await getFromStore(STORES.images, imageUuid);
+        return imageFile instanceof File ? imageFile : null;
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error in IndexedDB getImage for UUID ${imageUuid}:`, error); // Add prefix
         return null;
     }
 };
 
+export const saveImageVariant = async (settings, inputData) => {
+    const { image_uuid: imageUuid, imageFile } = inputData;
+    const variant = normalizeImageVariant(inputData.variant);
+    if (!imageUuid || !variant) throw new Error("Image UUID and variant are required to save an image variant.");
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to save an image variant.");
+
+    const existingImage = await getFromStore(STORES.images, imageUuid);
+    if (!(existingImage instanceof File)) return { success: false, message: 'Image not found' };
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORES.image_variants, 'readwrite');
+        transaction.objectStore(STORES.image_variants).put(imageFile, [imageUuid, variant]);
+        transaction.oncomplete = () => resolve({ success: true });
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error saving ${variant} of image ${imageUuid}:`, event.target.error);
+            reject(`Error saving image variant: ${event.target.error}`);
+        };
+    });
+};
+
+export const listImagesMissingVariant = async (settings, inputData) => {
+    const variant = normalizeImageVariant(inputData?.variant);
+    if (!variant) throw new Error("Variant is required to list images missing it.");
+
+    const db = await openDB();
+    const getAllKeys = (storeName) => new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => reject(`Error getting keys from ${storeName}: ${event.target.error}`);
+    });
+    const [imageUuids, variantKeys] = await Promise.all([getAllKeys(STORES.images), getAllKeys(STORES.image_variants)]);
+    const withVariant = new Set(variantKeys.filter(([, keyVariant]) => keyVariant === variant).map(([imageUuid]) => imageUuid));
+    return imageUuids.filter(imageUuid => !withVariant.has(imageUuid));
+};
+
+// --- Item Images ---
+
+// Gets an item's image rows through the item_id index (unsorted)
+const getItemImageRows = async (itemId) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORES.item_images, 'readonly');
+        const request = transaction.objectStore(STORES.item_images).index('item_id').getAll(itemId);
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error getting images of item ${itemId}:`, event.target.error);
+            reject(`Error getting images of item ${itemId}: ${event.target.error}`);
+        };
+    });
+};
+
+// Metadata kept on the item_images row of an image, so it can be listed without reading the file
+const imageFileMetadata = (file) => ({
+    image_mimetype: file.type || getMimeTypeFromFilename(file.name) || null,
+    image_filename: file.name || null,
+    image_size: file.size,
+});
+
+// Mirrors the primary image into the item record, stamping updated_at when it changes
+const withPrimaryImage = (item, imageRows) => {
+    const primaryUuid = imageRows.find(row => row.is_primary)?.image_uuid ?? null;
+    if ((item.image_uuid ?? null) === primaryUuid) return item;
+    return { ...item, image_uuid: primaryUuid, updated_at: new Date().toISOString() };
+};
+
+// Stores an item together with its image rows, new image Files (and thumbnails) and removed images in one transaction
+const putItemWithImages = async (item, imageRows, addedFiles = {}, removedImageUuids = [], addedThumbnails = {}) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORES.items, STORES.images, STORES.item_images, STORES.image_variants], 'readwrite');
+        const itemsStore = transaction.objectStore(STORES.items);
+        const imagesStore = transaction.objectStore(STORES.images);
+        const itemImagesStore = transaction.objectStore(STORES.item_images);
+        const variantsStore = transaction.objectStore(STORES.image_variants);
+
+        removedImageUuids.forEach(imageUuid => {
+            imagesStore.delete(imageUuid);
+            itemImagesStore.delete(imageUuid);
+            IMAGE_VARIANTS.forEach(variant => variantsStore.delete([imageUuid, variant]));
+        });
+        Object.entries(addedFiles).forEach(([imageUuid, file]) => imagesStore.put(file, imageUuid));
+        Object.entries(addedThumbnails).forEach(([imageUuid, file]) => variantsStore.put(file, [imageUuid, 'thumb']));
+        (imageRows || []).forEach(row => itemImagesStore.put(
+            addedFiles[row.image_uuid] ? { ...row, ...imageFileMetadata(addedFiles[row.image_uuid]) } : row
+        ));
+        itemsStore.put(item);
+
+        transaction.oncomplete = () => resolve({ success: true });
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction error saving item ${item.item_id} with images:`, event.target.error);
+            reject(`Transaction error saving item: ${event.target.error}`);
+        };
+        transaction.onabort = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction aborted saving item ${item.item_id} with images:`, event.target.error);
+        };
+    });
+};
+
+export const listItemImages = async (settings, inputData) => {
+    const { item_id: itemId } = inputData;
+    return normalizeItemImageRows(await getItemImageRows(itemId));
+};
+
+export const addItemImage = async (settings, inputData) => {
+    const { item_id: itemId, imageFile, thumbnailFile, image_uuid: imageUuid, is_primary: isPrimary } = inputData;
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to add an item image.");
+    const existingItem = await getFromStore(STORES.items, itemId);
+    if (!existingItem) return { success: false, message: 'Item not found' };
+
+    const imageRows = normalizeItemImageRows(await getItemImageRows(itemId));
+    const newImageUuid = imageUuid || uuidv4();
+    const makePrimary = !!isPrimary || imageRows.length === 0;
+    const newRow = {
+        item_id: itemId,
+        image_uuid: newImageUuid,
+        position: imageRows.length, // Append
+        is_primary: makePrimary,
+        created_at: new Date().toISOString()
+    };
+    const updatedRows = normalizeItemImageRows([
+        ...imageRows.map(row => (makePrimary ? { ...row, is_primary: false } : row)),
+        newRow
+    ]);
+    const addedThumbnails = thumbnailFile instanceof File ? { [newImageUuid]: thumbnailFile } : {};
+    await putItemWithImages(withPrimaryImage(existingItem, updatedRows), updatedRows, { [newImageUuid]: imageFile }, [], addedThumbnails);
+    return { success: true, image_uuid: newImageUuid };
+};
+
+export const removeItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    const existingItem = await getFromStore(STORES.items, itemId);
+    if (!existingItem) return { success: false, message: 'Item not found' };
+
+    const imageRows = await getItemImageRows(itemId);
+    if (!imageRows.some(row => row.image_uuid === imageUuid)) return { success: false, message: 'Image not found' };
+    // Removing the primary image promotes the next one in order
+    const remainingRows = normalizeItemImageRows(imageRows.filter(row => row.image_uuid !== imageUuid));
+    const updatedItem = withPrimaryImage(existingItem, remainingRows);
+    await putItemWithImages(updatedItem, remainingRows, {}, [imageUuid]);
+    return { success: true, image_uuid: updatedItem.image_uuid ?? null };
+};
+
+export const reorderItemImages = async (settings, inputData) => {
+    const { item_id: itemId, image_uuids: imageUuids } = inputData;
+    const existingItem = await getFromStore(STORES.items, itemId);
+    if (!existingItem) return { success: false, message: 'Item not found' };
+
+    const updatedRows = applyItemImageOrder(await getItemImageRows(itemId), imageUuids || []);
+    await putItemWithImages(withPrimaryImage(existingItem, updatedRows), updatedRows);
+    return { success: true };
+};
+
+export const setPrimaryItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    const existingItem = await getFromStore(STORES.items, itemId);
+    if (!existingItem) return { success: false, message: 'Item not found' };
+
+    const imageRows = await getItemImageRows(itemId);
+    if (!imageRows.some(row => row.image_uuid === imageUuid)) return { success: false, message: 'Image not found' };
+    const updatedRows = normalizeItemImageRows(imageRows.map(row => ({ ...row, is_primary: row.image_uuid === imageUuid })));
+    await putItemWithImages(withPrimaryImage(existingItem, updatedRows), updatedRows);
+    return { success: true };
+};
+
 export const addItem = async (settings, data) => {
-    const { imageFile, price, ...restOfData } = data; // Separate image file and price from metadata
+    const { imageFile, thumbnailFile, price, ...restOfData } = data; // Separate image files and price from metadata
     const db = await openDB();
 
     return new Promise((resolve, reject) => {
-        // Transaction covers items, images, and the counter
-        const transaction = db.transaction([STORES.items, STORES.images, STORES.counters], 'readwrite');
+        // Transaction covers items, images, their links and variants, and the counter
+        const transaction = db.transaction([STORES.items, STORES.images, STORES.item_images, STORES.image_variants, STORES.counters], 'readwrite');
         const itemsStore = transaction.objectStore(STORES.items);
         const imagesStore = transaction.objectStore(STORES.images);
+        const itemImagesStore = transaction.objectStore(STORES.item_images);
+        const variantsStore = transaction.objectStore(STORES.image_variants);
         const counterStore = transaction.objectStore(STORES.counters);
         const entity = 'items';
         let newId;
-        const newItemUuid = uuidv4(); // UUID for the item itself
+        const newItemUuid = restOfData.uuid || uuidv4(); // UUID for the item itself, kept when given (sync, outbox)
         let newImageUuid = null; // UUID for the image, generated only if image exists
+        let newItemMetadata;
 
         const counterRequest = counterStore.get(entity);
 
@@ -924,13 +1670,17 @@ export const addItem = async (settings, data) => {
             }
 
             // Prepare item metadata with the new ID
-            const newItemMetadata = {
+            newItemMetadata = {
                 ...restOfData,
                 price: price == null ? null : parseFloat(price),
+                tag_ids: normalizeTagIds(restOfData.tag_ids),
+                field_values: normalizeFieldValues(restOfData.field_values),
+                status: normalizeItemStatus(restOfData.status) ?? null,
                 item_id: newId,
                 uuid: newItemUuid, // Add item UUID
                 image_uuid: newImageUuid, // Add image UUID (or null)
-                created_at: new Date().toISOString(), // Add timestamp
+                deleted_at: restOfData.deleted_at || null, // Only set when migrating an item that is in the trash
+                created_at: restOfData.created_at || new Date().toISOString(), // Kept when migrating from another provider
                 updated_at: null
             };
 
@@ -942,18 +1692,30 @@ export const addItem = async (settings, data) => {
                 reject(`Error adding item metadata: ${event.target.error}`);
             };
 
-            // Add image if present
+            // Add image if present, as the item's primary image
             if (imageFile instanceof File) {
-                const imageAddRequest = imagesStore.add(imageFile, newId); // Key is newId
+                const imageAddRequest = imagesStore.add(imageFile, newImageUuid); // Key is the image UUID
                 imageAddRequest.onerror = (event) => {
                     console.error(`[${PROVIDER_NAME}]: Error adding image:`, event.target.error);
                     transaction.abort();
                     reject(`Error adding image: ${event.target.error}`);
                 };
+                itemImagesStore.add({
+                    item_id: newId,
+                    image_uuid: newImageUuid,
+                    position: 0,
+                    is_primary: true,
+                    created_at: newItemMetadata.created_at,
+                    ...imageFileMetadata(imageFile)
+                });
+                if (thumbnailFile instanceof File) {
+                    variantsStore.put(thumbnailFile, [newImageUuid, 'thumb']);
+                }
             }
         };
 
-        transaction.oncomplete = () => {
+        transaction.oncomplete = async () => {
+            await recordHistory(settings, 'item', newItemUuid, 'add', diffForHistory('item', null, newItemMetadata));
             resolve({ success: true, newId: newId, uuid: newItemUuid, image_uuid: newImageUuid }); // Return IDs
         };
         transaction.onerror = (event) => {
@@ -968,7 +1730,7 @@ export const addItem = async (settings, data) => {
 
 
 export const updateItem = async (settings, inputData) => {
-    const { item_id: itemId, price, removeImage, imageFile, uuid, image_uuid, ...restOfData } = inputData;
+    const { item_id: itemId, price, removeImage, imageFile, thumbnailFile, uuid, image_uuid, ...restOfData } = inputData;
 
     // Get existing item metadata first
     const existingItem = await getFromStore(STORES.items, itemId);
@@ -977,97 +1739,168 @@ export const updateItem = async (settings, inputData) => {
     }
 
     let newImageUuid = existingItem.image_uuid; // Keep existing image UUID by default
+    let updatedImageRows = null; // Only written when the images change
+    const addedFiles = {};
+    const addedThumbnails = {};
+    const removedImageUuids = [];
+
+    if (removeImage) {
+        // Remove the primary image and promote the next one, if any
+        const imageRows = await getItemImageRows(itemId);
+        if (existingItem.image_uuid) removedImageUuids.push(existingItem.image_uuid);
+        updatedImageRows = normalizeItemImageRows(imageRows.filter(row => row.image_uuid !== existingItem.image_uuid));
+        newImageUuid = updatedImageRows.find(row => row.is_primary)?.image_uuid ?? null;
+    } else if (imageFile instanceof File) {
+        // Replace the primary image in place, or add one
+        const imageRows = await getItemImageRows(itemId);
+        const replacedRow = imageRows.find(row => row.image_uuid === existingItem.image_uuid);
+        if (replacedRow) removedImageUuids.push(replacedRow.image_uuid);
+        newImageUuid = uuidv4(); // Always generate a new UUID for a new/replaced image file
+        addedFiles[newImageUuid] = imageFile;
+        if (thumbnailFile instanceof File) addedThumbnails[newImageUuid] = thumbnailFile;
+        const newRow = {
+            item_id: itemId,
+            image_uuid: newImageUuid,
+            position: replacedRow ? replacedRow.position : imageRows.length,
+            is_primary: true,
+            created_at: new Date().toISOString()
+        };
+        updatedImageRows = normalizeItemImageRows([
+            ...imageRows.filter(row => row !== replacedRow).map(row => ({ ...row, is_primary: false })),
+            newRow
+        ]);
+    }
 
     // Prepare updated metadata
     const updatedItemMetadata = {
         ...existingItem,
         ...restOfData,
         price: price == null ? null : parseFloat(price),
+        tag_ids: Array.isArray(restOfData.tag_ids) ? normalizeTagIds(restOfData.tag_ids) : (existingItem.tag_ids || []),
+        field_values: restOfData.field_values ? normalizeFieldValues(restOfData.field_values) : (existingItem.field_values || {}),
+        status: restOfData.status !== undefined ? normalizeItemStatus(restOfData.status) : (existingItem.status ?? null),
+        image_uuid: newImageUuid,
         updated_at: new Date().toISOString()
     };
 
-    // Use transaction for atomicity
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORES.items, STORES.images], 'readwrite');
-        const itemsStore = transaction.objectStore(STORES.items);
-        const imagesStore = transaction.objectStore(STORES.images);
+    // Use a single transaction for atomicity
+    await putItemWithImages(updatedItemMetadata, updatedImageRows, addedFiles, removedImageUuids, addedThumbnails);
+    await recordHistory(settings, 'item', existingItem.uuid, 'update', diffForHistory('item', existingItem, updatedItemMetadata));
+    return { success: true, image_uuid: updatedItemMetadata.image_uuid }; // Pass back image_uuid
+};
 
-        let imageRequest; // To track image operation
 
-        if (removeImage) {
-            // Delete image using item_id as key
-            newImageUuid = null; // Clear image UUID in metadata
-            imageRequest = imagesStore.delete(itemId);
-            imageRequest.onerror = (event) => {
-                 // Ignore NotFoundError, but reject others
-                 if (event.target.error.name !== 'NotFoundError') {
-                    console.error(`[${PROVIDER_NAME}]: Error deleting image from IndexedDB:`, event.target.error);
-                    transaction.abort();
-                    reject(`Error deleting image: ${event.target.error}`);
-                 }
-            };
-        } else if (imageFile instanceof File) {
-            // Add or update image using item_id as key
-            newImageUuid = uuidv4(); // Always generate a new UUID for a new/replaced image file
-            imageRequest = imagesStore.put(imageFile, itemId);
-            imageRequest.onerror = (event) => {
-                console.error(`[${PROVIDER_NAME}]: Error putting image to IndexedDB:`, event.target.error);
-                transaction.abort();
-                reject(`Error putting image: ${event.target.error}`);
-            };
-        }
+// Sets or clears the deleted_at timestamp of an item, recording the action ('delete' or 'restore') in the history
+const setItemDeletedAt = async (settings, itemId, deletedAt, action) => {
+    const existingItem = await getFromStore(STORES.items, itemId);
+    if (!existingItem) {
+        return { success: false, message: 'Item not found' };
+    }
+    await updateInStore(STORES.items, { ...existingItem, deleted_at: deletedAt, updated_at: new Date().toISOString() });
+    await recordHistory(settings, 'item', existingItem.uuid, action);
+    return { success: true };
+};
 
-        // Update image_uuid in the item metadata being saved
-        updatedItemMetadata.image_uuid = newImageUuid;
+// Moves an item to the trash. Its images are kept until the trash is purged.
+export const deleteItem = async (settings, inputData) => {
+    return setItemDeletedAt(settings, inputData.item_id, new Date().toISOString(), 'delete');
+};
 
-        // Update item metadata
-        const itemUpdateRequest = itemsStore.put(updatedItemMetadata);
-        itemUpdateRequest.onerror = (event) => {
-            console.error(`[${PROVIDER_NAME}]: Error updating item metadata in IndexedDB:`, event.target.error);
-            transaction.abort();
-            reject(`Error updating item metadata: ${event.target.error}`);
-        };
+export const restoreItem = async (settings, inputData) => {
+    return setItemDeletedAt(settings, inputData.item_id, null, 'restore');
+};
 
-        transaction.oncomplete = () => {
-            resolve({ success: true, image_uuid: updatedItemMetadata.image_uuid }); // Pass back image_uuid
-        };
-        transaction.onerror = (event) => {
-            console.error(`[${PROVIDER_NAME}]: IndexedDB transaction error on update:`, event.target.error);
-            reject(`Transaction error on update: ${event.target.error}`);
-        };
-         transaction.onabort = (event) => {
-            console.error(`[${PROVIDER_NAME}]: IndexedDB transaction aborted on update:`, event.target.error);
-        };
-    });
+// Moves items to one status, e.g. everything in the laundry back to clean
+export const setItemStatus = async (settings, inputData) => {
+    const { itemIds, status } = normalizeSetItemStatusInput(inputData);
+    let updatedCount = 0;
+    for (const itemId of itemIds) {
+        const existingItem = await getFromStore(STORES.items, itemId);
+        if (!existingItem) continue; // Deleted meanwhile
+        const updatedItem = { ...existingItem, status, updated_at: new Date().toISOString() };
+        await updateInStore(STORES.items, updatedItem);
+        await recordHistory(settings, 'item', existingItem.uuid, 'update', diffForHistory('item', existingItem, updatedItem));
+        updatedCount++;
+    }
+    return { success: true, updatedCount };
 };
 
+export const listTrash = async (settings, query) => {
+    return listItems(settings, { ...query, trashed: true, sort: query?.sort || 'deleted_at_desc' });
+};
 
-export const deleteItem = async (settings, inputData) => {
-    const { item_id: itemId } = inputData;
+// Gets an item by its UUID, also when it is in the trash; resolves to null when there is no such item
+export const getItemByUuid = async (settings, inputData) => {
+    if (!inputData?.uuid) throw new Error("Item UUID is required.");
+    const db = await openDB();
+    const found = await new Promise((resolve, reject) => {
+        const request = db.transaction(STORES.items, 'readonly').objectStore(STORES.items).index('uuid').get(inputData.uuid);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(`Error getting item ${inputData.uuid}: ${event.target.error}`);
+    });
+    if (!found) return null;
+    const wearSummary = summarizeWearEvents(await listWearEvents(settings, { item_uuid: found.uuid }));
+    const loanSummary = summarizeOpenLoans(await listLoans(settings, { item_uuid: found.uuid }));
+    return withItemDefaults(withLoanStats(withWearStats(found, wearSummary), loanSummary));
+};
+
+// Permanently deletes items in the trash, optionally only the given ones or those deleted before a time
+export const purgeTrash = async (settings, inputData = {}) => {
+    const { item_ids: itemIds, deleted_before: deletedBefore } = inputData;
+    const { items: trashedItems } = await listTrash(settings);
+    const itemsToPurge = trashedItems.filter(item =>
+        (!Array.isArray(itemIds) || itemIds.includes(item.item_id)) &&
+        (!deletedBefore || new Date(item.deleted_at) < new Date(deletedBefore))
+    );
+    for (const item of itemsToPurge) await purgeItem(settings, item.item_id);
+    return { success: true, purgedCount: itemsToPurge.length };
+};
 
+// Permanently deletes an item together with its images, wear events and loans, and drops it from its outfits and packing lists
+const purgeItem = async (settings, itemId) => {
     // Check if item exists before attempting delete (optional)
     const existingItem = await getFromStore(STORES.items, itemId);
     if (!existingItem) {
         return { success: false, message: 'Item not found' };
     }
 
+    const imageRows = await getItemImageRows(itemId);
+    const wearEvents = await listWearEvents(settings, { item_uuid: existingItem.uuid });
+    const loans = await listLoans(settings, { item_uuid: existingItem.uuid });
+    const outfits = await getOutfitRecords({ item_uuid: existingItem.uuid });
+    const packingLists = (await getAllFromStore(STORES.packing_lists))
+        .filter(packingList => packingList.entries.some(entry => entry.item_uuid === existingItem.uuid));
+
     // Use transaction for atomicity
     const db = await openDB();
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORES.items, STORES.images], 'readwrite');
+        const transaction = db.transaction([STORES.items, STORES.images, STORES.item_images, STORES.image_variants, STORES.wear_events, STORES.loans, STORES.outfits, STORES.packing_lists], 'readwrite');
         const itemsStore = transaction.objectStore(STORES.items);
         const imagesStore = transaction.objectStore(STORES.images);
-
-        // Delete image first (ignore NotFoundError)
-        const imageDeleteRequest = imagesStore.delete(itemId);
-        imageDeleteRequest.onerror = (event) => {
-            if (event.target.error.name !== 'NotFoundError') {
-                console.error(`[${PROVIDER_NAME}]: Error deleting image during item delete:`, event.target.error);
-                transaction.abort();
-                reject(`Error deleting image: ${event.target.error}`);
-            }
-        };
+        const itemImagesStore = transaction.objectStore(STORES.item_images);
+        const variantsStore = transaction.objectStore(STORES.image_variants);
+        const wearStore = transaction.objectStore(STORES.wear_events);
+        wearEvents.forEach(wearEvent => wearStore.delete(wearEvent.wear_id));
+        const loanStore = transaction.objectStore(STORES.loans);
+        loans.forEach(loan => loanStore.delete(loan.loan_id));
+        const outfitStore = transaction.objectStore(STORES.outfits);
+        outfits.forEach(outfit => outfitStore.put({ ...outfit, item_uuids: outfit.item_uuids.filter(itemUuid => itemUuid !== existingItem.uuid) }));
+        const packingListStore = transaction.objectStore(STORES.packing_lists);
+        packingLists.forEach(packingList => packingListStore.put({ ...packingList, entries: packingList.entries.filter(entry => entry.item_uuid !== existingItem.uuid) }));
+
+        // Delete all of the item's images first (ignore NotFoundError)
+        imageRows.forEach(row => {
+            const imageDeleteRequest = imagesStore.delete(row.image_uuid);
+            imageDeleteRequest.onerror = (event) => {
+                if (event.target.error.name !== 'NotFoundError') {
+                    console.error(`[${PROVIDER_NAME}]: Error deleting image during item delete:`, event.target.error);
+                    transaction.abort();
+                    reject(`Error deleting image: ${event.target.error}`);
+                }
+            };
+            itemImagesStore.delete(row.image_uuid);
+            IMAGE_VARIANTS.forEach(variant => variantsStore.delete([row.image_uuid, variant]));
+        });
 
         // Delete item metadata
         const itemDeleteRequest = itemsStore.delete(itemId);
@@ -1080,7 +1913,8 @@ export const deleteItem = async (settings, inputData) => {
              }
         };
 
-        transaction.oncomplete = () => {
+        transaction.oncomplete = async () => {
+            await recordHistory(settings, 'item', existingItem.uuid, 'purge');
             resolve({ success: true });
         };
         transaction.onerror = (event) => {
@@ -1092,3 +1926,251 @@ export const deleteItem = async (settings, inputData) => {
         };
     });
 };
+
+// Wear Events
+
+// Records that an item was worn, today unless the input names another day
+export const addWearEvent = async (settings, data) => {
+    const wearEvent = normalizeWearEvent(data);
+    const newUuid = wearEvent.uuid || uuidv4();
+    const result = await addToStore(STORES.wear_events, { ...wearEvent, uuid: newUuid });
+    return { success: true, newId: result.id, uuid: newUuid };
+};
+
+// Lists wear events, most recently worn first, optionally only those of one item
+export const listWearEvents = async (settings, query = {}) => {
+    const db = await openDB();
+    const wearEvents = await new Promise((resolve, reject) => {
+        const store = db.transaction(STORES.wear_events, 'readonly').objectStore(STORES.wear_events);
+        const request = query.item_uuid ? store.index('item_uuid').getAll(query.item_uuid) : store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error listing wear events:`, event.target.error);
+            reject(`Error listing wear events: ${event.target.error}`);
+        };
+    });
+    return normalizeWearEvents(wearEvents);
+};
+
+// Deletes a wear event, e.g. one recorded by mistake
+export const deleteWearEvent = async (settings, inputData) => {
+    const wearId = inputData?.wear_id;
+    if (!wearId) throw new Error("Wear event ID is required for deletion.");
+    await deleteFromStore(STORES.wear_events, wearId);
+    return { success: true };
+};
+
+// Loans
+
+// Records that an item was lent to someone; an item that is lent out already has to be returned first
+export const addLoan = async (settings, data) => {
+    const loan = normalizeLoan(data);
+    if (!loan.returned_on && (await listLoans(settings, { item_uuid: loan.item_uuid, open: true })).length > 0) {
+        throw new Error("The item is lent out already.");
+    }
+    const newUuid = loan.uuid || uuidv4();
+    const result = await addToStore(STORES.loans, { ...loan, uuid: newUuid });
+    return { success: true, newId: result.id, uuid: newUuid };
+};
+
+// Lists loans, most recently lent first, optionally only those of one item or those not returned yet
+export const listLoans = async (settings, query = {}) => {
+    const db = await openDB();
+    const loans = await new Promise((resolve, reject) => {
+        const store = db.transaction(STORES.loans, 'readonly').objectStore(STORES.loans);
+        const request = query.item_uuid ? store.index('item_uuid').getAll(query.item_uuid) : store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error listing loans:`, event.target.error);
+            reject(`Error listing loans: ${event.target.error}`);
+        };
+    });
+    return normalizeLoans(query.open ? loans.filter(loan => !loan.returned_on) : loans);
+};
+
+// Changes the due date, return date or note of a loan, e.g. when the item comes back
+export const updateLoan = async (settings, inputData) => {
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for update.");
+    const loan = await getFromStore(STORES.loans, loanId);
+    if (!loan) throw new Error(`Loan ID ${loanId} not found.`);
+    await updateInStore(STORES.loans, { ...loan, ...normalizeLoanUpdate(inputData, loan), updated_at: new Date().toISOString() });
+    return { success: true };
+};
+
+// Deletes a loan, e.g. one recorded by mistake
+export const deleteLoan = async (settings, inputData) => {
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for deletion.");
+    await deleteFromStore(STORES.loans, loanId);
+    return { success: true };
+};
+
+// Outfits
+
+// Reads the stored outfit records, optionally only those with the given item
+const getOutfitRecords = async (query = {}) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(STORES.outfits, 'readonly').objectStore(STORES.outfits);
+        const request = query.item_uuid ? store.index('item_uuids').getAll(query.item_uuid) : store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error listing outfits:`, event.target.error);
+            reject(`Error listing outfits: ${event.target.error}`);
+        };
+    });
+};
+
+// Stores an outfit together with a new photo ({ uuid, file }) and without the photo it replaces,
+// in one transaction; resolves to the outfit_id
+const putOutfitWithImage = async (outfit, addedImage = null, removedImageUuid = null) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORES.outfits, STORES.images, STORES.image_variants], 'readwrite');
+        const imagesStore = transaction.objectStore(STORES.images);
+        const variantsStore = transaction.objectStore(STORES.image_variants);
+        if (removedImageUuid) {
+            imagesStore.delete(removedImageUuid);
+            IMAGE_VARIANTS.forEach(variant => variantsStore.delete([removedImageUuid, variant]));
+        }
+        if (addedImage) imagesStore.put(addedImage.file, addedImage.uuid);
+        const outfitRequest = transaction.objectStore(STORES.outfits).put(outfit);
+
+        transaction.oncomplete = () => resolve(outfitRequest.result);
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction error saving outfit ${outfit.uuid}:`, event.target.error);
+            reject(`Transaction error saving outfit: ${event.target.error}`);
+        };
+    });
+};
+
+// Lists outfits by name, optionally only those with the given item
+export const listOutfits = async (settings, query = {}) => {
+    const outfits = await getOutfitRecords(query);
+    const wearSummary = summarizeWearEvents(await listOutfitWearEvents(settings), 'outfit_uuid');
+    return normalizeOutfits(outfits.map(outfit => withWearStats(outfit, wearSummary)));
+};
+
+// Adds an outfit, with its photo when the input has an imageFile
+export const addOutfit = async (settings, data) => {
+    const outfit = normalizeOutfit(data);
+    const imageFile = data.imageFile instanceof File ? data.imageFile : null;
+    const imageUuid = imageFile ? (data.image_uuid || uuidv4()) : null;
+    const newUuid = outfit.uuid || uuidv4();
+    const outfitId = await putOutfitWithImage(
+        { ...outfit, uuid: newUuid, image_uuid: imageUuid, updated_at: data.updated_at || null },
+        imageFile ? { uuid: imageUuid, file: imageFile } : null
+    );
+    return { success: true, newId: outfitId, uuid: newUuid };
+};
+
+// Changes an outfit; a new imageFile replaces its photo and removeImage deletes it
+export const updateOutfit = async (settings, inputData) => {
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for update.");
+    const existing = await getFromStore(STORES.outfits, outfitId);
+    if (!existing) return { success: false, message: 'Outfit not found' };
+
+    const changes = normalizeOutfitUpdate(inputData);
+    const imageFile = inputData.imageFile instanceof File ? inputData.imageFile : null;
+    const replacesImage = Boolean(imageFile || inputData.removeImage);
+    const imageUuid = imageFile ? (inputData.image_uuid || uuidv4()) : (replacesImage ? null : existing.image_uuid);
+    await putOutfitWithImage(
+        { ...existing, ...changes, image_uuid: imageUuid, updated_at: new Date().toISOString() },
+        imageFile ? { uuid: imageUuid, file: imageFile } : null,
+        replacesImage ? existing.image_uuid : null
+    );
+    return { success: true };
+};
+
+// Deletes an outfit with its photo and wear events; its items stay
+export const deleteOutfit = async (settings, inputData) => {
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for deletion.");
+    const existing = await getFromStore(STORES.outfits, outfitId);
+    if (!existing) return { success: false, message: 'Outfit not found' };
+    const wearEvents = await listOutfitWearEvents(settings, { outfit_uuid: existing.uuid });
+
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORES.outfits, STORES.outfit_wear_events, STORES.images, STORES.image_variants], 'readwrite');
+        const wearStore = transaction.objectStore(STORES.outfit_wear_events);
+        wearEvents.forEach(wearEvent => wearStore.delete(wearEvent.outfit_wear_id));
+        if (existing.image_uuid) {
+            transaction.objectStore(STORES.images).delete(existing.image_uuid);
+            const variantsStore = transaction.objectStore(STORES.image_variants);
+            IMAGE_VARIANTS.forEach(variant => variantsStore.delete([existing.image_uuid, variant]));
+        }
+        transaction.objectStore(STORES.outfits).delete(outfitId);
+
+        transaction.oncomplete = () => resolve({ success: true });
+        transaction.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Transaction error deleting outfit ${outfitId}:`, event.target.error);
+            reject(`Transaction error deleting outfit: ${event.target.error}`);
+        };
+    });
+};
+
+// Records that an outfit was worn, today unless the input names another day
+export const addOutfitWearEvent = async (settings, data) => {
+    const wearEvent = normalizeOutfitWearEvent(data);
+    const newUuid = wearEvent.uuid || uuidv4();
+    const result = await addToStore(STORES.outfit_wear_events, { ...wearEvent, uuid: newUuid });
+    return { success: true, newId: result.id, uuid: newUuid };
+};
+
+// Lists outfit wear events, most recently worn first, optionally only those of one outfit
+export const listOutfitWearEvents = async (settings, query = {}) => {
+    const db = await openDB();
+    const wearEvents = await new Promise((resolve, reject) => {
+        const store = db.transaction(STORES.outfit_wear_events, 'readonly').objectStore(STORES.outfit_wear_events);
+        const request = query.outfit_uuid ? store.index('outfit_uuid').getAll(query.outfit_uuid) : store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => {
+            console.error(`[${PROVIDER_NAME}]: Error listing outfit wear events:`, event.target.error);
+            reject(`Error listing outfit wear events: ${event.target.error}`);
+        };
+    });
+    return normalizeOutfitWearEvents(wearEvents);
+};
+
+// Deletes an outfit wear event, e.g. one recorded by mistake
+export const deleteOutfitWearEvent = async (settings, inputData) => {
+    const outfitWearId = inputData?.outfit_wear_id;
+    if (!outfitWearId) throw new Error("Outfit wear event ID is required for deletion.");
+    await deleteFromStore(STORES.outfit_wear_events, outfitWearId);
+    return { success: true };
+};
+
+// Packing lists
+
+// Lists the trips with the latest start first, then the templates by name
+export const listPackingLists = async (settings) => normalizePackingLists(await getAllFromStore(STORES.packing_lists));
+
+// Adds a packing list or template with its entries
+export const addPackingList = async (settings, data) => {
+    const packingList = normalizePackingList(data);
+    const newUuid = packingList.uuid || uuidv4();
+    const result = await addToStore(STORES.packing_lists, { ...packingList, uuid: newUuid, updated_at: data.updated_at || null });
+    return { success: true, newId: result.id, uuid: newUuid };
+};
+
+// Changes a packing list; given entries replace the old ones, which is how items are checked off
+export const updatePackingList = async (settings, inputData) => {
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for update.");
+    const existing = await getFromStore(STORES.packing_lists, packingListId);
+    if (!existing) return { success: false, message: 'Packing list not found' };
+    const changes = normalizePackingListUpdate(inputData, existing);
+    await updateInStore(STORES.packing_lists, { ...existing, ...changes, updated_at: new Date().toISOString() });
+    return { success: true };
+};
+
+// Deletes a packing list; its items stay
+export const deletePackingList = async (settings, inputData) => {
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for deletion.");
+    await deleteFromStore(STORES.packing_lists, packingListId);
+    return { success: true };
+};
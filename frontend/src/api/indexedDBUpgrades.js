@@ -0,0 +1,323 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Stepwise upgrades of the browser database of the IndexedDB provider.
+//
+// Object stores and indexes can only be created while the browser upgrades a database to a
+// higher version of indexedDB.open. Each step below takes the database from the version
+// before it to its own version: it creates stores and indexes and rewrites records as the
+// version needs. All steps run in the one upgrade transaction, so when a step fails the
+// database stays as it was.
+//
+// Up to schema version 3 the database was opened without a version, which the browser
+// records as version 1 whatever the stores hold. For those databases the upgrade starts
+// from the schema version kept in the schema_version store. From schema version 4 to 11
+// the database was opened at its schema version, so the steps up to 11 are numbered by the
+// schema version they bring the data to. Later steps get the next browser version, and
+// schemaVersion tells which schema version the data has after them.
+
+const PROVIDER_NAME = "IndexedDB Provider";
+
+// The highest schema version a database at browser version 1 is taken at its word for: past
+// it the browser version and the schema version part ways
+const UNVERSIONED_SCHEMA_VERSION = 11;
+
+/** Indexed fields on the items store (index name equals the field name). */
+export const ITEM_INDEXES = ['created_at', 'location_id', 'category_id', 'owner_id', 'uuid', 'image_uuid'];
+
+// Wraps a request of the upgrade transaction in a promise
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const ensureStore = (db, transaction, name, options) =>
+    db.objectStoreNames.contains(name) ? transaction.objectStore(name) : db.createObjectStore(name, options);
+
+const ensureIndex = (store, name, keyPath, options) => {
+    if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, options);
+};
+
+const ensureCounter = async (transaction, entity) => {
+    const counterStore = transaction.objectStore('counters');
+    if (!(await requestResult(counterStore.get(entity)))) counterStore.put({ entity, nextId: 1 });
+};
+
+// Rewrites every record of a store; transform returns the new record, or undefined to keep it
+const updateRecords = (store, transform) => new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            resolve();
+            return;
+        }
+        const updated = transform(cursor.value);
+        if (updated !== undefined) cursor.update(updated);
+        cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * The upgrade steps, in order.
+ * @type {{ version: number, schemaVersion: number, description: string, upgrade: (context: { db: IDBDatabase, transaction: IDBTransaction }) => Promise<void> | void }[]}
+ */
+export const UPGRADES = [
+    {
+        version: 3,
+        schemaVersion: 3,
+        description: 'Items, images, locations, categories and owners',
+        upgrade: ({ db, transaction }) => {
+            ensureStore(db, transaction, 'items', { keyPath: 'item_id' });
+            ensureStore(db, transaction, 'images'); // Keyed by item_id until version 4
+            ensureStore(db, transaction, 'locations', { keyPath: 'location_id' });
+            ensureStore(db, transaction, 'categories', { keyPath: 'category_id' });
+            ensureStore(db, transaction, 'owners', { keyPath: 'owner_id' });
+            if (!db.objectStoreNames.contains('counters')) {
+                const counterStore = db.createObjectStore('counters', { keyPath: 'entity' });
+                ['items', 'locations', 'categories', 'owners'].forEach(entity => counterStore.put({ entity, nextId: 1 }));
+            }
+            ensureStore(db, transaction, 'schema_version', { keyPath: 'key' });
+        },
+    },
+    {
+        version: 4,
+        schemaVersion: 4,
+        description: 'Several images per item: images keyed by image_uuid, listed in item_images',
+        upgrade: async ({ db, transaction }) => {
+            const itemImagesStore = ensureStore(db, transaction, 'item_images', { keyPath: 'image_uuid' });
+            ensureIndex(itemImagesStore, 'item_id', 'item_id');
+
+            const itemStore = transaction.objectStore('items');
+            const imageStore = transaction.objectStore('images');
+            const items = new Map((await requestResult(itemStore.getAll())).map(item => [item.item_id, item]));
+            const imageKeys = await requestResult(imageStore.getAllKeys());
+            const imageFiles = await requestResult(imageStore.getAll());
+            const imageUuids = new Map(); // item_id -> image_uuid of its image
+            imageKeys.forEach((key, index) => {
+                if (typeof key !== 'number') return; // Already keyed by image_uuid
+                imageStore.delete(key);
+                const item = items.get(key);
+                if (!item) return; // The image of an item that no longer exists
+                const imageUuid = item.image_uuid || uuidv4();
+                imageStore.put(imageFiles[index], imageUuid);
+                itemImagesStore.put({ image_uuid: imageUuid, item_id: item.item_id, position: 0, is_primary: true, created_at: item.created_at });
+                imageUuids.set(item.item_id, imageUuid);
+            });
+            // Items point at their primary image, and at none when its file was never stored
+            const storedUuids = new Set(imageKeys.filter(key => typeof key === 'string'));
+            await updateRecords(itemStore, (item) => {
+                const imageUuid = imageUuids.get(item.item_id) ?? (storedUuids.has(item.image_uuid) ? item.image_uuid : null);
+                return imageUuid === (item.image_uuid ?? null) ? undefined : { ...item, image_uuid: imageUuid };
+            });
+        },
+    },
+    {
+        version: 5,
+        schemaVersion: 5,
+        description: 'Image variants such as thumbnails, keyed by [image_uuid, variant]',
+        upgrade: ({ db, transaction }) => {
+            ensureStore(db, transaction, 'image_variants');
+        },
+    },
+    {
+        version: 6,
+        schemaVersion: 6,
+        description: 'Tags, listed on items in tag_ids',
+        upgrade: async ({ db, transaction }) => {
+            const tagStore = ensureStore(db, transaction, 'tags', { keyPath: 'tag_id' });
+            ensureIndex(tagStore, 'name', 'name', { unique: true });
+            await ensureCounter(transaction, 'tags');
+            const itemStore = transaction.objectStore('items');
+            ensureIndex(itemStore, 'tag_ids', 'tag_ids', { multiEntry: true });
+            await updateRecords(itemStore, item => Array.isArray(item.tag_ids) ? undefined : { ...item, tag_ids: [] });
+        },
+    },
+    {
+        version: 7,
+        schemaVersion: 7,
+        description: 'Custom fields per category, with values on items in field_values',
+        upgrade: async ({ db, transaction }) => {
+            const fieldStore = ensureStore(db, transaction, 'custom_fields', { keyPath: 'field_id' });
+            ensureIndex(fieldStore, 'category_id', 'category_id');
+            await ensureCounter(transaction, 'custom_fields');
+            await updateRecords(transaction.objectStore('items'), item =>
+                item.field_values && typeof item.field_values === 'object' ? undefined : { ...item, field_values: {} });
+        },
+    },
+    {
+        version: 8,
+        schemaVersion: 8,
+        description: 'Nested locations',
+        upgrade: ({ transaction }) => updateRecords(transaction.objectStore('locations'), location =>
+            location.parent_location_id === undefined ? { ...location, parent_location_id: null } : undefined),
+    },
+    {
+        version: 9,
+        schemaVersion: 9,
+        description: 'Nested categories',
+        upgrade: ({ transaction }) => updateRecords(transaction.objectStore('categories'), category =>
+            category.parent_category_id === undefined ? { ...category, parent_category_id: null } : undefined),
+    },
+    {
+        version: 10,
+        schemaVersion: 10,
+        description: 'Trash: items carry deleted_at',
+        upgrade: ({ transaction }) => updateRecords(transaction.objectStore('items'), item =>
+            item.deleted_at === undefined ? { ...item, deleted_at: null } : undefined),
+    },
+    {
+        version: 11,
+        schemaVersion: 11,
+        description: 'Change history',
+        upgrade: ({ db, transaction }) => {
+            const historyStore = ensureStore(db, transaction, 'history', { keyPath: 'history_id', autoIncrement: true });
+            ensureIndex(historyStore, 'entity_uuid', 'entity_uuid');
+        },
+    },
+    {
+        version: 12,
+        schemaVersion: 11,
+        description: 'Lookup indexes on items, and on the uuid of locations, categories and owners',
+        upgrade: ({ transaction }) => {
+            const itemStore = transaction.objectStore('items');
+            ITEM_INDEXES.forEach(field => ensureIndex(itemStore, field, field));
+            ['locations', 'categories', 'owners'].forEach(storeName => ensureIndex(transaction.objectStore(storeName), 'uuid', 'uuid'));
+        },
+    },
+    {
+        version: 13,
+        schemaVersion: 11,
+        description: 'Image metadata (mimetype, filename, size) on the item_images rows',
+        upgrade: async ({ transaction }) => {
+            const imageStore = transaction.objectStore('images');
+            const imageUuids = await requestResult(imageStore.getAllKeys());
+            const imageFiles = await requestResult(imageStore.getAll());
+            const filesByUuid = new Map(imageUuids.map((imageUuid, index) => [imageUuid, imageFiles[index]]));
+            await updateRecords(transaction.objectStore('item_images'), (row) => {
+                const file = filesByUuid.get(row.image_uuid);
+                if (!file) return undefined;
+                return { ...row, image_mimetype: file.type || null, image_filename: file.name || null, image_size: file.size ?? null };
+            });
+        },
+    },
+    {
+        version: 14,
+        schemaVersion: 12,
+        description: 'Wear events',
+        upgrade: ({ db, transaction }) => {
+            const wearStore = ensureStore(db, transaction, 'wear_events', { keyPath: 'wear_id', autoIncrement: true });
+            ensureIndex(wearStore, 'item_uuid', 'item_uuid');
+        },
+    },
+    {
+        version: 15,
+        schemaVersion: 13,
+        description: 'Item status, with an index for listing the items of one status',
+        upgrade: async ({ transaction }) => {
+            const itemStore = transaction.objectStore('items');
+            ensureIndex(itemStore, 'status', 'status');
+            await updateRecords(itemStore, item => item.status === undefined ? { ...item, status: null } : undefined);
+        },
+    },
+    {
+        version: 16,
+        schemaVersion: 14,
+        description: 'Loans',
+        upgrade: ({ db, transaction }) => {
+            const loanStore = ensureStore(db, transaction, 'loans', { keyPath: 'loan_id', autoIncrement: true });
+            ensureIndex(loanStore, 'item_uuid', 'item_uuid');
+        },
+    },
+    {
+        version: 17,
+        schemaVersion: 15,
+        description: 'Outfits and their wear events',
+        upgrade: ({ db, transaction }) => {
+            const outfitStore = ensureStore(db, transaction, 'outfits', { keyPath: 'outfit_id', autoIncrement: true });
+            ensureIndex(outfitStore, 'uuid', 'uuid', { unique: true });
+            // One index entry per item of an outfit, for finding the outfits an item belongs to
+            ensureIndex(outfitStore, 'item_uuids', 'item_uuids', { multiEntry: true });
+            const outfitWearStore = ensureStore(db, transaction, 'outfit_wear_events', { keyPath: 'outfit_wear_id', autoIncrement: true });
+            ensureIndex(outfitWearStore, 'outfit_uuid', 'outfit_uuid');
+        },
+    },
+    {
+        version: 18,
+        schemaVersion: 16,
+        description: 'Packing lists',
+        upgrade: ({ db, transaction }) => {
+            const packingListStore = ensureStore(db, transaction, 'packing_lists', { keyPath: 'packing_list_id', autoIncrement: true });
+            ensureIndex(packingListStore, 'uuid', 'uuid', { unique: true });
+        },
+    },
+    {
+        version: 19,
+        schemaVersion: 17,
+        description: 'Loans carry updated_at',
+        upgrade: ({ transaction }) => updateRecords(transaction.objectStore('loans'), loan =>
+            loan.updated_at === undefined ? { ...loan, updated_at: null } : undefined),
+    },
+];
+
+/** Version of the browser database after all upgrades, for indexedDB.open. */
+export const BROWSER_DB_VERSION = UPGRADES[UPGRADES.length - 1].version;
+
+/** Schema version of the data after all upgrades, as kept in the schema_version store. */
+export const DB_VERSION = UPGRADES[UPGRADES.length - 1].schemaVersion;
+
+/**
+ * Runs the upgrade steps a database still needs. Call from onupgradeneeded, with the
+ * upgrade transaction of the open request.
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {number} oldVersion - The browser version the database had, 0 for a new one.
+ * @returns {Promise<void>}
+ */
+export const upgradeDatabase = async (db, transaction, oldVersion) => {
+    let version = oldVersion;
+    if (oldVersion === 1) {
+        // Opened without a version before; the schema_version store knows how far it got
+        const record = db.objectStoreNames.contains('schema_version')
+            ? await requestResult(transaction.objectStore('schema_version').get('db_version'))
+            : null;
+        // Only the steps up to 11 share their number with a schema version
+        version = Math.min(record?.value ?? 0, UNVERSIONED_SCHEMA_VERSION);
+    }
+    for (const step of UPGRADES) {
+        if (step.version <= version) continue;
+        console.log(`[${PROVIDER_NAME}]: Upgrading the database to version ${step.version}: ${step.description}`);
+        await step.upgrade({ db, transaction });
+    }
+    transaction.objectStore('schema_version').put({ key: 'db_version', value: DB_VERSION });
+};
+
+/**
+ * Opens the database at BROWSER_DB_VERSION, upgrading it first when it is older.
+ * @param {IDBFactory} factory - Usually the global indexedDB.
+ * @param {string} name - Name of the database.
+ * @param {() => void} [onClose] - Called when the connection closes on its own: for an upgrade by
+ *   a newer version of the app in another tab, or when the browser closes it. It cannot be used after.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (factory, name, onClose) => new Promise((resolve, reject) => {
+    const request = factory.open(name, BROWSER_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const transaction = request.transaction;
+        upgradeDatabase(request.result, transaction, event.oldVersion).catch((error) => {
+            console.error(`[${PROVIDER_NAME}]: Upgrading the database failed:`, error);
+            transaction.abort();
+        });
+    };
+    request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => {
+            db.close();
+            onClose?.();
+        };
+        db.onclose = () => onClose?.();
+        resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+});
@@ -0,0 +1,129 @@
+import { IDBFactory } from 'fake-indexeddb'
+import { openDatabase, BROWSER_DB_VERSION, DB_VERSION } from './indexedDBUpgrades'
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const getAll = (db, storeName) => requestResult(db.transaction(storeName, 'readonly').objectStore(storeName).getAll())
+
+// A database as the app left it when it still opened the database without a version
+const createLegacyDatabase = async (factory, schemaVersion, createStores, records) => {
+  const request = factory.open('ClothinvDB')
+  request.onupgradeneeded = () => {
+    const db = request.result
+    createStores(db)
+    db.createObjectStore('schema_version', { keyPath: 'key' }).put({ key: 'db_version', value: schemaVersion })
+  }
+  const db = await requestResult(request)
+  const storeNames = Object.keys(records)
+  const transaction = db.transaction(storeNames, 'readwrite')
+  storeNames.forEach((storeName) => records[storeName].forEach(([value, key]) => transaction.objectStore(storeName).put(value, key)))
+  await new Promise((resolve) => (transaction.oncomplete = resolve))
+  db.close()
+}
+
+describe('openDatabase', () => {
+  it('creates every store and index in a new database', async () => {
+    const db = await openDatabase(new IDBFactory(), 'ClothinvDB')
+
+    expect(db.version).toBe(BROWSER_DB_VERSION)
+    expect([...db.objectStoreNames]).toEqual(expect.arrayContaining(['items', 'item_images', 'image_variants', 'tags', 'custom_fields', 'history', 'wear_events', 'loans', 'outfits', 'outfit_wear_events', 'packing_lists']))
+    const itemStore = db.transaction('items', 'readonly').objectStore('items')
+    expect([...itemStore.indexNames]).toEqual(expect.arrayContaining(['uuid', 'image_uuid', 'location_id', 'tag_ids', 'status']))
+    expect(await getAll(db, 'schema_version')).toEqual([{ key: 'db_version', value: DB_VERSION }])
+    expect((await getAll(db, 'counters')).map((counter) => counter.entity)).toEqual(expect.arrayContaining(['tags', 'custom_fields']))
+    db.close()
+  })
+
+  it('closes and reports the connection when another tab upgrades the database', async () => {
+    const factory = new IDBFactory()
+    const onClose = vi.fn()
+    await openDatabase(factory, 'ClothinvDB', onClose)
+
+    const newer = await requestResult(factory.open('ClothinvDB', BROWSER_DB_VERSION + 1))
+
+    expect(onClose).toHaveBeenCalledTimes(1)
+    expect(newer.version).toBe(BROWSER_DB_VERSION + 1)
+    newer.close()
+  })
+
+  it('upgrades the records of a version 3 database step by step', async () => {
+    const factory = new IDBFactory()
+    await createLegacyDatabase(
+      factory,
+      3,
+      (db) => {
+        db.createObjectStore('items', { keyPath: 'item_id' })
+        db.createObjectStore('images')
+        db.createObjectStore('locations', { keyPath: 'location_id' })
+        db.createObjectStore('categories', { keyPath: 'category_id' })
+        db.createObjectStore('owners', { keyPath: 'owner_id' })
+        db.createObjectStore('counters', { keyPath: 'entity' })
+      },
+      {
+        items: [
+          [{ item_id: 1, uuid: 'item-a', name: 'Scarf', location_id: 1, image_uuid: 'img-a', created_at: '2024-01-01T00:00:00.000Z' }],
+          [{ item_id: 2, uuid: 'item-b', name: 'Hat', location_id: 1, image_uuid: 'img-lost', created_at: '2024-01-02T00:00:00.000Z' }],
+        ],
+        // Stands in for a File, which the fake database cannot clone
+        images: [[{ name: 'scarf.jpg', type: 'image/jpeg', size: 2048 }, 1]],
+        locations: [[{ location_id: 1, uuid: 'loc-a', name: 'Closet' }]],
+        categories: [[{ category_id: 1, uuid: 'cat-a', name: 'Shirts' }]],
+        counters: [[{ entity: 'items', nextId: 3 }]],
+      },
+    )
+
+    const db = await openDatabase(factory, 'ClothinvDB')
+
+    const images = db.transaction('images', 'readonly').objectStore('images')
+    expect(await requestResult(images.getAllKeys())).toEqual(['img-a'])
+    expect(await getAll(db, 'item_images')).toEqual([
+      {
+        image_uuid: 'img-a',
+        item_id: 1,
+        position: 0,
+        is_primary: true,
+        created_at: '2024-01-01T00:00:00.000Z',
+        image_mimetype: 'image/jpeg',
+        image_filename: 'scarf.jpg',
+        image_size: 2048,
+      },
+    ])
+    const [scarf, hat] = await getAll(db, 'items')
+    expect(scarf).toMatchObject({ image_uuid: 'img-a', tag_ids: [], field_values: {}, deleted_at: null, status: null })
+    expect(hat.image_uuid).toBeNull()
+    expect((await getAll(db, 'locations'))[0].parent_location_id).toBeNull()
+    expect((await getAll(db, 'categories'))[0].parent_category_id).toBeNull()
+    const byUuid = db.transaction('items', 'readonly').objectStore('items').index('uuid')
+    expect((await requestResult(byUuid.get('item-b'))).name).toBe('Hat')
+    expect(await getAll(db, 'schema_version')).toEqual([{ key: 'db_version', value: DB_VERSION }])
+    db.close()
+  })
+
+  it('only adds the missing indexes to an unversioned database that is already at the current schema', async () => {
+    const factory = new IDBFactory()
+    await createLegacyDatabase(
+      factory,
+      DB_VERSION,
+      (db) => {
+        db.createObjectStore('items', { keyPath: 'item_id' }).createIndex('tag_ids', 'tag_ids', { multiEntry: true })
+        db.createObjectStore('locations', { keyPath: 'location_id' })
+        db.createObjectStore('categories', { keyPath: 'category_id' })
+        db.createObjectStore('owners', { keyPath: 'owner_id' })
+        db.createObjectStore('images')
+        db.createObjectStore('item_images', { keyPath: 'image_uuid' }).createIndex('item_id', 'item_id')
+      },
+      { items: [[{ item_id: 1, uuid: 'item-a', name: 'Scarf', tag_ids: [4], field_values: { 2: 'wool' }, deleted_at: null, status: null }]] },
+    )
+
+    const db = await openDatabase(factory, 'ClothinvDB')
+
+    expect(await getAll(db, 'items')).toEqual([{ item_id: 1, uuid: 'item-a', name: 'Scarf', tag_ids: [4], field_values: { 2: 'wool' }, deleted_at: null, status: null }])
+    const ownerStore = db.transaction('owners', 'readonly').objectStore('owners')
+    expect([...ownerStore.indexNames]).toEqual(['uuid'])
+    db.close()
+  })
+})
@@ -0,0 +1,121 @@
+// Test helper: an in-memory provider for the sync and migration tests
+
+/** Creation time of seeded rows. */
+export const SEED_TIME = '2024-05-01T00:00:00.000Z'
+
+// An in-memory provider with the methods sync and migration use. IDs are offset per instance,
+// so the same row has different IDs on the two sides, as it would between real providers.
+export const createMemoryApi = (idOffset) => {
+  const rows = { tag: [], owner: [], location: [], category: [], custom_field: [], item: [], wear_event: [], loan: [], outfit: [], outfit_wear_event: [], packing_list: [], history: [] }
+  const images = new Map()
+  let itemImages = []
+  let nextId = idOffset
+  const now = () => new Date().toISOString()
+  const find = (type, idField, id) => rows[type].find((row) => row[idField] === id)
+
+  const add = (type, idField) => async (data) => {
+    const row = { ...data, [idField]: nextId++, uuid: data.uuid || `${type}-${nextId}`, created_at: data.created_at || now(), updated_at: null }
+    rows[type].push(row)
+    return { success: true, newId: row[idField] }
+  }
+  const update = (type, idField) => async ({ [idField]: id, ...data }) => {
+    Object.assign(find(type, idField, id), data, { updated_at: now() })
+    return { success: true }
+  }
+  const remove = (type, idField) => async ({ [idField]: id }) => {
+    rows[type] = rows[type].filter((row) => row[idField] !== id)
+    return { success: true }
+  }
+  const imagesOf = (itemId) => itemImages.filter((image) => image.item_id === itemId).sort((a, b) => a.position - b.position)
+  const setPrimary = (itemId, imageUuid) => {
+    itemImages.forEach((image) => {
+      if (image.item_id === itemId) image.is_primary = image.image_uuid === imageUuid
+    })
+    find('item', 'item_id', itemId).image_uuid = imageUuid
+  }
+
+  return {
+    rows,
+    images,
+    seed: (type, row) => rows[type].push({ created_at: SEED_TIME, updated_at: null, ...row }),
+    seedImage: (itemId, imageUuid) => {
+      images.set(imageUuid, new File([imageUuid], `${imageUuid}.jpg`, { type: 'image/jpeg' }))
+      itemImages.push({ item_id: itemId, image_uuid: imageUuid, position: imagesOf(itemId).length, is_primary: imagesOf(itemId).length === 0 })
+    },
+    listTags: async () => rows.tag,
+    addTag: add('tag', 'tag_id'),
+    listOwners: async () => rows.owner,
+    addOwner: add('owner', 'owner_id'),
+    updateOwner: update('owner', 'owner_id'),
+    deleteOwner: remove('owner', 'owner_id'),
+    listLocations: async () => rows.location,
+    addLocation: add('location', 'location_id'),
+    updateLocation: update('location', 'location_id'),
+    deleteLocation: remove('location', 'location_id'),
+    listCategories: async () => rows.category,
+    addCategory: add('category', 'category_id'),
+    updateCategory: update('category', 'category_id'),
+    deleteCategory: remove('category', 'category_id'),
+    listCustomFields: async () => rows.custom_field,
+    addCustomField: add('custom_field', 'field_id'),
+    updateCustomField: update('custom_field', 'field_id'),
+    deleteCustomField: remove('custom_field', 'field_id'),
+    listItems: async () => ({ items: rows.item.filter((item) => !item.deleted_at) }),
+    listTrash: async () => ({ items: rows.item.filter((item) => item.deleted_at) }),
+    addItem: add('item', 'item_id'),
+    updateItem: update('item', 'item_id'),
+    deleteItem: update('item', 'item_id'),
+    restoreItem: update('item', 'item_id'),
+    purgeTrash: async ({ item_ids: itemIds }) => remove('item', 'item_id')({ item_id: itemIds[0] }),
+    listItemImages: async ({ item_id: itemId }) => imagesOf(itemId),
+    getImage: async ({ image_uuid: imageUuid }) => images.get(imageUuid) ?? null,
+    addItemImage: async ({ item_id: itemId, imageFile, image_uuid: imageUuid, is_primary: isPrimary }) => {
+      images.set(imageUuid, imageFile)
+      itemImages.push({ item_id: itemId, image_uuid: imageUuid, position: imagesOf(itemId).length, is_primary: false })
+      if (isPrimary || imagesOf(itemId).length === 1) setPrimary(itemId, imageUuid)
+      return { success: true, image_uuid: imageUuid }
+    },
+    removeItemImage: async ({ item_id: itemId, image_uuid: imageUuid }) => {
+      itemImages = itemImages.filter((image) => !(image.item_id === itemId && image.image_uuid === imageUuid))
+      return { success: true }
+    },
+    reorderItemImages: async ({ item_id: itemId, image_uuids: imageUuids }) => {
+      imagesOf(itemId).forEach((image) => (image.position = imageUuids.indexOf(image.image_uuid)))
+      return { success: true }
+    },
+    setPrimaryItemImage: async ({ item_id: itemId, image_uuid: imageUuid }) => {
+      setPrimary(itemId, imageUuid)
+      return { success: true }
+    },
+    listWearEvents: async () => rows.wear_event,
+    addWearEvent: add('wear_event', 'wear_id'),
+    deleteWearEvent: remove('wear_event', 'wear_id'),
+    listLoans: async () => rows.loan,
+    addLoan: add('loan', 'loan_id'),
+    updateLoan: update('loan', 'loan_id'),
+    deleteLoan: remove('loan', 'loan_id'),
+    listOutfits: async () => rows.outfit,
+    addOutfit: async ({ imageFile, ...data }) => {
+      if (imageFile) images.set(data.image_uuid, imageFile)
+      return add('outfit', 'outfit_id')({ ...data, image_uuid: imageFile ? data.image_uuid : null })
+    },
+    updateOutfit: async ({ imageFile, removeImage, image_uuid: imageUuid, ...data }) => {
+      if (imageFile) images.set(imageUuid, imageFile)
+      const imageChange = imageFile || removeImage ? { image_uuid: imageFile ? imageUuid : null } : {}
+      return update('outfit', 'outfit_id')({ ...data, ...imageChange })
+    },
+    deleteOutfit: remove('outfit', 'outfit_id'),
+    listOutfitWearEvents: async () => rows.outfit_wear_event,
+    addOutfitWearEvent: add('outfit_wear_event', 'outfit_wear_id'),
+    deleteOutfitWearEvent: remove('outfit_wear_event', 'outfit_wear_id'),
+    listPackingLists: async () => rows.packing_list,
+    addPackingList: add('packing_list', 'packing_list_id'),
+    updatePackingList: update('packing_list', 'packing_list_id'),
+    deletePackingList: remove('packing_list', 'packing_list_id'),
+    listHistory: async () => rows.history,
+    replaceHistory: async ({ entries }) => {
+      rows.history = entries.map(({ history_id, ...entry }) => ({ ...entry, history_id: nextId++ }))
+      return { success: true }
+    },
+  }
+}
@@ -0,0 +1,148 @@
+import JSZip from 'jszip';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    parseCSV,
+    groupItemImageRows,
+    groupItemTagRows,
+    groupItemFieldValueRows,
+    parseFieldOptions,
+    loadZipImageFile,
+    normalizeWearEvents,
+    normalizeLoans,
+    joinOutfitRows,
+    normalizeOutfitWearEvents,
+    joinPackingListRows,
+} from './providerUtils';
+import { mergeProviders } from './syncEngine';
+
+// Merge-mode import: instead of replacing all data, the rows of an export ZIP are merged into the
+// active provider by UUID. The ZIP is read through the same list methods a provider has, so the
+// merge itself is mergeProviders, and works the same for every provider.
+// The exported history is not merged; the provider records its own entries for the changes.
+
+const readRows = async (loadedZip, file) => {
+    const entry = loadedZip.file(file);
+    return entry ? parseCSV(await entry.async('string')) : []; // Files of older formats are missing
+};
+
+// Rows of exports from before UUIDs existed get one, so they are added as new rows
+const withUuid = (row) => ({ ...row, uuid: row.uuid || uuidv4() });
+
+/**
+ * Opens an export ZIP as a read-only provider with the methods mergeProviders reads.
+ * @param {Blob} zipFile
+ * @returns {Promise<object>}
+ */
+const openExport = async (zipFile) => {
+    const loadedZip = await JSZip.loadAsync(zipFile);
+    const tags = (await readRows(loadedZip, 'tags.csv')).map(withUuid);
+    const owners = (await readRows(loadedZip, 'owners.csv')).map(withUuid);
+    const locations = (await readRows(loadedZip, 'locations.csv')).map(withUuid);
+    const categories = (await readRows(loadedZip, 'categories.csv')).map(withUuid);
+    const customFields = (await readRows(loadedZip, 'custom_fields.csv')).map(field => ({
+        ...withUuid(field),
+        options: field.field_type === 'enum' ? parseFieldOptions(field.options) : null,
+    }));
+    const tagIdsByItem = groupItemTagRows(await readRows(loadedZip, 'item_tags.csv'));
+    const fieldValuesByItem = groupItemFieldValueRows(await readRows(loadedZip, 'item_field_values.csv'));
+    const imageRowsByItem = groupItemImageRows(await readRows(loadedZip, 'images.csv'));
+
+    // Images by item and by UUID; the ones whose file is missing from the ZIP are left out
+    const imagesByItem = new Map();
+    const imageFiles = new Map();
+    const items = (await readRows(loadedZip, 'items.csv')).map(row => {
+        const item = withUuid(row);
+        // Exports before format 4.0 name the one image of an item in items.csv
+        const imageRows = imageRowsByItem.get(item.item_id)
+            || (item.image_zip_filename ? [{ uuid: item.image_uuid, image_zip_filename: item.image_zip_filename, image_filename: item.image_original_filename, is_primary: true }] : []);
+        const images = imageRows
+            .filter(image => image.image_zip_filename && loadedZip.file(`images/${image.image_zip_filename}`))
+            .map((image, position) => {
+                const imageUuid = image.uuid || uuidv4();
+                imageFiles.set(imageUuid, image);
+                return { item_id: item.item_id, image_uuid: imageUuid, position, is_primary: image.is_primary };
+            });
+        imagesByItem.set(item.item_id, images);
+        const itemId = parseInt(item.item_id, 10);
+        return {
+            ...item,
+            tag_ids: tagIdsByItem.get(itemId) || [],
+            field_values: fieldValuesByItem.get(itemId) || {},
+            image_uuid: (images.find(image => image.is_primary) || images[0])?.image_uuid || null,
+            deleted_at: item.deleted_at || null, // Exports before format 10.0 have no trash
+        };
+    });
+    const itemUuids = new Set(items.map(item => item.uuid));
+
+    // Rows of items left out of the export, e.g. those in the trash, are left out too
+    const wearEvents = normalizeWearEvents(await readRows(loadedZip, 'wear_events.csv'))
+        .filter(wearEvent => itemUuids.has(wearEvent.item_uuid))
+        .map(withUuid);
+    // Borrowers that are not among the exported owners keep only their name, as in a plain import
+    const ownerUuids = new Set(owners.map(owner => owner.uuid));
+    const loans = normalizeLoans(await readRows(loadedZip, 'loans.csv'))
+        .filter(loan => itemUuids.has(loan.item_uuid))
+        .map(loan => ({ ...withUuid(loan), borrower_owner_uuid: ownerUuids.has(loan.borrower_owner_uuid) ? loan.borrower_owner_uuid : null }));
+
+    // Outfits keep the exported items and tags only; their photos are read like those of items
+    const tagIds = new Set(tags.map(tag => String(tag.tag_id)));
+    const outfits = joinOutfitRows(
+        await readRows(loadedZip, 'outfits.csv'),
+        await readRows(loadedZip, 'outfit_items.csv'),
+        await readRows(loadedZip, 'outfit_tags.csv'),
+    ).map(row => {
+        const { image_zip_filename, image_filename, image_mimetype, ...outfit } = withUuid(row);
+        const hasImage = image_zip_filename && loadedZip.file(`images/${image_zip_filename}`);
+        const imageUuid = hasImage ? (outfit.image_uuid || uuidv4()) : null;
+        if (hasImage) imageFiles.set(imageUuid, { image_zip_filename, image_filename, image_mimetype });
+        return {
+            ...outfit,
+            image_uuid: imageUuid,
+            item_uuids: outfit.item_uuids.filter(itemUuid => itemUuids.has(itemUuid)),
+            tag_ids: outfit.tag_ids.filter(tagId => tagIds.has(String(tagId))),
+        };
+    });
+    const outfitUuids = new Set(outfits.map(outfit => outfit.uuid));
+    const outfitWearEvents = normalizeOutfitWearEvents(await readRows(loadedZip, 'outfit_wear_events.csv'))
+        .filter(wearEvent => outfitUuids.has(wearEvent.outfit_uuid))
+        .map(withUuid);
+
+    const packingLists = joinPackingListRows(
+        await readRows(loadedZip, 'packing_lists.csv'),
+        await readRows(loadedZip, 'packing_list_items.csv'),
+    ).map(packingList => ({
+        ...withUuid(packingList),
+        entries: packingList.entries.filter(entry => itemUuids.has(entry.item_uuid)),
+    }));
+
+    return {
+        listTags: async () => tags,
+        listOwners: async () => owners,
+        listLocations: async () => locations,
+        listCategories: async () => categories,
+        listCustomFields: async () => customFields,
+        listItems: async () => ({ items: items.filter(item => !item.deleted_at) }),
+        listTrash: async () => ({ items: items.filter(item => item.deleted_at) }),
+        listItemImages: async ({ item_id }) => imagesByItem.get(item_id) || [],
+        listWearEvents: async () => wearEvents,
+        listLoans: async () => loans,
+        listOutfits: async () => outfits,
+        listOutfitWearEvents: async () => outfitWearEvents,
+        listPackingLists: async () => packingLists,
+        getImage: async ({ image_uuid }) => {
+            const image = imageFiles.get(image_uuid);
+            return image ? loadZipImageFile(loadedZip, image.image_zip_filename, image.image_filename, image.image_mimetype) : null;
+        },
+    };
+};
+
+/**
+ * Merges an export ZIP into a provider, matching rows by UUID.
+ * @param {object} api - Bound API methods of the provider, e.g. the ApiContext value.
+ * @param {Blob} zipFile
+ * @param {{ strategy?: import('./syncEngine').MergeStrategy, createThumbnail?: (file: File) => Promise<File>, onProgress?: (entity: string) => void }} [options]
+ *   As for mergeProviders.
+ * @returns {Promise<import('./syncEngine').MergeReport>}
+ */
+export const mergeImport = async (api, zipFile, options = {}) =>
+    mergeProviders(api, await openExport(zipFile), options);
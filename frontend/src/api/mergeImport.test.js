@@ -0,0 +1,153 @@
+import JSZip from 'jszip'
+import { mergeImport } from './mergeImport'
+import { createMemoryApi } from './memoryProvider.testutil'
+
+const EARLIER = '2024-06-01T00:00:00.000Z'
+const LATER = '2024-07-01T00:00:00.000Z'
+
+const buildZip = async (files) => {
+  const zip = new JSZip()
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content))
+  return zip.generateAsync({ type: 'uint8array' })
+}
+
+// An export of one household: Anna's closet with a shirt in it, and a new scarf with an image
+const exportFiles = {
+  'manifest.json': JSON.stringify({ exportFormatVersion: '11.0' }),
+  'owners.csv': `owner_id,uuid,name,description,created_at,updated_at\n1,owner-a,Anna K.,,${EARLIER},${LATER}`,
+  'locations.csv': `location_id,uuid,name,description,parent_location_id,created_at,updated_at\n1,loc-a,Closet,,,${EARLIER},${EARLIER}`,
+  'categories.csv': `category_id,uuid,name,description,parent_category_id,created_at,updated_at\n1,cat-a,Shirts,,,${EARLIER},`,
+  'tags.csv': `tag_id,uuid,name,created_at,updated_at\n1,tag-x,winter,${EARLIER},`,
+  'item_tags.csv': 'item_id,tag_id\n2,1',
+  'items.csv': 'item_id,uuid,name,description,location_id,category_id,price,owner_id,image_uuid,deleted_at,created_at,updated_at\n' +
+    `1,item-a,Shirt,,1,1,20,1,,,${EARLIER},${LATER}\n2,item-b,Scarf,,1,1,,1,img-1,,${LATER},`,
+  'images.csv': 'image_id,uuid,item_id,position,is_primary,image_mimetype,image_filename,image_zip_filename\n1,img-1,2,0,1,image/jpeg,scarf.jpg,2_0.jpg',
+  'images/2_0.jpg': 'jpeg',
+}
+
+// The household merged into: the same owner, closet and shirt, the shirt changed since
+const createTarget = () => {
+  const api = createMemoryApi(11) // Above the seeded IDs
+  api.seed('owner', { owner_id: 1, uuid: 'owner-a', name: 'Anna', description: null, updated_at: EARLIER })
+  api.seed('location', { location_id: 1, uuid: 'loc-a', name: 'Wardrobe', description: null, parent_location_id: null, created_at: EARLIER, updated_at: LATER })
+  api.seed('category', { category_id: 1, uuid: 'cat-a', name: 'Shirts', description: null, parent_category_id: null })
+  api.seed('tag', { tag_id: 1, uuid: 'tag-local', name: 'Winter' })
+  api.seed('item', {
+    item_id: 1, uuid: 'item-a', name: 'Shirt', description: null, location_id: 1, category_id: 1, owner_id: 1,
+    price: 25, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null,
+  })
+  return api
+}
+
+describe('merge import', () => {
+  it('adds new rows and keeps differing ones with the skip strategy', async () => {
+    const api = createTarget()
+
+    const report = await mergeImport(api, await buildZip(exportFiles), { strategy: 'skip' })
+
+    expect(report.errors).toEqual([])
+    expect(report.inserted).toEqual([{ entity: 'item', key: 'item-b', name: 'Scarf' }])
+    expect(report.skipped.map((row) => [row.key, row.reason])).toEqual([
+      ['tag-local', 'exists'], ['owner-a', 'exists'], ['loc-a', 'exists'], ['cat-a', 'unchanged'], ['item-a', 'exists'],
+    ])
+    expect(report.images).toBe(1)
+    expect(api.rows.owner[0].name).toBe('Anna')
+    const scarf = api.rows.item.find((item) => item.uuid === 'item-b')
+    expect(scarf).toMatchObject({ location_id: 1, owner_id: 1, tag_ids: [1], image_uuid: 'img-1' })
+  })
+
+  it('overwrites only rows changed later in the import with the newer strategy', async () => {
+    const api = createTarget()
+
+    const report = await mergeImport(api, await buildZip(exportFiles), { strategy: 'newer' })
+
+    expect(report.updated.map((row) => row.key)).toEqual(['owner-a', 'item-a'])
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ entity: 'location', key: 'loc-a', reason: 'targetNewer', source: expect.objectContaining({ name: 'Closet' }) }),
+    ])
+    expect(api.rows.owner[0].name).toBe('Anna K.')
+    expect(api.rows.location[0].name).toBe('Wardrobe')
+    expect(api.rows.item[0].price).toBe(20)
+  })
+
+  it('adds the wear events of the exported items', async () => {
+    const api = createTarget()
+    const files = {
+      ...exportFiles,
+      'wear_events.csv': 'wear_id,uuid,item_uuid,worn_on,note,created_at\n' +
+        `1,wear-1,item-a,2024-06-20,,${EARLIER}\n2,wear-2,item-b,2024-06-21,Party,${LATER}\n3,wear-3,item-gone,2024-06-22,,${LATER}`,
+    }
+
+    const report = await mergeImport(api, await buildZip(files))
+
+    expect(report.errors).toEqual([])
+    expect(report.inserted.filter((row) => row.entity === 'wear_event').map((row) => row.key)).toEqual(['wear-2', 'wear-1'])
+    expect(api.rows.wear_event).toEqual([
+      expect.objectContaining({ uuid: 'wear-2', item_uuid: 'item-b', worn_on: '2024-06-21', note: 'Party' }),
+      expect.objectContaining({ uuid: 'wear-1', item_uuid: 'item-a', worn_on: '2024-06-20', note: null }),
+    ])
+  })
+
+  it('adds the loans of the exported items, with borrowers among the exported owners', async () => {
+    const api = createTarget()
+    const files = {
+      ...exportFiles,
+      'loans.csv': 'loan_id,uuid,item_uuid,borrower_owner_uuid,borrower_name,lent_on,due_on,returned_on,note,created_at\n' +
+        `1,loan-a,item-b,owner-a,Anna,2024-06-20,2024-06-30,,,${LATER}\n2,loan-b,item-a,owner-gone,Ville,2024-06-01,,2024-06-10,Kept it clean,${EARLIER}`,
+    }
+
+    const report = await mergeImport(api, await buildZip(files))
+
+    expect(report.errors).toEqual([])
+    expect(report.inserted.filter((row) => row.entity === 'loan').map((row) => row.name)).toEqual(['Anna', 'Ville'])
+    expect(api.rows.loan).toEqual([
+      expect.objectContaining({ uuid: 'loan-a', item_uuid: 'item-b', borrower_owner_uuid: 'owner-a', due_on: '2024-06-30', returned_on: null }),
+      expect.objectContaining({ uuid: 'loan-b', item_uuid: 'item-a', borrower_owner_uuid: null, borrower_name: 'Ville', note: 'Kept it clean' }),
+    ])
+  })
+
+  it('adds outfits with their photo, exported items and tags, and wear events', async () => {
+    const api = createTarget()
+    const files = {
+      ...exportFiles,
+      'outfits.csv': 'outfit_id,uuid,name,description,image_uuid,image_zip_filename,image_filename,image_mimetype,created_at,updated_at\n' +
+        `1,outfit-a,Office,,img-o,outfit_1.jpg,office.jpg,image/jpeg,${LATER},`,
+      'outfit_items.csv': 'outfit_uuid,item_uuid,position\noutfit-a,item-b,0\noutfit-a,item-a,1\noutfit-a,item-gone,2',
+      'outfit_tags.csv': 'outfit_uuid,tag_id\noutfit-a,1',
+      'outfit_wear_events.csv': `outfit_wear_id,uuid,outfit_uuid,worn_on,note,created_at\n1,owear-1,outfit-a,2024-06-20,,${LATER}`,
+      'images/outfit_1.jpg': 'jpeg',
+    }
+
+    const report = await mergeImport(api, await buildZip(files))
+
+    expect(report.errors).toEqual([])
+    expect(report.images).toBe(2)
+    expect(api.rows.outfit).toEqual([
+      expect.objectContaining({ uuid: 'outfit-a', name: 'Office', item_uuids: ['item-b', 'item-a'], tag_ids: [1], image_uuid: 'img-o' }),
+    ])
+    expect(await api.getImage({ image_uuid: 'img-o' })).toMatchObject({ name: 'office.jpg' })
+    expect(api.rows.outfit_wear_event).toEqual([expect.objectContaining({ uuid: 'owear-1', outfit_uuid: 'outfit-a' })])
+  })
+
+  it('adds packing lists with the entries of the exported items', async () => {
+    const api = createTarget()
+    const files = {
+      ...exportFiles,
+      'packing_lists.csv': 'packing_list_id,uuid,name,note,starts_on,ends_on,is_template,created_at,updated_at\n' +
+        `1,list-a,Rome,,2024-06-01,2024-06-05,0,${LATER},\n2,list-b,Weekend,,,,1,${LATER},`,
+      'packing_list_items.csv': 'packing_list_uuid,item_uuid,position,packed,returned\n' +
+        'list-a,item-b,0,1,0\nlist-a,item-a,1,1,1\nlist-a,item-gone,2,1,0\nlist-b,item-a,0,0,0',
+    }
+
+    const report = await mergeImport(api, await buildZip(files))
+
+    expect(report.errors).toEqual([])
+    expect(api.rows.packing_list).toEqual([
+      expect.objectContaining({
+        uuid: 'list-a', starts_on: '2024-06-01', is_template: false,
+        entries: [{ item_uuid: 'item-b', packed: true, returned: false }, { item_uuid: 'item-a', packed: true, returned: true }],
+      }),
+      expect.objectContaining({ uuid: 'list-b', is_template: true, entries: [{ item_uuid: 'item-a', packed: false, returned: false }] }),
+    ])
+  })
+})
@@ -1,14 +1,60 @@
 // --- PostgREST API Provider ---
 // Interacts with a PostgREST endpoint which exposes a PostgreSQL database.
 import JSZip from 'jszip';
-import { FORMAT_VERSION } from './exportFormat';
+import { FORMAT_VERSION, IMPORTABLE_FORMAT_VERSIONS } from './exportFormat';
 import {
     getMimeTypeFromFilename,
     readFileAsBase64,
     base64ToBlob,
     createCSV,
-    parseCSV
+    parseCSV,
+    normalizeItemQuery,
+    expandLocationFilter,
+    expandCategoryFilter,
+    parseSortCriteria,
+    normalizeItemImageRows,
+    applyItemImageOrder,
+    itemImageZipFilename,
+    outfitImageZipFilename,
+    groupItemImageRows,
+    loadZipImageFile,
+    normalizeImageVariant,
+    normalizeTagName,
+    normalizeTagIds,
+    groupItemTagRows,
+    parseFieldOptions,
+    normalizeCustomField,
+    normalizeFieldValues,
+    compareCustomFields,
+    groupItemFieldValueRows,
+    createsParentCycle,
+    flattenTree,
+    diffForHistory,
+    createHistoryEntry,
+    normalizeHistoryEntries,
+    normalizeWearEvent,
+    normalizeWearEvents,
+    normalizeLoan,
+    normalizeLoanUpdate,
+    normalizeLoans,
+    normalizeItemStatus,
+    normalizeSetItemStatusInput,
+    normalizeOutfit,
+    normalizeOutfitUpdate,
+    normalizeOutfits,
+    joinOutfitRows,
+    normalizeOutfitWearEvent,
+    normalizeOutfitWearEvents,
+    normalizePackingList,
+    normalizePackingListUpdate,
+    normalizePackingLists,
+    joinPackingListRows,
+    createImportProgress,
+    schemaHas,
+    legacyItemImages,
+    referencingItemsErrorCode,
 } from './providerUtils';
+import { createZipWriter, createBlobSink, ZIP_TOO_LARGE } from './zipStream';
 
 // At the top of the file, for convenience
 const PROVIDER_NAME = "PostgREST Provider";
@@ -81,6 +127,113 @@ const handleResponse = async (res, operation, entityDescription) => {
     }
 };
 
+/**
+ * Runs one schema migration step through the apply_migration RPC function of
+ * backend/apply_migration_postgres.sql, which checks the version, runs the script and
+ * records the new version in one transaction. The BEGIN and COMMIT of the migration
+ * file are left out, as the function already runs inside a transaction.
+ * @param {object} settings
+ * @param {{ from: number, to: number, sql: string }} step - A step from schemaMigrations.
+ * @returns {Promise<{ success: boolean, version: number }>}
+ */
+export const applySchemaMigration = async (settings, step) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error(`[${PROVIDER_NAME}]: PostgREST API URL is not configured.`);
+    const migrationSql = step.sql.replace(/^\s*(BEGIN(\s+TRANSACTION)?|COMMIT)\s*;\s*$/gim, '');
+    const res = await fetch(`${baseUrl}/rpc/apply_migration`, {
+        method: 'POST',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify({ from_version: step.from, to_version: step.to, migration_sql: migrationSql }),
+    });
+    const { data } = await handleResponse(res, 'migrate the schema to version', String(step.to));
+    return { success: true, version: data };
+};
+
+// --- Change History ---
+
+/**
+ * Internal: Fetches a single row by its ID column, or null if it does not exist.
+ */
+const _getRow = async (settings, tableName, idColumn, id, select = '*') => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/${tableName}?${idColumn}=eq.${id}&select=${select}`, { headers: defaultHeaders(settings, false) });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data[0] || null;
+};
+
+/**
+ * Internal: Appends a change to the history table.
+ * The change itself has already been saved, so a failure here is logged instead of thrown.
+ */
+const _recordHistory = async (settings, entityType, entityUuid, action, changes) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const entry = createHistoryEntry(settings, entityType, entityUuid, action, changes);
+    if (!entityUuid || !entry) return;
+
+    try {
+        const res = await fetch(`${baseUrl}/history`, {
+            method: 'POST',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify(entry),
+        });
+        await handleResponse(res, 'add', 'history entry');
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Failed to record ${action} of ${entityType} ${entityUuid} in the history:`, error);
+    }
+};
+
+/**
+ * Lists history entries, newest first, optionally only those of one entity.
+ */
+export const listHistory = async (settings, query = {}) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams();
+    if (query.entity_type) params.set('entity_type', `eq.${query.entity_type}`);
+    if (query.entity_uuid) params.set('entity_uuid', `eq.${query.entity_uuid}`);
+    params.set('order', 'created_at.desc,history_id.desc');
+    const res = await fetch(`${baseUrl}/history?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'history');
+    return normalizeHistoryEntries(result.data || []);
+};
+
+/**
+ * Internal: Deletes every history entry, for replacing all data.
+ */
+const _clearHistory = async (settings) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    // PostgREST refuses a DELETE without any filter
+    const res = await fetch(`${baseUrl}/history?history_id=not.is.null`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'clear', 'history');
+};
+
+/**
+ * Replaces the whole history with the given entries, e.g. those of an import or of a provider
+ * being migrated here. The entries are given newest first, as listHistory returns them.
+ */
+export const replaceHistory = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    await _clearHistory(settings);
+    if (inputData.entries.length > 0) {
+        const res = await fetch(`${baseUrl}/history`, {
+            method: 'POST',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify([...inputData.entries].reverse().map(({ history_id, ...entry }) => entry)),
+        });
+        await handleResponse(res, 'import', 'history');
+    }
+    return { success: true };
+};
+
 // --- Exported API Methods (Bound by ApiContext) ---
 // These are the functions listed in the providerRegistry 'methods' array.
 // They receive the 'settings' object as the first argument from ApiContext.
@@ -121,6 +274,7 @@ export const addLocation = async (settings, data) => {
     }
     const newLocationId = result.data[0].location_id;
     const newUuid = result.data[0].uuid;
+    await _recordHistory(settings, 'location', newUuid, 'add', diffForHistory('location', null, result.data[0]));
     return { success: true, newId: newLocationId, uuid: newUuid };
 };
 
@@ -130,8 +284,18 @@ export const updateLocation = async (settings, inputData) => {
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!locationId) throw new Error("Location ID is required for update.");
 
+    // A location cannot be moved inside itself or one of its descendants
+    if (data.parent_location_id != null) {
+        const locations = await listLocations(settings);
+        if (createsParentCycle(locations, 'location_id', 'parent_location_id', locationId, data.parent_location_id)) {
+            console.warn(`[${PROVIDER_NAME}]: Refused to move location ${locationId} under its own descendant ${data.parent_location_id}.`);
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+
+    const before = await _getRow(settings, 'locations', 'location_id', locationId);
     const updateUrl = `${baseUrl}/locations?location_id=eq.${locationId}`;
-    const { uuid, ...payload } = data; // Exclude uuid from update payload
+    const { uuid, ...payload } = data; // Exclude uuid from update payload; omitted fields are left as they are
 
     const res = await fetch(updateUrl, {
         method: 'PATCH',
@@ -140,6 +304,7 @@ export const updateLocation = async (settings, inputData) => {
     });
 
     await handleResponse(res, 'update', `location ID ${locationId}`);
+    await _recordHistory(settings, 'location', before?.uuid, 'update', diffForHistory('location', before, payload));
     return { success: true };
 };
 
@@ -149,22 +314,33 @@ export const deleteLocation = async (settings, inputData) => {
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!locationId) throw new Error("Location ID is required for deletion.");
 
-    // Constraint Check: Check if any items use this location
-    const checkUrl = `${baseUrl}/items?location_id=eq.${locationId}&select=item_id&limit=1`;
+    // Constraint Check: Check if any items use this location, an item outside the trash first
+    const checkUrl = `${baseUrl}/items?location_id=eq.${locationId}&select=item_id,deleted_at&order=deleted_at.asc.nullsfirst&limit=1`;
     const checkRes = await fetch(checkUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
     const checkResult = await handleResponse(checkRes, 'check usage for', `location ID ${locationId}`);
-    if (checkResult.data && checkResult.data.length > 0) {
+    const usedErrorCode = referencingItemsErrorCode(checkResult.data || []);
+    if (usedErrorCode) {
         console.warn(`[${PROVIDER_NAME}]: Attempted to delete location ${locationId} which is in use.`);
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+        return { success: false, errorCode: usedErrorCode };
+    }
+    // Locations nested inside this one have to be moved or deleted first
+    const childCheckUrl = `${baseUrl}/locations?parent_location_id=eq.${locationId}&select=location_id&limit=1`;
+    const childCheckRes = await fetch(childCheckUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const childCheckResult = await handleResponse(childCheckRes, 'check child locations of', `location ID ${locationId}`);
+    if (childCheckResult.data && childCheckResult.data.length > 0) {
+        console.warn(`[${PROVIDER_NAME}]: Attempted to delete location ${locationId} which contains other locations.`);
+        return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
     }
 
     const deleteUrl = `${baseUrl}/locations?location_id=eq.${locationId}`;
     const res = await fetch(deleteUrl, {
         method: 'DELETE',
-        headers: defaultHeaders(settings, false),
+        headers: defaultHeaders(settings), // The deleted row is returned for the history
     });
 
-    await handleResponse(res, 'delete', `location ID ${locationId}`);
+    const deleteResult = await handleResponse(res, 'delete', `location ID ${locationId}`);
+    const deleted = deleteResult.data?.[0] || null;
+    await _recordHistory(settings, 'location', deleted?.uuid, 'delete', diffForHistory('location', deleted, null));
     return { success: true };
 };
 
@@ -194,6 +370,7 @@ export const addCategory = async (settings, data) => {
     }
     const newCategoryId = result.data[0].category_id;
     const newUuid = result.data[0].uuid;
+    await _recordHistory(settings, 'category', newUuid, 'add', diffForHistory('category', null, result.data[0]));
     return { success: true, newId: newCategoryId, uuid: newUuid };
 };
 
@@ -202,14 +379,24 @@ export const updateCategory = async (settings, inputData) => {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!categoryId) throw new Error("Category ID is required for update.");
+    // A category cannot be moved under itself or one of its subcategories
+    if (data.parent_category_id != null) {
+        const categories = await listCategories(settings);
+        if (createsParentCycle(categories, 'category_id', 'parent_category_id', categoryId, data.parent_category_id)) {
+            console.warn(`[${PROVIDER_NAME}]: Refused to move category ${categoryId} under its own subcategory ${data.parent_category_id}.`);
+            return { success: false, errorCode: 'INVALID_PARENT' };
+        }
+    }
+    const before = await _getRow(settings, 'categories', 'category_id', categoryId);
     const updateUrl = `${baseUrl}/categories?category_id=eq.${categoryId}`;
-    const { uuid, ...payload } = data; // Exclude uuid
+    const { uuid, ...payload } = data; // Exclude uuid; omitted fields are left as they are
     const res = await fetch(updateUrl, {
         method: 'PATCH',
         headers: defaultHeaders(settings, false),
         body: JSON.stringify(payload),
     });
     await handleResponse(res, 'update', `category ID ${categoryId}`);
+    await _recordHistory(settings, 'category', before?.uuid, 'update', diffForHistory('category', before, payload));
     return { success: true };
 };
 
@@ -219,18 +406,29 @@ export const deleteCategory = async (settings, inputData) => {
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!categoryId) throw new Error("Category ID is required for deletion.");
 
-    // Constraint Check
-    const checkUrl = `${baseUrl}/items?category_id=eq.${categoryId}&select=item_id&limit=1`;
+    // Constraint Check: an item outside the trash first
+    const checkUrl = `${baseUrl}/items?category_id=eq.${categoryId}&select=item_id,deleted_at&order=deleted_at.asc.nullsfirst&limit=1`;
     const checkRes = await fetch(checkUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
     const checkResult = await handleResponse(checkRes, 'check usage for', `category ID ${categoryId}`);
-    if (checkResult.data && checkResult.data.length > 0) {
+    const usedErrorCode = referencingItemsErrorCode(checkResult.data || []);
+    if (usedErrorCode) {
         console.warn(`[${PROVIDER_NAME}]: Attempted to delete category ${categoryId} which is in use.`);
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+        return { success: false, errorCode: usedErrorCode };
+    }
+    // Subcategories have to be moved or deleted first
+    const childCheckUrl = `${baseUrl}/categories?parent_category_id=eq.${categoryId}&select=category_id&limit=1`;
+    const childCheckRes = await fetch(childCheckUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const childCheckResult = await handleResponse(childCheckRes, 'check subcategories of', `category ID ${categoryId}`);
+    if (childCheckResult.data && childCheckResult.data.length > 0) {
+        console.warn(`[${PROVIDER_NAME}]: Attempted to delete category ${categoryId} which has subcategories.`);
+        return { success: false, errorCode: 'ENTITY_HAS_CHILDREN' };
     }
 
     const deleteUrl = `${baseUrl}/categories?category_id=eq.${categoryId}`;
-    const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
-    await handleResponse(res, 'delete', `category ID ${categoryId}`);
+    const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings) }); // Returns the deleted row
+    const deleteResult = await handleResponse(res, 'delete', `category ID ${categoryId}`);
+    const deleted = deleteResult.data?.[0] || null;
+    await _recordHistory(settings, 'category', deleted?.uuid, 'delete', diffForHistory('category', deleted, null));
     return { success: true };
 };
 
@@ -260,6 +458,7 @@ export const addOwner = async (settings, data) => {
     }
     const newOwnerId = result.data[0].owner_id;
     const newUuid = result.data[0].uuid;
+    await _recordHistory(settings, 'owner', newUuid, 'add', diffForHistory('owner', null, result.data[0]));
     return { success: true, newId: newOwnerId, uuid: newUuid };
 };
 
@@ -268,6 +467,7 @@ export const updateOwner = async (settings, inputData) => {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!ownerId) throw new Error("Owner ID is required for update.");
+    const before = await _getRow(settings, 'owners', 'owner_id', ownerId);
     const updateUrl = `${baseUrl}/owners?owner_id=eq.${ownerId}`;
     const { uuid, ...payload } = data; // Exclude uuid
     const res = await fetch(updateUrl, {
@@ -276,6 +476,7 @@ export const updateOwner = async (settings, inputData) => {
         body: JSON.stringify(payload),
     });
     await handleResponse(res, 'update', `owner ID ${ownerId}`);
+    await _recordHistory(settings, 'owner', before?.uuid, 'update', diffForHistory('owner', before, payload));
     return { success: true };
 };
 
@@ -285,21 +486,211 @@ export const deleteOwner = async (settings, inputData) => {
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
     if (!ownerId) throw new Error("Owner ID is required for deletion.");
 
-    // Constraint Check
-    const checkUrl = `${baseUrl}/items?owner_id=eq.${ownerId}&select=item_id&limit=1`;
+    // Constraint Check: an item outside the trash first
+    const checkUrl = `${baseUrl}/items?owner_id=eq.${ownerId}&select=item_id,deleted_at&order=deleted_at.asc.nullsfirst&limit=1`;
     const checkRes = await fetch(checkUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
     const checkResult = await handleResponse(checkRes, 'check usage for', `owner ID ${ownerId}`);
-    if (checkResult.data && checkResult.data.length > 0) {
+    const usedErrorCode = referencingItemsErrorCode(checkResult.data || []);
+    if (usedErrorCode) {
         console.warn(`[${PROVIDER_NAME}]: Attempted to delete owner ${ownerId} which is in use.`);
-        return { success: false, errorCode: 'ENTITY_IN_USE' };
+        return { success: false, errorCode: usedErrorCode };
     }
 
     const deleteUrl = `${baseUrl}/owners?owner_id=eq.${ownerId}`;
-    const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
-    await handleResponse(res, 'delete', `owner ID ${ownerId}`);
+    const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings) }); // Returns the deleted row
+    const deleteResult = await handleResponse(res, 'delete', `owner ID ${ownerId}`);
+    const deleted = deleteResult.data?.[0] || null;
+    await _recordHistory(settings, 'owner', deleted?.uuid, 'delete', diffForHistory('owner', deleted, null));
+    return { success: true };
+};
+
+// --- Tags ---
+export const listTags = async (settings) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const queryUrl = `${baseUrl}/tags?order=name.asc`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'tags');
+    return result.data || [];
+};
+
+/**
+ * Adds a tag, or returns the existing tag with the same name.
+ */
+export const addTag = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const name = normalizeTagName(data?.name);
+    if (!name) throw new Error("Tag name is required.");
+
+    // Tag names are unique, so reuse an existing tag instead of failing the insert
+    const existingUrl = `${baseUrl}/tags?name=eq.${encodeURIComponent(name)}&select=tag_id,uuid&limit=1`;
+    const existingRes = await fetch(existingUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const existingResult = await handleResponse(existingRes, 'look up', `tag "${name}"`);
+    if (existingResult.data && existingResult.data.length > 0) {
+        return { success: true, newId: existingResult.data[0].tag_id, uuid: existingResult.data[0].uuid };
+    }
+
+    const tagData = { ...data, name, uuid: data.uuid || undefined, updated_at: null };
+    const res = await fetch(`${baseUrl}/tags`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(tagData),
+    });
+    const result = await handleResponse(res, 'add', 'tag');
+    if (!result.data || result.data.length === 0 || !result.data[0].tag_id || !result.data[0].uuid) {
+        console.error(`[${PROVIDER_NAME}]: Could not find tag_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve tag_id after insert.");
+    }
+    return { success: true, newId: result.data[0].tag_id, uuid: result.data[0].uuid };
+};
+
+/**
+ * Internal: Makes the item's tags exactly the given tag IDs.
+ */
+const _setItemTags = async (settings, itemId, tagIds) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const wantedTagIds = normalizeTagIds(tagIds);
+    const listRes = await fetch(`${baseUrl}/item_tags?item_id=eq.${itemId}&select=tag_id`, { headers: defaultHeaders(settings, false) });
+    const currentTagIds = ((await handleResponse(listRes, 'list', `tags of item ID ${itemId}`)).data || []).map(row => row.tag_id);
+
+    const removedTagIds = currentTagIds.filter(tagId => !wantedTagIds.includes(tagId));
+    if (removedTagIds.length > 0) {
+        const deleteUrl = `${baseUrl}/item_tags?item_id=eq.${itemId}&tag_id=in.(${removedTagIds.join(',')})`;
+        const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+        await handleResponse(res, 'delete', `tag links of item ID ${itemId}`);
+    }
+
+    const newRows = wantedTagIds
+        .filter(tagId => !currentTagIds.includes(tagId))
+        .map(tagId => ({ item_id: itemId, tag_id: tagId }));
+    if (newRows.length > 0) {
+        const res = await fetch(`${baseUrl}/item_tags`, {
+            method: 'POST',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify(newRows),
+        });
+        await handleResponse(res, 'insert', `tag links for item ID ${itemId}`);
+    }
+};
+
+// --- Custom Fields ---
+export const listCustomFields = async (settings) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const queryUrl = `${baseUrl}/custom_fields?order=category_id.asc,position.asc,field_id.asc`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'custom fields');
+    return (result.data || [])
+        .map(field => ({ ...field, options: field.field_type === 'enum' ? parseFieldOptions(field.options) : null }))
+        .sort(compareCustomFields);
+};
+
+export const addCustomField = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    if (!data?.category_id) throw new Error("Category ID is required for a custom field.");
+    const { name, field_type, options } = normalizeCustomField(data);
+
+    let position = parseInt(data.position, 10);
+    if (isNaN(position)) {
+        // Append after the category's last field
+        const countRes = await fetch(`${baseUrl}/custom_fields?category_id=eq.${data.category_id}&select=field_id`, { headers: defaultHeaders(settings, false) });
+        position = ((await handleResponse(countRes, 'count', `custom fields of category ID ${data.category_id}`)).data || []).length;
+    }
+
+    const fieldData = {
+        uuid: data.uuid || undefined,
+        category_id: data.category_id,
+        name,
+        field_type,
+        options: options ? JSON.stringify(options) : null,
+        position,
+        created_at: data.created_at || undefined,
+        updated_at: null
+    };
+    const res = await fetch(`${baseUrl}/custom_fields`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(fieldData),
+    });
+    const result = await handleResponse(res, 'add', 'custom field');
+    if (!result.data || result.data.length === 0 || !result.data[0].field_id || !result.data[0].uuid) {
+        console.error(`[${PROVIDER_NAME}]: Could not find field_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve field_id after insert.");
+    }
+    return { success: true, newId: result.data[0].field_id, uuid: result.data[0].uuid };
+};
+
+export const updateCustomField = async (settings, inputData) => {
+    const { field_id: fieldId, ...data } = inputData;
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    if (!fieldId) throw new Error("Field ID is required for update.");
+
+    // The type of a field is fixed, so the stored one is used to check the new definition
+    const currentRes = await fetch(`${baseUrl}/custom_fields?field_id=eq.${fieldId}&select=field_type,options`, { headers: defaultHeaders(settings, false) });
+    const current = ((await handleResponse(currentRes, 'fetch', `custom field ID ${fieldId}`)).data || [])[0];
+    if (!current) return { success: false, message: 'Custom field not found' };
+    const { name, options } = normalizeCustomField({ ...data, field_type: current.field_type, options: data.options ?? current.options });
+
+    const payload = { name, options: options ? JSON.stringify(options) : null };
+    if (typeof data.position === 'number') payload.position = data.position;
+    const res = await fetch(`${baseUrl}/custom_fields?field_id=eq.${fieldId}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify(payload),
+    });
+    await handleResponse(res, 'update', `custom field ID ${fieldId}`);
+    return { success: true };
+};
+
+/**
+ * Deletes a custom field. Its values go with it through ON DELETE CASCADE.
+ */
+export const deleteCustomField = async (settings, inputData) => {
+    const { field_id: fieldId } = inputData;
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    if (!fieldId) throw new Error("Field ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/custom_fields?field_id=eq.${fieldId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `custom field ID ${fieldId}`);
     return { success: true };
 };
 
+/**
+ * Internal: Makes the item's custom field values exactly the given ones.
+ */
+const _setItemFieldValues = async (settings, itemId, fieldValues) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const wantedValues = normalizeFieldValues(fieldValues);
+    const listRes = await fetch(`${baseUrl}/item_field_values?item_id=eq.${itemId}&select=field_id`, { headers: defaultHeaders(settings, false) });
+    const currentFieldIds = ((await handleResponse(listRes, 'list', `field values of item ID ${itemId}`)).data || []).map(row => row.field_id);
+
+    const removedFieldIds = currentFieldIds.filter(fieldId => !(fieldId in wantedValues));
+    if (removedFieldIds.length > 0) {
+        const deleteUrl = `${baseUrl}/item_field_values?item_id=eq.${itemId}&field_id=in.(${removedFieldIds.join(',')})`;
+        const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+        await handleResponse(res, 'delete', `field values of item ID ${itemId}`);
+    }
+
+    // New and changed values in one upsert on the (item_id, field_id) key
+    const rows = Object.entries(wantedValues).map(([fieldId, value]) => ({ item_id: itemId, field_id: Number(fieldId), value }));
+    if (rows.length > 0) {
+        const res = await fetch(`${baseUrl}/item_field_values?on_conflict=item_id,field_id`, {
+            method: 'POST',
+            headers: { ...defaultHeaders(settings, false), 'Prefer': 'resolution=merge-duplicates' },
+            body: JSON.stringify(rows),
+        });
+        await handleResponse(res, 'save', `field values for item ID ${itemId}`);
+    }
+};
+
 // --- Image Handling ---
 
 /**
@@ -376,12 +767,165 @@ const _deleteImage = async (settings, imageId) => {
     return { success: true };
 };
 
+// --- Image Variants (image_variants table) ---
+// Deleting an image removes its variants through ON DELETE CASCADE.
+
+/**
+ * Internal: Inserts a variant of an image, or replaces the one already stored (upsert on image_uuid + variant).
+ */
+const _saveImageVariant = async (settings, imageId, imageUuid, variant, file) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const base64Data = await readFileAsBase64(file);
+    const res = await fetch(`${baseUrl}/image_variants?on_conflict=image_uuid,variant`, {
+        method: 'POST',
+        headers: { ...defaultHeaders(settings, false), 'Prefer': 'resolution=merge-duplicates' },
+        body: JSON.stringify({ image_id: imageId, image_uuid: imageUuid, variant, image_data: base64Data, image_mimetype: file.type }),
+    });
+    return handleResponse(res, 'save', `${variant} of image ${imageUuid}`);
+};
+
+/**
+ * Internal: Deletes every variant of an image, e.g. after its content was replaced.
+ */
+const _deleteImageVariants = async (settings, imageId) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/image_variants?image_id=eq.${imageId}`, {
+        method: 'DELETE',
+        headers: defaultHeaders(settings, false)
+    });
+    return handleResponse(res, 'delete', `variants of image ID ${imageId}`);
+};
+
+/**
+ * Internal: Fetches a stored variant of an image as { blob, filename }, or null if there is none.
+ */
+const _getImageVariantByUuid = async (settings, imageUuid, variant) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const queryUrl = `${baseUrl}/image_variants?image_uuid=eq.${imageUuid}&variant=eq.${variant}&select=image_data,image_mimetype&limit=1`;
+    const res = await fetch(queryUrl, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'fetch', `${variant} of image ${imageUuid}`);
+    const row = result.data?.[0];
+    if (!row || !row.image_data || !row.image_mimetype) return null;
+    return { blob: base64ToBlob(row.image_data, row.image_mimetype), filename: `${variant}_${imageUuid}` };
+};
+
+// --- Item Images (item_images join table) ---
+// Deleting an image or an item removes its item_images rows through ON DELETE CASCADE.
+
+/**
+ * Internal: Lists an item's item_images rows in display order.
+ */
+const _listItemImageRows = async (settings, itemId) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/item_images?item_id=eq.${itemId}&order=position.asc`, { headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', `images of item ID ${itemId}`);
+    return result.data || [];
+};
+
+/**
+ * Internal: Inserts an item_images row.
+ */
+const _insertItemImageRow = async (settings, row) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/item_images`, {
+        method: 'POST',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify(row),
+    });
+    return handleResponse(res, 'insert', `image link for item ID ${row.item_id}`);
+};
+
+/**
+ * Internal: Writes the positions and primary flags that differ between two versions of an item's rows.
+ */
+const _saveItemImageRows = async (settings, previousRows, rows) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    for (const row of rows) {
+        const previous = previousRows.find(r => r.item_image_id === row.item_image_id);
+        if (previous && previous.position === row.position && previous.is_primary === row.is_primary) continue;
+        const res = await fetch(`${baseUrl}/item_images?item_image_id=eq.${row.item_image_id}`, {
+            method: 'PATCH',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify({ position: row.position, is_primary: row.is_primary }),
+        });
+        await handleResponse(res, 'update', `image link ID ${row.item_image_id}`);
+    }
+};
+
+/**
+ * Internal: Mirrors the primary image (or its absence) into the item row.
+ * The updated_at trigger stamps the item.
+ */
+const _setItemPrimaryImage = async (settings, itemId, primaryRow) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/items?item_id=eq.${itemId}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify({ image_id: primaryRow?.image_id ?? null, image_uuid: primaryRow?.image_uuid ?? null }),
+    });
+    return handleResponse(res, 'update', `item ID ${itemId}`);
+};
+
+/**
+ * Internal: Saves changed rows and updates the item row if the primary image changed.
+ */
+const _applyItemImageRows = async (settings, itemId, previousRows, rows) => {
+    await _saveItemImageRows(settings, previousRows, rows);
+    const previousPrimary = previousRows.find(row => row.is_primary);
+    const primary = rows.find(row => row.is_primary);
+    if (previousPrimary?.image_uuid !== primary?.image_uuid) {
+        await _setItemPrimaryImage(settings, itemId, primary);
+    }
+};
+
+/**
+ * Internal: Stores an image (and its thumbnail, if given) and appends it to the item's images.
+ * Does not touch the item row; callers mirror the image there when `isPrimary` is returned.
+ */
+const _appendItemImage = async (settings, itemId, imageFile, imageUuid, makePrimary, thumbnailFile = null) => {
+    const previousRows = await _listItemImageRows(settings, itemId);
+    const base64Data = await readFileAsBase64(imageFile);
+    const imageResult = await _insertImage(settings, base64Data, imageFile.type, imageFile.name, imageUuid);
+    if (thumbnailFile instanceof File) {
+        await _saveImageVariant(settings, imageResult.imageId, imageResult.imageUuid, 'thumb', thumbnailFile);
+    }
+
+    const isPrimary = makePrimary || !previousRows.some(row => row.is_primary);
+    if (isPrimary) {
+        // Demote the current primary first so at most one row is ever flagged
+        await _saveItemImageRows(settings, previousRows, previousRows.map(row => ({ ...row, is_primary: false })));
+    }
+    const position = previousRows.length > 0 ? Math.max(...previousRows.map(row => row.position)) + 1 : 0;
+    await _insertItemImageRow(settings, {
+        item_id: itemId,
+        image_id: imageResult.imageId,
+        image_uuid: imageResult.imageUuid,
+        position,
+        is_primary: isPrimary,
+    });
+    return { ...imageResult, isPrimary };
+};
+
 // --- Items ---
 
 /**
  * Adds a single item record with basic details.
- * Expects data like { name, description, location_id, category_id, owner_id }
- * and optionally `imageFile` (a File object).
+ * Expects data like { name, description, location_id, category_id, owner_id, tag_ids? }
+ * and optionally `imageFile` (a File object) with its `thumbnailFile`.
  * Can also accept `uuid` and `image_uuid` if importing. */
 export const addItem = async (settings, data) => {
     const baseUrl = settings?.postgrestApiUrl;
@@ -399,6 +943,9 @@ export const addItem = async (settings, data) => {
             const imageResult = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name, data.image_uuid);
             imageId = imageResult.imageId;
             imageUuid = imageResult.imageUuid; // This will be the UUID used (either provided or PG-generated)
+            if (data.thumbnailFile instanceof File) {
+                await _saveImageVariant(settings, imageId, imageUuid, 'thumb', data.thumbnailFile);
+            }
         } catch (error) {
             console.error(`[${PROVIDER_NAME}]: Failed to process or insert image:`, error);
             throw new Error(`Failed to handle image upload: ${error.message}`);
@@ -413,11 +960,14 @@ export const addItem = async (settings, data) => {
         category_id: data.category_id,
         owner_id: data.owner_id,
         price: typeof data.price !== "undefined" && data.price !== null ? parseFloat(data.price) : null,
+        status: normalizeItemStatus(data.status) ?? null,
         uuid: newItemUuid, // Add item UUID (or undefined for PG default)
         image_id: imageId, // Use the inserted image ID or null
         image_uuid: imageUuid, // Use the inserted image UUID or null
+        deleted_at: data.deleted_at || null, // Only set when importing an item that was in the trash
         updated_at: null // Explicitly set updated_at to null on creation
     };
+    if (data.created_at) itemRowData.created_at = data.created_at; // Kept when migrating from another provider
 
     const res = await fetch(`${baseUrl}/items`, {
         method: 'POST',
@@ -433,13 +983,26 @@ export const addItem = async (settings, data) => {
         return { success: true, image_uuid: imageUuid }; // imageUuid is from earlier in the function
     }
     const newItem = result.data[0];
+    if (imageId) {
+        // The first image of an item is its primary image
+        await _insertItemImageRow(settings, { item_id: newItem.item_id, image_id: imageId, image_uuid: imageUuid, position: 0, is_primary: true });
+    }
+    if (Array.isArray(data.tag_ids)) {
+        await _setItemTags(settings, newItem.item_id, data.tag_ids);
+    }
+    if (data.field_values) {
+        await _setItemFieldValues(settings, newItem.item_id, data.field_values);
+    }
+    await _recordHistory(settings, 'item', newItem.uuid, 'add', diffForHistory('item', null, {
+        ...newItem, tag_ids: data.tag_ids, field_values: data.field_values
+    }));
     return { success: true, newId: newItem.item_id, uuid: newItem.uuid, image_uuid: newItem.image_uuid };
 };
 
 
 /**
  * Updates an item's details, including potentially the image.
- * Expects itemId and data like { name, description, location_id, category_id, owner_id, imageFile?, removeImage? }
+ * Expects itemId and data like { name, description, location_id, category_id, owner_id, tag_ids?, field_values?, imageFile?, thumbnailFile?, removeImage? }
  */
 export const updateItem = async (settings, inputData) => { // data should NOT contain uuid
     const { item_id: itemId, ...data } = inputData;
@@ -450,6 +1013,9 @@ export const updateItem = async (settings, inputData) => { // data should NOT co
         throw new Error("Item name, location ID, category ID, and owner ID are required for update.");
     }
 
+    const beforeRow = await _getRow(settings, 'items', 'item_id', itemId, '*,item_tags(tag_id),item_field_values(field_id,value)');
+    const before = beforeRow ? _toItemMetadata(beforeRow) : null; // For the history
+
     // Fetch current item data to get existing image_id and image_uuid
     const currentItemUrl = `${baseUrl}/items?item_id=eq.${itemId}&select=image_id,image_uuid`; // Fetch image_uuid too
     const currentItemRes = await fetch(currentItemUrl, { headers: defaultHeaders(settings, false) });
@@ -464,21 +1030,33 @@ export const updateItem = async (settings, inputData) => { // data should NOT co
     let newImageId = existingImageId; // Assume image doesn't change initially
     let newImageUuid = existingImageUuid; // Assume image UUID doesn't change
 
+    let imageIdToDelete = null;
     if (data.removeImage && existingImageId) {
-        await _deleteImage(settings, existingImageId);
-        newImageId = null;
-        newImageUuid = null; // Clear image UUID
+        // Remove the primary image and promote the next one, if any.
+        // The image itself is deleted once the item no longer points at it.
+        const rows = await _listItemImageRows(settings, itemId);
+        const remainingRows = normalizeItemImageRows(rows.filter(row => row.image_id !== existingImageId));
+        await _saveItemImageRows(settings, rows, remainingRows);
+        const promotedRow = remainingRows.find(row => row.is_primary);
+        imageIdToDelete = existingImageId;
+        newImageId = promotedRow?.image_id ?? null;
+        newImageUuid = promotedRow?.image_uuid ?? null;
     } else if (data.imageFile instanceof File) { // Check it's a File
         try {
-            const base64Data = await readFileAsBase64(data.imageFile);
             if (existingImageId) {
                 // Update existing image record
+                const base64Data = await readFileAsBase64(data.imageFile);
                 await _updateImage(settings, existingImageId, base64Data, data.imageFile.type, data.imageFile.name);
                 // UUID of image doesn't change on update
                 newImageId = existingImageId; // ID remains the same
+                // Variants of the old content are stale now
+                await _deleteImageVariants(settings, existingImageId);
+                if (data.thumbnailFile instanceof File) {
+                    await _saveImageVariant(settings, existingImageId, existingImageUuid, 'thumb', data.thumbnailFile);
+                }
             } else {
-                // Insert new image record
-                const imageResult = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name);
+                // Insert new image record as the primary image
+                const imageResult = await _appendItemImage(settings, itemId, data.imageFile, undefined, true, data.thumbnailFile);
                 newImageId = imageResult.imageId;
                 newImageUuid = imageResult.imageUuid;
             }
@@ -497,6 +1075,7 @@ export const updateItem = async (settings, inputData) => { // data should NOT co
         category_id: updateData.category_id,
         owner_id: updateData.owner_id,
         price: typeof updateData.price !== "undefined" && updateData.price !== null ? parseFloat(updateData.price) : null,
+        status: normalizeItemStatus(updateData.status), // Undefined, and so left out of the JSON, when not given
         image_id: newImageId, // Set the potentially updated image ID
         image_uuid: newImageUuid, // Set the potentially updated image UUID
     };
@@ -512,6 +1091,18 @@ export const updateItem = async (settings, inputData) => { // data should NOT co
          // Should be caught by handleResponse throwing
         throw new Error(`Update item ${itemId} failed`);
     }
+    if (imageIdToDelete) {
+        await _deleteImage(settings, imageIdToDelete); // Also removes its item_images row
+    }
+    if (Array.isArray(data.tag_ids)) {
+        await _setItemTags(settings, itemId, data.tag_ids);
+    }
+    if (data.field_values) {
+        await _setItemFieldValues(settings, itemId, data.field_values);
+    }
+    await _recordHistory(settings, 'item', before?.uuid, 'update', diffForHistory('item', before, {
+        ...payload, tag_ids: data.tag_ids, field_values: data.field_values
+    }));
     // newImageUuid is determined by the logic within updateItem
     // If Prefer: return=representation was used, updateOpResult.data[0].image_uuid could be used.
     // However, newImageUuid is more reliable as it's set based on the logic flow (remove, add new, keep existing).
@@ -519,70 +1110,731 @@ export const updateItem = async (settings, inputData) => { // data should NOT co
 };
 
 /**
- * Deletes an item record.
+ * Internal: Sets or clears the deleted_at timestamp of an item.
+ * The operation ('delete' or 'restore') is also the action recorded in the history.
  */
-export const deleteItem = async (settings, inputData) => {
-    const { item_id: itemId } = inputData;
+const _setItemDeletedAt = async (settings, itemId, deletedAt, operation) => {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
-    if (!itemId) throw new Error("Item ID is required for deletion.");
-
-    // 1. Get the image_id associated with the item *before* deleting the item
-    const itemUrl = `${baseUrl}/items?item_id=eq.${itemId}&select=image_id`;
-    const itemRes = await fetch(itemUrl, { headers: defaultHeaders(settings, false) });
-
-    let imageIdToDelete = null;
-    if (itemRes.ok) {
-        const itemData = await itemRes.json();
-        imageIdToDelete = itemData[0]?.image_id;
-    } else if (itemRes.status !== 404) {
-        // If item fetch fails for reason other than not found, throw error
-        await handleResponse(itemRes, 'fetch item for deletion', `item ID ${itemId}`);
-    } // If 404, item already gone, proceed to ensure image is gone if we somehow know its ID (unlikely here)
+    if (!itemId) throw new Error(`Item ID is required for ${operation}.`);
 
-    // 2. Delete the item record
-    const deleteItemUrl = `${baseUrl}/items?item_id=eq.${itemId}`;
-    const deleteItemRes = await fetch(deleteItemUrl, {
-        method: 'DELETE',
-        headers: defaultHeaders(settings, false),
+    const res = await fetch(`${baseUrl}/items?item_id=eq.${itemId}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings), // The updated row carries the uuid for the history
+        body: JSON.stringify({ deleted_at: deletedAt }),
     });
+    const result = await handleResponse(res, operation, `item ID ${itemId}`);
+    await _recordHistory(settings, 'item', result.data?.[0]?.uuid, operation);
+    return { success: true };
+};
 
-    // Check item deletion result (ignore 404)
-    if (!deleteItemRes.ok && deleteItemRes.status !== 404) {
-        await handleResponse(deleteItemRes, 'delete', `item ID ${itemId}`); // This will throw if not ok
+/**
+ * Moves an item to the trash. Its images, tags and field values are kept until the trash is purged.
+ */
+export const deleteItem = async (settings, inputData) => {
+    return _setItemDeletedAt(settings, inputData?.item_id, new Date().toISOString(), 'delete');
+};
+
+/**
+ * Takes an item back out of the trash.
+ */
+export const restoreItem = async (settings, inputData) => {
+    return _setItemDeletedAt(settings, inputData?.item_id, null, 'restore');
+};
+
+/**
+ * Moves items to one status in a single request, recording the change of each in the history.
+ */
+export const setItemStatus = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const { itemIds, status } = normalizeSetItemStatusInput(inputData);
+    const idFilter = `item_id=in.(${itemIds.join(',')})`;
+
+    const beforeRes = await fetch(`${baseUrl}/items?${idFilter}&select=item_id,uuid,status`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const before = (await handleResponse(beforeRes, 'fetch', 'items for the status change')).data || [];
+    const res = await fetch(`${baseUrl}/items?${idFilter}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify({ status }),
+    });
+    await handleResponse(res, 'update', 'item statuses');
+    for (const row of before) {
+        await _recordHistory(settings, 'item', row.uuid, 'update', diffForHistory('item', row, { status }));
+    }
+    return { success: true, updatedCount: before.length };
+};
+
+/**
+ * Internal: Permanently deletes an item record together with its images.
+ * Its wear events, loans, outfit_items and packing_list_items rows are deleted with it through their foreign keys.
+ */
+const _purgeItem = async (settings, itemId) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    if (!itemId) throw new Error("Item ID is required for deletion.");
+
+    // 1. Get the image_id associated with the item *before* deleting the item
+    const itemUrl = `${baseUrl}/items?item_id=eq.${itemId}&select=image_id,uuid`;
+    const itemRes = await fetch(itemUrl, { headers: defaultHeaders(settings, false) });
+
+    const imageIdsToDelete = [];
+    let itemUuid = null;
+    if (itemRes.ok) {
+        const itemData = await itemRes.json();
+        itemUuid = itemData[0]?.uuid || null;
+        if (itemData[0]?.image_id) imageIdsToDelete.push(itemData[0].image_id);
+        // Every other image of the item, too
+        const imageRows = await _listItemImageRows(settings, itemId);
+        imageRows.forEach(row => {
+            if (!imageIdsToDelete.includes(row.image_id)) imageIdsToDelete.push(row.image_id);
+        });
+    } else if (itemRes.status !== 404) {
+        // If item fetch fails for reason other than not found, throw error
+        await handleResponse(itemRes, 'fetch item for deletion', `item ID ${itemId}`);
+    } // If 404, item already gone, proceed to ensure image is gone if we somehow know its ID (unlikely here)
+
+    // 2. Delete the item record
+    const deleteItemUrl = `${baseUrl}/items?item_id=eq.${itemId}`;
+    const deleteItemRes = await fetch(deleteItemUrl, {
+        method: 'DELETE',
+        headers: defaultHeaders(settings, false),
+    });
+
+    // Check item deletion result (ignore 404)
+    if (!deleteItemRes.ok && deleteItemRes.status !== 404) {
+        await handleResponse(deleteItemRes, 'delete', `item ID ${itemId}`); // This will throw if not ok
         // If handleResponse doesn't throw (e.g. if it's modified not to), then we need to return failure.
         // Assuming current handleResponse throws on error:
     }
 
-    // 3. If item deletion was successful (or item was already gone) AND we found an image ID, delete the image
-    if (imageIdToDelete) {
-        await _deleteImage(settings, imageIdToDelete); // _deleteImage handles its own errors/404s
+    // 3. If item deletion was successful (or item was already gone), delete the images we found
+    for (const imageId of imageIdsToDelete) {
+        await _deleteImage(settings, imageId); // _deleteImage handles its own errors/404s
     }
 
+    await _recordHistory(settings, 'item', itemUuid, 'purge');
     return { success: true };
 };
 
-// listItems: Remove options, pagination, filtering, sorting, and direct image fetching.
-export const listItems = async (settings) => {
+/**
+ * Lists the items in the trash, most recently deleted first unless the query says otherwise.
+ */
+export const listTrash = async (settings, query) => {
+    return listItems(settings, { ...query, trashed: true, sort: query?.sort || 'deleted_at_desc' });
+};
+
+/**
+ * Permanently deletes items in the trash, optionally only the given ones or those deleted before a time.
+ */
+export const purgeTrash = async (settings, inputData = {}) => {
+    const { item_ids: itemIds, deleted_before: deletedBefore } = inputData;
+    const { items: trashedItems } = await listTrash(settings);
+    const itemsToPurge = trashedItems.filter(item =>
+        (!Array.isArray(itemIds) || itemIds.includes(item.item_id)) &&
+        (!deletedBefore || new Date(item.deleted_at) < new Date(deletedBefore))
+    );
+    for (const item of itemsToPurge) await _purgeItem(settings, item.item_id);
+    return { success: true, purgedCount: itemsToPurge.length };
+};
+
+/**
+ * Gets an item by its UUID, also when it is in the trash. Resolves to null when there is no such item.
+ */
+export const getItemByUuid = async (settings, inputData) => {
+    if (!inputData?.uuid) throw new Error("Item UUID is required.");
+    const row = await _getRow(settings, 'items', 'uuid', inputData.uuid, `*,${ITEM_WEAR_COLUMNS},${ITEM_LOAN_COLUMNS},item_tags(tag_id),item_field_values(field_id,value)`);
+    return row ? _toItemMetadata(row) : null;
+};
+
+/**
+ * Internal: Lists every item, the ones in the trash included.
+ */
+const _listItemsWithTrash = async (settings) => {
+    const { items } = await listItems(settings);
+    const { items: trashedItems } = await listTrash(settings);
+    return [...items, ...trashedItems];
+};
+
+// Quotes a value for use inside a PostgREST logic tree, where , . : ( ) are reserved
+const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, (c) => `\\${c}`)}"`;
+
+// Escapes text for a POSIX regular expression, so that imatch finds it as it is. An ilike
+// pattern cannot be escaped fully, as PostgREST turns every * in it into the % wildcard.
+const escapeRegex = (text) => String(text).replace(/[\\^$.|?*+()[\]{}]/g, (c) => `\\${c}`);
+
+const TAG_FILTER_ALIAS = 'tag_filter';
+// Computed columns from the wear_count(items) and last_worn_on(items) functions of the schema
+const ITEM_WEAR_COLUMNS = 'wear_count,last_worn_on';
+// Computed columns from the lent_on(items) and loan_due_on(items) functions of the schema
+const ITEM_LOAN_COLUMNS = 'lent_on,loan_due_on';
+const FIELD_FILTER_ALIAS = 'field_filter';
+
+/**
+ * Internal: Turns a listed item row with its embedded item_tags and item_field_values into ItemMetadata.
+ */
+const _toItemMetadata = (row) => {
+    const item = {
+        tag_ids: (row.item_tags || []).map(itemTag => itemTag.tag_id),
+        field_values: Object.fromEntries((row.item_field_values || []).map(fieldValue => [fieldValue.field_id, fieldValue.value]))
+    };
+    Object.entries(row).forEach(([key, value]) => {
+        if (key !== 'item_tags' && key !== 'item_field_values' && !key.startsWith(TAG_FILTER_ALIAS) && !key.startsWith(FIELD_FILTER_ALIAS)) item[key] = value;
+    });
+    return item;
+};
+
+/**
+ * Internal: Translates a normalized item query into PostgREST query parameters.
+ */
+const _buildItemQueryParams = (q) => {
+    // item_tags(tag_id) embeds every tag of an item; see _toItemMetadata
+    const select = ['*', ITEM_WEAR_COLUMNS, ITEM_LOAN_COLUMNS, 'item_tags(tag_id)', 'item_field_values(field_id,value)'];
+    const params = new URLSearchParams();
+    const conditions = [];
+
+    // Tag filters go through separately aliased inner embeds, so they only drop items
+    // and never hide tags from the full item_tags embed
+    if (q.tagIds.length > 0 && q.tagMode === 'and') {
+        q.tagIds.forEach((tagId, i) => {
+            select.push(`${TAG_FILTER_ALIAS}${i}:item_tags!inner(tag_id)`);
+            params.set(`${TAG_FILTER_ALIAS}${i}.tag_id`, `eq.${tagId}`);
+        });
+    } else if (q.tagIds.length > 0) {
+        select.push(`${TAG_FILTER_ALIAS}:item_tags!inner(tag_id)`);
+        params.set(`${TAG_FILTER_ALIAS}.tag_id`, `in.(${q.tagIds.join(',')})`);
+    }
+    // Custom field filters work the same way, one inner embed per field. The value goes in a
+    // logic tree, where it can be quoted; "contains" takes it literally, like the name search.
+    q.fieldFilters.forEach((filter, i) => {
+        select.push(`${FIELD_FILTER_ALIAS}${i}:item_field_values!inner(field_id,value)`);
+        const valueCondition = filter.match === 'contains'
+            ? `value.imatch.${quoteFilterValue(escapeRegex(filter.value))}`
+            : `value.eq.${quoteFilterValue(filter.value)}`;
+        params.set(`${FIELD_FILTER_ALIAS}${i}.and`, `(field_id.eq.${filter.fieldId},${valueCondition})`);
+    });
+    params.set('select', select.join(','));
+
+    if (q.name) {
+        // imatch ignores case like ilike does, but takes the text literally
+        const pattern = quoteFilterValue(escapeRegex(q.name));
+        conditions.push(`or(name.imatch.${pattern},description.imatch.${pattern})`);
+    }
+    if (q.locationIds.length > 0) params.set('location_id', `in.(${q.locationIds.join(',')})`);
+    if (q.categoryIds.length > 0) params.set('category_id', `in.(${q.categoryIds.join(',')})`);
+    if (q.ownerIds.length > 0) params.set('owner_id', `in.(${q.ownerIds.join(',')})`);
+    if (q.statuses.length > 0) params.set('status', `in.(${q.statuses.map(quoteFilterValue).join(',')})`);
+    params.set('deleted_at', q.trashed ? 'not.is.null' : 'is.null');
+    // Items without a price are never excluded by the price range
+    if (typeof q.priceMin === 'number') conditions.push(`or(price.is.null,price.gte.${q.priceMin})`);
+    if (typeof q.priceMax === 'number') conditions.push(`or(price.is.null,price.lte.${q.priceMax})`);
+    if (conditions.length > 0) params.set('and', `(${conditions.join(',')})`);
+
+    // In the order compareItemsBy describes; name_key is the computed column that folds the case of names
+    const { sortBy, sortOrder } = parseSortCriteria(q.sort);
+    const nulls = sortOrder === 'asc' ? 'nullsfirst' : 'nullslast';
+    const sortColumn = sortBy === 'name' ? 'name_key' : sortBy;
+    params.set('order', `${sortColumn}.${sortOrder}.${nulls},item_id.${sortOrder}`);
+
+    if (q.offset > 0) params.set('offset', String(q.offset));
+    if (q.limit !== undefined) params.set('limit', String(q.limit));
+    return params;
+};
+
+/**
+ * Lists item metadata matching an optional query, filtered, sorted and paged by PostgREST.
+ * The total is read from the Content-Range header requested with `Prefer: count=exact`.
+ */
+export const listItems = async (settings, query) => {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    let q = normalizeItemQuery(query);
 
     try {
-        // Fetch all items metadata, including all relevant IDs and UUIDs
-        // Ensure select includes: item_id, uuid, name, description, location_id, category_id, owner_id, image_id, image_uuid, created_at, updated_at
-        const itemsUrl = `${baseUrl}/items?select=*,image_id,image_uuid&order=created_at.desc`;
+        // Location and category filters also cover the locations and subcategories nested inside the selected ones
+        if (q.locationIds.length > 0) q = expandLocationFilter(q, await listLocations(settings));
+        if (q.categoryIds.length > 0) q = expandCategoryFilter(q, await listCategories(settings));
+        const itemsUrl = `${baseUrl}/items?${_buildItemQueryParams(q).toString()}`;
         const itemsRes = await fetch(itemsUrl, {
             method: 'GET',
-            headers: defaultHeaders(settings, false)
+            headers: { ...defaultHeaders(settings, false), 'Prefer': 'count=exact' }
         });
-        const itemsResult = await handleResponse(itemsRes, 'list', 'all items metadata');
-        return itemsResult.data || []; // Return raw metadata array
+        const contentRange = itemsRes.headers.get('Content-Range'); // e.g. "0-10/123" or "*/0"
+        const itemsResult = await handleResponse(itemsRes, 'list', 'items');
+        const items = (itemsResult.data || []).map(_toItemMetadata);
+        const total = parseInt(contentRange?.split('/')[1], 10);
+        return { items, totalCount: isNaN(total) ? q.offset + items.length : total };
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error in PostgREST listItems:`, error);
         throw error;
     }
 };
 
+/**
+ * Internal: Lists every item for an export, selecting only what the database's schema
+ * version has, so that a database waiting for its schema migration can be backed up.
+ */
+const _listItemsForExport = async (settings, dbVersion, includeTrash) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    const select = ['*'];
+    if (schemaHas(dbVersion, 'item_tags')) select.push('item_tags(tag_id)');
+    if (schemaHas(dbVersion, 'item_field_values')) select.push('item_field_values(field_id,value)');
+    const params = new URLSearchParams({ select: select.join(','), order: 'item_id.asc' });
+    // Items can only be in the trash once the schema has deleted_at
+    if (!includeTrash && schemaHas(dbVersion, 'items.deleted_at')) params.set('deleted_at', 'is.null');
+
+    const res = await fetch(`${baseUrl}/items?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'items');
+    return (result.data || []).map(_toItemMetadata);
+};
+
+// --- Wear Events ---
+
+/**
+ * Records that an item was worn, today unless the input names another day.
+ */
+export const addWearEvent = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const wearEvent = normalizeWearEvent(data);
+
+    const res = await fetch(`${baseUrl}/wear_events`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(wearEvent),
+    });
+    const result = await handleResponse(res, 'add', 'wear event');
+    if (!result.data || result.data.length === 0 || !result.data[0].wear_id) {
+        console.error(`[${PROVIDER_NAME}]: Could not find wear_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve wear_id after insert.");
+    }
+    return { success: true, newId: result.data[0].wear_id, uuid: result.data[0].uuid };
+};
+
+/**
+ * Lists wear events, most recently worn first, optionally only those of one item.
+ */
+export const listWearEvents = async (settings, query = {}) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams();
+    if (query.item_uuid) params.set('item_uuid', `eq.${query.item_uuid}`);
+    params.set('order', 'worn_on.desc,wear_id.desc');
+    const res = await fetch(`${baseUrl}/wear_events?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'wear events');
+    return normalizeWearEvents(result.data || []);
+};
+
+/**
+ * Deletes a wear event, e.g. one recorded by mistake.
+ */
+export const deleteWearEvent = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const wearId = inputData?.wear_id;
+    if (!wearId) throw new Error("Wear event ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/wear_events?wear_id=eq.${wearId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `wear event ID ${wearId}`);
+    return { success: true };
+};
+
+// --- Loans ---
+
+/**
+ * Records that an item was lent to someone. An item that is lent out already cannot be lent again
+ * before it is returned.
+ */
+export const addLoan = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const loan = normalizeLoan(data);
+    if (!loan.returned_on && (await listLoans(settings, { item_uuid: loan.item_uuid, open: true })).length > 0) {
+        throw new Error("The item is lent out already.");
+    }
+
+    const res = await fetch(`${baseUrl}/loans`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(loan),
+    });
+    const result = await handleResponse(res, 'add', 'loan');
+    if (!result.data || result.data.length === 0 || !result.data[0].loan_id) {
+        console.error(`[${PROVIDER_NAME}]: Could not find loan_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve loan_id after insert.");
+    }
+    return { success: true, newId: result.data[0].loan_id, uuid: result.data[0].uuid };
+};
+
+/**
+ * Lists loans, most recently lent first, optionally only those of one item or those not returned yet.
+ */
+export const listLoans = async (settings, query = {}) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams();
+    if (query.item_uuid) params.set('item_uuid', `eq.${query.item_uuid}`);
+    if (query.open) params.set('returned_on', 'is.null');
+    params.set('order', 'lent_on.desc,loan_id.desc');
+    const res = await fetch(`${baseUrl}/loans?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'loans');
+    return normalizeLoans(result.data || []);
+};
+
+/**
+ * Changes the due date, return date or note of a loan, e.g. when the item comes back.
+ */
+export const updateLoan = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for update.");
+    const loan = await _getRow(settings, 'loans', 'loan_id', loanId);
+    if (!loan) throw new Error(`Loan ID ${loanId} not found.`);
+    const changes = normalizeLoanUpdate(inputData, normalizeLoans([loan])[0]);
+
+    const res = await fetch(`${baseUrl}/loans?loan_id=eq.${loanId}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify(changes),
+    });
+    await handleResponse(res, 'update', `loan ID ${loanId}`);
+    return { success: true };
+};
+
+/**
+ * Deletes a loan, e.g. one recorded by mistake.
+ */
+export const deleteLoan = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const loanId = inputData?.loan_id;
+    if (!loanId) throw new Error("Loan ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/loans?loan_id=eq.${loanId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `loan ID ${loanId}`);
+    return { success: true };
+};
+
+// --- Outfits ---
+// The items and tags of an outfit are in the outfit_items and outfit_tags join tables, which refer
+// to the outfit by UUID. Deleting an outfit removes them and its wear events through ON DELETE CASCADE.
+
+// Computed columns from the wear_count(outfits) and last_worn_on(outfits) functions, and the embedded links
+const OUTFIT_SELECT = '*,wear_count,last_worn_on,outfit_items(item_uuid,position),outfit_tags(tag_id)';
+const OUTFIT_ITEM_FILTER_ALIAS = 'item_filter';
+
+/**
+ * Internal: Makes the outfit's items exactly the given item UUIDs, in that order.
+ */
+const _setOutfitItems = async (settings, outfitUuid, itemUuids) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    // Positions change with every reordering, so the rows are replaced rather than patched one by one
+    const deleteRes = await fetch(`${baseUrl}/outfit_items?outfit_uuid=eq.${outfitUuid}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(deleteRes, 'delete', `items of outfit ${outfitUuid}`);
+    if (itemUuids.length === 0) return;
+    const res = await fetch(`${baseUrl}/outfit_items`, {
+        method: 'POST',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify(itemUuids.map((itemUuid, position) => ({ outfit_uuid: outfitUuid, item_uuid: itemUuid, position }))),
+    });
+    await handleResponse(res, 'insert', `items of outfit ${outfitUuid}`);
+};
+
+/**
+ * Internal: Makes the outfit's tags exactly the given tag IDs.
+ */
+const _setOutfitTags = async (settings, outfitUuid, tagIds) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const listRes = await fetch(`${baseUrl}/outfit_tags?outfit_uuid=eq.${outfitUuid}&select=tag_id`, { headers: defaultHeaders(settings, false) });
+    const currentTagIds = ((await handleResponse(listRes, 'list', `tags of outfit ${outfitUuid}`)).data || []).map(row => row.tag_id);
+
+    const removedTagIds = currentTagIds.filter(tagId => !tagIds.includes(tagId));
+    if (removedTagIds.length > 0) {
+        const deleteUrl = `${baseUrl}/outfit_tags?outfit_uuid=eq.${outfitUuid}&tag_id=in.(${removedTagIds.join(',')})`;
+        const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+        await handleResponse(res, 'delete', `tag links of outfit ${outfitUuid}`);
+    }
+
+    const newRows = tagIds
+        .filter(tagId => !currentTagIds.includes(tagId))
+        .map(tagId => ({ outfit_uuid: outfitUuid, tag_id: tagId }));
+    if (newRows.length > 0) {
+        const res = await fetch(`${baseUrl}/outfit_tags`, {
+            method: 'POST',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify(newRows),
+        });
+        await handleResponse(res, 'insert', `tag links for outfit ${outfitUuid}`);
+    }
+};
+
+/**
+ * Internal: Deletes the image with the given UUID, e.g. the photo of an outfit. Its variants cascade with it.
+ */
+const _deleteImageByUuid = async (settings, imageUuid) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const res = await fetch(`${baseUrl}/images?uuid=eq.${imageUuid}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `image ${imageUuid}`);
+};
+
+/**
+ * Lists outfits by name, optionally only those with the given item.
+ */
+export const listOutfits = async (settings, query = {}) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams();
+    if (query.item_uuid) {
+        // A separately aliased inner embed, so that the full outfit_items embed keeps every item
+        params.set('select', `${OUTFIT_SELECT},${OUTFIT_ITEM_FILTER_ALIAS}:outfit_items!inner(item_uuid)`);
+        params.set(`${OUTFIT_ITEM_FILTER_ALIAS}.item_uuid`, `eq.${query.item_uuid}`);
+    } else {
+        params.set('select', OUTFIT_SELECT);
+    }
+    params.set('order', 'name.asc,outfit_id.asc');
+    const res = await fetch(`${baseUrl}/outfits?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'outfits');
+    return normalizeOutfits((result.data || []).map(({ [OUTFIT_ITEM_FILTER_ALIAS]: _filter, ...row }) => row));
+};
+
+/**
+ * Adds an outfit, with its photo when the input has an imageFile.
+ */
+export const addOutfit = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const { item_uuids: itemUuids, tag_ids: tagIds, ...outfit } = normalizeOutfit(data);
+
+    let imageUuid = null;
+    if (data.imageFile instanceof File) {
+        const base64Data = await readFileAsBase64(data.imageFile);
+        ({ imageUuid } = await _insertImage(settings, base64Data, data.imageFile.type, data.imageFile.name, data.image_uuid));
+    }
+
+    const res = await fetch(`${baseUrl}/outfits`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ ...outfit, image_uuid: imageUuid, updated_at: data.updated_at || null }),
+    });
+    const result = await handleResponse(res, 'add', 'outfit');
+    if (!result.data || result.data.length === 0 || !result.data[0].outfit_id || !result.data[0].uuid) {
+        console.error(`[${PROVIDER_NAME}]: Could not find outfit_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve outfit_id after insert.");
+    }
+    const { outfit_id: outfitId, uuid } = result.data[0];
+    await _setOutfitItems(settings, uuid, itemUuids);
+    await _setOutfitTags(settings, uuid, tagIds);
+    return { success: true, newId: outfitId, uuid };
+};
+
+/**
+ * Changes an outfit; a new imageFile replaces its photo and removeImage deletes it.
+ */
+export const updateOutfit = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for update.");
+    const existing = await _getRow(settings, 'outfits', 'outfit_id', outfitId);
+    if (!existing) return { success: false, message: 'Outfit not found' };
+    const { item_uuids: itemUuids, tag_ids: tagIds, ...changes } = normalizeOutfitUpdate(inputData);
+
+    const imageFile = inputData.imageFile instanceof File ? inputData.imageFile : null;
+    const replacesImage = Boolean(imageFile || inputData.removeImage);
+    let imageUuid = replacesImage ? null : existing.image_uuid;
+    if (imageFile) {
+        const base64Data = await readFileAsBase64(imageFile);
+        ({ imageUuid } = await _insertImage(settings, base64Data, imageFile.type, imageFile.name, inputData.image_uuid));
+    }
+
+    const res = await fetch(`${baseUrl}/outfits?outfit_id=eq.${outfitId}`, {
+        method: 'PATCH',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify({ ...changes, image_uuid: imageUuid }),
+    });
+    await handleResponse(res, 'update', `outfit ID ${outfitId}`);
+    if (replacesImage && existing.image_uuid) await _deleteImageByUuid(settings, existing.image_uuid);
+    if (itemUuids !== undefined) await _setOutfitItems(settings, existing.uuid, itemUuids);
+    if (tagIds !== undefined) await _setOutfitTags(settings, existing.uuid, tagIds);
+    return { success: true };
+};
+
+/**
+ * Deletes an outfit with its photo; its links and wear events cascade with it, its items stay.
+ */
+export const deleteOutfit = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const outfitId = inputData?.outfit_id;
+    if (!outfitId) throw new Error("Outfit ID is required for deletion.");
+    const existing = await _getRow(settings, 'outfits', 'outfit_id', outfitId, 'uuid,image_uuid');
+    if (!existing) return { success: false, message: 'Outfit not found' };
+
+    const res = await fetch(`${baseUrl}/outfits?outfit_id=eq.${outfitId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `outfit ID ${outfitId}`);
+    if (existing.image_uuid) await _deleteImageByUuid(settings, existing.image_uuid);
+    return { success: true };
+};
+
+/**
+ * Records that an outfit was worn, today unless the input names another day.
+ */
+export const addOutfitWearEvent = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const wearEvent = normalizeOutfitWearEvent(data);
+
+    const res = await fetch(`${baseUrl}/outfit_wear_events`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify(wearEvent),
+    });
+    const result = await handleResponse(res, 'add', 'outfit wear event');
+    if (!result.data || result.data.length === 0 || !result.data[0].outfit_wear_id) {
+        console.error(`[${PROVIDER_NAME}]: Could not find outfit_wear_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve outfit_wear_id after insert.");
+    }
+    return { success: true, newId: result.data[0].outfit_wear_id, uuid: result.data[0].uuid };
+};
+
+/**
+ * Lists outfit wear events, most recently worn first, optionally only those of one outfit.
+ */
+export const listOutfitWearEvents = async (settings, query = {}) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams();
+    if (query.outfit_uuid) params.set('outfit_uuid', `eq.${query.outfit_uuid}`);
+    params.set('order', 'worn_on.desc,outfit_wear_id.desc');
+    const res = await fetch(`${baseUrl}/outfit_wear_events?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'outfit wear events');
+    return normalizeOutfitWearEvents(result.data || []);
+};
+
+/**
+ * Deletes an outfit wear event, e.g. one recorded by mistake.
+ */
+export const deleteOutfitWearEvent = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const outfitWearId = inputData?.outfit_wear_id;
+    if (!outfitWearId) throw new Error("Outfit wear event ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/outfit_wear_events?outfit_wear_id=eq.${outfitWearId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `outfit wear event ID ${outfitWearId}`);
+    return { success: true };
+};
+
+// --- Packing Lists ---
+// The entries of a packing list are packing_list_items rows, which refer to the list by UUID and
+// are deleted with it through ON DELETE CASCADE.
+
+const PACKING_LIST_SELECT = '*,packing_list_items(item_uuid,position,packed,returned)';
+
+/**
+ * Internal: Makes the list's entries exactly the given ones, in that order.
+ */
+const _setPackingListEntries = async (settings, packingListUuid, entries) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    // Like the items of an outfit, the rows are replaced rather than patched one by one
+    const deleteRes = await fetch(`${baseUrl}/packing_list_items?packing_list_uuid=eq.${packingListUuid}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(deleteRes, 'delete', `items of packing list ${packingListUuid}`);
+    if (entries.length === 0) return;
+    const res = await fetch(`${baseUrl}/packing_list_items`, {
+        method: 'POST',
+        headers: defaultHeaders(settings, false),
+        body: JSON.stringify(entries.map((entry, position) => ({ packing_list_uuid: packingListUuid, ...entry, position }))),
+    });
+    await handleResponse(res, 'insert', `items of packing list ${packingListUuid}`);
+};
+
+/**
+ * Lists the trips with the latest start first, then the templates by name.
+ */
+export const listPackingLists = async (settings) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+
+    const params = new URLSearchParams({ select: PACKING_LIST_SELECT, order: 'packing_list_id.asc' });
+    const res = await fetch(`${baseUrl}/packing_lists?${params.toString()}`, { method: 'GET', headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'list', 'packing lists');
+    return normalizePackingLists(result.data || []);
+};
+
+/**
+ * Adds a packing list or template with its entries.
+ */
+export const addPackingList = async (settings, data) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const { entries, ...packingList } = normalizePackingList(data);
+
+    const res = await fetch(`${baseUrl}/packing_lists`, {
+        method: 'POST',
+        headers: defaultHeaders(settings),
+        body: JSON.stringify({ ...packingList, updated_at: data.updated_at || null }),
+    });
+    const result = await handleResponse(res, 'add', 'packing list');
+    if (!result.data || result.data.length === 0 || !result.data[0].packing_list_id || !result.data[0].uuid) {
+        console.error(`[${PROVIDER_NAME}]: Could not find packing_list_id in PostgREST response:`, result.data);
+        throw new Error("Failed to retrieve packing_list_id after insert.");
+    }
+    const { packing_list_id: packingListId, uuid } = result.data[0];
+    await _setPackingListEntries(settings, uuid, entries);
+    return { success: true, newId: packingListId, uuid };
+};
+
+/**
+ * Changes a packing list; given entries replace the old ones, which is how items are checked off.
+ */
+export const updatePackingList = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for update.");
+    const existing = await _getRow(settings, 'packing_lists', 'packing_list_id', packingListId);
+    if (!existing) return { success: false, message: 'Packing list not found' };
+    const { entries, ...changes } = normalizePackingListUpdate(inputData, existing);
+
+    if (Object.keys(changes).length > 0) {
+        const res = await fetch(`${baseUrl}/packing_lists?packing_list_id=eq.${packingListId}`, {
+            method: 'PATCH',
+            headers: defaultHeaders(settings, false),
+            body: JSON.stringify(changes),
+        });
+        await handleResponse(res, 'update', `packing list ID ${packingListId}`);
+    }
+    if (entries !== undefined) await _setPackingListEntries(settings, existing.uuid, entries);
+    return { success: true };
+};
+
+/**
+ * Deletes a packing list; its entries cascade with it, its items stay.
+ */
+export const deletePackingList = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const packingListId = inputData?.packing_list_id;
+    if (!packingListId) throw new Error("Packing list ID is required for deletion.");
+
+    const res = await fetch(`${baseUrl}/packing_lists?packing_list_id=eq.${packingListId}`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+    await handleResponse(res, 'delete', `packing list ID ${packingListId}`);
+    return { success: true };
+};
+
 // New internal helper to get image by UUID
 const _getImageByUuid = async (settings, imageUuid) => {
     const baseUrl = settings?.postgrestApiUrl;
@@ -632,6 +1884,14 @@ export const getImage = async (settings, inputData) => {
     const { image_uuid: imageUuid } = inputData;
     if (!imageUuid) return null;
     try {
+        const variant = normalizeImageVariant(inputData.variant);
+        if (variant) {
+            const variantDetails = await _getImageVariantByUuid(settings, imageUuid, variant);
+            if (variantDetails) {
+                return new File([variantDetails.blob], variantDetails.filename, { type: variantDetails.blob.type });
+            }
+            // No variant stored (yet), fall back to the full-size image
+        }
         const imageDetails = await _getImageByUuid(settings, imageUuid);
         if (imageDetails && imageDetails.blob) {
             return new File([imageDetails.blob], imageDetails.filename, { type: imageDetails.blob.type });
@@ -643,62 +1903,277 @@ export const getImage = async (settings, inputData) => {
     }
 };
 
+/**
+ * Stores a variant (e.g. a thumbnail) of an existing image, replacing any previous one.
+ */
+export const saveImageVariant = async (settings, inputData) => {
+    const { image_uuid: imageUuid, imageFile } = inputData;
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const variant = normalizeImageVariant(inputData.variant);
+    if (!imageUuid || !variant) throw new Error("Image UUID and variant are required to save an image variant.");
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to save an image variant.");
+
+    const res = await fetch(`${baseUrl}/images?uuid=eq.${imageUuid}&select=image_id`, { headers: defaultHeaders(settings, false) });
+    const result = await handleResponse(res, 'fetch', `image UUID ${imageUuid}`);
+    const imageId = result.data?.[0]?.image_id;
+    if (!imageId) return { success: false, message: 'Image not found' };
+    await _saveImageVariant(settings, imageId, imageUuid, variant, imageFile);
+    return { success: true };
+};
+
+/**
+ * Lists the UUIDs of images that have no stored variant of the given kind.
+ */
+export const listImagesMissingVariant = async (settings, inputData) => {
+    const baseUrl = settings?.postgrestApiUrl;
+    if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const variant = normalizeImageVariant(inputData?.variant);
+    if (!variant) throw new Error("Variant is required to list images missing it.");
+
+    const [imagesRes, variantsRes] = await Promise.all([
+        fetch(`${baseUrl}/images?select=uuid&order=image_id.asc`, { headers: defaultHeaders(settings, false) }),
+        fetch(`${baseUrl}/image_variants?variant=eq.${variant}&select=image_uuid`, { headers: defaultHeaders(settings, false) }),
+    ]);
+    const images = (await handleResponse(imagesRes, 'list', 'images')).data || [];
+    const variants = (await handleResponse(variantsRes, 'list', `${variant} image variants`)).data || [];
+    const withVariant = new Set(variants.map(row => row.image_uuid));
+    return images.map(row => row.uuid).filter(uuid => !withVariant.has(uuid));
+};
+
+/**
+ * Lists an item's images in display order.
+ */
+export const listItemImages = async (settings, inputData) => {
+    const { item_id: itemId } = inputData;
+    if (!itemId) throw new Error("Item ID is required to list item images.");
+    return normalizeItemImageRows(await _listItemImageRows(settings, itemId));
+};
+
+/**
+ * Appends an image to an item. It becomes primary if requested or if the item has no images yet.
+ */
+export const addItemImage = async (settings, inputData) => {
+    const { item_id: itemId, imageFile, thumbnailFile, image_uuid: imageUuid, is_primary: isPrimary } = inputData;
+    if (!itemId) throw new Error("Item ID is required to add an item image.");
+    if (!(imageFile instanceof File)) throw new Error("An image file is required to add an item image.");
+
+    let imageResult;
+    try {
+        imageResult = await _appendItemImage(settings, itemId, imageFile, imageUuid, !!isPrimary, thumbnailFile);
+    } catch (error) {
+        console.error(`[${PROVIDER_NAME}]: Failed to process or insert item image:`, error);
+        throw new Error(`Failed to handle image upload: ${error.message}`);
+    }
+    if (imageResult.isPrimary) {
+        await _setItemPrimaryImage(settings, itemId, { image_id: imageResult.imageId, image_uuid: imageResult.imageUuid });
+    }
+    return { success: true, image_uuid: imageResult.imageUuid };
+};
+
+/**
+ * Removes one of an item's images. Removing the primary image promotes the next one in order.
+ */
+export const removeItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    if (!itemId) throw new Error("Item ID is required to remove an item image.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    const removedRow = rows.find(row => row.image_uuid === imageUuid);
+    if (!removedRow) return { success: false, message: 'Image not found' };
+
+    const remainingRows = normalizeItemImageRows(rows.filter(row => row !== removedRow));
+    await _applyItemImageRows(settings, itemId, rows, remainingRows);
+    await _deleteImage(settings, removedRow.image_id); // Also removes its item_images row
+    return { success: true, image_uuid: remainingRows.find(row => row.is_primary)?.image_uuid ?? null };
+};
+
+/**
+ * Reorders an item's images to follow the given image UUIDs.
+ */
+export const reorderItemImages = async (settings, inputData) => {
+    const { item_id: itemId, image_uuids: imageUuids } = inputData;
+    if (!itemId) throw new Error("Item ID is required to reorder item images.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    await _applyItemImageRows(settings, itemId, rows, applyItemImageOrder(rows, imageUuids || []));
+    return { success: true };
+};
+
+/**
+ * Marks one of an item's images as primary and mirrors it into the item row.
+ */
+export const setPrimaryItemImage = async (settings, inputData) => {
+    const { item_id: itemId, image_uuid: imageUuid } = inputData;
+    if (!itemId) throw new Error("Item ID is required to set the primary image.");
+
+    const rows = await _listItemImageRows(settings, itemId);
+    if (!rows.some(row => row.image_uuid === imageUuid)) return { success: false, message: 'Image not found' };
+    const updatedRows = normalizeItemImageRows(rows.map(row => ({ ...row, is_primary: row.image_uuid === imageUuid })));
+    await _applyItemImageRows(settings, itemId, rows, updatedRows);
+    return { success: true };
+};
+
 // --- Export/Import ---
 
-export const exportData = async (settings) => {
-    const zip = new JSZip();
+export const exportData = async (settings, options = {}) => {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
+    const { signal, onProgress } = options;
+    // Entries are written as they are made; options.sink receives them, or they become a Blob
+    const zip = createZipWriter(options.sink || createBlobSink(), { signal });
+    const reportProgress = (entity, done, total) => onProgress?.({ entity, done, total });
 
     try {
-        // 1. Fetch all data using list functions
+        // 1. Fetch all data using list functions. A database on an older schema, e.g. one
+        // backed up before its schema migration, has none of the tables added after its version.
+        const dbVersion = await getDbVersion(settings);
+        const listIfInSchema = (table, list) => (schemaHas(dbVersion, table) ? list(settings) : []);
         const locations = await listLocations(settings);
         const categories = await listCategories(settings);
         const owners = await listOwners(settings);
-        const itemsMetadata = await listItems(settings);
-
-        // Fetch all image metadata separately for images.csv
-        const imagesMetaUrl = `${baseUrl}/images?select=image_id,uuid,image_mimetype,image_filename,created_at&order=image_id`;
-        const imagesMetaRes = await fetch(imagesMetaUrl, { headers: defaultHeaders(settings, false) });
-        const imagesMetaResult = await handleResponse(imagesMetaRes, 'list image metadata for export', 'images');
-        const allImagesMeta = imagesMetaResult.data || [];
+        const tags = await listIfInSchema('tags', listTags);
+        const customFields = await listIfInSchema('custom_fields', listCustomFields);
+        const history = await listIfInSchema('history', listHistory);
+        const itemsMetadata = await _listItemsForExport(settings, dbVersion, options.includeTrash);
+        // Only the wear events of exported items, so that every one of them finds its item on import
+        const exportedItemUuids = new Set(itemsMetadata.map(item => item.uuid));
+        const wearEvents = (await listIfInSchema('wear_events', listWearEvents)).filter(wearEvent => exportedItemUuids.has(wearEvent.item_uuid));
+        const loans = (await listIfInSchema('loans', listLoans)).filter(loan => exportedItemUuids.has(loan.item_uuid));
+        const outfits = await listIfInSchema('outfits', listOutfits);
+        const outfitWearEvents = await listIfInSchema('outfit_wear_events', listOutfitWearEvents);
+        const packingLists = await listIfInSchema('packing_lists', listPackingLists);
 
         // 2. Create CSVs
         console.log(`[${PROVIDER_NAME}]: Starting export... Fetched all data.`);
-        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('locations.csv', createCSV(locationHeaders, locations));
+        const locationHeaders = ['location_id', 'uuid', 'name', 'description', 'parent_location_id', 'created_at', 'updated_at'];
+        await zip.file('locations.csv', createCSV(locationHeaders, locations));
+        reportProgress('locations', locations.length, locations.length);
 
-        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        const categoryHeaders = ['category_id', 'uuid', 'name', 'description', 'parent_category_id', 'created_at', 'updated_at'];
+        await zip.file('categories.csv', createCSV(categoryHeaders, categories));
+        reportProgress('categories', categories.length, categories.length);
 
         const ownerHeaders = ['owner_id', 'uuid', 'name', 'description', 'created_at', 'updated_at'];
-        zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        await zip.file('owners.csv', createCSV(ownerHeaders, owners));
+        reportProgress('owners', owners.length, owners.length);
+
+        const tagHeaders = ['tag_id', 'uuid', 'name', 'created_at', 'updated_at'];
+        await zip.file('tags.csv', createCSV(tagHeaders, tags));
+        reportProgress('tags', tags.length, tags.length);
 
-        const imageHeaders = ['image_id', 'uuid', 'image_mimetype', 'image_filename', 'created_at'];
-        zip.file('images.csv', createCSV(imageHeaders, allImagesMeta));
+        const itemTagHeaders = ['item_id', 'tag_id'];
+        const itemTagsForCsv = itemsMetadata.flatMap(item => item.tag_ids.map(tagId => ({ item_id: item.item_id, tag_id: tagId })));
+        await zip.file('item_tags.csv', createCSV(itemTagHeaders, itemTagsForCsv));
 
-        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'created_at', 'updated_at'];
+        const customFieldHeaders = ['field_id', 'uuid', 'category_id', 'name', 'field_type', 'options', 'position', 'created_at', 'updated_at'];
+        const customFieldsForCsv = customFields.map(field => ({ ...field, options: field.options ? JSON.stringify(field.options) : '' }));
+        await zip.file('custom_fields.csv', createCSV(customFieldHeaders, customFieldsForCsv));
+        reportProgress('customFields', customFields.length, customFields.length);
+
+        const itemFieldValueHeaders = ['item_id', 'field_id', 'value'];
+        const itemFieldValuesForCsv = itemsMetadata.flatMap(item => Object.entries(item.field_values).map(([fieldId, value]) => ({ item_id: item.item_id, field_id: fieldId, value })));
+        await zip.file('item_field_values.csv', createCSV(itemFieldValueHeaders, itemFieldValuesForCsv));
+
+        // images.csv lists every image of every item; items.csv keeps pointing at the primary one
+        const imageHeaders = ['image_id', 'uuid', 'item_id', 'position', 'is_primary', 'image_mimetype', 'image_filename', 'image_zip_filename', 'created_at'];
+        const imagesForCsv = [];
+
+        const itemHeaders = ['item_id', 'uuid', 'name', 'description', 'location_id', 'category_id', 'price', 'owner_id', 'image_id', 'image_uuid', 'image_zip_filename', 'image_original_filename', 'deleted_at', 'status', 'created_at', 'updated_at'];
         const itemsForCsv = [];
         const imagesFolder = zip.folder('images');
 
-        for (const item of itemsMetadata) { // Iterate over metadata
+        for (const [index, item] of itemsMetadata.entries()) { // Iterate over metadata
+            signal?.throwIfAborted();
             const itemCsvRow = { ...item };
             itemCsvRow.image_zip_filename = '';
             itemCsvRow.image_original_filename = '';
 
-            if (item.image_uuid) { // Check if there's an associated image UUID
-                const imageFile = await getImage(settings, { image_uuid: item.image_uuid }); // Fetch the image File object
-                if (imageFile instanceof File) {
-                    const fileExtension = imageFile.name.split('.').pop() || 'bin';
-                    const zipFilename = `${item.item_id}.${fileExtension}`;
+            const itemImages = schemaHas(dbVersion, 'item_images')
+                ? await listItemImages(settings, { item_id: item.item_id })
+                : legacyItemImages(item);
+            for (const itemImage of itemImages) {
+                const imageFile = await getImage(settings, { image_uuid: itemImage.image_uuid }); // Fetch the image File object
+                if (!(imageFile instanceof File)) continue;
+                const zipFilename = itemImageZipFilename(item.item_id, itemImage.position, imageFile);
+                await imagesFolder.file(zipFilename, imageFile);
+                imagesForCsv.push({
+                    image_id: itemImage.image_id,
+                    uuid: itemImage.image_uuid,
+                    item_id: item.item_id,
+                    position: itemImage.position,
+                    is_primary: itemImage.is_primary,
+                    image_mimetype: imageFile.type,
+                    image_filename: imageFile.name,
+                    image_zip_filename: zipFilename,
+                    created_at: itemImage.created_at
+                });
+                if (itemImage.image_uuid === item.image_uuid) {
                     itemCsvRow.image_zip_filename = zipFilename;
                     itemCsvRow.image_original_filename = imageFile.name;
-                    imagesFolder.file(zipFilename, imageFile);
                 }
             }
             itemsForCsv.push(itemCsvRow);
+            reportProgress('items', index + 1, itemsMetadata.length);
         }
-        zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
+        await zip.file('items.csv', createCSV(itemHeaders, itemsForCsv));
+        await zip.file('images.csv', createCSV(imageHeaders, imagesForCsv));
+
+        const historyHeaders = ['history_id', 'entity_type', 'entity_uuid', 'action', 'changes', 'actor', 'created_at'];
+        const historyForCsv = history.map(entry => ({ ...entry, changes: JSON.stringify(entry.changes) }));
+        await zip.file('history.csv', createCSV(historyHeaders, historyForCsv));
+        reportProgress('history', history.length, history.length);
+
+        const wearEventHeaders = ['wear_id', 'uuid', 'item_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('wear_events.csv', createCSV(wearEventHeaders, wearEvents));
+        reportProgress('wearEvents', wearEvents.length, wearEvents.length);
+
+        const loanHeaders = ['loan_id', 'uuid', 'item_uuid', 'borrower_owner_uuid', 'borrower_name', 'lent_on', 'due_on', 'returned_on', 'note', 'created_at', 'updated_at'];
+        await zip.file('loans.csv', createCSV(loanHeaders, loans));
+        reportProgress('loans', loans.length, loans.length);
+
+        // Outfit photos go into images/ next to those of the items
+        const outfitHeaders = ['outfit_id', 'uuid', 'name', 'description', 'image_uuid', 'image_zip_filename', 'image_filename', 'image_mimetype', 'created_at', 'updated_at'];
+        const outfitsForCsv = [];
+        for (const outfit of outfits) {
+            signal?.throwIfAborted();
+            const outfitCsvRow = { ...outfit, image_zip_filename: '', image_filename: '', image_mimetype: '' };
+            const imageFile = outfit.image_uuid ? await getImage(settings, { image_uuid: outfit.image_uuid }) : null;
+            if (imageFile instanceof File) {
+                outfitCsvRow.image_zip_filename = outfitImageZipFilename(outfit.outfit_id, imageFile);
+                outfitCsvRow.image_filename = imageFile.name;
+                outfitCsvRow.image_mimetype = imageFile.type;
+                await imagesFolder.file(outfitCsvRow.image_zip_filename, imageFile);
+            }
+            outfitsForCsv.push(outfitCsvRow);
+        }
+        await zip.file('outfits.csv', createCSV(outfitHeaders, outfitsForCsv));
+
+        // Only the exported items of an outfit, so that every one of them is found on import
+        const outfitItemHeaders = ['outfit_uuid', 'item_uuid', 'position'];
+        const outfitItemsForCsv = outfits.flatMap(outfit => outfit.item_uuids
+            .filter(itemUuid => exportedItemUuids.has(itemUuid))
+            .map((itemUuid, position) => ({ outfit_uuid: outfit.uuid, item_uuid: itemUuid, position })));
+        await zip.file('outfit_items.csv', createCSV(outfitItemHeaders, outfitItemsForCsv));
+
+        const outfitTagHeaders = ['outfit_uuid', 'tag_id'];
+        const outfitTagsForCsv = outfits.flatMap(outfit => outfit.tag_ids.map(tagId => ({ outfit_uuid: outfit.uuid, tag_id: tagId })));
+        await zip.file('outfit_tags.csv', createCSV(outfitTagHeaders, outfitTagsForCsv));
+        reportProgress('outfits', outfits.length, outfits.length);
+
+        const outfitWearEventHeaders = ['outfit_wear_id', 'uuid', 'outfit_uuid', 'worn_on', 'note', 'created_at'];
+        await zip.file('outfit_wear_events.csv', createCSV(outfitWearEventHeaders, outfitWearEvents));
+        reportProgress('outfitWearEvents', outfitWearEvents.length, outfitWearEvents.length);
+
+        const packingListHeaders = ['packing_list_id', 'uuid', 'name', 'note', 'starts_on', 'ends_on', 'is_template', 'created_at', 'updated_at'];
+        await zip.file('packing_lists.csv', createCSV(packingListHeaders, packingLists));
+        // Only the exported items of a list, so that every one of them is found on import
+        const packingListItemHeaders = ['packing_list_uuid', 'item_uuid', 'position', 'packed', 'returned'];
+        const packingListItemsForCsv = packingLists.flatMap(packingList => packingList.entries
+            .filter(entry => exportedItemUuids.has(entry.item_uuid))
+            .map((entry, position) => ({ packing_list_uuid: packingList.uuid, ...entry, position })));
+        await zip.file('packing_list_items.csv', createCSV(packingListItemHeaders, packingListItemsForCsv));
+        reportProgress('packingLists', packingLists.length, packingLists.length);
 
         // 3. Create Manifest
         const manifest = {
@@ -706,14 +2181,17 @@ export const exportData = async (settings) => {
             exportedAt: new Date().toISOString(),
             sourceProvider: "postgrest" // Identify source
         };
-        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        await zip.file('manifest.json', JSON.stringify(manifest, null, 2));
 
-        // 4. Generate ZIP
-        const blob = await zip.generateAsync({ type: "blob" });
+        // 4. Finish the ZIP: the Blob, or null when it went to options.sink
+        const blob = await zip.close();
         console.log(`[${PROVIDER_NAME}]: Export generated successfully.`);
         return blob;
 
     } catch (error) {
+        await zip.abort();
+        if (error.name === 'AbortError') throw error; // Cancelled through options.signal
+        if (error.errorCode === ZIP_TOO_LARGE) throw error; // Explained by the settings page
         console.error(`[${PROVIDER_NAME}]: Error during PostgREST export:`, error);
         throw new Error(`Export failed: ${error.message}`);
     }
@@ -722,7 +2200,7 @@ export const exportData = async (settings) => {
 /*
 // --- importData v1: your existing code, but taking a pre-loaded JSZip ---
 */
-async function importDataV1(settings, loadedZip) {
+async function importDataV1(settings, loadedZip, options = {}) {
     const baseUrl = settings?.postgrestApiUrl;
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
 
@@ -732,51 +2210,64 @@ async function importDataV1(settings, loadedZip) {
             throw new Error("Import file is missing required CSV or manifest files.");
         }
 
-        // --- Clear existing data ---
-        console.log(`[${PROVIDER_NAME}]: Clearing existing PostgREST data (Items first)...`);
-        await destroyData(settings); // Use destroyData for thorough cleaning
-        console.log(`[${PROVIDER_NAME}]: Existing data cleared.`);
+        const progress = createImportProgress(options.checkpoint, options.onCheckpoint);
+
+        // --- Clear existing data (done already when resuming) ---
+        if (!progress.cleared) {
+            console.log(`[${PROVIDER_NAME}]: Clearing existing PostgREST data (Items first)...`);
+            await destroyData(settings); // Use destroyData for thorough cleaning
+            await progress.markCleared();
+            console.log(`[${PROVIDER_NAME}]: Existing data cleared.`);
+        }
 
         // --- Parse and Import ---
-        const locationMap = {}; // exported_id -> new_postgrest_id
-        const categoryMap = {};
-        const ownerMap = {};
+        // exported_id -> new_postgrest_id; rows already in a map were imported before resuming
+        const locationMap = progress.idMap('locations');
+        const categoryMap = progress.idMap('categories');
+        const ownerMap = progress.idMap('owners');
+        const tagMap = progress.idMap('tags');
         const imageMap = {}; // exported_image_id -> { newId: new_postgrest_id, uuid: image_uuid }
 
         // Import Locations
         const locations = parseCSV(await loadedZip.file('locations.csv').async('string'));
-        for (const loc of locations) {
+        // Parents are imported before the locations inside them, so their new IDs are known
+        for (const { row: loc } of flattenTree(locations, 'location_id', 'parent_location_id')) {
             const { location_id: exportedId, ...locData } = loc;
+            if (exportedId in locationMap) continue;
             // Preserve timestamps if they exist in the CSV
             // Pass UUID from CSV
             const payload = {
                 uuid: locData.uuid,
                 name: locData.name,
                 description: locData.description,
+                parent_location_id: locationMap[locData.parent_location_id] ?? null,
                 created_at: locData.created_at || undefined, // Let PG handle if null/missing
                 updated_at: locData.updated_at || null, // Set explicitly null or use value
             };
             // Remove undefined keys
             Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
             const result = await addLocation(settings, payload); // addLocation handles POST and gets new ID
-            if (result.success) locationMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('locations', exportedId, result.newId);
             else throw new Error(`Failed to import location: ${loc.name}`);
         }
 
         // Import Categories
         const categories = parseCSV(await loadedZip.file('categories.csv').async('string'));
-        for (const cat of categories) {
+        // Parent categories are imported before their subcategories, so their new IDs are known
+        for (const { row: cat } of flattenTree(categories, 'category_id', 'parent_category_id')) {
             const { category_id: exportedId, ...catData } = cat;
+            if (exportedId in categoryMap) continue;
             const payload = {
                 uuid: catData.uuid, // Pass UUID
                 name: catData.name,
                 description: catData.description,
+                parent_category_id: categoryMap[catData.parent_category_id] ?? null,
                 created_at: catData.created_at || undefined,
                 updated_at: catData.updated_at || null,
             };
             Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
             const result = await addCategory(settings, payload);
-            if (result.success) categoryMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('categories', exportedId, result.newId);
             else throw new Error(`Failed to import category: ${cat.name}`);
         }
 
@@ -784,6 +2275,7 @@ async function importDataV1(settings, loadedZip) {
         const owners = parseCSV(await loadedZip.file('owners.csv').async('string'));
         for (const owner of owners) {
             const { owner_id: exportedId, ...ownerData } = owner;
+            if (exportedId in ownerMap) continue;
             const payload = {
                 uuid: ownerData.uuid, // Pass UUID
                 name: ownerData.name,
@@ -793,19 +2285,81 @@ async function importDataV1(settings, loadedZip) {
             };
             Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
             const result = await addOwner(settings, payload);
-            if (result.success) ownerMap[exportedId] = result.newId;
+            if (result.success) await progress.recordId('owners', exportedId, result.newId);
             else throw new Error(`Failed to import owner: ${owner.name}`);
         }
 
+        // Import Tags (exports before format 6.0 have none)
+        const tags = loadedZip.file('tags.csv') ? parseCSV(await loadedZip.file('tags.csv').async('string')) : [];
+        for (const tag of tags) {
+            const { tag_id: exportedId, ...tagData } = tag;
+            if (exportedId in tagMap) continue;
+            const payload = {
+                uuid: tagData.uuid,
+                name: tagData.name,
+                created_at: tagData.created_at || undefined,
+            };
+            Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+            const result = await addTag(settings, payload);
+            if (result.success) await progress.recordId('tags', exportedId, result.newId);
+            else throw new Error(`Failed to import tag: ${tag.name}`);
+        }
+        const itemTagRows = loadedZip.file('item_tags.csv') ? parseCSV(await loadedZip.file('item_tags.csv').async('string')) : [];
+        const tagIdsByItem = groupItemTagRows(itemTagRows);
+
+        // Import Custom Fields (exports before format 7.0 have none)
+        const fieldMap = progress.idMap('custom_fields');
+        const customFields = loadedZip.file('custom_fields.csv') ? parseCSV(await loadedZip.file('custom_fields.csv').async('string')) : [];
+        for (const field of customFields) {
+            const { field_id: exportedId, ...fieldData } = field;
+            if (exportedId in fieldMap) continue;
+            const result = await addCustomField(settings, {
+                uuid: fieldData.uuid,
+                category_id: categoryMap[fieldData.category_id], // Map to new ID
+                name: fieldData.name,
+                field_type: fieldData.field_type,
+                options: fieldData.options,
+                position: fieldData.position,
+                created_at: fieldData.created_at || undefined,
+            });
+            if (result.success) await progress.recordId('custom_fields', exportedId, result.newId);
+            else throw new Error(`Failed to import custom field: ${field.name}`);
+        }
+        const itemFieldValueRows = loadedZip.file('item_field_values.csv') ? parseCSV(await loadedZip.file('item_field_values.csv').async('string')) : [];
+        const fieldValuesByItem = groupItemFieldValueRows(itemFieldValueRows);
+
         // Correction: Process images within the item loop using addItem's logic
 
+        // Exports since format 4.0 list every image of an item in images.csv
+        const imageRowsByItem = groupItemImageRows(parseCSV(await loadedZip.file('images.csv').async('string')));
+
         // Import Items
         const items = parseCSV(await loadedZip.file('items.csv').async('string'));
+        const skippedItemUuids = new Set(); // Their wear events and loans are skipped with them, like those of unknown items
         for (const item of items) {
             const { item_id: exportedItemId, uuid: itemUuid, image_id: exportedImageId, image_uuid: imageUuidFromCsv, image_zip_filename, image_original_filename, location_id, category_id, owner_id, ...itemMetadata } = item;
+            if (progress.isItemDone(exportedItemId)) continue;
+            // An earlier run stopped while importing this item, which may be there without all its images
+            if (progress.wasItemStarted(exportedItemId) && itemUuid) {
+                const partialItem = await getItemByUuid(settings, { uuid: itemUuid });
+                if (partialItem) await _purgeItem(settings, partialItem.item_id);
+            }
             let imageFile = null;
+            let imageUuid = imageUuidFromCsv;
+            const itemImages = []; // { uuid, isPrimary, file } in display order
 
-            if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
+            if (imageRowsByItem.has(exportedItemId)) {
+                for (const row of imageRowsByItem.get(exportedItemId)) {
+                    const file = await loadZipImageFile(loadedZip, row.image_zip_filename, row.image_filename, row.image_mimetype);
+                    if (file) itemImages.push({ uuid: row.uuid || undefined, isPrimary: row.is_primary, file });
+                }
+                // The primary image is added with the item, the others are appended afterwards
+                const primaryImage = itemImages.find(image => image.isPrimary) || itemImages[0];
+                if (primaryImage) {
+                    imageFile = primaryImage.file;
+                    imageUuid = primaryImage.uuid;
+                }
+            } else if (image_zip_filename && loadedZip.file(`images/${image_zip_filename}`)) {
                 try {
                     const imageBlob = await loadedZip.file(`images/${image_zip_filename}`).async('blob');
                     const originalFilename = image_original_filename || image_zip_filename;
@@ -832,8 +2386,14 @@ async function importDataV1(settings, loadedZip) {
                     ? parseFloat(itemMetadata.price)
                     : null,
                 owner_id: ownerMap[owner_id], // Map to new ID
-                image_uuid: imageFile ? imageUuidFromCsv : undefined, // <<< ADD THIS LINE: Pass image UUID from CSV if there's an image
+                tag_ids: (tagIdsByItem.get(parseInt(exportedItemId, 10)) || []).map(tagId => tagMap[tagId]).filter(Boolean),
+                field_values: Object.fromEntries(Object.entries(fieldValuesByItem.get(parseInt(exportedItemId, 10)) || {})
+                    .filter(([fieldId]) => fieldMap[fieldId])
+                    .map(([fieldId, value]) => [fieldMap[fieldId], value])),
+                image_uuid: imageFile ? imageUuid : undefined, // Pass image UUID from CSV if there's an image
                 imageFile: imageFile,               // Pass the File object (addItem will handle base64 conversion)
+                deleted_at: itemMetadata.deleted_at || null, // Exports before format 10.0 have no trash
+                status: normalizeItemStatus(itemMetadata.status) ?? null, // Exports before format 13.0 have no status
                 created_at: itemMetadata.created_at || undefined, // Preserve timestamp or let PG handle
                 updated_at: itemMetadata.updated_at || null   // Preserve timestamp or set null
             };
@@ -841,6 +2401,7 @@ async function importDataV1(settings, loadedZip) {
             // Ensure mapped IDs are valid before adding
             if (!newItemData.location_id || !newItemData.category_id || !newItemData.owner_id) {
                  console.warn(`[${PROVIDER_NAME}]: Skipping item "${item.name}" due to missing mapped ID (Location: ${location_id}=>${newItemData.location_id}, Category: ${category_id}=>${newItemData.category_id}, Owner: ${owner_id}=>${newItemData.owner_id})`);
+                 skippedItemUuids.add(itemUuid);
                  continue; // Skip this item if any mapping failed
             }
 
@@ -848,13 +2409,109 @@ async function importDataV1(settings, loadedZip) {
             Object.keys(newItemData).forEach(key => newItemData[key] === undefined && delete newItemData[key]);
 
             // Use addItem, which now handles UUIDs and image insertion correctly
+            await progress.startItem(exportedItemId);
             const res = await addItem(settings, newItemData);
             // Note: addItem returns { success: true, status: ... }, handleResponse is not needed here
             // We might need a more robust check if addItem's return value changes
             if (!res.success) {
                  throw new Error(`Failed to import item "${item.name}" with status ${res.status}`);
             }
+            if (itemImages.length > 1 && res.newId) {
+                for (const image of itemImages) {
+                    if (image.file === imageFile) {
+                        image.uuid = res.image_uuid;
+                        continue;
+                    }
+                    const imageRes = await addItemImage(settings, { item_id: res.newId, imageFile: image.file, image_uuid: image.uuid });
+                    image.uuid = imageRes.image_uuid; // PostgreSQL generates UUIDs missing from the CSV
+                }
+                await reorderItemImages(settings, { item_id: res.newId, image_uuids: itemImages.map(image => image.uuid) });
+            }
+            await progress.markItemDone(exportedItemId);
+        }
+        // Importing wrote its own history entries; the exported history replaces them.
+        // Exports before format 11.0 have no history.
+        const historyRows = loadedZip.file('history.csv') ? normalizeHistoryEntries(parseCSV(await loadedZip.file('history.csv').async('string'))) : [];
+        await replaceHistory(settings, { entries: historyRows });
+
+        // Exports before format 12.0 have no wear events. Those of an earlier run that stopped halfway are replaced.
+        const clearWearRes = await fetch(`${baseUrl}/wear_events?wear_id=not.is.null`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+        await handleResponse(clearWearRes, 'clear', 'wear events');
+        const wearEventRows = loadedZip.file('wear_events.csv') ? normalizeWearEvents(parseCSV(await loadedZip.file('wear_events.csv').async('string'))) : [];
+        const importedItemUuids = new Set(items.map(item => item.uuid).filter(itemUuid => !skippedItemUuids.has(itemUuid)));
+        const wearEventsToInsert = wearEventRows.reverse()
+            .filter(wearEvent => importedItemUuids.has(wearEvent.item_uuid))
+            .map(({ wear_id, ...wearEvent }) => wearEvent);
+        if (wearEventsToInsert.length > 0) {
+            const wearRes = await fetch(`${baseUrl}/wear_events`, {
+                method: 'POST',
+                headers: defaultHeaders(settings, false),
+                body: JSON.stringify(wearEventsToInsert),
+            });
+            await handleResponse(wearRes, 'import', 'wear events');
+        }
+
+        // Exports before format 14.0 have no loans. Borrowers that are not among the imported owners keep only their name.
+        const clearLoansRes = await fetch(`${baseUrl}/loans?loan_id=not.is.null`, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+        await handleResponse(clearLoansRes, 'clear', 'loans');
+        const loanRows = loadedZip.file('loans.csv') ? normalizeLoans(parseCSV(await loadedZip.file('loans.csv').async('string'))) : [];
+        const importedOwnerUuids = new Set(owners.map(owner => owner.uuid));
+        const loansToInsert = loanRows.reverse()
+            .filter(loan => importedItemUuids.has(loan.item_uuid))
+            .map(({ loan_id, ...loan }) => ({ ...loan, borrower_owner_uuid: importedOwnerUuids.has(loan.borrower_owner_uuid) ? loan.borrower_owner_uuid : null }));
+        if (loansToInsert.length > 0) {
+            const loansRes = await fetch(`${baseUrl}/loans`, {
+                method: 'POST',
+                headers: defaultHeaders(settings, false),
+                body: JSON.stringify(loansToInsert),
+            });
+            await handleResponse(loansRes, 'import', 'loans');
+        }
+
+        // Exports before format 15.0 have no outfits. Those of an earlier run that stopped halfway are replaced.
+        for (const outfit of await listOutfits(settings)) await deleteOutfit(settings, outfit);
+        const outfits = loadedZip.file('outfits.csv') ? joinOutfitRows(
+            parseCSV(await loadedZip.file('outfits.csv').async('string')),
+            loadedZip.file('outfit_items.csv') ? parseCSV(await loadedZip.file('outfit_items.csv').async('string')) : [],
+            loadedZip.file('outfit_tags.csv') ? parseCSV(await loadedZip.file('outfit_tags.csv').async('string')) : [],
+        ) : [];
+        for (const { outfit_id, wear_count, last_worn_on, image_zip_filename, image_filename, image_mimetype, ...outfit } of outfits) {
+            const imageFile = await loadZipImageFile(loadedZip, image_zip_filename, image_filename, image_mimetype);
+            await addOutfit(settings, {
+                ...outfit,
+                item_uuids: outfit.item_uuids.filter(itemUuid => importedItemUuids.has(itemUuid)),
+                tag_ids: outfit.tag_ids.map(tagId => tagMap[tagId]).filter(Boolean),
+                image_uuid: outfit.image_uuid || undefined,
+                imageFile,
+            });
         }
+        const outfitWearEventRows = loadedZip.file('outfit_wear_events.csv') ? normalizeOutfitWearEvents(parseCSV(await loadedZip.file('outfit_wear_events.csv').async('string'))) : [];
+        const importedOutfitUuids = new Set(outfits.map(outfit => outfit.uuid));
+        const outfitWearEventsToInsert = outfitWearEventRows.reverse()
+            .filter(wearEvent => importedOutfitUuids.has(wearEvent.outfit_uuid))
+            .map(({ outfit_wear_id, ...wearEvent }) => wearEvent);
+        if (outfitWearEventsToInsert.length > 0) {
+            const outfitWearRes = await fetch(`${baseUrl}/outfit_wear_events`, {
+                method: 'POST',
+                headers: defaultHeaders(settings, false),
+                body: JSON.stringify(outfitWearEventsToInsert),
+            });
+            await handleResponse(outfitWearRes, 'import', 'outfit wear events');
+        }
+
+        // Exports before format 16.0 have no packing lists. Those of an earlier run that stopped halfway are replaced.
+        for (const packingList of await listPackingLists(settings)) await deletePackingList(settings, packingList);
+        const packingLists = loadedZip.file('packing_lists.csv') ? joinPackingListRows(
+            parseCSV(await loadedZip.file('packing_lists.csv').async('string')),
+            loadedZip.file('packing_list_items.csv') ? parseCSV(await loadedZip.file('packing_list_items.csv').async('string')) : [],
+        ) : [];
+        for (const { packing_list_id, ...packingList } of packingLists) {
+            await addPackingList(settings, {
+                ...packingList,
+                entries: packingList.entries.filter(entry => importedItemUuids.has(entry.item_uuid)),
+            });
+        }
+
         console.log('PostgRESTProvider: Import completed successfully.');
         return {
             success: true,
@@ -862,19 +2519,25 @@ async function importDataV1(settings, loadedZip) {
                 locations: locations.length,
                 categories: categories.length,
                 owners: owners.length,
+                tags: tags.length,
+                custom_fields: customFields.length,
                 items: items.length
             }
         };
 
     } catch (error) {
         console.error(`[${PROVIDER_NAME}]: Error during PostgREST import:`, error);
-        // PostgREST uses transactions implicitly per request, but full rollback is hard here.
-        return { success: false, errorKey: "api.import.errorDetailInconsistent", errorValues: { detail: error.message } };
+        // PostgREST uses transactions implicitly per request, but full rollback is hard here; a checkpointed import can be resumed.
+        const errorKey = options.onCheckpoint ? "api.import.errorDetailResumable" : "api.import.errorDetailInconsistent";
+        return { success: false, errorKey, errorValues: { detail: error.message } };
     }
 }
 
 // --- importData dispatcher for versioning ---
-export const importData = async (settings, zipFile) => {
+// options.checkpoint and options.onCheckpoint make the import resumable: onCheckpoint receives
+// the progress after every step, and an import given the last one, with the completed items of
+// all of them collected (see createImportProgress), carries on from there.
+export const importData = async (settings, zipFile, options = {}) => {
     const zip = new JSZip();
     const loadedZip = await zip.loadAsync(zipFile);
 
@@ -888,17 +2551,13 @@ export const importData = async (settings, zipFile) => {
         } catch (_) { /* ignore */ }
     }
 
-    switch (version) {
-      case "1.0":
-      case "2.0":
-      case FORMAT_VERSION:
-        return importDataV1(settings, loadedZip);
-      default:
-        return {
-          success: false,
-          error: `Unsupported export format version: ${version}`,
-        };
+    if (IMPORTABLE_FORMAT_VERSIONS.includes(version)) {
+        return importDataV1(settings, loadedZip, options);
     }
+    return {
+        success: false,
+        error: `Unsupported export format version: ${version}`,
+    };
 };
 
 export const destroyData = async (settings) => {
@@ -906,15 +2565,15 @@ export const destroyData = async (settings) => {
     if (!baseUrl) throw new Error("PostgREST API URL is not configured.");
 
     try {
-        // Order: Items (handles images via deleteItem), then Owners, Categories, Locations
+        // Order: Items (handles images via _purgeItem), then Owners, Categories, Locations, Outfits, Packing Lists, Tags
         // (Reverse dependency order)
 
-        // 1. Delete Items (which should trigger image deletion via deleteItem logic)
+        // 1. Delete Items, the trashed ones too (which should trigger image deletion via _purgeItem logic)
         console.log(`[${PROVIDER_NAME}]: Fetching items to delete...`);
-        const itemsMetadataToDelete = await listItems(settings); // Fetches all item metadata
+        const itemsMetadataToDelete = await _listItemsWithTrash(settings); // Fetches all item metadata
         console.log(`[${PROVIDER_NAME}]: Deleting ${itemsMetadataToDelete.length} items...`);
         for (const item of itemsMetadataToDelete) {
-            await deleteItem(settings, { item_id: item.item_id }); // deleteItem handles image deletion
+            await _purgeItem(settings, item.item_id); // _purgeItem handles image deletion
         }
         console.log(`[${PROVIDER_NAME}]: Items cleared.`);
 
@@ -929,8 +2588,8 @@ export const destroyData = async (settings) => {
         }
         if (ownersToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Owners cleared.`);
 
-        // 3. Delete Categories
-        const categoriesToDelete = await listCategories(settings);
+        // 3. Delete Categories, subcategories first (their custom fields cascade with them)
+        const categoriesToDelete = flattenTree(await listCategories(settings), 'category_id', 'parent_category_id').map(({ row }) => row).reverse();
         console.log(`[${PROVIDER_NAME}]: Deleting ${categoriesToDelete.length} categories (if any)...`);
         for (const cat of categoriesToDelete) {
             const deleteUrl = `${baseUrl}/categories?category_id=eq.${cat.category_id}`;
@@ -939,8 +2598,8 @@ export const destroyData = async (settings) => {
         }
         if (categoriesToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Categories cleared.`);
 
-        // 4. Delete Locations
-        const locationsToDelete = await listLocations(settings);
+        // 4. Delete Locations, nested ones before the locations they are inside of
+        const locationsToDelete = flattenTree(await listLocations(settings), 'location_id', 'parent_location_id').map(({ row }) => row).reverse();
         console.log(`[${PROVIDER_NAME}]: Deleting ${locationsToDelete.length} locations (if any)...`);
         for (const loc of locationsToDelete) {
             const deleteUrl = `${baseUrl}/locations?location_id=eq.${loc.location_id}`;
@@ -949,7 +2608,33 @@ export const destroyData = async (settings) => {
         }
         if (locationsToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Locations cleared.`);
 
-        // 5. Verify Images are gone (optional sanity check - they should be gone via item deletion)
+        // 5. Delete Outfits, whose photos are not deleted with any item
+        const outfitsToDelete = await listOutfits(settings);
+        console.log(`[${PROVIDER_NAME}]: Deleting ${outfitsToDelete.length} outfits (if any)...`);
+        for (const outfit of outfitsToDelete) await deleteOutfit(settings, outfit);
+        if (outfitsToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Outfits cleared.`);
+
+        // 6. Delete Packing Lists, which the items above left empty
+        const packingListsToDelete = await listPackingLists(settings);
+        console.log(`[${PROVIDER_NAME}]: Deleting ${packingListsToDelete.length} packing lists (if any)...`);
+        for (const packingList of packingListsToDelete) await deletePackingList(settings, packingList);
+        if (packingListsToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Packing lists cleared.`);
+
+        // 7. Delete Tags (their item_tags rows went with the items)
+        const tagsToDelete = await listTags(settings);
+        console.log(`[${PROVIDER_NAME}]: Deleting ${tagsToDelete.length} tags (if any)...`);
+        for (const tag of tagsToDelete) {
+            const deleteUrl = `${baseUrl}/tags?tag_id=eq.${tag.tag_id}`;
+            const res = await fetch(deleteUrl, { method: 'DELETE', headers: defaultHeaders(settings, false) });
+            if (!res.ok && res.status !== 404) await handleResponse(res, 'delete', `tag ID ${tag.tag_id}`);
+        }
+        if (tagsToDelete.length > 0) console.log(`[${PROVIDER_NAME}]: Tags cleared.`);
+
+        // 8. Clear the history last, as deleting the rest above writes history entries of its own
+        await _clearHistory(settings);
+        console.log(`[${PROVIDER_NAME}]: History cleared.`);
+
+        // 8. Verify Images are gone (optional sanity check - they should be gone via item deletion)
         const remainingImagesRes = await fetch(`${baseUrl}/images?select=image_id&limit=1`, { headers: defaultHeaders(settings, false) });
         if (remainingImagesRes.ok) {
             const remainingImages = await remainingImagesRes.json();
@@ -0,0 +1,65 @@
+import { listItems, deleteLocation } from './postgrestProvider'
+
+const API_URL = 'http://postgrest.test'
+
+describe('PostgREST item queries', () => {
+  let requests
+
+  beforeEach(() => {
+    requests = []
+    vi.stubGlobal('fetch', async (url) => {
+      requests.push(new URL(url).searchParams)
+      return { ok: true, status: 200, headers: new Map([['Content-Range', '*/0']]), json: async () => [] }
+    })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('searches names for the text as it is, wildcards and all', async () => {
+    await listItems({ postgrestApiUrl: API_URL }, { name: '50% *off_' })
+
+    // The regular expression 50% \*off_, quoted for the logic tree
+    const pattern = '"50% \\\\*off_"'
+    expect(requests[0].get('and')).toBe(`(or(name.imatch.${pattern},description.imatch.${pattern}))`)
+  })
+
+  it('sorts names by their case-folded key and missing values first, with item_id breaking ties', async () => {
+    await listItems({ postgrestApiUrl: API_URL }, { sort: 'name_asc' })
+    await listItems({ postgrestApiUrl: API_URL }, { sort: 'price_desc' })
+
+    expect(requests.map(params => params.get('order'))).toEqual(['name_key.asc.nullsfirst,item_id.asc', 'price.desc.nullslast,item_id.desc'])
+  })
+
+  it('quotes custom field values and takes "contains" literally', async () => {
+    const fieldFilters = [
+      { field_id: 1, field_type: 'text', value: 'wool, 50% (merino)*' },
+      { field_id: 2, field_type: 'enum', value: 'S,M' },
+    ]
+    await listItems({ postgrestApiUrl: API_URL }, { fieldFilters })
+
+    expect(requests[0].get('field_filter0.and')).toBe('(field_id.eq.1,value.imatch."wool, 50% \\\\(merino\\\\)\\\\*")')
+    expect(requests[0].get('field_filter1.and')).toBe('(field_id.eq.2,value.eq."S,M")')
+    expect(requests[0].has('field_filter0.value')).toBe(false)
+  })
+})
+
+describe('PostgREST deletes', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('refuses to delete a location that only items in the trash are stored in', async () => {
+    const requests = []
+    vi.stubGlobal('fetch', async (url, options = {}) => {
+      requests.push([options.method, url])
+      return { ok: true, status: 200, headers: new Map(), json: async () => [{ item_id: 1, deleted_at: '2026-10-01T00:00:00Z' }] }
+    })
+
+    expect(await deleteLocation({ postgrestApiUrl: API_URL }, { location_id: 3 })).toEqual({ success: false, errorCode: 'ENTITY_IN_TRASH' })
+    // An item outside the trash would come first
+    expect(new URL(requests[0][1]).searchParams.get('order')).toBe('deleted_at.asc.nullsfirst')
+    expect(requests.some(([method]) => method === 'DELETE')).toBe(false)
+  })
+})
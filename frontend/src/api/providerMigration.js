@@ -0,0 +1,333 @@
+import { readFileAsArrayBuffer } from './providerUtils';
+
+// Moves all data from one provider to another without a ZIP file in between.
+// Rows keep their UUIDs, creation times and trash state, as with export and import, and
+// images keep their image UUIDs. The change history of the source replaces that of the target. Every step first looks for rows the target has already,
+// so a migration that failed halfway can be run again and picks up where it stopped.
+
+/** Steps of a migration, in order. */
+export const MIGRATION_STEPS = ['tags', 'owners', 'locations', 'categories', 'customFields', 'items', 'outfits', 'packingLists', 'history'];
+
+const checkResult = (result, what) => {
+    if (!result?.success) {
+        throw new Error(result?.message || result?.errorCode || `Failed to ${what}.`);
+    }
+    return result;
+};
+
+// Sorts rows so that every row comes after the row its parent field points at
+const parentsFirst = (rows, idField, parentField) => {
+    const byId = new Map(rows.map(row => [String(row[idField]), row]));
+    const sorted = [];
+    const visited = new Set();
+    const visit = (row) => {
+        if (visited.has(row)) return;
+        visited.add(row);
+        const parent = row[parentField] != null ? byId.get(String(row[parentField])) : null;
+        if (parent) visit(parent);
+        sorted.push(row);
+    };
+    rows.forEach(visit);
+    return sorted;
+};
+
+const listAllItems = async (api) => {
+    const [{ items }, { items: trashedItems }] = await Promise.all([api.listItems({}), api.listTrash({})]);
+    return [...items, ...trashedItems];
+};
+
+// Maps an ID of the source to the ID of the same row in the target
+const mapId = (idMap, id, what) => {
+    if (id === null || id === undefined) return null;
+    const mapped = idMap.get(String(id));
+    if (mapped === undefined) throw new Error(`The ${what} with ID ${id} was not migrated.`);
+    return mapped;
+};
+
+/**
+ * A failed migration. `step` is the step that failed; the error of the provider is in `cause`.
+ */
+export class MigrationError extends Error {
+    constructor(step, cause) {
+        super(cause?.message || String(cause));
+        this.name = 'MigrationError';
+        this.step = step;
+        this.cause = cause;
+    }
+}
+
+// Copies the rows of one entity type that the target does not have yet, and maps the IDs of all of them
+const migrateRows = async ({ sourceRows, targetRows, idField, toInput, add, matchName = false, report }) => {
+    const idMap = new Map();
+    const targetByUuid = new Map(targetRows.map(row => [row.uuid, row]));
+    const targetByName = new Map(targetRows.map(row => [String(row.name).toLowerCase(), row]));
+    for (const [index, row] of sourceRows.entries()) {
+        const existing = targetByUuid.get(row.uuid) || (matchName ? targetByName.get(String(row.name).toLowerCase()) : null);
+        if (existing) {
+            idMap.set(String(row[idField]), existing[idField]);
+        } else {
+            const result = checkResult(await add({ ...toInput(row, idMap), uuid: row.uuid, created_at: row.created_at || undefined }), 'add a row');
+            idMap.set(String(row[idField]), result.newId);
+        }
+        report(index + 1, sourceRows.length);
+    }
+    return idMap;
+};
+
+/**
+ * Copies everything from the source provider to the target provider.
+ * Rows the target has under the same UUID are kept as they are, so the target should be
+ * emptied first (destroyData) for an exact copy; a migration that failed can then be run
+ * again without emptying, and continues where it stopped.
+ * @param {object} source - Bound API methods of the provider to copy from.
+ * @param {object} target - Bound API methods of the provider to copy to.
+ * @param {object} [options]
+ * @param {(progress: { step: string, done: number, total: number }) => void} [options.onProgress]
+ * @param {string[]} [options.completedItemUuids] - Items finished by an earlier, failed run; they are not looked at again.
+ * @param {(itemUuid: string) => void} [options.onItemMigrated] - Called after each item with all its images, to record progress for a resume.
+ * @param {(file: File) => Promise<File | null>} [options.createThumbnail] - Makes the 'thumb' variant of each copied image.
+ * @returns {Promise<{ items: number, images: number }>} The number of items and images copied.
+ * @throws {MigrationError}
+ */
+export const migrateProvider = async (source, target, options = {}) => {
+    const { onProgress, completedItemUuids = [], onItemMigrated, createThumbnail } = options;
+    const ids = {};
+    const counts = { items: 0, images: 0 };
+    let step = MIGRATION_STEPS[0];
+    const report = (done, total) => onProgress?.({ step, done, total });
+
+    try {
+        step = 'tags';
+        ids.tag = await migrateRows({
+            sourceRows: await source.listTags(), targetRows: await target.listTags(), idField: 'tag_id',
+            toInput: (tag) => ({ name: tag.name }),
+            add: target.addTag, matchName: true, report,
+        });
+
+        step = 'owners';
+        ids.owner = await migrateRows({
+            sourceRows: await source.listOwners(), targetRows: await target.listOwners(), idField: 'owner_id',
+            toInput: (owner) => ({ name: owner.name, description: owner.description ?? null }),
+            add: target.addOwner, report,
+        });
+
+        step = 'locations';
+        ids.location = await migrateRows({
+            sourceRows: parentsFirst(await source.listLocations(), 'location_id', 'parent_location_id'),
+            targetRows: await target.listLocations(), idField: 'location_id',
+            toInput: (location, idMap) => ({
+                name: location.name,
+                description: location.description ?? null,
+                parent_location_id: mapId(idMap, location.parent_location_id, 'location'),
+            }),
+            add: target.addLocation, report,
+        });
+
+        step = 'categories';
+        ids.category = await migrateRows({
+            sourceRows: parentsFirst(await source.listCategories(), 'category_id', 'parent_category_id'),
+            targetRows: await target.listCategories(), idField: 'category_id',
+            toInput: (category, idMap) => ({
+                name: category.name,
+                description: category.description ?? null,
+                parent_category_id: mapId(idMap, category.parent_category_id, 'category'),
+            }),
+            add: target.addCategory, report,
+        });
+
+        step = 'customFields';
+        ids.field = await migrateRows({
+            sourceRows: await source.listCustomFields(), targetRows: await target.listCustomFields(), idField: 'field_id',
+            toInput: (field) => ({
+                category_id: mapId(ids.category, field.category_id, 'category'),
+                name: field.name,
+                field_type: field.field_type,
+                options: field.options,
+                position: field.position,
+            }),
+            add: target.addCustomField, report,
+        });
+
+        step = 'items';
+        const completed = new Set(completedItemUuids);
+        const sourceItems = (await listAllItems(source)).filter(item => !completed.has(item.uuid));
+        const targetItems = new Map((await listAllItems(target)).map(item => [item.uuid, item]));
+        for (const [index, item] of sourceItems.entries()) {
+            let targetItemId = targetItems.get(item.uuid)?.item_id;
+            if (targetItemId === undefined) {
+                const result = checkResult(await target.addItem({
+                    uuid: item.uuid,
+                    name: item.name,
+                    description: item.description ?? null,
+                    location_id: mapId(ids.location, item.location_id, 'location'),
+                    category_id: mapId(ids.category, item.category_id, 'category'),
+                    owner_id: mapId(ids.owner, item.owner_id, 'owner'),
+                    price: item.price ?? null,
+                    tag_ids: (item.tag_ids || []).map(tagId => mapId(ids.tag, tagId, 'tag')),
+                    field_values: Object.fromEntries(
+                        Object.entries(item.field_values || {}).map(([fieldId, value]) => [mapId(ids.field, fieldId, 'custom field'), value])
+                    ),
+                    deleted_at: item.deleted_at || null,
+                    status: item.status ?? null,
+                    created_at: item.created_at || undefined,
+                }), `add item "${item.name}"`);
+                targetItemId = result.newId;
+                counts.items++;
+            }
+
+            // Images go one at a time, in order; those the target has already are skipped
+            const existingImages = new Set((await target.listItemImages({ item_id: targetItemId })).map(image => image.image_uuid));
+            for (const image of await source.listItemImages({ item_id: item.item_id })) {
+                if (existingImages.has(image.image_uuid)) continue;
+                const imageFile = await source.getImage({ image_uuid: image.image_uuid });
+                if (!imageFile) throw new Error(`Image ${image.image_uuid} of item "${item.name}" could not be read.`);
+                checkResult(await target.addItemImage({
+                    item_id: targetItemId,
+                    imageFile,
+                    thumbnailFile: createThumbnail ? await createThumbnail(imageFile) : null,
+                    image_uuid: image.image_uuid,
+                    is_primary: image.is_primary,
+                }), `add an image of item "${item.name}"`);
+                counts.images++;
+            }
+
+            // Wear events follow their item by UUID; those the target has already are skipped
+            if (typeof source.listWearEvents === 'function' && typeof target.addWearEvent === 'function') {
+                const existingWear = new Set((await target.listWearEvents({ item_uuid: item.uuid })).map(wearEvent => wearEvent.uuid));
+                for (const wearEvent of await source.listWearEvents({ item_uuid: item.uuid })) {
+                    if (existingWear.has(wearEvent.uuid)) continue;
+                    const { uuid, item_uuid, worn_on, note, created_at } = wearEvent;
+                    checkResult(await target.addWearEvent({ uuid, item_uuid, worn_on, note, created_at }), `add a wear event of item "${item.name}"`);
+                }
+            }
+
+            // Loans likewise; owners keep their UUIDs, so borrowers among them are found in the target
+            if (typeof source.listLoans === 'function' && typeof target.addLoan === 'function') {
+                const existingLoans = new Set((await target.listLoans({ item_uuid: item.uuid })).map(loan => loan.uuid));
+                for (const loan of (await source.listLoans({ item_uuid: item.uuid })).reverse()) { // Oldest first, so the open loan comes last
+                    if (existingLoans.has(loan.uuid)) continue;
+                    const { loan_id, ...loanInput } = loan;
+                    checkResult(await target.addLoan(loanInput), `add a loan of item "${item.name}"`);
+                }
+            }
+            onItemMigrated?.(item.uuid);
+            report(index + 1, sourceItems.length);
+        }
+
+        // Outfits come after all items, which they refer to by UUID
+        step = 'outfits';
+        if (typeof source.listOutfits === 'function' && typeof target.addOutfit === 'function') {
+            const sourceOutfits = await source.listOutfits();
+            const targetOutfitUuids = new Set((await target.listOutfits()).map(outfit => outfit.uuid));
+            for (const [index, outfit] of sourceOutfits.entries()) {
+                if (!targetOutfitUuids.has(outfit.uuid)) {
+                    const imageFile = outfit.image_uuid ? await source.getImage({ image_uuid: outfit.image_uuid }) : null;
+                    checkResult(await target.addOutfit({
+                        uuid: outfit.uuid,
+                        name: outfit.name,
+                        description: outfit.description ?? null,
+                        item_uuids: outfit.item_uuids,
+                        tag_ids: outfit.tag_ids.map(tagId => mapId(ids.tag, tagId, 'tag')),
+                        image_uuid: imageFile ? outfit.image_uuid : undefined,
+                        imageFile,
+                        created_at: outfit.created_at || undefined,
+                    }), `add outfit "${outfit.name}"`);
+                }
+                // Wear events of the outfit, skipping those the target has already
+                if (typeof source.listOutfitWearEvents === 'function' && typeof target.addOutfitWearEvent === 'function') {
+                    const existingWear = new Set((await target.listOutfitWearEvents({ outfit_uuid: outfit.uuid })).map(wearEvent => wearEvent.uuid));
+                    for (const wearEvent of await source.listOutfitWearEvents({ outfit_uuid: outfit.uuid })) {
+                        if (existingWear.has(wearEvent.uuid)) continue;
+                        const { uuid, outfit_uuid, worn_on, note, created_at } = wearEvent;
+                        checkResult(await target.addOutfitWearEvent({ uuid, outfit_uuid, worn_on, note, created_at }), `add a wear event of outfit "${outfit.name}"`);
+                    }
+                }
+                report(index + 1, sourceOutfits.length);
+            }
+        }
+
+        // Packing lists refer to their items by UUID too
+        step = 'packingLists';
+        if (typeof source.listPackingLists === 'function' && typeof target.addPackingList === 'function') {
+            const sourcePackingLists = await source.listPackingLists();
+            const targetPackingListUuids = new Set((await target.listPackingLists()).map(packingList => packingList.uuid));
+            for (const [index, packingList] of sourcePackingLists.entries()) {
+                if (!targetPackingListUuids.has(packingList.uuid)) {
+                    const { uuid, name, note, starts_on, ends_on, is_template, entries, created_at } = packingList;
+                    checkResult(await target.addPackingList({ uuid, name, note, starts_on, ends_on, is_template, entries, created_at: created_at || undefined }), `add packing list "${name}"`);
+                }
+                report(index + 1, sourcePackingLists.length);
+            }
+        }
+
+        // The history goes last: every row added above wrote an entry of its own in the target,
+        // and the history of the source replaces them, as on import
+        step = 'history';
+        if (typeof source.listHistory === 'function' && typeof target.replaceHistory === 'function') {
+            const history = await source.listHistory();
+            checkResult(await target.replaceHistory({ entries: history }), 'copy the history');
+            report(history.length, history.length);
+        }
+    } catch (err) {
+        throw new MigrationError(step, err);
+    }
+    return counts;
+};
+
+// SHA-256 of a file as a hex string
+const checksumOf = async (file) => {
+    const digest = await crypto.subtle.digest('SHA-256', new Uint8Array(await readFileAsArrayBuffer(file)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Compares the source and the target after a migration: the number of rows of each kind,
+ * and the checksum of every image of the source against the same image in the target.
+ * @param {object} source - Bound API methods, as for migrateProvider.
+ * @param {object} target
+ * @param {{ onProgress?: (progress: { step: string, done: number, total: number }) => void }} [options]
+ * @returns {Promise<{ counts: { entity: string, source: number, target: number }[], imageMismatches: string[], ok: boolean }>}
+ *   imageMismatches lists the UUIDs of images that are missing from the target or differ there.
+ */
+export const verifyMigration = async (source, target, options = {}) => {
+    const { onProgress } = options;
+    const counts = [];
+    const lists = [
+        ['tags', api => api.listTags()],
+        ['owners', api => api.listOwners()],
+        ['locations', api => api.listLocations()],
+        ['categories', api => api.listCategories()],
+        ['customFields', api => api.listCustomFields()],
+        ['items', listAllItems],
+        ['outfits', api => (typeof api.listOutfits === 'function' ? api.listOutfits() : [])],
+        ['packingLists', api => (typeof api.listPackingLists === 'function' ? api.listPackingLists() : [])],
+        ['history', api => (typeof api.listHistory === 'function' ? api.listHistory() : [])],
+    ];
+    let sourceItems = [];
+    for (const [entity, list] of lists) {
+        const [sourceRows, targetRows] = await Promise.all([list(source), list(target)]);
+        counts.push({ entity, source: sourceRows.length, target: targetRows.length });
+        if (entity === 'items') sourceItems = sourceRows;
+    }
+
+    let sourceImageCount = 0;
+    const imageMismatches = [];
+    for (const [index, item] of sourceItems.entries()) {
+        for (const image of await source.listItemImages({ item_id: item.item_id })) {
+            sourceImageCount++;
+            const [sourceFile, targetFile] = await Promise.all([
+                source.getImage({ image_uuid: image.image_uuid }),
+                target.getImage({ image_uuid: image.image_uuid }),
+            ]);
+            if (!sourceFile || !targetFile || (await checksumOf(sourceFile)) !== (await checksumOf(targetFile))) {
+                imageMismatches.push(image.image_uuid);
+            }
+        }
+        onProgress?.({ step: 'verify', done: index + 1, total: sourceItems.length });
+    }
+    // Images only count in the target when they are the same as in the source
+    counts.push({ entity: 'images', source: sourceImageCount, target: sourceImageCount - imageMismatches.length });
+
+    const ok = imageMismatches.length === 0 && counts.every(count => count.source === count.target);
+    return { counts, imageMismatches, ok };
+};
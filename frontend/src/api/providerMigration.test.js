@@ -0,0 +1,92 @@
+import { migrateProvider, verifyMigration, MigrationError } from './providerMigration'
+import { createMemoryApi, SEED_TIME } from './memoryProvider.testutil'
+
+const createSource = () => {
+  const source = createMemoryApi(1)
+  source.seed('tag', { tag_id: 1, uuid: 'tag-a', name: 'winter' })
+  source.seed('owner', { owner_id: 1, uuid: 'owner-a', name: 'Anna', description: null })
+  source.seed('location', { location_id: 2, uuid: 'loc-b', name: 'Shelf', description: null, parent_location_id: 1 })
+  source.seed('location', { location_id: 1, uuid: 'loc-a', name: 'Closet', description: null, parent_location_id: null })
+  source.seed('category', { category_id: 1, uuid: 'cat-a', name: 'Shirts', description: null, parent_category_id: null })
+  source.seed('custom_field', { field_id: 1, uuid: 'field-a', category_id: 1, name: 'Size', field_type: 'text', options: null, position: 0 })
+  source.seed('item', {
+    item_id: 1, uuid: 'item-a', name: 'Shirt', description: null, location_id: 2, category_id: 1, owner_id: 1,
+    price: 20, tag_ids: [1], field_values: { 1: 'M' }, image_uuid: 'img-1', deleted_at: null,
+  })
+  source.seed('item', {
+    item_id: 2, uuid: 'item-b', name: 'Old shirt', description: null, location_id: 1, category_id: 1, owner_id: 1,
+    price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: '2024-05-02T00:00:00.000Z',
+  })
+  source.seedImage(1, 'img-1')
+  source.seedImage(1, 'img-2')
+  source.seed('outfit', { outfit_id: 1, uuid: 'outfit-a', name: 'Office', description: null, item_uuids: ['item-a'], tag_ids: [1], image_uuid: 'img-outfit' })
+  source.images.set('img-outfit', new File(['img-outfit'], 'outfit.jpg', { type: 'image/jpeg' }))
+  source.seed('packing_list', {
+    packing_list_id: 1, uuid: 'list-a', name: 'Rome', note: null, starts_on: '2024-06-01', ends_on: '2024-06-05', is_template: false,
+    entries: [{ item_uuid: 'item-a', packed: true, returned: false }],
+  })
+  // Newest first, as listHistory returns them
+  source.seed('history', { history_id: 2, entity_type: 'item', entity_uuid: 'item-b', action: 'delete', changes: {}, actor: 'laptop', created_at: '2024-05-02T00:00:00.000Z' })
+  source.seed('history', { history_id: 1, entity_type: 'item', entity_uuid: 'item-a', action: 'add', changes: { name: { from: null, to: 'Shirt' } }, actor: 'laptop' })
+  return source
+}
+
+describe('migrateProvider', () => {
+  it('copies every row with its UUID, references, trash state and images', async () => {
+    const source = createSource()
+    const target = createMemoryApi(101)
+
+    const counts = await migrateProvider(source, target)
+
+    expect(counts).toEqual({ items: 2, images: 2 })
+    const shelf = target.rows.location.find((location) => location.uuid === 'loc-b')
+    const closet = target.rows.location.find((location) => location.uuid === 'loc-a')
+    expect(shelf.parent_location_id).toBe(closet.location_id)
+    const shirt = target.rows.item.find((item) => item.uuid === 'item-a')
+    expect(shirt).toMatchObject({
+      location_id: shelf.location_id,
+      tag_ids: [target.rows.tag[0].tag_id],
+      field_values: { [target.rows.custom_field[0].field_id]: 'M' },
+      created_at: SEED_TIME,
+      image_uuid: 'img-1',
+    })
+    expect(target.rows.item.find((item) => item.uuid === 'item-b').deleted_at).toBe('2024-05-02T00:00:00.000Z')
+    expect(target.rows.outfit).toEqual([
+      expect.objectContaining({ uuid: 'outfit-a', item_uuids: ['item-a'], tag_ids: [target.rows.tag[0].tag_id], image_uuid: 'img-outfit', created_at: SEED_TIME }),
+    ])
+    expect(target.images.get('img-outfit')).toBe(source.images.get('img-outfit'))
+    expect(target.rows.packing_list).toEqual([
+      expect.objectContaining({ uuid: 'list-a', starts_on: '2024-06-01', entries: [{ item_uuid: 'item-a', packed: true, returned: false }], created_at: SEED_TIME }),
+    ])
+
+    expect(target.rows.history.map(({ history_id, ...entry }) => entry)).toEqual(source.rows.history.map(({ history_id, ...entry }) => entry))
+
+    const verification = await verifyMigration(source, target)
+    expect(verification.ok).toBe(true)
+    expect(verification.counts).toContainEqual({ entity: 'images', source: 2, target: 2 })
+    expect(verification.counts).toContainEqual({ entity: 'history', source: 2, target: 2 })
+  })
+
+  it('continues a failed migration without copying anything twice', async () => {
+    const source = createSource()
+    const target = createMemoryApi(101)
+    const addItemImage = target.addItemImage
+    target.addItemImage = async (input) => {
+      if (input.image_uuid === 'img-2') throw new Error('Failed to fetch')
+      return addItemImage(input)
+    }
+
+    const completed = []
+    const options = { onItemMigrated: (uuid) => completed.push(uuid) }
+    const error = await migrateProvider(source, target, options).catch((err) => err)
+    expect(error).toBeInstanceOf(MigrationError)
+    expect(error.step).toBe('items')
+    expect((await verifyMigration(source, target)).imageMismatches).toEqual(['img-2'])
+
+    target.addItemImage = addItemImage
+    const counts = await migrateProvider(source, target, { ...options, completedItemUuids: completed })
+    expect(counts).toEqual({ items: 1, images: 1 })
+    expect(target.rows.item).toHaveLength(2)
+    expect((await verifyMigration(source, target)).ok).toBe(true)
+  })
+})
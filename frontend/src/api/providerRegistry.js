@@ -19,17 +19,63 @@ export const REQUIRED_API_METHODS = [
     'addItem',
     'updateItem',
     'deleteItem',
+    'setItemStatus',
+    'getItemByUuid',
+    'listTrash',
+    'restoreItem',
+    'purgeTrash',
+    'listHistory',
+    'replaceHistory',
+    'addWearEvent',
+    'listWearEvents',
+    'deleteWearEvent',
+    'addLoan',
+    'listLoans',
+    'updateLoan',
+    'deleteLoan',
+    'listOutfits',
+    'addOutfit',
+    'updateOutfit',
+    'deleteOutfit',
+    'addOutfitWearEvent',
+    'listOutfitWearEvents',
+    'deleteOutfitWearEvent',
+    'listPackingLists',
+    'addPackingList',
+    'updatePackingList',
+    'deletePackingList',
     'listOwners',
     'addOwner',
     'updateOwner',
     'deleteOwner',
+    'listTags',
+    'addTag',
+    'listCustomFields',
+    'addCustomField',
+    'updateCustomField',
+    'deleteCustomField',
     'getImage',
+    'saveImageVariant',
+    'listImagesMissingVariant',
+    'listItemImages',
+    'addItemImage',
+    'removeItemImage',
+    'reorderItemImages',
+    'setPrimaryItemImage',
     'exportData',
     'importData',
     'destroyData',
     'getDbVersion',
 ];
 
+/**
+ * API methods that only some providers implement. They are bound when present;
+ * callers check for them before use.
+ */
+export const OPTIONAL_API_METHODS = [
+    'applySchemaMigration', // Server backends whose schema is upgraded from backend/migrations
+];
+
 /**
  * Defines the configuration and capabilities of each supported API provider.
  */
@@ -60,6 +106,7 @@ export const providers = {
         ],
         // Function to determine if the provider is considered configured based on its settings
         isConfiguredCheck: (settings) => !!settings?.datasetteBaseUrl,
+        schemaDialect: 'sqlite', // Which files of backend/migrations upgrade its schema
     },
 
     // --- IndexedDB Provider Definition ---
@@ -95,6 +142,7 @@ export const providers = {
             }
         ],
         isConfiguredCheck: (settings) => !!settings?.postgrestApiUrl && !!settings?.postgrestApiToken, // Check both URL and Token
+        schemaDialect: 'postgres',
     },
 };
 
@@ -122,6 +170,45 @@ export const getProviderDisplayNames = () => {
     }, {});
 };
 
+/**
+ * Identifies a provider together with the server it talks to, e.g. to key state kept per database.
+ * @param {string} id - The ID of the provider.
+ * @param {object} providerSettings - Settings of that provider.
+ * @returns {string}
+ */
+export const getProviderEndpoint = (id, providerSettings) =>
+    `${id}:${providerSettings?.datasetteBaseUrl || providerSettings?.postgrestApiUrl || ''}`;
+
+/**
+ * Binds the API methods of a provider to its settings, so they can be called with their input only.
+ * The client name travels with the settings so the history can record it.
+ * @param {string} id - The ID of the provider.
+ * @param {object} providerSettings - Settings of that provider.
+ * @param {string=} clientName
+ * @returns {object} Method name to bound method; empty for an unknown provider.
+ */
+export const bindProvider = (id, providerSettings, clientName) => {
+    const provider = getProviderById(id);
+    const boundMethods = {};
+    if (!provider?.module) return boundMethods;
+    const settingsForMethods = { ...(providerSettings || {}), clientName };
+    REQUIRED_API_METHODS.forEach(methodName => {
+        const methodImpl = provider.module[methodName];
+        if (typeof methodImpl === 'function') {
+            boundMethods[methodName] = (...args) => methodImpl(settingsForMethods, ...args);
+        } else {
+            console.warn(`Method '${methodName}' not found or not a function in provider module for '${id}'.`);
+        }
+    });
+    OPTIONAL_API_METHODS.forEach(methodName => {
+        const methodImpl = provider.module[methodName];
+        if (typeof methodImpl === 'function') {
+            boundMethods[methodName] = (...args) => methodImpl(settingsForMethods, ...args);
+        }
+    });
+    return boundMethods;
+};
+
 /**
  * Verifies that all registered providers with a module implement the required API methods.
  * Logs an error for any missing methods.
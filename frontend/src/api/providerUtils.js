@@ -31,6 +31,20 @@ export const readFileAsBase64 = (file) => {
     });
 };
 
+/**
+ * Helper to read a File object into an ArrayBuffer.
+ * @param {File} file - The File object to read.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readFileAsArrayBuffer = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = (error) => reject(error);
+        reader.readAsArrayBuffer(file);
+    });
+};
+
 /**
  * Helper function to convert a Base64 string to a Blob.
  * @param {string} base64 - The Base64 encoded string.
@@ -138,3 +152,1216 @@ export const parseCSV = (csvString) => {
         return []; // Return empty array on catastrophic error
     }
 };
+
+// --- Hierarchy Helpers ---
+// Locations and categories form trees through parent_location_id and parent_category_id. The helpers
+// take the ID and parent column names, and stop at rows they have already visited so a broken cycle cannot hang them.
+
+/**
+ * Collects the given IDs together with the IDs of every row below them.
+ * @param {object[]} rows
+ * @param {string} idKey - e.g. 'location_id'
+ * @param {string} parentKey - e.g. 'parent_location_id'
+ * @param {number[]} rootIds
+ * @returns {number[]}
+ */
+export const collectSubtreeIds = (rows, idKey, parentKey, rootIds) => {
+    const childrenByParent = new Map();
+    rows.forEach(row => {
+        if (row[parentKey] == null) return;
+        const parentId = Number(row[parentKey]);
+        if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+        childrenByParent.get(parentId).push(Number(row[idKey]));
+    });
+    const collected = new Set();
+    const pending = rootIds.map(Number);
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (collected.has(id)) continue;
+        collected.add(id);
+        pending.push(...(childrenByParent.get(id) || []));
+    }
+    return [...collected];
+};
+
+/**
+ * Lists the rows from the top of the tree down to the given row, e.g. for a breadcrumb.
+ * @param {object[]} rows
+ * @param {string} idKey
+ * @param {string} parentKey
+ * @param {number} id
+ * @returns {object[]} Empty when the row does not exist.
+ */
+export const getAncestorPath = (rows, idKey, parentKey, id) => {
+    const rowsById = new Map(rows.map(row => [Number(row[idKey]), row]));
+    const path = [];
+    const visited = new Set();
+    let row = rowsById.get(Number(id));
+    while (row && !visited.has(row[idKey])) {
+        visited.add(row[idKey]);
+        path.unshift(row);
+        row = row[parentKey] == null ? undefined : rowsById.get(Number(row[parentKey]));
+    }
+    return path;
+};
+
+/**
+ * Tells whether moving a row under a new parent would make it its own ancestor.
+ * @param {object[]} rows
+ * @param {string} idKey
+ * @param {string} parentKey
+ * @param {number} id - The row being moved.
+ * @param {number | null} parentId - Its new parent; null never creates a cycle.
+ * @returns {boolean}
+ */
+export const createsParentCycle = (rows, idKey, parentKey, id, parentId) => {
+    if (parentId == null) return false;
+    return collectSubtreeIds(rows, idKey, parentKey, [id]).includes(Number(parentId));
+};
+
+/**
+ * Orders rows depth-first with siblings by name, and tells the depth of each.
+ * Rows whose parent is missing, or that are caught in a cycle, are shown at the top level.
+ * @param {object[]} rows
+ * @param {string} idKey
+ * @param {string} parentKey
+ * @returns {{ row: object, depth: number }[]}
+ */
+export const flattenTree = (rows, idKey, parentKey) => {
+    const ids = new Set(rows.map(row => Number(row[idKey])));
+    const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+    const childrenOf = (parentId) => rows
+        .filter(row => (parentId === null
+            ? row[parentKey] == null || !ids.has(Number(row[parentKey]))
+            : Number(row[parentKey]) === parentId))
+        .sort(byName);
+    const flattened = [];
+    const visited = new Set();
+    const walk = (parentId, depth) => {
+        childrenOf(parentId).forEach(row => {
+            const id = Number(row[idKey]);
+            if (visited.has(id)) return;
+            visited.add(id);
+            flattened.push({ row, depth });
+            walk(id, depth + 1);
+        });
+    };
+    walk(null, 0);
+    rows.filter(row => !visited.has(Number(row[idKey]))).sort(byName).forEach(row => flattened.push({ row, depth: 0 }));
+    return flattened;
+};
+
+// --- Item Status Helpers ---
+// An item's status is a key such as 'clean' or 'laundry'. Which statuses exist, and which
+// may follow which, is configured in the app settings; the providers only store the key.
+
+/**
+ * Brings a status into its stored form: a trimmed key, or null for no status.
+ * Undefined stays undefined, so an update that leaves the status out keeps it.
+ * @param {*} status
+ * @returns {string | null | undefined}
+ */
+export const normalizeItemStatus = (status) => {
+    if (typeof status === 'undefined') return undefined;
+    const key = String(status ?? '').trim();
+    return key === '' ? null : key;
+};
+
+/**
+ * Checks the input of setItemStatus and brings it into shape.
+ * @param {import('./apiSchema').SetItemStatusInputData} inputData
+ * @returns {{ itemIds: number[], status: string | null }}
+ */
+export const normalizeSetItemStatusInput = (inputData) => {
+    const itemIds = Array.isArray(inputData?.item_ids) ? [...new Set(inputData.item_ids.map(Number).filter(id => !isNaN(id)))] : [];
+    if (itemIds.length === 0) throw new Error("At least one item ID is required.");
+    return { itemIds, status: normalizeItemStatus(inputData.status) ?? null };
+};
+
+// --- Item Query Helpers ---
+// Shared by the providers' listItems implementations and by processItems, so that
+// in-browser and server-side filtering agree on what a query means.
+
+/**
+ * Columns that listItems may sort on. Anything else falls back to the default sort.
+ */
+export const ITEM_SORT_FIELDS = ['created_at', 'updated_at', 'deleted_at', 'name', 'price', 'last_worn_on'];
+
+export const DEFAULT_ITEM_SORT = 'created_at_desc';
+
+/**
+ * Splits a sort key like "price_desc" into its field and direction.
+ * @param {string} criteria - Sort key in the form `<field>_<asc|desc>`.
+ * @returns {{ sortBy: string, sortOrder: 'asc' | 'desc' }}
+ */
+export const parseSortCriteria = (criteria) => {
+    const match = /^(.+)_(asc|desc)$/.exec(criteria || '');
+    if (match && ITEM_SORT_FIELDS.includes(match[1])) {
+        return { sortBy: match[1], sortOrder: match[2] };
+    }
+    return { sortBy: 'created_at', sortOrder: 'desc' }; // Default
+};
+
+/**
+ * Fills in defaults for an optional listItems query so providers can rely on its shape.
+ * @param {import('./apiSchema').ListItemsQuery=} query
+ * @returns {import('./apiSchema').ListItemsQuery}
+ */
+export const normalizeItemQuery = (query = {}) => {
+    const toIds = (ids) => (Array.isArray(ids) ? ids.map(Number).filter(id => !isNaN(id)) : []);
+    const toNumber = (value) => (typeof value === 'number' && !isNaN(value) ? value : undefined);
+    const offset = parseInt(query.offset, 10);
+    const limit = parseInt(query.limit, 10);
+    return {
+        name: typeof query.name === 'string' ? query.name.trim() : '',
+        locationIds: toIds(query.locationIds),
+        categoryIds: toIds(query.categoryIds),
+        ownerIds: toIds(query.ownerIds),
+        priceMin: toNumber(query.priceMin),
+        priceMax: toNumber(query.priceMax),
+        tagIds: normalizeTagIds(query.tagIds),
+        tagMode: TAG_MODES.includes(query.tagMode) ? query.tagMode : 'or',
+        fieldFilters: normalizeFieldFilters(query.fieldFilters),
+        statuses: Array.isArray(query.statuses) ? [...new Set(query.statuses.map(normalizeItemStatus).filter(Boolean))] : [],
+        sort: query.sort || DEFAULT_ITEM_SORT,
+        offset: offset > 0 ? offset : 0,
+        limit: limit > 0 ? limit : undefined,
+        trashed: query.trashed === true,
+    };
+};
+
+/**
+ * Widens the location filter of a normalized query to the locations inside the selected ones.
+ * @param {import('./apiSchema').ListItemsQuery} query - Output of normalizeItemQuery.
+ * @param {import('./apiSchema').Location[]} locations - All locations.
+ * @returns {import('./apiSchema').ListItemsQuery}
+ */
+export const expandLocationFilter = (query, locations) => {
+    if (query.locationIds.length === 0) return query;
+    return { ...query, locationIds: collectSubtreeIds(locations, 'location_id', 'parent_location_id', query.locationIds) };
+};
+
+/**
+ * Widens the category filter of a normalized query to the subcategories of the selected ones.
+ * @param {import('./apiSchema').ListItemsQuery} query - Output of normalizeItemQuery.
+ * @param {import('./apiSchema').Category[]} categories - All categories.
+ * @returns {import('./apiSchema').ListItemsQuery}
+ */
+export const expandCategoryFilter = (query, categories) => {
+    if (query.categoryIds.length === 0) return query;
+    return { ...query, categoryIds: collectSubtreeIds(categories, 'category_id', 'parent_category_id', query.categoryIds) };
+};
+
+/**
+ * Builds an SQLite GLOB pattern that finds the text anywhere in a value, ignoring case the way
+ * itemMatchesQuery does with toLowerCase. SQLite's LIKE and lower() only fold ASCII letters, so
+ * each letter becomes a class of its case forms instead, e.g. 'Äi' gives '*[Ää][Ii]*'.
+ * @param {string} text
+ * @returns {string}
+ */
+export const containsGlobPattern = (text) => {
+    const chars = Array.from(text, (char) => {
+        // Case forms longer than one character, such as 'SS' for 'ß', cannot go in a class
+        const forms = [...new Set([char, char.toUpperCase(), char.toLowerCase()])].filter(form => Array.from(form).length === 1);
+        if (forms.length > 1) return `[${forms.join('')}]`;
+        return '*?['.includes(char) ? `[${char}]` : char;
+    });
+    return `*${chars.join('')}*`;
+};
+
+/**
+ * Tests a single item against the filter part of a normalized query.
+ * Items without a price are never excluded by the price range.
+ * @param {import('./apiSchema').ItemMetadata} item
+ * @param {import('./apiSchema').ListItemsQuery} query - Output of normalizeItemQuery.
+ * @returns {boolean}
+ */
+export const itemMatchesQuery = (item, query) => {
+    if (Boolean(item.deleted_at) !== query.trashed) return false;
+    if (query.name) {
+        const needle = query.name.toLowerCase();
+        const inName = (item.name || '').toLowerCase().includes(needle);
+        const inDescription = (item.description || '').toLowerCase().includes(needle);
+        if (!inName && !inDescription) return false;
+    }
+    if (query.locationIds.length > 0 && !query.locationIds.includes(item.location_id)) return false;
+    if (query.categoryIds.length > 0 && !query.categoryIds.includes(item.category_id)) return false;
+    if (query.ownerIds.length > 0 && !query.ownerIds.includes(item.owner_id)) return false;
+    if (query.statuses.length > 0 && !query.statuses.includes(item.status)) return false;
+    if (query.tagIds.length > 0) {
+        const itemTagIds = item.tag_ids || [];
+        const hasTag = (tagId) => itemTagIds.includes(tagId);
+        const matchesTags = query.tagMode === 'and' ? query.tagIds.every(hasTag) : query.tagIds.some(hasTag);
+        if (!matchesTags) return false;
+    }
+    for (const filter of query.fieldFilters) {
+        const value = (item.field_values || {})[filter.fieldId];
+        if (value == null) return false;
+        const matches = filter.match === 'contains'
+            ? value.toLowerCase().includes(filter.value.toLowerCase())
+            : value === filter.value;
+        if (!matches) return false;
+    }
+    if (item.price != null) {
+        if (typeof query.priceMin === 'number' && item.price < query.priceMin) return false;
+        if (typeof query.priceMax === 'number' && item.price > query.priceMax) return false;
+    }
+    return true;
+};
+
+/**
+ * Sort key of an item's name: A-Z folded to lower case and compared by code point, which is what
+ * SQLite's NOCASE collation and the name_key computed column of the PostgreSQL schema do too.
+ * Letters beyond ASCII keep their case.
+ * @param {string} name
+ * @returns {string}
+ */
+export const nameSortKey = (name) => String(name ?? '').replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
+
+/**
+ * Builds a comparator for Array.prototype.sort from a sort key, ordering items the way the
+ * providers' queries do: a missing value (a price, a date) comes before any other value, so first
+ * when ascending and last when descending, names compare by nameSortKey, and ties are broken
+ * by item_id in the same direction so paging is stable.
+ * @param {string} sortCriteria - Sort key in the form `<field>_<asc|desc>`.
+ * @returns {(a: object, b: object) => number}
+ */
+export const compareItemsBy = (sortCriteria) => {
+    const { sortBy, sortOrder } = parseSortCriteria(sortCriteria);
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const keyOf = (item) => {
+        const value = item[sortBy];
+        if (value == null || value === '') return null;
+        if (sortBy === 'price') return Number(value);
+        if (sortBy.endsWith('_at')) return new Date(value).getTime(); // ISO timestamps
+        if (sortBy === 'name') return nameSortKey(value);
+        return String(value); // 'YYYY-MM-DD' dates, which sort as text
+    };
+    return (a, b) => {
+        const valA = keyOf(a);
+        const valB = keyOf(b);
+        if (valA !== valB) {
+            if (valA === null) return -direction;
+            if (valB === null) return direction;
+            if (valA < valB) return -direction;
+            if (valA > valB) return direction;
+        }
+        return ((a.item_id || 0) - (b.item_id || 0)) * direction;
+    };
+};
+
+/**
+ * Tells why a location, category or owner that items refer to cannot be deleted: 'ENTITY_IN_USE'
+ * when one of those items is not in the trash, 'ENTITY_IN_TRASH' when all of them are and have
+ * to be restored elsewhere or deleted for good first.
+ * @param {object[]} items - The items referring to it; only deleted_at is read.
+ * @returns {'ENTITY_IN_USE' | 'ENTITY_IN_TRASH' | null} null when no item refers to it.
+ */
+export const referencingItemsErrorCode = (items) => {
+    if (items.length === 0) return null;
+    return items.some(item => !item.deleted_at) ? 'ENTITY_IN_USE' : 'ENTITY_IN_TRASH';
+};
+
+// --- Item Image Helpers ---
+// An item's images are kept in display order by `position`. Exactly one of them is primary,
+// and the providers mirror it into the item's own image_id/image_uuid columns.
+
+const isTruthyFlag = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+/**
+ * Returns copies of an item's image rows sorted by position, renumbered from 0,
+ * with exactly one primary image (the first flagged one, or else the first image).
+ * @param {import('./apiSchema').ItemImage[]} rows
+ * @returns {import('./apiSchema').ItemImage[]}
+ */
+export const normalizeItemImageRows = (rows) => {
+    const sorted = [...rows].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    const primaryIndex = Math.max(0, sorted.findIndex(row => isTruthyFlag(row.is_primary)));
+    return sorted.map((row, index) => ({ ...row, position: index, is_primary: index === primaryIndex }));
+};
+
+/**
+ * Reorders an item's image rows to follow the given image UUIDs.
+ * Images missing from the list keep their relative order after the listed ones.
+ * @param {import('./apiSchema').ItemImage[]} rows
+ * @param {string[]} imageUuids - Desired order, first to last.
+ * @returns {import('./apiSchema').ItemImage[]} Normalized rows.
+ */
+export const applyItemImageOrder = (rows, imageUuids) => {
+    const rank = (row) => {
+        const index = imageUuids.indexOf(row.image_uuid);
+        return index === -1 ? imageUuids.length + (row.position ?? 0) : index;
+    };
+    const ordered = [...rows].sort((a, b) => rank(a) - rank(b));
+    return normalizeItemImageRows(ordered.map((row, index) => ({ ...row, position: index })));
+};
+
+/**
+ * Filename used for an item image inside the export ZIP's images/ folder.
+ * @param {number} itemId
+ * @param {number} position
+ * @param {File} file
+ * @returns {string}
+ */
+export const itemImageZipFilename = (itemId, position, file) => {
+    const fileExtension = file.name.split('.').pop() || 'bin';
+    return `${itemId}_${position}.${fileExtension}`;
+};
+
+/**
+ * Name of an outfit's photo inside the images/ folder of an export ZIP.
+ * @param {number|string} outfitId - The exported outfit_id.
+ * @param {File} file
+ * @returns {string}
+ */
+export const outfitImageZipFilename = (outfitId, file) => {
+    const fileExtension = file.name.split('.').pop() || 'bin';
+    return `outfit_${outfitId}.${fileExtension}`;
+};
+
+/**
+ * Groups images.csv rows of a multi-image export by the exported item_id.
+ * Rows of older exports carry no item_id and are left out.
+ * @param {object[]} imagesMetadata - Parsed images.csv rows.
+ * @returns {Map<number, object[]>} Rows per item, sorted by position, with boolean is_primary.
+ */
+export const groupItemImageRows = (imagesMetadata) => {
+    const grouped = new Map();
+    imagesMetadata.forEach(row => {
+        if (row.item_id == null || row.item_id === '') return;
+        const itemRows = grouped.get(row.item_id) || [];
+        itemRows.push({
+            ...row,
+            position: parseInt(row.position, 10) || 0,
+            is_primary: isTruthyFlag(row.is_primary),
+        });
+        grouped.set(row.item_id, itemRows);
+    });
+    grouped.forEach(itemRows => itemRows.sort((a, b) => a.position - b.position));
+    return grouped;
+};
+
+/**
+ * Reads an image from the export ZIP's images/ folder into a File.
+ * @param {JSZip} loadedZip
+ * @param {string} zipFilename - Name inside images/.
+ * @param {string=} originalFilename - Name to give the File, defaults to zipFilename.
+ * @param {string=} mimeType - Known MIME type, otherwise guessed from the filename.
+ * @returns {Promise<File|null>} Null when the ZIP has no such image.
+ */
+export const loadZipImageFile = async (loadedZip, zipFilename, originalFilename, mimeType) => {
+    if (!zipFilename) return null;
+    const zipEntry = loadedZip.file(`images/${zipFilename}`);
+    if (!zipEntry) return null;
+    const imageBlob = await zipEntry.async('blob');
+    const filename = originalFilename || zipFilename;
+    return new File([imageBlob], filename, { type: mimeType || getMimeTypeFromFilename(filename) });
+};
+
+// --- Schema Version Helpers ---
+// A server database may be on an older schema than the app, e.g. when it is backed up before
+// its schema migration. Reads that would touch a table or column it lacks have to be skipped.
+
+/** Schema version that added each table, or table.column, the app reads; see backend/migrations. */
+export const SCHEMA_ADDITIONS = {
+    item_images: 4,
+    tags: 6,
+    item_tags: 6,
+    custom_fields: 7,
+    item_field_values: 7,
+    'items.deleted_at': 10,
+    history: 11,
+    wear_events: 12,
+    loans: 14,
+    outfits: 15,
+    outfit_wear_events: 15,
+    packing_lists: 16,
+    'loans.updated_at': 17,
+};
+
+/**
+ * Tells whether a database on the given schema version has a table or column.
+ * @param {number} dbVersion - From the provider's getDbVersion.
+ * @param {string} name - A key of SCHEMA_ADDITIONS; others are taken to be in every version.
+ * @returns {boolean}
+ */
+export const schemaHas = (dbVersion, name) => dbVersion >= (SCHEMA_ADDITIONS[name] ?? 1);
+
+/**
+ * The images of an item on a schema without item_images, where an item has at most the one
+ * image its image_id/image_uuid columns point at.
+ * @param {object} item - ItemMetadata.
+ * @returns {import('./apiSchema').ItemImage[]}
+ */
+export const legacyItemImages = (item) => (item.image_uuid
+    ? [{ image_id: item.image_id, image_uuid: item.image_uuid, item_id: item.item_id, position: 0, is_primary: true }]
+    : []);
+
+// --- Import Checkpoint Helpers ---
+// An import that stops halfway can be resumed: the checkpoint tells whether the old data was
+// cleared already, which provider IDs the imported rows got, and which items are done.
+
+/** Entities whose exported IDs are mapped to the IDs they got in the provider. */
+export const IMPORT_ID_MAP_ENTITIES = ['locations', 'categories', 'owners', 'tags', 'custom_fields'];
+
+/**
+ * Tracks the progress of an import and hands every change to onCheckpoint, so that a later
+ * run given the last checkpoint skips what was done. A checkpoint lists only the items completed
+ * since the one before, in addedCompletedItemIds, so that saving one costs the same however far
+ * the import is; the saver collects them into the completedItemIds of the checkpoint it resumes from.
+ * @param {object|null|undefined} checkpoint - The last checkpoint of an earlier run, if any, with all its completedItemIds.
+ * @param {(checkpoint: object) => (Promise<void>|void)} [onCheckpoint] - Saves a checkpoint; awaited.
+ */
+export const createImportProgress = (checkpoint, onCheckpoint) => {
+    const state = {
+        cleared: Boolean(checkpoint?.cleared),
+        idMaps: Object.fromEntries(IMPORT_ID_MAP_ENTITIES.map(entity => [entity, { ...checkpoint?.idMaps?.[entity] }])),
+        completedItemIds: new Set(checkpoint?.completedItemIds || []),
+        startedItemId: checkpoint?.startedItemId ?? null,
+    };
+    const save = async (addedCompletedItemIds = []) => {
+        await onCheckpoint?.({
+            cleared: state.cleared,
+            idMaps: state.idMaps,
+            addedCompletedItemIds,
+            startedItemId: state.startedItemId,
+        });
+    };
+    return {
+        /** Whether the data that was there before the import has been removed. */
+        get cleared() {
+            return state.cleared;
+        },
+        markCleared: async () => {
+            state.cleared = true;
+            await save();
+        },
+        /** Exported ID -> provider ID of the entity's rows imported so far. */
+        idMap: (entity) => state.idMaps[entity],
+        recordId: async (entity, exportedId, newId) => {
+            state.idMaps[entity][exportedId] = newId;
+            await save();
+        },
+        isItemDone: (exportedItemId) => state.completedItemIds.has(String(exportedItemId)),
+        /** True when an earlier run stopped while importing this item, which may be half there. */
+        wasItemStarted: (exportedItemId) => state.startedItemId === String(exportedItemId),
+        startItem: async (exportedItemId) => {
+            state.startedItemId = String(exportedItemId);
+            await save();
+        },
+        markItemDone: async (exportedItemId) => {
+            state.completedItemIds.add(String(exportedItemId));
+            state.startedItemId = null;
+            await save([String(exportedItemId)]);
+        },
+    };
+};
+
+// --- Image Variant Helpers ---
+// Variants are smaller renditions of a stored image, saved next to it under the same image UUID.
+
+/** Variant names accepted by getImage and saveImageVariant. */
+export const IMAGE_VARIANTS = ['thumb'];
+
+/**
+ * Checks a requested variant name.
+ * @param {string|undefined|null} variant
+ * @returns {string|null} The variant, or null for the full-size image.
+ */
+export const normalizeImageVariant = (variant) => {
+    if (variant == null || variant === '' || variant === 'full') return null;
+    if (!IMAGE_VARIANTS.includes(variant)) throw new Error(`Unknown image variant: ${variant}`);
+    return variant;
+};
+
+// --- Tag Helpers ---
+// Tags are free-form labels shared by all items. Items carry the IDs of their tags in `tag_ids`.
+
+/** How listItems combines several tags: 'or' matches any of them, 'and' requires all. */
+export const TAG_MODES = ['or', 'and'];
+
+/**
+ * Trims a tag name and collapses inner whitespace.
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeTagName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Turns a list of tag IDs into unique numbers, dropping anything that is not one.
+ * @param {Array<number|string>=} tagIds
+ * @returns {number[]}
+ */
+export const normalizeTagIds = (tagIds) => {
+    if (!Array.isArray(tagIds)) return [];
+    const ids = tagIds.map(id => (typeof id === 'number' ? id : parseInt(id, 10))).filter(id => !isNaN(id));
+    return [...new Set(ids)];
+};
+
+/**
+ * Groups item_tags.csv rows by the exported item_id.
+ * @param {object[]} itemTagRows - Parsed item_tags.csv rows.
+ * @returns {Map<number, number[]>} Exported tag IDs per exported item ID.
+ */
+export const groupItemTagRows = (itemTagRows) => {
+    const grouped = new Map();
+    itemTagRows.forEach(row => {
+        const itemId = parseInt(row.item_id, 10);
+        const tagId = parseInt(row.tag_id, 10);
+        if (isNaN(itemId) || isNaN(tagId)) return;
+        const tagIds = grouped.get(itemId) || [];
+        if (!tagIds.includes(tagId)) tagIds.push(tagId);
+        grouped.set(itemId, tagIds);
+    });
+    return grouped;
+};
+
+// --- Custom Field Helpers ---
+// Categories declare typed custom fields. Their values are stored as text in a canonical form
+// (see encodeFieldValue), and items carry them in `field_values`, keyed by field_id.
+
+/** Types a custom field can have. */
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'enum', 'date', 'boolean'];
+
+/**
+ * Reads the allowed values of an enum field, stored as a JSON array.
+ * @param {string|string[]|null|undefined} options
+ * @returns {string[]}
+ */
+export const parseFieldOptions = (options) => {
+    if (Array.isArray(options)) return options;
+    if (!options) return [];
+    try {
+        const parsed = JSON.parse(options);
+        return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Checks the definition of a custom field before it is stored.
+ * @param {{ name: string, field_type: string, options?: string[]|string|null }} data
+ * @returns {{ name: string, field_type: string, options: string[]|null }}
+ */
+export const normalizeCustomField = (data) => {
+    const name = String(data?.name ?? '').trim();
+    if (!name) throw new Error("Field name is required.");
+    if (!CUSTOM_FIELD_TYPES.includes(data.field_type)) throw new Error(`Unknown field type: ${data.field_type}`);
+    if (data.field_type !== 'enum') return { name, field_type: data.field_type, options: null };
+
+    const options = [...new Set(parseFieldOptions(data.options).map(option => String(option).trim()).filter(Boolean))];
+    if (options.length === 0) throw new Error("An enum field needs at least one option.");
+    return { name, field_type: data.field_type, options };
+};
+
+/**
+ * Turns a value entered for a custom field into its stored text form:
+ * numbers as written by String(), dates as YYYY-MM-DD and booleans as "true"/"false".
+ * @param {import('./apiSchema').CustomField} field
+ * @param {*} value
+ * @returns {string|null} Null when the value is empty.
+ */
+export const encodeFieldValue = (field, value) => {
+    if (value === null || typeof value === 'undefined') return null;
+    if (field.field_type === 'boolean') {
+        if (value === '') return null;
+        return isTruthyFlag(value) ? 'true' : 'false';
+    }
+    const text = String(value).trim();
+    if (text === '') return null;
+    switch (field.field_type) {
+        case 'number': {
+            const number = Number(text);
+            if (isNaN(number)) throw new Error(`"${field.name}" must be a number.`);
+            return String(number);
+        }
+        case 'date':
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw new Error(`"${field.name}" must be a date (YYYY-MM-DD).`);
+            return text;
+        case 'enum':
+            if (!parseFieldOptions(field.options).includes(text)) throw new Error(`"${text}" is not an option of "${field.name}".`);
+            return text;
+        default:
+            return text;
+    }
+};
+
+/**
+ * Cleans a field_values object: string values keyed by numeric field IDs, empty values dropped.
+ * @param {object=} fieldValues
+ * @returns {Object<string, string>}
+ */
+export const normalizeFieldValues = (fieldValues) => {
+    const normalized = {};
+    Object.entries(fieldValues || {}).forEach(([fieldId, value]) => {
+        if (isNaN(parseInt(fieldId, 10)) || value === null || typeof value === 'undefined' || value === '') return;
+        normalized[parseInt(fieldId, 10)] = String(value);
+    });
+    return normalized;
+};
+
+/**
+ * Turns the fieldFilters of a listItems query into { fieldId, match, value } conditions,
+ * dropping empty ones. Text fields match a substring, other types the exact stored value.
+ * @param {import('./apiSchema').FieldFilter[]=} fieldFilters
+ * @returns {{ fieldId: number, match: 'contains' | 'equals', value: string }[]}
+ */
+export const normalizeFieldFilters = (fieldFilters) => {
+    if (!Array.isArray(fieldFilters)) return [];
+    return fieldFilters.flatMap(filter => {
+        const fieldId = parseInt(filter?.field_id, 10);
+        if (isNaN(fieldId)) return [];
+        let value;
+        try {
+            // The filter does not carry the enum options; the stored value is the option itself
+            value = filter.field_type === 'enum'
+                ? String(filter.value ?? '').trim() || null
+                : encodeFieldValue(filter, filter.value);
+        } catch {
+            return []; // A half-typed number or date does not filter anything yet
+        }
+        if (value === null) return [];
+        return [{ fieldId, match: filter.field_type === 'text' ? 'contains' : 'equals', value }];
+    });
+};
+
+/**
+ * Groups item_field_values.csv rows by the exported item_id.
+ * @param {object[]} rows - Parsed item_field_values.csv rows.
+ * @returns {Map<number, Object<string, string>>} Values per exported item ID, keyed by exported field ID.
+ */
+export const groupItemFieldValueRows = (rows) => {
+    const grouped = new Map();
+    rows.forEach(row => {
+        const itemId = parseInt(row.item_id, 10);
+        const fieldId = parseInt(row.field_id, 10);
+        if (isNaN(itemId) || isNaN(fieldId) || row.value == null || row.value === '') return;
+        const values = grouped.get(itemId) || {};
+        values[fieldId] = String(row.value);
+        grouped.set(itemId, values);
+    });
+    return grouped;
+};
+
+/**
+ * Orders custom fields by category, then position.
+ * @param {import('./apiSchema').CustomField} a
+ * @param {import('./apiSchema').CustomField} b
+ * @returns {number}
+ */
+export const compareCustomFields = (a, b) =>
+    (a.category_id - b.category_id) || ((a.position ?? 0) - (b.position ?? 0)) || (a.field_id - b.field_id);
+
+// --- Change History Helpers ---
+
+/**
+ * Fields whose changes are recorded in the history, per entity type.
+ */
+export const HISTORY_FIELDS = {
+    item: ['name', 'description', 'location_id', 'category_id', 'owner_id', 'price', 'status', 'tag_ids', 'field_values', 'image_uuid'],
+    location: ['name', 'description', 'parent_location_id'],
+    category: ['name', 'description', 'parent_category_id'],
+    owner: ['name', 'description'],
+};
+
+// Brings a field value into one form, so values compare equal however a provider stored them
+const toHistoryValue = (field, value) => {
+    if (value === null || typeof value === 'undefined' || value === '') return null;
+    if (field === 'tag_ids') {
+        const tagIds = normalizeTagIds(value).sort((a, b) => a - b);
+        return tagIds.length > 0 ? tagIds : null;
+    }
+    if (field === 'field_values') {
+        const fieldValues = normalizeFieldValues(value);
+        return Object.keys(fieldValues).length > 0 ? fieldValues : null;
+    }
+    if (field === 'price' || field.endsWith('_id')) return Number(value);
+    return value;
+};
+
+/**
+ * Lists the fields that differ between two states of an entity.
+ * Fields left out of `after` were not part of the change and are skipped.
+ * @param {'item' | 'location' | 'category' | 'owner'} entityType
+ * @param {object | null} before - Null for a new entity.
+ * @param {object | null} after - Null for a deleted entity.
+ * @returns {Object<string, import('./apiSchema').HistoryChange>}
+ */
+export const diffForHistory = (entityType, before, after) => {
+    const changes = {};
+    HISTORY_FIELDS[entityType].forEach(field => {
+        if (after && typeof after[field] === 'undefined') return;
+        const from = toHistoryValue(field, before?.[field]);
+        const to = toHistoryValue(field, after?.[field]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    });
+    return changes;
+};
+
+/**
+ * Builds a history row for a change made through this client.
+ * Updates that changed none of the recorded fields are not worth a row, so null is returned for them.
+ * @param {object} settings - Provider settings; `clientName` names the acting client.
+ * @param {string} entityType
+ * @param {string} entityUuid
+ * @param {import('./apiSchema').HistoryAction} action
+ * @param {Object<string, import('./apiSchema').HistoryChange>=} changes
+ * @returns {Omit<import('./apiSchema').HistoryEntry, 'history_id'> | null}
+ */
+export const createHistoryEntry = (settings, entityType, entityUuid, action, changes = {}) => {
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+    return {
+        entity_type: entityType,
+        entity_uuid: entityUuid,
+        action,
+        changes,
+        actor: settings?.clientName?.trim() || null,
+        created_at: new Date().toISOString(),
+    };
+};
+
+/**
+ * Parses history rows read from a table or history.csv, whose changes may be stored as JSON text, newest first.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').HistoryEntry[]}
+ */
+export const normalizeHistoryEntries = (rows) => rows
+    .map(row => ({
+        ...row,
+        changes: typeof row.changes === 'string' ? (row.changes ? JSON.parse(row.changes) : {}) : (row.changes || {}),
+        actor: row.actor || null,
+    }))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)) || ((b.history_id ?? 0) - (a.history_id ?? 0)));
+
+// --- Wear Helpers ---
+// Wear events record the days an item was worn. Items carry the wear_count and last_worn_on
+// derived from them, so lists can show and sort by them without loading the events.
+
+const WORN_ON_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Formats a date as the 'YYYY-MM-DD' of worn_on, in local time.
+ * @param {Date=} date - Defaults to now.
+ * @returns {string}
+ */
+export const toWornOn = (date = new Date()) => {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Checks and fills in the input of addWearEvent. The provider adds the UUID unless one is given.
+ * @param {import('./apiSchema').AddWearEventInputData} data
+ * @returns {Omit<import('./apiSchema').WearEvent, 'wear_id'>}
+ */
+export const normalizeWearEvent = (data) => {
+    if (!data?.item_uuid) throw new Error("Item UUID is required.");
+    const wornOn = data.worn_on ? String(data.worn_on).slice(0, 10) : toWornOn();
+    if (!WORN_ON_PATTERN.test(wornOn)) throw new Error(`Invalid wear date: ${data.worn_on}`);
+    return {
+        uuid: data.uuid || undefined,
+        item_uuid: data.item_uuid,
+        worn_on: wornOn,
+        note: String(data.note ?? '').trim() || null,
+        created_at: data.created_at || new Date().toISOString(),
+    };
+};
+
+/**
+ * Parses wear event rows read from a table or wear_events.csv, most recently worn first.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').WearEvent[]}
+ */
+export const normalizeWearEvents = (rows) => rows
+    .map(row => ({ ...row, worn_on: String(row.worn_on).slice(0, 10), note: row.note === '' || row.note == null ? null : String(row.note) }))
+    .sort((a, b) => b.worn_on.localeCompare(a.worn_on) || ((b.wear_id ?? 0) - (a.wear_id ?? 0)));
+
+/**
+ * Counts the wear events of every item, or of every outfit.
+ * @param {Array<import('./apiSchema').WearEvent | import('./apiSchema').OutfitWearEvent>} events
+ * @param {'item_uuid' | 'outfit_uuid'=} key - The field naming what was worn.
+ * @returns {Map<string, { wear_count: number, last_worn_on: string }>} Keyed by that UUID.
+ */
+export const summarizeWearEvents = (events, key = 'item_uuid') => {
+    const byItem = new Map();
+    events.forEach(event => {
+        const wornOn = String(event.worn_on).slice(0, 10);
+        const summary = byItem.get(event[key]);
+        if (!summary) {
+            byItem.set(event[key], { wear_count: 1, last_worn_on: wornOn });
+        } else {
+            summary.wear_count++;
+            if (wornOn > summary.last_worn_on) summary.last_worn_on = wornOn;
+        }
+    });
+    return byItem;
+};
+
+/**
+ * Sets wear_count and last_worn_on of an item (or outfit) from the output of summarizeWearEvents.
+ * @param {object} item
+ * @param {Map<string, { wear_count: number, last_worn_on: string }>} wearSummary
+ * @returns {object}
+ */
+export const withWearStats = (item, wearSummary) => {
+    const summary = wearSummary.get(item.uuid);
+    return { ...item, wear_count: summary?.wear_count ?? 0, last_worn_on: summary?.last_worn_on ?? null };
+};
+
+/**
+ * Price of an item divided by the times it was worn.
+ * @param {import('./apiSchema').ItemMetadata} item
+ * @returns {number | null} Null when the item has no price or was never worn.
+ */
+export const costPerWear = (item) => {
+    const price = item?.price === '' || item?.price == null ? NaN : Number(item.price);
+    const wearCount = Number(item?.wear_count) || 0;
+    if (isNaN(price) || wearCount === 0) return null;
+    return price / wearCount;
+};
+
+// --- Loan Helpers ---
+// Loans record who borrowed an item and when. Items carry the lent_on and loan_due_on of
+// their open loan, so lists can show what is lent out and overdue without loading the loans.
+
+/**
+ * Internal: Checks an optional 'YYYY-MM-DD' date of a loan.
+ * @returns {string | null} The date, or null when it is empty.
+ */
+const _loanDate = (value, label) => {
+    if (value === '' || value == null) return null;
+    const date = String(value).slice(0, 10);
+    if (!WORN_ON_PATTERN.test(date)) throw new Error(`Invalid ${label}: ${value}`);
+    return date;
+};
+
+/**
+ * Internal: Checks that the due and return dates of a loan do not come before the day it was lent.
+ */
+const _checkLoanDates = ({ lent_on, due_on, returned_on }) => {
+    if (due_on && due_on < lent_on) throw new Error("The due date cannot be before the day the item was lent.");
+    if (returned_on && returned_on < lent_on) throw new Error("The return date cannot be before the day the item was lent.");
+};
+
+/**
+ * Checks and fills in the input of addLoan. The provider adds the UUID unless one is given.
+ * @param {import('./apiSchema').AddLoanInputData} data
+ * @returns {Omit<import('./apiSchema').Loan, 'loan_id'>}
+ */
+export const normalizeLoan = (data) => {
+    if (!data?.item_uuid) throw new Error("Item UUID is required.");
+    const borrowerName = String(data.borrower_name ?? '').trim();
+    if (!borrowerName) throw new Error("Borrower name is required.");
+    const loan = {
+        uuid: data.uuid || undefined,
+        item_uuid: data.item_uuid,
+        borrower_owner_uuid: data.borrower_owner_uuid || null,
+        borrower_name: borrowerName,
+        lent_on: _loanDate(data.lent_on, 'loan date') ?? toWornOn(),
+        due_on: _loanDate(data.due_on, 'due date'),
+        returned_on: _loanDate(data.returned_on, 'return date'),
+        note: String(data.note ?? '').trim() || null,
+        created_at: data.created_at || new Date().toISOString(),
+    };
+    _checkLoanDates(loan);
+    return loan;
+};
+
+/**
+ * Checks the input of updateLoan against the stored loan.
+ * @param {import('./apiSchema').UpdateLoanInputData} data
+ * @param {import('./apiSchema').Loan} loan - The loan before the update.
+ * @returns {{ due_on?: string | null, returned_on?: string | null, note?: string | null }} Only the fields to change.
+ */
+export const normalizeLoanUpdate = (data, loan) => {
+    const changes = {};
+    if (data.due_on !== undefined) changes.due_on = _loanDate(data.due_on, 'due date');
+    if (data.returned_on !== undefined) changes.returned_on = _loanDate(data.returned_on, 'return date');
+    if (data.note !== undefined) changes.note = String(data.note ?? '').trim() || null;
+    _checkLoanDates({ ...loan, ...changes });
+    return changes;
+};
+
+/**
+ * Parses loan rows read from a table or loans.csv, most recently lent first.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').Loan[]}
+ */
+export const normalizeLoans = (rows) => rows
+    .map(row => ({
+        ...row,
+        borrower_owner_uuid: row.borrower_owner_uuid || null,
+        borrower_name: String(row.borrower_name ?? ''),
+        lent_on: String(row.lent_on).slice(0, 10),
+        due_on: row.due_on ? String(row.due_on).slice(0, 10) : null,
+        returned_on: row.returned_on ? String(row.returned_on).slice(0, 10) : null,
+        note: row.note === '' || row.note == null ? null : String(row.note),
+        updated_at: row.updated_at || null,
+    }))
+    .sort((a, b) => b.lent_on.localeCompare(a.lent_on) || ((b.loan_id ?? 0) - (a.loan_id ?? 0)));
+
+/**
+ * Finds the dates of the open loans of every item that is lent out. Should an item have several,
+ * e.g. after a sync, it counts as lent on the latest loan date and due on the earliest due date,
+ * as the SQL of the server backends has it.
+ * @param {import('./apiSchema').Loan[]} loans
+ * @returns {Map<string, { lent_on: string, loan_due_on: string | null }>} Keyed by item_uuid.
+ */
+export const summarizeOpenLoans = (loans) => {
+    const byItem = new Map();
+    loans.filter(loan => !loan.returned_on).forEach(loan => {
+        const summary = byItem.get(loan.item_uuid) || { lent_on: loan.lent_on, loan_due_on: null };
+        if (loan.lent_on > summary.lent_on) summary.lent_on = loan.lent_on;
+        if (loan.due_on && (!summary.loan_due_on || loan.due_on < summary.loan_due_on)) summary.loan_due_on = loan.due_on;
+        byItem.set(loan.item_uuid, summary);
+    });
+    return byItem;
+};
+
+/**
+ * Sets lent_on and loan_due_on of an item from the output of summarizeOpenLoans.
+ * @param {object} item
+ * @param {Map<string, { lent_on: string, loan_due_on: string | null }>} loanSummary
+ * @returns {object}
+ */
+export const withLoanStats = (item, loanSummary) => {
+    const summary = loanSummary.get(item.uuid);
+    return { ...item, lent_on: summary?.lent_on ?? null, loan_due_on: summary?.loan_due_on ?? null };
+};
+
+/**
+ * Whether a loan is still open after its due date.
+ * @param {{ due_on?: string | null, returned_on?: string | null }} loan
+ * @param {string=} today - 'YYYY-MM-DD'; defaults to today in local time.
+ * @returns {boolean}
+ */
+export const isLoanOverdue = (loan, today = toWornOn()) =>
+    Boolean(loan?.due_on) && !loan.returned_on && String(loan.due_on).slice(0, 10) < today;
+
+// --- Outfit Helpers ---
+// Outfits are named combinations of items. They list their items by UUID in display order and,
+// like items, carry the wear_count and last_worn_on of their own wear events.
+
+/**
+ * Internal: Turns a list of item UUIDs into unique non-empty strings, keeping their order.
+ */
+const _outfitItemUuids = (itemUuids) =>
+    Array.isArray(itemUuids) ? [...new Set(itemUuids.filter(Boolean).map(String))] : [];
+
+/**
+ * Internal: Checks the name of an outfit.
+ */
+const _outfitName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error("Outfit name is required.");
+    return trimmed;
+};
+
+/**
+ * Internal: Reads the embedded link rows of an outfit, which SQLite returns as JSON text.
+ */
+const _linkRows = (value) => {
+    if (Array.isArray(value)) return value;
+    return value ? JSON.parse(value) : [];
+};
+
+/**
+ * Checks and fills in the input of addOutfit. The provider adds the UUID unless one is given.
+ * @param {import('./apiSchema').AddOutfitInputData} data
+ * @returns {{ uuid?: string, name: string, description: string | null, item_uuids: string[], tag_ids: number[], created_at: string }}
+ */
+export const normalizeOutfit = (data) => ({
+    uuid: data?.uuid || undefined,
+    name: _outfitName(data?.name),
+    description: String(data?.description ?? '').trim() || null,
+    item_uuids: _outfitItemUuids(data?.item_uuids),
+    tag_ids: normalizeTagIds(data?.tag_ids),
+    created_at: data?.created_at || new Date().toISOString(),
+});
+
+/**
+ * Checks the input of updateOutfit.
+ * @param {import('./apiSchema').UpdateOutfitInputData} data
+ * @returns {{ name?: string, description?: string | null, item_uuids?: string[], tag_ids?: number[] }} Only the fields to change.
+ */
+export const normalizeOutfitUpdate = (data) => {
+    const changes = {};
+    if (data.name !== undefined) changes.name = _outfitName(data.name);
+    if (data.description !== undefined) changes.description = String(data.description ?? '').trim() || null;
+    if (data.item_uuids !== undefined) changes.item_uuids = _outfitItemUuids(data.item_uuids);
+    if (data.tag_ids !== undefined) changes.tag_ids = normalizeTagIds(data.tag_ids);
+    return changes;
+};
+
+/**
+ * Parses outfit rows, sorted by name. The rows either list item_uuids and tag_ids (IndexedDB) or
+ * embed their outfit_items ({ item_uuid, position }) and outfit_tags ({ tag_id }) rows.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').Outfit[]}
+ */
+export const normalizeOutfits = (rows) => rows
+    .map(({ outfit_items: outfitItems, outfit_tags: outfitTags, ...row }) => ({
+        ...row,
+        name: String(row.name ?? ''),
+        description: row.description === '' || row.description == null ? null : String(row.description),
+        image_uuid: row.image_uuid || null,
+        item_uuids: outfitItems !== undefined
+            ? _outfitItemUuids(_linkRows(outfitItems).sort((a, b) => Number(a.position) - Number(b.position)).map(link => link.item_uuid))
+            : _outfitItemUuids(row.item_uuids),
+        tag_ids: normalizeTagIds(outfitTags !== undefined ? _linkRows(outfitTags).map(link => link.tag_id) : row.tag_ids),
+        wear_count: Number(row.wear_count) || 0,
+        last_worn_on: row.last_worn_on ? String(row.last_worn_on).slice(0, 10) : null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name) || ((a.outfit_id ?? 0) - (b.outfit_id ?? 0)));
+
+/**
+ * Joins the rows of outfits.csv with those of outfit_items.csv and outfit_tags.csv.
+ * @param {object[]} outfitRows
+ * @param {object[]} outfitItemRows - { outfit_uuid, item_uuid, position }
+ * @param {object[]} outfitTagRows - { outfit_uuid, tag_id }, with exported tag IDs.
+ * @returns {import('./apiSchema').Outfit[]} Outfits whose tag_ids are the exported tag IDs.
+ */
+export const joinOutfitRows = (outfitRows, outfitItemRows, outfitTagRows) => normalizeOutfits(outfitRows.map(row => ({
+    ...row,
+    outfit_items: outfitItemRows.filter(link => link.outfit_uuid === row.uuid),
+    outfit_tags: outfitTagRows.filter(link => link.outfit_uuid === row.uuid),
+})));
+
+/**
+ * Checks and fills in the input of addOutfitWearEvent, like normalizeWearEvent does for items.
+ * @param {import('./apiSchema').AddOutfitWearEventInputData} data
+ * @returns {Omit<import('./apiSchema').OutfitWearEvent, 'outfit_wear_id'>}
+ */
+export const normalizeOutfitWearEvent = (data) => {
+    if (!data?.outfit_uuid) throw new Error("Outfit UUID is required.");
+    const { item_uuid, ...wearEvent } = normalizeWearEvent({ ...data, item_uuid: data.outfit_uuid });
+    return { ...wearEvent, outfit_uuid: data.outfit_uuid };
+};
+
+/**
+ * Parses outfit wear event rows read from a table or outfit_wear_events.csv, most recently worn first.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').OutfitWearEvent[]}
+ */
+export const normalizeOutfitWearEvents = (rows) => rows
+    .map(row => ({ ...row, worn_on: String(row.worn_on).slice(0, 10), note: row.note === '' || row.note == null ? null : String(row.note) }))
+    .sort((a, b) => b.worn_on.localeCompare(a.worn_on) || ((b.outfit_wear_id ?? 0) - (a.outfit_wear_id ?? 0)));
+
+// --- Packing List Helpers ---
+// A packing list holds its items as entries in display order, each checked off when packed and
+// again when back from the trip. Templates carry no dates; new lists copy the items of a template.
+
+/**
+ * Internal: Turns entries into unique ones by item UUID, keeping their order and reading the flags.
+ */
+const _packingListEntries = (entries) => {
+    if (!Array.isArray(entries)) return [];
+    const seen = new Set();
+    return entries
+        .filter(entry => entry?.item_uuid && !seen.has(String(entry.item_uuid)) && seen.add(String(entry.item_uuid)))
+        .map(entry => ({
+            item_uuid: String(entry.item_uuid),
+            packed: isTruthyFlag(entry.packed),
+            returned: isTruthyFlag(entry.returned),
+        }));
+};
+
+/**
+ * Internal: Checks the name of a packing list.
+ */
+const _packingListName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error("Packing list name is required.");
+    return trimmed;
+};
+
+/**
+ * Internal: Checks that a trip does not end before it starts. Templates have no dates.
+ */
+const _checkPackingListDates = ({ starts_on, ends_on, is_template }) => {
+    if (is_template && (starts_on || ends_on)) throw new Error("A template cannot have dates.");
+    if (starts_on && ends_on && ends_on < starts_on) throw new Error("The end date cannot be before the start date.");
+};
+
+/**
+ * Checks and fills in the input of addPackingList. The provider adds the UUID unless one is given.
+ * @param {import('./apiSchema').AddPackingListInputData} data
+ * @returns {Omit<import('./apiSchema').PackingList, 'packing_list_id' | 'updated_at'>}
+ */
+export const normalizePackingList = (data) => {
+    const packingList = {
+        uuid: data?.uuid || undefined,
+        name: _packingListName(data?.name),
+        note: String(data?.note ?? '').trim() || null,
+        starts_on: _loanDate(data?.starts_on, 'start date'),
+        ends_on: _loanDate(data?.ends_on, 'end date'),
+        is_template: isTruthyFlag(data?.is_template),
+        entries: _packingListEntries(data?.entries),
+        created_at: data?.created_at || new Date().toISOString(),
+    };
+    _checkPackingListDates(packingList);
+    return packingList;
+};
+
+/**
+ * Checks the input of updatePackingList against the stored list.
+ * @param {import('./apiSchema').UpdatePackingListInputData} data
+ * @param {import('./apiSchema').PackingList} packingList - The list before the update.
+ * @returns {{ name?: string, note?: string | null, starts_on?: string | null, ends_on?: string | null, entries?: object[] }} Only the fields to change.
+ */
+export const normalizePackingListUpdate = (data, packingList) => {
+    const changes = {};
+    if (data.name !== undefined) changes.name = _packingListName(data.name);
+    if (data.note !== undefined) changes.note = String(data.note ?? '').trim() || null;
+    if (data.starts_on !== undefined) changes.starts_on = _loanDate(data.starts_on, 'start date');
+    if (data.ends_on !== undefined) changes.ends_on = _loanDate(data.ends_on, 'end date');
+    if (data.entries !== undefined) changes.entries = _packingListEntries(data.entries);
+    _checkPackingListDates({ ...packingList, ...changes });
+    return changes;
+};
+
+/**
+ * Parses packing list rows: trips with the latest start first, then the templates by name. The rows
+ * either list their entries (IndexedDB) or embed their packing_list_items rows, which SQLite returns as JSON text.
+ * @param {object[]} rows
+ * @returns {import('./apiSchema').PackingList[]}
+ */
+export const normalizePackingLists = (rows) => rows
+    .map(({ packing_list_items: entryRows, ...row }) => ({
+        ...row,
+        name: String(row.name ?? ''),
+        note: row.note === '' || row.note == null ? null : String(row.note),
+        starts_on: row.starts_on ? String(row.starts_on).slice(0, 10) : null,
+        ends_on: row.ends_on ? String(row.ends_on).slice(0, 10) : null,
+        is_template: isTruthyFlag(row.is_template),
+        entries: _packingListEntries(entryRows !== undefined
+            ? _linkRows(entryRows).sort((a, b) => Number(a.position) - Number(b.position))
+            : row.entries),
+    }))
+    .sort((a, b) => Number(a.is_template) - Number(b.is_template)
+        || (a.is_template ? 0 : (b.starts_on ?? '').localeCompare(a.starts_on ?? ''))
+        || a.name.localeCompare(b.name)
+        || ((a.packing_list_id ?? 0) - (b.packing_list_id ?? 0)));
+
+/**
+ * Joins the rows of packing_lists.csv with those of packing_list_items.csv.
+ * @param {object[]} packingListRows
+ * @param {object[]} entryRows - { packing_list_uuid, item_uuid, position, packed, returned }
+ * @returns {import('./apiSchema').PackingList[]}
+ */
+export const joinPackingListRows = (packingListRows, entryRows) => normalizePackingLists(packingListRows.map(row => ({
+    ...row,
+    packing_list_items: entryRows.filter(entry => entry.packing_list_uuid === row.uuid),
+})));
+
+/**
+ * Lists the entries of a trip that has ended which were packed but have not come back.
+ * @param {import('./apiSchema').PackingList} packingList
+ * @param {string} [today] - 'YYYY-MM-DD'
+ * @returns {import('./apiSchema').PackingListEntry[]}
+ */
+export const unreturnedEntries = (packingList, today = toWornOn()) =>
+    !packingList?.is_template && packingList?.ends_on && packingList.ends_on < today
+        ? packingList.entries.filter(entry => entry.packed && !entry.returned)
+        : [];
@@ -1,4 +1,4 @@
-import { createCSV, parseCSV } from './providerUtils'
+import { createCSV, parseCSV, normalizeItemQuery, itemMatchesQuery, compareItemsBy, parseSortCriteria, normalizeItemImageRows, applyItemImageOrder, groupItemImageRows, normalizeImageVariant, normalizeTagName, groupItemTagRows, encodeFieldValue, normalizeCustomField, collectSubtreeIds, getAncestorPath, createsParentCycle, flattenTree, expandLocationFilter, expandCategoryFilter, diffForHistory, createHistoryEntry, normalizeHistoryEntries, createImportProgress, normalizeWearEvent, summarizeWearEvents, withWearStats, costPerWear, normalizeItemStatus, normalizeSetItemStatusInput, normalizeLoan, normalizeLoanUpdate, normalizeLoans, summarizeOpenLoans, withLoanStats, isLoanOverdue, normalizeOutfit, normalizeOutfitUpdate, normalizeOutfits, joinOutfitRows, normalizeOutfitWearEvent, normalizePackingList, normalizePackingListUpdate, joinPackingListRows, unreturnedEntries, schemaHas, legacyItemImages, containsGlobPattern, referencingItemsErrorCode } from './providerUtils'
 
 describe('CSV round-trip', () => {
   it('returns original data after createCSV → parseCSV', () => {
@@ -16,3 +16,461 @@ describe('CSV round-trip', () => {
     ])
   })
 })
+
+describe('item queries', () => {
+  const items = [
+    { item_id: 1, name: 'Blue Shirt', description: null, location_id: 1, category_id: 1, owner_id: 1, price: 20, created_at: '2024-01-01T00:00:00Z' },
+    { item_id: 2, name: 'Red Scarf', description: 'wool, blue stripes', location_id: 2, category_id: 2, owner_id: 1, price: null, created_at: '2024-03-01T00:00:00Z' },
+    { item_id: 3, name: 'Boots', description: null, location_id: 2, category_id: 3, owner_id: 2, price: 80, created_at: '2024-02-01T00:00:00Z' },
+  ]
+  const run = (query) => {
+    const q = normalizeItemQuery(query)
+    return items.filter(item => itemMatchesQuery(item, q)).sort(compareItemsBy(q.sort)).map(i => i.item_id)
+  }
+
+  it('matches text against name and description', () => {
+    expect(run({ name: ' BLUE ' })).toEqual([2, 1])
+  })
+
+  it('folds the case of letters beyond ASCII, in the browser and in SQLite alike', () => {
+    expect(itemMatchesQuery({ name: 'Äitienpäivä', description: null }, normalizeItemQuery({ name: 'ÄITI' }))).toBe(true)
+    expect(containsGlobPattern('ÄITI')).toBe('*[Ää][Ii][Tt][Ii]*')
+    // GLOB wildcards in the text match only themselves; ß has no one-letter upper case
+    expect(containsGlobPattern('50% [x]*ß?')).toBe('*50% [[][xX]][*]ß[?]*')
+  })
+
+  it('keeps items without a price inside any price range', () => {
+    expect(run({ priceMin: 50, sort: 'price_asc' })).toEqual([2, 3])
+  })
+
+  it('combines id filters and sorts by price with missing prices lowest', () => {
+    expect(run({ locationIds: [2], sort: 'price_desc' })).toEqual([3, 2])
+  })
+
+  it('sorts the way the servers do: missing values before 0, names without case, ties by item_id', () => {
+    const sorted = (list, sort) => [...list].sort(compareItemsBy(sort)).map(i => i.item_id)
+    const priced = [{ item_id: 1, price: 0 }, { item_id: 2, price: null }, { item_id: 3, price: 5 }, { item_id: 4, price: 0 }]
+    expect(sorted(priced, 'price_asc')).toEqual([2, 1, 4, 3])
+    expect(sorted(priced, 'price_desc')).toEqual([3, 4, 1, 2])
+
+    // Only A-Z are folded, as by SQLite's NOCASE and the name_key column of PostgreSQL
+    const named = [{ item_id: 1, name: 'boots' }, { item_id: 2, name: 'Äiti' }, { item_id: 3, name: 'Boots' }, { item_id: 4, name: 'Coat' }, { item_id: 5, name: 'äiti' }]
+    expect(sorted(named, 'name_asc')).toEqual([1, 3, 4, 2, 5])
+    expect(sorted(named, 'name_desc')).toEqual([5, 2, 4, 3, 1])
+  })
+
+  it('falls back to newest first for unknown sort keys', () => {
+    expect(parseSortCriteria('bogus_asc')).toEqual({ sortBy: 'created_at', sortOrder: 'desc' })
+    expect(run({ sort: 'bogus_asc' })).toEqual([2, 3, 1])
+  })
+
+  it('keeps trashed items apart from the others', () => {
+    const trashed = { ...items[0], item_id: 4, deleted_at: '2024-04-01T00:00:00Z' }
+    const older = { ...items[0], item_id: 5, deleted_at: '2024-03-15T00:00:00Z' }
+    const all = [...items, trashed, older]
+    const list = (query) => {
+      const q = normalizeItemQuery(query)
+      return all.filter(item => itemMatchesQuery(item, q)).sort(compareItemsBy(q.sort)).map(i => i.item_id)
+    }
+    expect(list({ locationIds: [1] })).toEqual([1])
+    expect(list({ trashed: true, sort: 'deleted_at_desc' })).toEqual([4, 5])
+  })
+})
+
+describe('referencingItemsErrorCode', () => {
+  it('tells items in use from items that are all in the trash', () => {
+    expect(referencingItemsErrorCode([])).toBeNull()
+    expect(referencingItemsErrorCode([{ deleted_at: '2026-10-01T00:00:00Z' }, { deleted_at: null }])).toBe('ENTITY_IN_USE')
+    expect(referencingItemsErrorCode([{ deleted_at: '2026-10-01T00:00:00Z' }])).toBe('ENTITY_IN_TRASH')
+  })
+})
+
+describe('item images', () => {
+  const rows = [
+    { image_uuid: 'b', position: 4, is_primary: false },
+    { image_uuid: 'a', position: 1, is_primary: 0 },
+    { image_uuid: 'c', position: 7, is_primary: false },
+  ]
+  const summary = (list) => list.map(r => `${r.image_uuid}${r.position}${r.is_primary ? '*' : ''}`)
+
+  it('renumbers positions and promotes the first image when none is primary', () => {
+    expect(summary(normalizeItemImageRows(rows))).toEqual(['a0*', 'b1', 'c2'])
+  })
+
+  it('reorders by uuid and keeps the primary flag on the same image', () => {
+    const withPrimary = rows.map(r => ({ ...r, is_primary: r.image_uuid === 'b' }))
+    expect(summary(applyItemImageOrder(withPrimary, ['c', 'b']))).toEqual(['c0', 'b1*', 'a2'])
+  })
+
+  it('groups exported image rows by item and skips rows of older exports', () => {
+    const parsed = parseCSV(createCSV(['uuid', 'item_id', 'position', 'is_primary'], [
+      { uuid: 'x', item_id: 2, position: 1, is_primary: false },
+      { uuid: 'y', item_id: 2, position: 0, is_primary: true },
+      { uuid: 'z', item_id: null, position: 0, is_primary: true },
+    ]))
+    const grouped = groupItemImageRows(parsed)
+    expect([...grouped.keys()]).toEqual([2])
+    expect(grouped.get(2).map(r => [r.uuid, r.position, r.is_primary])).toEqual([['y', 0, true], ['x', 1, false]])
+  })
+})
+
+describe('image variants', () => {
+  it('treats a missing or full variant as the original image and rejects unknown ones', () => {
+    expect(normalizeImageVariant(undefined)).toBeNull()
+    expect(normalizeImageVariant('full')).toBeNull()
+    expect(normalizeImageVariant('thumb')).toBe('thumb')
+    expect(() => normalizeImageVariant('huge')).toThrow()
+  })
+})
+
+describe('item tags', () => {
+  const items = [
+    { item_id: 1, name: 'Coat', tag_ids: [1, 2] },
+    { item_id: 2, name: 'Hat', tag_ids: [2] },
+    { item_id: 3, name: 'Gloves' },
+  ]
+  const run = (query) => {
+    const q = normalizeItemQuery(query)
+    return items.filter(item => itemMatchesQuery(item, q)).map(i => i.item_id)
+  }
+
+  it('matches any selected tag by default and all of them in and-mode', () => {
+    expect(run({ tagIds: [1, 2] })).toEqual([1, 2])
+    expect(run({ tagIds: [1, 2], tagMode: 'and' })).toEqual([1])
+    expect(run({ tagIds: [] })).toEqual([1, 2, 3])
+  })
+
+  it('normalizes names and groups link rows per item', () => {
+    expect(normalizeTagName('  needs   repair ')).toBe('needs repair')
+    const grouped = groupItemTagRows([{ item_id: 1, tag_id: 2 }, { item_id: 1, tag_id: '3' }, { item_id: 2, tag_id: 2 }])
+    expect(grouped.get(1)).toEqual([2, 3])
+    expect(grouped.get(2)).toEqual([2])
+  })
+})
+
+describe('custom fields', () => {
+  const size = { field_id: 1, name: 'Size', field_type: 'enum', options: ['S', 'M', 'L'] }
+  const waist = { field_id: 2, name: 'Waist', field_type: 'number' }
+  const items = [
+    { item_id: 1, field_values: { 1: 'M', 2: '32', 3: 'Levi' } },
+    { item_id: 2, field_values: { 1: 'L', 3: 'Levis Strauss' } },
+    { item_id: 3 },
+  ]
+  const run = (fieldFilters) => {
+    const q = normalizeItemQuery({ fieldFilters })
+    return items.filter(item => itemMatchesQuery(item, q)).map(i => i.item_id)
+  }
+
+  it('encodes values into their stored form and rejects invalid ones', () => {
+    expect(encodeFieldValue(waist, ' 32.50 ')).toBe('32.5')
+    expect(encodeFieldValue(waist, '')).toBeNull()
+    expect(encodeFieldValue({ name: 'Washed', field_type: 'boolean' }, 'false')).toBe('false')
+    expect(() => encodeFieldValue(waist, 'wide')).toThrow()
+    expect(() => encodeFieldValue(size, 'XL')).toThrow()
+    expect(() => encodeFieldValue({ name: 'Bought', field_type: 'date' }, '1.2.2024')).toThrow()
+    expect(() => normalizeCustomField({ name: 'Size', field_type: 'enum', options: '[]' })).toThrow()
+  })
+
+  it('matches text fields by substring and other types exactly', () => {
+    expect(run([{ field_id: 3, field_type: 'text', value: 'levi' }])).toEqual([1, 2])
+    expect(run([{ field_id: 1, field_type: 'enum', value: 'M' }])).toEqual([1])
+    expect(run([{ field_id: 2, field_type: 'number', value: '32.0' }])).toEqual([1])
+    // Empty or half-typed filter values are ignored
+    expect(run([{ field_id: 2, field_type: 'number', value: '3-' }, { field_id: 1, field_type: 'enum', value: '' }])).toEqual([1, 2, 3])
+  })
+})
+
+describe('nested locations', () => {
+  const locations = [
+    { location_id: 1, name: 'House', parent_location_id: null },
+    { location_id: 2, name: 'Wardrobe', parent_location_id: 3 },
+    { location_id: 3, name: 'Bedroom', parent_location_id: 1 },
+    { location_id: 4, name: 'Attic', parent_location_id: 1 },
+    { location_id: 5, name: 'Storage unit', parent_location_id: null },
+  ]
+  const args = [locations, 'location_id', 'parent_location_id']
+
+  it('walks subtrees and ancestor paths', () => {
+    expect(collectSubtreeIds(...args, [3]).sort()).toEqual([2, 3])
+    expect(collectSubtreeIds(...args, [1]).sort()).toEqual([1, 2, 3, 4])
+    expect(getAncestorPath(...args, 2).map(l => l.name)).toEqual(['House', 'Bedroom', 'Wardrobe'])
+    expect(getAncestorPath(...args, 99)).toEqual([])
+  })
+
+  it('detects moves that would create a cycle', () => {
+    expect(createsParentCycle(...args, 1, 2)).toBe(true)
+    expect(createsParentCycle(...args, 3, 3)).toBe(true)
+    expect(createsParentCycle(...args, 3, 4)).toBe(false)
+    expect(createsParentCycle(...args, 1, null)).toBe(false)
+  })
+
+  it('flattens the tree depth-first with siblings by name', () => {
+    expect(flattenTree(...args).map(({ row, depth }) => `${depth}:${row.name}`))
+      .toEqual(['0:House', '1:Attic', '1:Bedroom', '2:Wardrobe', '0:Storage unit'])
+    // Rows caught in a cycle still show up once
+    const broken = [{ location_id: 1, name: 'A', parent_location_id: 2 }, { location_id: 2, name: 'B', parent_location_id: 1 }]
+    expect(flattenTree(broken, 'location_id', 'parent_location_id')).toHaveLength(2)
+  })
+
+  it('widens a location filter to the nested locations', () => {
+    const q = expandLocationFilter(normalizeItemQuery({ locationIds: [3] }), locations)
+    const items = [{ item_id: 1, location_id: 2 }, { item_id: 2, location_id: 4 }]
+    expect(items.filter(item => itemMatchesQuery(item, q)).map(i => i.item_id)).toEqual([1])
+  })
+
+  it('widens a category filter to the subcategories', () => {
+    const categories = [
+      { category_id: 1, name: 'Outerwear', parent_category_id: null },
+      { category_id: 2, name: 'Jackets', parent_category_id: 1 },
+      { category_id: 3, name: 'Rain jackets', parent_category_id: 2 },
+      { category_id: 4, name: 'Shoes', parent_category_id: null },
+    ]
+    const q = expandCategoryFilter(normalizeItemQuery({ categoryIds: [1] }), categories)
+    const items = [{ item_id: 1, category_id: 3 }, { item_id: 2, category_id: 4 }, { item_id: 3, category_id: 1 }]
+    expect(items.filter(item => itemMatchesQuery(item, q)).map(i => i.item_id)).toEqual([1, 3])
+  })
+})
+
+describe('change history', () => {
+  it('records only the fields that changed, however they were stored', () => {
+    const before = { name: 'Winter coat', price: '120', location_id: 1, tag_ids: [3, 1], field_values: { 2: 'L' } }
+    const after = { name: 'Winter coat', price: 99.5, location_id: '4', tag_ids: [1, 3], field_values: { 2: 'L' } }
+    expect(diffForHistory('item', before, after)).toEqual({
+      price: { from: 120, to: 99.5 },
+      location_id: { from: 1, to: 4 },
+    })
+    // Fields left out of the update are not reported as cleared
+    expect(diffForHistory('owner', { name: 'Anna', description: 'x' }, { name: 'Anne' })).toEqual({
+      name: { from: 'Anna', to: 'Anne' },
+    })
+    expect(diffForHistory('owner', { name: 'Anna', description: '' }, null)).toEqual({
+      name: { from: 'Anna', to: null },
+    })
+  })
+
+  it('skips updates without changes and names the acting client', () => {
+    expect(createHistoryEntry({ clientName: 'Anna' }, 'item', 'u1', 'update', {})).toBeNull()
+    const entry = createHistoryEntry({ clientName: ' Anna ' }, 'item', 'u1', 'delete')
+    expect(entry).toMatchObject({ entity_type: 'item', entity_uuid: 'u1', action: 'delete', changes: {}, actor: 'Anna' })
+    expect(createHistoryEntry({}, 'item', 'u1', 'add', {}).actor).toBeNull()
+  })
+
+  it('parses stored changes and sorts the newest first', () => {
+    const rows = [
+      { history_id: 1, action: 'add', changes: '{"name":{"from":null,"to":"Coat"}}', actor: '', created_at: '2025-01-01T10:00:00.000Z' },
+      { history_id: 2, action: 'delete', changes: '', actor: 'Anna', created_at: '2025-01-02T10:00:00.000Z' },
+    ]
+    const entries = normalizeHistoryEntries(rows)
+    expect(entries.map(e => e.history_id)).toEqual([2, 1])
+    expect(entries[0].changes).toEqual({})
+    expect(entries[1]).toMatchObject({ actor: null, changes: { name: { from: null, to: 'Coat' } } })
+  })
+})
+
+describe('wear events', () => {
+  const events = [
+    { wear_id: 1, item_uuid: 'a', worn_on: '2026-03-01' },
+    { wear_id: 2, item_uuid: 'a', worn_on: '2026-04-12' },
+    { wear_id: 3, item_uuid: 'b', worn_on: '2026-02-20' },
+  ]
+
+  it('counts the wears and the last day worn per item', () => {
+    const summary = summarizeWearEvents(events)
+    expect(summary.get('a')).toEqual({ wear_count: 2, last_worn_on: '2026-04-12' })
+    expect(withWearStats({ uuid: 'c' }, summary)).toMatchObject({ wear_count: 0, last_worn_on: null })
+  })
+
+  it('divides the price by the wear count', () => {
+    expect(costPerWear({ price: 30, wear_count: 4 })).toBe(7.5)
+    expect(costPerWear({ price: 30, wear_count: 0 })).toBeNull()
+    expect(costPerWear({ price: null, wear_count: 2 })).toBeNull()
+  })
+
+  it('puts items never worn first when sorting by the last day worn', () => {
+    const summary = summarizeWearEvents(events)
+    const items = ['a', 'b', 'c'].map((uuid, index) => withWearStats({ item_id: index + 1, uuid }, summary))
+    expect(items.sort(compareItemsBy('last_worn_on_asc')).map(item => item.uuid)).toEqual(['c', 'b', 'a'])
+  })
+
+  it('rejects events without an item or with an invalid date', () => {
+    expect(() => normalizeWearEvent({ worn_on: '2026-01-01' })).toThrow()
+    expect(() => normalizeWearEvent({ item_uuid: 'a', worn_on: '1.1.2026' })).toThrow()
+    expect(normalizeWearEvent({ item_uuid: 'a', worn_on: '2026-01-01', note: '  ' }).note).toBeNull()
+  })
+})
+
+describe('item status', () => {
+  it('stores trimmed keys, clears empty ones and leaves a missing one alone', () => {
+    expect(normalizeItemStatus(' laundry ')).toBe('laundry')
+    expect(normalizeItemStatus('')).toBeNull()
+    expect(normalizeItemStatus(null)).toBeNull()
+    expect(normalizeItemStatus(undefined)).toBeUndefined()
+  })
+
+  it('matches items having any of the selected statuses', () => {
+    const items = [{ item_id: 1, status: 'clean' }, { item_id: 2, status: 'laundry' }, { item_id: 3, status: null }]
+    const q = normalizeItemQuery({ statuses: ['laundry', ' tailor ', ''] })
+    expect(q.statuses).toEqual(['laundry', 'tailor'])
+    expect(items.filter(item => itemMatchesQuery(item, q)).map(item => item.item_id)).toEqual([2])
+  })
+
+  it('requires items to change and dedupes their IDs', () => {
+    expect(() => normalizeSetItemStatusInput({ item_ids: [], status: 'clean' })).toThrow()
+    expect(normalizeSetItemStatusInput({ item_ids: [2, '2', 3], status: '' })).toEqual({ itemIds: [2, 3], status: null })
+  })
+})
+
+describe('loans', () => {
+  const loans = normalizeLoans([
+    { loan_id: 1, item_uuid: 'a', borrower_name: 'Aino', lent_on: '2026-01-10', due_on: '2026-01-20', returned_on: '2026-01-18' },
+    { loan_id: 2, item_uuid: 'a', borrower_name: 'Eero', lent_on: '2026-03-01', due_on: '2026-03-15', returned_on: '' },
+    { loan_id: 3, item_uuid: 'b', borrower_name: 'Aino', lent_on: '2026-03-05', due_on: '', returned_on: null },
+  ])
+
+  it('lists the most recently lent first and reads empty dates as null', () => {
+    expect(loans.map(loan => loan.loan_id)).toEqual([3, 2, 1])
+    expect(loans[0]).toMatchObject({ due_on: null, returned_on: null, borrower_owner_uuid: null })
+  })
+
+  it('gives items the dates of their open loan only', () => {
+    const summary = summarizeOpenLoans(loans)
+    expect(withLoanStats({ uuid: 'a' }, summary)).toMatchObject({ lent_on: '2026-03-01', loan_due_on: '2026-03-15' })
+    expect(withLoanStats({ uuid: 'b' }, summary)).toMatchObject({ lent_on: '2026-03-05', loan_due_on: null })
+    expect(withLoanStats({ uuid: 'c' }, summary)).toMatchObject({ lent_on: null, loan_due_on: null })
+  })
+
+  it('counts an item with two open loans as due on the earlier due date', () => {
+    const summary = summarizeOpenLoans(normalizeLoans([
+      { loan_id: 1, item_uuid: 'a', borrower_name: 'Aino', lent_on: '2026-03-01', due_on: '2026-03-10' },
+      { loan_id: 2, item_uuid: 'a', borrower_name: 'Eero', lent_on: '2026-03-05', due_on: '2026-04-01' },
+      { loan_id: 3, item_uuid: 'a', borrower_name: 'Eero', lent_on: '2026-03-07', due_on: null },
+    ]))
+    expect(withLoanStats({ uuid: 'a' }, summary)).toMatchObject({ lent_on: '2026-03-07', loan_due_on: '2026-03-10' })
+  })
+
+  it('is overdue after the due date until the item is returned', () => {
+    expect(isLoanOverdue(loans[1], '2026-03-16')).toBe(true)
+    expect(isLoanOverdue(loans[1], '2026-03-15')).toBe(false)
+    expect(isLoanOverdue(loans[2], '2026-12-31')).toBe(false) // Returned
+    expect(isLoanOverdue(loans[0], '2026-12-31')).toBe(false) // No due date
+  })
+
+  it('requires a borrower and due and return dates after the loan date', () => {
+    expect(() => normalizeLoan({ item_uuid: 'a', borrower_name: ' ' })).toThrow()
+    expect(() => normalizeLoan({ item_uuid: 'a', borrower_name: 'Aino', lent_on: '2026-02-01', due_on: '2026-01-31' })).toThrow()
+    expect(normalizeLoan({ item_uuid: 'a', borrower_name: ' Aino ', lent_on: '2026-02-01' })).toMatchObject({ borrower_name: 'Aino', due_on: null, returned_on: null })
+    expect(() => normalizeLoanUpdate({ returned_on: '2026-02-28' }, loans[1])).toThrow()
+    expect(normalizeLoanUpdate({ returned_on: '2026-03-10' }, loans[1])).toEqual({ returned_on: '2026-03-10' })
+  })
+})
+
+describe('outfits', () => {
+  it('requires a name and keeps each item once, in order', () => {
+    expect(() => normalizeOutfit({ name: ' ', item_uuids: ['a'] })).toThrow()
+    expect(normalizeOutfit({ name: ' Work ', item_uuids: ['b', 'a', 'b', ''], tag_ids: ['2', 2, 'x'] }))
+      .toMatchObject({ name: 'Work', description: null, item_uuids: ['b', 'a'], tag_ids: [2] })
+    expect(normalizeOutfitUpdate({ tag_ids: [] })).toEqual({ tag_ids: [] })
+    expect(() => normalizeOutfitUpdate({ name: '' })).toThrow()
+  })
+
+  it('reads embedded link rows in the order of their position', () => {
+    const [outfit] = normalizeOutfits([{
+      outfit_id: 1, uuid: 'o', name: 'Work', description: '', wear_count: '2', last_worn_on: '2026-03-01',
+      outfit_items: '[{"item_uuid":"b","position":1},{"item_uuid":"a","position":0}]',
+      outfit_tags: [{ tag_id: 3 }],
+    }])
+    expect(outfit).toEqual({ outfit_id: 1, uuid: 'o', name: 'Work', description: null, image_uuid: null, item_uuids: ['a', 'b'], tag_ids: [3], wear_count: 2, last_worn_on: '2026-03-01' })
+  })
+
+  it('joins the outfit CSVs and sorts the outfits by name', () => {
+    const outfits = joinOutfitRows(
+      [{ outfit_id: 1, uuid: 'o1', name: 'Work' }, { outfit_id: 2, uuid: 'o2', name: 'Hiking' }],
+      [{ outfit_uuid: 'o1', item_uuid: 'a', position: 0 }, { outfit_uuid: 'o2', item_uuid: 'b', position: 0 }],
+      [{ outfit_uuid: 'o2', tag_id: 5 }],
+    )
+    expect(outfits.map(outfit => [outfit.uuid, outfit.item_uuids, outfit.tag_ids])).toEqual([['o2', ['b'], [5]], ['o1', ['a'], []]])
+  })
+
+  it('counts the wear events of outfits by outfit UUID', () => {
+    const wearEvent = normalizeOutfitWearEvent({ outfit_uuid: 'o1', worn_on: '2026-03-02' })
+    expect(wearEvent).toMatchObject({ outfit_uuid: 'o1', worn_on: '2026-03-02', note: null })
+    expect(wearEvent).not.toHaveProperty('item_uuid')
+    expect(() => normalizeOutfitWearEvent({ worn_on: '2026-03-02' })).toThrow()
+    const summary = summarizeWearEvents([wearEvent, { outfit_uuid: 'o1', worn_on: '2026-03-01' }], 'outfit_uuid')
+    expect(withWearStats({ uuid: 'o1' }, summary)).toMatchObject({ wear_count: 2, last_worn_on: '2026-03-02' })
+  })
+})
+
+describe('packing lists', () => {
+  it('checks the dates and keeps each item once, in order', () => {
+    expect(() => normalizePackingList({ name: '' })).toThrow()
+    expect(() => normalizePackingList({ name: 'Trip', starts_on: '2026-07-10', ends_on: '2026-07-01' })).toThrow()
+    expect(() => normalizePackingList({ name: 'Beach', is_template: true, starts_on: '2026-07-01' })).toThrow()
+    expect(normalizePackingList({ name: ' Trip ', starts_on: '2026-07-01', ends_on: '', entries: [{ item_uuid: 'b', packed: 1 }, { item_uuid: 'a' }, { item_uuid: 'b' }] }))
+      .toMatchObject({ name: 'Trip', note: null, starts_on: '2026-07-01', ends_on: null, is_template: false, entries: [{ item_uuid: 'b', packed: true, returned: false }, { item_uuid: 'a', packed: false, returned: false }] })
+    const stored = { name: 'Trip', starts_on: '2026-07-01', ends_on: '2026-07-05', is_template: false }
+    expect(normalizePackingListUpdate({ ends_on: '2026-07-03' }, stored)).toEqual({ ends_on: '2026-07-03' })
+    expect(() => normalizePackingListUpdate({ ends_on: '2026-06-30' }, stored)).toThrow()
+  })
+
+  it('joins the packing list CSVs, trips by latest start before the templates', () => {
+    const packingLists = joinPackingListRows(
+      [
+        { packing_list_id: 1, uuid: 't', name: 'Beach', is_template: 'true' },
+        { packing_list_id: 2, uuid: 'p1', name: 'Lapland', starts_on: '2026-02-01', ends_on: '2026-02-07', is_template: 'false' },
+        { packing_list_id: 3, uuid: 'p2', name: 'Rome', starts_on: '2026-05-01', ends_on: '2026-05-04', is_template: 0 },
+      ],
+      [
+        { packing_list_uuid: 'p2', item_uuid: 'b', position: 1, packed: 'true', returned: 'false' },
+        { packing_list_uuid: 'p2', item_uuid: 'a', position: 0, packed: '1', returned: '1' },
+        { packing_list_uuid: 't', item_uuid: 'a', position: 0, packed: 'false', returned: 'false' },
+      ],
+    )
+    expect(packingLists.map(list => [list.uuid, list.entries.map(entry => entry.item_uuid)])).toEqual([['p2', ['a', 'b']], ['p1', []], ['t', ['a']]])
+    expect(packingLists[0].entries[1]).toEqual({ item_uuid: 'b', packed: true, returned: false })
+  })
+
+  it('flags packed items that did not come back once the trip is over', () => {
+    const trip = normalizePackingList({ name: 'Rome', starts_on: '2026-05-01', ends_on: '2026-05-04', entries: [{ item_uuid: 'a', packed: true, returned: true }, { item_uuid: 'b', packed: true }, { item_uuid: 'c' }] })
+    expect(unreturnedEntries(trip, '2026-05-04')).toEqual([])
+    expect(unreturnedEntries(trip, '2026-05-05').map(entry => entry.item_uuid)).toEqual(['b'])
+    expect(unreturnedEntries({ ...trip, ends_on: null }, '2026-05-05')).toEqual([])
+  })
+})
+
+describe('schema versions', () => {
+  it('tells which tables a database on an older schema has', () => {
+    expect(schemaHas(13, 'wear_events')).toBe(true)
+    expect(schemaHas(13, 'loans')).toBe(false)
+    expect(schemaHas(9, 'items.deleted_at')).toBe(false)
+    expect(schemaHas(1, 'locations')).toBe(true)
+  })
+
+  it('reads the one image of an item from before item_images', () => {
+    expect(legacyItemImages({ item_id: 3, image_id: 7, image_uuid: 'img-7' })).toEqual([{ image_id: 7, image_uuid: 'img-7', item_id: 3, position: 0, is_primary: true }])
+    expect(legacyItemImages({ item_id: 4, image_id: null, image_uuid: null })).toEqual([])
+  })
+})
+
+describe('import progress', () => {
+  it('resumes from the checkpoint of an earlier run', async () => {
+    const saved = []
+    const first = createImportProgress(null, (checkpoint) => { saved.push(JSON.parse(JSON.stringify(checkpoint))) })
+    await first.markCleared()
+    await first.recordId('locations', 1, 10)
+    await first.startItem(5)
+    await first.markItemDone(5)
+    await first.startItem(6)
+
+    // The saver collects the completed items; each checkpoint only adds to them
+    expect(saved.map((checkpoint) => checkpoint.addedCompletedItemIds)).toEqual([[], [], [], ['5'], []])
+    const completedItemIds = saved.flatMap((checkpoint) => checkpoint.addedCompletedItemIds)
+    const resumed = createImportProgress({ ...saved[saved.length - 1], completedItemIds })
+    expect(resumed.cleared).toBe(true)
+    expect(resumed.idMap('locations')).toEqual({ 1: 10 })
+    expect(resumed.idMap('owners')).toEqual({})
+    expect(resumed.isItemDone(5)).toBe(true)
+    expect(resumed.isItemDone(6)).toBe(false)
+    expect(resumed.wasItemStarted(6)).toBe(true)
+  })
+})
@@ -0,0 +1,75 @@
+// Registry of the schema migrations of the server backends.
+// The steps are the SQL files in backend/migrations, named schema_<dialect>_<from>to<to>.sql,
+// so a new schema version only needs its two files there. They are bundled at build time, so
+// the container image is built from the root of the repository (see frontend/Containerfile).
+
+const MIGRATION_FILES = import.meta.glob('../../../backend/migrations/*.sql', {
+    query: '?raw',
+    import: 'default',
+    eager: true,
+});
+
+const FILENAME_PATTERN = /schema_(sqlite|postgres)_(\d+)to(\d+)\.sql$/;
+
+/**
+ * Migration steps of each SQL dialect, sorted by the version they start from.
+ * @type {{ [dialect: string]: { from: number, to: number, sql: string }[] }}
+ */
+export const SCHEMA_MIGRATIONS = Object.entries(MIGRATION_FILES).reduce((acc, [path, sql]) => {
+    const match = path.match(FILENAME_PATTERN);
+    if (!match) return acc;
+    const [, dialect, from, to] = match;
+    (acc[dialect] = acc[dialect] || []).push({ from: Number(from), to: Number(to), sql });
+    acc[dialect].sort((a, b) => a.from - b.from);
+    return acc;
+}, {});
+
+/**
+ * The steps that take a database of the given dialect from one version to another.
+ * @param {string} dialect - 'sqlite' or 'postgres'.
+ * @param {number} fromVersion
+ * @param {number} toVersion
+ * @returns {{ from: number, to: number, sql: string }[]}
+ * @throws {Error} If no chain of steps leads from fromVersion to toVersion.
+ */
+export const getMigrationSteps = (dialect, fromVersion, toVersion) => {
+    const available = SCHEMA_MIGRATIONS[dialect] || [];
+    const steps = [];
+    let version = fromVersion;
+    while (version < toVersion) {
+        const step = available.find(candidate => candidate.from === version);
+        if (!step) throw new Error(`No ${dialect} migration starts from schema version ${version}.`);
+        steps.push(step);
+        version = step.to;
+    }
+    if (version !== toVersion) {
+        throw new Error(`The ${dialect} migrations skip over schema version ${toVersion}.`);
+    }
+    return steps;
+};
+
+/**
+ * Upgrades the schema of a database one step at a time. Each step is recorded in
+ * schema_version by the backend, so a run that stopped halfway can be started again.
+ * @param {object} api - Bound API methods of the provider; must have applySchemaMigration.
+ * @param {string} dialect - SQL dialect of the provider, from its schemaDialect.
+ * @param {number} targetVersion
+ * @param {{ onStep?: (step: { from: number, to: number, index: number, total: number }) => void }} [options]
+ * @returns {Promise<number>} The version of the database afterwards.
+ */
+export const runSchemaMigrations = async (api, dialect, targetVersion, options = {}) => {
+    const { onStep } = options;
+    if (typeof api.applySchemaMigration !== 'function') {
+        throw new Error('This provider cannot migrate its schema.');
+    }
+    const steps = getMigrationSteps(dialect, await api.getDbVersion(), targetVersion);
+    for (const [index, step] of steps.entries()) {
+        onStep?.({ from: step.from, to: step.to, index, total: steps.length });
+        await api.applySchemaMigration(step);
+        const version = await api.getDbVersion();
+        if (version !== step.to) {
+            throw new Error(`The migration to schema version ${step.to} ran, but the database reports version ${version}.`);
+        }
+    }
+    return api.getDbVersion();
+};
@@ -0,0 +1,41 @@
+import { SCHEMA_MIGRATIONS, getMigrationSteps, runSchemaMigrations } from './schemaMigrations'
+import { FORMAT_VERSION } from './exportFormat'
+
+describe('getMigrationSteps', () => {
+  it('reads the migration files of both dialects', () => {
+    expect(SCHEMA_MIGRATIONS.sqlite[0]).toMatchObject({ from: 1, to: 3 })
+    expect(SCHEMA_MIGRATIONS.postgres.at(-1).sql).toContain('UPDATE schema_version SET version')
+  })
+
+  it('upgrades a database of either dialect from version 1 to the version of the app', () => {
+    const appMajor = parseInt(FORMAT_VERSION.split('.')[0], 10)
+
+    expect(Object.keys(SCHEMA_MIGRATIONS).sort()).toEqual(['postgres', 'sqlite'])
+    for (const dialect of ['sqlite', 'postgres']) {
+      expect(getMigrationSteps(dialect, 1, appMajor).at(-1).to).toBe(appMajor)
+    }
+  })
+
+  it('chains the steps between two versions and rejects a gap', () => {
+    expect(getMigrationSteps('sqlite', 8, 11).map((step) => step.to)).toEqual([9, 10, 11])
+    expect(getMigrationSteps('postgres', 11, 11)).toEqual([])
+    expect(() => getMigrationSteps('sqlite', 2, 11)).toThrow('schema version 2')
+  })
+})
+
+describe('runSchemaMigrations', () => {
+  it('applies each step and stops when the database does not report the new version', async () => {
+    let version = 9
+    const applied = []
+    const api = {
+      getDbVersion: async () => version,
+      applySchemaMigration: async (step) => {
+        applied.push(step.to)
+        if (step.to === 10) version = 10
+      },
+    }
+
+    await expect(runSchemaMigrations(api, 'postgres', 11)).rejects.toThrow('reports version 10')
+    expect(applied).toEqual([10, 11])
+  })
+})
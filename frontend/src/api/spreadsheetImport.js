@@ -0,0 +1,255 @@
+import JSZip from 'jszip';
+import { parseCSV, readFileAsArrayBuffer, getMimeTypeFromFilename, normalizeTagName } from './providerUtils';
+
+// Import of items from a plain spreadsheet, e.g. an old wardrobe list, as opposed to the app's own
+// export ZIP. The user maps columns to item fields; locations, categories, owners and tags are
+// matched by name and created when missing. Images are attached by filename from files the user picks.
+
+/** Item fields a column can be mapped to. Locations, categories, owners and tags are given by name. */
+export const SPREADSHEET_FIELDS = ['name', 'description', 'location', 'category', 'owner', 'price', 'tags', 'images'];
+
+// Column names recognised for each field, in lower case
+const FIELD_ALIASES = {
+    name: ['name', 'nimi', 'item', 'title', 'vaate'],
+    description: ['description', 'kuvaus', 'notes', 'muistiinpanot'],
+    location: ['location', 'sijainti', 'paikka'],
+    category: ['category', 'kategoria', 'luokka', 'type', 'tyyppi'],
+    owner: ['owner', 'omistaja'],
+    price: ['price', 'hinta', 'cost'],
+    tags: ['tags', 'tag', 'tunnisteet', 'tagit'],
+    images: ['images', 'image', 'kuvat', 'kuva', 'photo', 'photos', 'filename', 'file'],
+};
+
+// Separators of the names within a tags or images cell
+const LIST_SEPARATOR = /[,;|]/;
+
+const isSpreadsheetXlsx = (file) => file.name.toLowerCase().endsWith('.xlsx');
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// The text of an element, with rich text runs joined
+const textOf = (element) => Array.from(element.getElementsByTagName('t')).map(t => t.textContent).join('');
+
+// Zero-based column index of a cell reference like "AB12"
+const columnIndexOf = (cellRef) => [...cellRef.replace(/\d+$/, '')].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Reads the cells of the first worksheet of an XLSX file as text.
+ * @returns {Promise<string[][]>} Rows of cells; empty cells are empty strings.
+ */
+const readXlsxCells = async (file) => {
+    const zip = await JSZip.loadAsync(await readFileAsArrayBuffer(file));
+    const readXml = async (path) => {
+        const entry = zip.file(path);
+        if (!entry) throw new Error(`The spreadsheet has no ${path}.`);
+        return parseXml(await entry.async('string'));
+    };
+
+    // The first sheet in the workbook's order, found through its relationship
+    const workbook = await readXml('xl/workbook.xml');
+    const firstSheet = workbook.getElementsByTagName('sheet')[0];
+    if (!firstSheet) throw new Error('The spreadsheet has no worksheets.');
+    const relationId = firstSheet.getAttribute('r:id');
+    const relations = await readXml('xl/_rels/workbook.xml.rels');
+    const relation = Array.from(relations.getElementsByTagName('Relationship')).find(rel => rel.getAttribute('Id') === relationId);
+    const target = relation?.getAttribute('Target') || 'worksheets/sheet1.xml';
+    const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+    const sharedStrings = zip.file('xl/sharedStrings.xml')
+        ? Array.from((await readXml('xl/sharedStrings.xml')).getElementsByTagName('si')).map(textOf)
+        : [];
+    const sheet = await readXml(sheetPath);
+    return Array.from(sheet.getElementsByTagName('row')).map(row => {
+        const cells = [];
+        Array.from(row.getElementsByTagName('c')).forEach((cell, position) => {
+            const ref = cell.getAttribute('r');
+            const index = ref ? columnIndexOf(ref) : position;
+            const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+            const type = cell.getAttribute('t');
+            let text = value;
+            if (type === 's') text = sharedStrings[parseInt(value, 10)] ?? '';
+            else if (type === 'inlineStr') text = textOf(cell);
+            else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+            while (cells.length < index) cells.push('');
+            cells[index] = text.trim();
+        });
+        return cells;
+    });
+};
+
+/**
+ * Reads a CSV or XLSX file. The first row names the columns.
+ * @param {File} file
+ * @returns {Promise<{ columns: string[], rows: Object<string, string>[] }>} Cell values as text, keyed by column name.
+ */
+export const readSpreadsheet = async (file) => {
+    if (isSpreadsheetXlsx(file)) {
+        const [header = [], ...cellRows] = (await readXlsxCells(file)).filter(cells => cells.some(Boolean));
+        const columns = header.map((column, index) => column || `#${index + 1}`);
+        const rows = cellRows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+        return { columns, rows };
+    }
+    // TextDecoder drops the byte order mark spreadsheet programs write
+    const parsed = parseCSV(new TextDecoder().decode(await readFileAsArrayBuffer(file)));
+    const columns = parsed.length > 0 ? Object.keys(parsed[0]) : [];
+    const rows = parsed.map(row => Object.fromEntries(columns.map(column => [column, row[column] == null ? '' : String(row[column])])));
+    return { columns, rows };
+};
+
+/**
+ * Guesses which column holds each field from the column names.
+ * @param {string[]} columns
+ * @returns {Object<string, string>} Column per field of SPREADSHEET_FIELDS; '' when none matches.
+ */
+export const suggestColumnMapping = (columns) => Object.fromEntries(SPREADSHEET_FIELDS.map(field => [
+    field,
+    columns.find(column => FIELD_ALIASES[field].includes(column.trim().toLowerCase())) || '',
+]));
+
+/**
+ * Reads a price as written in a spreadsheet, with a decimal point or comma and an optional currency sign.
+ * @param {string} text
+ * @returns {number | null | undefined} Null when empty, undefined when not a valid price.
+ */
+export const parseSpreadsheetPrice = (text) => {
+    const cleaned = String(text ?? '').replace(/[€$£\s]/g, '').replace(',', '.');
+    if (cleaned === '') return null;
+    if (!/^\d+(\.\d+)?$/.test(cleaned)) return undefined;
+    return parseFloat(cleaned);
+};
+
+const splitList = (text) => String(text ?? '').split(LIST_SEPARATOR).map(part => part.trim()).filter(Boolean);
+
+// Images are looked up by their filename alone, without folders and case
+const imageKey = (path) => path.split(/[\\/]/).pop().toLowerCase();
+
+/**
+ * Collects images to attach by filename, from picked image files, a picked folder, or ZIP files of them.
+ * @param {File[]} files
+ * @returns {Promise<Map<string, () => Promise<File>>>} Loaders of the images, by lower-case filename.
+ */
+export const collectSpreadsheetImages = async (files) => {
+    const images = new Map();
+    for (const file of files) {
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            const zip = await JSZip.loadAsync(await readFileAsArrayBuffer(file));
+            zip.forEach((path, entry) => {
+                const name = path.split('/').pop();
+                if (entry.dir || getMimeTypeFromFilename(name) === 'application/octet-stream') return;
+                images.set(imageKey(path), async () => new File([await entry.async('blob')], name, { type: getMimeTypeFromFilename(name) }));
+            });
+        } else if (getMimeTypeFromFilename(file.name) !== 'application/octet-stream') {
+            images.set(imageKey(file.name), async () => file);
+        }
+    }
+    return images;
+};
+
+/**
+ * Turns spreadsheet rows into item values through a column mapping, and checks them.
+ * @param {Object<string, string>[]} rows - As read by readSpreadsheet.
+ * @param {Object<string, string>} mapping - Column per field, as from suggestColumnMapping.
+ * @param {Map<string, Function> | null} [images] - As from collectSpreadsheetImages, to check the image names against.
+ * @returns {{ rowNumber: number, values: object, problems: { kind: string, blocking: boolean, value?: string }[] }[]}
+ *   rowNumber counts the header as row 1. Rows with a blocking problem are not imported.
+ */
+export const prepareSpreadsheetRows = (rows, mapping, images = null) => rows.map((row, index) => {
+    const cell = (field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+    const problems = [];
+    const price = parseSpreadsheetPrice(cell('price'));
+    const values = {
+        name: cell('name'),
+        description: cell('description') || null,
+        location: cell('location'),
+        category: cell('category'),
+        owner: cell('owner'),
+        price: price ?? null,
+        tags: [...new Set(splitList(cell('tags')).map(normalizeTagName))],
+        images: splitList(cell('images')),
+    };
+    if (!values.name) problems.push({ kind: 'missingName', blocking: true });
+    if (price === undefined) problems.push({ kind: 'invalidPrice', blocking: true, value: cell('price') });
+    if (images) {
+        values.images.filter(name => !images.has(imageKey(name))).forEach(name => problems.push({ kind: 'missingImage', blocking: false, value: name }));
+    }
+    return { rowNumber: index + 2, values, problems };
+});
+
+const checkResult = (result, what) => {
+    if (!result?.success) throw new Error(result?.message || result?.errorCode || `Failed to ${what}.`);
+    return result;
+};
+
+/**
+ * Adds the prepared rows as items. Locations, categories, owners and tags are matched by name
+ * without regard to case, and created when missing; a row that names none gets the fallback.
+ * A row that fails is reported in `errors`, and the import goes on with the rest.
+ * @param {object} api - Bound API methods of the provider, e.g. the ApiContext value.
+ * @param {ReturnType<typeof prepareSpreadsheetRows>} preparedRows
+ * @param {{
+ *   fallbackNames: { location: string, category: string, owner: string },
+ *   images?: Map<string, () => Promise<File>> | null,
+ *   prepareImage?: (file: File) => Promise<{ imageFile: File, thumbnailFile: File | null }>,
+ *   onProgress?: (done: number, total: number) => void
+ * }} options - prepareImage may compress images and make their thumbnails.
+ * @returns {Promise<{ added: number, images: number, created: { location: string[], category: string[], owner: string[], tag: string[] }, skipped: { rowNumber: number, problems: object[] }[], errors: { rowNumber: number, name: string, message: string }[] }>}
+ */
+export const importSpreadsheetRows = async (api, preparedRows, options) => {
+    const { fallbackNames, images = null, prepareImage = async (file) => ({ imageFile: file, thumbnailFile: null }), onProgress } = options;
+    const report = { added: 0, images: 0, created: { location: [], category: [], owner: [], tag: [] }, skipped: [], errors: [] };
+
+    const byName = (rows, idField) => new Map(rows.map(row => [row.name.trim().toLowerCase(), row[idField]]));
+    const known = {
+        location: { ids: byName(await api.listLocations(), 'location_id'), add: (name) => api.addLocation({ name, description: null, parent_location_id: null }) },
+        category: { ids: byName(await api.listCategories(), 'category_id'), add: (name) => api.addCategory({ name, description: null, parent_category_id: null }) },
+        owner: { ids: byName(await api.listOwners(), 'owner_id'), add: (name) => api.addOwner({ name, description: null }) },
+        tag: { ids: byName(await api.listTags(), 'tag_id'), add: (name) => api.addTag({ name }) },
+    };
+    const idFor = async (type, name) => {
+        const key = name.toLowerCase();
+        if (!known[type].ids.has(key)) {
+            const result = checkResult(await known[type].add(name), `add the ${type} "${name}"`);
+            known[type].ids.set(key, result.newId);
+            report.created[type].push(name);
+        }
+        return known[type].ids.get(key);
+    };
+
+    const importable = preparedRows.filter(row => {
+        if (!row.problems.some(problem => problem.blocking)) return true;
+        report.skipped.push({ rowNumber: row.rowNumber, problems: row.problems });
+        return false;
+    });
+    for (const [index, { rowNumber, values }] of importable.entries()) {
+        try {
+            const itemImages = [];
+            for (const name of values.images) {
+                const loadImage = images?.get(imageKey(name));
+                if (loadImage) itemImages.push(await prepareImage(await loadImage()));
+            }
+            const tagIds = [];
+            for (const tag of values.tags) tagIds.push(await idFor('tag', tag));
+            const result = checkResult(await api.addItem({
+                name: values.name,
+                description: values.description,
+                price: values.price,
+                location_id: await idFor('location', values.location || fallbackNames.location),
+                category_id: await idFor('category', values.category || fallbackNames.category),
+                owner_id: await idFor('owner', values.owner || fallbackNames.owner),
+                tag_ids: tagIds,
+                field_values: {},
+                imageFile: itemImages[0]?.imageFile ?? null,
+                thumbnailFile: itemImages[0]?.thumbnailFile ?? null,
+            }), 'add the item');
+            for (const image of itemImages.slice(1)) {
+                checkResult(await api.addItemImage({ item_id: result.newId, ...image }), 'add an image');
+            }
+            report.added++;
+            report.images += itemImages.length;
+        } catch (err) {
+            report.errors.push({ rowNumber, name: values.name, message: err.message });
+        }
+        onProgress?.(index + 1, importable.length);
+    }
+    return report;
+};
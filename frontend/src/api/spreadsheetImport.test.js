@@ -0,0 +1,71 @@
+import JSZip from 'jszip'
+import {
+  readSpreadsheet,
+  suggestColumnMapping,
+  prepareSpreadsheetRows,
+  collectSpreadsheetImages,
+  importSpreadsheetRows,
+} from './spreadsheetImport'
+import { createMemoryApi } from './memoryProvider.testutil'
+
+// The smallest XLSX spreadsheet programs write: a workbook, its relations, shared strings and one sheet
+const buildXlsx = async () => {
+  const zip = new JSZip()
+  zip.file('xl/workbook.xml', '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Vaatteet" sheetId="1" r:id="rId1"/></sheets></workbook>')
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>')
+  zip.file('xl/sharedStrings.xml', '<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><si><t>Nimi</t></si><si><t>Hinta</t></si><si><r><t>Villa</t></r><r><t>paita</t></r></si></sst>')
+  zip.file('xl/worksheets/sheet1.xml', '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>24.5</v></c></row>' +
+    '</sheetData></worksheet>')
+  return new File([await zip.generateAsync({ type: 'uint8array' })], 'vaatteet.xlsx')
+}
+
+describe('spreadsheet import', () => {
+  it('reads the first sheet of an XLSX file and guesses the column mapping', async () => {
+    const { columns, rows } = await readSpreadsheet(await buildXlsx())
+
+    expect(columns).toEqual(['Nimi', '#2', 'Hinta'])
+    expect(rows).toEqual([{ Nimi: 'Villapaita', '#2': '', Hinta: '24.5' }])
+    expect(suggestColumnMapping(columns)).toMatchObject({ name: 'Nimi', price: 'Hinta', location: '' })
+  })
+
+  it('validates prices and image names of CSV rows', async () => {
+    const csv = 'Name;Price;Photo\nScarf;12,50 €;scarf.JPG\nHat;cheap;\n;5;'
+    const { columns, rows } = await readSpreadsheet(new File([csv], 'list.csv'))
+    const images = await collectSpreadsheetImages([new File(['jpeg'], 'scarf.jpg'), new File(['text'], 'notes.txt')])
+
+    const prepared = prepareSpreadsheetRows(rows, suggestColumnMapping(columns), images)
+
+    expect(prepared.map((row) => [row.rowNumber, row.values.price, row.problems.map((problem) => problem.kind)])).toEqual([
+      [2, 12.5, []],
+      [3, null, ['invalidPrice']],
+      [4, 5, ['missingName']],
+    ])
+    expect([...images.keys()]).toEqual(['scarf.jpg'])
+  })
+
+  it('creates missing locations, categories, owners and tags by name', async () => {
+    const api = createMemoryApi(11) // Above the seeded IDs
+    api.seed('location', { location_id: 1, uuid: 'loc-a', name: 'Closet', description: null, parent_location_id: null })
+    const rows = [
+      { Name: 'Scarf', Location: 'closet', Category: 'Accessories', Tags: 'winter, wool', Image: 'scarf.jpg' },
+      { Name: 'Mittens', Location: '', Category: 'Accessories', Tags: 'Winter', Image: '' },
+    ]
+    const mapping = { ...suggestColumnMapping(['Name', 'Location', 'Category', 'Tags']), images: 'Image' }
+    const images = await collectSpreadsheetImages([new File(['jpeg'], 'scarf.jpg', { type: 'image/jpeg' })])
+
+    const report = await importSpreadsheetRows(api, prepareSpreadsheetRows(rows, mapping, images), {
+      fallbackNames: { location: 'Unsorted', category: 'Unsorted', owner: 'Unknown' },
+      images,
+    })
+
+    expect(report.errors).toEqual([])
+    expect(report.added).toBe(2)
+    expect(report.images).toBe(1)
+    expect(report.created).toEqual({ location: ['Unsorted'], category: ['Accessories'], owner: ['Unknown'], tag: ['winter', 'wool'] })
+    const [scarf, mittens] = api.rows.item
+    expect(scarf).toMatchObject({ location_id: 1, tag_ids: [11, 12] })
+    expect(mittens).toMatchObject({ category_id: scarf.category_id, tag_ids: [11] })
+  })
+})
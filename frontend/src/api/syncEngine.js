@@ -0,0 +1,624 @@
+// Two-way sync between two providers, e.g. the IndexedDB of this browser and a remote server.
+// Rows are matched by UUID and compared in a provider-neutral form, where references to
+// other rows are UUIDs instead of provider IDs. When a row differs, the side that changed it
+// since the last sync wins; when both did, the difference is reported as a conflict.
+// Images, of items and outfits, are transferred by image UUID, so an image copied once is never copied again.
+// mergeProviders copies one way only, e.g. to merge an export into the active provider.
+
+/**
+ * @typedef {'local' | 'remote'} SyncSide
+ */
+
+/**
+ * A difference that sync does not settle by itself.
+ * @typedef {object} SyncConflict
+ * @property {string} entity - 'tag', 'owner', 'location', 'category', 'custom_field', 'item', 'wear_event', 'loan', 'outfit', 'outfit_wear_event' or 'packing_list'.
+ * @property {string} key - UUID of the row (the local one, when the sides matched by name).
+ * @property {string} name
+ * @property {'bothChanged' | 'deleted'} reason - 'deleted': the row is gone from one side, but existed there at the last sync.
+ * @property {object | null} local - The row in comparable form, null when missing on this side.
+ * @property {object | null} remote
+ */
+
+/**
+ * @typedef {object} SyncReport
+ * @property {string} syncedAt - Pass as lastSyncedAt to the next sync of the same pair.
+ * @property {{ local: number, remote: number }} applied - Rows added or changed on each side.
+ * @property {number} images - Images transferred.
+ * @property {SyncConflict[]} conflicts
+ * @property {{ entity: string, name: string, message: string }[]} errors - Rows that could not be synced; the rest still were.
+ */
+
+/**
+ * @typedef {'skip' | 'newer' | 'overwrite'} MergeStrategy
+ * What mergeProviders does with a row that exists on both sides but differs: keep the target's
+ * version, take the source's when its updated_at is later, or always take the source's.
+ */
+
+/**
+ * @typedef {object} MergeReport
+ * @property {{ entity: string, key: string, name: string }[]} inserted - Rows of the source added to the target.
+ * @property {{ entity: string, key: string, name: string }[]} updated - Rows of the target overwritten with the source's version.
+ * @property {{ entity: string, key: string, name: string, reason: 'unchanged' | 'exists' }[]} skipped
+ *   'unchanged': the same on both sides; 'exists': different, but kept as the strategy 'skip' says,
+ *   or a tag, which cannot be changed once added.
+ * @property {{ entity: string, key: string, name: string, reason: 'targetNewer' | 'noTimestamp', target: object, source: object }[]} conflicts
+ *   Differing rows the strategy 'newer' did not settle, as the target's version is as new or newer,
+ *   or a side has no timestamps to compare. The target keeps its version of them.
+ * @property {number} images - Images transferred.
+ * @property {{ entity: string, name: string, message: string }[]} errors - Rows that could not be merged; the rest still were.
+ */
+
+const SIDES = ['local', 'remote'];
+const MERGE_STRATEGIES = ['skip', 'newer', 'overwrite'];
+const otherSide = (side) => (side === 'local' ? 'remote' : 'local');
+
+// Entity types in the order they are synced, so references always point at rows synced already.
+// `refs` name the fields that hold IDs of other entity types, `uuidRefs` those that hold their UUIDs.
+// Rows without a name are described by their `nameField` in reports.
+const ENTITY_TYPES = [
+    {
+        type: 'tag', idField: 'tag_id', listMethod: 'listTags', addMethod: 'addTag',
+        fields: ['name'],
+        // Tag names are unique, so tags added on both sides under the same name are the same tag
+        naturalKey: (content) => content.name.toLowerCase(),
+    },
+    {
+        type: 'owner', idField: 'owner_id', listMethod: 'listOwners',
+        addMethod: 'addOwner', updateMethod: 'updateOwner', deleteMethod: 'deleteOwner',
+        fields: ['name', 'description'],
+    },
+    {
+        type: 'location', idField: 'location_id', listMethod: 'listLocations',
+        addMethod: 'addLocation', updateMethod: 'updateLocation', deleteMethod: 'deleteLocation',
+        fields: ['name', 'description', 'parent_location_id'],
+        refs: { parent_location_id: 'location' },
+    },
+    {
+        type: 'category', idField: 'category_id', listMethod: 'listCategories',
+        addMethod: 'addCategory', updateMethod: 'updateCategory', deleteMethod: 'deleteCategory',
+        fields: ['name', 'description', 'parent_category_id'],
+        refs: { parent_category_id: 'category' },
+    },
+    {
+        type: 'custom_field', idField: 'field_id', listMethod: 'listCustomFields',
+        addMethod: 'addCustomField', updateMethod: 'updateCustomField', deleteMethod: 'deleteCustomField',
+        fields: ['category_id', 'name', 'field_type', 'options', 'position'],
+        refs: { category_id: 'category' },
+        // Field names are unique within a category
+        naturalKey: (content) => `${content.category_id}:${content.name.toLowerCase()}`,
+    },
+    {
+        type: 'item', idField: 'item_id',
+        addMethod: 'addItem', updateMethod: 'updateItem',
+        fields: ['name', 'description', 'location_id', 'category_id', 'owner_id', 'price', 'status', 'tag_ids', 'field_values', 'deleted', 'image_uuids', 'image_uuid'],
+        refs: { location_id: 'location', category_id: 'category', owner_id: 'owner', tag_ids: 'tag' },
+    },
+    {
+        // Wear events cannot be changed, only added and deleted
+        type: 'wear_event', idField: 'wear_id', listMethod: 'listWearEvents',
+        addMethod: 'addWearEvent', deleteMethod: 'deleteWearEvent',
+        fields: ['item_uuid', 'worn_on', 'note'],
+        uuidRefs: { item_uuid: 'item' },
+        nameField: 'worn_on',
+    },
+    {
+        // Only due_on, returned_on and note of a loan can be changed
+        type: 'loan', idField: 'loan_id', listMethod: 'listLoans',
+        addMethod: 'addLoan', updateMethod: 'updateLoan', deleteMethod: 'deleteLoan',
+        fields: ['item_uuid', 'borrower_owner_uuid', 'borrower_name', 'lent_on', 'due_on', 'returned_on', 'note'],
+        uuidRefs: { item_uuid: 'item', borrower_owner_uuid: 'owner' },
+        nameField: 'borrower_name',
+    },
+    {
+        type: 'outfit', idField: 'outfit_id', listMethod: 'listOutfits',
+        addMethod: 'addOutfit', updateMethod: 'updateOutfit', deleteMethod: 'deleteOutfit',
+        fields: ['name', 'description', 'item_uuids', 'tag_ids', 'image_uuid'],
+        refs: { tag_ids: 'tag' },
+        uuidRefs: { item_uuids: 'item' },
+    },
+    {
+        type: 'outfit_wear_event', idField: 'outfit_wear_id', listMethod: 'listOutfitWearEvents',
+        addMethod: 'addOutfitWearEvent', deleteMethod: 'deleteOutfitWearEvent',
+        fields: ['outfit_uuid', 'worn_on', 'note'],
+        uuidRefs: { outfit_uuid: 'outfit' },
+        nameField: 'worn_on',
+    },
+    {
+        // Entries refer to their item by UUID and carry whether it was packed and returned
+        type: 'packing_list', idField: 'packing_list_id', listMethod: 'listPackingLists',
+        addMethod: 'addPackingList', updateMethod: 'updatePackingList', deleteMethod: 'deletePackingList',
+        fields: ['name', 'note', 'starts_on', 'ends_on', 'is_template', 'entries'],
+    },
+];
+
+// Fields of the comparable form that are synced by other calls than add and update, or by extra input to them
+const STATE_FIELDS = {
+    item: ['deleted', 'image_uuids', 'image_uuid'],
+    outfit: ['image_uuid'],
+};
+
+const emptyToNull = (value) => (value === undefined || value === '' ? null : value);
+
+const lastModified = (row) => row.updated_at || row.created_at || null;
+
+// Rows without timestamps count as changed, so they never win silently
+const isNewerThan = (timestamp, lastSyncedAt) =>
+    !lastSyncedAt || !timestamp || new Date(timestamp) > new Date(lastSyncedAt);
+
+const checkResult = (result, what) => {
+    if (!result?.success) {
+        throw new Error(result?.message || result?.errorCode || `Failed to ${what}.`);
+    }
+    return result;
+};
+
+// Sorts rows so that every row comes after the row its parent field points at
+const parentsFirst = (rows, idField, parentField) => {
+    if (!parentField) return rows;
+    const byId = new Map(rows.map(row => [String(row[idField]), row]));
+    const sorted = [];
+    const visited = new Set();
+    const visit = (row) => {
+        if (visited.has(row)) return;
+        visited.add(row);
+        const parent = row[parentField] != null ? byId.get(String(row[parentField])) : null;
+        if (parent) visit(parent);
+        sorted.push(row);
+    };
+    rows.forEach(visit);
+    return sorted;
+};
+
+/**
+ * Loads the rows of every entity type from one provider. Item images are loaded separately,
+ * because they take a request per item.
+ */
+const loadSide = async (api) => {
+    const rows = {};
+    for (const entity of ENTITY_TYPES) {
+        if (entity.type === 'item') {
+            const [{ items }, { items: trashedItems }] = await Promise.all([api.listItems({}), api.listTrash({})]);
+            rows.item = [...items, ...trashedItems];
+        } else if (typeof api[entity.listMethod] === 'function') {
+            rows[entity.type] = await api[entity.listMethod]();
+        }
+    }
+    return { api, rows, keys: {}, ids: {}, uuidKeys: {}, uuids: {}, images: new Map() };
+};
+
+// Entity types both sides have; a provider without the methods of a type takes no part in its sync
+const sharedEntityTypes = (sides) =>
+    ENTITY_TYPES.filter(entity => sides.local.rows[entity.type] && sides.remote.rows[entity.type]);
+
+const loadItemImages = async (side, itemIds) => {
+    for (const itemId of itemIds) {
+        side.images.set(String(itemId), await side.api.listItemImages({ item_id: itemId }));
+    }
+};
+
+// Remembers that a row of a side, known by its ID and UUID there, goes by the given key
+const setKey = (side, type, id, key, uuid) => {
+    side.keys[type] = side.keys[type] || new Map();
+    side.ids[type] = side.ids[type] || new Map();
+    side.uuidKeys[type] = side.uuidKeys[type] || new Map();
+    side.uuids[type] = side.uuids[type] || new Map();
+    side.keys[type].set(String(id), key);
+    side.ids[type].set(key, id);
+    side.uuidKeys[type].set(uuid, key);
+    side.uuids[type].set(key, uuid);
+};
+
+const keyOf = (side, type, id) => {
+    if (id === null || id === undefined) return null;
+    const key = side.keys[type]?.get(String(id));
+    if (!key) throw new Error(`No ${type} with ID ${id} is known.`);
+    return key;
+};
+
+const idOf = (side, type, key) => {
+    if (key === null) return null;
+    const id = side.ids[type]?.get(key);
+    if (id === undefined) throw new Error(`The ${type.replace('_', ' ')} this refers to is missing on the other side.`);
+    return id;
+};
+
+const keyOfUuid = (side, type, uuid) => {
+    if (!uuid) return null;
+    const key = side.uuidKeys[type]?.get(uuid);
+    if (!key) throw new Error(`No ${type.replace('_', ' ')} with UUID ${uuid} is known.`);
+    return key;
+};
+
+const uuidOf = (side, type, key) => {
+    if (key === null) return null;
+    const uuid = side.uuids[type]?.get(key);
+    if (uuid === undefined) throw new Error(`The ${type.replace('_', ' ')} this refers to is missing on the other side.`);
+    return uuid;
+};
+
+/**
+ * Turns a row into its comparable form: the synced fields only, with references as keys.
+ */
+const toContent = (entity, side, row) => {
+    const content = {};
+    entity.fields.forEach(field => {
+        const refType = entity.refs?.[field];
+        const uuidRefType = entity.uuidRefs?.[field];
+        if (field === 'tag_ids') {
+            content.tag_ids = (row.tag_ids || []).map(tagId => keyOf(side, 'tag', tagId)).sort();
+        } else if (field === 'field_values') {
+            content.field_values = Object.fromEntries(
+                Object.entries(row.field_values || {})
+                    .map(([fieldId, value]) => [keyOf(side, 'custom_field', fieldId), String(value)])
+                    .sort(([a], [b]) => a.localeCompare(b))
+            );
+        } else if (field === 'deleted') {
+            content.deleted = !!row.deleted_at;
+        } else if (field === 'image_uuids') {
+            content.image_uuids = (side.images.get(String(row.item_id)) || []).map(image => image.image_uuid);
+        } else if (field === 'price') {
+            content.price = row.price == null || row.price === '' ? null : Number(row.price);
+        } else if (field === 'position') {
+            content.position = Number(row.position) || 0;
+        } else if (field === 'is_template') {
+            content.is_template = !!row.is_template;
+        } else if (field === 'entries') {
+            content.entries = (row.entries || []).map(entry => ({
+                item_uuid: keyOfUuid(side, 'item', entry.item_uuid),
+                packed: !!entry.packed,
+                returned: !!entry.returned,
+            }));
+        } else if (refType) {
+            content[field] = keyOf(side, refType, row[field]);
+        } else if (uuidRefType) {
+            // Lists of UUIDs keep their order, which is the display order
+            content[field] = Array.isArray(row[field])
+                ? row[field].map(uuid => keyOfUuid(side, uuidRefType, uuid))
+                : keyOfUuid(side, uuidRefType, row[field]);
+        } else {
+            content[field] = emptyToNull(row[field]);
+        }
+    });
+    return content;
+};
+
+// Turns the comparable form into input for the add and update methods of a side
+const toInput = (entity, side, content) => {
+    const input = {};
+    Object.entries(content).forEach(([field, value]) => {
+        if (STATE_FIELDS[entity.type]?.includes(field)) return;
+        const refType = entity.refs?.[field];
+        const uuidRefType = entity.uuidRefs?.[field];
+        if (field === 'tag_ids') {
+            input.tag_ids = value.map(key => idOf(side, 'tag', key));
+        } else if (field === 'field_values') {
+            input.field_values = Object.fromEntries(
+                Object.entries(value).map(([key, fieldValue]) => [idOf(side, 'custom_field', key), fieldValue])
+            );
+        } else if (field === 'entries') {
+            input.entries = value.map(entry => ({ ...entry, item_uuid: uuidOf(side, 'item', entry.item_uuid) }));
+        } else if (refType) {
+            input[field] = idOf(side, refType, value);
+        } else if (uuidRefType) {
+            input[field] = Array.isArray(value)
+                ? value.map(key => uuidOf(side, uuidRefType, key))
+                : uuidOf(side, uuidRefType, value);
+        } else {
+            input[field] = value;
+        }
+    });
+    return input;
+};
+
+const isSameContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Pairs up the rows of both sides by UUID, or by natural key when the entity type has one.
+ * Registers the key of every row, so the next entity types can refer to them.
+ * @returns {{ key: string, local: object | null, remote: object | null }[]} Local rows first, parents before children.
+ */
+const pairRows = (entity, sides) => {
+    const parentField = Object.keys(entity.refs || {}).find(field => entity.refs[field] === entity.type);
+    const pairs = [];
+    const byUuid = new Map();
+    const byNaturalKey = new Map();
+
+    parentsFirst(sides.local.rows[entity.type], entity.idField, parentField).forEach(row => {
+        const pair = { key: row.uuid, local: row, remote: null };
+        setKey(sides.local, entity.type, row[entity.idField], row.uuid, row.uuid);
+        byUuid.set(row.uuid, pair);
+        pairs.push(pair);
+    });
+    // Natural keys may refer to rows of this type only through the parent field, which is registered by now
+    if (entity.naturalKey) {
+        pairs.forEach(pair => byNaturalKey.set(entity.naturalKey(toContent(entity, sides.local, pair.local)), pair));
+    }
+    parentsFirst(sides.remote.rows[entity.type], entity.idField, parentField).forEach(row => {
+        let pair = byUuid.get(row.uuid);
+        if (!pair && entity.naturalKey) {
+            // Look the natural key up in local terms, which needs the remote references mapped to local keys
+            const candidate = byNaturalKey.get(entity.naturalKey(toContent(entity, sides.remote, row)));
+            if (candidate && !candidate.remote) pair = candidate;
+        }
+        if (pair) {
+            pair.remote = row;
+        } else {
+            pair = { key: row.uuid, local: null, remote: row };
+            pairs.push(pair);
+        }
+        setKey(sides.remote, entity.type, row[entity.idField], pair.key, row.uuid);
+    });
+    return pairs;
+};
+
+// Makes the images of an item on the target side the same as on the source side
+const copyItemImages = async (sides, from, to, sourceItem, targetItemId, createThumbnail) => {
+    const source = sides[from];
+    const target = sides[to];
+    const sourceImages = source.images.get(String(sourceItem.item_id)) || [];
+    const targetImages = target.images.get(String(targetItemId)) || [];
+    const sourceUuids = sourceImages.map(image => image.image_uuid);
+    let transferred = 0;
+
+    for (const image of targetImages) {
+        if (!sourceUuids.includes(image.image_uuid)) {
+            checkResult(await target.api.removeItemImage({ item_id: targetItemId, image_uuid: image.image_uuid }), 'remove an image');
+        }
+    }
+    const targetUuids = targetImages.map(image => image.image_uuid);
+    for (const image of sourceImages) {
+        if (targetUuids.includes(image.image_uuid)) continue;
+        const imageFile = await source.api.getImage({ image_uuid: image.image_uuid });
+        if (!imageFile) throw new Error(`Image ${image.image_uuid} could not be read.`);
+        checkResult(await target.api.addItemImage({
+            item_id: targetItemId,
+            imageFile,
+            thumbnailFile: createThumbnail ? await createThumbnail(imageFile) : null,
+            image_uuid: image.image_uuid,
+            is_primary: image.is_primary,
+        }), 'add an image');
+        transferred++;
+    }
+    if (sourceUuids.length > 0) {
+        checkResult(await target.api.reorderItemImages({ item_id: targetItemId, image_uuids: sourceUuids }), 'reorder images');
+        const primaryUuid = sourceItem.image_uuid || sourceUuids[0];
+        checkResult(await target.api.setPrimaryItemImage({ item_id: targetItemId, image_uuid: primaryUuid }), 'set the primary image');
+    }
+    return transferred;
+};
+
+// Input that gives the outfit on the target side the photo of the source side, if it does not have it yet
+const outfitImageInput = async (source, content, targetOutfit) => {
+    if (content.image_uuid === (targetOutfit?.image_uuid || null)) return {};
+    if (!content.image_uuid) return { removeImage: true };
+    const imageFile = await source.api.getImage({ image_uuid: content.image_uuid });
+    if (!imageFile) throw new Error(`Image ${content.image_uuid} could not be read.`);
+    return { imageFile, image_uuid: content.image_uuid };
+};
+
+/**
+ * Writes the row of one side to the other, adding it there when it is missing.
+ * @returns {Promise<number>} The number of images transferred.
+ */
+const copyRow = async (entity, sides, from, pair, createThumbnail) => {
+    const to = otherSide(from);
+    const target = sides[to];
+    const content = toContent(entity, sides[from], pair[from]);
+    const imageInput = entity.type === 'outfit' ? await outfitImageInput(sides[from], content, pair[to]) : {};
+    const input = { ...toInput(entity, target, content), ...imageInput };
+    let targetId;
+
+    if (pair[to]) {
+        targetId = pair[to][entity.idField];
+        if (!entity.updateMethod) return 0;
+        checkResult(await target.api[entity.updateMethod]({ ...input, [entity.idField]: targetId }), `update the ${entity.type}`);
+    } else {
+        const result = checkResult(await target.api[entity.addMethod]({ ...input, uuid: pair.key }), `add the ${entity.type}`);
+        targetId = result.newId;
+        setKey(target, entity.type, targetId, pair.key, result.uuid || pair.key);
+    }
+    if (entity.type !== 'item') return imageInput.imageFile ? 1 : 0;
+
+    const transferred = await copyItemImages(sides, from, to, pair[from], targetId, createThumbnail);
+    const isDeleted = !!pair[to]?.deleted_at;
+    if (content.deleted && !isDeleted) {
+        checkResult(await target.api.deleteItem({ item_id: targetId }), 'move the item to the trash');
+    } else if (!content.deleted && isDeleted) {
+        checkResult(await target.api.restoreItem({ item_id: targetId }), 'restore the item');
+    }
+    return transferred;
+};
+
+// Removes a row from a side for good; items go through the trash
+const removeRow = async (entity, side, row) => {
+    if (entity.type === 'item') {
+        if (!row.deleted_at) checkResult(await side.api.deleteItem({ item_id: row.item_id }), 'move the item to the trash');
+        checkResult(await side.api.purgeTrash({ item_ids: [row.item_id] }), 'purge the item');
+        return;
+    }
+    checkResult(await side.api[entity.deleteMethod]({ [entity.idField]: row[entity.idField] }), `delete the ${entity.type}`);
+};
+
+const describeRow = (entity, pair) => ({
+    entity: entity.type,
+    name: (pair.local || pair.remote)?.[entity.nameField || 'name'] ?? '',
+});
+
+/**
+ * Brings two providers in sync. Rows added on one side are copied to the other. Of a row changed
+ * on one side only since the last sync, that side's version wins; changes on both sides are conflicts.
+ * Rows missing from a side they were on at the last sync are conflicts too, never deleted silently.
+ * A row that fails is reported in `errors`, and sync goes on with the rest.
+ * @param {object} local - Bound API methods of one provider, e.g. the ApiContext value.
+ * @param {object} remote - Bound API methods of the other provider.
+ * @param {{ lastSyncedAt?: string | null, createThumbnail?: (file: File) => Promise<File>, onProgress?: (entity: string) => void }} [options]
+ *   lastSyncedAt is the syncedAt of the previous sync of the same two providers, if any.
+ *   createThumbnail makes the 'thumb' variant of transferred images; without it they get none.
+ * @returns {Promise<SyncReport>}
+ */
+export const syncProviders = async (local, remote, options = {}) => {
+    const { lastSyncedAt = null, createThumbnail, onProgress } = options;
+    const sides = { local: await loadSide(local), remote: await loadSide(remote) };
+    const report = { syncedAt: null, applied: { local: 0, remote: 0 }, images: 0, conflicts: [], errors: [] };
+
+    for (const entity of sharedEntityTypes(sides)) {
+        onProgress?.(entity.type);
+        if (entity.type === 'item') {
+            for (const side of SIDES) await loadItemImages(sides[side], sides[side].rows.item.map(item => item.item_id));
+        }
+        const pairs = pairRows(entity, sides);
+
+        // Additions first, so that changed rows can refer to rows added in the same sync
+        for (const pair of pairs.filter(p => !p.local || !p.remote)) {
+            const from = pair.local ? 'local' : 'remote';
+            try {
+                // Tags cannot be deleted, so a missing tag is always one the other side has not seen yet
+                if (entity.type !== 'tag' && !isNewerThan(pair[from].created_at, lastSyncedAt)) {
+                    report.conflicts.push({
+                        ...describeRow(entity, pair), key: pair.key, reason: 'deleted',
+                        local: null, remote: null, [from]: toContent(entity, sides[from], pair[from]),
+                    });
+                    continue;
+                }
+                report.images += await copyRow(entity, sides, from, pair, createThumbnail);
+                report.applied[otherSide(from)]++;
+            } catch (err) {
+                report.errors.push({ ...describeRow(entity, pair), message: err.message });
+            }
+        }
+
+        // Tags cannot be changed once added, so tags paired by name stay as each side wrote them
+        const changeablePairs = entity.updateMethod ? pairs.filter(p => p.local && p.remote) : [];
+        for (const pair of changeablePairs) {
+            try {
+                const localContent = toContent(entity, sides.local, pair.local);
+                const remoteContent = toContent(entity, sides.remote, pair.remote);
+                if (isSameContent(localContent, remoteContent)) continue;
+                const localChanged = isNewerThan(lastModified(pair.local), lastSyncedAt);
+                const remoteChanged = isNewerThan(lastModified(pair.remote), lastSyncedAt);
+                if (localChanged === remoteChanged) {
+                    report.conflicts.push({ ...describeRow(entity, pair), key: pair.key, reason: 'bothChanged', local: localContent, remote: remoteContent });
+                    continue;
+                }
+                const from = localChanged ? 'local' : 'remote';
+                report.images += await copyRow(entity, sides, from, pair, createThumbnail);
+                report.applied[otherSide(from)]++;
+            } catch (err) {
+                report.errors.push({ ...describeRow(entity, pair), message: err.message });
+            }
+        }
+    }
+
+    // Taken at the end, so the changes sync itself made count as seen by the next sync
+    report.syncedAt = new Date().toISOString();
+    return report;
+};
+
+/**
+ * Settles a conflict reported by syncProviders by keeping the version of one side.
+ * Keeping the side a row is missing from deletes it from the other side.
+ * @param {object} local - Bound API methods, as for syncProviders.
+ * @param {object} remote
+ * @param {SyncConflict} conflict
+ * @param {SyncSide} keep - The side whose version is kept.
+ * @param {{ createThumbnail?: (file: File) => Promise<File> }} [options] - As for syncProviders.
+ * @returns {Promise<{ success: boolean }>}
+ */
+export const resolveConflict = async (local, remote, conflict, keep, options = {}) => {
+    if (!SIDES.includes(keep)) throw new Error(`Unknown side: ${keep}`);
+    const sides = { local: await loadSide(local), remote: await loadSide(remote) };
+
+    for (const entity of sharedEntityTypes(sides)) {
+        const pairs = pairRows(entity, sides);
+        if (entity.type !== conflict.entity) continue;
+        const pair = pairs.find(p => p.key === conflict.key);
+        if (!pair) throw new Error(`The ${entity.type.replace('_', ' ')} no longer exists on either side.`);
+
+        if (!pair[keep]) {
+            await removeRow(entity, sides[otherSide(keep)], pair[otherSide(keep)]);
+            return { success: true };
+        }
+        if (entity.type === 'item') {
+            for (const side of SIDES) {
+                if (pair[side]) await loadItemImages(sides[side], [pair[side].item_id]);
+            }
+        }
+        await copyRow(entity, sides, keep, pair, options.createThumbnail);
+        return { success: true };
+    }
+    throw new Error(`Unknown entity type: ${conflict.entity}`);
+};
+
+// Tells whether the source row was changed after the target row, or null when either has no timestamp
+const isSourceNewer = (sourceRow, targetRow) => {
+    const sourceTime = lastModified(sourceRow);
+    const targetTime = lastModified(targetRow);
+    if (!sourceTime || !targetTime) return null;
+    return new Date(sourceTime) > new Date(targetTime);
+};
+
+/**
+ * Merges the rows of one provider into another. Rows are matched by UUID, tags and custom fields
+ * also by name, as those are unique. Rows missing from the target are added; rows that differ are
+ * settled by the strategy. Nothing is deleted from the target.
+ * A row that fails is reported in `errors`, and the merge goes on with the rest.
+ * @param {object} target - Bound API methods of the provider merged into, e.g. the ApiContext value.
+ * @param {object} source - Bound API methods of the provider whose rows are merged.
+ * @param {{ strategy?: MergeStrategy, createThumbnail?: (file: File) => Promise<File>, onProgress?: (entity: string) => void }} [options]
+ *   strategy defaults to 'skip'. createThumbnail and onProgress are as for syncProviders.
+ * @returns {Promise<MergeReport>}
+ */
+export const mergeProviders = async (target, source, options = {}) => {
+    const { strategy = 'skip', createThumbnail, onProgress } = options;
+    if (!MERGE_STRATEGIES.includes(strategy)) throw new Error(`Unknown merge strategy: ${strategy}`);
+    // The target is the local side, so rows matched by name keep the target's UUID
+    const sides = { local: await loadSide(target), remote: await loadSide(source) };
+    const report = { inserted: [], updated: [], skipped: [], conflicts: [], images: 0, errors: [] };
+
+    for (const entity of sharedEntityTypes(sides)) {
+        onProgress?.(entity.type);
+        if (entity.type === 'item') {
+            for (const side of SIDES) await loadItemImages(sides[side], sides[side].rows.item.map(item => item.item_id));
+        }
+        const pairs = pairRows(entity, sides);
+
+        // Additions first, so that changed rows can refer to rows added in the same merge
+        for (const pair of pairs.filter(p => p.remote && !p.local)) {
+            try {
+                report.images += await copyRow(entity, sides, 'remote', pair, createThumbnail);
+                report.inserted.push({ ...describeRow(entity, pair), key: pair.key });
+            } catch (err) {
+                report.errors.push({ ...describeRow(entity, pair), message: err.message });
+            }
+        }
+
+        for (const pair of pairs.filter(p => p.remote && p.local)) {
+            const row = { ...describeRow(entity, pair), key: pair.key };
+            try {
+                const targetContent = toContent(entity, sides.local, pair.local);
+                const sourceContent = toContent(entity, sides.remote, pair.remote);
+                if (isSameContent(targetContent, sourceContent)) {
+                    report.skipped.push({ ...row, reason: 'unchanged' });
+                    continue;
+                }
+                // Tags cannot be changed once added, so tags paired by name stay as the target has them
+                if (strategy === 'skip' || !entity.updateMethod) {
+                    report.skipped.push({ ...row, reason: 'exists' });
+                    continue;
+                }
+                const sourceNewer = strategy === 'overwrite' || isSourceNewer(pair.remote, pair.local);
+                if (!sourceNewer) {
+                    const reason = sourceNewer === null ? 'noTimestamp' : 'targetNewer';
+                    report.conflicts.push({ ...row, reason, target: targetContent, source: sourceContent });
+                    continue;
+                }
+                report.images += await copyRow(entity, sides, 'remote', pair, createThumbnail);
+                report.updated.push(row);
+            } catch (err) {
+                report.errors.push({ ...describeRow(entity, pair), message: err.message });
+            }
+        }
+    }
+    return report;
+};
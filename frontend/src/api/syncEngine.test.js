@@ -0,0 +1,181 @@
+import { syncProviders, resolveConflict } from './syncEngine'
+import { createMemoryApi } from './memoryProvider.testutil'
+
+const LAST_SYNC = '2024-06-01T00:00:00.000Z'
+const AFTER = '2024-07-01T00:00:00.000Z'
+
+// The same owner, location and category on both sides, as left by an earlier sync
+const createSyncedPair = () => {
+  const local = createMemoryApi(1)
+  const remote = createMemoryApi(101)
+  const sides = [
+    [local, 1],
+    [remote, 101],
+  ]
+  sides.forEach(([api, id]) => {
+    api.seed('owner', { owner_id: id, uuid: 'owner-a', name: 'Anna', description: null })
+    api.seed('location', { location_id: id, uuid: 'loc-a', name: 'Closet', description: null, parent_location_id: null })
+    api.seed('category', { category_id: id, uuid: 'cat-a', name: 'Shirts', description: null, parent_category_id: null })
+  })
+  return { local, remote }
+}
+
+describe('syncProviders', () => {
+  it('copies new rows both ways, with their references, tags and images', async () => {
+    const { local, remote } = createSyncedPair()
+    local.seed('tag', { tag_id: 5, uuid: 'tag-local', name: 'Winter' })
+    remote.seed('tag', { tag_id: 105, uuid: 'tag-remote', name: 'winter' })
+    remote.seed('location', { location_id: 102, uuid: 'loc-b', name: 'Shelf', description: null, parent_location_id: 101, created_at: AFTER })
+    remote.seed('item', {
+      item_id: 110, uuid: 'item-a', name: 'Scarf', description: null, location_id: 102, category_id: 101, owner_id: 101,
+      price: 12, tag_ids: [105], field_values: {}, image_uuid: 'img-1', deleted_at: null, created_at: AFTER,
+    })
+    remote.seedImage(110, 'img-1')
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.errors).toEqual([])
+    expect(report.conflicts).toEqual([])
+    expect(report.applied).toEqual({ local: 2, remote: 0 })
+    expect(report.images).toBe(1)
+    expect(local.rows.tag).toHaveLength(1)
+    const shelf = local.rows.location.find((location) => location.uuid === 'loc-b')
+    expect(shelf.parent_location_id).toBe(1)
+    const scarf = local.rows.item.find((item) => item.uuid === 'item-a')
+    expect(scarf).toMatchObject({ location_id: shelf.location_id, category_id: 1, owner_id: 1, tag_ids: [5], image_uuid: 'img-1' })
+    expect(local.images.get('img-1')).toBe(remote.images.get('img-1'))
+  })
+
+  it('lets the side that changed a row win and reports rows changed on both sides', async () => {
+    const { local, remote } = createSyncedPair()
+    local.rows.owner[0].name = 'Anna K.'
+    local.rows.owner[0].updated_at = AFTER
+    local.rows.location[0].name = 'Wardrobe'
+    local.rows.location[0].updated_at = AFTER
+    remote.rows.location[0].name = 'Big closet'
+    remote.rows.location[0].updated_at = AFTER
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(remote.rows.owner[0].name).toBe('Anna K.')
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ entity: 'location', key: 'loc-a', reason: 'bothChanged', local: expect.objectContaining({ name: 'Wardrobe' }) }),
+    ])
+
+    await resolveConflict(local, remote, report.conflicts[0], 'remote')
+    expect(local.rows.location[0].name).toBe('Big closet')
+  })
+
+  it('reports rows deleted on one side instead of deleting them on the other', async () => {
+    const { local, remote } = createSyncedPair()
+    remote.rows.owner.length = 0
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.conflicts).toEqual([expect.objectContaining({ entity: 'owner', reason: 'deleted', remote: null })])
+    expect(local.rows.owner).toHaveLength(1)
+
+    await resolveConflict(local, remote, report.conflicts[0], 'remote')
+    expect(local.rows.owner).toHaveLength(0)
+  })
+
+  it('copies wear events both ways, referring to their item by UUID', async () => {
+    const { local, remote } = createSyncedPair()
+    const shirt = { uuid: 'item-a', name: 'Shirt', description: null, location_id: null, category_id: null, owner_id: null, price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null }
+    local.seed('item', { ...shirt, item_id: 1 })
+    remote.seed('item', { ...shirt, item_id: 110 })
+    remote.seed('item', { ...shirt, item_id: 111, uuid: 'item-b', name: 'Scarf', created_at: AFTER })
+    local.seed('wear_event', { wear_id: 1, uuid: 'wear-1', item_uuid: 'item-a', worn_on: '2024-06-20', note: null, created_at: AFTER })
+    remote.seed('wear_event', { wear_id: 101, uuid: 'wear-2', item_uuid: 'item-b', worn_on: '2024-06-21', note: 'Party', created_at: AFTER })
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.errors).toEqual([])
+    expect(report.applied).toEqual({ local: 2, remote: 1 })
+    expect(remote.rows.wear_event.find((wearEvent) => wearEvent.uuid === 'wear-1')).toMatchObject({ item_uuid: 'item-a', worn_on: '2024-06-20' })
+    expect(local.rows.wear_event.find((wearEvent) => wearEvent.uuid === 'wear-2')).toMatchObject({ item_uuid: 'item-b', note: 'Party' })
+  })
+
+  it('copies loans with their item and borrower, and takes a loan returned on one side', async () => {
+    const { local, remote } = createSyncedPair()
+    const shirt = { uuid: 'item-a', name: 'Shirt', description: null, location_id: null, category_id: null, owner_id: null, price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null }
+    local.seed('item', { ...shirt, item_id: 1 })
+    remote.seed('item', { ...shirt, item_id: 110 })
+    const loan = { uuid: 'loan-a', item_uuid: 'item-a', borrower_owner_uuid: null, borrower_name: 'Ville', lent_on: '2024-05-10', due_on: null, returned_on: null, note: null }
+    local.seed('loan', { ...loan, loan_id: 1 })
+    remote.seed('loan', { ...loan, loan_id: 101, returned_on: '2024-06-15', updated_at: AFTER })
+    remote.seed('loan', { ...loan, loan_id: 102, uuid: 'loan-b', borrower_owner_uuid: 'owner-a', borrower_name: 'Anna', lent_on: '2024-06-20', returned_on: '2024-06-25', created_at: AFTER })
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.errors).toEqual([])
+    expect(report.conflicts).toEqual([])
+    expect(local.rows.loan.find((row) => row.uuid === 'loan-b')).toMatchObject({ item_uuid: 'item-a', borrower_owner_uuid: 'owner-a', returned_on: '2024-06-25' })
+    expect(local.rows.loan.find((row) => row.uuid === 'loan-a').returned_on).toBe('2024-06-15')
+  })
+
+  it('reports a loan changed differently on both sides', async () => {
+    const { local, remote } = createSyncedPair()
+    const shirt = { uuid: 'item-a', name: 'Shirt', description: null, location_id: null, category_id: null, owner_id: null, price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null }
+    local.seed('item', { ...shirt, item_id: 1 })
+    remote.seed('item', { ...shirt, item_id: 110 })
+    const loan = { uuid: 'loan-a', item_uuid: 'item-a', borrower_owner_uuid: null, borrower_name: 'Ville', lent_on: '2024-05-10', due_on: null, returned_on: null, note: null }
+    local.seed('loan', { ...loan, loan_id: 1, due_on: '2024-07-01', updated_at: AFTER })
+    remote.seed('loan', { ...loan, loan_id: 101, returned_on: '2024-06-15', updated_at: AFTER })
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.conflicts).toEqual([expect.objectContaining({ entity: 'loan', key: 'loan-a', name: 'Ville', reason: 'bothChanged' })])
+    await resolveConflict(local, remote, report.conflicts[0], 'remote')
+    expect(local.rows.loan.find((row) => row.uuid === 'loan-a')).toMatchObject({ due_on: null, returned_on: '2024-06-15' })
+  })
+
+  it('copies outfits with their photo, items, tags and wear events', async () => {
+    const { local, remote } = createSyncedPair()
+    const shirt = { uuid: 'item-a', name: 'Shirt', description: null, location_id: null, category_id: null, owner_id: null, price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null }
+    local.seed('item', { ...shirt, item_id: 1 })
+    remote.seed('item', { ...shirt, item_id: 110 })
+    local.seed('tag', { tag_id: 5, uuid: 'tag-a', name: 'Work' })
+    remote.seed('tag', { tag_id: 105, uuid: 'tag-a', name: 'Work' })
+    remote.images.set('img-o', new File(['outfit'], 'outfit.jpg', { type: 'image/jpeg' }))
+    remote.seed('outfit', { outfit_id: 101, uuid: 'outfit-a', name: 'Office', description: null, image_uuid: 'img-o', item_uuids: ['item-a'], tag_ids: [105], created_at: AFTER })
+    remote.seed('outfit_wear_event', { outfit_wear_id: 101, uuid: 'owear-1', outfit_uuid: 'outfit-a', worn_on: '2024-06-20', note: null, created_at: AFTER })
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.errors).toEqual([])
+    expect(report.images).toBe(1)
+    expect(local.rows.outfit[0]).toMatchObject({ uuid: 'outfit-a', item_uuids: ['item-a'], tag_ids: [5], image_uuid: 'img-o' })
+    expect(local.images.get('img-o')).toBe(remote.images.get('img-o'))
+    expect(local.rows.outfit_wear_event[0]).toMatchObject({ uuid: 'owear-1', outfit_uuid: 'outfit-a', worn_on: '2024-06-20' })
+
+    // A later sync copies a removed photo as such, and leaves unchanged outfits alone
+    remote.rows.outfit[0].image_uuid = null
+    remote.rows.outfit[0].updated_at = new Date(Date.parse(report.syncedAt) + 60000).toISOString()
+    const nextReport = await syncProviders(local, remote, { lastSyncedAt: report.syncedAt })
+    expect(nextReport.applied).toEqual({ local: 1, remote: 0 })
+    expect(local.rows.outfit[0].image_uuid).toBeNull()
+  })
+
+  it('copies packing lists with the packed and returned state of their entries', async () => {
+    const { local, remote } = createSyncedPair()
+    const shirt = { uuid: 'item-a', name: 'Shirt', description: null, location_id: null, category_id: null, owner_id: null, price: null, tag_ids: [], field_values: {}, image_uuid: null, deleted_at: null }
+    local.seed('item', { ...shirt, item_id: 1 })
+    remote.seed('item', { ...shirt, item_id: 110 })
+    remote.seed('item', { ...shirt, item_id: 111, uuid: 'item-b', name: 'Scarf', created_at: AFTER })
+    const trip = { uuid: 'list-a', name: 'Rome', note: null, starts_on: '2024-06-01', ends_on: '2024-06-05', is_template: false }
+    local.seed('packing_list', { ...trip, packing_list_id: 1, entries: [{ item_uuid: 'item-a', packed: true, returned: false }] })
+    remote.seed('packing_list', {
+      ...trip, packing_list_id: 101, updated_at: AFTER,
+      entries: [{ item_uuid: 'item-a', packed: true, returned: true }, { item_uuid: 'item-b', packed: true, returned: false }],
+    })
+
+    const report = await syncProviders(local, remote, { lastSyncedAt: LAST_SYNC })
+
+    expect(report.errors).toEqual([])
+    expect(local.rows.packing_list[0].entries).toEqual([
+      { item_uuid: 'item-a', packed: true, returned: true },
+      { item_uuid: 'item-b', packed: true, returned: false },
+    ])
+  })
+})
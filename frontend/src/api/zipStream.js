@@ -0,0 +1,176 @@
+import { readFileAsArrayBuffer } from './providerUtils';
+
+// Writes a ZIP archive one entry at a time, so an export holds at most one image in memory.
+// Entries are stored without compression: the images are compressed already and the CSVs
+// are small. The written bytes go to a sink, which either collects them into a Blob or
+// writes them to a file picked through the File System Access API.
+
+// Without ZIP64 an archive holds at most 65535 entries and 4 GB
+const MAX_ENTRIES = 0xFFFF;
+const MAX_OFFSET = 0xFFFFFFFF;
+
+/** errorCode of the error file() throws when an entry would not fit: without ZIP64 an archive holds at most 65535 entries and 4 GB. */
+export const ZIP_TOO_LARGE = 'ZIP_TOO_LARGE';
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const VERSION = 20; // 2.0, the version that knows stored entries and directories
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Modification time and date of an entry, in the two 16-bit MS-DOS fields
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const localHeader = (entry, modified) => {
+    const bytes = new Uint8Array(LOCAL_HEADER_SIZE + entry.name.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x04034B50, true);
+    view.setUint16(4, VERSION, true);
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true); // Stored
+    view.setUint16(10, modified.time, true);
+    view.setUint16(12, modified.date, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, entry.size, true);
+    view.setUint32(22, entry.size, true);
+    view.setUint16(26, entry.name.length, true);
+    view.setUint16(28, 0, true);
+    bytes.set(entry.name, LOCAL_HEADER_SIZE);
+    return bytes;
+};
+
+const centralHeader = (entry, modified) => {
+    const bytes = new Uint8Array(CENTRAL_HEADER_SIZE + entry.name.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x02014B50, true);
+    view.setUint16(4, VERSION, true);
+    view.setUint16(6, VERSION, true);
+    view.setUint16(8, FLAG_UTF8, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, modified.time, true);
+    view.setUint16(14, modified.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, entry.size, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.name.length, true);
+    // Extra field, comment, disk number and attributes stay 0
+    view.setUint32(42, entry.offset, true);
+    bytes.set(entry.name, CENTRAL_HEADER_SIZE);
+    return bytes;
+};
+
+const endRecord = (entryCount, directorySize, directoryOffset) => {
+    const bytes = new Uint8Array(END_RECORD_SIZE);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x06054B50, true);
+    view.setUint16(8, entryCount, true);
+    view.setUint16(10, entryCount, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+    return bytes;
+};
+
+/**
+ * Sink that collects the archive into a Blob. The whole archive is held in memory until it is
+ * downloaded, so this is only for browsers without the File System Access API.
+ * @returns {{ write: (chunk: Uint8Array) => Promise<void>, close: () => Promise<Blob>, abort: () => Promise<void> }}
+ */
+export const createBlobSink = () => {
+    let parts = [];
+    return {
+        write: async (chunk) => {
+            parts.push(new Blob([chunk]));
+        },
+        close: async () => new Blob(parts, { type: 'application/zip' }),
+        abort: async () => {
+            parts = [];
+        },
+    };
+};
+
+/**
+ * Sink that writes the archive to a file, e.g. the FileSystemWritableFileStream of a handle
+ * from window.showSaveFilePicker. Aborting discards what was written.
+ * @param {FileSystemWritableFileStream} writable
+ * @returns {{ write: (chunk: Uint8Array) => Promise<void>, close: () => Promise<null>, abort: () => Promise<void> }}
+ */
+export const createFileSink = (writable) => ({
+    write: (chunk) => writable.write(chunk),
+    close: async () => {
+        await writable.close();
+        return null;
+    },
+    abort: () => writable.abort(),
+});
+
+/**
+ * Creates a writer that streams a ZIP archive into a sink. Mirrors the part of the JSZip API
+ * the exports use, except that file() writes the entry at once and must be awaited.
+ * @param {{ write: Function, close: Function, abort: Function }} sink - From createBlobSink or createFileSink.
+ * @param {{ signal?: AbortSignal }} [options] - Adding an entry after the signal aborts throws its reason.
+ * @returns {{ file: (name: string, content: string | Blob) => Promise<void>, folder: (name: string) => { file: Function }, close: () => Promise<Blob | null>, abort: () => Promise<void> }}
+ */
+export const createZipWriter = (sink, options = {}) => {
+    const { signal } = options;
+    const encoder = new TextEncoder();
+    const modified = dosDateTime(new Date());
+    const entries = [];
+    let offset = 0;
+
+    const write = async (bytes) => {
+        await sink.write(bytes);
+        offset += bytes.length;
+    };
+
+    const file = async (name, content) => {
+        signal?.throwIfAborted();
+        const data = typeof content === 'string'
+            ? encoder.encode(content)
+            : new Uint8Array(await readFileAsArrayBuffer(content));
+        signal?.throwIfAborted();
+        const entry = { name: encoder.encode(name), crc: crc32(data), size: data.length, offset };
+        if (entries.length >= MAX_ENTRIES || offset + LOCAL_HEADER_SIZE + entry.name.length + data.length > MAX_OFFSET) {
+            const error = new Error('The export does not fit in a ZIP file: it is limited to 65535 files and 4 GB.');
+            error.errorCode = ZIP_TOO_LARGE;
+            throw error;
+        }
+        await write(localHeader(entry, modified));
+        await write(data);
+        entries.push(entry);
+    };
+
+    return {
+        file,
+        folder: (folderName) => ({
+            file: (name, content) => file(`${folderName}/${name}`, content),
+        }),
+        close: async () => {
+            const directoryOffset = offset;
+            for (const entry of entries) await write(centralHeader(entry, modified));
+            await write(endRecord(entries.length, offset - directoryOffset, directoryOffset));
+            return sink.close();
+        },
+        abort: async () => {
+            try {
+                await sink.abort();
+            } catch (error) {
+                console.warn('Discarding the unfinished ZIP file failed:', error);
+            }
+        },
+    };
+};
@@ -0,0 +1,35 @@
+import JSZip from 'jszip'
+import { createZipWriter, createBlobSink, ZIP_TOO_LARGE } from './zipStream'
+import { readFileAsArrayBuffer } from './providerUtils'
+
+describe('streamed ZIP writer', () => {
+  it('writes an archive that JSZip reads back', async () => {
+    const zip = createZipWriter(createBlobSink())
+    await zip.file('items.csv', 'item_id,name\n1,Päivä')
+    await zip.folder('images').file('1_0.jpg', new Blob([new Uint8Array([255, 216, 255, 0, 1])]))
+    const blob = await zip.close()
+
+    const loaded = await JSZip.loadAsync(await readFileAsArrayBuffer(blob))
+    expect(Object.keys(loaded.files)).toEqual(['items.csv', 'images/1_0.jpg'])
+    expect(await loaded.file('items.csv').async('string')).toBe('item_id,name\n1,Päivä')
+    expect(Array.from(await loaded.file('images/1_0.jpg').async('uint8array'))).toEqual([255, 216, 255, 0, 1])
+  })
+
+  it('stops adding entries once its signal aborts', async () => {
+    const controller = new AbortController()
+    const written = []
+    const zip = createZipWriter({ write: async (chunk) => { written.push(chunk) }, close: async () => null, abort: async () => { written.length = 0 } }, { signal: controller.signal })
+    await zip.file('locations.csv', 'location_id')
+    controller.abort()
+
+    await expect(zip.file('items.csv', 'item_id')).rejects.toHaveProperty('name', 'AbortError')
+    await zip.abort()
+    expect(written).toEqual([])
+  })
+  it('refuses the entry that would go past the 65535 entries of a ZIP file without ZIP64', async () => {
+    const zip = createZipWriter({ write: async () => {}, close: async () => null, abort: async () => {} })
+    for (let i = 0; i < 65535; i++) await zip.file(`${i}.txt`, '')
+
+    await expect(zip.file('65535.txt', '')).rejects.toHaveProperty('errorCode', ZIP_TOO_LARGE)
+  })
+})
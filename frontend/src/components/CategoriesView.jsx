@@ -1,19 +1,26 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
 import { useApi } from "../api/ApiContext";
+import { useUndo } from "../undo/UndoContext";
 import { useIntl } from "react-intl";
+import { collectSubtreeIds, flattenTree } from "../api/providerUtils";
 import "./CategoriesView.css";
 import Modal from "./Modal";
+import CustomFieldsEditor from "./CustomFieldsEditor";
+import TreeOptions from "./TreeOptions";
 
 const CategoriesView = () => {
   const [categories, setCategories] = useState([]);
   const [newCategoryName, setNewCategoryName] = useState("");
   const [newCategoryDescription, setNewCategoryDescription] = useState("");
+  const [newCategoryParentId, setNewCategoryParentId] = useState(""); // "" for a top-level category
   const [loading, setLoading] = useState(false); // For initial list loading and adding
   const [error, setError] = useState(null); // For list loading and adding errors
   const [success, setSuccess] = useState(null); // For general success messages (add, update, delete)
   const [editingCategoryId, setEditingCategoryId] = useState(null); // ID of category being edited
   const [editName, setEditName] = useState(""); // Name in edit form
   const [editDescription, setEditDescription] = useState(""); // Description in edit form
+  const [editParentId, setEditParentId] = useState(""); // Parent category in edit form
   const [isUpdating, setIsUpdating] = useState(false); // Loading state for update operation
   const [updateError, setUpdateError] = useState(null); // Error specific to update operation
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false); // Show delete confirmation modal
@@ -22,9 +29,57 @@ const CategoriesView = () => {
   const [deleteError, setDeleteError] = useState(null); // Error specific to delete operation
   const [isAddCategoryModalOpen, setIsAddCategoryModalOpen] = useState(false);
   const [addCategoryError, setAddCategoryError] = useState(null);
+  const [collapsedIds, setCollapsedIds] = useState([]); // Categories whose subcategories are hidden
 
   const api = useApi();
   const intl = useIntl();
+  const { run: runUndoable, revision: undoRevision } = useUndo();
+
+  // Categories depth-first, each followed by its subcategories
+  const categoryTree = useMemo(
+    () => flattenTree(categories, "category_id", "parent_category_id"),
+    [categories],
+  );
+  const parentIds = useMemo(
+    () =>
+      new Set(
+        categories
+          .map((cat) => cat.parent_category_id)
+          .filter((id) => id != null),
+      ),
+    [categories],
+  );
+  // The tree without the subcategories of collapsed categories
+  const visibleCategoryTree = useMemo(() => {
+    const visible = [];
+    let collapsedDepth = null; // Depth of the collapsed category whose subtree is being skipped
+    categoryTree.forEach((node) => {
+      if (collapsedDepth !== null && node.depth > collapsedDepth) return;
+      collapsedDepth = collapsedIds.includes(node.row.category_id)
+        ? node.depth
+        : null;
+      visible.push(node);
+    });
+    return visible;
+  }, [categoryTree, collapsedIds]);
+  // Parent choices of the edited category: anything outside its own subtree
+  const editParentOptions = useMemo(() => {
+    if (!editingCategoryId) return categoryTree;
+    const subtree = collectSubtreeIds(
+      categories,
+      "category_id",
+      "parent_category_id",
+      [editingCategoryId],
+    );
+    return categoryTree.filter(({ row }) => !subtree.includes(row.category_id));
+  }, [editingCategoryId, categories, categoryTree]);
+
+  const toggleCollapsed = (categoryId) =>
+    setCollapsedIds((ids) =>
+      ids.includes(categoryId)
+        ? ids.filter((id) => id !== categoryId)
+        : [...ids, categoryId],
+    );
 
   const fetchCategories = useCallback(async () => {
     if (!api.isConfigured || typeof api.listCategories !== "function") {
@@ -72,9 +127,19 @@ const CategoriesView = () => {
     fetchCategories();
   }, [fetchCategories]);
 
+  // Undo and redo change the categorys behind this view's back
+  useEffect(() => {
+    if (undoRevision > 0) fetchCategories();
+  }, [undoRevision, fetchCategories]);
+
+  // Describes a change in the undo snackbar
+  const describeChange = (action, name) =>
+    intl.formatMessage({ id: `undo.action.category.${action}` }, { name });
+
   const handleOpenAddCategoryModal = () => {
     setNewCategoryName("");
     setNewCategoryDescription("");
+    setNewCategoryParentId("");
     setAddCategoryError(null); // Clear previous modal errors
     setError(null); // Clear general page errors
     setSuccess(null); // Clear success messages
@@ -123,10 +188,17 @@ const CategoriesView = () => {
     setAddCategoryError(null); // Clear modal error
 
     try {
-      const result = await api.addCategory({
-        name: newCategoryName.trim(),
-        description: newCategoryDescription.trim() || null, // Send null if description is empty
-      });
+      const result = await runUndoable(
+        "addCategory",
+        {
+          name: newCategoryName.trim(),
+          description: newCategoryDescription.trim() || null, // Send null if description is empty
+          parent_category_id: newCategoryParentId
+            ? parseInt(newCategoryParentId, 10)
+            : null,
+        },
+        { description: describeChange("add", newCategoryName.trim()) },
+      );
 
       if (result.success) {
         // Fetch data, then close modal and show global success message
@@ -184,6 +256,7 @@ const CategoriesView = () => {
     setEditingCategoryId(category.category_id);
     setEditName(category.name);
     setEditDescription(category.description || ""); // Handle null description
+    setEditParentId(category.parent_category_id ?? "");
     setUpdateError(null); // Clear previous edit errors
     setSuccess(null); // Clear success messages
     setError(null); // Clear general errors
@@ -193,6 +266,7 @@ const CategoriesView = () => {
     setEditingCategoryId(null);
     setEditName("");
     setEditDescription("");
+    setEditParentId("");
     setUpdateError(null);
   };
 
@@ -219,11 +293,16 @@ const CategoriesView = () => {
     setSuccess(null);
 
     try {
-      const result = await api.updateCategory({
-        category_id: editingCategoryId,
-        name: editName.trim(),
-        description: editDescription.trim() || null,
-      });
+      const result = await runUndoable(
+        "updateCategory",
+        {
+          category_id: editingCategoryId,
+          name: editName.trim(),
+          description: editDescription.trim() || null,
+          parent_category_id: editParentId ? parseInt(editParentId, 10) : null,
+        },
+        { description: describeChange("update", editName.trim()) },
+      );
 
       if (result.success) {
         setSuccess(
@@ -237,6 +316,14 @@ const CategoriesView = () => {
         );
         handleCancelEdit(); // Close modal
         fetchCategories(); // Refresh list
+      } else if (result.errorCode === "INVALID_PARENT") {
+        setUpdateError(
+          intl.formatMessage({
+            id: "categories.error.invalidParent",
+            defaultMessage:
+              "A category cannot be moved under itself or one of its subcategories.",
+          }),
+        );
       } else {
         // Should ideally not happen if updateCategory throws errors
         setUpdateError(
@@ -314,9 +401,17 @@ const CategoriesView = () => {
 
     try {
       // Proceed with deletion - provider will check if in use
-      const result = await api.deleteCategory({
-        category_id: deleteCandidateId,
-      });
+      const result = await runUndoable(
+        "deleteCategory",
+        { category_id: deleteCandidateId },
+        {
+          description: describeChange(
+            "delete",
+            categories.find((cat) => cat.category_id === deleteCandidateId)
+              ?.name || "",
+          ),
+        },
+      );
       if (result.success) {
         setSuccess(
           intl.formatMessage({
@@ -332,6 +427,30 @@ const CategoriesView = () => {
           setDeleteError(
             intl.formatMessage({ id: "categories.error.deleteInUse" }),
           );
+        } else if (result.errorCode === "ENTITY_IN_TRASH") {
+          setDeleteError(
+            <>
+              {intl.formatMessage({
+                id: "categories.error.deleteInTrash",
+                defaultMessage:
+                  "Cannot delete category because clothes in the trash still belong to it. Restore them and choose another category, or delete them for good.",
+              })}{" "}
+              <Link to="/trash">
+                {intl.formatMessage({
+                  id: "common.openTrash",
+                  defaultMessage: "Open the trash",
+                })}
+              </Link>
+            </>,
+          );
+        } else if (result.errorCode === "ENTITY_HAS_CHILDREN") {
+          setDeleteError(
+            intl.formatMessage({
+              id: "categories.error.deleteHasChildren",
+              defaultMessage:
+                "Cannot delete category because it has subcategories. Move or delete them first.",
+            }),
+          );
         } else {
           setDeleteError(
             intl.formatMessage(
@@ -431,9 +550,33 @@ const CategoriesView = () => {
         )}
       {typeof api.listCategories === "function" && categories.length > 0 && (
         <div className="categories-list">
-          {categories.map((cat) => (
-            <div key={cat.category_id} className="category-card">
-              <h4>{cat.name}</h4>
+          {visibleCategoryTree.map(({ row: cat, depth }) => (
+            <div
+              key={cat.category_id}
+              className={`category-card${depth > 0 ? " nested" : ""}`}
+              style={{ marginLeft: `${depth * 24}px` }}
+            >
+              <h4>
+                {parentIds.has(cat.category_id) && (
+                  <button
+                    type="button"
+                    className="category-toggle"
+                    onClick={() => toggleCollapsed(cat.category_id)}
+                    aria-expanded={!collapsedIds.includes(cat.category_id)}
+                    aria-label={intl.formatMessage(
+                      {
+                        id: "categories.tree.toggleLabel",
+                        defaultMessage:
+                          "Show or hide the subcategories of {name}",
+                      },
+                      { name: cat.name },
+                    )}
+                  >
+                    {collapsedIds.includes(cat.category_id) ? "▸" : "▾"}
+                  </button>
+                )}
+                {cat.name}
+              </h4>
               {cat.description && <p>{cat.description}</p>}
               {/* Show Edit button only if provider configured and update method exists - Use button-light */}
               {api.isConfigured && typeof api.updateCategory === "function" && (
@@ -508,6 +651,28 @@ const CategoriesView = () => {
                 disabled={loading}
               />
             </div>
+            <div className="form-group">
+              <label htmlFor="category-parent-modal">
+                {intl.formatMessage({
+                  id: "categories.addForm.parentLabel",
+                  defaultMessage: "Parent category:",
+                })}
+              </label>
+              <select
+                id="category-parent-modal"
+                value={newCategoryParentId}
+                onChange={(e) => setNewCategoryParentId(e.target.value)}
+                disabled={loading}
+              >
+                <option value="">
+                  {intl.formatMessage({
+                    id: "categories.addForm.noParent",
+                    defaultMessage: "-- None (top level) --",
+                  })}
+                </option>
+                <TreeOptions nodes={categoryTree} idKey="category_id" />
+              </select>
+            </div>
             <div className="modal-actions">
               <button
                 type="submit"
@@ -576,6 +741,32 @@ const CategoriesView = () => {
                 disabled={isUpdating || isDeleting}
               />
             </div>
+            <div className="form-group">
+              <label htmlFor="edit-category-parent">
+                {intl.formatMessage({
+                  id: "categories.addForm.parentLabel",
+                  defaultMessage: "Parent category:",
+                })}
+              </label>
+              <select
+                id="edit-category-parent"
+                value={editParentId}
+                onChange={(e) => setEditParentId(e.target.value)}
+                disabled={isUpdating || isDeleting}
+              >
+                <option value="">
+                  {intl.formatMessage({
+                    id: "categories.addForm.noParent",
+                    defaultMessage: "-- None (top level) --",
+                  })}
+                </option>
+                <TreeOptions nodes={editParentOptions} idKey="category_id" />
+              </select>
+            </div>
+            <CustomFieldsEditor
+              categoryId={editingCategoryId}
+              disabled={isUpdating || isDeleting}
+            />
             <div className="modal-actions">
               <button
                 type="submit"
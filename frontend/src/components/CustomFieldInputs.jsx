@@ -0,0 +1,115 @@
+import React from "react";
+import { useIntl } from "react-intl";
+
+// One input per custom field of a category. Values are kept as entered, keyed by field_id;
+// encodeFieldValue turns them into their stored form when the item is saved.
+const CustomFieldInputs = ({
+  idPrefix,
+  fields,
+  values,
+  onChange,
+  emptyLabel,
+  disabled = false,
+}) => {
+  const intl = useIntl();
+  const emptyOptionLabel =
+    emptyLabel ??
+    intl.formatMessage({
+      id: "customFields.input.notSet",
+      defaultMessage: "-- Not set --",
+    });
+
+  const setValue = (fieldId, value) => {
+    onChange({ ...values, [fieldId]: value });
+  };
+
+  const renderInput = (field, inputId) => {
+    const value = values[field.field_id] ?? "";
+    const handleChange = (e) => setValue(field.field_id, e.target.value);
+
+    switch (field.field_type) {
+      case "enum":
+        return (
+          <select
+            id={inputId}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+          >
+            <option value="">{emptyOptionLabel}</option>
+            {(field.options || []).map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      case "boolean":
+        return (
+          <select
+            id={inputId}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+          >
+            <option value="">{emptyOptionLabel}</option>
+            <option value="true">
+              {intl.formatMessage({
+                id: "customFields.input.yes",
+                defaultMessage: "Yes",
+              })}
+            </option>
+            <option value="false">
+              {intl.formatMessage({
+                id: "customFields.input.no",
+                defaultMessage: "No",
+              })}
+            </option>
+          </select>
+        );
+      case "number":
+        return (
+          <input
+            type="number"
+            step="any"
+            id={inputId}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+        );
+      case "date":
+        return (
+          <input
+            type="date"
+            id={inputId}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            id={inputId}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+        );
+    }
+  };
+
+  return fields.map((field) => {
+    const inputId = `${idPrefix}-${field.field_id}`;
+    return (
+      <div key={field.field_id} className="form-group">
+        <label htmlFor={inputId}>{field.name}:</label>
+        {renderInput(field, inputId)}
+      </div>
+    );
+  });
+};
+
+export default CustomFieldInputs;
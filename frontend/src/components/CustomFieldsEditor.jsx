@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useApi } from "../api/ApiContext";
+import { useIntl } from "react-intl";
+import { CUSTOM_FIELD_TYPES } from "../api/providerUtils";
+import "./CustomFieldsEditor.css";
+
+// Splits the comma separated options typed for an enum field
+const splitOptions = (text) =>
+  text
+    .split(",")
+    .map((option) => option.trim())
+    .filter(Boolean);
+
+// Manages the custom fields of one category. Every change is saved right away.
+const CustomFieldsEditor = ({ categoryId, disabled = false }) => {
+  const api = useApi();
+  const intl = useIntl();
+  const [fields, setFields] = useState([]);
+  const [newFieldName, setNewFieldName] = useState("");
+  const [newFieldType, setNewFieldType] = useState("text");
+  const [newFieldOptions, setNewFieldOptions] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canEdit =
+    typeof api.addCustomField === "function" &&
+    typeof api.updateCustomField === "function" &&
+    typeof api.deleteCustomField === "function";
+  const isDisabled = disabled || isSaving || !api.writeAllowed;
+
+  const fetchFields = useCallback(async () => {
+    if (typeof api.listCustomFields !== "function") return;
+    try {
+      const data = await api.listCustomFields();
+      setFields(
+        (data || []).filter((field) => field.category_id === categoryId),
+      );
+    } catch (err) {
+      console.error("Failed to fetch custom fields:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "customFields.error.fetch",
+            defaultMessage: "Failed to fetch custom fields: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    }
+  }, [api, categoryId, intl]);
+
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
+
+  // Runs a change against the provider and reloads the fields afterwards
+  const saveChange = async (change) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const result = await change();
+      if (result && !result.success) {
+        throw new Error(
+          result.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      await fetchFields();
+      return true;
+    } catch (err) {
+      console.error("Failed to save custom field:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "customFields.error.save",
+            defaultMessage: "Failed to save custom field: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddField = async () => {
+    if (!newFieldName.trim()) return;
+    const saved = await saveChange(() =>
+      api.addCustomField({
+        category_id: categoryId,
+        name: newFieldName.trim(),
+        field_type: newFieldType,
+        options: newFieldType === "enum" ? splitOptions(newFieldOptions) : null,
+      }),
+    );
+    if (saved) {
+      setNewFieldName("");
+      setNewFieldOptions("");
+    }
+  };
+
+  const handleRenameField = (field, name) => {
+    if (!name.trim() || name.trim() === field.name) return;
+    saveChange(() =>
+      api.updateCustomField({ field_id: field.field_id, name: name.trim() }),
+    );
+  };
+
+  const handleOptionsChange = (field, text) => {
+    const options = splitOptions(text);
+    if (options.join(",") === (field.options || []).join(",")) return;
+    saveChange(() =>
+      api.updateCustomField({
+        field_id: field.field_id,
+        name: field.name,
+        options,
+      }),
+    );
+  };
+
+  // Swaps a field with its neighbour and renumbers the positions of the category's fields
+  const handleMoveField = (index, direction) => {
+    const reordered = [...fields];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    saveChange(async () => {
+      for (const [position, field] of reordered.entries()) {
+        if (field.position === position) continue;
+        await api.updateCustomField({
+          field_id: field.field_id,
+          name: field.name,
+          position,
+        });
+      }
+    });
+  };
+
+  const handleDeleteField = (field) => {
+    const confirmed = window.confirm(
+      intl.formatMessage(
+        {
+          id: "customFields.deleteConfirm",
+          defaultMessage:
+            'Delete the field "{name}"? Its values are removed from every item.',
+        },
+        { name: field.name },
+      ),
+    );
+    if (!confirmed) return;
+    saveChange(() => api.deleteCustomField({ field_id: field.field_id }));
+  };
+
+  // Keeps Enter from submitting the surrounding category form
+  const handleNewFieldKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleAddField();
+    }
+  };
+
+  const typeLabel = (fieldType) =>
+    intl.formatMessage({ id: `customFields.type.${fieldType}` });
+
+  if (typeof api.listCustomFields !== "function") return null;
+
+  return (
+    <fieldset className="custom-fields-editor">
+      <legend>
+        {intl.formatMessage({
+          id: "customFields.title",
+          defaultMessage: "Custom fields",
+        })}
+      </legend>
+      {error && <p className="status-error">{error}</p>}
+      {fields.length === 0 && (
+        <p className="custom-fields-empty">
+          {intl.formatMessage({
+            id: "customFields.empty",
+            defaultMessage: "Items of this category have no custom fields.",
+          })}
+        </p>
+      )}
+      {fields.map((field, index) => (
+        <div key={field.field_id} className="custom-field-row">
+          <input
+            type="text"
+            defaultValue={field.name}
+            onBlur={(e) => handleRenameField(field, e.target.value)}
+            disabled={isDisabled || !canEdit}
+            aria-label={intl.formatMessage({
+              id: "customFields.nameLabel",
+              defaultMessage: "Field name",
+            })}
+          />
+          <span className="custom-field-type">
+            {typeLabel(field.field_type)}
+          </span>
+          {field.field_type === "enum" && (
+            <input
+              type="text"
+              defaultValue={(field.options || []).join(", ")}
+              onBlur={(e) => handleOptionsChange(field, e.target.value)}
+              disabled={isDisabled || !canEdit}
+              aria-label={intl.formatMessage({
+                id: "customFields.optionsLabel",
+                defaultMessage: "Options, separated by commas",
+              })}
+            />
+          )}
+          <button
+            type="button"
+            className="button-light"
+            onClick={() => handleMoveField(index, -1)}
+            disabled={isDisabled || !canEdit || index === 0}
+            aria-label={intl.formatMessage({
+              id: "customFields.moveUp",
+              defaultMessage: "Move up",
+            })}
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className="button-light"
+            onClick={() => handleMoveField(index, 1)}
+            disabled={isDisabled || !canEdit || index === fields.length - 1}
+            aria-label={intl.formatMessage({
+              id: "customFields.moveDown",
+              defaultMessage: "Move down",
+            })}
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className="button-danger"
+            onClick={() => handleDeleteField(field)}
+            disabled={isDisabled || !canEdit}
+            aria-label={intl.formatMessage(
+              {
+                id: "customFields.deleteLabel",
+                defaultMessage: "Delete field {name}",
+              },
+              { name: field.name },
+            )}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {canEdit && (
+        <div className="custom-field-row custom-field-new">
+          <input
+            type="text"
+            value={newFieldName}
+            onChange={(e) => setNewFieldName(e.target.value)}
+            onKeyDown={handleNewFieldKeyDown}
+            placeholder={intl.formatMessage({
+              id: "customFields.newNamePlaceholder",
+              defaultMessage: "New field name",
+            })}
+            disabled={isDisabled}
+          />
+          <select
+            value={newFieldType}
+            onChange={(e) => setNewFieldType(e.target.value)}
+            disabled={isDisabled}
+            aria-label={intl.formatMessage({
+              id: "customFields.typeLabel",
+              defaultMessage: "Field type",
+            })}
+          >
+            {CUSTOM_FIELD_TYPES.map((fieldType) => (
+              <option key={fieldType} value={fieldType}>
+                {typeLabel(fieldType)}
+              </option>
+            ))}
+          </select>
+          {newFieldType === "enum" && (
+            <input
+              type="text"
+              value={newFieldOptions}
+              onChange={(e) => setNewFieldOptions(e.target.value)}
+              onKeyDown={handleNewFieldKeyDown}
+              placeholder={intl.formatMessage({
+                id: "customFields.optionsLabel",
+                defaultMessage: "Options, separated by commas",
+              })}
+              disabled={isDisabled}
+            />
+          )}
+          <button
+            type="button"
+            className="button-secondary"
+            onClick={handleAddField}
+            disabled={isDisabled || !newFieldName.trim()}
+          >
+            {intl.formatMessage({
+              id: "customFields.addButton",
+              defaultMessage: "Add field",
+            })}
+          </button>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default CustomFieldsEditor;
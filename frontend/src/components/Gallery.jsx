@@ -1,4 +1,6 @@
 import React from "react";
+import { getStatusLabel, getNextStatuses } from "../helpers/itemStatuses";
+import { isLoanOverdue } from "../api/providerUtils";
 import "./Gallery.css";
 
 const Gallery = ({
@@ -8,29 +10,55 @@ const Gallery = ({
   displayedItemImageUrls,
   itemImageFiles,
   loadingImages,
+  getLocationLabel, // Breadcrumb of an item's location
   isLoading, // Main loading state from ItemsView
   isUpdating, // Item-specific update in progress
   isDeleting, // Item-specific delete in progress
   canUpdateItem, // Whether the API supports updating items
+  onWornToday, // Records a wear event dated today
+  wearingItemId, // Item whose wear event is being saved
+  canRecordWear, // Whether wear events can be recorded
+  itemStatuses = [], // Configured statuses, see helpers/itemStatuses
+  onStatusChange, // Switches an item to another status
+  statusItemId, // Item whose status change is being saved
+  canChangeStatus, // Whether item statuses can be changed
+  onSelectItem, // Picks an item, e.g. for an outfit; each card gets a toggle for it
+  selectedItemUuids = [], // Items picked through onSelectItem
   intl,
 }) => {
   if (!items || items.length === 0) {
     return null;
   }
 
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+  const isOverdue = (item) => isLoanOverdue({ due_on: item.loan_due_on });
+
   return (
     <div className="items-list">
       {items.map((item) => (
-        <div key={item.item_id} className="item-card">
+        <div
+          key={item.item_id}
+          className={`item-card${item.queued ? " item-card-queued" : ""}${isOverdue(item) ? " item-card-overdue" : ""}${selectedItemUuids.includes(item.uuid) ? " item-card-selected" : ""}`}
+        >
           {item.price != null && (
             <div className="price-badge">{item.price.toFixed(2)}</div>
           )}
+          {item.queued && (
+            <div className="queued-badge">
+              {intl.formatMessage({
+                id: "items.card.queued",
+                defaultMessage: "Not synced",
+              })}
+            </div>
+          )}
           <div
             className={`item-image-container ${!displayedItemImageUrls[item.item_id] ? "placeholder" : ""} ${displayedItemImageUrls[item.item_id] ? "clickable" : ""}`}
             onClick={() =>
               itemImageFiles[item.item_id] &&
               itemImageFiles[item.item_id] instanceof File &&
-              onImageClick(itemImageFiles[item.item_id], item.name)
+              onImageClick(itemImageFiles[item.item_id], item.name, item)
             }
             title={
               displayedItemImageUrls[item.item_id]
@@ -59,7 +87,119 @@ const Gallery = ({
             ) : null}
           </div>
           <div className="item-card-content">
-            <h4 title={item.name}>{item.name}</h4>
+            <div className="item-card-title">
+              <h4 title={item.name}>{item.name}</h4>
+              {getLocationLabel && item.location_id != null && (
+                <p
+                  className="item-card-location"
+                  title={getLocationLabel(item.location_id)}
+                >
+                  {getLocationLabel(item.location_id)}
+                </p>
+              )}
+              {canChangeStatus ? (
+                <select
+                  className="item-card-status"
+                  value={item.status ?? ""}
+                  onChange={(e) => onStatusChange(item, e.target.value || null)}
+                  disabled={isLoading || statusItemId === item.item_id}
+                  aria-label={intl.formatMessage(
+                    {
+                      id: "items.card.statusLabel",
+                      defaultMessage: "Status of {name}",
+                    },
+                    { name: item.name },
+                  )}
+                >
+                  <option value={item.status ?? ""}>
+                    {getStatusLabel(intl, itemStatuses, item.status)}
+                  </option>
+                  {getNextStatuses(itemStatuses, item.status).map((key) => (
+                    <option key={key} value={key}>
+                      {getStatusLabel(intl, itemStatuses, key)}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                item.status && (
+                  <p className="item-card-status-text">
+                    {getStatusLabel(intl, itemStatuses, item.status)}
+                  </p>
+                )
+              )}
+              {item.lent_on && (
+                <p
+                  className={`item-card-loan${isOverdue(item) ? " item-card-loan-overdue" : ""}`}
+                >
+                  {isOverdue(item)
+                    ? intl.formatMessage(
+                        {
+                          id: "items.card.loanOverdue",
+                          defaultMessage: "Overdue, was due on {date}",
+                        },
+                        { date: formatDay(item.loan_due_on) },
+                      )
+                    : intl.formatMessage(
+                        {
+                          id: "items.card.lentOut",
+                          defaultMessage: "Lent out since {date}",
+                        },
+                        { date: formatDay(item.lent_on) },
+                      )}
+                </p>
+              )}
+            </div>
+            {canRecordWear && (
+              <button
+                onClick={() => onWornToday(item)}
+                className="worn-today-button button-light"
+                title={
+                  item.last_worn_on
+                    ? intl.formatMessage(
+                        {
+                          id: "items.card.wornSummary",
+                          defaultMessage: "Worn {count} times, last on {date}",
+                        },
+                        {
+                          count: item.wear_count,
+                          date: intl.formatDate(
+                            `${item.last_worn_on}T00:00:00`,
+                            { dateStyle: "medium" },
+                          ),
+                        },
+                      )
+                    : intl.formatMessage({
+                        id: "items.card.neverWorn",
+                        defaultMessage: "Not worn yet",
+                      })
+                }
+                disabled={isLoading || wearingItemId === item.item_id}
+              >
+                {intl.formatMessage({
+                  id: "items.card.wornToday",
+                  defaultMessage: "Worn today",
+                })}
+              </button>
+            )}
+            {onSelectItem && (
+              <button
+                type="button"
+                onClick={() => onSelectItem(item)}
+                className={`select-button ${selectedItemUuids.includes(item.uuid) ? "button-primary" : "button-light"}`}
+                aria-pressed={selectedItemUuids.includes(item.uuid)}
+                disabled={isLoading}
+              >
+                {selectedItemUuids.includes(item.uuid)
+                  ? intl.formatMessage({
+                      id: "items.card.selected",
+                      defaultMessage: "Selected",
+                    })
+                  : intl.formatMessage({
+                      id: "items.card.select",
+                      defaultMessage: "Select",
+                    })}
+              </button>
+            )}
             {canUpdateItem && (
               <button
                 onClick={() => onEditItem(item)}
@@ -0,0 +1,81 @@
+import React from "react";
+import { useIntl } from "react-intl";
+import "./ImageCarousel.css";
+
+// Shows one image of an ordered list at a time; the parent owns the index
+const ImageCarousel = ({
+  images,
+  currentIndex,
+  onIndexChange,
+  onImageClick,
+}) => {
+  const intl = useIntl();
+
+  if (!images || images.length === 0) {
+    return null;
+  }
+
+  const index = Math.min(currentIndex, images.length - 1);
+  const current = images[index];
+  const showStep = (step) => {
+    onIndexChange((index + step + images.length) % images.length);
+  };
+
+  return (
+    <div className="image-carousel">
+      <div className="image-carousel-frame">
+        {images.length > 1 && (
+          <button
+            type="button"
+            className="image-carousel-nav image-carousel-prev"
+            onClick={() => showStep(-1)}
+            aria-label={intl.formatMessage({
+              id: "imageCarousel.previous",
+              defaultMessage: "Previous image",
+            })}
+          >
+            &#8249;
+          </button>
+        )}
+        <img
+          src={current.url}
+          alt={current.alt}
+          className={onImageClick ? "clickable" : undefined}
+          onClick={() => onImageClick && onImageClick(index)}
+        />
+        {images.length > 1 && (
+          <button
+            type="button"
+            className="image-carousel-nav image-carousel-next"
+            onClick={() => showStep(1)}
+            aria-label={intl.formatMessage({
+              id: "imageCarousel.next",
+              defaultMessage: "Next image",
+            })}
+          >
+            &#8250;
+          </button>
+        )}
+        {current.isPrimary && (
+          <span className="image-carousel-primary-badge">
+            {intl.formatMessage({
+              id: "imageCarousel.primary",
+              defaultMessage: "Primary",
+            })}
+          </span>
+        )}
+      </div>
+      <div className="image-carousel-counter">
+        {intl.formatMessage(
+          {
+            id: "imageCarousel.counter",
+            defaultMessage: "{current} / {total}",
+          },
+          { current: index + 1, total: images.length },
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImageCarousel;
@@ -1,11 +1,39 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import "./ImageViewModal.css";
 
-const ImageViewModal = ({ show, onClose, imageUrl, imageAlt }) => {
+const ImageViewModal = ({
+  show,
+  onClose,
+  imageUrl,
+  imageAlt,
+  images,
+  initialIndex = 0,
+}) => {
+  const [currentIndex, setCurrentIndex] = useState(initialIndex);
+
+  // `images` ([{ url, alt }]) enables browsing; a lone imageUrl is shown as is
+  const slides =
+    images && images.length > 0
+      ? images
+      : imageUrl
+        ? [{ url: imageUrl, alt: imageAlt }]
+        : [];
+  const slideCount = slides.length;
+
+  useEffect(() => {
+    if (show) {
+      setCurrentIndex(initialIndex);
+    }
+  }, [show, initialIndex]);
+
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === "Escape") {
         onClose();
+      } else if (slideCount > 1 && event.key === "ArrowLeft") {
+        setCurrentIndex((index) => (index - 1 + slideCount) % slideCount);
+      } else if (slideCount > 1 && event.key === "ArrowRight") {
+        setCurrentIndex((index) => (index + 1) % slideCount);
       }
     };
 
@@ -18,9 +46,9 @@ const ImageViewModal = ({ show, onClose, imageUrl, imageAlt }) => {
     return () => {
       window.removeEventListener("keydown", handleKeyDown);
     };
-  }, [show, onClose]); // Re-run effect if show or onClose changes
+  }, [show, onClose, slideCount]); // Re-run effect if show, onClose or the image count changes
 
-  if (!show || !imageUrl) {
+  if (!show || slideCount === 0) {
     return null;
   }
 
@@ -28,6 +56,11 @@ const ImageViewModal = ({ show, onClose, imageUrl, imageAlt }) => {
     e.stopPropagation();
   };
 
+  const showStep = (step) => {
+    setCurrentIndex((index) => (index + step + slideCount) % slideCount);
+  };
+
+  const currentSlide = slides[Math.min(currentIndex, slideCount - 1)];
   const backdropClass = `image-view-modal-backdrop ${show ? "show" : ""}`;
 
   return (
@@ -40,7 +73,31 @@ const ImageViewModal = ({ show, onClose, imageUrl, imageAlt }) => {
         >
           &times;
         </button>
-        <img src={imageUrl} alt={imageAlt || "Full size view"} />
+        {slideCount > 1 && (
+          <>
+            <button
+              className="image-view-modal-nav image-view-modal-prev"
+              onClick={() => showStep(-1)}
+              aria-label="Previous image"
+            >
+              &#8249;
+            </button>
+            <button
+              className="image-view-modal-nav image-view-modal-next"
+              onClick={() => showStep(1)}
+              aria-label="Next image"
+            >
+              &#8250;
+            </button>
+            <span className="image-view-modal-counter">
+              {Math.min(currentIndex, slideCount - 1) + 1} / {slideCount}
+            </span>
+          </>
+        )}
+        <img
+          src={currentSlide.url}
+          alt={currentSlide.alt || imageAlt || "Full size view"}
+        />
       </div>
     </div>
   );
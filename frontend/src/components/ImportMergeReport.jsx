@@ -0,0 +1,124 @@
+import React from "react";
+import { useIntl } from "react-intl";
+import "./ImportMergeReport.css";
+
+// Records listed per group before the rest are only counted
+const MAX_LISTED_RECORDS = 100;
+
+// Report of a merge-mode import (see mergeImport): what was inserted, updated, skipped and left in conflict
+const ImportMergeReport = ({ report, providerName }) => {
+  const intl = useIntl();
+  if (!report) return null;
+
+  const describeRecord = (record) =>
+    intl.formatMessage(
+      {
+        id: "settings.data.mergeReport.record",
+        defaultMessage: '{entity} "{name}"',
+      },
+      {
+        entity: intl.formatMessage({ id: `sync.entity.${record.entity}` }),
+        name: record.name,
+      },
+    );
+
+  const renderRecords = (records, describe) => (
+    <ul className="import-merge-list">
+      {records.slice(0, MAX_LISTED_RECORDS).map((record, index) => (
+        <li key={index}>{describe(record)}</li>
+      ))}
+      {records.length > MAX_LISTED_RECORDS && (
+        <li>
+          {intl.formatMessage(
+            { id: "settings.data.importPreview.moreProblems" },
+            { count: records.length - MAX_LISTED_RECORDS },
+          )}
+        </li>
+      )}
+    </ul>
+  );
+
+  const renderGroup = (group, describe = describeRecord) =>
+    report[group].length > 0 && (
+      <details className="import-merge-group">
+        <summary>
+          {intl.formatMessage(
+            { id: `settings.data.mergeReport.${group}` },
+            { count: report[group].length },
+          )}
+        </summary>
+        {renderRecords(report[group], describe)}
+      </details>
+    );
+
+  return (
+    <div className="import-merge-report">
+      <p className="status-success">
+        {intl.formatMessage(
+          {
+            id: "settings.data.mergeReport.summary",
+            defaultMessage:
+              "Merge finished: {inserted} added, {updated} updated, {skipped} skipped, {conflicts} in conflict, {images} images transferred.",
+          },
+          {
+            inserted: report.inserted.length,
+            updated: report.updated.length,
+            skipped: report.skipped.length,
+            conflicts: report.conflicts.length,
+            images: report.images,
+          },
+        )}
+      </p>
+      {renderGroup("inserted")}
+      {renderGroup("updated")}
+      {renderGroup("skipped", (record) =>
+        intl.formatMessage(
+          { id: `settings.data.mergeReport.skippedReason.${record.reason}` },
+          { record: describeRecord(record) },
+        ),
+      )}
+      {report.conflicts.length > 0 && (
+        <div className="status-warning">
+          {intl.formatMessage({
+            id: "settings.data.mergeReport.conflictsTitle",
+            defaultMessage:
+              "These differ from the file, and were kept as they are:",
+          })}
+          {renderRecords(report.conflicts, (conflict) =>
+            intl.formatMessage(
+              {
+                id: `settings.data.mergeReport.conflictReason.${conflict.reason}`,
+              },
+              { record: describeRecord(conflict), providerName },
+            ),
+          )}
+        </div>
+      )}
+      {report.errors.length > 0 && (
+        <div className="status-error">
+          {intl.formatMessage({
+            id: "settings.data.mergeReport.errorsTitle",
+            defaultMessage: "These could not be merged:",
+          })}
+          {renderRecords(report.errors, (rowError) =>
+            intl.formatMessage(
+              {
+                id: "sync.errors.row",
+                defaultMessage: '{entity} "{name}": {error}',
+              },
+              {
+                entity: intl.formatMessage({
+                  id: `sync.entity.${rowError.entity}`,
+                }),
+                name: rowError.name,
+                error: rowError.message,
+              },
+            ),
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportMergeReport;
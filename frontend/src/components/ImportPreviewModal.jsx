@@ -0,0 +1,241 @@
+import React from "react";
+import { useIntl } from "react-intl";
+import Modal from "./Modal";
+import "./ImportPreviewModal.css";
+
+// Problems listed per kind before the rest are only counted
+const MAX_LISTED_PROBLEMS = 20;
+
+const COUNTED_ENTITIES = [
+  "items",
+  "images",
+  "locations",
+  "categories",
+  "owners",
+  "tags",
+  "customFields",
+  "history",
+  "wearEvents",
+  "loans",
+  "outfits",
+  "packingLists",
+];
+
+const IMPORT_MODES = ["replace", "merge"];
+const MERGE_STRATEGIES = ["skip", "newer", "overwrite"];
+
+// Result of the dry run of an import (see previewImport), for the user to confirm the import
+const ImportPreviewModal = ({
+  preview,
+  fileName,
+  providerName,
+  mode,
+  onModeChange,
+  mergeStrategy,
+  onMergeStrategyChange,
+  keepBackup,
+  onKeepBackupChange,
+  onConfirm,
+  onClose,
+}) => {
+  const intl = useIntl();
+  if (!preview) return null;
+
+  const blocking = preview.problems.filter((problem) => problem.blocking);
+  const warnings = preview.problems.filter((problem) => !problem.blocking);
+
+  const describeProblem = (problem) =>
+    intl.formatMessage(
+      { id: `settings.data.importPreview.problem.${problem.kind}` },
+      { ...problem, id: problem.id || "–", name: problem.name || "–" },
+    );
+
+  const renderProblems = (problems, className, titleId) =>
+    problems.length > 0 && (
+      <div className={className}>
+        {intl.formatMessage({ id: titleId })}
+        <ul className="import-preview-problems">
+          {problems.slice(0, MAX_LISTED_PROBLEMS).map((problem, index) => (
+            <li key={index}>{describeProblem(problem)}</li>
+          ))}
+          {problems.length > MAX_LISTED_PROBLEMS && (
+            <li>
+              {intl.formatMessage(
+                {
+                  id: "settings.data.importPreview.moreProblems",
+                  defaultMessage: "…and {count} more",
+                },
+                { count: problems.length - MAX_LISTED_PROBLEMS },
+              )}
+            </li>
+          )}
+        </ul>
+      </div>
+    );
+
+  return (
+    <Modal
+      show
+      onClose={onClose}
+      title={intl.formatMessage({
+        id: "settings.data.importPreview.title",
+        defaultMessage: "Import preview",
+      })}
+    >
+      <p>
+        {intl.formatMessage(
+          {
+            id: "settings.data.importPreview.summary",
+            defaultMessage: "{fileName} (export format {version}) contains:",
+          },
+          { fileName, version: preview.formatVersion },
+        )}
+      </p>
+      <table className="import-preview-counts">
+        <tbody>
+          {COUNTED_ENTITIES.map((entity) => (
+            <tr key={entity}>
+              <td>
+                {intl.formatMessage({
+                  id: `settings.data.importPreview.count.${entity}`,
+                })}
+              </td>
+              <td>{preview.counts[entity]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {preview.problems.length === 0 && (
+        <p className="status-success">
+          {intl.formatMessage({
+            id: "settings.data.importPreview.noProblems",
+            defaultMessage: "No problems found.",
+          })}
+        </p>
+      )}
+      {renderProblems(
+        blocking,
+        "status-error",
+        "settings.data.importPreview.blockingTitle",
+      )}
+      {renderProblems(
+        warnings,
+        "status-warning",
+        "settings.data.importPreview.warningsTitle",
+      )}
+      {preview.canImport && (
+        <div className="form-group">
+          <label htmlFor="importMode">
+            {intl.formatMessage({
+              id: "settings.data.importPreview.modeLabel",
+              defaultMessage: "Import mode:",
+            })}
+          </label>
+          <select
+            id="importMode"
+            value={mode}
+            onChange={(e) => onModeChange(e.target.value)}
+          >
+            {IMPORT_MODES.map((option) => (
+              <option key={option} value={option}>
+                {intl.formatMessage({
+                  id: `settings.data.importPreview.mode.${option}`,
+                })}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {preview.canImport && mode === "merge" && (
+        <>
+          <p>
+            {intl.formatMessage(
+              {
+                id: "settings.data.importPreview.mergeDescription",
+                defaultMessage:
+                  "Records are matched by their UUID. Records missing from {providerName} are added and nothing is deleted.",
+              },
+              { providerName },
+            )}
+          </p>
+          <div className="form-group">
+            <label htmlFor="importMergeStrategy">
+              {intl.formatMessage({
+                id: "settings.data.importPreview.mergeStrategyLabel",
+                defaultMessage: "Records that exist already:",
+              })}
+            </label>
+            <select
+              id="importMergeStrategy"
+              value={mergeStrategy}
+              onChange={(e) => onMergeStrategyChange(e.target.value)}
+            >
+              {MERGE_STRATEGIES.map((strategy) => (
+                <option key={strategy} value={strategy}>
+                  {intl.formatMessage({
+                    id: `settings.data.importPreview.mergeStrategy.${strategy}`,
+                  })}
+                </option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+      {preview.canImport && mode === "replace" && (
+        <>
+          <p className="warning-text">
+            {intl.formatMessage(
+              {
+                id: "settings.data.importPreview.replaceWarning",
+                defaultMessage:
+                  "Importing replaces all data in {providerName}.",
+              },
+              { providerName },
+            )}
+          </p>
+          <div className="checkbox-item">
+            <input
+              type="checkbox"
+              id="importKeepBackup"
+              checked={keepBackup}
+              onChange={(e) => onKeepBackupChange(e.target.checked)}
+            />
+            <label htmlFor="importKeepBackup">
+              {intl.formatMessage({
+                id: "settings.data.importPreview.keepBackup",
+                defaultMessage:
+                  "Export the current data first, so that the import can be rolled back",
+              })}
+            </label>
+          </div>
+        </>
+      )}
+      <div className="form-actions">
+        <button type="button" className="button-light" onClick={onClose}>
+          {intl.formatMessage({
+            id: "settings.data.importPreview.cancel",
+            defaultMessage: "Cancel",
+          })}
+        </button>
+        <button
+          type="button"
+          className={mode === "merge" ? "button-primary" : "button-danger"}
+          onClick={onConfirm}
+          disabled={!preview.canImport}
+        >
+          {mode === "merge"
+            ? intl.formatMessage({
+                id: "settings.data.importPreview.confirmMerge",
+                defaultMessage: "Merge into current data",
+              })
+            : intl.formatMessage({
+                id: "settings.data.importPreview.confirm",
+                defaultMessage: "Import and replace all data",
+              })}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default ImportPreviewModal;
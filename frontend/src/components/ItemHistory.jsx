@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from "react";
+import { useApi } from "../api/ApiContext";
+import { useIntl } from "react-intl";
+import "./ItemHistory.css";
+
+// Shows the recorded changes of one item, newest first
+const ItemHistory = ({
+  itemUuid,
+  locations,
+  categories,
+  owners,
+  tags,
+  customFields,
+}) => {
+  const api = useApi();
+  const intl = useIntl();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!itemUuid || typeof api.listHistory !== "function") return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .listHistory({ entity_type: "item", entity_uuid: itemUuid })
+      .then((data) => {
+        if (!cancelled) setEntries(data || []);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch the item history:", err);
+        if (!cancelled) {
+          setError(
+            intl.formatMessage(
+              {
+                id: "history.error.fetch",
+                defaultMessage: "Failed to fetch the history: {error}",
+              },
+              { error: err.message },
+            ),
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, itemUuid, intl]);
+
+  const nameOf = (rows, idField, id) =>
+    rows.find((row) => row[idField] === id)?.name ?? `#${id}`;
+
+  // Turns a recorded value into text, looking up the names behind IDs
+  const formatValue = (field, value) => {
+    if (value === null || typeof value === "undefined") {
+      return intl.formatMessage({
+        id: "history.value.empty",
+        defaultMessage: "(empty)",
+      });
+    }
+    switch (field) {
+      case "location_id":
+        return nameOf(locations, "location_id", value);
+      case "category_id":
+        return nameOf(categories, "category_id", value);
+      case "owner_id":
+        return nameOf(owners, "owner_id", value);
+      case "tag_ids":
+        return value.map((tagId) => nameOf(tags, "tag_id", tagId)).join(", ");
+      case "field_values":
+        return Object.entries(value)
+          .map(
+            ([fieldId, fieldValue]) =>
+              `${nameOf(customFields, "field_id", Number(fieldId))}: ${fieldValue}`,
+          )
+          .join(", ");
+      case "price":
+        return intl.formatNumber(value, {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        });
+      default:
+        return String(value);
+    }
+  };
+
+  const formatChange = (field, change) => {
+    const fieldLabel = intl.formatMessage({ id: `history.field.${field}` });
+    // Image UUIDs mean nothing to a reader
+    if (field === "image_uuid") return fieldLabel;
+    return intl.formatMessage(
+      {
+        id: "history.change",
+        defaultMessage: "{field}: {from} → {to}",
+      },
+      {
+        field: fieldLabel,
+        from: formatValue(field, change.from),
+        to: formatValue(field, change.to),
+      },
+    );
+  };
+
+  if (typeof api.listHistory !== "function" || !itemUuid) return null;
+
+  return (
+    <div className="item-history">
+      <h4>
+        {intl.formatMessage({
+          id: "history.title",
+          defaultMessage: "History",
+        })}
+      </h4>
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "history.loading",
+            defaultMessage: "Loading the history...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">{error}</p>}
+      {!loading && !error && entries.length === 0 && (
+        <p className="item-history-empty">
+          {intl.formatMessage({
+            id: "history.empty",
+            defaultMessage: "No changes have been recorded for this item.",
+          })}
+        </p>
+      )}
+      {entries.length > 0 && (
+        <ul className="item-history-list">
+          {entries.map((entry) => (
+            <li key={entry.history_id} className="item-history-entry">
+              <div className="item-history-header">
+                <strong>
+                  {intl.formatMessage({
+                    id: `history.action.${entry.action}`,
+                  })}
+                </strong>
+                <span className="item-history-meta">
+                  {intl.formatMessage(
+                    {
+                      id: "history.meta",
+                      defaultMessage: "{date} by {actor}",
+                    },
+                    {
+                      date: intl.formatDate(entry.created_at, {
+                        dateStyle: "medium",
+                        timeStyle: "short",
+                      }),
+                      actor:
+                        entry.actor ||
+                        intl.formatMessage({
+                          id: "history.actor.unknown",
+                          defaultMessage: "an unnamed client",
+                        }),
+                    },
+                  )}
+                </span>
+              </div>
+              {entry.action === "update" && (
+                <ul className="item-history-changes">
+                  {Object.entries(entry.changes).map(([field, change]) => (
+                    <li key={field}>{formatChange(field, change)}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemHistory;
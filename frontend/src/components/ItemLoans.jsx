@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from "react";
+import { useApi } from "../api/ApiContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import { useIntl } from "react-intl";
+import {
+  isLoanOverdue,
+  summarizeOpenLoans,
+  toWornOn,
+} from "../api/providerUtils";
+import "./ItemLoans.css";
+
+// Value of the borrower select for someone who is not one of the owners
+const OTHER_BORROWER = "";
+
+// Shows who an item was lent to, lends it out and records its return.
+// onLoanChange receives the item's new lent_on and loan_due_on after every change.
+const ItemLoans = ({ item, owners = [], canEdit, onLoanChange }) => {
+  const api = useApi();
+  const { isOffline, runOnline } = useOutbox();
+  const intl = useIntl();
+  const [loans, setLoans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [borrowerOwnerId, setBorrowerOwnerId] = useState(OTHER_BORROWER);
+  const [borrowerName, setBorrowerName] = useState("");
+  const [lentOn, setLentOn] = useState(toWornOn());
+  const [dueOn, setDueOn] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const itemUuid = item?.uuid;
+
+  useEffect(() => {
+    if (!itemUuid || typeof api.listLoans !== "function") return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .listLoans({ item_uuid: itemUuid })
+      .then((data) => {
+        if (!cancelled) setLoans(data || []);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch the loans:", err);
+        if (!cancelled) {
+          setError(
+            intl.formatMessage(
+              {
+                id: "loans.error.fetch",
+                defaultMessage: "Failed to fetch the loans: {error}",
+              },
+              { error: err.message },
+            ),
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, itemUuid, intl]);
+
+  // Reloads the loans after a change and passes the open loan on to the item list
+  const reloadLoans = async () => {
+    const data = (await api.listLoans({ item_uuid: itemUuid })) || [];
+    setLoans(data);
+    const summary = summarizeOpenLoans(data).get(itemUuid);
+    onLoanChange?.(itemUuid, {
+      lent_on: summary?.lent_on ?? null,
+      loan_due_on: summary?.loan_due_on ?? null,
+    });
+  };
+
+  // Runs a change of the loans, showing its error under the given message id
+  const runChange = async (change, errorId, errorMessage) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      // Loans cannot wait in the outbox
+      await runOnline(change);
+      await reloadLoans();
+    } catch (err) {
+      console.error("Failed to change the loans:", err);
+      setError(
+        intl.formatMessage(
+          { id: errorId, defaultMessage: errorMessage },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const borrowerOwner = owners.find(
+    (owner) => String(owner.owner_id) === borrowerOwnerId,
+  );
+
+  const handleLend = () =>
+    runChange(
+      async () => {
+        await api.addLoan({
+          item_uuid: itemUuid,
+          borrower_owner_uuid: borrowerOwner?.uuid,
+          borrower_name: borrowerOwner ? borrowerOwner.name : borrowerName,
+          lent_on: lentOn,
+          due_on: dueOn || null,
+        });
+        setBorrowerName("");
+        setDueOn("");
+      },
+      "loans.error.add",
+      "Failed to lend the item: {error}",
+    );
+
+  const handleReturn = (loanId) =>
+    runChange(
+      () => api.updateLoan({ loan_id: loanId, returned_on: toWornOn() }),
+      "loans.error.return",
+      "Failed to record the return: {error}",
+    );
+
+  const handleDelete = (loanId) =>
+    runChange(
+      () => api.deleteLoan({ loan_id: loanId }),
+      "loans.error.delete",
+      "Failed to delete the loan: {error}",
+    );
+
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+
+  // Owners are shown under their current name, others under the name given when lending
+  const borrowerOf = (loan) =>
+    owners.find((owner) => owner.uuid === loan.borrower_owner_uuid)?.name ||
+    loan.borrower_name;
+
+  if (typeof api.listLoans !== "function" || !itemUuid) return null;
+
+  const isLentOut = loans.some((loan) => !loan.returned_on);
+
+  return (
+    <div className="item-loans">
+      <h4>
+        {intl.formatMessage({ id: "loans.title", defaultMessage: "Loans" })}
+      </h4>
+      {error && <p className="status-error">{error}</p>}
+      {canEdit && isOffline && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "outbox.offlineHint",
+            defaultMessage:
+              "The server cannot be reached. This can be changed again once it is back.",
+          })}
+        </p>
+      )}
+      {!loading && loans.length === 0 && (
+        <p className="item-loans-empty">
+          {intl.formatMessage({
+            id: "loans.none",
+            defaultMessage: "Never lent out.",
+          })}
+        </p>
+      )}
+      {canEdit && !loading && !isLentOut && (
+        <div className="item-loans-add">
+          <select
+            value={borrowerOwnerId}
+            onChange={(e) => setBorrowerOwnerId(e.target.value)}
+            disabled={isSaving}
+            aria-label={intl.formatMessage({
+              id: "loans.borrowerLabel",
+              defaultMessage: "Borrower",
+            })}
+          >
+            <option value={OTHER_BORROWER}>
+              {intl.formatMessage({
+                id: "loans.borrower.other",
+                defaultMessage: "Someone else",
+              })}
+            </option>
+            {owners
+              .filter(
+                (owner) => String(owner.owner_id) !== String(item.owner_id),
+              )
+              .map((owner) => (
+                <option key={owner.owner_id} value={String(owner.owner_id)}>
+                  {owner.name}
+                </option>
+              ))}
+          </select>
+          {!borrowerOwner && (
+            <input
+              type="text"
+              value={borrowerName}
+              onChange={(e) => setBorrowerName(e.target.value)}
+              disabled={isSaving}
+              placeholder={intl.formatMessage({
+                id: "loans.borrowerNamePlaceholder",
+                defaultMessage: "Name of the borrower",
+              })}
+            />
+          )}
+          <label>
+            {intl.formatMessage({
+              id: "loans.lentOnLabel",
+              defaultMessage: "Lent on",
+            })}
+            <input
+              type="date"
+              value={lentOn}
+              max={toWornOn()}
+              onChange={(e) => setLentOn(e.target.value)}
+              disabled={isSaving}
+            />
+          </label>
+          <label>
+            {intl.formatMessage({
+              id: "loans.dueOnLabel",
+              defaultMessage: "Due",
+            })}
+            <input
+              type="date"
+              value={dueOn}
+              min={lentOn}
+              onChange={(e) => setDueOn(e.target.value)}
+              disabled={isSaving}
+            />
+          </label>
+          <button
+            type="button"
+            className="button-light"
+            onClick={handleLend}
+            disabled={
+              isSaving ||
+              isOffline ||
+              !lentOn ||
+              (!borrowerOwner && !borrowerName.trim())
+            }
+          >
+            {intl.formatMessage({
+              id: "loans.lendButton",
+              defaultMessage: "Lend",
+            })}
+          </button>
+        </div>
+      )}
+      {loans.length > 0 && (
+        <ul className="item-loans-list">
+          {loans.map((loan) => (
+            <li
+              key={loan.loan_id}
+              className={`item-loans-entry${isLoanOverdue(loan) ? " item-loans-overdue" : ""}`}
+            >
+              <span>
+                {intl.formatMessage(
+                  {
+                    id: "loans.entry",
+                    defaultMessage: "{borrower}, {lentOn}",
+                  },
+                  {
+                    borrower: borrowerOf(loan),
+                    lentOn: formatDay(loan.lent_on),
+                  },
+                )}
+                <span className="item-loans-dates">
+                  {loan.returned_on
+                    ? ` – ${intl.formatMessage(
+                        {
+                          id: "loans.returnedOn",
+                          defaultMessage: "returned {date}",
+                        },
+                        { date: formatDay(loan.returned_on) },
+                      )}`
+                    : loan.due_on
+                      ? ` – ${intl.formatMessage(
+                          { id: "loans.dueOn", defaultMessage: "due {date}" },
+                          { date: formatDay(loan.due_on) },
+                        )}`
+                      : ""}
+                </span>
+              </span>
+              {canEdit && (
+                <span className="item-loans-actions">
+                  {!loan.returned_on && (
+                    <button
+                      type="button"
+                      className="button-light"
+                      onClick={() => handleReturn(loan.loan_id)}
+                      disabled={isSaving || isOffline}
+                    >
+                      {intl.formatMessage({
+                        id: "loans.returnButton",
+                        defaultMessage: "Returned",
+                      })}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="button-light item-loans-delete"
+                    onClick={() => handleDelete(loan.loan_id)}
+                    disabled={isSaving || isOffline}
+                    aria-label={intl.formatMessage(
+                      {
+                        id: "loans.deleteButton.label",
+                        defaultMessage: "Delete the loan of {date}",
+                      },
+                      { date: formatDay(loan.lent_on) },
+                    )}
+                  >
+                    ✕
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemLoans;
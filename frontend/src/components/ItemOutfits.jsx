@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useApi } from "../api/ApiContext";
+import { useIntl } from "react-intl";
+import "./ItemOutfits.css";
+
+// Lists the outfits an item is part of; they are composed in the outfits view
+const ItemOutfits = ({ item }) => {
+  const api = useApi();
+  const intl = useIntl();
+  const [outfits, setOutfits] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const itemUuid = item?.uuid;
+
+  useEffect(() => {
+    if (!itemUuid || typeof api.listOutfits !== "function") return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .listOutfits({ item_uuid: itemUuid })
+      .then((data) => {
+        if (!cancelled) setOutfits(data || []);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch the outfits:", err);
+        if (!cancelled) {
+          setError(
+            intl.formatMessage(
+              {
+                id: "outfits.error.fetch",
+                defaultMessage: "Failed to fetch the outfits: {error}",
+              },
+              { error: err.message },
+            ),
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, itemUuid, intl]);
+
+  if (typeof api.listOutfits !== "function" || !itemUuid) return null;
+
+  return (
+    <div className="item-outfits">
+      <h4>
+        {intl.formatMessage({ id: "outfits.title", defaultMessage: "Outfits" })}
+      </h4>
+      {error && <p className="status-error">{error}</p>}
+      {!loading && outfits.length === 0 && (
+        <p className="item-outfits-empty">
+          {intl.formatMessage({
+            id: "outfits.item.none",
+            defaultMessage: "Not part of any outfit.",
+          })}
+        </p>
+      )}
+      {outfits.length > 0 && (
+        <ul className="item-outfits-list">
+          {outfits.map((outfit) => (
+            <li key={outfit.outfit_id}>
+              <Link to="/outfits">{outfit.name}</Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemOutfits;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useApi } from "../api/ApiContext";
+import { useIntl } from "react-intl";
+import { processItems } from "../helpers/filters";
+import Gallery from "./Gallery";
+import "./ItemPicker.css";
+
+// Cards shown at first and added by "Show more"
+const PICKER_PAGE_SIZE = 12;
+
+// Picks items from the item gallery, filtered by name, category and tag, e.g. for an outfit.
+// onToggleItem receives an item whenever it is picked or dropped.
+const ItemPicker = ({
+  items,
+  locations = [],
+  categories = [],
+  tags = [],
+  selectedItemUuids,
+  onToggleItem,
+  disabled = false,
+}) => {
+  const api = useApi();
+  const intl = useIntl();
+  const [filterName, setFilterName] = useState("");
+  const [filterCategoryId, setFilterCategoryId] = useState("");
+  const [filterTagId, setFilterTagId] = useState("");
+  const [currentPage, setCurrentPage] = useState(0);
+  const [itemImageFiles, setItemImageFiles] = useState({}); // { [itemId]: File | null }
+  const [displayedItemImageUrls, setDisplayedItemImageUrls] = useState({});
+  const [loadingImages, setLoadingImages] = useState({}); // { [imageUuid]: boolean }
+
+  const { displayedItems, hasMoreItems } = useMemo(
+    () =>
+      processItems(
+        items,
+        {
+          filterName,
+          filterLocationIds: [],
+          filterCategoryIds: filterCategoryId ? [Number(filterCategoryId)] : [],
+          filterOwnerIds: [],
+          filterTagIds: filterTagId ? [Number(filterTagId)] : [],
+          filterTagMode: "or",
+          filterFields: [],
+          filterStatuses: [],
+        },
+        "name_asc",
+        { currentPage, pageSize: PICKER_PAGE_SIZE },
+        locations,
+        categories,
+      ),
+    [
+      items,
+      filterName,
+      filterCategoryId,
+      filterTagId,
+      currentPage,
+      locations,
+      categories,
+    ],
+  );
+
+  // A new filter starts from the first page again
+  useEffect(() => {
+    setCurrentPage(0);
+  }, [filterName, filterCategoryId, filterTagId]);
+
+  // Thumbnails of the cards shown, each fetched once
+  useEffect(() => {
+    if (typeof api.getImage !== "function") return;
+    displayedItems.forEach((item) => {
+      if (
+        !item.image_uuid ||
+        item.item_id in itemImageFiles ||
+        loadingImages[item.image_uuid]
+      ) {
+        return;
+      }
+      setLoadingImages((prev) => ({ ...prev, [item.image_uuid]: true }));
+      api
+        .getImage({ image_uuid: item.image_uuid, variant: "thumb" })
+        .catch((err) => {
+          console.error(
+            `Failed to fetch image for UUID ${item.image_uuid}:`,
+            err,
+          );
+          return null;
+        })
+        .then((imageFile) => {
+          setItemImageFiles((prev) => ({
+            ...prev,
+            [item.item_id]: imageFile instanceof File ? imageFile : null,
+          }));
+          setLoadingImages((prev) => ({ ...prev, [item.image_uuid]: false }));
+        });
+    });
+  }, [api, displayedItems, itemImageFiles, loadingImages]);
+
+  // Object URLs of the fetched thumbnails, released when they are replaced or the picker closes
+  useEffect(() => {
+    const urls = {};
+    Object.entries(itemImageFiles).forEach(([itemId, file]) => {
+      if (file instanceof File) urls[itemId] = URL.createObjectURL(file);
+    });
+    setDisplayedItemImageUrls(urls);
+    return () => Object.values(urls).forEach(URL.revokeObjectURL);
+  }, [itemImageFiles]);
+
+  return (
+    <div className="item-picker">
+      <div className="item-picker-filters">
+        <input
+          type="text"
+          value={filterName}
+          onChange={(e) => setFilterName(e.target.value)}
+          placeholder={intl.formatMessage({
+            id: "itemPicker.namePlaceholder",
+            defaultMessage: "Search clothes",
+          })}
+          aria-label={intl.formatMessage({
+            id: "itemPicker.namePlaceholder",
+            defaultMessage: "Search clothes",
+          })}
+        />
+        <select
+          value={filterCategoryId}
+          onChange={(e) => setFilterCategoryId(e.target.value)}
+          aria-label={intl.formatMessage({
+            id: "itemPicker.categoryLabel",
+            defaultMessage: "Category",
+          })}
+        >
+          <option value="">
+            {intl.formatMessage({
+              id: "itemPicker.allCategories",
+              defaultMessage: "All categories",
+            })}
+          </option>
+          {categories.map((category) => (
+            <option key={category.category_id} value={category.category_id}>
+              {category.name}
+            </option>
+          ))}
+        </select>
+        {tags.length > 0 && (
+          <select
+            value={filterTagId}
+            onChange={(e) => setFilterTagId(e.target.value)}
+            aria-label={intl.formatMessage({
+              id: "itemPicker.tagLabel",
+              defaultMessage: "Tag",
+            })}
+          >
+            <option value="">
+              {intl.formatMessage({
+                id: "itemPicker.allTags",
+                defaultMessage: "All tags",
+              })}
+            </option>
+            {tags.map((tag) => (
+              <option key={tag.tag_id} value={tag.tag_id}>
+                {tag.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {displayedItems.length === 0 && (
+        <p className="item-picker-empty">
+          {intl.formatMessage({
+            id: "itemPicker.empty",
+            defaultMessage: "No clothes match the filters.",
+          })}
+        </p>
+      )}
+      <Gallery
+        items={displayedItems}
+        onImageClick={(_file, _name, item) => onToggleItem(item)}
+        displayedItemImageUrls={displayedItemImageUrls}
+        itemImageFiles={itemImageFiles}
+        loadingImages={loadingImages}
+        isLoading={disabled}
+        onSelectItem={onToggleItem}
+        selectedItemUuids={selectedItemUuids}
+        intl={intl}
+      />
+      {hasMoreItems && (
+        <button
+          type="button"
+          className="button-light item-picker-more"
+          onClick={() => setCurrentPage((page) => page + 1)}
+        >
+          {intl.formatMessage({
+            id: "itemPicker.showMore",
+            defaultMessage: "Show more",
+          })}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ItemPicker;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from "react";
+import { useIntl } from "react-intl";
+import { useSettings } from "../settings/SettingsContext";
+import {
+  DEFAULT_ITEM_STATUSES,
+  normalizeItemStatuses,
+  statusKeyFromLabel,
+  getStatusLabel,
+} from "../helpers/itemStatuses";
+import "./ItemStatusSettings.css";
+
+// "Item statuses" section of the settings: which statuses exist and which may follow which
+const ItemStatusSettings = () => {
+  const intl = useIntl();
+  const { settings: appSettings, updateSettings: updateAppSettings } =
+    useSettings();
+
+  const [localStatuses, setLocalStatuses] = useState(() =>
+    normalizeItemStatuses(appSettings.itemStatuses),
+  );
+  const [newLabel, setNewLabel] = useState("");
+  const [saveStatus, setSaveStatus] = useState("idle");
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    setLocalStatuses(normalizeItemStatuses(appSettings.itemStatuses));
+    setSaveStatus("idle");
+    setSaveError(null);
+  }, [appSettings.itemStatuses]);
+
+  const change = (statuses) => {
+    setLocalStatuses(statuses);
+    setSaveStatus("idle");
+    setSaveError(null);
+  };
+
+  const handleLabelChange = (key, label) => {
+    change(localStatuses.map((s) => (s.key === key ? { ...s, label } : s)));
+  };
+
+  const handleToggleNext = (key, nextKey) => {
+    change(
+      localStatuses.map((s) =>
+        s.key !== key
+          ? s
+          : {
+              ...s,
+              next: s.next.includes(nextKey)
+                ? s.next.filter((k) => k !== nextKey)
+                : [...s.next, nextKey],
+            },
+      ),
+    );
+  };
+
+  // Items keep the key of a removed status; they show it until they are switched to another one
+  const handleRemove = (key) => {
+    change(
+      localStatuses
+        .filter((s) => s.key !== key)
+        .map((s) => ({ ...s, next: s.next.filter((k) => k !== key) })),
+    );
+  };
+
+  const handleAdd = () => {
+    const label = newLabel.trim();
+    const key = statusKeyFromLabel(label);
+    if (!key) return;
+    if (localStatuses.some((s) => s.key === key)) {
+      setSaveError(
+        intl.formatMessage(
+          {
+            id: "settings.statuses.error.duplicate",
+            defaultMessage: 'A status "{name}" exists already.',
+          },
+          { name: label },
+        ),
+      );
+      setSaveStatus("error");
+      return;
+    }
+    change([...localStatuses, { key, label, next: [] }]);
+    setNewLabel("");
+  };
+
+  const handleSave = () => {
+    setSaveStatus("saving");
+    setSaveError(null);
+    try {
+      updateAppSettings({
+        itemStatuses: normalizeItemStatuses(
+          localStatuses.map(({ label, ...status }) =>
+            label?.trim() ? { ...status, label: label.trim() } : status,
+          ),
+        ),
+      });
+      setSaveStatus("success");
+    } catch (error) {
+      console.error("Error saving item statuses:", error);
+      setSaveError(error.message || "An unexpected error occurred.");
+      setSaveStatus("error");
+    }
+  };
+
+  return (
+    <fieldset className="settings-fieldset">
+      <legend>
+        {intl.formatMessage({
+          id: "settings.statuses.legend",
+          defaultMessage: "Item Statuses",
+        })}
+      </legend>
+      <p className="status-settings-note">
+        {intl.formatMessage({
+          id: "settings.statuses.note",
+          defaultMessage:
+            "Tick the statuses an item may be switched to from each status.",
+        })}
+      </p>
+      <ul className="status-settings-list">
+        {localStatuses.map((status) => (
+          <li key={status.key}>
+            <div className="status-settings-row">
+              <input
+                type="text"
+                value={status.label ?? ""}
+                placeholder={getStatusLabel(
+                  intl,
+                  DEFAULT_ITEM_STATUSES,
+                  status.key,
+                )}
+                onChange={(e) => handleLabelChange(status.key, e.target.value)}
+                aria-label={intl.formatMessage({
+                  id: "settings.statuses.labelInput",
+                  defaultMessage: "Status name",
+                })}
+                disabled={saveStatus === "saving"}
+              />
+              <button
+                type="button"
+                className="button-light"
+                onClick={() => handleRemove(status.key)}
+                disabled={saveStatus === "saving" || localStatuses.length <= 1}
+              >
+                {intl.formatMessage({
+                  id: "settings.statuses.removeButton",
+                  defaultMessage: "Remove",
+                })}
+              </button>
+            </div>
+            <div className="status-settings-next">
+              {localStatuses
+                .filter((other) => other.key !== status.key)
+                .map((other) => (
+                  <label key={other.key}>
+                    <input
+                      type="checkbox"
+                      checked={status.next.includes(other.key)}
+                      onChange={() => handleToggleNext(status.key, other.key)}
+                      disabled={saveStatus === "saving"}
+                    />
+                    {getStatusLabel(intl, localStatuses, other.key)}
+                  </label>
+                ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="form-group status-settings-add">
+        <input
+          type="text"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          placeholder={intl.formatMessage({
+            id: "settings.statuses.add.placeholder",
+            defaultMessage: "New status, e.g. Dry cleaning",
+          })}
+          disabled={saveStatus === "saving"}
+        />
+        <button
+          type="button"
+          className="button-secondary"
+          onClick={handleAdd}
+          disabled={saveStatus === "saving" || !statusKeyFromLabel(newLabel)}
+        >
+          {intl.formatMessage({ id: "common.add", defaultMessage: "Add" })}
+        </button>
+      </div>
+      <div className="form-actions">
+        <button
+          type="button"
+          className="button-light"
+          onClick={() => change(DEFAULT_ITEM_STATUSES)}
+          disabled={saveStatus === "saving"}
+        >
+          {intl.formatMessage({
+            id: "settings.statuses.resetButton",
+            defaultMessage: "Restore Defaults",
+          })}
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="button-primary"
+          disabled={saveStatus === "saving" || saveStatus === "success"}
+        >
+          {saveStatus === "saving"
+            ? intl.formatMessage({
+                id: "common.saving",
+                defaultMessage: "Saving...",
+              })
+            : intl.formatMessage({
+                id: "settings.statuses.saveButton",
+                defaultMessage: "Save Statuses",
+              })}
+        </button>
+      </div>
+      <div className="save-feedback" style={{ minHeight: "20px" }}>
+        {saveStatus === "success" && (
+          <p className="status-success">
+            {intl.formatMessage({
+              id: "settings.statuses.saveSuccess",
+              defaultMessage: "Statuses saved successfully!",
+            })}
+          </p>
+        )}
+        {saveStatus === "error" && <p className="status-error">{saveError}</p>}
+      </div>
+    </fieldset>
+  );
+};
+
+export default ItemStatusSettings;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from "react";
+import { useApi } from "../api/ApiContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import { useIntl } from "react-intl";
+import {
+  costPerWear,
+  summarizeWearEvents,
+  toWornOn,
+} from "../api/providerUtils";
+import "./ItemWear.css";
+
+// Shows how often an item was worn and what each wear cost, and lets wear events be added and removed.
+// onWearChange receives the item's new wear_count and last_worn_on after every change.
+const ItemWear = ({ item, canEdit, onWearChange }) => {
+  const api = useApi();
+  const { isOffline, runOnline } = useOutbox();
+  const intl = useIntl();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [wornOn, setWornOn] = useState(toWornOn());
+  const [note, setNote] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const itemUuid = item?.uuid;
+
+  useEffect(() => {
+    if (!itemUuid || typeof api.listWearEvents !== "function") return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .listWearEvents({ item_uuid: itemUuid })
+      .then((data) => {
+        if (!cancelled) setEvents(data || []);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch the wear events:", err);
+        if (!cancelled) {
+          setError(
+            intl.formatMessage(
+              {
+                id: "wear.error.fetch",
+                defaultMessage: "Failed to fetch the wear events: {error}",
+              },
+              { error: err.message },
+            ),
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, itemUuid, intl]);
+
+  // Reloads the events after a change and passes the new counts on to the item list
+  const reloadEvents = async () => {
+    const data = (await api.listWearEvents({ item_uuid: itemUuid })) || [];
+    setEvents(data);
+    const summary = summarizeWearEvents(data).get(itemUuid);
+    onWearChange?.(itemUuid, {
+      wear_count: summary?.wear_count ?? 0,
+      last_worn_on: summary?.last_worn_on ?? null,
+    });
+  };
+
+  const handleAdd = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      // Only "Worn today" on the item list waits in the outbox
+      await runOnline(() =>
+        api.addWearEvent({ item_uuid: itemUuid, worn_on: wornOn, note }),
+      );
+      setNote("");
+      await reloadEvents();
+    } catch (err) {
+      console.error("Failed to record the wear event:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "wear.error.add",
+            defaultMessage: "Failed to record the wear: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (wearId) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await runOnline(() => api.deleteWearEvent({ wear_id: wearId }));
+      await reloadEvents();
+    } catch (err) {
+      console.error("Failed to delete the wear event:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "wear.error.delete",
+            defaultMessage: "Failed to delete the wear: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatWornOn = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+
+  if (typeof api.listWearEvents !== "function" || !itemUuid) return null;
+
+  const lastWornOn = events[0]?.worn_on ?? null; // Most recently worn first
+  const perWear = costPerWear({ price: item.price, wear_count: events.length });
+
+  return (
+    <div className="item-wear">
+      <h4>
+        {intl.formatMessage({ id: "wear.title", defaultMessage: "Wear" })}
+      </h4>
+      {error && <p className="status-error">{error}</p>}
+      <dl className="item-wear-stats">
+        <dt>
+          {intl.formatMessage({
+            id: "wear.count",
+            defaultMessage: "Times worn",
+          })}
+        </dt>
+        <dd>{loading ? "…" : events.length}</dd>
+        <dt>
+          {intl.formatMessage({
+            id: "wear.lastWornOn",
+            defaultMessage: "Last worn",
+          })}
+        </dt>
+        <dd>
+          {lastWornOn
+            ? formatWornOn(lastWornOn)
+            : intl.formatMessage({
+                id: "wear.never",
+                defaultMessage: "Never",
+              })}
+        </dd>
+        <dt>
+          {intl.formatMessage({
+            id: "wear.costPerWear",
+            defaultMessage: "Cost per wear",
+          })}
+        </dt>
+        <dd>
+          {perWear !== null
+            ? intl.formatNumber(perWear, {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2,
+              })
+            : intl.formatMessage({
+                id: "wear.costPerWear.unknown",
+                defaultMessage: "–",
+              })}
+        </dd>
+      </dl>
+      {canEdit && isOffline && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "outbox.offlineHint",
+            defaultMessage:
+              "The server cannot be reached. This can be changed again once it is back.",
+          })}
+        </p>
+      )}
+      {canEdit && (
+        <div className="item-wear-add">
+          <input
+            type="date"
+            value={wornOn}
+            max={toWornOn()}
+            onChange={(e) => setWornOn(e.target.value)}
+            disabled={isSaving}
+            aria-label={intl.formatMessage({
+              id: "wear.dateLabel",
+              defaultMessage: "Date worn",
+            })}
+          />
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={isSaving}
+            placeholder={intl.formatMessage({
+              id: "wear.notePlaceholder",
+              defaultMessage: "Note (optional)",
+            })}
+          />
+          <button
+            type="button"
+            className="button-light"
+            onClick={handleAdd}
+            disabled={isSaving || isOffline || !wornOn}
+          >
+            {intl.formatMessage({
+              id: "wear.addButton",
+              defaultMessage: "Record wear",
+            })}
+          </button>
+        </div>
+      )}
+      {events.length > 0 && (
+        <ul className="item-wear-list">
+          {events.map((event) => (
+            <li key={event.wear_id} className="item-wear-entry">
+              <span>
+                {formatWornOn(event.worn_on)}
+                {event.note && (
+                  <span className="item-wear-note"> – {event.note}</span>
+                )}
+              </span>
+              {canEdit && (
+                <button
+                  type="button"
+                  className="button-light item-wear-delete"
+                  onClick={() => handleDelete(event.wear_id)}
+                  disabled={isSaving || isOffline}
+                  aria-label={intl.formatMessage(
+                    {
+                      id: "wear.deleteButton.label",
+                      defaultMessage: "Delete the wear of {date}",
+                    },
+                    { date: formatWornOn(event.worn_on) },
+                  )}
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ItemWear;
@@ -32,31 +32,97 @@ function useInfiniteLoader({
 }
 
 const DEFAULT_PAGE_SIZE = 11;
+const FILTER_DEBOUNCE_MS = 300;
+
+// Without a thumbnail the grid just shows the full image, so a failure shouldn't block saving
+const createThumbnailOrNull = async (file) => {
+  if (!(file instanceof File)) return null;
+  try {
+    return await createThumbnail(file, "Thumbnail creation failed");
+  } catch (err) {
+    console.error("Thumbnail creation failed:", err);
+    return null;
+  }
+};
 import { useApi } from "../api/ApiContext";
 import { useSettings } from "../settings/SettingsContext";
+import { useUndo } from "../undo/UndoContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import {
+  applyQueuedOperations,
+  isConnectivityError,
+} from "../outbox/outboxStore";
 import { useIntl } from "react-intl";
 import imageCompression from "browser-image-compression";
 import Modal from "./Modal";
 import ImageViewModal from "./ImageViewModal";
-import { compressImage, rotateImageFile } from "../helpers/images";
-import { processItems } from "../helpers/filters";
+import ImageCarousel from "./ImageCarousel";
+import {
+  compressImage,
+  createThumbnail,
+  rotateImageFile,
+} from "../helpers/images";
+import { buildItemQuery } from "../helpers/filters";
+import {
+  encodeFieldValue,
+  flattenTree,
+  getAncestorPath,
+  toWornOn,
+} from "../api/providerUtils";
 import Gallery from "./Gallery"; // Import the new Gallery component
 import "./ItemsView.css";
 import RangeSlider from "./RangeSlider";
+import TagInput from "./TagInput";
+import CustomFieldInputs from "./CustomFieldInputs";
+import ItemHistory from "./ItemHistory";
+import ItemWear from "./ItemWear";
+import ItemLoans from "./ItemLoans";
+import ItemOutfits from "./ItemOutfits";
+import OutboxStatus from "./OutboxStatus";
+import TreeOptions from "./TreeOptions";
+import { normalizeItemStatuses, getStatusLabel } from "../helpers/itemStatuses";
 
 const ItemsView = () => {
-  const [allItemsMetadata, setAllItemsMetadata] = useState([]);
-  const [displayedItems, setDisplayedItems] = useState([]);
+  const [fetchedItems, setFetchedItems] = useState([]); // Pages loaded so far
+  const [unfilteredItemsCount, setUnfilteredItemsCount] = useState(0);
+  const [maxItemPrice, setMaxItemPrice] = useState(null);
   const [locations, setLocations] = useState([]);
   const [categories, setCategories] = useState([]);
   const [owners, setOwners] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const {
+    operations: queuedOperations,
+    syncRevision,
+    submit: submitToOutbox,
+  } = useOutbox();
+  // The loaded pages with the changes still waiting in the outbox shown on top
+  const displayedItems = useMemo(
+    () =>
+      applyQueuedOperations(fetchedItems, queuedOperations, {
+        locations,
+        categories,
+        owners,
+        tags,
+        customFields,
+      }),
+    [
+      fetchedItems,
+      queuedOperations,
+      locations,
+      categories,
+      owners,
+      tags,
+      customFields,
+    ],
+  );
 
   // Pagination and loading state
   const [currentPage, setCurrentPage] = useState(0);
   const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
   const resetPage = useCallback(() => setCurrentPage(0), []);
   const [hasMoreItems, setHasMoreItems] = useState(true);
-  const [totalItemsCount, setTotalItemsCount] = useState(0); // Will be count after filtering, before pagination
+  const [totalItemsCount, setTotalItemsCount] = useState(0); // Count after filtering, before pagination (from the provider)
 
   const [newItemName, setNewItemName] = useState("");
   const [newItemDescription, setNewItemDescription] = useState("");
@@ -65,8 +131,10 @@ const ItemsView = () => {
   const [newItemCategoryId, setNewItemCategoryId] = useState("");
   const [newItemImageFile, setNewItemImageFile] = useState(null);
   const [newItemOwnerId, setNewItemOwnerId] = useState("");
+  const [newItemTagIds, setNewItemTagIds] = useState([]);
+  const [newItemFieldValues, setNewItemFieldValues] = useState({}); // { [fieldId]: value as entered }
 
-  const [loading, setLoading] = useState(false); // For initial all-metadata load
+  const [loading, setLoading] = useState(false); // For item page loads
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
 
@@ -78,18 +146,30 @@ const ItemsView = () => {
   const [editCategoryId, setEditCategoryId] = useState("");
   const [editItemImageFile, setEditItemImageFile] = useState(null);
   const [editOwnerId, setEditOwnerId] = useState("");
+  const [editTagIds, setEditTagIds] = useState([]);
+  const [editFieldValues, setEditFieldValues] = useState({});
   const [isUpdating, setIsUpdating] = useState(false);
   const [updateError, setUpdateError] = useState(null);
   const [imageMarkedForRemoval, setImageMarkedForRemoval] = useState(false);
+  // Whether the edit form's image was replaced or rotated; only then is it uploaded on save
+  const [editImageChanged, setEditImageChanged] = useState(false);
+  // All images of the item being edited: [{ image_uuid, position, is_primary, file, url }]
+  const [editItemImages, setEditItemImages] = useState([]);
+  const [editImageIndex, setEditImageIndex] = useState(0);
+  const [isSavingImages, setIsSavingImages] = useState(false);
 
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteCandidateId, setDeleteCandidateId] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteError, setDeleteError] = useState(null);
+  const [wearingItemId, setWearingItemId] = useState(null); // Item whose "worn today" is being saved
+  const [statusItemId, setStatusItemId] = useState(null); // Item whose status change is being saved
 
   const [isImageViewModalOpen, setIsImageViewModalOpen] = useState(false);
   const [imageViewModalUrl, setImageViewModalUrl] = useState(null);
   const [imageViewModalAlt, setImageViewModalAlt] = useState("");
+  const [imageViewModalImages, setImageViewModalImages] = useState([]); // [{ url, alt }]
+  const [imageViewModalIndex, setImageViewModalIndex] = useState(0);
 
   const [isRotatingAdd, setIsRotatingAdd] = useState(false);
   const [isRotatingEdit, setIsRotatingEdit] = useState(false);
@@ -106,34 +186,44 @@ const ItemsView = () => {
   const [filterLocationIds, setFilterLocationIds] = useState([]);
   const [filterCategoryIds, setFilterCategoryIds] = useState([]);
   const [filterOwnerIds, setFilterOwnerIds] = useState([]);
+  const [filterTagIds, setFilterTagIds] = useState([]);
+  const [filterTagMode, setFilterTagMode] = useState("or"); // "or": any selected tag, "and": all of them
+  const [filterStatuses, setFilterStatuses] = useState([]); // Status keys
+  // Custom field filter values, applied for the fields of the selected categories
+  const [filterFieldValues, setFilterFieldValues] = useState({});
   const [filterPriceMin, setFilterPriceMin] = useState();
   const [filterPriceMax, setFilterPriceMax] = useState();
+  const [debouncedFilterName, setDebouncedFilterName] = useState("");
 
   const [isAddItemModalOpen, setIsAddItemModalOpen] = useState(false);
   const [addItemError, setAddItemError] = useState(null);
 
-  // Slider bounds derived from your data
+  // Slider bounds derived from the highest price reported by the provider
   const sliderMin = 0;
   const sliderMax = useMemo(() => {
-    // collect only valid numbers
-    const prices = allItemsMetadata
-      .map((i) => i.price)
-      .filter((p) => typeof p === "number" && !isNaN(p));
-    if (prices.length === 0) {
+    if (typeof maxItemPrice !== "number" || isNaN(maxItemPrice)) {
       return 1;
     }
-    const maxPrice = Math.ceil(Math.max(...prices));
+    const maxPrice = Math.ceil(maxItemPrice);
     return maxPrice > 0 ? maxPrice : 1;
-  }, [allItemsMetadata]);
+  }, [maxItemPrice]);
 
   const [sortCriteria, setSortCriteria] = useState("created_at_desc"); // Default to newest first
 
-  const [lastUpdatedItemDetails, setLastUpdatedItemDetails] = useState(null); // { itemId: number, imageUuid: string | null, name: string, description: string | null, locationId: number, categoryId: number, ownerId: number }
+  // { itemId: number, imageUuid: string | null, name: string, description: string | null, locationId: number, categoryId: number, ownerId: number }
+  // Kept in a ref so setting it doesn't change fetchItems and trigger a reload on its own
+  const lastUpdatedItemDetailsRef = useRef(null);
+  // Incremented per page request so responses to superseded queries are dropped
+  const latestItemsRequestRef = useRef(0);
 
   const loaderRef = useRef(null);
   // Refs for modal image URLs to ensure cleanup on unmount
   const addImageUrlRef = useRef(addImageUrl);
   const editImageUrlRef = useRef(editImageUrl);
+  const editItemImagesRef = useRef(editItemImages);
+  // Incremented whenever loaded images become stale so late responses are dropped
+  const editImagesRequestRef = useRef(0);
+  const imageViewRequestRef = useRef(0);
   // just under your other useRef() calls
   const prevImageUrlsRef = useRef({});
 
@@ -146,12 +236,26 @@ const ItemsView = () => {
     listLocations,
     listCategories,
     listOwners,
+    listTags,
+    addTag,
+    listCustomFields,
     addItem,
     updateItem,
     deleteItem,
+    listItemImages,
+    addItemImage,
+    removeItemImage,
+    reorderItemImages,
+    setPrimaryItemImage,
+    addWearEvent,
   } = api;
   const { settings: appSettings } = useSettings();
+  const itemStatuses = useMemo(
+    () => normalizeItemStatuses(appSettings.itemStatuses),
+    [appSettings.itemStatuses],
+  );
   const intl = useIntl();
+  const { run: runUndoable, revision: undoRevision } = useUndo();
 
   // helper: reset add‐form fields
   const resetAddForm = () => {
@@ -161,6 +265,8 @@ const ItemsView = () => {
     setNewItemLocationId("");
     setNewItemCategoryId("");
     setNewItemOwnerId("");
+    setNewItemTagIds([]);
+    setNewItemFieldValues({});
     if (addImageUrl) URL.revokeObjectURL(addImageUrl);
     setNewItemImageFile(null);
     setAddImageUrl(null);
@@ -175,18 +281,26 @@ const ItemsView = () => {
     setEditLocationId("");
     setEditCategoryId("");
     setEditOwnerId("");
+    setEditTagIds([]);
+    setEditFieldValues({});
     setImageMarkedForRemoval(false);
+    setEditImageChanged(false);
     setUpdateError(null);
     if (editImageUrl) URL.revokeObjectURL(editImageUrl);
     setEditItemImageFile(null);
     setEditImageUrl(null);
+    editImagesRequestRef.current += 1;
+    editItemImages.forEach((img) => URL.revokeObjectURL(img.url));
+    setEditItemImages([]);
+    setEditImageIndex(0);
   };
 
   // Effect to keep refs updated with latest modal image URLs
   useEffect(() => {
     addImageUrlRef.current = addImageUrl;
     editImageUrlRef.current = editImageUrl;
-  }, [addImageUrl, editImageUrl]);
+    editItemImagesRef.current = editItemImages;
+  }, [addImageUrl, editImageUrl, editItemImages]);
 
   // General cleanup for any outstanding modal blob URLs on component unmount
   useEffect(() => {
@@ -198,185 +312,366 @@ const ItemsView = () => {
       if (editImageUrlRef.current) {
         URL.revokeObjectURL(editImageUrlRef.current);
       }
+      editItemImagesRef.current.forEach((img) => URL.revokeObjectURL(img.url));
     };
   }, []); // Empty dependency array for unmount cleanup only
 
-  const fetchAllItemsMetadata = useCallback(async () => {
-    if (!isConfigured || typeof listItems !== "function") {
-      setError(
-        isConfigured
-          ? intl.formatMessage({
-              id: "items.list.notSupported",
-              defaultMessage:
-                "Listing items is not supported by the current API Provider.",
-            })
-          : intl.formatMessage({ id: "common.status.apiNotConfigured" }),
-      );
-      setAllItemsMetadata([]);
-      setTotalItemsCount(0);
-      setHasMoreItems(false);
-      setLoading(false);
-      return;
-    }
+  // Wait for a pause in typing before querying the provider with the text filter
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setDebouncedFilterName(filterName),
+      FILTER_DEBOUNCE_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [filterName]);
+
+  // Custom field filters with a value, for the fields of the selected categories
+  const filterFields = useMemo(
+    () =>
+      customFields
+        .filter(
+          (field) =>
+            filterCategoryIds.includes(field.category_id) &&
+            (filterFieldValues[field.field_id] ?? "") !== "",
+        )
+        .map((field) => ({
+          field_id: field.field_id,
+          field_type: field.field_type,
+          value: filterFieldValues[field.field_id],
+        })),
+    [customFields, filterCategoryIds, filterFieldValues],
+  );
 
-    setLoading(true);
-    setError(null);
+  const hasActiveFilters =
+    debouncedFilterName.trim() !== "" ||
+    filterLocationIds.length > 0 ||
+    filterCategoryIds.length > 0 ||
+    filterOwnerIds.length > 0 ||
+    filterTagIds.length > 0 ||
+    filterFields.length > 0 ||
+    filterStatuses.length > 0 ||
+    typeof filterPriceMin !== "undefined" ||
+    typeof filterPriceMax !== "undefined";
+
+  // Filter and sort part of the listItems query; offset/limit are added per request
+  const itemQuery = useMemo(
+    () =>
+      buildItemQuery(
+        {
+          filterName: debouncedFilterName,
+          filterLocationIds,
+          filterCategoryIds,
+          filterOwnerIds,
+          filterTagIds,
+          filterTagMode,
+          filterFields,
+          filterStatuses,
+          filterPriceMin,
+          filterPriceMax,
+        },
+        sortCriteria,
+      ),
+    [
+      debouncedFilterName,
+      filterLocationIds,
+      filterCategoryIds,
+      filterOwnerIds,
+      filterTagIds,
+      filterTagMode,
+      filterFields,
+      filterStatuses,
+      filterPriceMin,
+      filterPriceMax,
+      sortCriteria,
+    ],
+  );
 
-    try {
-      const freshMetadataFromApi = await listItems();
-      let newAllItemsMetadata = freshMetadataFromApi || [];
-
-      if (lastUpdatedItemDetails) {
-        newAllItemsMetadata = newAllItemsMetadata.map((item) => {
-          if (item.item_id === lastUpdatedItemDetails.itemId) {
-            return {
-              ...item,
-              name: lastUpdatedItemDetails.name,
-              description: lastUpdatedItemDetails.description,
-              location_id: lastUpdatedItemDetails.locationId,
-              category_id: lastUpdatedItemDetails.categoryId,
-              owner_id: lastUpdatedItemDetails.ownerId,
-              image_uuid: lastUpdatedItemDetails.imageUuid,
-            };
-          }
-          return item;
-        });
-        setLastUpdatedItemDetails(null);
+  // Fetch a window of items from the provider. Rows from `offset` onwards replace what was loaded.
+  const fetchItems = useCallback(
+    async (offset, limit) => {
+      if (!isConfigured || typeof listItems !== "function") {
+        setError(
+          isConfigured
+            ? intl.formatMessage({
+                id: "items.list.notSupported",
+                defaultMessage:
+                  "Listing items is not supported by the current API Provider.",
+              })
+            : intl.formatMessage({ id: "common.status.apiNotConfigured" }),
+        );
+        setFetchedItems([]);
+        setTotalItemsCount(0);
+        setHasMoreItems(false);
+        setLoading(false);
+        return;
       }
 
-      setAllItemsMetadata(newAllItemsMetadata);
-      setCurrentPage(0);
+      const requestId = ++latestItemsRequestRef.current;
+      setLoading(true);
+      setError(null);
+
+      try {
+        const result = await listItems({ ...itemQuery, offset, limit });
+        if (requestId !== latestItemsRequestRef.current) return; // Superseded by a newer query
+        let pageItems = result?.items || [];
+
+        const lastUpdated = lastUpdatedItemDetailsRef.current;
+        if (lastUpdated) {
+          pageItems = pageItems.map((item) => {
+            if (item.item_id === lastUpdated.itemId) {
+              return {
+                ...item,
+                name: lastUpdated.name,
+                description: lastUpdated.description,
+                location_id: lastUpdated.locationId,
+                category_id: lastUpdated.categoryId,
+                owner_id: lastUpdated.ownerId,
+                tag_ids: lastUpdated.tagIds,
+                field_values: lastUpdated.fieldValues,
+                image_uuid: lastUpdated.imageUuid,
+              };
+            }
+            return item;
+          });
+          lastUpdatedItemDetailsRef.current = null;
+        }
+
+        const totalCount = result?.totalCount ?? pageItems.length;
+        setFetchedItems((prevItems) => [
+          ...prevItems.slice(0, offset),
+          ...pageItems,
+        ]);
+        setTotalItemsCount(totalCount);
+        setHasMoreItems(offset + pageItems.length < totalCount);
+      } catch (err) {
+        if (requestId !== latestItemsRequestRef.current) return;
+        console.error("Failed to fetch items:", err);
+        setError(
+          intl.formatMessage(
+            {
+              id: "items.error.fetch",
+              defaultMessage: "Failed to fetch items: {error}",
+            },
+            { error: err.message },
+          ),
+        );
+        if (isConnectivityError(err)) return; // Keep showing what was loaded
+        setFetchedItems([]);
+        setTotalItemsCount(0);
+        setHasMoreItems(false);
+        setCurrentPage(0);
+      } finally {
+        if (requestId === latestItemsRequestRef.current) setLoading(false);
+      }
+    },
+    [isConfigured, listItems, intl, itemQuery],
+  );
+
+  // Overall item count and highest price, used for the empty state and the price slider bounds
+  const fetchItemStats = useCallback(async () => {
+    if (!isConfigured || typeof listItems !== "function") {
+      setUnfilteredItemsCount(0);
+      setMaxItemPrice(null);
+      return;
+    }
+    try {
+      const result = await listItems({ sort: "price_desc", limit: 1 });
+      setUnfilteredItemsCount(result?.totalCount || 0);
+      const topPrice = result?.items?.[0]?.price;
+      setMaxItemPrice(typeof topPrice === "number" ? topPrice : null);
     } catch (err) {
-      console.error("Failed to fetch items:", err);
-      setError(
-        intl.formatMessage(
-          {
-            id: "items.error.fetch",
-            defaultMessage: "Failed to fetch items: {error}",
-          },
-          { error: err.message },
-        ),
-      );
-      setAllItemsMetadata([]);
-      setTotalItemsCount(0);
-      setHasMoreItems(false);
-      setCurrentPage(0);
-    } finally {
-      setLoading(false);
+      console.error("Failed to fetch item statistics:", err);
     }
-  }, [
-    isConfigured,
-    listItems,
-    intl,
-    lastUpdatedItemDetails,
-    setLastUpdatedItemDetails,
-  ]);
+  }, [isConfigured, listItems]);
+
+  // Reload everything loaded so far, e.g. after an add, update or delete
+  const refreshItems = useCallback(() => {
+    fetchItemStats();
+    return fetchItems(0, (currentPage + 1) * pageSize);
+  }, [fetchItems, fetchItemStats, currentPage, pageSize]);
 
-  // Fetch locations, categories, owners (ancillary data)
+  // Fetch locations, categories, owners, tags, custom fields (ancillary data)
   const fetchAncillaryData = useCallback(async () => {
     if (!isConfigured) {
       setLocations([]);
       setCategories([]);
       setOwners([]);
+      setTags([]);
+      setCustomFields([]);
       return;
     }
     try {
       const canFetchLocations = typeof listLocations === "function";
       const canFetchCategories = typeof listCategories === "function";
       const canFetchOwners = typeof listOwners === "function";
-
-      const [locationsData, categoriesData, ownersData] = await Promise.all([
+      const canFetchTags = typeof listTags === "function";
+      const canFetchCustomFields = typeof listCustomFields === "function";
+
+      const [
+        locationsData,
+        categoriesData,
+        ownersData,
+        tagsData,
+        customFieldsData,
+      ] = await Promise.all([
         canFetchLocations ? listLocations() : Promise.resolve([]),
         canFetchCategories ? listCategories() : Promise.resolve([]),
         canFetchOwners ? listOwners() : Promise.resolve([]),
+        canFetchTags ? listTags() : Promise.resolve([]),
+        canFetchCustomFields ? listCustomFields() : Promise.resolve([]),
       ]);
       setLocations(locationsData || []);
       setCategories(categoriesData || []);
       setOwners(ownersData || []);
+      setTags(tagsData || []);
+      setCustomFields(customFieldsData || []);
     } catch (err) {
       console.error(
-        "Failed to fetch ancillary data (locations, categories, owners):",
+        "Failed to fetch ancillary data (locations, categories, owners, tags, custom fields):",
         err,
       );
       setError(
         (prev) =>
           `${prev ? prev + "; " : ""}Failed to load L/C/O: ${err.message}`,
       );
+      if (isConnectivityError(err)) return; // Queued changes are still shown with these
       setLocations([]);
       setCategories([]);
       setOwners([]);
+      setTags([]);
+      setCustomFields([]);
+    }
+  }, [
+    isConfigured,
+    listLocations,
+    listCategories,
+    listOwners,
+    listTags,
+    listCustomFields,
+    intl,
+  ]);
+
+  // Custom fields declared by a category, in display order
+  const getCategoryFields = (categoryId) =>
+    customFields.filter(
+      (field) => field.category_id === parseInt(categoryId, 10),
+    );
+
+  // Turns the values entered for a category's fields into their stored form; throws on invalid input
+  const encodeCategoryFieldValues = (categoryId, values) => {
+    const fieldValues = {};
+    getCategoryFields(categoryId).forEach((field) => {
+      const value = encodeFieldValue(field, values[field.field_id]);
+      if (value !== null) fieldValues[field.field_id] = value;
+    });
+    return fieldValues;
+  };
+
+  // Creates a tag from the chip input and adds it to the local list; resolves to its ID
+  const handleCreateTag = async (name) => {
+    const result = await addTag({ name });
+    if (!result.success) {
+      throw new Error(
+        result.message || intl.formatMessage({ id: "common.error.unknown" }),
+      );
     }
-  }, [isConfigured, listLocations, listCategories, listOwners, intl]);
+    setTags((prevTags) =>
+      prevTags.some((tag) => tag.tag_id === result.newId)
+        ? prevTags
+        : [...prevTags, { tag_id: result.newId, uuid: result.uuid, name }].sort(
+            (a, b) => a.name.localeCompare(b.name),
+          ),
+    );
+    return result.newId;
+  };
 
-  // Effect for initial data load (items and ancillary) and when API provider changes
+  // Effect for ancillary data and item statistics when API provider changes
   useEffect(() => {
     if (isConfigured && listItems) {
       fetchAncillaryData();
-      fetchAllItemsMetadata();
+      fetchItemStats();
     } else {
-      setAllItemsMetadata([]);
-      setDisplayedItems([]);
+      setFetchedItems([]);
       setItemImageFiles({});
       setDisplayedItemImageUrls((prev) => {
         Object.values(prev).forEach(URL.revokeObjectURL);
         return {};
       });
       setTotalItemsCount(0);
+      setUnfilteredItemsCount(0);
+      setMaxItemPrice(null);
       setHasMoreItems(false);
       setLocations([]);
       setCategories([]);
       setOwners([]);
       setCurrentPage(0);
     }
-  }, [isConfigured, listItems, fetchAncillaryData, fetchAllItemsMetadata]);
+  }, [isConfigured, listItems, fetchAncillaryData, fetchItemStats]);
 
-  // Effect for client-side filtering, sorting, and pagination
+  // Undo, redo and replaying the outbox change items behind this view's back, images included.
+  // Only a new revision should trigger this, not a new page or filter.
   useEffect(() => {
-    if (loading) return; // Don't process if initial metadata is still loading
+    if (undoRevision === 0 && syncRevision === 0) return;
+    setItemImageFiles({});
+    setDisplayedItemImageUrls((prev) => {
+      Object.values(prev).forEach(URL.revokeObjectURL);
+      return {};
+    });
+    refreshItems();
+    fetchAncillaryData();
+    if (editingItemId !== null) {
+      loadEditItemImages(editingItemId).catch((err) =>
+        console.error("Failed to reload item images:", err),
+      );
+    }
+  }, [undoRevision, syncRevision]);
+
+  // Describes a change of an item in the undo snackbar
+  const describeItemChange = (action, name) =>
+    intl.formatMessage({ id: `undo.action.item.${action}` }, { name });
+
+  const itemNameOf = (itemId) =>
+    displayedItems.find((item) => item.item_id === itemId)?.name || "";
+
+  // Item changes wait in the outbox while the server cannot be reached
+  const saveItemChange = (
+    methodName,
+    inputData,
+    { description, item },
+    run = () => runUndoable(methodName, inputData, { description, item }),
+  ) =>
+    submitToOutbox(methodName, inputData, {
+      item,
+      lookups: { locations, categories, owners, tags, customFields },
+      run,
+    });
 
-    const filterCriteria = {
-      filterName,
-      filterLocationIds,
-      filterCategoryIds,
-      filterOwnerIds,
-      filterPriceMin,
-      filterPriceMax,
-    };
-    const paginationCriteria = {
-      currentPage,
-      pageSize,
-    };
+  // Shown instead of the usual success message when a change waits in the outbox
+  const queuedMessage = () =>
+    intl.formatMessage({
+      id: "items.success.queued",
+      defaultMessage:
+        "Saved on this device. The change is synced when the server can be reached.",
+    });
 
-    const result = processItems(
-      allItemsMetadata,
-      filterCriteria,
-      sortCriteria, // Pass the sortCriteria string directly
-      paginationCriteria,
-    );
+  // Effect for loading the first page whenever the provider, filters or sort order change
+  useEffect(() => {
+    if (!isConfigured || !listItems) return;
+    setCurrentPage(0);
+    fetchItems(0, pageSize);
+  }, [isConfigured, listItems, fetchItems, pageSize]);
 
-    setDisplayedItems(result.displayedItems);
-    // totalItemsCount now reflects the count *after* filtering, before pagination
-    setTotalItemsCount(result.totalFilteredItemsCount);
-    setHasMoreItems(result.hasMoreItems);
-  }, [
-    allItemsMetadata,
-    filterName,
-    filterLocationIds,
-    filterCategoryIds,
-    filterOwnerIds,
-    filterPriceMin,
-    filterPriceMax,
-    sortCriteria,
-    currentPage,
-    pageSize,
-    loading,
-  ]);
+  const handleLoadMore = useCallback(() => {
+    const nextPage = currentPage + 1;
+    setCurrentPage(nextPage);
+    fetchItems(nextPage * pageSize, pageSize);
+  }, [currentPage, pageSize, fetchItems]);
 
   useInfiniteLoader({
     loaderRef,
     loading,
     hasMore: hasMoreItems,
-    onLoadMore: () => setCurrentPage((p) => p + 1),
+    onLoadMore: handleLoadMore,
     rootMargin: "200px",
   });
 
@@ -387,13 +682,24 @@ const ItemsView = () => {
     }
 
     displayedItems.forEach((item) => {
+      // An item added offline brings its image along
+      if (
+        item.queued_image_file instanceof File &&
+        itemImageFiles[item.item_id] === undefined
+      ) {
+        setItemImageFiles((prevFiles) => ({
+          ...prevFiles,
+          [item.item_id]: item.queued_image_file,
+        }));
+        return;
+      }
       if (
         item.image_uuid &&
         itemImageFiles[item.item_id] === undefined &&
         !loadingImages[item.image_uuid]
       ) {
         setLoadingImages((prev) => ({ ...prev, [item.image_uuid]: true }));
-        getImage({ image_uuid: item.image_uuid })
+        getImage({ image_uuid: item.image_uuid, variant: "thumb" })
           .then((imageFile) => {
             if (imageFile instanceof File) {
               setItemImageFiles((prevFiles) => ({
@@ -451,8 +757,21 @@ const ItemsView = () => {
     };
   }, [displayedItems, itemImageFiles]);
 
+  // Locations depth-first, each followed by the locations inside it
+  const locationTree = useMemo(
+    () => flattenTree(locations, "location_id", "parent_location_id"),
+    [locations],
+  );
+  // Categories depth-first, each followed by its subcategories
+  const categoryTree = useMemo(
+    () => flattenTree(categories, "category_id", "parent_category_id"),
+    [categories],
+  );
+  // Breadcrumb of a location, e.g. "House › Bedroom › Wardrobe"
   const getLocationNameById = (id) =>
-    locations.find((loc) => loc.location_id === id)?.name ||
+    getAncestorPath(locations, "location_id", "parent_location_id", id)
+      .map((loc) => loc.name)
+      .join(" › ") ||
     intl.formatMessage({ id: "items.card.noLocation", defaultMessage: "N/A" });
   const getCategoryNameById = (id) =>
     categories.find((cat) => cat.category_id === id)?.name ||
@@ -474,6 +793,7 @@ const ItemsView = () => {
         setEditItemImageFile(file);
         setEditImageUrl(URL.createObjectURL(file));
         setImageMarkedForRemoval(false);
+        setEditImageChanged(true);
       }
       event.target.value = null;
     },
@@ -490,15 +810,24 @@ const ItemsView = () => {
   const handleRotateImage = useCallback(
     async (formType) => {
       const isAdd = formType === "add";
-      const currentFile = isAdd ? newItemImageFile : editItemImageFile;
+      let currentFile = isAdd ? newItemImageFile : editItemImageFile;
       if (!currentFile) return;
       const setRotating = isAdd ? setIsRotatingAdd : setIsRotatingEdit;
       const setFile = isAdd ? setNewItemImageFile : setEditItemImageFile;
       const setPreview = isAdd ? setAddImageUrl : setEditImageUrl;
       setRotating(true);
       try {
+        const editedImageUuid = displayedItems.find(
+          (item) => item.item_id === editingItemId,
+        )?.image_uuid;
+        if (!isAdd && !editImageChanged && editedImageUuid) {
+          // The preview may be a thumbnail, so rotate the stored full-size image
+          currentFile =
+            (await getImage({ image_uuid: editedImageUuid })) || currentFile;
+        }
         const rotated = await rotateImageFile(currentFile);
         setFile(rotated);
+        if (!isAdd) setEditImageChanged(true);
         if (isAdd ? addImageUrl : editImageUrl) {
           URL.revokeObjectURL(isAdd ? addImageUrl : editImageUrl);
         }
@@ -519,7 +848,17 @@ const ItemsView = () => {
         setRotating(false);
       }
     },
-    [newItemImageFile, editItemImageFile, addImageUrl, editImageUrl, intl],
+    [
+      newItemImageFile,
+      editItemImageFile,
+      addImageUrl,
+      editImageUrl,
+      editImageChanged,
+      editingItemId,
+      displayedItems,
+      getImage,
+      intl,
+    ],
   );
 
   const handleOpenAddItemModal = () => {
@@ -638,19 +977,32 @@ const ItemsView = () => {
         fileToSend = newItemImageFile;
       }
 
-      const result = await addItem({
-        name: newItemName.trim(),
-        description: newItemDescription.trim() || null,
-        price: newItemPrice !== "" ? parseFloat(newItemPrice) : null,
-        location_id: parseInt(newItemLocationId, 10),
-        category_id: parseInt(newItemCategoryId, 10),
-        owner_id: parseInt(newItemOwnerId, 10),
-        imageFile: fileToSend,
-      });
+      const result = await saveItemChange(
+        "addItem",
+        {
+          name: newItemName.trim(),
+          description: newItemDescription.trim() || null,
+          price: newItemPrice !== "" ? parseFloat(newItemPrice) : null,
+          location_id: parseInt(newItemLocationId, 10),
+          category_id: parseInt(newItemCategoryId, 10),
+          owner_id: parseInt(newItemOwnerId, 10),
+          tag_ids: newItemTagIds,
+          field_values: encodeCategoryFieldValues(
+            newItemCategoryId,
+            newItemFieldValues,
+          ),
+          imageFile: fileToSend,
+          thumbnailFile: await createThumbnailOrNull(fileToSend),
+        },
+        { description: describeItemChange("add", newItemName.trim()) },
+      );
 
-      if (result.success) {
+      if (result.queued) {
+        handleCloseAddItemModal();
+        setSuccess(queuedMessage());
+      } else if (result.success) {
         handleCloseAddItemModal();
-        fetchAllItemsMetadata().then(() => {
+        refreshItems().then(() => {
           setSuccess(
             intl.formatMessage(
               {
@@ -713,6 +1065,8 @@ const ItemsView = () => {
       setFilterCategoryIds(updater);
     } else if (filterType === "owner") {
       setFilterOwnerIds(updater);
+    } else if (filterType === "tag") {
+      setFilterTagIds(updater);
     }
     resetPage();
   };
@@ -722,16 +1076,149 @@ const ItemsView = () => {
     setFilterLocationIds([]);
     setFilterCategoryIds([]);
     setFilterOwnerIds([]);
+    setFilterTagIds([]);
+    setFilterTagMode("or");
+    setFilterFieldValues({});
+    setFilterStatuses([]);
     setFilterPriceMin(undefined);
     setFilterPriceMax(undefined);
     resetPage();
   };
 
+  const handleStatusFilterChange = (statusKey) => {
+    setFilterStatuses((prevKeys) =>
+      prevKeys.includes(statusKey)
+        ? prevKeys.filter((key) => key !== statusKey)
+        : [...prevKeys, statusKey],
+    );
+    resetPage();
+  };
+
+  // --- Status Handlers ---
+  const handleStatusChange = async (item, status) => {
+    const statusLabel = getStatusLabel(intl, itemStatuses, status);
+    setStatusItemId(item.item_id);
+    setSuccess(null);
+    setError(null);
+    try {
+      const inputData = { item_ids: [item.item_id], status };
+      const description = intl.formatMessage(
+        { id: "undo.action.item.status" },
+        { name: item.name, status: statusLabel },
+      );
+      const result = await saveItemChange(
+        "setItemStatus",
+        inputData,
+        { description, item },
+        () =>
+          runUndoable("setItemStatus", inputData, {
+            description,
+            items: [item],
+          }),
+      );
+      if (result?.queued) {
+        setSuccess(queuedMessage());
+        return;
+      }
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setFetchedItems((prevItems) =>
+        prevItems.map((i) =>
+          i.item_id === item.item_id ? { ...i, status } : i,
+        ),
+      );
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "items.success.status",
+            defaultMessage: '"{name}" is now: {status}',
+          },
+          { name: item.name, status: statusLabel },
+        ),
+      );
+    } catch (err) {
+      console.error("Failed to change the item status:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "items.error.status",
+            defaultMessage: "Failed to change the status: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setStatusItemId(null);
+    }
+  };
+
+  // --- Wear Handlers ---
+  // Shows new wear counts and loan dates on the loaded items without reloading them
+  const applyItemStats = (itemUuid, itemStats) => {
+    setFetchedItems((prevItems) =>
+      prevItems.map((item) =>
+        item.uuid === itemUuid ? { ...item, ...itemStats } : item,
+      ),
+    );
+  };
+
+  const handleWornToday = async (item) => {
+    const wornOn = toWornOn();
+    setWearingItemId(item.item_id);
+    setSuccess(null);
+    setError(null);
+    try {
+      const inputData = { item_uuid: item.uuid, worn_on: wornOn };
+      const result = await saveItemChange(
+        "addWearEvent",
+        inputData,
+        { item },
+        () => addWearEvent(inputData),
+      );
+      if (result?.queued) {
+        setSuccess(queuedMessage());
+        return;
+      }
+      applyItemStats(item.uuid, {
+        wear_count: (Number(item.wear_count) || 0) + 1,
+        last_worn_on:
+          item.last_worn_on && item.last_worn_on > wornOn
+            ? item.last_worn_on
+            : wornOn,
+      });
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "items.wear.recorded",
+            defaultMessage: 'Recorded that "{name}" was worn today.',
+          },
+          { name: item.name },
+        ),
+      );
+    } catch (err) {
+      console.error("Failed to record the wear event:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "wear.error.add",
+            defaultMessage: "Failed to record the wear: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setWearingItemId(null);
+    }
+  };
+
   // --- Edit Handlers ---
   const handleEditClick = (item) => {
-    // Find the full item from allItemsMetadata to ensure we have the latest, including image_uuid
+    // Find the item among the loaded pages to ensure we have the latest, including image_uuid
     const itemToEdit =
-      allItemsMetadata.find((i) => i.item_id === item.item_id) || item;
+      displayedItems.find((i) => i.item_id === item.item_id) || item;
 
     setEditingItemId(itemToEdit.item_id);
     setEditName(itemToEdit.name);
@@ -744,6 +1231,8 @@ const ItemsView = () => {
     setEditLocationId(itemToEdit.location_id || "");
     setEditCategoryId(itemToEdit.category_id || "");
     setEditOwnerId(itemToEdit.owner_id || "");
+    setEditTagIds(itemToEdit.tag_ids || []);
+    setEditFieldValues(itemToEdit.field_values || {});
 
     // Handle image state for edit modal
     if (editImageUrl) URL.revokeObjectURL(editImageUrl); // Revoke previous edit preview URL
@@ -758,9 +1247,18 @@ const ItemsView = () => {
       setEditImageUrl(null);
     }
     setImageMarkedForRemoval(false); // Reset removal flag
+    setEditImageChanged(false);
     setUpdateError(null);
     setSuccess(null);
     setError(null);
+
+    editItemImages.forEach((img) => URL.revokeObjectURL(img.url));
+    setEditItemImages([]);
+    setEditImageIndex(0);
+    if (itemToEdit.queued === "add") return; // Not on the server yet, and neither are its images
+    loadEditItemImages(itemToEdit.item_id).catch((err) =>
+      console.error("Failed to load item images:", err),
+    );
   };
 
   const handleCancelEdit = () => {
@@ -775,6 +1273,176 @@ const ItemsView = () => {
     setImageMarkedForRemoval(true);
   };
 
+  // --- Item Images (edit modal carousel) ---
+  const canManageItemImages =
+    typeof listItemImages === "function" && typeof getImage === "function";
+
+  // Loads every image of an item for the edit modal, keeping `focusUuid` in view
+  const loadEditItemImages = async (itemId, focusUuid = null) => {
+    if (!canManageItemImages) return [];
+    const requestId = ++editImagesRequestRef.current;
+    const rows = await listItemImages({ item_id: itemId });
+    const files = await Promise.all(
+      rows.map((row) => getImage({ image_uuid: row.image_uuid })),
+    );
+    const images = rows
+      .map((row, i) => ({ ...row, file: files[i] }))
+      .filter((img) => img.file instanceof File)
+      .map((img) => ({ ...img, url: URL.createObjectURL(img.file) }));
+    if (requestId !== editImagesRequestRef.current) {
+      // The modal was closed or reloaded meanwhile
+      images.forEach((img) => URL.revokeObjectURL(img.url));
+      return images;
+    }
+    editItemImagesRef.current.forEach((img) => URL.revokeObjectURL(img.url));
+    setEditItemImages(images);
+    const focusIndex = images.findIndex((img) => img.image_uuid === focusUuid);
+    setEditImageIndex(focusIndex >= 0 ? focusIndex : 0);
+    return images;
+  };
+
+  // Drops the cached card image so it's fetched again for the item's current primary image
+  const forgetItemImage = (itemId) => {
+    setItemImageFiles((prevFiles) => {
+      const newFiles = { ...prevFiles };
+      delete newFiles[itemId];
+      return newFiles;
+    });
+
+    setDisplayedItemImageUrls((prevUrls) => {
+      const newUrls = { ...prevUrls };
+      if (newUrls[itemId]) {
+        URL.revokeObjectURL(newUrls[itemId]);
+        delete newUrls[itemId];
+      }
+      return newUrls;
+    });
+  };
+
+  // Runs an image change that is saved right away (not on "Save Changes").
+  // `operation` resolves to the provider result and the uuid of the image to show afterwards.
+  const handleEditImagesChange = async (operation) => {
+    const itemId = editingItemId;
+    const previousPrimaryUuid =
+      editItemImages.find((img) => img.is_primary)?.image_uuid ?? null;
+    setIsSavingImages(true);
+    setUpdateError(null);
+    try {
+      const { result, focusUuid } = await operation();
+      if (!result.success) {
+        throw new Error(
+          result.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      const images = await loadEditItemImages(itemId, focusUuid);
+      const primary = images.find((img) => img.is_primary) || null;
+      if ((primary?.image_uuid ?? null) !== previousPrimaryUuid) {
+        // Show the new primary in the image field, so saving the form keeps it
+        if (editImageUrl) URL.revokeObjectURL(editImageUrl);
+        setEditItemImageFile(primary ? primary.file : null);
+        setEditImageUrl(primary ? URL.createObjectURL(primary.file) : null);
+        setImageMarkedForRemoval(false);
+        setEditImageChanged(false);
+      }
+      await refreshItems();
+      forgetItemImage(itemId);
+    } catch (err) {
+      console.error("Failed to update item images:", err);
+      setUpdateError(
+        intl.formatMessage(
+          {
+            id: "items.error.images",
+            defaultMessage: "Failed to update images: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSavingImages(false);
+    }
+  };
+
+  const handleAddEditItemImage = (event) => {
+    const file = event.target.files[0];
+    event.target.value = null;
+    if (!(file instanceof File) || typeof addItemImage !== "function") return;
+    handleEditImagesChange(async () => {
+      let fileToSend = file;
+      if (appSettings.imageCompressionEnabled) {
+        const compressionOptions = {
+          maxSizeMB: 0.2,
+          maxWidthOrHeight: 1024,
+          useWebWorker: true,
+          fileType: "image/jpeg",
+        };
+        const baseErrorMessage = intl.formatMessage({
+          id: "items.error.compressionFailed",
+          defaultMessage: "Image compression failed",
+        });
+        fileToSend = await compressImage(
+          file,
+          compressionOptions,
+          baseErrorMessage,
+        );
+      }
+      const result = await addItemImage({
+        item_id: editingItemId,
+        imageFile: fileToSend,
+        thumbnailFile: await createThumbnailOrNull(fileToSend),
+      });
+      return { result, focusUuid: result.image_uuid };
+    });
+  };
+
+  const handleRemoveEditItemImage = (imageUuid) => {
+    if (typeof removeItemImage !== "function") return;
+    const index = editItemImages.findIndex(
+      (img) => img.image_uuid === imageUuid,
+    );
+    const neighbour =
+      editItemImages[index + 1] || editItemImages[index - 1] || null;
+    handleEditImagesChange(async () => {
+      const result = await runUndoable(
+        "removeItemImage",
+        { item_id: editingItemId, image_uuid: imageUuid },
+        {
+          description: describeItemChange(
+            "removeImage",
+            itemNameOf(editingItemId),
+          ),
+        },
+      );
+      return { result, focusUuid: neighbour ? neighbour.image_uuid : null };
+    });
+  };
+
+  const handleMoveEditItemImage = (imageUuid, step) => {
+    if (typeof reorderItemImages !== "function") return;
+    const uuids = editItemImages.map((img) => img.image_uuid);
+    const from = uuids.indexOf(imageUuid);
+    const to = from + step;
+    if (from < 0 || to < 0 || to >= uuids.length) return;
+    [uuids[from], uuids[to]] = [uuids[to], uuids[from]];
+    handleEditImagesChange(async () => {
+      const result = await reorderItemImages({
+        item_id: editingItemId,
+        image_uuids: uuids,
+      });
+      return { result, focusUuid: imageUuid };
+    });
+  };
+
+  const handleSetPrimaryEditItemImage = (imageUuid) => {
+    if (typeof setPrimaryItemImage !== "function") return;
+    handleEditImagesChange(async () => {
+      const result = await setPrimaryItemImage({
+        item_id: editingItemId,
+        image_uuid: imageUuid,
+      });
+      return { result, focusUuid: imageUuid };
+    });
+  };
+
   const handleUpdateItem = async (e) => {
     e.preventDefault();
     if (
@@ -813,6 +1481,7 @@ const ItemsView = () => {
       if (
         editItemImageFile instanceof File &&
         !imageMarkedForRemoval &&
+        editImageChanged &&
         appSettings.imageCompressionEnabled
       ) {
         const compressionOptions = {
@@ -835,22 +1504,43 @@ const ItemsView = () => {
           console.error("Compression failed during update:", compressionError);
           throw compressionError;
         }
-      } else if (editItemImageFile instanceof File && !imageMarkedForRemoval) {
+      } else if (
+        editItemImageFile instanceof File &&
+        !imageMarkedForRemoval &&
+        editImageChanged
+      ) {
         fileToSend = editItemImageFile;
       }
-      const result = await updateItem({
-        item_id: editingItemId,
-        name: editName.trim(),
-        description: editDescription.trim() || null,
-        price: editItemPrice !== "" ? parseFloat(editItemPrice) : null,
-        location_id: parseInt(editLocationId, 10),
-        category_id: parseInt(editCategoryId, 10),
-        owner_id: parseInt(editOwnerId, 10),
-        imageFile: fileToSend,
-        removeImage: imageMarkedForRemoval,
-      });
+      const fieldValues = encodeCategoryFieldValues(
+        editCategoryId,
+        editFieldValues,
+      );
+      const result = await saveItemChange(
+        "updateItem",
+        {
+          item_id: editingItemId,
+          name: editName.trim(),
+          description: editDescription.trim() || null,
+          price: editItemPrice !== "" ? parseFloat(editItemPrice) : null,
+          location_id: parseInt(editLocationId, 10),
+          category_id: parseInt(editCategoryId, 10),
+          owner_id: parseInt(editOwnerId, 10),
+          tag_ids: editTagIds,
+          field_values: fieldValues,
+          imageFile: fileToSend,
+          thumbnailFile: await createThumbnailOrNull(fileToSend),
+          removeImage: imageMarkedForRemoval,
+        },
+        {
+          description: describeItemChange("update", editName.trim()),
+          item: displayedItems.find((item) => item.item_id === editingItemId),
+        },
+      );
 
-      if (result.success) {
+      if (result.queued) {
+        setSuccess(queuedMessage());
+        handleCancelEdit();
+      } else if (result.success) {
         setSuccess(
           intl.formatMessage(
             {
@@ -868,34 +1558,23 @@ const ItemsView = () => {
           imageMarkedForRemoval ||
           typeof result.image_uuid !== "undefined"
         ) {
-          setItemImageFiles((prevFiles) => {
-            const newFiles = { ...prevFiles };
-            delete newFiles[updatedItemId];
-            return newFiles;
-          });
-
-          setDisplayedItemImageUrls((prevUrls) => {
-            const newUrls = { ...prevUrls };
-            if (newUrls[updatedItemId]) {
-              URL.revokeObjectURL(newUrls[updatedItemId]);
-              delete newUrls[updatedItemId];
-            }
-            return newUrls;
-          });
+          forgetItemImage(updatedItemId);
         }
 
-        setLastUpdatedItemDetails({
+        lastUpdatedItemDetailsRef.current = {
           itemId: updatedItemId,
           name: editName.trim(),
           description: editDescription.trim() || null,
           locationId: parseInt(editLocationId, 10),
           categoryId: parseInt(editCategoryId, 10),
           ownerId: parseInt(editOwnerId, 10),
+          tagIds: editTagIds,
+          fieldValues,
           imageUuid: result.image_uuid,
-        });
+        };
 
         handleCancelEdit();
-        fetchAllItemsMetadata();
+        refreshItems();
       } else {
         setUpdateError(
           intl.formatMessage(
@@ -957,17 +1636,33 @@ const ItemsView = () => {
     setSuccess(null);
 
     try {
-      const result = await deleteItem({ item_id: deleteCandidateId });
-      if (result.success) {
+      const result = await saveItemChange(
+        "deleteItem",
+        { item_id: deleteCandidateId },
+        {
+          description: describeItemChange(
+            "delete",
+            itemNameOf(deleteCandidateId),
+          ),
+          item: displayedItems.find(
+            (item) => item.item_id === deleteCandidateId,
+          ),
+        },
+      );
+      if (result.queued) {
+        setSuccess(queuedMessage());
+        handleCancelDelete();
+        handleCancelEdit();
+      } else if (result.success) {
         setSuccess(
           intl.formatMessage({
             id: "items.success.delete",
-            defaultMessage: "Item deleted successfully!",
+            defaultMessage: "Item moved to the trash.",
           }),
         );
         handleCancelDelete();
         handleCancelEdit();
-        fetchAllItemsMetadata();
+        refreshItems();
       } else {
         setDeleteError(
           intl.formatMessage(
@@ -1000,22 +1695,62 @@ const ItemsView = () => {
   };
 
   // --- Image View Modal Handlers ---
-  const handleImageClick = (imageFile, imageAlt) => {
+  // With `item`, the modal goes on to show all of its images, starting at `focusUuid` or the primary one
+  const handleImageClick = (imageFile, imageAlt, item, focusUuid = null) => {
     if (!(imageFile instanceof File)) return;
     const blobUrl = URL.createObjectURL(imageFile);
     setImageViewModalUrl(blobUrl);
     setImageViewModalAlt(imageAlt || "Image view");
+    setImageViewModalImages([]);
+    setImageViewModalIndex(0);
     setIsImageViewModalOpen(true);
+    if (item && canManageItemImages) {
+      loadImageViewModalImages(item.item_id, imageAlt, focusUuid).catch((err) =>
+        console.error("Failed to load item images:", err),
+      );
+    }
+  };
+
+  // Swaps the clicked image, possibly a thumbnail, for all of the item's full-size images once they're loaded
+  const loadImageViewModalImages = async (itemId, imageAlt, focusUuid) => {
+    const requestId = ++imageViewRequestRef.current;
+    const rows = await listItemImages({ item_id: itemId });
+    if (rows.length === 0) return;
+    const files = await Promise.all(
+      rows.map((row) => getImage({ image_uuid: row.image_uuid })),
+    );
+    const slides = rows
+      .map((row, i) => ({ row, file: files[i] }))
+      .filter(({ file }) => file instanceof File)
+      .map(({ row, file }) => ({
+        url: URL.createObjectURL(file),
+        alt: imageAlt,
+        imageUuid: row.image_uuid,
+        isPrimary: row.is_primary,
+      }));
+    if (requestId !== imageViewRequestRef.current) {
+      slides.forEach((slide) => URL.revokeObjectURL(slide.url));
+      return;
+    }
+    setImageViewModalImages(slides);
+    const focusIndex = slides.findIndex((slide) =>
+      focusUuid ? slide.imageUuid === focusUuid : slide.isPrimary,
+    );
+    setImageViewModalIndex(Math.max(focusIndex, 0));
   };
 
   const handleCloseImageViewModal = () => {
+    imageViewRequestRef.current += 1;
     setIsImageViewModalOpen(false);
     if (imageViewModalUrl && imageViewModalUrl.startsWith("blob:")) {
       URL.revokeObjectURL(imageViewModalUrl);
     }
+    const slidesToRevoke = imageViewModalImages;
     setTimeout(() => {
+      slidesToRevoke.forEach((slide) => URL.revokeObjectURL(slide.url));
       setImageViewModalUrl(null);
       setImageViewModalAlt("");
+      setImageViewModalImages([]);
     }, 200);
   };
 
@@ -1034,8 +1769,9 @@ const ItemsView = () => {
         )}
       {error && <p className="status-error">Error: {error}</p>}
       {success && <p className="status-success">{success}</p>}
+      <OutboxStatus />
 
-      {!api.isConfigured && !loading && allItemsMetadata.length === 0 && (
+      {!api.isConfigured && !loading && displayedItems.length === 0 && (
         <p className="status-warning">
           {intl.formatMessage({ id: "common.status.apiNotConfigured" })}
         </p>
@@ -1043,7 +1779,7 @@ const ItemsView = () => {
       {api.isConfigured &&
         typeof api.listItems !== "function" &&
         !loading &&
-        allItemsMetadata.length === 0 && (
+        displayedItems.length === 0 && (
           <p className="status-warning">
             {intl.formatMessage({
               id: "items.list.notSupported",
@@ -1125,6 +1861,12 @@ const ItemsView = () => {
                     defaultMessage: "Price: High → Low",
                   })}
                 </option>
+                <option value="last_worn_on_asc">
+                  {intl.formatMessage({
+                    id: "items.sort.leastRecentlyWorn",
+                    defaultMessage: "Least Recently Worn",
+                  })}
+                </option>
               </select>
             </div>
             {/* Text Filter */}
@@ -1158,8 +1900,12 @@ const ItemsView = () => {
                   defaultMessage: "Location:",
                 })}
               </legend>
-              {locations.map((loc) => (
-                <div key={loc.location_id} className="checkbox-item">
+              {locationTree.map(({ row: loc, depth }) => (
+                <div
+                  key={loc.location_id}
+                  className="checkbox-item"
+                  style={{ paddingLeft: `${depth * 1.2}em` }}
+                >
                   <input
                     type="checkbox"
                     id={`loc-${loc.location_id}`}
@@ -1182,8 +1928,12 @@ const ItemsView = () => {
                   defaultMessage: "Category:",
                 })}
               </legend>
-              {categories.map((cat) => (
-                <div key={cat.category_id} className="checkbox-item">
+              {categoryTree.map(({ row: cat, depth }) => (
+                <div
+                  key={cat.category_id}
+                  className="checkbox-item"
+                  style={{ paddingLeft: `${depth * 1.2}em` }}
+                >
                   <input
                     type="checkbox"
                     id={`cat-${cat.category_id}`}
@@ -1198,6 +1948,35 @@ const ItemsView = () => {
               ))}
             </fieldset>
 
+            {/* Custom Field Filters, for the selected categories */}
+            {filterCategoryIds.map((categoryId) => {
+              const fields = getCategoryFields(categoryId);
+              if (fields.length === 0) return null;
+              return (
+                <fieldset key={categoryId} className="filter-group">
+                  <legend>
+                    {
+                      categories.find((cat) => cat.category_id === categoryId)
+                        ?.name
+                    }
+                  </legend>
+                  <CustomFieldInputs
+                    idPrefix="filter-field"
+                    fields={fields}
+                    values={filterFieldValues}
+                    onChange={(values) => {
+                      setFilterFieldValues(values);
+                      resetPage();
+                    }}
+                    emptyLabel={intl.formatMessage({
+                      id: "items.filter.fieldAny",
+                      defaultMessage: "-- Any --",
+                    })}
+                  />
+                </fieldset>
+              );
+            })}
+
             {/* Owner Filter */}
             <fieldset className="filter-group checkbox-group">
               <legend>
@@ -1224,6 +2003,81 @@ const ItemsView = () => {
               ))}
             </fieldset>
 
+            {/* Status Filter */}
+            <fieldset className="filter-group checkbox-group">
+              <legend>
+                {intl.formatMessage({
+                  id: "items.filter.statusLabel",
+                  defaultMessage: "Status:",
+                })}
+              </legend>
+              {itemStatuses.map((status) => (
+                <div key={status.key} className="checkbox-item">
+                  <input
+                    type="checkbox"
+                    id={`status-${status.key}`}
+                    value={status.key}
+                    checked={filterStatuses.includes(status.key)}
+                    onChange={() => handleStatusFilterChange(status.key)}
+                  />
+                  <label htmlFor={`status-${status.key}`}>
+                    {getStatusLabel(intl, itemStatuses, status.key)}
+                  </label>
+                </div>
+              ))}
+            </fieldset>
+
+            {/* Tag Filter */}
+            {tags.length > 0 && (
+              <fieldset className="filter-group checkbox-group">
+                <legend>
+                  {intl.formatMessage({
+                    id: "items.filter.tagLabel",
+                    defaultMessage: "Tags:",
+                  })}
+                </legend>
+                <select
+                  className="tag-filter-mode"
+                  value={filterTagMode}
+                  onChange={(e) => {
+                    setFilterTagMode(e.target.value);
+                    resetPage();
+                  }}
+                  aria-label={intl.formatMessage({
+                    id: "items.filter.tagModeLabel",
+                    defaultMessage: "Tag match mode",
+                  })}
+                >
+                  <option value="or">
+                    {intl.formatMessage({
+                      id: "items.filter.tagMode.or",
+                      defaultMessage: "Any selected tag",
+                    })}
+                  </option>
+                  <option value="and">
+                    {intl.formatMessage({
+                      id: "items.filter.tagMode.and",
+                      defaultMessage: "All selected tags",
+                    })}
+                  </option>
+                </select>
+                {tags.map((tag) => (
+                  <div key={tag.tag_id} className="checkbox-item">
+                    <input
+                      type="checkbox"
+                      id={`tag-${tag.tag_id}`}
+                      value={tag.tag_id}
+                      checked={filterTagIds.includes(tag.tag_id)}
+                      onChange={(e) =>
+                        handleCheckboxFilterChange("tag", e.target.value)
+                      }
+                    />
+                    <label htmlFor={`tag-${tag.tag_id}`}>{tag.name}</label>
+                  </div>
+                ))}
+              </fieldset>
+            )}
+
             {/* Price Range Filter */}
             <div className="filter-group">
               <label>
@@ -1270,7 +2124,8 @@ const ItemsView = () => {
       {api.isConfigured &&
         typeof api.listItems === "function" &&
         !loading &&
-        allItemsMetadata.length === 0 && // No items in the source at all
+        totalItemsCount === 0 &&
+        (unfilteredItemsCount === 0 || !hasActiveFilters) && // No items in the source at all
         !error && (
           <div>
             <p style={{ marginBottom: "20px" }}>
@@ -1305,8 +2160,9 @@ const ItemsView = () => {
       {api.isConfigured &&
         typeof api.listItems === "function" &&
         !loading &&
-        allItemsMetadata.length > 0 && // Items exist in source
-        displayedItems.length === 0 && // But none match filters/pagination
+        unfilteredItemsCount > 0 && // Items exist in source
+        hasActiveFilters &&
+        totalItemsCount === 0 && // But none match filters
         !error && (
           <p>
             {intl.formatMessage({
@@ -1325,6 +2181,7 @@ const ItemsView = () => {
           displayedItemImageUrls={displayedItemImageUrls}
           itemImageFiles={itemImageFiles}
           loadingImages={loadingImages}
+          getLocationLabel={getLocationNameById}
           isLoading={loading} // Pass the main loading state
           isUpdating={isUpdating}
           isDeleting={isDeleting}
@@ -1333,6 +2190,21 @@ const ItemsView = () => {
             api.isConfigured &&
             typeof api.updateItem === "function"
           }
+          onWornToday={handleWornToday}
+          wearingItemId={wearingItemId}
+          canRecordWear={
+            api.writeAllowed &&
+            api.isConfigured &&
+            typeof addWearEvent === "function"
+          }
+          itemStatuses={itemStatuses}
+          onStatusChange={handleStatusChange}
+          statusItemId={statusItemId}
+          canChangeStatus={
+            api.writeAllowed &&
+            api.isConfigured &&
+            typeof api.setItemStatus === "function"
+          }
           intl={intl}
         />
       )}
@@ -1532,11 +2404,7 @@ const ItemsView = () => {
                     defaultMessage: "-- Select Location --",
                   })}
                 </option>
-                {locations.map((loc) => (
-                  <option key={loc.location_id} value={loc.location_id}>
-                    {loc.name}
-                  </option>
-                ))}
+                <TreeOptions nodes={locationTree} idKey="location_id" />
               </select>
             </div>
             <div className="form-group">
@@ -1559,13 +2427,16 @@ const ItemsView = () => {
                     defaultMessage: "-- Select Category --",
                   })}
                 </option>
-                {categories.map((cat) => (
-                  <option key={cat.category_id} value={cat.category_id}>
-                    {cat.name}
-                  </option>
-                ))}
+                <TreeOptions nodes={categoryTree} idKey="category_id" />
               </select>
             </div>
+            <CustomFieldInputs
+              idPrefix="item-field-modal"
+              fields={getCategoryFields(newItemCategoryId)}
+              values={newItemFieldValues}
+              onChange={setNewItemFieldValues}
+              disabled={loading}
+            />
             <div className="form-group">
               <label htmlFor="item-owner-modal">
                 {intl.formatMessage({
@@ -1593,6 +2464,24 @@ const ItemsView = () => {
                 ))}
               </select>
             </div>
+            {typeof addTag === "function" && (
+              <div className="form-group">
+                <label htmlFor="item-tags-modal">
+                  {intl.formatMessage({
+                    id: "items.addForm.tagsLabel",
+                    defaultMessage: "Tags:",
+                  })}
+                </label>
+                <TagInput
+                  id="item-tags-modal"
+                  tags={tags}
+                  selectedTagIds={newItemTagIds}
+                  onChange={setNewItemTagIds}
+                  onCreateTag={handleCreateTag}
+                  disabled={loading}
+                />
+              </div>
+            )}
 
             <div className="modal-actions">
               <button
@@ -1645,6 +2534,14 @@ const ItemsView = () => {
         >
           {(() => {
             const displayImageUrl = imageMarkedForRemoval ? null : editImageUrl;
+            const currentEditImageIndex = Math.min(
+              editImageIndex,
+              editItemImages.length - 1,
+            );
+            const currentEditImage = editItemImages[currentEditImageIndex];
+            const editingItem = displayedItems.find(
+              (item) => item.item_id === editingItemId,
+            );
             return (
               <form onSubmit={handleUpdateItem} className="edit-item-form">
                 {updateError && (
@@ -1728,6 +2625,10 @@ const ItemsView = () => {
                                 id: "items.editForm.imagePreviewAlt",
                                 defaultMessage: "Item image preview",
                               }),
+                            // An unchanged image is shown from storage in full size
+                            editImageChanged
+                              ? undefined
+                              : { item_id: editingItemId },
                           )
                         }
                         style={{ cursor: "pointer" }}
@@ -1786,6 +2687,149 @@ const ItemsView = () => {
                     className="hidden-file-input"
                   />
                 </div>
+                {/* All images of the item; changes here are saved immediately */}
+                {canManageItemImages && (
+                  <div className="form-group form-group-image form-group-item-images">
+                    <label htmlFor="edit-item-extra-image">
+                      {intl.formatMessage({
+                        id: "items.editForm.allImagesLabel",
+                        defaultMessage: "All images:",
+                      })}
+                    </label>
+                    {editItemImages.length > 0 ? (
+                      <ImageCarousel
+                        images={editItemImages.map((img) => ({
+                          url: img.url,
+                          alt: editName,
+                          isPrimary: img.is_primary,
+                        }))}
+                        currentIndex={editImageIndex}
+                        onIndexChange={setEditImageIndex}
+                        onImageClick={(index) =>
+                          handleImageClick(
+                            editItemImages[index].file,
+                            editName,
+                            { item_id: editingItemId },
+                            editItemImages[index].image_uuid,
+                          )
+                        }
+                      />
+                    ) : (
+                      <p className="item-images-empty">
+                        {intl.formatMessage({
+                          id: "items.editForm.noImages",
+                          defaultMessage: "No images yet.",
+                        })}
+                      </p>
+                    )}
+                    {writeAllowed && (
+                      <div className="form-group-image-actions">
+                        {typeof addItemImage === "function" && (
+                          <label
+                            htmlFor="edit-item-extra-image"
+                            className={`button-light button-file-input ${isSavingImages || isUpdating || isDeleting ? "disabled" : ""}`}
+                          >
+                            {intl.formatMessage({
+                              id: "items.editForm.addImage",
+                              defaultMessage: "Add Image",
+                            })}
+                          </label>
+                        )}
+                        {currentEditImage &&
+                          !currentEditImage.is_primary &&
+                          typeof setPrimaryItemImage === "function" && (
+                            <button
+                              type="button"
+                              onClick={() =>
+                                handleSetPrimaryEditItemImage(
+                                  currentEditImage.image_uuid,
+                                )
+                              }
+                              className="button-light"
+                              disabled={isSavingImages || isUpdating}
+                            >
+                              {intl.formatMessage({
+                                id: "items.editForm.makePrimary",
+                                defaultMessage: "Make Primary",
+                              })}
+                            </button>
+                          )}
+                        {editItemImages.length > 1 &&
+                          typeof reorderItemImages === "function" && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  handleMoveEditItemImage(
+                                    currentEditImage.image_uuid,
+                                    -1,
+                                  )
+                                }
+                                className="button-light"
+                                disabled={
+                                  isSavingImages ||
+                                  isUpdating ||
+                                  currentEditImageIndex === 0
+                                }
+                              >
+                                {intl.formatMessage({
+                                  id: "items.editForm.moveImageLeft",
+                                  defaultMessage: "Move Left",
+                                })}
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  handleMoveEditItemImage(
+                                    currentEditImage.image_uuid,
+                                    1,
+                                  )
+                                }
+                                className="button-light"
+                                disabled={
+                                  isSavingImages ||
+                                  isUpdating ||
+                                  currentEditImageIndex ===
+                                    editItemImages.length - 1
+                                }
+                              >
+                                {intl.formatMessage({
+                                  id: "items.editForm.moveImageRight",
+                                  defaultMessage: "Move Right",
+                                })}
+                              </button>
+                            </>
+                          )}
+                        {currentEditImage &&
+                          typeof removeItemImage === "function" && (
+                            <button
+                              type="button"
+                              onClick={() =>
+                                handleRemoveEditItemImage(
+                                  currentEditImage.image_uuid,
+                                )
+                              }
+                              className="button-danger-light remove-image-button"
+                              disabled={isSavingImages || isUpdating}
+                            >
+                              {intl.formatMessage({
+                                id: "items.editForm.removeThisImage",
+                                defaultMessage: "Remove This Image",
+                              })}
+                            </button>
+                          )}
+                      </div>
+                    )}
+                    <input
+                      type="file"
+                      id="edit-item-extra-image"
+                      accept="image/*"
+                      onChange={handleAddEditItemImage}
+                      disabled={isSavingImages || isUpdating || isDeleting}
+                      className="hidden-file-input"
+                    />
+                  </div>
+                )}
                 {/* Location Dropdown */}
                 <div className="form-group">
                   <label htmlFor="edit-item-location">
@@ -1809,11 +2853,7 @@ const ItemsView = () => {
                         defaultMessage: "-- Select Location --",
                       })}
                     </option>
-                    {locations.map((loc) => (
-                      <option key={loc.location_id} value={loc.location_id}>
-                        {loc.name}
-                      </option>
-                    ))}
+                    <TreeOptions nodes={locationTree} idKey="location_id" />
                   </select>
                 </div>
                 {/* Category Dropdown */}
@@ -1839,13 +2879,17 @@ const ItemsView = () => {
                         defaultMessage: "-- Select Category --",
                       })}
                     </option>
-                    {categories.map((cat) => (
-                      <option key={cat.category_id} value={cat.category_id}>
-                        {cat.name}
-                      </option>
-                    ))}
+                    <TreeOptions nodes={categoryTree} idKey="category_id" />
                   </select>
                 </div>
+                {/* Custom fields of the selected category */}
+                <CustomFieldInputs
+                  idPrefix="edit-item-field"
+                  fields={getCategoryFields(editCategoryId)}
+                  values={editFieldValues}
+                  onChange={setEditFieldValues}
+                  disabled={isUpdating || isDeleting}
+                />
                 {/* Owner Dropdown */}
                 <div className="form-group">
                   <label htmlFor="edit-item-owner">
@@ -1874,6 +2918,24 @@ const ItemsView = () => {
                     ))}
                   </select>
                 </div>
+                {typeof addTag === "function" && (
+                  <div className="form-group">
+                    <label htmlFor="edit-item-tags">
+                      {intl.formatMessage({
+                        id: "items.addForm.tagsLabel",
+                        defaultMessage: "Tags:",
+                      })}
+                    </label>
+                    <TagInput
+                      id="edit-item-tags"
+                      tags={tags}
+                      selectedTagIds={editTagIds}
+                      onChange={setEditTagIds}
+                      onCreateTag={handleCreateTag}
+                      disabled={isUpdating || isDeleting}
+                    />
+                  </div>
+                )}
                 <div className="modal-actions">
                   <button
                     type="submit"
@@ -1923,6 +2985,36 @@ const ItemsView = () => {
                     })}
                   </button>
                 </div>
+                {editingItem && editingItem.queued !== "add" && (
+                  <ItemWear
+                    item={editingItem}
+                    canEdit={
+                      api.writeAllowed && typeof api.addWearEvent === "function"
+                    }
+                    onWearChange={applyItemStats}
+                  />
+                )}
+                {editingItem && editingItem.queued !== "add" && (
+                  <ItemLoans
+                    item={editingItem}
+                    owners={owners}
+                    canEdit={
+                      api.writeAllowed && typeof api.addLoan === "function"
+                    }
+                    onLoanChange={applyItemStats}
+                  />
+                )}
+                {editingItem && editingItem.queued !== "add" && (
+                  <ItemOutfits item={editingItem} />
+                )}
+                <ItemHistory
+                  itemUuid={editingItem?.uuid}
+                  locations={locations}
+                  categories={categories}
+                  owners={owners}
+                  tags={tags}
+                  customFields={customFields}
+                />
               </form>
             );
           })()}
@@ -1947,12 +3039,12 @@ const ItemsView = () => {
                 {
                   id: "items.deleteModal.confirmMessage",
                   defaultMessage:
-                    'Are you sure you want to delete the item "{name}"? This action cannot be undone.',
+                    'Move the item "{name}" to the trash? You can restore it from the Trash page.',
                 },
                 {
                   name:
                     (
-                      allItemsMetadata.find(
+                      displayedItems.find(
                         (i) => i.item_id === deleteCandidateId,
                       ) || { name: "" }
                     ).name || "",
@@ -1995,6 +3087,8 @@ const ItemsView = () => {
         onClose={handleCloseImageViewModal}
         imageUrl={imageViewModalUrl}
         imageAlt={imageViewModalAlt}
+        images={imageViewModalImages}
+        initialIndex={imageViewModalIndex}
       />
     </div>
   );
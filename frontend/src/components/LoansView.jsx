@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useApi } from "../api/ApiContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import { useIntl } from "react-intl";
+import { isLoanOverdue, toWornOn } from "../api/providerUtils";
+import "./LoansView.css";
+
+// Overdue loans first, then the ones due soonest, and those without a due date last
+const compareOpenLoans = (a, b) =>
+  Number(isLoanOverdue(b)) - Number(isLoanOverdue(a)) ||
+  (a.due_on || "9999-12-31").localeCompare(b.due_on || "9999-12-31") ||
+  a.lent_on.localeCompare(b.lent_on);
+
+// Lists the clothes that are lent out, with the overdue ones highlighted, and records their return
+const LoansView = () => {
+  const api = useApi();
+  const { isOffline, runOnline } = useOutbox();
+  const intl = useIntl();
+  const [loans, setLoans] = useState([]);
+  const [itemsByUuid, setItemsByUuid] = useState(new Map());
+  const [owners, setOwners] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [returningLoanId, setReturningLoanId] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canReturn = api.writeAllowed && typeof api.updateLoan === "function";
+
+  const fetchLoans = useCallback(async () => {
+    if (!api.isConfigured || typeof api.listLoans !== "function") {
+      setLoans([]);
+      setError(
+        intl.formatMessage({
+          id: "common.status.apiNotConfigured",
+          defaultMessage:
+            "API Provider is not configured. Please configure it in Settings.",
+        }),
+      );
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const [openLoans, ownerRows] = await Promise.all([
+        api.listLoans({ open: true }),
+        api.listOwners(),
+      ]);
+      const itemUuids = [...new Set(openLoans.map((loan) => loan.item_uuid))];
+      const items = await Promise.all(
+        itemUuids.map((uuid) => api.getItemByUuid({ uuid })),
+      );
+      setItemsByUuid(
+        new Map(items.filter(Boolean).map((item) => [item.uuid, item])),
+      );
+      setOwners(ownerRows || []);
+      setLoans([...openLoans].sort(compareOpenLoans));
+    } catch (err) {
+      console.error("Failed to fetch the open loans:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "loans.error.fetch",
+            defaultMessage: "Failed to fetch the loans: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      setLoans([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, intl]);
+
+  useEffect(() => {
+    fetchLoans();
+  }, [fetchLoans]);
+
+  const itemNameOf = (loan) =>
+    itemsByUuid.get(loan.item_uuid)?.name ??
+    intl.formatMessage({
+      id: "loans.unknownItem",
+      defaultMessage: "Unknown clothing",
+    });
+
+  // Owners are shown under their current name, others under the name given when lending
+  const borrowerOf = (loan) =>
+    owners.find((owner) => owner.uuid === loan.borrower_owner_uuid)?.name ||
+    loan.borrower_name;
+
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+
+  const handleReturn = async (loan) => {
+    setReturningLoanId(loan.loan_id);
+    setError(null);
+    setSuccess(null);
+    try {
+      const result = await runOnline(() =>
+        api.updateLoan({
+          loan_id: loan.loan_id,
+          returned_on: toWornOn(),
+        }),
+      );
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "loans.success.return",
+            defaultMessage: '"{name}" was returned by {borrower}.',
+          },
+          { name: itemNameOf(loan), borrower: borrowerOf(loan) },
+        ),
+      );
+      await fetchLoans();
+    } catch (err) {
+      console.error("Failed to record the return:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "loans.error.return",
+            defaultMessage: "Failed to record the return: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setReturningLoanId(null);
+    }
+  };
+
+  const overdueCount = loans.filter((loan) => isLoanOverdue(loan)).length;
+
+  return (
+    <div className="loans-view">
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "loans.loading",
+            defaultMessage: "Loading loans...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">Error: {error}</p>}
+      {success && <p className="status-success">{success}</p>}
+      {isOffline && canReturn && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "outbox.offlineHint",
+            defaultMessage:
+              "The server cannot be reached. This can be changed again once it is back.",
+          })}
+        </p>
+      )}
+
+      <h3>
+        {intl.formatMessage({
+          id: "loans.lentOut.title",
+          defaultMessage: "Lent Out",
+        })}
+      </h3>
+      {overdueCount > 0 && (
+        <p className="loans-overdue-summary">
+          {intl.formatMessage(
+            {
+              id: "loans.lentOut.overdueCount",
+              defaultMessage:
+                "{count, plural, one {# loan is} other {# loans are}} overdue.",
+            },
+            { count: overdueCount },
+          )}
+        </p>
+      )}
+
+      {api.isConfigured && !loading && !error && loans.length === 0 && (
+        <p>
+          {intl.formatMessage({
+            id: "loans.lentOut.empty",
+            defaultMessage: "Nothing is lent out.",
+          })}
+        </p>
+      )}
+
+      {loans.length > 0 && (
+        <ul className="loans-list">
+          {loans.map((loan) => (
+            <li
+              key={loan.loan_id}
+              className={`loans-card${isLoanOverdue(loan) ? " loans-card-overdue" : ""}`}
+            >
+              <div className="loans-card-info">
+                <strong>{itemNameOf(loan)}</strong>
+                <span>
+                  {intl.formatMessage(
+                    {
+                      id: "loans.lentOut.borrower",
+                      defaultMessage: "Lent to {borrower} on {date}",
+                    },
+                    {
+                      borrower: borrowerOf(loan),
+                      date: formatDay(loan.lent_on),
+                    },
+                  )}
+                </span>
+                {loan.due_on && (
+                  <span className="loans-card-due">
+                    {isLoanOverdue(loan)
+                      ? intl.formatMessage(
+                          {
+                            id: "loans.lentOut.overdue",
+                            defaultMessage: "Overdue, was due on {date}",
+                          },
+                          { date: formatDay(loan.due_on) },
+                        )
+                      : intl.formatMessage(
+                          {
+                            id: "loans.lentOut.due",
+                            defaultMessage: "Due on {date}",
+                          },
+                          { date: formatDay(loan.due_on) },
+                        )}
+                  </span>
+                )}
+                {loan.note && (
+                  <span className="loans-card-note">{loan.note}</span>
+                )}
+              </div>
+              {canReturn && (
+                <button
+                  type="button"
+                  className="button-primary"
+                  onClick={() => handleReturn(loan)}
+                  disabled={loading || isOffline || returningLoanId !== null}
+                >
+                  {intl.formatMessage({
+                    id: "loans.returnButton",
+                    defaultMessage: "Returned",
+                  })}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LoansView;
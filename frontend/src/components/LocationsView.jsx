@@ -1,19 +1,29 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
 import { useApi } from "../api/ApiContext";
+import { useUndo } from "../undo/UndoContext";
 import { useIntl } from "react-intl";
+import {
+  collectSubtreeIds,
+  createsParentCycle,
+  flattenTree,
+} from "../api/providerUtils";
 import "./LocationsView.css";
 import Modal from "./Modal";
+import TreeOptions from "./TreeOptions";
 
 const LocationsView = () => {
   const [locations, setLocations] = useState([]);
   const [newLocationName, setNewLocationName] = useState("");
   const [newLocationDescription, setNewLocationDescription] = useState("");
+  const [newLocationParentId, setNewLocationParentId] = useState(""); // "" for a top-level location
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [editingLocationId, setEditingLocationId] = useState(null);
   const [editName, setEditName] = useState("");
   const [editDescription, setEditDescription] = useState("");
+  const [editParentId, setEditParentId] = useState("");
   const [isUpdating, setIsUpdating] = useState(false);
   const [updateError, setUpdateError] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
@@ -22,9 +32,23 @@ const LocationsView = () => {
   const [deleteError, setDeleteError] = useState(null);
   const [isAddLocationModalOpen, setIsAddLocationModalOpen] = useState(false);
   const [addLocationError, setAddLocationError] = useState(null);
+  const [draggedLocationId, setDraggedLocationId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null); // location_id, or "root" for the top level
+  const [isMoving, setIsMoving] = useState(false);
 
   const api = useApi();
   const intl = useIntl();
+  const { run: runUndoable, revision: undoRevision } = useUndo();
+
+  // Locations depth-first, each followed by the locations inside it
+  const locationTree = useMemo(
+    () => flattenTree(locations, "location_id", "parent_location_id"),
+    [locations],
+  );
+  const canMoveLocations =
+    api.isConfigured &&
+    api.writeAllowed &&
+    typeof api.updateLocation === "function";
 
   const fetchLocations = useCallback(async () => {
     if (!api.isConfigured || typeof api.listLocations !== "function") {
@@ -73,9 +97,19 @@ const LocationsView = () => {
     fetchLocations();
   }, [fetchLocations]);
 
+  // Undo and redo change the locations behind this view's back
+  useEffect(() => {
+    if (undoRevision > 0) fetchLocations();
+  }, [undoRevision, fetchLocations]);
+
+  // Describes a change in the undo snackbar
+  const describeChange = (action, name) =>
+    intl.formatMessage({ id: `undo.action.location.${action}` }, { name });
+
   const handleOpenAddLocationModal = () => {
     setNewLocationName("");
     setNewLocationDescription("");
+    setNewLocationParentId("");
     setAddLocationError(null); // Clear previous modal errors
     setError(null); // Clear general page errors
     setSuccess(null); // Clear success messages
@@ -121,10 +155,17 @@ const LocationsView = () => {
     setAddLocationError(null); // Clear modal error
 
     try {
-      const result = await api.addLocation({
-        name: newLocationName.trim(),
-        description: newLocationDescription.trim() || null, // Send null if description is empty
-      });
+      const result = await runUndoable(
+        "addLocation",
+        {
+          name: newLocationName.trim(),
+          description: newLocationDescription.trim() || null, // Send null if description is empty
+          parent_location_id: newLocationParentId
+            ? parseInt(newLocationParentId, 10)
+            : null,
+        },
+        { description: describeChange("add", newLocationName.trim()) },
+      );
 
       if (result.success) {
         // Fetch data, then close modal and show global success message
@@ -181,6 +222,7 @@ const LocationsView = () => {
     setEditingLocationId(location.location_id);
     setEditName(location.name);
     setEditDescription(location.description || "");
+    setEditParentId(location.parent_location_id ?? "");
     setUpdateError(null);
     setSuccess(null);
     setError(null);
@@ -190,9 +232,18 @@ const LocationsView = () => {
     setEditingLocationId(null);
     setEditName("");
     setEditDescription("");
+    setEditParentId("");
     setUpdateError(null);
   };
 
+  // Message shown when a provider refuses to move a location under itself
+  const invalidParentMessage = () =>
+    intl.formatMessage({
+      id: "locations.error.invalidParent",
+      defaultMessage:
+        "A location cannot be moved inside itself or a location within it.",
+    });
+
   const handleUpdateLocation = async (e) => {
     e.preventDefault();
     if (
@@ -215,11 +266,16 @@ const LocationsView = () => {
     setSuccess(null);
 
     try {
-      const result = await api.updateLocation({
-        location_id: editingLocationId,
-        name: editName.trim(),
-        description: editDescription.trim() || null,
-      });
+      const result = await runUndoable(
+        "updateLocation",
+        {
+          location_id: editingLocationId,
+          name: editName.trim(),
+          description: editDescription.trim() || null,
+          parent_location_id: editParentId ? parseInt(editParentId, 10) : null,
+        },
+        { description: describeChange("update", editName.trim()) },
+      );
 
       if (result.success) {
         setSuccess(
@@ -233,6 +289,8 @@ const LocationsView = () => {
         );
         handleCancelEdit(); // Close modal
         fetchLocations(); // Refresh list
+      } else if (result.errorCode === "INVALID_PARENT") {
+        setUpdateError(invalidParentMessage());
       } else {
         setUpdateError(
           intl.formatMessage(
@@ -305,9 +363,17 @@ const LocationsView = () => {
     setSuccess(null);
 
     try {
-      const result = await api.deleteLocation({
-        location_id: deleteCandidateId,
-      });
+      const result = await runUndoable(
+        "deleteLocation",
+        { location_id: deleteCandidateId },
+        {
+          description: describeChange(
+            "delete",
+            locations.find((loc) => loc.location_id === deleteCandidateId)
+              ?.name || "",
+          ),
+        },
+      );
       if (result.success) {
         setSuccess(
           intl.formatMessage({
@@ -323,6 +389,30 @@ const LocationsView = () => {
           setDeleteError(
             intl.formatMessage({ id: "locations.error.deleteInUse" }),
           );
+        } else if (result.errorCode === "ENTITY_IN_TRASH") {
+          setDeleteError(
+            <>
+              {intl.formatMessage({
+                id: "locations.error.deleteInTrash",
+                defaultMessage:
+                  "Cannot delete location because clothes in the trash are still stored in it. Restore them and move them elsewhere, or delete them for good.",
+              })}{" "}
+              <Link to="/trash">
+                {intl.formatMessage({
+                  id: "common.openTrash",
+                  defaultMessage: "Open the trash",
+                })}
+              </Link>
+            </>,
+          );
+        } else if (result.errorCode === "ENTITY_HAS_CHILDREN") {
+          setDeleteError(
+            intl.formatMessage({
+              id: "locations.error.deleteHasChildren",
+              defaultMessage:
+                "Cannot delete location because other locations are inside it. Move or delete them first.",
+            }),
+          );
         } else {
           setDeleteError(
             intl.formatMessage(
@@ -363,6 +453,143 @@ const LocationsView = () => {
     }
   };
 
+  // --- Drag to reparent ---
+  // A location can be dropped on any location outside its own subtree, or on the top level.
+  const isValidDropTarget = (targetId) => {
+    if (draggedLocationId === null) return false;
+    const dragged = locations.find(
+      (loc) => loc.location_id === draggedLocationId,
+    );
+    if (targetId === null) return dragged?.parent_location_id != null;
+    return (
+      targetId !== dragged?.parent_location_id &&
+      !createsParentCycle(
+        locations,
+        "location_id",
+        "parent_location_id",
+        draggedLocationId,
+        targetId,
+      )
+    );
+  };
+
+  const handleDragStart = (e, locationId) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(locationId)); // Required by Firefox to start a drag
+    setDraggedLocationId(locationId);
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedLocationId(null);
+    setDropTargetId(null);
+  };
+
+  const handleDragOver = (e, targetId) => {
+    if (!isValidDropTarget(targetId)) return;
+    e.preventDefault(); // Allows the drop
+    e.dataTransfer.dropEffect = "move";
+    setDropTargetId(targetId ?? "root");
+  };
+
+  const handleDrop = async (e, targetId) => {
+    e.preventDefault();
+    const locationId = draggedLocationId;
+    handleDragEnd();
+    if (locationId === null || !isValidDropTarget(targetId)) return;
+
+    setIsMoving(true);
+    try {
+      const result = await runUndoable(
+        "updateLocation",
+        { location_id: locationId, parent_location_id: targetId },
+        {
+          description: describeChange(
+            "move",
+            locations.find((loc) => loc.location_id === locationId)?.name || "",
+          ),
+        },
+      );
+      if (result.success) {
+        setSuccess(
+          intl.formatMessage(
+            {
+              id: "locations.success.move",
+              defaultMessage: 'Location "{name}" moved.',
+            },
+            {
+              name:
+                locations.find((loc) => loc.location_id === locationId)?.name ||
+                "",
+            },
+          ),
+        );
+        await fetchLocations();
+      } else if (result.errorCode === "INVALID_PARENT") {
+        setError(invalidParentMessage());
+      } else {
+        setError(
+          intl.formatMessage(
+            { id: "locations.error.update" },
+            {
+              error:
+                result.message ||
+                intl.formatMessage({ id: "common.error.unknown" }),
+            },
+          ),
+        );
+      }
+    } catch (err) {
+      console.error("Failed to move location:", err);
+      setError(
+        intl.formatMessage(
+          { id: "locations.error.update" },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsMoving(false);
+    }
+  };
+
+  // Parent choices of the edited location: anything outside its own subtree
+  const editParentOptions = useMemo(() => {
+    if (!editingLocationId) return locationTree;
+    const subtree = collectSubtreeIds(
+      locations,
+      "location_id",
+      "parent_location_id",
+      [editingLocationId],
+    );
+    return locationTree.filter(({ row }) => !subtree.includes(row.location_id));
+  }, [editingLocationId, locations, locationTree]);
+
+  const renderParentSelect = (id, value, onChange, options, disabled) => (
+    <div className="form-group">
+      <label htmlFor={id}>
+        {intl.formatMessage({
+          id: "locations.addForm.parentLabel",
+          defaultMessage: "Inside of:",
+        })}
+      </label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="">
+          {intl.formatMessage({
+            id: "locations.addForm.noParent",
+            defaultMessage: "-- None (top level) --",
+          })}
+        </option>
+        <TreeOptions nodes={options} idKey="location_id" />
+      </select>
+    </div>
+  );
+
   return (
     <div className="locations-view">
       {/* Status Messages */}
@@ -424,9 +651,40 @@ const LocationsView = () => {
         )}
       {typeof api.listLocations === "function" && locations.length > 0 && (
         <div className="locations-list">
-          {" "}
-          {locations.map((loc) => (
-            <div key={loc.location_id} className="location-card">
+          {canMoveLocations && locations.length > 1 && (
+            <p className="locations-drag-hint">
+              {intl.formatMessage({
+                id: "locations.list.dragHint",
+                defaultMessage:
+                  "Drag a location onto another one to move it inside.",
+              })}
+            </p>
+          )}
+          {draggedLocationId !== null && (
+            <div
+              className={`location-root-drop${dropTargetId === "root" ? " drop-target" : ""}`}
+              onDragOver={(e) => handleDragOver(e, null)}
+              onDragLeave={() => setDropTargetId(null)}
+              onDrop={(e) => handleDrop(e, null)}
+            >
+              {intl.formatMessage({
+                id: "locations.list.dropToTopLevel",
+                defaultMessage: "Drop here to move to the top level",
+              })}
+            </div>
+          )}
+          {locationTree.map(({ row: loc, depth }) => (
+            <div
+              key={loc.location_id}
+              className={`location-card${depth > 0 ? " nested" : ""}${dropTargetId === loc.location_id ? " drop-target" : ""}${draggedLocationId === loc.location_id ? " dragging" : ""}`}
+              style={{ marginLeft: `${depth * 24}px` }}
+              draggable={canMoveLocations && !isMoving}
+              onDragStart={(e) => handleDragStart(e, loc.location_id)}
+              onDragEnd={handleDragEnd}
+              onDragOver={(e) => handleDragOver(e, loc.location_id)}
+              onDragLeave={() => setDropTargetId(null)}
+              onDrop={(e) => handleDrop(e, loc.location_id)}
+            >
               <h4>{loc.name}</h4>
               {loc.description && <p>{loc.description}</p>}
               {/* Show Edit button only if provider configured and update method exists - Use button-light */}
@@ -442,7 +700,11 @@ const LocationsView = () => {
                     { name: loc.name },
                   )}
                   disabled={
-                    !api.writeAllowed || loading || isUpdating || isDeleting
+                    !api.writeAllowed ||
+                    loading ||
+                    isUpdating ||
+                    isDeleting ||
+                    isMoving
                   }
                 >
                   ✏️
@@ -506,6 +768,13 @@ const LocationsView = () => {
                 disabled={loading}
               />
             </div>
+            {renderParentSelect(
+              "location-parent-modal",
+              newLocationParentId,
+              setNewLocationParentId,
+              locationTree,
+              loading,
+            )}
             <div className="modal-actions">
               <button
                 type="submit"
@@ -576,6 +845,13 @@ const LocationsView = () => {
                 disabled={isUpdating || isDeleting}
               />
             </div>
+            {renderParentSelect(
+              "edit-location-parent",
+              editParentId,
+              setEditParentId,
+              editParentOptions,
+              isUpdating || isDeleting,
+            )}
             <div className="modal-actions">
               <button
                 type="submit"
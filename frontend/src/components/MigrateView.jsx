@@ -1,25 +1,35 @@
 import React from "react";
 import { useIntl } from "react-intl";
 import { useApi } from "../api/ApiContext";
+import MigrationWizard from "./MigrationWizard";
+import SchemaMigration from "./SchemaMigration";
 
 const MigrateView = () => {
   const intl = useIntl();
-  const { apiProviderType, dbVersion, appMajor } = useApi();
+  const { apiProviderType, dbVersion, appMajor, isDbBehind } = useApi();
 
   return (
     <div className="settings-view">
-      <h2>{intl.formatMessage({ id: "migrate.title" })}</h2>
-      <p>
-        {intl.formatMessage(
-          { id: "migrate.versionInfo" },
-          { dbVersion, appVersion: appMajor },
-        )}
-      </p>
-      {apiProviderType === "indexedDB" ? (
-        <p>{intl.formatMessage({ id: "migrate.description.indexedDB" })}</p>
-      ) : (
-        <p>{intl.formatMessage({ id: "migrate.description.exportImport" })}</p>
+      {isDbBehind && (
+        <>
+          <h2>{intl.formatMessage({ id: "migrate.title" })}</h2>
+          <p>
+            {intl.formatMessage(
+              { id: "migrate.versionInfo" },
+              { dbVersion, appVersion: appMajor },
+            )}
+          </p>
+          {apiProviderType === "indexedDB" ? (
+            <p>{intl.formatMessage({ id: "migrate.description.indexedDB" })}</p>
+          ) : (
+            <p>
+              {intl.formatMessage({ id: "migrate.description.exportImport" })}
+            </p>
+          )}
+        </>
       )}
+      <SchemaMigration />
+      <MigrationWizard />
     </div>
   );
 };
@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useIntl } from "react-intl";
+import { useApi, checkConfiguration } from "../api/ApiContext";
+import { useSettings } from "../settings/SettingsContext";
+import {
+  getProviderIds,
+  getProviderDisplayNames,
+  getProviderEndpoint,
+  bindProvider,
+} from "../api/providerRegistry";
+import {
+  migrateProvider,
+  verifyMigration,
+  MigrationError,
+} from "../api/providerMigration";
+import { createThumbnailOrNull } from "../helpers/images";
+import ProviderSettingsFields, {
+  getInitialProviderSettings,
+} from "./ProviderSettingsFields";
+import "./MigrationWizard.css";
+
+// Progress of the last migration that did not finish, so that it can be resumed
+const LS_CHECKPOINT_KEY = "clothinvMigrationCheckpoint";
+
+const readCheckpoint = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LS_CHECKPOINT_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const writeCheckpoint = (checkpoint) => {
+  localStorage.setItem(LS_CHECKPOINT_KEY, JSON.stringify(checkpoint));
+};
+
+// Copies all data from one provider to another, then compares the two
+const MigrationWizard = () => {
+  const intl = useIntl();
+  const { appMajor } = useApi();
+  const { settings: appSettings, updateSettings } = useSettings();
+  const displayNames = getProviderDisplayNames();
+  const providerIds = getProviderIds().filter((id) => id !== "none");
+
+  const [sourceId, setSourceId] = useState(
+    providerIds.includes(appSettings.apiProviderType)
+      ? appSettings.apiProviderType
+      : providerIds[0] || "",
+  );
+  const [targetId, setTargetId] = useState(
+    providerIds.find((id) => id !== appSettings.apiProviderType) || "",
+  );
+  const [sourceSettings, setSourceSettings] = useState({});
+  const [targetSettings, setTargetSettings] = useState({});
+  const [confirmed, setConfirmed] = useState(false);
+  const [status, setStatus] = useState("idle"); // idle | migrating | verifying | done | error
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [checkpoint, setCheckpoint] = useState(readCheckpoint);
+
+  useEffect(() => {
+    setSourceSettings(
+      getInitialProviderSettings(sourceId, appSettings.apiSettings),
+    );
+  }, [sourceId, appSettings.apiSettings]);
+
+  useEffect(() => {
+    setTargetSettings(
+      getInitialProviderSettings(targetId, appSettings.apiSettings),
+    );
+  }, [targetId, appSettings.apiSettings]);
+
+  const sourceName = displayNames[sourceId] || sourceId;
+  const targetName = displayNames[targetId] || targetId;
+  const sourceEndpoint = getProviderEndpoint(sourceId, sourceSettings);
+  const targetEndpoint = getProviderEndpoint(targetId, targetSettings);
+  const canResume =
+    checkpoint?.source === sourceEndpoint &&
+    checkpoint?.target === targetEndpoint;
+  const isBusy = status === "migrating" || status === "verifying";
+
+  const runMigration = useCallback(
+    async (resume) => {
+      setStatus("migrating");
+      setError(null);
+      setResult(null);
+      setProgress(null);
+      const source = bindProvider(
+        sourceId,
+        sourceSettings,
+        appSettings.clientName,
+      );
+      const target = bindProvider(
+        targetId,
+        targetSettings,
+        appSettings.clientName,
+      );
+      try {
+        let current = resume ? readCheckpoint() : null;
+        if (!current) {
+          const [sourceVersion, targetVersion] = await Promise.all([
+            source.getDbVersion(),
+            target.getDbVersion(),
+          ]);
+          // The source is read as for an export, so it may be behind; the target must be current
+          if (targetVersion !== appMajor || sourceVersion > appMajor) {
+            throw new Error(
+              intl.formatMessage(
+                {
+                  id: "migrate.wizard.error.version",
+                  defaultMessage:
+                    "{source} has database version {sourceVersion} and {target} has version {targetVersion}. The target must have version {version}, and the source at most that.",
+                },
+                {
+                  source: sourceName,
+                  sourceVersion,
+                  target: targetName,
+                  targetVersion,
+                  version: appMajor,
+                },
+              ),
+            );
+          }
+          const destroyResult = await target.destroyData();
+          if (!destroyResult?.success) {
+            throw new Error(
+              destroyResult?.errorKey
+                ? intl.formatMessage(
+                    { id: destroyResult.errorKey },
+                    destroyResult.errorValues,
+                  )
+                : destroyResult?.message ||
+                  intl.formatMessage(
+                    {
+                      id: "migrate.wizard.error.destroy",
+                      defaultMessage: "Emptying {target} failed.",
+                    },
+                    { target: targetName },
+                  ),
+            );
+          }
+          current = {
+            source: sourceEndpoint,
+            target: targetEndpoint,
+            completedItemUuids: [],
+            startedAt: new Date().toISOString(),
+          };
+          writeCheckpoint(current);
+          setCheckpoint(current);
+        }
+
+        await migrateProvider(source, target, {
+          completedItemUuids: current.completedItemUuids,
+          onItemMigrated: (itemUuid) => {
+            current = {
+              ...current,
+              completedItemUuids: [...current.completedItemUuids, itemUuid],
+            };
+            writeCheckpoint(current);
+          },
+          onProgress: setProgress,
+          createThumbnail: createThumbnailOrNull,
+        });
+        localStorage.removeItem(LS_CHECKPOINT_KEY);
+        setCheckpoint(null);
+
+        setStatus("verifying");
+        setResult(
+          await verifyMigration(source, target, { onProgress: setProgress }),
+        );
+        setStatus("done");
+      } catch (err) {
+        console.error("Migration failed:", err);
+        setCheckpoint(readCheckpoint());
+        setError(
+          err instanceof MigrationError
+            ? intl.formatMessage(
+                {
+                  id: "migrate.wizard.error.step",
+                  defaultMessage: "Migrating {step} failed: {error}",
+                },
+                {
+                  step: intl.formatMessage({
+                    id: `migrate.wizard.step.${err.step}`,
+                  }),
+                  error: err.message,
+                },
+              )
+            : err.message || String(err),
+        );
+        setStatus("error");
+      } finally {
+        setProgress(null);
+      }
+    },
+    [
+      appMajor,
+      appSettings.clientName,
+      intl,
+      sourceEndpoint,
+      sourceId,
+      sourceName,
+      sourceSettings,
+      targetEndpoint,
+      targetId,
+      targetName,
+      targetSettings,
+    ],
+  );
+
+  const handleSwitch = () => {
+    updateSettings({
+      apiProviderType: targetId,
+      apiSettings: { ...appSettings.apiSettings, [targetId]: targetSettings },
+    });
+  };
+
+  const isReady =
+    sourceEndpoint !== targetEndpoint &&
+    checkConfiguration(sourceId, { [sourceId]: sourceSettings }) &&
+    checkConfiguration(targetId, { [targetId]: targetSettings });
+
+  const renderProviderChoice = (
+    id,
+    labelId,
+    value,
+    setValue,
+    values,
+    setValues,
+  ) => (
+    <div className="migration-provider">
+      <div className="form-group">
+        <label htmlFor={id}>{intl.formatMessage({ id: labelId })}</label>
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setConfirmed(false);
+          }}
+          disabled={isBusy}
+        >
+          {providerIds.map((providerId) => (
+            <option key={providerId} value={providerId}>
+              {displayNames[providerId] || providerId}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ProviderSettingsFields
+        providerId={value}
+        idPrefix={`${id}-setting`}
+        values={values}
+        onChange={setValues}
+        disabled={isBusy}
+      />
+    </div>
+  );
+
+  return (
+    <fieldset className="settings-fieldset migration-wizard">
+      <legend>
+        {intl.formatMessage({
+          id: "migrate.wizard.legend",
+          defaultMessage: "Migrate to another provider",
+        })}
+      </legend>
+      <p>
+        {intl.formatMessage({
+          id: "migrate.wizard.description",
+          defaultMessage:
+            "Copies all clothes, locations, categories, owners, tags, custom fields, images, outfits, packing lists and the change history from one provider to another, then checks that nothing was lost.",
+        })}
+      </p>
+      <div className="migration-providers">
+        {renderProviderChoice(
+          "migrationSource",
+          "migrate.wizard.sourceLabel",
+          sourceId,
+          setSourceId,
+          sourceSettings,
+          setSourceSettings,
+        )}
+        {renderProviderChoice(
+          "migrationTarget",
+          "migrate.wizard.targetLabel",
+          targetId,
+          setTargetId,
+          targetSettings,
+          setTargetSettings,
+        )}
+      </div>
+      {sourceEndpoint === targetEndpoint && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "migrate.wizard.sameProvider",
+            defaultMessage: "The source and the target must be different.",
+          })}
+        </p>
+      )}
+      <div className="checkbox-item">
+        <input
+          type="checkbox"
+          id="migrationConfirm"
+          checked={confirmed}
+          onChange={(e) => setConfirmed(e.target.checked)}
+          disabled={isBusy}
+        />
+        <label htmlFor="migrationConfirm">
+          {intl.formatMessage(
+            {
+              id: "migrate.wizard.confirm",
+              defaultMessage:
+                "I understand that all data in {target} will be replaced.",
+            },
+            { target: targetName },
+          )}
+        </label>
+      </div>
+      <div className="form-actions">
+        <button
+          type="button"
+          className="button-primary"
+          onClick={() => runMigration(false)}
+          disabled={!isReady || !confirmed || isBusy}
+        >
+          {isBusy
+            ? intl.formatMessage({
+                id: "migrate.wizard.button.migrating",
+                defaultMessage: "Migrating...",
+              })
+            : intl.formatMessage({
+                id: "migrate.wizard.button",
+                defaultMessage: "Start migration",
+              })}
+        </button>
+        {canResume && !isBusy && (
+          <button
+            type="button"
+            className="button-light"
+            onClick={() => runMigration(true)}
+            disabled={!isReady}
+          >
+            {intl.formatMessage(
+              {
+                id: "migrate.wizard.button.resume",
+                defaultMessage: "Resume ({count} clothes done)",
+              },
+              { count: checkpoint.completedItemUuids.length },
+            )}
+          </button>
+        )}
+      </div>
+      <div className="feedback-section" style={{ minHeight: "20px" }}>
+        {isBusy && progress && (
+          <p className="status-loading">
+            {intl.formatMessage(
+              {
+                id: "migrate.wizard.progress",
+                defaultMessage: "{step}: {done} / {total}",
+              },
+              {
+                step: intl.formatMessage({
+                  id: `migrate.wizard.step.${progress.step}`,
+                }),
+                done: progress.done,
+                total: progress.total,
+              },
+            )}
+          </p>
+        )}
+        {error && <p className="status-error">{error}</p>}
+        {result && (
+          <>
+            <p className={result.ok ? "status-success" : "status-error"}>
+              {result.ok
+                ? intl.formatMessage({
+                    id: "migrate.wizard.verified",
+                    defaultMessage:
+                      "Migration finished. Every row and image was found in the target.",
+                  })
+                : intl.formatMessage({
+                    id: "migrate.wizard.verifyFailed",
+                    defaultMessage:
+                      "Migration finished, but the target differs from the source.",
+                  })}
+            </p>
+            <table className="migration-counts">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>{sourceName}</th>
+                  <th>{targetName}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.counts.map((count) => (
+                  <tr
+                    key={count.entity}
+                    className={
+                      count.source !== count.target ? "status-error" : undefined
+                    }
+                  >
+                    <td>
+                      {intl.formatMessage({
+                        id: `migrate.wizard.step.${count.entity}`,
+                      })}
+                    </td>
+                    <td>{count.source}</td>
+                    <td>{count.target}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.imageMismatches.length > 0 && (
+              <p className="status-error">
+                {intl.formatMessage(
+                  {
+                    id: "migrate.wizard.imageMismatches",
+                    defaultMessage:
+                      "Images missing or different in the target: {uuids}",
+                  },
+                  { uuids: result.imageMismatches.join(", ") },
+                )}
+              </p>
+            )}
+            {targetId !== appSettings.apiProviderType && (
+              <div className="form-actions">
+                <button
+                  type="button"
+                  className="button-primary"
+                  onClick={handleSwitch}
+                >
+                  {intl.formatMessage(
+                    {
+                      id: "migrate.wizard.switch",
+                      defaultMessage: "Switch to {provider}",
+                    },
+                    { provider: targetName },
+                  )}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+export default MigrationWizard;
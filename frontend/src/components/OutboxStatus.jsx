@@ -0,0 +1,118 @@
+import React from "react";
+import { useIntl } from "react-intl";
+import { useOutbox } from "../outbox/OutboxContext";
+import "./OutboxStatus.css";
+
+// Tells whether the server can be reached and lists the changes waiting for it
+const OutboxStatus = () => {
+  const intl = useIntl();
+  const { isEnabled, operations, isOnline, isSyncing, sync, retry, discard } =
+    useOutbox();
+
+  if (!isEnabled || (isOnline && operations.length === 0)) return null;
+
+  const pendingCount = operations.filter(
+    (op) => op.status === "pending",
+  ).length;
+  const failed = operations.filter((op) => op.status === "failed");
+
+  let summary;
+  if (isSyncing) {
+    summary = intl.formatMessage(
+      {
+        id: "outbox.syncing",
+        defaultMessage: "Syncing changes made offline ({count} left)...",
+      },
+      { count: pendingCount },
+    );
+  } else if (!isOnline) {
+    summary = intl.formatMessage(
+      {
+        id: "outbox.offline",
+        defaultMessage:
+          "The server cannot be reached. Changes to clothes are saved on this device and synced when it is back ({count} waiting).",
+      },
+      { count: pendingCount },
+    );
+  } else if (pendingCount > 0) {
+    summary = intl.formatMessage(
+      {
+        id: "outbox.pending",
+        defaultMessage: "Changes waiting to be synced: {count}",
+      },
+      { count: pendingCount },
+    );
+  }
+
+  return (
+    <div className="outbox-status">
+      {summary && (
+        <div className="status-warning outbox-status-summary" role="status">
+          <span>{summary}</span>
+          {pendingCount > 0 && (
+            <button
+              type="button"
+              className="button-light"
+              onClick={sync}
+              disabled={isSyncing}
+            >
+              {intl.formatMessage({
+                id: "outbox.syncNow",
+                defaultMessage: "Sync now",
+              })}
+            </button>
+          )}
+        </div>
+      )}
+      {failed.length > 0 && (
+        <div className="status-error">
+          {intl.formatMessage({
+            id: "outbox.failed.title",
+            defaultMessage: "These changes could not be synced:",
+          })}
+          <ul className="outbox-failures">
+            {failed.map((op) => (
+              <li key={op.op_id}>
+                <span>
+                  {intl.formatMessage(
+                    {
+                      id: `outbox.operation.${op.method}`,
+                      defaultMessage: '"{name}": {error}',
+                    },
+                    { name: op.item_name, error: op.error },
+                  )}
+                </span>
+                <span className="outbox-failure-actions">
+                  <button
+                    type="button"
+                    className="button-light"
+                    onClick={() => retry(op.op_id)}
+                    disabled={isSyncing}
+                  >
+                    {intl.formatMessage({
+                      id: "outbox.retry",
+                      defaultMessage: "Retry",
+                    })}
+                  </button>
+                  <button
+                    type="button"
+                    className="button-danger"
+                    onClick={() => discard(op.op_id)}
+                    disabled={isSyncing}
+                  >
+                    {intl.formatMessage({
+                      id: "outbox.discard",
+                      defaultMessage: "Discard",
+                    })}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutboxStatus;
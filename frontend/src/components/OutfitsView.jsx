@@ -0,0 +1,798 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useApi } from "../api/ApiContext";
+import { useSettings } from "../settings/SettingsContext";
+import { useIntl } from "react-intl";
+import { toWornOn } from "../api/providerUtils";
+import { compressImage } from "../helpers/images";
+import Modal from "./Modal";
+import TagInput from "./TagInput";
+import ItemPicker from "./ItemPicker";
+import "./OutfitsView.css";
+
+// Outfit photos are compressed like item images when compression is on
+const OUTFIT_IMAGE_COMPRESSION = {
+  maxSizeMB: 0.2,
+  maxWidthOrHeight: 1024,
+  useWebWorker: true,
+  fileType: "image/jpeg",
+};
+
+// Lists outfits, i.e. saved combinations of clothes, and composes new ones from the item gallery
+const OutfitsView = () => {
+  const api = useApi();
+  const { settings: appSettings } = useSettings();
+  const intl = useIntl();
+  const [outfits, setOutfits] = useState([]);
+  const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [outfitImageUrls, setOutfitImageUrls] = useState({}); // { [outfitId]: object URL }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [wearingOutfitId, setWearingOutfitId] = useState(null);
+
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingOutfit, setEditingOutfit] = useState(null); // null while adding
+  const [formName, setFormName] = useState("");
+  const [formDescription, setFormDescription] = useState("");
+  const [formTagIds, setFormTagIds] = useState([]);
+  const [formItemUuids, setFormItemUuids] = useState([]);
+  const [formImageFile, setFormImageFile] = useState(null);
+  const [formRemoveImage, setFormRemoveImage] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [wearEvents, setWearEvents] = useState([]); // Wear log of the outfit being edited
+
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const canEdit = api.writeAllowed && typeof api.addOutfit === "function";
+  const canRecordWear =
+    api.writeAllowed && typeof api.addOutfitWearEvent === "function";
+  const itemsByUuid = new Map(items.map((item) => [item.uuid, item]));
+
+  const fetchOutfits = useCallback(async () => {
+    if (!api.isConfigured || typeof api.listOutfits !== "function") {
+      setOutfits([]);
+      setError(
+        intl.formatMessage({
+          id: "common.status.apiNotConfigured",
+          defaultMessage:
+            "API Provider is not configured. Please configure it in Settings.",
+        }),
+      );
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const [outfitRows, itemResult, locationRows, categoryRows, tagRows] =
+        await Promise.all([
+          api.listOutfits(),
+          api.listItems({ sort: "name_asc" }),
+          api.listLocations(),
+          api.listCategories(),
+          typeof api.listTags === "function" ? api.listTags() : [],
+        ]);
+      setOutfits(outfitRows || []);
+      setItems(itemResult?.items || []);
+      setLocations(locationRows || []);
+      setCategories(categoryRows || []);
+      setTags(tagRows || []);
+    } catch (err) {
+      console.error("Failed to fetch the outfits:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "outfits.error.fetch",
+            defaultMessage: "Failed to fetch the outfits: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      setOutfits([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, intl]);
+
+  useEffect(() => {
+    fetchOutfits();
+  }, [fetchOutfits]);
+
+  // Photos of the listed outfits, released when the list changes or the view closes
+  useEffect(() => {
+    if (typeof api.getImage !== "function") return;
+    let cancelled = false;
+    const urls = {};
+    Promise.all(
+      outfits
+        .filter((outfit) => outfit.image_uuid)
+        .map(async (outfit) => {
+          const file = await api
+            .getImage({ image_uuid: outfit.image_uuid, variant: "thumb" })
+            .catch((err) => {
+              console.error(
+                `Failed to fetch image for UUID ${outfit.image_uuid}:`,
+                err,
+              );
+              return null;
+            });
+          if (file instanceof File) {
+            urls[outfit.outfit_id] = URL.createObjectURL(file);
+          }
+        }),
+    ).then(() => {
+      if (!cancelled) setOutfitImageUrls({ ...urls });
+    });
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach(URL.revokeObjectURL);
+    };
+  }, [api, outfits]);
+
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+
+  const wearSummaryOf = (outfit) =>
+    outfit.last_worn_on
+      ? intl.formatMessage(
+          {
+            id: "outfits.card.wornSummary",
+            defaultMessage: "Worn {count} times, last on {date}",
+          },
+          { count: outfit.wear_count, date: formatDay(outfit.last_worn_on) },
+        )
+      : intl.formatMessage({
+          id: "outfits.card.neverWorn",
+          defaultMessage: "Not worn yet",
+        });
+
+  // Wearing an outfit is wearing each of its clothes, so their wear events are recorded too
+  const handleWornToday = async (outfit) => {
+    const wornOn = toWornOn();
+    const outfitItems = outfit.item_uuids.filter((uuid) =>
+      itemsByUuid.has(uuid),
+    );
+    setWearingOutfitId(outfit.outfit_id);
+    setError(null);
+    setSuccess(null);
+    try {
+      await api.addOutfitWearEvent({
+        outfit_uuid: outfit.uuid,
+        worn_on: wornOn,
+      });
+      if (typeof api.addWearEvent === "function") {
+        for (const itemUuid of outfitItems) {
+          await api.addWearEvent({ item_uuid: itemUuid, worn_on: wornOn });
+        }
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "outfits.wear.recorded",
+            defaultMessage:
+              'Recorded that "{name}" and its {count, plural, one {# piece of clothing} other {# clothes}} were worn today.',
+          },
+          { name: outfit.name, count: outfitItems.length },
+        ),
+      );
+      await fetchOutfits();
+    } catch (err) {
+      console.error("Failed to record the outfit wear event:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "wear.error.add",
+            defaultMessage: "Failed to record the wear: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setWearingOutfitId(null);
+    }
+  };
+
+  const loadWearEvents = async (outfitUuid) => {
+    if (typeof api.listOutfitWearEvents !== "function") return;
+    setWearEvents(
+      (await api.listOutfitWearEvents({ outfit_uuid: outfitUuid })) || [],
+    );
+  };
+
+  const openForm = (outfit) => {
+    setEditingOutfit(outfit);
+    setFormName(outfit?.name ?? "");
+    setFormDescription(outfit?.description ?? "");
+    setFormTagIds(outfit?.tag_ids ?? []);
+    setFormItemUuids(outfit?.item_uuids ?? []);
+    setFormImageFile(null);
+    setFormRemoveImage(false);
+    setFormError(null);
+    setWearEvents([]);
+    setIsFormOpen(true);
+    if (outfit) {
+      loadWearEvents(outfit.uuid).catch((err) =>
+        console.error("Failed to fetch the outfit wear events:", err),
+      );
+    }
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingOutfit(null);
+  };
+
+  const toggleItem = (item) => {
+    setFormItemUuids((prev) =>
+      prev.includes(item.uuid)
+        ? prev.filter((uuid) => uuid !== item.uuid)
+        : [...prev, item.uuid],
+    );
+  };
+
+  // Creates a tag from the chip input and adds it to the local list; resolves to its ID
+  const handleCreateTag = async (name) => {
+    const result = await api.addTag({ name });
+    if (!result.success) {
+      throw new Error(
+        result.message || intl.formatMessage({ id: "common.error.unknown" }),
+      );
+    }
+    setTags((prevTags) =>
+      prevTags.some((tag) => tag.tag_id === result.newId)
+        ? prevTags
+        : [...prevTags, { tag_id: result.newId, uuid: result.uuid, name }].sort(
+            (a, b) => a.name.localeCompare(b.name),
+          ),
+    );
+    return result.newId;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setFormError(null);
+    setSuccess(null);
+    try {
+      let imageFile = formImageFile;
+      if (imageFile && appSettings.imageCompressionEnabled) {
+        imageFile = await compressImage(
+          imageFile,
+          OUTFIT_IMAGE_COMPRESSION,
+          intl.formatMessage({
+            id: "items.error.compressionFailed",
+            defaultMessage: "Image compression failed",
+          }),
+        );
+      }
+      const input = {
+        name: formName,
+        description: formDescription,
+        tag_ids: formTagIds,
+        item_uuids: formItemUuids,
+        imageFile,
+      };
+      const result = editingOutfit
+        ? await api.updateOutfit({
+            ...input,
+            outfit_id: editingOutfit.outfit_id,
+            removeImage: formRemoveImage,
+          })
+        : await api.addOutfit(input);
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "outfits.success.save",
+            defaultMessage: 'Outfit "{name}" saved.',
+          },
+          { name: formName.trim() },
+        ),
+      );
+      closeForm();
+      await fetchOutfits();
+    } catch (err) {
+      console.error("Failed to save the outfit:", err);
+      setFormError(
+        intl.formatMessage(
+          {
+            id: "outfits.error.save",
+            defaultMessage: "Failed to save the outfit: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteWearEvent = async (wearEvent) => {
+    setFormError(null);
+    try {
+      await api.deleteOutfitWearEvent({
+        outfit_wear_id: wearEvent.outfit_wear_id,
+      });
+      await loadWearEvents(editingOutfit.uuid);
+      await fetchOutfits();
+    } catch (err) {
+      console.error("Failed to delete the outfit wear event:", err);
+      setFormError(
+        intl.formatMessage(
+          {
+            id: "wear.error.delete",
+            defaultMessage: "Failed to delete the wear: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      const result = await api.deleteOutfit({
+        outfit_id: editingOutfit.outfit_id,
+      });
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "outfits.success.delete",
+            defaultMessage: 'Outfit "{name}" deleted.',
+          },
+          { name: editingOutfit.name },
+        ),
+      );
+      setShowDeleteConfirm(false);
+      closeForm();
+      await fetchOutfits();
+    } catch (err) {
+      console.error("Failed to delete the outfit:", err);
+      setDeleteError(
+        intl.formatMessage(
+          {
+            id: "outfits.error.delete",
+            defaultMessage: "Failed to delete the outfit: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const tagNamesOf = (outfit) =>
+    outfit.tag_ids
+      .map((tagId) => tags.find((tag) => tag.tag_id === tagId)?.name)
+      .filter(Boolean);
+
+  return (
+    <div className="outfits-view">
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "outfits.loading",
+            defaultMessage: "Loading outfits...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">Error: {error}</p>}
+      {success && <p className="status-success">{success}</p>}
+
+      <h3>
+        {intl.formatMessage({
+          id: "outfits.title",
+          defaultMessage: "Outfits",
+        })}
+      </h3>
+
+      {api.isConfigured && !loading && !error && outfits.length === 0 && (
+        <p>
+          {intl.formatMessage({
+            id: "outfits.list.empty",
+            defaultMessage:
+              "No outfits yet. Click the '+' button to put one together.",
+          })}
+        </p>
+      )}
+
+      {outfits.length > 0 && (
+        <ul className="outfits-list">
+          {outfits.map((outfit) => (
+            <li key={outfit.outfit_id} className="outfit-card">
+              {outfitImageUrls[outfit.outfit_id] && (
+                <img
+                  src={outfitImageUrls[outfit.outfit_id]}
+                  alt={outfit.name}
+                  className="outfit-card-image"
+                />
+              )}
+              <div className="outfit-card-info">
+                <h4>{outfit.name}</h4>
+                {outfit.description && (
+                  <p className="outfit-card-description">
+                    {outfit.description}
+                  </p>
+                )}
+                <ul className="outfit-card-items">
+                  {outfit.item_uuids
+                    .filter((uuid) => itemsByUuid.has(uuid))
+                    .map((uuid) => (
+                      <li key={uuid}>{itemsByUuid.get(uuid).name}</li>
+                    ))}
+                </ul>
+                {tagNamesOf(outfit).length > 0 && (
+                  <p className="outfit-card-tags">
+                    {tagNamesOf(outfit).join(", ")}
+                  </p>
+                )}
+                <span className="outfit-card-wear">
+                  {wearSummaryOf(outfit)}
+                </span>
+              </div>
+              <div className="outfit-card-actions">
+                {canRecordWear && (
+                  <button
+                    type="button"
+                    className="button-light"
+                    onClick={() => handleWornToday(outfit)}
+                    disabled={loading || wearingOutfitId !== null}
+                  >
+                    {intl.formatMessage({
+                      id: "items.card.wornToday",
+                      defaultMessage: "Worn today",
+                    })}
+                  </button>
+                )}
+                {canEdit && (
+                  <button
+                    type="button"
+                    className="edit-button button-light"
+                    onClick={() => openForm(outfit)}
+                    aria-label={intl.formatMessage(
+                      {
+                        id: "outfits.editButton.label",
+                        defaultMessage: "Edit {name}",
+                      },
+                      { name: outfit.name },
+                    )}
+                    disabled={loading}
+                  >
+                    ✏️
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {api.isConfigured && canEdit && (
+        <button
+          type="button"
+          className="add-outfit-fab button-primary"
+          onClick={() => openForm(null)}
+          aria-label={intl.formatMessage({
+            id: "outfits.addButton.label",
+            defaultMessage: "Add a new outfit",
+          })}
+          disabled={loading}
+        >
+          +
+        </button>
+      )}
+
+      {isFormOpen && (
+        <Modal
+          show={isFormOpen}
+          onClose={closeForm}
+          title={
+            editingOutfit
+              ? intl.formatMessage({
+                  id: "outfits.form.editTitle",
+                  defaultMessage: "Edit Outfit",
+                })
+              : intl.formatMessage({
+                  id: "outfits.form.addTitle",
+                  defaultMessage: "New Outfit",
+                })
+          }
+        >
+          <form onSubmit={handleSave} className="outfit-form">
+            {formError && <p className="status-error">Error: {formError}</p>}
+            <div className="form-group">
+              <label htmlFor="outfit-name">
+                {intl.formatMessage({
+                  id: "outfits.form.nameLabel",
+                  defaultMessage: "Name:",
+                })}
+              </label>
+              <input
+                type="text"
+                id="outfit-name"
+                value={formName}
+                onChange={(e) => setFormName(e.target.value)}
+                required
+                disabled={isSaving}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="outfit-description">
+                {intl.formatMessage({
+                  id: "outfits.form.descriptionLabel",
+                  defaultMessage: "Description:",
+                })}
+              </label>
+              <textarea
+                id="outfit-description"
+                value={formDescription}
+                onChange={(e) => setFormDescription(e.target.value)}
+                disabled={isSaving}
+              />
+            </div>
+            {typeof api.addTag === "function" && (
+              <div className="form-group">
+                <label htmlFor="outfit-tags">
+                  {intl.formatMessage({
+                    id: "outfits.form.tagsLabel",
+                    defaultMessage: "Tags:",
+                  })}
+                </label>
+                <TagInput
+                  id="outfit-tags"
+                  tags={tags}
+                  selectedTagIds={formTagIds}
+                  onChange={setFormTagIds}
+                  onCreateTag={handleCreateTag}
+                  disabled={isSaving}
+                />
+              </div>
+            )}
+            <div className="form-group">
+              <label htmlFor="outfit-image">
+                {intl.formatMessage({
+                  id: "outfits.form.imageLabel",
+                  defaultMessage: "Photo:",
+                })}
+              </label>
+              <input
+                type="file"
+                id="outfit-image"
+                accept="image/*"
+                onChange={(e) => setFormImageFile(e.target.files?.[0] || null)}
+                disabled={isSaving}
+              />
+              {editingOutfit?.image_uuid && !formImageFile && (
+                <label className="outfit-form-remove-image">
+                  <input
+                    type="checkbox"
+                    checked={formRemoveImage}
+                    onChange={(e) => setFormRemoveImage(e.target.checked)}
+                    disabled={isSaving}
+                  />
+                  {intl.formatMessage({
+                    id: "outfits.form.removeImage",
+                    defaultMessage: "Remove the photo",
+                  })}
+                </label>
+              )}
+            </div>
+
+            <h4>
+              {intl.formatMessage(
+                {
+                  id: "outfits.form.itemsTitle",
+                  defaultMessage: "Clothes ({count})",
+                },
+                { count: formItemUuids.length },
+              )}
+            </h4>
+            {formItemUuids.length > 0 && (
+              <ul className="outfit-form-items">
+                {formItemUuids.map((uuid) => (
+                  <li key={uuid}>
+                    <span>
+                      {itemsByUuid.get(uuid)?.name ??
+                        intl.formatMessage({
+                          id: "outfits.unknownItem",
+                          defaultMessage: "Clothing in the trash",
+                        })}
+                    </span>
+                    <button
+                      type="button"
+                      className="button-light"
+                      onClick={() => toggleItem({ uuid })}
+                      disabled={isSaving}
+                      aria-label={intl.formatMessage(
+                        {
+                          id: "outfits.form.removeItem",
+                          defaultMessage: "Remove {name} from the outfit",
+                        },
+                        { name: itemsByUuid.get(uuid)?.name ?? "" },
+                      )}
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <ItemPicker
+              items={items}
+              locations={locations}
+              categories={categories}
+              tags={tags}
+              selectedItemUuids={formItemUuids}
+              onToggleItem={toggleItem}
+              disabled={isSaving}
+            />
+
+            {editingOutfit && (
+              <div className="outfit-form-wear">
+                <h4>
+                  {intl.formatMessage({
+                    id: "outfits.form.wearTitle",
+                    defaultMessage: "Worn",
+                  })}
+                </h4>
+                {wearEvents.length === 0 ? (
+                  <p className="outfit-form-wear-empty">
+                    {intl.formatMessage({
+                      id: "outfits.card.neverWorn",
+                      defaultMessage: "Not worn yet",
+                    })}
+                  </p>
+                ) : (
+                  <ul className="outfit-form-wear-list">
+                    {wearEvents.map((wearEvent) => (
+                      <li key={wearEvent.outfit_wear_id}>
+                        <span>{formatDay(wearEvent.worn_on)}</span>
+                        {api.writeAllowed && (
+                          <button
+                            type="button"
+                            className="button-light"
+                            onClick={() => handleDeleteWearEvent(wearEvent)}
+                            disabled={isSaving}
+                            aria-label={intl.formatMessage(
+                              {
+                                id: "wear.deleteButton.label",
+                                defaultMessage: "Delete the wear of {date}",
+                              },
+                              { date: formatDay(wearEvent.worn_on) },
+                            )}
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button
+                type="submit"
+                className="button-primary"
+                disabled={!canEdit || isSaving || !formName.trim()}
+              >
+                {isSaving
+                  ? intl.formatMessage({
+                      id: "common.saving",
+                      defaultMessage: "Saving...",
+                    })
+                  : intl.formatMessage({
+                      id: "common.saveChanges",
+                      defaultMessage: "Save Changes",
+                    })}
+              </button>
+              {editingOutfit && typeof api.deleteOutfit === "function" && (
+                <button
+                  type="button"
+                  className="button-danger"
+                  onClick={() => {
+                    setDeleteError(null);
+                    setShowDeleteConfirm(true);
+                  }}
+                  disabled={!canEdit || isSaving}
+                >
+                  {intl.formatMessage({
+                    id: "common.delete",
+                    defaultMessage: "Delete",
+                  })}
+                </button>
+              )}
+              <button
+                type="button"
+                className="button-secondary"
+                onClick={closeForm}
+                disabled={isSaving}
+              >
+                {intl.formatMessage({
+                  id: "common.cancel",
+                  defaultMessage: "Cancel",
+                })}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {showDeleteConfirm && (
+        <Modal
+          show={showDeleteConfirm}
+          onClose={() => setShowDeleteConfirm(false)}
+          title={intl.formatMessage({
+            id: "outfits.deleteModal.title",
+            defaultMessage: "Confirm Deletion",
+          })}
+        >
+          <div className="delete-confirm-content">
+            {deleteError && (
+              <p className="status-error">Error: {deleteError}</p>
+            )}
+            <p>
+              {intl.formatMessage(
+                {
+                  id: "outfits.deleteModal.confirmMessage",
+                  defaultMessage:
+                    'Are you sure you want to delete the outfit "{name}"? Its clothes are kept.',
+                },
+                { name: editingOutfit?.name || "" },
+              )}
+            </p>
+            <div className="modal-actions">
+              <button
+                onClick={handleConfirmDelete}
+                disabled={!canEdit || isDeleting}
+                className="button-danger"
+              >
+                {isDeleting
+                  ? intl.formatMessage({
+                      id: "common.deleting",
+                      defaultMessage: "Deleting...",
+                    })
+                  : intl.formatMessage({
+                      id: "common.confirmDelete",
+                      defaultMessage: "Confirm Delete",
+                    })}
+              </button>
+              <button
+                onClick={() => setShowDeleteConfirm(false)}
+                disabled={isDeleting}
+                className="button-secondary"
+              >
+                {intl.formatMessage({
+                  id: "common.cancel",
+                  defaultMessage: "Cancel",
+                })}
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default OutfitsView;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
 import { useApi } from "../api/ApiContext";
+import { useUndo } from "../undo/UndoContext";
 import { useIntl } from "react-intl";
 import "./OwnersView.css";
 import Modal from "./Modal";
@@ -25,6 +27,7 @@ const OwnersView = () => {
 
   const api = useApi();
   const intl = useIntl();
+  const { run: runUndoable, revision: undoRevision } = useUndo();
 
   const fetchOwners = useCallback(async () => {
     // Only fetch if the provider is configured and listOwners exists
@@ -73,6 +76,15 @@ const OwnersView = () => {
     fetchOwners();
   }, [fetchOwners]);
 
+  // Undo and redo change the owners behind this view's back
+  useEffect(() => {
+    if (undoRevision > 0) fetchOwners();
+  }, [undoRevision, fetchOwners]);
+
+  // Describes a change in the undo snackbar
+  const describeChange = (action, name) =>
+    intl.formatMessage({ id: `undo.action.owner.${action}` }, { name });
+
   const handleOpenAddOwnerModal = () => {
     setNewOwnerName("");
     setNewOwnerDescription("");
@@ -124,10 +136,14 @@ const OwnersView = () => {
     setAddOwnerError(null); // Clear modal error
 
     try {
-      const result = await api.addOwner({
-        name: newOwnerName.trim(),
-        description: newOwnerDescription.trim() || null, // Send null if description is empty
-      });
+      const result = await runUndoable(
+        "addOwner",
+        {
+          name: newOwnerName.trim(),
+          description: newOwnerDescription.trim() || null, // Send null if description is empty
+        },
+        { description: describeChange("add", newOwnerName.trim()) },
+      );
 
       if (result.success) {
         // Fetch data, then close modal and show global success message
@@ -221,11 +237,15 @@ const OwnersView = () => {
     setSuccess(null);
 
     try {
-      const result = await api.updateOwner({
-        owner_id: editingOwnerId,
-        name: editName.trim(),
-        description: editDescription.trim() || null,
-      });
+      const result = await runUndoable(
+        "updateOwner",
+        {
+          owner_id: editingOwnerId,
+          name: editName.trim(),
+          description: editDescription.trim() || null,
+        },
+        { description: describeChange("update", editName.trim()) },
+      );
 
       if (result.success) {
         setSuccess(
@@ -317,7 +337,17 @@ const OwnersView = () => {
 
     try {
       // Proceed with deletion - provider will check if in use
-      const result = await api.deleteOwner({ owner_id: deleteCandidateId });
+      const result = await runUndoable(
+        "deleteOwner",
+        { owner_id: deleteCandidateId },
+        {
+          description: describeChange(
+            "delete",
+            owners.find((owner) => owner.owner_id === deleteCandidateId)
+              ?.name || "",
+          ),
+        },
+      );
       if (result.success) {
         setSuccess(
           intl.formatMessage({
@@ -333,6 +363,22 @@ const OwnersView = () => {
           setDeleteError(
             intl.formatMessage({ id: "owners.error.deleteInUse" }),
           );
+        } else if (result.errorCode === "ENTITY_IN_TRASH") {
+          setDeleteError(
+            <>
+              {intl.formatMessage({
+                id: "owners.error.deleteInTrash",
+                defaultMessage:
+                  "Cannot delete owner because clothes in the trash still belong to them. Restore them and choose another owner, or delete them for good.",
+              })}{" "}
+              <Link to="/trash">
+                {intl.formatMessage({
+                  id: "common.openTrash",
+                  defaultMessage: "Open the trash",
+                })}
+              </Link>
+            </>,
+          );
         } else {
           setDeleteError(
             intl.formatMessage(
@@ -0,0 +1,783 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useApi } from "../api/ApiContext";
+import { useIntl } from "react-intl";
+import { unreturnedEntries } from "../api/providerUtils";
+import {
+  buildPackingListHtml,
+  printPackingList,
+  downloadPackingListHtml,
+} from "../helpers/packingListExport";
+import Modal from "./Modal";
+import ItemPicker from "./ItemPicker";
+import "./PackingListsView.css";
+
+// Lists the packing lists of trips and their templates; clothes are checked off when packed and
+// again when back, and those still missing after the trip are flagged
+const PackingListsView = () => {
+  const api = useApi();
+  const intl = useIntl();
+  const [packingLists, setPackingLists] = useState([]);
+  const [items, setItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingList, setEditingList] = useState(null); // null while adding
+  const [formName, setFormName] = useState("");
+  const [formNote, setFormNote] = useState("");
+  const [formIsTemplate, setFormIsTemplate] = useState(false);
+  const [formStartsOn, setFormStartsOn] = useState("");
+  const [formEndsOn, setFormEndsOn] = useState("");
+  const [formTemplateId, setFormTemplateId] = useState("");
+  const [formEntries, setFormEntries] = useState([]);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const canEdit = api.writeAllowed && typeof api.addPackingList === "function";
+  const itemsByUuid = new Map(items.map((item) => [item.uuid, item]));
+  const templates = packingLists.filter((list) => list.is_template);
+
+  const fetchPackingLists = useCallback(async () => {
+    if (!api.isConfigured || typeof api.listPackingLists !== "function") {
+      setPackingLists([]);
+      setError(
+        intl.formatMessage({
+          id: "common.status.apiNotConfigured",
+          defaultMessage:
+            "API Provider is not configured. Please configure it in Settings.",
+        }),
+      );
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const [listRows, itemResult, locationRows, categoryRows, tagRows] =
+        await Promise.all([
+          api.listPackingLists(),
+          api.listItems({ sort: "name_asc" }),
+          api.listLocations(),
+          api.listCategories(),
+          typeof api.listTags === "function" ? api.listTags() : [],
+        ]);
+      setPackingLists(listRows || []);
+      setItems(itemResult?.items || []);
+      setLocations(locationRows || []);
+      setCategories(categoryRows || []);
+      setTags(tagRows || []);
+    } catch (err) {
+      console.error("Failed to fetch the packing lists:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "packingLists.error.fetch",
+            defaultMessage: "Failed to fetch the packing lists: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      setPackingLists([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, intl]);
+
+  useEffect(() => {
+    fetchPackingLists();
+  }, [fetchPackingLists]);
+
+  // Dates without a time would be read as UTC midnight, which is the previous day west of Greenwich
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+
+  const datesOf = (list) =>
+    [list.starts_on, list.ends_on]
+      .map((value) => (value ? formatDay(value) : ""))
+      .join(" – ");
+
+  const nameOf = (itemUuid) =>
+    itemsByUuid.get(itemUuid)?.name ??
+    intl.formatMessage({
+      id: "outfits.unknownItem",
+      defaultMessage: "Clothing in the trash",
+    });
+
+  const unreturnedCount = packingLists.reduce(
+    (count, list) => count + unreturnedEntries(list).length,
+    0,
+  );
+
+  const handlePrint = (list) => {
+    setError(null);
+    const html = buildPackingListHtml(list, itemsByUuid, locations, intl);
+    if (!printPackingList(html)) {
+      setError(
+        intl.formatMessage({
+          id: "packingLists.error.printBlocked",
+          defaultMessage:
+            "The browser blocked the print window. Allow pop-ups for this site or download the list instead.",
+        }),
+      );
+    }
+  };
+
+  const handleDownload = (list) => {
+    downloadPackingListHtml(
+      buildPackingListHtml(list, itemsByUuid, locations, intl),
+      list.name,
+    );
+  };
+
+  const openForm = (list) => {
+    setEditingList(list);
+    setFormName(list?.name ?? "");
+    setFormNote(list?.note ?? "");
+    setFormIsTemplate(list?.is_template ?? false);
+    setFormStartsOn(list?.starts_on ?? "");
+    setFormEndsOn(list?.ends_on ?? "");
+    setFormTemplateId("");
+    setFormEntries(list?.entries ?? []);
+    setFormError(null);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingList(null);
+  };
+
+  // A new list starts with the clothes of the template, none of them packed yet
+  const applyTemplate = (templateId) => {
+    setFormTemplateId(templateId);
+    const template = templates.find(
+      (list) => String(list.packing_list_id) === templateId,
+    );
+    if (!template) return;
+    setFormEntries(
+      template.entries.map((entry) => ({
+        item_uuid: entry.item_uuid,
+        packed: false,
+        returned: false,
+      })),
+    );
+  };
+
+  const toggleItem = (item) => {
+    setFormEntries((prev) =>
+      prev.some((entry) => entry.item_uuid === item.uuid)
+        ? prev.filter((entry) => entry.item_uuid !== item.uuid)
+        : [...prev, { item_uuid: item.uuid, packed: false, returned: false }],
+    );
+  };
+
+  const setEntryFlag = (itemUuid, flag, value) => {
+    setFormEntries((prev) =>
+      prev.map((entry) =>
+        entry.item_uuid === itemUuid ? { ...entry, [flag]: value } : entry,
+      ),
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setFormError(null);
+    setSuccess(null);
+    try {
+      const input = {
+        name: formName,
+        note: formNote,
+        starts_on: formIsTemplate ? null : formStartsOn || null,
+        ends_on: formIsTemplate ? null : formEndsOn || null,
+        entries: formEntries,
+      };
+      const result = editingList
+        ? await api.updatePackingList({
+            ...input,
+            packing_list_id: editingList.packing_list_id,
+          })
+        : await api.addPackingList({ ...input, is_template: formIsTemplate });
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "packingLists.success.save",
+            defaultMessage: 'Packing list "{name}" saved.',
+          },
+          { name: formName.trim() },
+        ),
+      );
+      closeForm();
+      await fetchPackingLists();
+    } catch (err) {
+      console.error("Failed to save the packing list:", err);
+      setFormError(
+        intl.formatMessage(
+          {
+            id: "packingLists.error.save",
+            defaultMessage: "Failed to save the packing list: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    setIsDeleting(true);
+    setDeleteError(null);
+    try {
+      const result = await api.deletePackingList({
+        packing_list_id: editingList.packing_list_id,
+      });
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "packingLists.success.delete",
+            defaultMessage: 'Packing list "{name}" deleted.',
+          },
+          { name: editingList.name },
+        ),
+      );
+      setShowDeleteConfirm(false);
+      closeForm();
+      await fetchPackingLists();
+    } catch (err) {
+      console.error("Failed to delete the packing list:", err);
+      setDeleteError(
+        intl.formatMessage(
+          {
+            id: "packingLists.error.delete",
+            defaultMessage: "Failed to delete the packing list: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  // Unreturned clothes of the list being edited, as the form has them
+  const formUnreturned = new Set(
+    unreturnedEntries({
+      is_template: formIsTemplate,
+      ends_on: formEndsOn || null,
+      entries: formEntries,
+    }).map((entry) => entry.item_uuid),
+  );
+
+  return (
+    <div className="packing-lists-view">
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "packingLists.loading",
+            defaultMessage: "Loading packing lists...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">Error: {error}</p>}
+      {success && <p className="status-success">{success}</p>}
+
+      <h3>
+        {intl.formatMessage({
+          id: "packingLists.title",
+          defaultMessage: "Packing Lists",
+        })}
+      </h3>
+
+      {unreturnedCount > 0 && (
+        <p className="packing-lists-unreturned-summary">
+          {intl.formatMessage(
+            {
+              id: "packingLists.unreturnedCount",
+              defaultMessage:
+                "{count, plural, one {# piece of clothing has} other {# clothes have}} not come back.",
+            },
+            { count: unreturnedCount },
+          )}
+        </p>
+      )}
+
+      {api.isConfigured && !loading && !error && packingLists.length === 0 && (
+        <p>
+          {intl.formatMessage({
+            id: "packingLists.list.empty",
+            defaultMessage:
+              "No packing lists yet. Click the '+' button to start one for a trip or a template.",
+          })}
+        </p>
+      )}
+
+      {packingLists.length > 0 && (
+        <ul className="packing-lists-list">
+          {packingLists.map((list) => {
+            const unreturned = unreturnedEntries(list);
+            return (
+              <li
+                key={list.packing_list_id}
+                className={`packing-list-card${unreturned.length > 0 ? " packing-list-card-unreturned" : ""}`}
+              >
+                <div className="packing-list-card-info">
+                  <h4>{list.name}</h4>
+                  <span className="packing-list-card-dates">
+                    {list.is_template
+                      ? intl.formatMessage({
+                          id: "packingLists.card.template",
+                          defaultMessage: "Template",
+                        })
+                      : datesOf(list)}
+                  </span>
+                  {list.note && (
+                    <p className="packing-list-card-note">{list.note}</p>
+                  )}
+                  <span className="packing-list-card-progress">
+                    {list.is_template
+                      ? intl.formatMessage(
+                          {
+                            id: "packingLists.card.itemCount",
+                            defaultMessage:
+                              "{count, plural, one {# piece of clothing} other {# clothes}}",
+                          },
+                          { count: list.entries.length },
+                        )
+                      : intl.formatMessage(
+                          {
+                            id: "packingLists.card.progress",
+                            defaultMessage:
+                              "{packed} of {count} packed, {returned} returned",
+                          },
+                          {
+                            count: list.entries.length,
+                            packed: list.entries.filter((e) => e.packed).length,
+                            returned: list.entries.filter((e) => e.returned)
+                              .length,
+                          },
+                        )}
+                  </span>
+                  {unreturned.length > 0 && (
+                    <p className="packing-list-card-unreturned-items">
+                      {intl.formatMessage(
+                        {
+                          id: "packingLists.card.unreturned",
+                          defaultMessage: "Not returned: {names}",
+                        },
+                        {
+                          names: unreturned
+                            .map((entry) => nameOf(entry.item_uuid))
+                            .join(", "),
+                        },
+                      )}
+                    </p>
+                  )}
+                </div>
+                <div className="packing-list-card-actions">
+                  <button
+                    type="button"
+                    className="button-light"
+                    onClick={() => handlePrint(list)}
+                    disabled={loading}
+                  >
+                    {intl.formatMessage({
+                      id: "packingLists.printButton",
+                      defaultMessage: "Print",
+                    })}
+                  </button>
+                  <button
+                    type="button"
+                    className="button-light"
+                    onClick={() => handleDownload(list)}
+                    disabled={loading}
+                  >
+                    {intl.formatMessage({
+                      id: "packingLists.downloadButton",
+                      defaultMessage: "Download HTML",
+                    })}
+                  </button>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      className="edit-button button-light"
+                      onClick={() => openForm(list)}
+                      aria-label={intl.formatMessage(
+                        {
+                          id: "packingLists.editButton.label",
+                          defaultMessage: "Edit {name}",
+                        },
+                        { name: list.name },
+                      )}
+                      disabled={loading}
+                    >
+                      ✏️
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {api.isConfigured && canEdit && (
+        <button
+          type="button"
+          className="add-packing-list-fab button-primary"
+          onClick={() => openForm(null)}
+          aria-label={intl.formatMessage({
+            id: "packingLists.addButton.label",
+            defaultMessage: "Add a new packing list",
+          })}
+          disabled={loading}
+        >
+          +
+        </button>
+      )}
+
+      {isFormOpen && (
+        <Modal
+          show={isFormOpen}
+          onClose={closeForm}
+          title={
+            editingList
+              ? intl.formatMessage({
+                  id: "packingLists.form.editTitle",
+                  defaultMessage: "Edit Packing List",
+                })
+              : intl.formatMessage({
+                  id: "packingLists.form.addTitle",
+                  defaultMessage: "New Packing List",
+                })
+          }
+        >
+          <form onSubmit={handleSave} className="packing-list-form">
+            {formError && <p className="status-error">Error: {formError}</p>}
+            <div className="form-group">
+              <label htmlFor="packing-list-name">
+                {intl.formatMessage({
+                  id: "packingLists.form.nameLabel",
+                  defaultMessage: "Name:",
+                })}
+              </label>
+              <input
+                type="text"
+                id="packing-list-name"
+                value={formName}
+                onChange={(e) => setFormName(e.target.value)}
+                required
+                disabled={isSaving}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="packing-list-note">
+                {intl.formatMessage({
+                  id: "packingLists.form.noteLabel",
+                  defaultMessage: "Note:",
+                })}
+              </label>
+              <textarea
+                id="packing-list-note"
+                value={formNote}
+                onChange={(e) => setFormNote(e.target.value)}
+                disabled={isSaving}
+              />
+            </div>
+            {!editingList && (
+              <label className="packing-list-form-template">
+                <input
+                  type="checkbox"
+                  checked={formIsTemplate}
+                  onChange={(e) => setFormIsTemplate(e.target.checked)}
+                  disabled={isSaving}
+                />
+                {intl.formatMessage({
+                  id: "packingLists.form.isTemplate",
+                  defaultMessage: "Save as a template for later trips",
+                })}
+              </label>
+            )}
+            {!formIsTemplate && (
+              <div className="packing-list-form-dates">
+                <div className="form-group">
+                  <label htmlFor="packing-list-starts-on">
+                    {intl.formatMessage({
+                      id: "packingLists.form.startsOnLabel",
+                      defaultMessage: "From:",
+                    })}
+                  </label>
+                  <input
+                    type="date"
+                    id="packing-list-starts-on"
+                    value={formStartsOn}
+                    onChange={(e) => setFormStartsOn(e.target.value)}
+                    disabled={isSaving}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="packing-list-ends-on">
+                    {intl.formatMessage({
+                      id: "packingLists.form.endsOnLabel",
+                      defaultMessage: "To:",
+                    })}
+                  </label>
+                  <input
+                    type="date"
+                    id="packing-list-ends-on"
+                    value={formEndsOn}
+                    min={formStartsOn || undefined}
+                    onChange={(e) => setFormEndsOn(e.target.value)}
+                    disabled={isSaving}
+                  />
+                </div>
+              </div>
+            )}
+            {!editingList && !formIsTemplate && templates.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="packing-list-template">
+                  {intl.formatMessage({
+                    id: "packingLists.form.templateLabel",
+                    defaultMessage: "Start from a template:",
+                  })}
+                </label>
+                <select
+                  id="packing-list-template"
+                  value={formTemplateId}
+                  onChange={(e) => applyTemplate(e.target.value)}
+                  disabled={isSaving}
+                >
+                  <option value="">
+                    {intl.formatMessage({
+                      id: "packingLists.form.noTemplate",
+                      defaultMessage: "No template",
+                    })}
+                  </option>
+                  {templates.map((template) => (
+                    <option
+                      key={template.packing_list_id}
+                      value={template.packing_list_id}
+                    >
+                      {template.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <h4>
+              {intl.formatMessage(
+                {
+                  id: "packingLists.form.itemsTitle",
+                  defaultMessage: "Clothes ({count})",
+                },
+                { count: formEntries.length },
+              )}
+            </h4>
+            {formEntries.length > 0 && (
+              <ul className="packing-list-form-items">
+                {formEntries.map((entry) => (
+                  <li
+                    key={entry.item_uuid}
+                    className={
+                      formUnreturned.has(entry.item_uuid)
+                        ? "packing-list-form-item-unreturned"
+                        : undefined
+                    }
+                  >
+                    <span className="packing-list-form-item-name">
+                      {nameOf(entry.item_uuid)}
+                    </span>
+                    {!formIsTemplate && (
+                      <>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={entry.packed}
+                            onChange={(e) =>
+                              setEntryFlag(
+                                entry.item_uuid,
+                                "packed",
+                                e.target.checked,
+                              )
+                            }
+                            disabled={isSaving}
+                          />
+                          {intl.formatMessage({
+                            id: "packingLists.packed",
+                            defaultMessage: "Packed",
+                          })}
+                        </label>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={entry.returned}
+                            onChange={(e) =>
+                              setEntryFlag(
+                                entry.item_uuid,
+                                "returned",
+                                e.target.checked,
+                              )
+                            }
+                            disabled={isSaving}
+                          />
+                          {intl.formatMessage({
+                            id: "packingLists.returned",
+                            defaultMessage: "Returned",
+                          })}
+                        </label>
+                      </>
+                    )}
+                    <button
+                      type="button"
+                      className="button-light"
+                      onClick={() => toggleItem({ uuid: entry.item_uuid })}
+                      disabled={isSaving}
+                      aria-label={intl.formatMessage(
+                        {
+                          id: "packingLists.form.removeItem",
+                          defaultMessage: "Remove {name} from the list",
+                        },
+                        { name: nameOf(entry.item_uuid) },
+                      )}
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <ItemPicker
+              items={items}
+              locations={locations}
+              categories={categories}
+              tags={tags}
+              selectedItemUuids={formEntries.map((entry) => entry.item_uuid)}
+              onToggleItem={toggleItem}
+              disabled={isSaving}
+            />
+
+            <div className="modal-actions">
+              <button
+                type="submit"
+                className="button-primary"
+                disabled={!canEdit || isSaving || !formName.trim()}
+              >
+                {isSaving
+                  ? intl.formatMessage({
+                      id: "common.saving",
+                      defaultMessage: "Saving...",
+                    })
+                  : intl.formatMessage({
+                      id: "common.saveChanges",
+                      defaultMessage: "Save Changes",
+                    })}
+              </button>
+              {editingList && typeof api.deletePackingList === "function" && (
+                <button
+                  type="button"
+                  className="button-danger"
+                  onClick={() => {
+                    setDeleteError(null);
+                    setShowDeleteConfirm(true);
+                  }}
+                  disabled={!canEdit || isSaving}
+                >
+                  {intl.formatMessage({
+                    id: "common.delete",
+                    defaultMessage: "Delete",
+                  })}
+                </button>
+              )}
+              <button
+                type="button"
+                className="button-secondary"
+                onClick={closeForm}
+                disabled={isSaving}
+              >
+                {intl.formatMessage({
+                  id: "common.cancel",
+                  defaultMessage: "Cancel",
+                })}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {showDeleteConfirm && (
+        <Modal
+          show={showDeleteConfirm}
+          onClose={() => setShowDeleteConfirm(false)}
+          title={intl.formatMessage({
+            id: "packingLists.deleteModal.title",
+            defaultMessage: "Confirm Deletion",
+          })}
+        >
+          <div className="delete-confirm-content">
+            {deleteError && (
+              <p className="status-error">Error: {deleteError}</p>
+            )}
+            <p>
+              {intl.formatMessage(
+                {
+                  id: "packingLists.deleteModal.confirmMessage",
+                  defaultMessage:
+                    'Are you sure you want to delete the packing list "{name}"? Its clothes are kept.',
+                },
+                { name: editingList?.name || "" },
+              )}
+            </p>
+            <div className="modal-actions">
+              <button
+                onClick={handleConfirmDelete}
+                disabled={!canEdit || isDeleting}
+                className="button-danger"
+              >
+                {isDeleting
+                  ? intl.formatMessage({
+                      id: "common.deleting",
+                      defaultMessage: "Deleting...",
+                    })
+                  : intl.formatMessage({
+                      id: "common.confirmDelete",
+                      defaultMessage: "Confirm Delete",
+                    })}
+              </button>
+              <button
+                onClick={() => setShowDeleteConfirm(false)}
+                disabled={isDeleting}
+                className="button-secondary"
+              >
+                {intl.formatMessage({
+                  id: "common.cancel",
+                  defaultMessage: "Cancel",
+                })}
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default PackingListsView;
@@ -0,0 +1,50 @@
+import React from "react";
+import { useIntl } from "react-intl";
+import { getProviderById } from "../api/providerRegistry";
+
+/**
+ * The settings of a provider as saved, with every field of its configFields present.
+ * @param {string} providerId
+ * @param {object} apiSettings - Saved settings of all providers, keyed by provider ID.
+ */
+export const getInitialProviderSettings = (providerId, apiSettings) => {
+  const saved = apiSettings?.[providerId] || {};
+  const initial = {};
+  (getProviderById(providerId)?.configFields || []).forEach((field) => {
+    initial[field.key] = saved[field.key] || "";
+  });
+  return initial;
+};
+
+// Inputs for the configFields of a provider other than the active one
+const ProviderSettingsFields = ({
+  providerId,
+  idPrefix,
+  values,
+  onChange,
+  disabled,
+}) => {
+  const intl = useIntl();
+  const provider = getProviderById(providerId);
+
+  return (provider?.configFields || []).map((field) => (
+    <div className="form-group" key={field.key}>
+      <label htmlFor={`${idPrefix}-${field.key}`}>
+        {intl.formatMessage({ id: field.label })}:
+      </label>
+      <input
+        type={field.type}
+        id={`${idPrefix}-${field.key}`}
+        value={values[field.key] || ""}
+        onChange={(e) => onChange({ ...values, [field.key]: e.target.value })}
+        placeholder={
+          field.placeholder ? intl.formatMessage({ id: field.placeholder }) : ""
+        }
+        required={field.required}
+        disabled={disabled}
+      />
+    </div>
+  ));
+};
+
+export default ProviderSettingsFields;
@@ -0,0 +1,172 @@
+import React, { useState, useCallback } from "react";
+import { useIntl } from "react-intl";
+import { useApi } from "../api/ApiContext";
+import { getProviderById } from "../api/providerRegistry";
+import { runSchemaMigrations } from "../api/schemaMigrations";
+
+// "Migrate now" for a server backend that is behind the app: exports a backup, then
+// applies the steps of backend/migrations through the provider
+const SchemaMigration = () => {
+  const intl = useIntl();
+  const api = useApi();
+  const { apiProviderType, dbVersion, appMajor, isDbBehind } = api;
+  const dialect = getProviderById(apiProviderType)?.schemaDialect;
+
+  const [takeBackup, setTakeBackup] = useState(true);
+  const [status, setStatus] = useState("idle"); // idle | backingUp | migrating | done | error
+  const [step, setStep] = useState(null);
+  const [error, setError] = useState(null);
+  const [backupFailed, setBackupFailed] = useState(false);
+
+  const handleMigrate = useCallback(async () => {
+    setError(null);
+    setBackupFailed(false);
+    let stage = "backup";
+    try {
+      if (takeBackup) {
+        setStatus("backingUp");
+        const zipBlob = await api.exportData({ includeTrash: true });
+        if (!(zipBlob instanceof Blob)) {
+          throw new Error(
+            intl.formatMessage({
+              id: "settings.data.exportInvalidResponse",
+              defaultMessage: "Export function did not return a valid file.",
+            }),
+          );
+        }
+        const url = URL.createObjectURL(zipBlob);
+        const link = document.createElement("a");
+        link.href = url;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+        link.download = `clothing_inventory_backup_v${dbVersion}_${apiProviderType}_${timestamp}.zip`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+      }
+      stage = "migrate";
+      setStatus("migrating");
+      await runSchemaMigrations(api, dialect, appMajor, { onStep: setStep });
+      setStatus("done");
+      await api.refreshDbVersion();
+    } catch (err) {
+      console.error("Schema migration failed:", err);
+      setError(err.message || String(err));
+      setBackupFailed(stage === "backup");
+      setStatus("error");
+    } finally {
+      setStep(null);
+    }
+  }, [api, apiProviderType, appMajor, dbVersion, dialect, intl, takeBackup]);
+
+  if (!dialect || typeof api.applySchemaMigration !== "function") return null;
+  if (!isDbBehind && status !== "done") return null;
+
+  const isBusy = status === "backingUp" || status === "migrating";
+
+  return (
+    <fieldset className="settings-fieldset">
+      <legend>
+        {intl.formatMessage({
+          id: "migrate.schema.legend",
+          defaultMessage: "Upgrade the database",
+        })}
+      </legend>
+      <p>
+        {intl.formatMessage(
+          {
+            id: "migrate.schema.description",
+            defaultMessage:
+              "Upgrades the database from version {dbVersion} to {appVersion} one step at a time. The server must allow it: Datasette needs the schema_migrations plugin and the token of root, PostgreSQL the apply_migration function.",
+          },
+          { dbVersion, appVersion: appMajor },
+        )}
+      </p>
+      <div className="checkbox-item">
+        <input
+          type="checkbox"
+          id="schemaMigrationBackup"
+          checked={takeBackup}
+          onChange={(e) => setTakeBackup(e.target.checked)}
+          disabled={isBusy}
+        />
+        <label htmlFor="schemaMigrationBackup">
+          {intl.formatMessage({
+            id: "migrate.schema.backup",
+            defaultMessage: "Download an export of all data first",
+          })}
+        </label>
+      </div>
+      <div className="form-actions">
+        <button
+          type="button"
+          className="button-primary"
+          onClick={handleMigrate}
+          disabled={isBusy || status === "done"}
+        >
+          {isBusy
+            ? intl.formatMessage({
+                id: "migrate.schema.button.migrating",
+                defaultMessage: "Migrating...",
+              })
+            : intl.formatMessage({
+                id: "migrate.schema.button",
+                defaultMessage: "Migrate now",
+              })}
+        </button>
+      </div>
+      <div className="feedback-section" style={{ minHeight: "20px" }}>
+        {status === "backingUp" && (
+          <p className="status-loading">
+            {intl.formatMessage({
+              id: "migrate.schema.backingUp",
+              defaultMessage: "Exporting a backup...",
+            })}
+          </p>
+        )}
+        {status === "migrating" && step && (
+          <p className="status-loading">
+            {intl.formatMessage(
+              {
+                id: "migrate.schema.step",
+                defaultMessage:
+                  "Step {index} of {total}: version {from} to {to}...",
+              },
+              { ...step, index: step.index + 1 },
+            )}
+          </p>
+        )}
+        {status === "done" && (
+          <p className="status-success">
+            {intl.formatMessage({
+              id: "migrate.schema.done",
+              defaultMessage: "The database is up to date.",
+            })}
+          </p>
+        )}
+        {error && (
+          <p className="status-error">
+            {intl.formatMessage(
+              {
+                id: "migrate.schema.error",
+                defaultMessage: "Migration Error: {error}",
+              },
+              { error },
+            )}
+          </p>
+        )}
+        {backupFailed && (
+          <p>
+            {intl.formatMessage({
+              id: "migrate.schema.backupHint",
+              defaultMessage:
+                "An older database may not be readable for an export by this version. Uncheck the backup to migrate without one.",
+            })}
+          </p>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+export default SchemaMigration;
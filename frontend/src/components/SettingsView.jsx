@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useIntl } from "react-intl";
 import { useNavigate } from "react-router-dom";
 import {
@@ -7,8 +7,26 @@ import {
   getProviderDisplayNames,
 } from "../api/providerRegistry";
 import { useApi } from "../api/ApiContext";
+import { createFileSink, ZIP_TOO_LARGE } from "../api/zipStream";
+import { previewImport } from "../api/importPreview";
+import { mergeImport } from "../api/mergeImport";
+import {
+  getImportScope,
+  readImportCheckpoint,
+  saveImportCheckpoint,
+  saveImportBackup,
+  readImportBackup,
+  clearImportCheckpoint,
+  isCheckpointFile,
+} from "../import/importCheckpointStore";
 import { useTranslationContext } from "../translations/TranslationContext.jsx";
 import { useSettings } from "../settings/SettingsContext";
+import { createThumbnail, createThumbnailOrNull } from "../helpers/images";
+import SyncWithProvider from "./SyncWithProvider";
+import ItemStatusSettings from "./ItemStatusSettings";
+import ImportPreviewModal from "./ImportPreviewModal";
+import ImportMergeReport from "./ImportMergeReport";
+import SpreadsheetImportWizard from "./SpreadsheetImportWizard";
 import "./SettingsView.css";
 const SettingsView = () => {
   // Get settings and update function from the centralized context
@@ -42,15 +60,52 @@ const SettingsView = () => {
   const [imageSaveStatus, setImageSaveStatus] = useState("idle");
   const [imageSaveError, setImageSaveError] = useState(null);
 
+  // Local state for Trash settings being edited
+  const [localTrashRetentionDays, setLocalTrashRetentionDays] = useState(
+    appSettings.trashRetentionDays,
+  );
+  const [trashSaveStatus, setTrashSaveStatus] = useState("idle");
+  const [trashSaveError, setTrashSaveError] = useState(null);
+
+  // Local state for the History settings being edited
+  const [localClientName, setLocalClientName] = useState(
+    appSettings.clientName,
+  );
+  const [historySaveStatus, setHistorySaveStatus] = useState("idle");
+  const [historySaveError, setHistorySaveError] = useState(null);
+
+  // State for Thumbnail backfill
+  const [thumbnailStatus, setThumbnailStatus] = useState("idle");
+  const [thumbnailError, setThumbnailError] = useState(null);
+  const [thumbnailProgress, setThumbnailProgress] = useState({
+    done: 0,
+    total: 0,
+    failed: 0,
+  });
+
   // State for Export
   const [exportStatus, setExportStatus] = useState("idle");
   const [exportError, setExportError] = useState(null);
+  const [exportIncludeTrash, setExportIncludeTrash] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null); // { entity, done, total }
+  const [exportFileName, setExportFileName] = useState(null); // Set when saved to a picked file
+  const exportAbortRef = useRef(null);
 
   // State for Import
   const [importFile, setImportFile] = useState(null);
   const [importStatus, setImportStatus] = useState("idle");
   const [importError, setImportError] = useState(null);
   const [importSummary, setImportSummary] = useState("");
+  const [importPreview, setImportPreview] = useState(null); // Result of the dry run
+  const [importKeepBackup, setImportKeepBackup] = useState(true);
+  const [importMode, setImportMode] = useState("replace"); // 'replace' or 'merge'
+  const [importMergeStrategy, setImportMergeStrategy] = useState("newer");
+  const [mergeReport, setMergeReport] = useState(null);
+  const [importCheckpoint, setImportCheckpoint] = useState(null); // Unfinished import, if any
+  const importScope = getImportScope(
+    appSettings.apiProviderType,
+    appSettings.apiSettings?.[appSettings.apiProviderType],
+  );
 
   // State for Destroy
   const [destroyStatus, setDestroyStatus] = useState("idle");
@@ -61,6 +116,21 @@ const SettingsView = () => {
     setProviderDisplayNames(getProviderDisplayNames());
   }, []);
 
+  // An import into this provider that did not finish can be resumed or rolled back
+  useEffect(() => {
+    let cancelled = false;
+    readImportCheckpoint(importScope)
+      .then((checkpoint) => {
+        if (!cancelled) setImportCheckpoint(checkpoint);
+      })
+      .catch((error) =>
+        console.error("Reading the import checkpoint failed:", error),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [importScope]);
+
   // Initialize local state for API settings when apiConfig changes
   useEffect(() => {
     // Use a deep copy method (structuredClone preferred)
@@ -108,6 +178,20 @@ const SettingsView = () => {
     setImageSaveError(null);
   }, [appSettings.imageCompressionEnabled]);
 
+  // Initialize local state for the trash retention when appSettings change
+  useEffect(() => {
+    setLocalTrashRetentionDays(appSettings.trashRetentionDays);
+    setTrashSaveStatus("idle");
+    setTrashSaveError(null);
+  }, [appSettings.trashRetentionDays]);
+
+  // Initialize local state for the client name when appSettings change
+  useEffect(() => {
+    setLocalClientName(appSettings.clientName);
+    setHistorySaveStatus("idle");
+    setHistorySaveError(null);
+  }, [appSettings.clientName]);
+
   // Handle changes ONLY for API provider select and API settings inputs
   const handleApiChange = useCallback((e) => {
     const { name, value } = e.target;
@@ -230,6 +314,37 @@ const SettingsView = () => {
     }
   }, [localImageCompressionEnabled, updateAppSettings]);
 
+  // Handle saving ONLY the Trash settings
+  const handleSaveTrashSettings = useCallback(async () => {
+    setTrashSaveStatus("saving");
+    setTrashSaveError(null);
+    try {
+      const days = parseInt(localTrashRetentionDays, 10);
+      await updateAppSettings({
+        trashRetentionDays: days > 0 ? days : 0,
+      });
+      setTrashSaveStatus("success");
+    } catch (error) {
+      console.error("Error saving trash settings:", error);
+      setTrashSaveError(error.message || "An unexpected error occurred.");
+      setTrashSaveStatus("error");
+    }
+  }, [localTrashRetentionDays, updateAppSettings]);
+
+  // Handle saving ONLY the History settings
+  const handleSaveHistorySettings = useCallback(async () => {
+    setHistorySaveStatus("saving");
+    setHistorySaveError(null);
+    try {
+      await updateAppSettings({ clientName: localClientName.trim() });
+      setHistorySaveStatus("success");
+    } catch (error) {
+      console.error("Error saving history settings:", error);
+      setHistorySaveError(error.message || "An unexpected error occurred.");
+      setHistorySaveStatus("error");
+    }
+  }, [localClientName, updateAppSettings]);
+
   // --- Export Handler ---
   const handleExport = useCallback(async () => {
     if (typeof api.exportData !== "function") {
@@ -243,18 +358,51 @@ const SettingsView = () => {
       setExportStatus("error");
       return;
     }
-    setExportStatus("exporting");
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const fileName = `clothing_inventory_export_${appSettings.apiProviderType}_${timestamp}.zip`; // Use provider from settings
     setExportError(null);
+    setExportFileName(null);
     try {
-      const zipBlob = await api.exportData(); // Provider returns a Blob
-      if (zipBlob instanceof Blob) {
+      // Where the File System Access API exists, the ZIP is written straight to a file
+      let sink = null;
+      if (typeof window.showSaveFilePicker === "function") {
+        let handle;
+        try {
+          handle = await window.showSaveFilePicker({
+            suggestedName: fileName,
+            types: [
+              {
+                description: "ZIP",
+                accept: { "application/zip": [".zip"] },
+              },
+            ],
+          });
+        } catch (error) {
+          if (error.name === "AbortError") return; // The picker was closed
+          throw error;
+        }
+        sink = createFileSink(await handle.createWritable());
+        setExportFileName(handle.name);
+      }
+      const controller = new AbortController();
+      exportAbortRef.current = controller;
+      setExportStatus("exporting");
+      setExportProgress(null);
+      const zipBlob = await api.exportData({
+        includeTrash: exportIncludeTrash,
+        sink,
+        signal: controller.signal,
+        onProgress: setExportProgress,
+      }); // Provider returns a Blob, or null after writing to the sink
+      if (sink) {
+        setExportStatus("success");
+      } else if (zipBlob instanceof Blob) {
         // Create a URL for the blob
         const url = URL.createObjectURL(zipBlob);
         // Create a temporary link element
         const link = document.createElement("a");
         link.href = url;
-        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-        link.download = `clothing_inventory_export_${appSettings.apiProviderType}_${timestamp}.zip`; // Use provider from settings
+        link.download = fileName;
         document.body.appendChild(link); // Append to body
         link.click(); // Programmatically click the link to trigger download
         document.body.removeChild(link); // Remove the link
@@ -270,23 +418,39 @@ const SettingsView = () => {
         );
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        setExportStatus("cancelled");
+        return;
+      }
       console.error("Export failed:", error);
       setExportError(
-        error.message ||
-          intl.formatMessage({
-            id: "settings.data.exportUnexpectedError",
-            defaultMessage: "An unexpected error occurred during export.",
-          }),
+        error.errorCode === ZIP_TOO_LARGE
+          ? intl.formatMessage({
+              id: "settings.data.exportTooLarge",
+              defaultMessage:
+                "The export is too large for a ZIP file, which holds at most 65535 files and 4 GB. Leave out the clothes in the trash or remove images you no longer need, and try again.",
+            })
+          : error.message ||
+              intl.formatMessage({
+                id: "settings.data.exportUnexpectedError",
+                defaultMessage: "An unexpected error occurred during export.",
+              }),
       );
       setExportStatus("error");
+    } finally {
+      exportAbortRef.current = null;
+      setExportProgress(null);
     }
-  }, [api, appSettings.apiProviderType, intl]);
+  }, [api, appSettings.apiProviderType, exportIncludeTrash, intl]);
+
+  const handleCancelExport = () => exportAbortRef.current?.abort();
 
   // --- Import Handlers ---
   const handleFileChange = (event) => {
     setImportStatus("idle"); // Reset status when file changes
     setImportError(null);
     setImportSummary("");
+    setMergeReport(null);
     const file = event.target.files[0];
     // Check for common zip MIME types or .zip extension
     if (
@@ -323,98 +487,316 @@ const SettingsView = () => {
       return;
     }
 
-    // *** Confirmation Dialog ***
-    const confirmed = window.confirm(
-      intl.formatMessage({
-        id: "settings.data.importConfirmReplace",
-        defaultMessage:
-          "WARNING: Importing will replace ALL existing data (items, locations, categories, owners). This action cannot be undone. Are you sure you want to proceed?",
-      }),
-    );
-
-    if (!confirmed) {
-      setImportStatus("idle"); // Reset status if cancelled
-      return;
-    }
-
-    setImportStatus("importing");
+    // Dry run first; the preview dialog asks to confirm the import
+    setImportStatus("previewing");
     setImportError(null);
     setImportSummary("");
-
+    setMergeReport(null);
     try {
-      const result = await api.importData(importFile);
-      if (result.success) {
-        setImportStatus("success");
-        // Use summary if provided by API, otherwise format using counts, fallback to default
-        const refreshRecommendation = intl.formatMessage({
-          id: "settings.data.refreshRecommendation",
+      setImportPreview(await previewImport(importFile));
+      setImportStatus("idle");
+    } catch (error) {
+      console.error("Import preview failed:", error);
+      setImportError(
+        intl.formatMessage(
+          {
+            id: "settings.data.importPreviewFailed",
+            defaultMessage: "The file could not be read: {error}",
+          },
+          { error: error.message },
+        ),
+      );
+      setImportStatus("error");
+    }
+  }, [api, importFile, intl]);
+
+  // Imports the chosen file, saving a checkpoint after every step. A new import takes a
+  // backup first if asked to; resuming carries on from the saved checkpoint.
+  const runImport = useCallback(
+    async (resume) => {
+      setImportPreview(null);
+      setImportError(null);
+      setImportSummary("");
+      let checkpoint = null;
+
+      try {
+        // The saved checkpoint has every completed item; the one in state only the last few
+        if (resume) checkpoint = await readImportCheckpoint(importScope);
+        if (!checkpoint) {
+          if (importKeepBackup) {
+            setImportStatus("backingUp");
+            const backup = await api.exportData({ includeTrash: true });
+            if (!(backup instanceof Blob)) {
+              throw new Error(
+                intl.formatMessage({
+                  id: "settings.data.exportInvalidResponse",
+                  defaultMessage:
+                    "Export function did not return a valid file.",
+                }),
+              );
+            }
+            await saveImportBackup(importScope, backup);
+          }
+          checkpoint = {
+            scope: importScope,
+            fileName: importFile.name,
+            fileSize: importFile.size,
+            fileLastModified: importFile.lastModified,
+            startedAt: new Date().toISOString(),
+            hasBackup: importKeepBackup,
+            progress: null,
+          };
+          await saveImportCheckpoint(checkpoint);
+          setImportCheckpoint(checkpoint);
+        }
+
+        setImportStatus("importing");
+        const result = await api.importData(importFile, {
+          checkpoint: checkpoint.progress,
+          onCheckpoint: async (progress) => {
+            checkpoint = { ...checkpoint, progress };
+            await saveImportCheckpoint(checkpoint);
+          },
         });
-        let summaryMessage;
-        // Import success messages are typically detailed with counts,
-        // so we don't expect a simple summaryKey from the API for success here.
-        // The existing logic for constructing summaryMessage based on result.counts is appropriate.
-        if (result.summary) {
-          // If API provides a direct summary string (less common now)
-          summaryMessage = result.summary;
-        } else if (result.counts) {
-          summaryMessage = intl.formatMessage(
-            {
-              id: "settings.data.importSuccessSummary",
-            },
-            {
-              locCount: result.counts.locations,
-              catCount: result.counts.categories,
-              ownerCount: result.counts.owners,
-              itemCount: result.counts.items,
-            },
-          );
-        } else {
-          summaryMessage = intl.formatMessage({
-            id: "settings.data.importSuccessDefault",
+        if (result.success) {
+          await clearImportCheckpoint(importScope);
+          setImportCheckpoint(null);
+          setImportStatus("success");
+          // Use summary if provided by API, otherwise format using counts, fallback to default
+          const refreshRecommendation = intl.formatMessage({
+            id: "settings.data.refreshRecommendation",
           });
+          let summaryMessage;
+          // Import success messages are typically detailed with counts,
+          // so we don't expect a simple summaryKey from the API for success here.
+          // The existing logic for constructing summaryMessage based on result.counts is appropriate.
+          if (result.summary) {
+            // If API provides a direct summary string (less common now)
+            summaryMessage = result.summary;
+          } else if (result.counts) {
+            summaryMessage = intl.formatMessage(
+              {
+                id: "settings.data.importSuccessSummary",
+              },
+              {
+                locCount: result.counts.locations,
+                catCount: result.counts.categories,
+                ownerCount: result.counts.owners,
+                itemCount: result.counts.items,
+              },
+            );
+          } else {
+            summaryMessage = intl.formatMessage({
+              id: "settings.data.importSuccessDefault",
+            });
+          }
+          setImportSummary(`${summaryMessage} ${refreshRecommendation}`);
+          setImportFile(null); // Clear the file input state
+          // Clear the actual input element value
+          const fileInput = document.getElementById("import-file-input");
+          if (fileInput) fileInput.value = "";
+          setImportError(null); // Clear any previous error
+        } else {
+          // Handle { success: false, errorKey: ..., errorValues: ... } from API
+          setImportCheckpoint(checkpoint);
+          setImportStatus("error");
+          if (result.errorKey) {
+            setImportError(
+              intl.formatMessage({ id: result.errorKey }, result.errorValues),
+            );
+          } else {
+            // Fallback for older error format or generic error from API result
+            setImportError(
+              result.error ||
+                intl.formatMessage({ id: "settings.data.importFailedUnknown" }),
+            );
+          }
+          setImportSummary(""); // Clear summary on error
         }
-        setImportSummary(`${summaryMessage} ${refreshRecommendation}`);
-        setImportFile(null); // Clear the file input state
-        // Clear the actual input element value
-        const fileInput = document.getElementById("import-file-input");
-        if (fileInput) fileInput.value = "";
-        setImportError(null); // Clear any previous error
-      } else {
-        // Handle { success: false, errorKey: ..., errorValues: ... } from API
+      } catch (error) {
+        // Catches errors thrown by api.importData or other unexpected errors
+        console.error("Import failed:", error);
+        if (checkpoint) setImportCheckpoint(checkpoint);
         setImportStatus("error");
-        if (result.errorKey) {
+        // If the caught error object itself has an errorKey (e.g. if provider throws a structured error)
+        if (error.errorKey) {
           setImportError(
-            intl.formatMessage({ id: result.errorKey }, result.errorValues),
+            intl.formatMessage({ id: error.errorKey }, error.errorValues),
           );
         } else {
-          // Fallback for older error format or generic error from API result
           setImportError(
-            result.error ||
-              intl.formatMessage({ id: "settings.data.importFailedUnknown" }),
+            error.message || // Standard Error object message
+              intl.formatMessage({
+                id: "settings.data.importUnexpectedError",
+              }),
           );
         }
-        setImportSummary(""); // Clear summary on error
+        setImportSummary("");
       }
+    },
+    [api, importFile, importKeepBackup, importScope, intl],
+  );
+
+  // Merges the chosen file into the current data. Nothing is deleted, so a merge that stops
+  // needs no checkpoint: merging the same file again carries on where it stopped.
+  const runMerge = useCallback(async () => {
+    setImportPreview(null);
+    setImportError(null);
+    setImportSummary("");
+    setImportStatus("merging");
+    try {
+      const report = await mergeImport(api, importFile, {
+        strategy: importMergeStrategy,
+        createThumbnail: createThumbnailOrNull,
+      });
+      setMergeReport(report);
+      setImportStatus("merged");
+      setImportFile(null);
+      const fileInput = document.getElementById("import-file-input");
+      if (fileInput) fileInput.value = "";
     } catch (error) {
-      // Catches errors thrown by api.importData or other unexpected errors
-      console.error("Import failed:", error);
+      console.error("Merge import failed:", error);
+      setImportError(
+        error.message ||
+          intl.formatMessage({ id: "settings.data.importUnexpectedError" }),
+      );
       setImportStatus("error");
-      // If the caught error object itself has an errorKey (e.g. if provider throws a structured error)
-      if (error.errorKey) {
-        setImportError(
-          intl.formatMessage({ id: error.errorKey }, error.errorValues),
+    }
+  }, [api, importFile, importMergeStrategy, intl]);
+
+  // Restores the backup taken before the unfinished import
+  const handleRollbackImport = useCallback(async () => {
+    setImportStatus("rollingBack");
+    setImportError(null);
+    setImportSummary("");
+    try {
+      const backup = await readImportBackup(importScope);
+      if (!backup) {
+        throw new Error(
+          intl.formatMessage({
+            id: "settings.data.importRollbackNoBackup",
+            defaultMessage: "The backup taken before the import is missing.",
+          }),
         );
-      } else {
-        setImportError(
-          error.message || // Standard Error object message
-            intl.formatMessage({
-              id: "settings.data.importUnexpectedError",
-            }),
+      }
+      const result = await api.importData(backup);
+      if (!result.success) {
+        throw new Error(
+          result.errorKey
+            ? intl.formatMessage({ id: result.errorKey }, result.errorValues)
+            : result.error ||
+              intl.formatMessage({ id: "settings.data.importFailedUnknown" }),
         );
       }
-      setImportSummary("");
+      await clearImportCheckpoint(importScope);
+      setImportCheckpoint(null);
+      setImportStatus("rolledBack");
+    } catch (error) {
+      console.error("Rolling back the import failed:", error);
+      setImportError(error.message || String(error));
+      setImportStatus("error");
     }
-  }, [api, importFile, intl]); // Removed updateAppSettings
+  }, [api, importScope, intl]);
+
+  const handleDiscardImportCheckpoint = useCallback(async () => {
+    const confirmed = window.confirm(
+      intl.formatMessage({
+        id: "settings.data.importDiscardConfirm",
+        defaultMessage:
+          "Forget the unfinished import? The data stays as it is now, and it can no longer be resumed or rolled back.",
+      }),
+    );
+    if (!confirmed) return;
+    try {
+      await clearImportCheckpoint(importScope);
+      setImportCheckpoint(null);
+    } catch (error) {
+      console.error("Discarding the import checkpoint failed:", error);
+      setImportError(error.message || String(error));
+      setImportStatus("error");
+    }
+  }, [importScope, intl]);
+
+  const isImportBusy = [
+    "previewing",
+    "backingUp",
+    "importing",
+    "merging",
+    "rollingBack",
+  ].includes(importStatus);
+
+  // Creates the missing 'thumb' variants of images saved before thumbnails existed
+  const handleBackfillThumbnails = useCallback(async () => {
+    if (
+      typeof api.listImagesMissingVariant !== "function" ||
+      typeof api.saveImageVariant !== "function"
+    ) {
+      setThumbnailError(
+        intl.formatMessage({
+          id: "settings.image.thumbnails.notSupported",
+          defaultMessage:
+            "Thumbnails are not supported by the current API provider.",
+        }),
+      );
+      setThumbnailStatus("error");
+      return;
+    }
+
+    setThumbnailStatus("running");
+    setThumbnailError(null);
+    setThumbnailProgress({ done: 0, total: 0, failed: 0 });
+
+    try {
+      const imageUuids = await api.listImagesMissingVariant({
+        variant: "thumb",
+      });
+      const baseErrorMessage = intl.formatMessage({
+        id: "items.error.compressionFailed",
+        defaultMessage: "Image compression failed",
+      });
+      let failed = 0;
+      setThumbnailProgress({ done: 0, total: imageUuids.length, failed });
+
+      for (const [index, imageUuid] of imageUuids.entries()) {
+        try {
+          // Without a variant getImage returns the full-size image
+          const imageFile = await api.getImage({ image_uuid: imageUuid });
+          if (!imageFile) {
+            throw new Error(`Image ${imageUuid} could not be loaded.`);
+          }
+          const thumbnailFile = await createThumbnail(
+            imageFile,
+            baseErrorMessage,
+          );
+          await api.saveImageVariant({
+            image_uuid: imageUuid,
+            variant: "thumb",
+            imageFile: thumbnailFile,
+          });
+        } catch (error) {
+          // Keep going; the image can be retried with another run
+          console.error(`Thumbnail creation failed for ${imageUuid}:`, error);
+          failed++;
+        }
+        setThumbnailProgress({
+          done: index + 1,
+          total: imageUuids.length,
+          failed,
+        });
+      }
+      setThumbnailStatus("success");
+    } catch (error) {
+      console.error("Thumbnail backfill failed:", error);
+      setThumbnailError(
+        error.message ||
+          intl.formatMessage({
+            id: "settings.image.thumbnails.unexpectedError",
+            defaultMessage: "An unexpected error occurred.",
+          }),
+      );
+      setThumbnailStatus("error");
+    }
+  }, [api, intl]);
 
   const handleDestroy = useCallback(async () => {
     if (typeof api.destroyData !== "function") {
@@ -518,6 +900,10 @@ const SettingsView = () => {
     navigate("/share-configuration");
   };
 
+  const handleGoToMigratePage = () => {
+    navigate("/migrate");
+  };
+
   // Get the definition for the currently selected provider in the local state
   const selectedProviderId =
     localApiSettings?.providerType || appSettings.apiProviderType || "none"; // Use local state first, then context
@@ -775,8 +1161,243 @@ const SettingsView = () => {
               </p>
             )}
           </div>
+
+          {/* Thumbnail backfill for images saved before thumbnails existed */}
+          <div className="data-management-section">
+            <h4>
+              {intl.formatMessage({
+                id: "settings.image.thumbnails.title",
+                defaultMessage: "Thumbnails",
+              })}
+            </h4>
+            <p>
+              {intl.formatMessage({
+                id: "settings.image.thumbnails.description",
+                defaultMessage:
+                  "The item grid shows small thumbnails instead of full-size images. Create the thumbnails that are missing for images saved earlier or imported from a file.",
+              })}
+            </p>
+            <div className="form-actions">
+              <button
+                type="button"
+                onClick={handleBackfillThumbnails}
+                className="button-primary"
+                disabled={
+                  thumbnailStatus === "running" ||
+                  !api.listImagesMissingVariant ||
+                  !api.saveImageVariant ||
+                  !api.isConfigured ||
+                  !api.writeAllowed
+                }
+              >
+                {thumbnailStatus === "running"
+                  ? intl.formatMessage(
+                      {
+                        id: "settings.image.thumbnails.button.running",
+                        defaultMessage:
+                          "Creating thumbnails ({done}/{total})...",
+                      },
+                      thumbnailProgress,
+                    )
+                  : intl.formatMessage({
+                      id: "settings.image.thumbnails.button",
+                      defaultMessage: "Create Missing Thumbnails",
+                    })}
+              </button>
+            </div>
+            <div className="feedback-section" style={{ minHeight: "20px" }}>
+              {thumbnailStatus === "success" && (
+                <p
+                  className={
+                    thumbnailProgress.failed > 0
+                      ? "status-error"
+                      : "status-success"
+                  }
+                >
+                  {intl.formatMessage(
+                    {
+                      id: "settings.image.thumbnails.success",
+                      defaultMessage:
+                        "Created {created} thumbnails. {failed} images failed.",
+                    },
+                    {
+                      created:
+                        thumbnailProgress.done - thumbnailProgress.failed,
+                      failed: thumbnailProgress.failed,
+                    },
+                  )}
+                </p>
+              )}
+              {thumbnailStatus === "error" && (
+                <p className="status-error">
+                  {intl.formatMessage(
+                    {
+                      id: "settings.image.thumbnails.error",
+                      defaultMessage: "Thumbnail Error: {error}",
+                    },
+                    { error: thumbnailError },
+                  )}
+                </p>
+              )}
+            </div>
+          </div>
+        </fieldset>
+
+        {/* --- Trash Settings --- */}
+        <fieldset className="settings-fieldset">
+          <legend>
+            {intl.formatMessage({
+              id: "settings.trash.legend",
+              defaultMessage: "Trash",
+            })}
+          </legend>
+          <div className="form-group">
+            <label htmlFor="trashRetentionDays">
+              {intl.formatMessage({
+                id: "settings.trash.retentionDays.label",
+                defaultMessage:
+                  "Days to keep deleted items in the trash (0 keeps them until the trash is emptied):",
+              })}
+            </label>
+            <input
+              type="number"
+              id="trashRetentionDays"
+              name="trashRetentionDays"
+              min="0"
+              step="1"
+              value={localTrashRetentionDays}
+              onChange={(e) => {
+                setLocalTrashRetentionDays(e.target.value);
+                setTrashSaveStatus("idle");
+                setTrashSaveError(null);
+              }}
+              disabled={trashSaveStatus === "saving"}
+            />
+          </div>
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleSaveTrashSettings}
+              className="button-primary"
+              disabled={
+                trashSaveStatus === "saving" || trashSaveStatus === "success"
+              }
+            >
+              {trashSaveStatus === "saving"
+                ? intl.formatMessage({
+                    id: "common.saving",
+                    defaultMessage: "Saving...",
+                  })
+                : intl.formatMessage({
+                    id: "settings.trash.saveButton",
+                    defaultMessage: "Save Trash Settings",
+                  })}
+            </button>
+          </div>
+          <div className="save-feedback" style={{ minHeight: "20px" }}>
+            {trashSaveStatus === "success" && (
+              <p className="status-success">
+                {intl.formatMessage({
+                  id: "settings.trash.saveSuccess",
+                  defaultMessage: "Trash settings saved successfully!",
+                })}
+              </p>
+            )}
+            {trashSaveStatus === "error" && (
+              <p className="status-error">
+                {intl.formatMessage(
+                  {
+                    id: "settings.trash.saveError",
+                    defaultMessage: "Trash Settings Save Error: {error}",
+                  },
+                  { error: trashSaveError },
+                )}
+              </p>
+            )}
+          </div>
+        </fieldset>
+
+        {/* --- History Settings --- */}
+        <fieldset className="settings-fieldset">
+          <legend>
+            {intl.formatMessage({
+              id: "settings.history.legend",
+              defaultMessage: "Change History",
+            })}
+          </legend>
+          <div className="form-group">
+            <label htmlFor="clientName">
+              {intl.formatMessage({
+                id: "settings.history.clientName.label",
+                defaultMessage:
+                  "Name recorded for the changes made from this browser:",
+              })}
+            </label>
+            <input
+              type="text"
+              id="clientName"
+              name="clientName"
+              value={localClientName}
+              onChange={(e) => {
+                setLocalClientName(e.target.value);
+                setHistorySaveStatus("idle");
+                setHistorySaveError(null);
+              }}
+              placeholder={intl.formatMessage({
+                id: "settings.history.clientName.placeholder",
+                defaultMessage: "e.g. Anna's phone",
+              })}
+              disabled={historySaveStatus === "saving"}
+            />
+          </div>
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleSaveHistorySettings}
+              className="button-primary"
+              disabled={
+                historySaveStatus === "saving" ||
+                historySaveStatus === "success"
+              }
+            >
+              {historySaveStatus === "saving"
+                ? intl.formatMessage({
+                    id: "common.saving",
+                    defaultMessage: "Saving...",
+                  })
+                : intl.formatMessage({
+                    id: "settings.history.saveButton",
+                    defaultMessage: "Save History Settings",
+                  })}
+            </button>
+          </div>
+          <div className="save-feedback" style={{ minHeight: "20px" }}>
+            {historySaveStatus === "success" && (
+              <p className="status-success">
+                {intl.formatMessage({
+                  id: "settings.history.saveSuccess",
+                  defaultMessage: "History settings saved successfully!",
+                })}
+              </p>
+            )}
+            {historySaveStatus === "error" && (
+              <p className="status-error">
+                {intl.formatMessage(
+                  {
+                    id: "settings.history.saveError",
+                    defaultMessage: "History Settings Save Error: {error}",
+                  },
+                  { error: historySaveError },
+                )}
+              </p>
+            )}
+          </div>
         </fieldset>
 
+        <ItemStatusSettings />
+
+        <SyncWithProvider />
+
         <fieldset className="settings-fieldset">
           <legend>
             {intl.formatMessage({
@@ -808,6 +1429,30 @@ const SettingsView = () => {
                 },
               )}
             </p>
+            {typeof window.showSaveFilePicker !== "function" && (
+              <p className="status-warning">
+                {intl.formatMessage({
+                  id: "settings.data.exportInMemory",
+                  defaultMessage:
+                    "This browser cannot save the export straight to a file, so the whole .zip file is built in memory before it is downloaded. On a phone, an export with many images may run out of memory.",
+                })}
+              </p>
+            )}
+            <div className="checkbox-item">
+              <input
+                type="checkbox"
+                id="exportIncludeTrash"
+                checked={exportIncludeTrash}
+                onChange={(e) => setExportIncludeTrash(e.target.checked)}
+                disabled={exportStatus === "exporting"}
+              />
+              <label htmlFor="exportIncludeTrash">
+                {intl.formatMessage({
+                  id: "settings.data.exportIncludeTrash",
+                  defaultMessage: "Include the items in the trash",
+                })}
+              </label>
+            </div>
             <div className="form-actions">
               <button
                 type="button"
@@ -829,14 +1474,59 @@ const SettingsView = () => {
                       defaultMessage: "Export All Data",
                     })}
               </button>
+              {exportStatus === "exporting" && (
+                <button
+                  type="button"
+                  onClick={handleCancelExport}
+                  className="button-light"
+                >
+                  {intl.formatMessage({
+                    id: "settings.data.exportCancel",
+                    defaultMessage: "Cancel",
+                  })}
+                </button>
+              )}
             </div>
             <div className="feedback-section" style={{ minHeight: "20px" }}>
+              {exportStatus === "exporting" && exportProgress && (
+                <p className="status-loading">
+                  {intl.formatMessage(
+                    {
+                      id: "settings.data.exportProgress",
+                      defaultMessage: "Exporting {entity}: {done} / {total}",
+                    },
+                    {
+                      entity: intl.formatMessage({
+                        id: `settings.data.exportEntity.${exportProgress.entity}`,
+                      }),
+                      done: exportProgress.done,
+                      total: exportProgress.total,
+                    },
+                  )}
+                </p>
+              )}
               {exportStatus === "success" && (
                 <p className="status-success">
+                  {exportFileName
+                    ? intl.formatMessage(
+                        {
+                          id: "settings.data.exportSaved",
+                          defaultMessage: "Export saved to {fileName}.",
+                        },
+                        { fileName: exportFileName },
+                      )
+                    : intl.formatMessage({
+                        id: "settings.data.exportSuccess",
+                        defaultMessage:
+                          "Export started successfully. Check your downloads.",
+                      })}
+                </p>
+              )}
+              {exportStatus === "cancelled" && (
+                <p className="status-warning">
                   {intl.formatMessage({
-                    id: "settings.data.exportSuccess",
-                    defaultMessage:
-                      "Export started successfully. Check your downloads.",
+                    id: "settings.data.exportCancelled",
+                    defaultMessage: "Export cancelled. Nothing was saved.",
                   })}
                 </p>
               )}
@@ -867,7 +1557,7 @@ const SettingsView = () => {
                 {
                   id: "settings.data.importWarning",
                   defaultMessage:
-                    "Warning: Importing data will REPLACE ALL existing data in the currently active provider ({providerName}). This action cannot be undone.",
+                    "Warning: Importing data either REPLACES ALL existing data in the currently active provider ({providerName}), or merges the file into it. Replacing cannot be undone.",
                 },
                 {
                   // Use provider from settings
@@ -877,6 +1567,73 @@ const SettingsView = () => {
                 },
               )}
             </p>
+            {importCheckpoint && !isImportBusy && (
+              <div className="status-warning">
+                <p>
+                  {intl.formatMessage(
+                    {
+                      id: "settings.data.importUnfinished",
+                      defaultMessage:
+                        "The import of {fileName} started on {date} did not finish.",
+                    },
+                    {
+                      fileName: importCheckpoint.fileName,
+                      date: intl.formatDate(importCheckpoint.startedAt, {
+                        dateStyle: "medium",
+                        timeStyle: "short",
+                      }),
+                    },
+                  )}{" "}
+                  {!isCheckpointFile(importCheckpoint, importFile) &&
+                    intl.formatMessage(
+                      {
+                        id: "settings.data.importChooseAgain",
+                        defaultMessage: "Choose {fileName} again to resume it.",
+                      },
+                      { fileName: importCheckpoint.fileName },
+                    )}
+                </p>
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    onClick={() => runImport(true)}
+                    className="button-primary"
+                    disabled={
+                      !api.writeAllowed ||
+                      !isCheckpointFile(importCheckpoint, importFile)
+                    }
+                  >
+                    {intl.formatMessage({
+                      id: "settings.data.importResume",
+                      defaultMessage: "Resume import",
+                    })}
+                  </button>
+                  {importCheckpoint.hasBackup && (
+                    <button
+                      type="button"
+                      onClick={handleRollbackImport}
+                      className="button-danger"
+                      disabled={!api.writeAllowed}
+                    >
+                      {intl.formatMessage({
+                        id: "settings.data.importRollback",
+                        defaultMessage: "Roll back",
+                      })}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleDiscardImportCheckpoint}
+                    className="button-light"
+                  >
+                    {intl.formatMessage({
+                      id: "settings.data.importDiscard",
+                      defaultMessage: "Discard",
+                    })}
+                  </button>
+                </div>
+              </div>
+            )}
             <div className="form-group">
               <label htmlFor="import-file-input">
                 {intl.formatMessage({
@@ -886,7 +1643,7 @@ const SettingsView = () => {
               </label>
               <label
                 htmlFor="import-file-input"
-                className={`button-light button-file-input ${importStatus === "importing" || !api.importData || !api.isConfigured ? "disabled" : ""}`} // Use api.isConfigured
+                className={`button-light button-file-input ${isImportBusy || !api.importData || !api.isConfigured ? "disabled" : ""}`} // Use api.isConfigured
               >
                 {intl.formatMessage({
                   id: "settings.data.importChooseFile",
@@ -899,7 +1656,7 @@ const SettingsView = () => {
                 accept=".zip,application/zip,application/x-zip-compressed"
                 onChange={handleFileChange}
                 disabled={
-                  importStatus === "importing" || // Check if method exists on api object
+                  isImportBusy || // Check if method exists on api object
                   !api.importData ||
                   !api.isConfigured // Use api.isConfigured
                 }
@@ -923,26 +1680,70 @@ const SettingsView = () => {
                 disabled={
                   !api.writeAllowed ||
                   !importFile ||
-                  importStatus === "importing" ||
+                  isImportBusy ||
+                  importCheckpoint || // Resume, roll back or discard it first
                   !api.importData || // Check if method exists on api object
                   !api.isConfigured // Use api.isConfigured
                 }
               >
-                {importStatus === "importing"
+                {isImportBusy
                   ? intl.formatMessage({
                       id: "settings.data.importButton.importing",
                       defaultMessage: "Importing...",
                     })
                   : intl.formatMessage({
                       id: "settings.data.importButton",
-                      defaultMessage: "Import Data (Replace All)",
+                      defaultMessage: "Import Data…",
                     })}
               </button>
             </div>
             <div className="feedback-section" style={{ minHeight: "40px" }}>
+              {importStatus === "backingUp" && (
+                <p className="status-loading">
+                  {intl.formatMessage({
+                    id: "settings.data.importBackingUp",
+                    defaultMessage: "Exporting a backup of the current data...",
+                  })}
+                </p>
+              )}
+              {importStatus === "rollingBack" && (
+                <p className="status-loading">
+                  {intl.formatMessage({
+                    id: "settings.data.importRollingBack",
+                    defaultMessage:
+                      "Restoring the data from before the import...",
+                  })}
+                </p>
+              )}
+              {importStatus === "rolledBack" && (
+                <p className="status-success">
+                  {intl.formatMessage({
+                    id: "settings.data.importRolledBack",
+                    defaultMessage:
+                      "The data from before the import was restored.",
+                  })}
+                </p>
+              )}
+              {importStatus === "merging" && (
+                <p className="status-loading">
+                  {intl.formatMessage({
+                    id: "settings.data.importMerging",
+                    defaultMessage: "Merging the file into the current data...",
+                  })}
+                </p>
+              )}
               {importStatus === "success" && (
                 <p className="status-success">{importSummary}</p>
               )}
+              {importStatus === "merged" && (
+                <ImportMergeReport
+                  report={mergeReport}
+                  providerName={
+                    providerDisplayNames[appSettings.apiProviderType] ||
+                    appSettings.apiProviderType
+                  }
+                />
+              )}
               {importStatus === "error" && (
                 <p className="status-error">
                   {intl.formatMessage(
@@ -957,6 +1758,32 @@ const SettingsView = () => {
             </div>
           </div>
 
+          <ImportPreviewModal
+            preview={importPreview}
+            fileName={importFile?.name}
+            providerName={
+              providerDisplayNames[appSettings.apiProviderType] ||
+              appSettings.apiProviderType
+            }
+            mode={importMode}
+            onModeChange={setImportMode}
+            mergeStrategy={importMergeStrategy}
+            onMergeStrategyChange={setImportMergeStrategy}
+            keepBackup={importKeepBackup}
+            onKeepBackupChange={setImportKeepBackup}
+            onConfirm={() =>
+              importMode === "merge" ? runMerge() : runImport(false)
+            }
+            onClose={() => setImportPreview(null)}
+          />
+
+          <SpreadsheetImportWizard
+            providerName={
+              providerDisplayNames[appSettings.apiProviderType] ||
+              appSettings.apiProviderType
+            }
+          />
+
           {/* Destroy Section */}
           <div className="data-management-section">
             <h4>
@@ -1021,6 +1848,35 @@ const SettingsView = () => {
             </div>
           </div>
 
+          {/* Migrate Section */}
+          <div className="data-management-section">
+            <h4>
+              {intl.formatMessage({
+                id: "settings.data.migrate.title",
+                defaultMessage: "Migrate to Another Provider",
+              })}
+            </h4>
+            <p>
+              {intl.formatMessage({
+                id: "settings.data.migrate.description",
+                defaultMessage:
+                  "Copy all data directly from one provider to another, without exporting and importing a .zip file.",
+              })}
+            </p>
+            <div className="form-actions">
+              <button
+                type="button"
+                onClick={handleGoToMigratePage}
+                className="button-primary"
+              >
+                {intl.formatMessage({
+                  id: "settings.data.migrate.button",
+                  defaultMessage: "Open Migration",
+                })}
+              </button>
+            </div>
+          </div>
+
           {/* Share Configuration Section (NEW) */}
           <div className="data-management-section">
             <h4>
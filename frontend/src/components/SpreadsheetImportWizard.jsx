@@ -0,0 +1,523 @@
+import React, { useState, useMemo, useCallback } from "react";
+import { useIntl } from "react-intl";
+import { useApi } from "../api/ApiContext";
+import { useSettings } from "../settings/SettingsContext";
+import {
+  SPREADSHEET_FIELDS,
+  readSpreadsheet,
+  suggestColumnMapping,
+  prepareSpreadsheetRows,
+  collectSpreadsheetImages,
+  importSpreadsheetRows,
+} from "../api/spreadsheetImport";
+import { compressImage, createThumbnailOrNull } from "../helpers/images";
+import "./SpreadsheetImportWizard.css";
+
+// Rows shown in the preview of the mapping
+const PREVIEW_ROWS = 5;
+
+// Rows with problems listed before the rest are only counted
+const MAX_LISTED_PROBLEMS = 20;
+
+// Same as for images added in the items view
+const COMPRESSION_OPTIONS = {
+  maxSizeMB: 0.2,
+  maxWidthOrHeight: 1024,
+  useWebWorker: true,
+  fileType: "image/jpeg",
+};
+
+const isSpreadsheetFile = (file) => /\.(csv|xlsx)$/i.test(file.name);
+
+// Data management section: adds items from a CSV or XLSX file, with its columns mapped to item fields
+const SpreadsheetImportWizard = ({ providerName }) => {
+  const intl = useIntl();
+  const api = useApi();
+  const { settings: appSettings } = useSettings();
+
+  const [file, setFile] = useState(null);
+  const [sheet, setSheet] = useState(null); // { columns, rows }
+  const [mapping, setMapping] = useState({});
+  const [images, setImages] = useState(null); // Loaders by filename, once images are picked
+  const [status, setStatus] = useState("idle"); // idle | reading | importing | done | error
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const preparedRows = useMemo(
+    () => (sheet ? prepareSpreadsheetRows(sheet.rows, mapping, images) : []),
+    [sheet, mapping, images],
+  );
+  const blockedRows = preparedRows.filter((row) =>
+    row.problems.some((problem) => problem.blocking),
+  );
+  const rowsWithProblems = preparedRows.filter(
+    (row) => row.problems.length > 0,
+  );
+  const importableCount = preparedRows.length - blockedRows.length;
+  const isBusy = status === "reading" || status === "importing";
+
+  const resetFileInput = (id) => {
+    const input = document.getElementById(id);
+    if (input) input.value = "";
+  };
+
+  const handleFileChange = async (event) => {
+    const chosen = event.target.files[0];
+    setSheet(null);
+    setReport(null);
+    setError(null);
+    setFile(chosen || null);
+    if (!chosen) return;
+    if (!isSpreadsheetFile(chosen)) {
+      setError(
+        intl.formatMessage({
+          id: "settings.spreadsheet.invalidFileType",
+          defaultMessage: "Please select a .csv or .xlsx file.",
+        }),
+      );
+      setStatus("error");
+      return;
+    }
+    setStatus("reading");
+    try {
+      const read = await readSpreadsheet(chosen);
+      setSheet(read);
+      setMapping(suggestColumnMapping(read.columns));
+      setStatus("idle");
+    } catch (err) {
+      console.error("Reading the spreadsheet failed:", err);
+      setError(err.message || String(err));
+      setStatus("error");
+    }
+  };
+
+  const handleImagesChange = async (event) => {
+    const files = Array.from(event.target.files || []);
+    if (files.length === 0) return;
+    setStatus("reading");
+    setError(null);
+    try {
+      setImages(await collectSpreadsheetImages(files));
+      setStatus("idle");
+    } catch (err) {
+      console.error("Reading the images failed:", err);
+      setError(err.message || String(err));
+      setStatus("error");
+    }
+  };
+
+  const prepareImage = useCallback(
+    async (imageFile) => {
+      const compressed = appSettings.imageCompressionEnabled
+        ? await compressImage(
+            imageFile,
+            COMPRESSION_OPTIONS,
+            intl.formatMessage({
+              id: "items.error.compressionFailed",
+              defaultMessage: "Image compression failed",
+            }),
+          )
+        : imageFile;
+      return {
+        imageFile: compressed,
+        thumbnailFile: await createThumbnailOrNull(compressed),
+      };
+    },
+    [appSettings.imageCompressionEnabled, intl],
+  );
+
+  const handleImport = useCallback(async () => {
+    setStatus("importing");
+    setError(null);
+    setProgress(null);
+    try {
+      const result = await importSpreadsheetRows(api, preparedRows, {
+        fallbackNames: {
+          location: intl.formatMessage({
+            id: "settings.spreadsheet.fallback.location",
+            defaultMessage: "Unsorted",
+          }),
+          category: intl.formatMessage({
+            id: "settings.spreadsheet.fallback.category",
+            defaultMessage: "Unsorted",
+          }),
+          owner: intl.formatMessage({
+            id: "settings.spreadsheet.fallback.owner",
+            defaultMessage: "Unknown",
+          }),
+        },
+        images,
+        prepareImage,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setReport(result);
+      setStatus("done");
+      setFile(null);
+      setSheet(null);
+      setImages(null);
+      resetFileInput("spreadsheet-file-input");
+      resetFileInput("spreadsheet-images-folder-input");
+      resetFileInput("spreadsheet-images-files-input");
+    } catch (err) {
+      console.error("Spreadsheet import failed:", err);
+      setError(err.message || String(err));
+      setStatus("error");
+    } finally {
+      setProgress(null);
+    }
+  }, [api, images, intl, prepareImage, preparedRows]);
+
+  const fieldLabel = (field) =>
+    intl.formatMessage({ id: `settings.spreadsheet.field.${field}` });
+
+  const describeProblem = (problem) =>
+    intl.formatMessage(
+      { id: `settings.spreadsheet.problem.${problem.kind}` },
+      { value: problem.value },
+    );
+
+  const renderPreviewValue = (field, values) => {
+    if (field === "tags" || field === "images") return values[field].join(", ");
+    if (field === "price") return values.price ?? "";
+    return values[field] ?? "";
+  };
+
+  return (
+    <div className="data-management-section">
+      <h4>
+        {intl.formatMessage({
+          id: "settings.spreadsheet.title",
+          defaultMessage: "Import from a Spreadsheet",
+        })}
+      </h4>
+      <p>
+        {intl.formatMessage(
+          {
+            id: "settings.spreadsheet.description",
+            defaultMessage:
+              "Adds clothes to {providerName} from a .csv or .xlsx file whose first row names the columns. Locations, categories, owners and tags that do not exist yet are created. Nothing is replaced.",
+          },
+          { providerName },
+        )}
+      </p>
+      <div className="form-group">
+        <label
+          htmlFor="spreadsheet-file-input"
+          className={`button-light button-file-input ${isBusy || !api.isConfigured ? "disabled" : ""}`}
+        >
+          {intl.formatMessage({
+            id: "settings.spreadsheet.chooseFile",
+            defaultMessage: "Choose Spreadsheet",
+          })}
+        </label>
+        <input
+          type="file"
+          id="spreadsheet-file-input"
+          accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          onChange={handleFileChange}
+          disabled={isBusy || !api.isConfigured}
+          className="hidden-file-input"
+        />
+        {file && (
+          <p className="selected-file-name">
+            {intl.formatMessage({
+              id: "settings.data.importSelectedFile",
+              defaultMessage: "Selected:",
+            })}{" "}
+            {file.name}
+          </p>
+        )}
+      </div>
+
+      {sheet && (
+        <>
+          <p>
+            {intl.formatMessage(
+              {
+                id: "settings.spreadsheet.rowCount",
+                defaultMessage:
+                  "{count} rows found. Choose the column of each field:",
+              },
+              { count: sheet.rows.length },
+            )}
+          </p>
+          <div className="spreadsheet-mapping">
+            {SPREADSHEET_FIELDS.map((field) => (
+              <div className="form-group" key={field}>
+                <label htmlFor={`spreadsheet-map-${field}`}>
+                  {fieldLabel(field)}
+                </label>
+                <select
+                  id={`spreadsheet-map-${field}`}
+                  value={mapping[field] || ""}
+                  onChange={(e) =>
+                    setMapping((prev) => ({ ...prev, [field]: e.target.value }))
+                  }
+                  disabled={isBusy}
+                >
+                  <option value="">
+                    {intl.formatMessage({
+                      id: "settings.spreadsheet.notMapped",
+                      defaultMessage: "(none)",
+                    })}
+                  </option>
+                  {sheet.columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {mapping.images && (
+            <div className="form-group">
+              <p>
+                {intl.formatMessage({
+                  id: "settings.spreadsheet.imagesDescription",
+                  defaultMessage:
+                    "Images are attached by the filenames in the images column, separated by commas. Pick the folder they are in, or the image files or a .zip of them.",
+                })}
+              </p>
+              <label
+                htmlFor="spreadsheet-images-folder-input"
+                className={`button-light button-file-input ${isBusy ? "disabled" : ""}`}
+              >
+                {intl.formatMessage({
+                  id: "settings.spreadsheet.chooseImageFolder",
+                  defaultMessage: "Choose Image Folder",
+                })}
+              </label>{" "}
+              <input
+                type="file"
+                id="spreadsheet-images-folder-input"
+                webkitdirectory=""
+                onChange={handleImagesChange}
+                disabled={isBusy}
+                className="hidden-file-input"
+              />
+              <label
+                htmlFor="spreadsheet-images-files-input"
+                className={`button-light button-file-input ${isBusy ? "disabled" : ""}`}
+              >
+                {intl.formatMessage({
+                  id: "settings.spreadsheet.chooseImageFiles",
+                  defaultMessage: "Choose Images or .zip",
+                })}
+              </label>
+              <input
+                type="file"
+                id="spreadsheet-images-files-input"
+                accept="image/*,.zip,application/zip"
+                multiple
+                onChange={handleImagesChange}
+                disabled={isBusy}
+                className="hidden-file-input"
+              />
+              {images && (
+                <p className="selected-file-name">
+                  {intl.formatMessage(
+                    {
+                      id: "settings.spreadsheet.imagesFound",
+                      defaultMessage: "{count} images found.",
+                    },
+                    { count: images.size },
+                  )}
+                </p>
+              )}
+            </div>
+          )}
+
+          {preparedRows.length > 0 && (
+            <div className="spreadsheet-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    {SPREADSHEET_FIELDS.filter((field) => mapping[field]).map(
+                      (field) => (
+                        <th key={field}>{fieldLabel(field)}</th>
+                      ),
+                    )}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preparedRows.slice(0, PREVIEW_ROWS).map((row) => (
+                    <tr
+                      key={row.rowNumber}
+                      className={
+                        row.problems.some((problem) => problem.blocking)
+                          ? "spreadsheet-row-blocked"
+                          : ""
+                      }
+                    >
+                      <td>{row.rowNumber}</td>
+                      {SPREADSHEET_FIELDS.filter((field) => mapping[field]).map(
+                        (field) => (
+                          <td key={field}>
+                            {renderPreviewValue(field, row.values)}
+                          </td>
+                        ),
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {rowsWithProblems.length > 0 && (
+            <div
+              className={
+                blockedRows.length > 0 ? "status-error" : "status-warning"
+              }
+            >
+              {intl.formatMessage(
+                {
+                  id: "settings.spreadsheet.problemsTitle",
+                  defaultMessage:
+                    "{count} rows have problems; rows without a name or with an invalid price are skipped:",
+                },
+                { count: rowsWithProblems.length },
+              )}
+              <ul className="spreadsheet-problems">
+                {rowsWithProblems.slice(0, MAX_LISTED_PROBLEMS).map((row) => (
+                  <li key={row.rowNumber}>
+                    {intl.formatMessage(
+                      {
+                        id: "settings.spreadsheet.problemRow",
+                        defaultMessage: "Row {rowNumber}: {problems}",
+                      },
+                      {
+                        rowNumber: row.rowNumber,
+                        problems: row.problems.map(describeProblem).join(", "),
+                      },
+                    )}
+                  </li>
+                ))}
+                {rowsWithProblems.length > MAX_LISTED_PROBLEMS && (
+                  <li>
+                    {intl.formatMessage(
+                      { id: "settings.data.importPreview.moreProblems" },
+                      {
+                        count: rowsWithProblems.length - MAX_LISTED_PROBLEMS,
+                      },
+                    )}
+                  </li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button
+              type="button"
+              className="button-primary"
+              onClick={handleImport}
+              disabled={
+                !api.writeAllowed ||
+                isBusy ||
+                !mapping.name ||
+                importableCount === 0
+              }
+            >
+              {intl.formatMessage(
+                {
+                  id: "settings.spreadsheet.importButton",
+                  defaultMessage: "Add {count} clothes",
+                },
+                { count: importableCount },
+              )}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="feedback-section">
+        {status === "reading" && (
+          <p className="status-loading">
+            {intl.formatMessage({
+              id: "settings.spreadsheet.reading",
+              defaultMessage: "Reading...",
+            })}
+          </p>
+        )}
+        {status === "importing" && (
+          <p className="status-loading">
+            {intl.formatMessage(
+              {
+                id: "settings.spreadsheet.importing",
+                defaultMessage: "Adding clothes: {done} / {total}",
+              },
+              {
+                done: progress?.done ?? 0,
+                total: progress?.total ?? importableCount,
+              },
+            )}
+          </p>
+        )}
+        {status === "done" && report && (
+          <>
+            <p className="status-success">
+              {intl.formatMessage(
+                {
+                  id: "settings.spreadsheet.summary",
+                  defaultMessage:
+                    "{added} clothes added with {images} images, {skipped} rows skipped. Created {locations} locations, {categories} categories, {owners} owners and {tags} tags.",
+                },
+                {
+                  added: report.added,
+                  images: report.images,
+                  skipped: report.skipped.length,
+                  locations: report.created.location.length,
+                  categories: report.created.category.length,
+                  owners: report.created.owner.length,
+                  tags: report.created.tag.length,
+                },
+              )}
+            </p>
+            {report.errors.length > 0 && (
+              <div className="status-error">
+                {intl.formatMessage({
+                  id: "settings.spreadsheet.errorsTitle",
+                  defaultMessage: "These rows could not be added:",
+                })}
+                <ul className="spreadsheet-problems">
+                  {report.errors.map((rowError) => (
+                    <li key={rowError.rowNumber}>
+                      {intl.formatMessage(
+                        {
+                          id: "settings.spreadsheet.problemRow",
+                          defaultMessage: "Row {rowNumber}: {problems}",
+                        },
+                        {
+                          rowNumber: rowError.rowNumber,
+                          problems: rowError.message,
+                        },
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+        {status === "error" && (
+          <p className="status-error">
+            {intl.formatMessage(
+              {
+                id: "settings.spreadsheet.error",
+                defaultMessage: "Spreadsheet Import Error: {error}",
+              },
+              { error },
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpreadsheetImportWizard;
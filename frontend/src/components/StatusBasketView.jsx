@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { useApi } from "../api/ApiContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import { useSettings } from "../settings/SettingsContext";
+import { useUndo } from "../undo/UndoContext";
+import { useIntl } from "react-intl";
+import {
+  normalizeItemStatuses,
+  getStatusLabel,
+  getNextStatuses,
+} from "../helpers/itemStatuses";
+import "./StatusBasketView.css";
+
+// The status the basket opens with, when it is configured
+const DEFAULT_BASKET_STATUS = "laundry";
+
+// Lists the items in one status, e.g. the laundry basket, and moves them on together
+const StatusBasketView = () => {
+  const api = useApi();
+  const { isOffline, runOnline } = useOutbox();
+  const { settings } = useSettings();
+  const intl = useIntl();
+  const { run: runUndoable, revision: undoRevision } = useUndo();
+  const itemStatuses = useMemo(
+    () => normalizeItemStatuses(settings.itemStatuses),
+    [settings.itemStatuses],
+  );
+
+  const [basketStatus, setBasketStatus] = useState(() =>
+    itemStatuses.some((s) => s.key === DEFAULT_BASKET_STATUS)
+      ? DEFAULT_BASKET_STATUS
+      : itemStatuses[0].key,
+  );
+  const nextStatuses = getNextStatuses(itemStatuses, basketStatus);
+  const [chosenTarget, setChosenTarget] = useState("");
+  // Until another one is chosen, the first allowed status is the target, e.g. clean for the laundry
+  const targetStatus = nextStatuses.includes(chosenTarget)
+    ? chosenTarget
+    : nextStatuses[0] || "";
+  const [items, setItems] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canMove = api.writeAllowed && typeof api.setItemStatus === "function";
+  const isDisabled = loading || isWorking || isOffline || !canMove;
+
+  const fetchBasket = useCallback(async () => {
+    if (!api.isConfigured || typeof api.listItems !== "function") {
+      setItems([]);
+      setError(
+        intl.formatMessage({
+          id: "common.status.apiNotConfigured",
+          defaultMessage:
+            "API Provider is not configured. Please configure it in Settings.",
+        }),
+      );
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { items: basketItems } = await api.listItems({
+        statuses: [basketStatus],
+        sort: "name_asc",
+      });
+      setItems(basketItems || []);
+      setSelectedIds((basketItems || []).map((item) => item.item_id));
+    } catch (err) {
+      console.error("Failed to fetch the items of a status:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "basket.error.fetch",
+            defaultMessage: "Failed to fetch the clothes: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, intl, basketStatus]);
+
+  useEffect(() => {
+    fetchBasket();
+  }, [fetchBasket, undoRevision]);
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds((prev) =>
+      prev.includes(itemId)
+        ? prev.filter((id) => id !== itemId)
+        : [...prev, itemId],
+    );
+  };
+
+  const handleMove = async () => {
+    const movedItems = items.filter((item) =>
+      selectedIds.includes(item.item_id),
+    );
+    if (movedItems.length === 0 || !targetStatus) return;
+    const values = {
+      count: movedItems.length,
+      from: getStatusLabel(intl, itemStatuses, basketStatus),
+      to: getStatusLabel(intl, itemStatuses, targetStatus),
+    };
+
+    setIsWorking(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const result = await runOnline(() =>
+        runUndoable(
+          "setItemStatus",
+          {
+            item_ids: movedItems.map((item) => item.item_id),
+            status: targetStatus,
+          },
+          {
+            description: intl.formatMessage(
+              { id: "undo.action.items.status" },
+              values,
+            ),
+            items: movedItems,
+          },
+        ),
+      );
+      if (!result?.success) {
+        throw new Error(
+          result?.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(
+        intl.formatMessage(
+          {
+            id: "basket.success.move",
+            defaultMessage: "Moved {count} clothes from {from} to {to}.",
+          },
+          { ...values, count: result.updatedCount ?? values.count },
+        ),
+      );
+      await fetchBasket();
+    } catch (err) {
+      console.error("Failed to move the items:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "basket.error.move",
+            defaultMessage: "Failed to change the status: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="basket-view">
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "basket.loading",
+            defaultMessage: "Loading clothes...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">Error: {error}</p>}
+      {success && <p className="status-success">{success}</p>}
+      {isOffline && canMove && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "outbox.offlineHint",
+            defaultMessage:
+              "The server cannot be reached. This can be changed again once it is back.",
+          })}
+        </p>
+      )}
+
+      <h3>
+        {intl.formatMessage({
+          id: "basket.title",
+          defaultMessage: "Basket",
+        })}
+      </h3>
+      <div className="form-group">
+        <label htmlFor="basketStatus">
+          {intl.formatMessage({
+            id: "basket.statusLabel",
+            defaultMessage: "Clothes with the status:",
+          })}
+        </label>
+        <select
+          id="basketStatus"
+          value={basketStatus}
+          onChange={(e) => {
+            setBasketStatus(e.target.value);
+            setSuccess(null);
+          }}
+          disabled={loading || isWorking}
+        >
+          {itemStatuses.map((status) => (
+            <option key={status.key} value={status.key}>
+              {getStatusLabel(intl, itemStatuses, status.key)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {api.isConfigured && !loading && !error && items.length === 0 && (
+        <p>
+          {intl.formatMessage({
+            id: "basket.list.empty",
+            defaultMessage: "No clothes have this status.",
+          })}
+        </p>
+      )}
+
+      {items.length > 0 && canMove && nextStatuses.length > 0 && (
+        <div className="basket-move">
+          <select
+            value={targetStatus}
+            onChange={(e) => setChosenTarget(e.target.value)}
+            disabled={isDisabled}
+            aria-label={intl.formatMessage({
+              id: "basket.targetLabel",
+              defaultMessage: "New status",
+            })}
+          >
+            {nextStatuses.map((key) => (
+              <option key={key} value={key}>
+                {getStatusLabel(intl, itemStatuses, key)}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="button-primary"
+            onClick={handleMove}
+            disabled={isDisabled || selectedIds.length === 0 || !targetStatus}
+          >
+            {intl.formatMessage(
+              {
+                id: "basket.moveButton",
+                defaultMessage: "Move {count} selected",
+              },
+              { count: selectedIds.length },
+            )}
+          </button>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <ul className="basket-list">
+          {items.map((item) => (
+            <li key={item.item_id} className="basket-card">
+              <label>
+                {canMove && (
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(item.item_id)}
+                    onChange={() => toggleSelected(item.item_id)}
+                    disabled={isDisabled}
+                  />
+                )}
+                {item.name}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StatusBasketView;
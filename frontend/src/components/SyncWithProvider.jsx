@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useIntl } from "react-intl";
+import { useApi, checkConfiguration } from "../api/ApiContext";
+import { useSettings } from "../settings/SettingsContext";
+import {
+  getProviderIds,
+  getProviderDisplayNames,
+  getProviderEndpoint,
+  bindProvider,
+} from "../api/providerRegistry";
+import { syncProviders, resolveConflict } from "../api/syncEngine";
+import { createThumbnailOrNull } from "../helpers/images";
+import ProviderSettingsFields, {
+  getInitialProviderSettings,
+} from "./ProviderSettingsFields";
+import "./SyncWithProvider.css";
+
+// Times of the last sync, per pair of providers
+const LS_LAST_SYNC_KEY = "clothinvLastSync";
+
+const readLastSyncTimes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LS_LAST_SYNC_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeLastSyncTime = (pairKey, syncedAt) => {
+  localStorage.setItem(
+    LS_LAST_SYNC_KEY,
+    JSON.stringify({ ...readLastSyncTimes(), [pairKey]: syncedAt }),
+  );
+};
+
+// "Sync with…" section of the settings: two-way sync of the active provider with another one
+const SyncWithProvider = () => {
+  const intl = useIntl();
+  const api = useApi();
+  const { settings: appSettings } = useSettings();
+  const displayNames = getProviderDisplayNames();
+  const targetIds = getProviderIds().filter(
+    (id) => id !== "none" && id !== appSettings.apiProviderType,
+  );
+
+  const [targetId, setTargetId] = useState(targetIds[0] || "");
+  const [targetSettings, setTargetSettings] = useState({});
+  const [status, setStatus] = useState("idle"); // idle | syncing | done | error
+  const [progressEntity, setProgressEntity] = useState(null);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+  const [resolvingKey, setResolvingKey] = useState(null);
+
+  const localName =
+    displayNames[appSettings.apiProviderType] || appSettings.apiProviderType;
+  const targetName = displayNames[targetId] || targetId;
+  const pairKey = `${getProviderEndpoint(appSettings.apiProviderType, appSettings.apiSettings?.[appSettings.apiProviderType])}|${getProviderEndpoint(targetId, targetSettings)}`;
+  const lastSyncedAt = readLastSyncTimes()[pairKey] || null;
+
+  // The active provider cannot be synced with itself
+  useEffect(() => {
+    if (!targetIds.includes(targetId)) setTargetId(targetIds[0] || "");
+  }, [targetIds, targetId]);
+
+  // Start from the settings saved for the chosen provider, if it was ever used
+  useEffect(() => {
+    setTargetSettings(
+      getInitialProviderSettings(targetId, appSettings.apiSettings),
+    );
+    setStatus("idle");
+    setReport(null);
+    setError(null);
+  }, [targetId, appSettings.apiSettings]);
+
+  const bindTarget = useCallback(
+    () => bindProvider(targetId, targetSettings, appSettings.clientName),
+    [targetId, targetSettings, appSettings.clientName],
+  );
+
+  const handleSync = useCallback(async () => {
+    setStatus("syncing");
+    setError(null);
+    setReport(null);
+    try {
+      const target = bindTarget();
+      const targetVersion = await target.getDbVersion();
+      if (targetVersion !== api.dbVersion) {
+        throw new Error(
+          intl.formatMessage(
+            {
+              id: "sync.error.versionMismatch",
+              defaultMessage:
+                "{provider} has database version {targetVersion}, but the active provider has version {version}. Migrate them to the same version first.",
+            },
+            {
+              provider: targetName,
+              targetVersion,
+              version: api.dbVersion,
+            },
+          ),
+        );
+      }
+      const result = await syncProviders(api, target, {
+        lastSyncedAt,
+        createThumbnail: createThumbnailOrNull,
+        onProgress: setProgressEntity,
+      });
+      writeLastSyncTime(pairKey, result.syncedAt);
+      setReport(result);
+      setStatus("done");
+    } catch (err) {
+      console.error("Sync failed:", err);
+      setError(err.message || String(err));
+      setStatus("error");
+    } finally {
+      setProgressEntity(null);
+    }
+  }, [api, bindTarget, intl, lastSyncedAt, pairKey, targetName]);
+
+  const handleResolve = useCallback(
+    async (conflict, keep) => {
+      setResolvingKey(conflict.key);
+      setError(null);
+      try {
+        await resolveConflict(api, bindTarget(), conflict, keep, {
+          createThumbnail: createThumbnailOrNull,
+        });
+        setReport((prev) => ({
+          ...prev,
+          conflicts: prev.conflicts.filter((c) => c !== conflict),
+        }));
+      } catch (err) {
+        console.error("Resolving a sync conflict failed:", err);
+        setError(err.message || String(err));
+      } finally {
+        setResolvingKey(null);
+      }
+    },
+    [api, bindTarget],
+  );
+
+  const isTargetConfigured = checkConfiguration(targetId, {
+    [targetId]: targetSettings,
+  });
+  const canSync =
+    api.isConfigured &&
+    api.writeAllowed &&
+    isTargetConfigured &&
+    status !== "syncing" &&
+    resolvingKey === null;
+
+  const entityName = (entity) =>
+    intl.formatMessage({ id: `sync.entity.${entity}` });
+
+  const describeConflict = (conflict) => {
+    if (conflict.reason === "bothChanged") {
+      return intl.formatMessage(
+        {
+          id: "sync.conflict.bothChanged",
+          defaultMessage: '{entity} "{name}" was changed on both sides.',
+        },
+        { entity: entityName(conflict.entity), name: conflict.name },
+      );
+    }
+    return intl.formatMessage(
+      {
+        id: "sync.conflict.deleted",
+        defaultMessage: '{entity} "{name}" was deleted from {provider}.',
+      },
+      {
+        entity: entityName(conflict.entity),
+        name: conflict.name,
+        provider: conflict.local ? targetName : localName,
+      },
+    );
+  };
+
+  if (targetIds.length === 0) return null;
+
+  return (
+    <fieldset className="settings-fieldset">
+      <legend>
+        {intl.formatMessage({
+          id: "sync.legend",
+          defaultMessage: "Sync with…",
+        })}
+      </legend>
+      <p>
+        {intl.formatMessage(
+          {
+            id: "sync.description",
+            defaultMessage:
+              "Brings the active provider ({provider}) and another one up to date with each other. Changes made on one side are copied to the other; changes made on both sides are listed for you to decide.",
+          },
+          { provider: localName },
+        )}
+      </p>
+      <div className="form-group">
+        <label htmlFor="syncTarget">
+          {intl.formatMessage({
+            id: "sync.targetLabel",
+            defaultMessage: "Sync with:",
+          })}
+        </label>
+        <select
+          id="syncTarget"
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+          disabled={status === "syncing"}
+        >
+          {targetIds.map((id) => (
+            <option key={id} value={id}>
+              {displayNames[id] || id}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ProviderSettingsFields
+        providerId={targetId}
+        idPrefix="sync-setting"
+        values={targetSettings}
+        onChange={setTargetSettings}
+        disabled={status === "syncing"}
+      />
+      <p className="sync-last">
+        {lastSyncedAt
+          ? intl.formatMessage(
+              {
+                id: "sync.lastSynced",
+                defaultMessage: "Last synced: {date}",
+              },
+              {
+                date: intl.formatDate(lastSyncedAt, {
+                  dateStyle: "medium",
+                  timeStyle: "short",
+                }),
+              },
+            )
+          : intl.formatMessage({
+              id: "sync.neverSynced",
+              defaultMessage:
+                "Not synced before. Every difference will be listed for you to decide.",
+            })}
+      </p>
+      <div className="form-actions">
+        <button
+          type="button"
+          onClick={handleSync}
+          className="button-primary"
+          disabled={!canSync}
+        >
+          {status === "syncing"
+            ? intl.formatMessage({
+                id: "sync.button.syncing",
+                defaultMessage: "Syncing...",
+              })
+            : intl.formatMessage(
+                {
+                  id: "sync.button",
+                  defaultMessage: "Sync with {provider}",
+                },
+                { provider: targetName },
+              )}
+        </button>
+      </div>
+      <div className="feedback-section" style={{ minHeight: "20px" }}>
+        {status === "syncing" && progressEntity && (
+          <p className="status-loading">
+            {intl.formatMessage(
+              {
+                id: "sync.progress",
+                defaultMessage: "Syncing {entity}...",
+              },
+              { entity: entityName(progressEntity) },
+            )}
+          </p>
+        )}
+        {error && (
+          <p className="status-error">
+            {intl.formatMessage(
+              { id: "sync.error", defaultMessage: "Sync Error: {error}" },
+              { error },
+            )}
+          </p>
+        )}
+        {report && (
+          <p className="status-success">
+            {intl.formatMessage(
+              {
+                id: "sync.summary",
+                defaultMessage:
+                  "Sync finished: {localCount} changes applied to {localProvider}, {remoteCount} to {remoteProvider}, {images} images transferred.",
+              },
+              {
+                localCount: report.applied.local,
+                localProvider: localName,
+                remoteCount: report.applied.remote,
+                remoteProvider: targetName,
+                images: report.images,
+              },
+            )}
+          </p>
+        )}
+        {report?.errors.length > 0 && (
+          <div className="status-error">
+            {intl.formatMessage({
+              id: "sync.errors.title",
+              defaultMessage: "These could not be synced:",
+            })}
+            <ul className="sync-list">
+              {report.errors.map((rowError, index) => (
+                <li key={index}>
+                  {intl.formatMessage(
+                    {
+                      id: "sync.errors.row",
+                      defaultMessage: '{entity} "{name}": {error}',
+                    },
+                    {
+                      entity: entityName(rowError.entity),
+                      name: rowError.name,
+                      error: rowError.message,
+                    },
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {report?.conflicts.length > 0 && (
+          <div className="status-warning">
+            {intl.formatMessage({
+              id: "sync.conflicts.title",
+              defaultMessage: "Conflicts to decide:",
+            })}
+            <ul className="sync-list">
+              {report.conflicts.map((conflict) => (
+                <li key={`${conflict.entity}:${conflict.key}`}>
+                  <span>{describeConflict(conflict)}</span>
+                  <span className="sync-conflict-actions">
+                    <button
+                      type="button"
+                      className="button-light"
+                      onClick={() => handleResolve(conflict, "local")}
+                      disabled={resolvingKey !== null}
+                    >
+                      {intl.formatMessage(
+                        {
+                          id: "sync.conflicts.keep",
+                          defaultMessage: "Keep the version in {provider}",
+                        },
+                        { provider: localName },
+                      )}
+                    </button>
+                    <button
+                      type="button"
+                      className="button-light"
+                      onClick={() => handleResolve(conflict, "remote")}
+                      disabled={resolvingKey !== null}
+                    >
+                      {intl.formatMessage(
+                        {
+                          id: "sync.conflicts.keep",
+                          defaultMessage: "Keep the version in {provider}",
+                        },
+                        { provider: targetName },
+                      )}
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+export default SyncWithProvider;
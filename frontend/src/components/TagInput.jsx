@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { useIntl } from "react-intl";
+import { normalizeTagName } from "../api/providerUtils";
+import "./TagInput.css";
+
+// Chip input for an item's tags. Typing a name that does not exist yet creates the tag.
+const TagInput = ({
+  id,
+  tags,
+  selectedTagIds,
+  onChange,
+  onCreateTag,
+  disabled = false,
+}) => {
+  const intl = useIntl();
+  const [inputValue, setInputValue] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const tagsById = new Map(tags.map((tag) => [tag.tag_id, tag]));
+  const selectedTags = selectedTagIds
+    .map((tagId) => tagsById.get(tagId))
+    .filter(Boolean);
+  const suggestions = tags.filter(
+    (tag) => !selectedTagIds.includes(tag.tag_id),
+  );
+
+  const selectTag = (tagId) => {
+    if (!selectedTagIds.includes(tagId)) {
+      onChange([...selectedTagIds, tagId]);
+    }
+  };
+
+  const removeTag = (tagId) => {
+    onChange(selectedTagIds.filter((selectedId) => selectedId !== tagId));
+  };
+
+  const commitInput = async () => {
+    const name = normalizeTagName(inputValue);
+    if (!name) return;
+    setError(null);
+
+    const existing = tags.find(
+      (tag) => tag.name.toLowerCase() === name.toLowerCase(),
+    );
+    if (existing) {
+      selectTag(existing.tag_id);
+      setInputValue("");
+      return;
+    }
+    if (typeof onCreateTag !== "function") return;
+
+    setIsCreating(true);
+    try {
+      const tagId = await onCreateTag(name);
+      if (tagId != null) {
+        selectTag(tagId);
+        setInputValue("");
+      }
+    } catch (err) {
+      console.error("Failed to create tag:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "tags.error.add",
+            defaultMessage: "Failed to add tag: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault(); // Keep Enter from submitting the surrounding form
+      commitInput();
+    } else if (
+      e.key === "Backspace" &&
+      inputValue === "" &&
+      selectedTagIds.length > 0
+    ) {
+      removeTag(selectedTagIds[selectedTagIds.length - 1]);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className={`tag-input-box ${disabled ? "disabled" : ""}`}>
+        {selectedTags.map((tag) => (
+          <span key={tag.tag_id} className="tag-chip">
+            {tag.name}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => removeTag(tag.tag_id)}
+              disabled={disabled}
+              aria-label={intl.formatMessage(
+                {
+                  id: "tags.input.remove",
+                  defaultMessage: "Remove tag {name}",
+                },
+                { name: tag.name },
+              )}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          list={`${id}-suggestions`}
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={commitInput}
+          placeholder={intl.formatMessage({
+            id: "tags.input.placeholder",
+            defaultMessage: "Add a tag and press Enter",
+          })}
+          disabled={disabled || isCreating}
+        />
+        <datalist id={`${id}-suggestions`}>
+          {suggestions.map((tag) => (
+            <option key={tag.tag_id} value={tag.name} />
+          ))}
+        </datalist>
+      </div>
+      {error && <p className="status-error">{error}</p>}
+    </div>
+  );
+};
+
+export default TagInput;
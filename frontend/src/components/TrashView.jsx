@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useApi } from "../api/ApiContext";
+import { useOutbox } from "../outbox/OutboxContext";
+import { useSettings } from "../settings/SettingsContext";
+import { useIntl } from "react-intl";
+import "./TrashView.css";
+
+// Lists the deleted items, which can be restored or deleted for good
+const TrashView = () => {
+  const api = useApi();
+  const { isOffline, runOnline } = useOutbox();
+  const { settings } = useSettings();
+  const intl = useIntl();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canRestore = typeof api.restoreItem === "function";
+  const canPurge = typeof api.purgeTrash === "function";
+  const isDisabled = loading || isWorking || isOffline || !api.writeAllowed;
+
+  const fetchTrash = useCallback(async () => {
+    if (!api.isConfigured || typeof api.listTrash !== "function") {
+      setItems([]);
+      setError(
+        api.isConfigured
+          ? intl.formatMessage({
+              id: "trash.list.notSupported",
+              defaultMessage:
+                "The trash is not supported by the current API Provider.",
+            })
+          : intl.formatMessage({
+              id: "common.status.apiNotConfigured",
+              defaultMessage:
+                "API Provider is not configured. Please configure it in Settings.",
+            }),
+      );
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { items: trashedItems } = await api.listTrash();
+      setItems(trashedItems || []);
+    } catch (err) {
+      console.error("Failed to fetch the trash:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "trash.error.fetch",
+            defaultMessage: "Failed to fetch the trash: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, intl]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // Runs a change against the provider, then shows its message and reloads the trash
+  const runChange = async (change, successMessage) => {
+    setIsWorking(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const result = await runOnline(change);
+      if (result && !result.success) {
+        throw new Error(
+          result.message || intl.formatMessage({ id: "common.error.unknown" }),
+        );
+      }
+      setSuccess(successMessage(result));
+      await fetchTrash();
+    } catch (err) {
+      console.error("Failed to update the trash:", err);
+      setError(
+        intl.formatMessage(
+          {
+            id: "trash.error.update",
+            defaultMessage: "Failed to update the trash: {error}",
+          },
+          { error: err.message },
+        ),
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = (item) => {
+    runChange(
+      () => api.restoreItem({ item_id: item.item_id }),
+      () =>
+        intl.formatMessage(
+          {
+            id: "trash.success.restore",
+            defaultMessage: 'Item "{name}" restored.',
+          },
+          { name: item.name },
+        ),
+    );
+  };
+
+  const handlePurge = (item) => {
+    const confirmed = window.confirm(
+      intl.formatMessage(
+        {
+          id: "trash.purgeConfirm",
+          defaultMessage:
+            'Permanently delete the item "{name}" and its images? This action cannot be undone.',
+        },
+        { name: item.name },
+      ),
+    );
+    if (!confirmed) return;
+    runChange(
+      () => api.purgeTrash({ item_ids: [item.item_id] }),
+      () =>
+        intl.formatMessage(
+          {
+            id: "trash.success.purge",
+            defaultMessage: 'Item "{name}" permanently deleted.',
+          },
+          { name: item.name },
+        ),
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    const confirmed = window.confirm(
+      intl.formatMessage(
+        {
+          id: "trash.emptyConfirm",
+          defaultMessage:
+            "Permanently delete all {count} items in the trash and their images? This action cannot be undone.",
+        },
+        { count: items.length },
+      ),
+    );
+    if (!confirmed) return;
+    runChange(
+      () => api.purgeTrash(),
+      (result) =>
+        intl.formatMessage(
+          {
+            id: "trash.success.empty",
+            defaultMessage: "Permanently deleted {count} items.",
+          },
+          { count: result?.purgedCount ?? 0 },
+        ),
+    );
+  };
+
+  return (
+    <div className="trash-view">
+      {loading && (
+        <p className="status-loading">
+          {intl.formatMessage({
+            id: "trash.loading",
+            defaultMessage: "Loading the trash...",
+          })}
+        </p>
+      )}
+      {error && <p className="status-error">Error: {error}</p>}
+      {success && <p className="status-success">{success}</p>}
+      {isOffline && api.writeAllowed && (
+        <p className="status-warning">
+          {intl.formatMessage({
+            id: "outbox.offlineHint",
+            defaultMessage:
+              "The server cannot be reached. This can be changed again once it is back.",
+          })}
+        </p>
+      )}
+
+      <h3>
+        {intl.formatMessage({
+          id: "trash.title",
+          defaultMessage: "Trash",
+        })}
+      </h3>
+      <p className="trash-retention-note">
+        {settings.trashRetentionDays > 0
+          ? intl.formatMessage(
+              {
+                id: "trash.retentionNote",
+                defaultMessage:
+                  "Items are permanently deleted {days} days after they were moved to the trash. The period can be changed in Settings.",
+              },
+              { days: settings.trashRetentionDays },
+            )
+          : intl.formatMessage({
+              id: "trash.retentionNote.never",
+              defaultMessage:
+                "Items stay in the trash until it is emptied. A retention period can be set in Settings.",
+            })}
+      </p>
+
+      {api.isConfigured && !loading && !error && items.length === 0 && (
+        <p>
+          {intl.formatMessage({
+            id: "trash.list.empty",
+            defaultMessage: "The trash is empty.",
+          })}
+        </p>
+      )}
+
+      {items.length > 0 && canPurge && (
+        <div className="form-actions">
+          <button
+            type="button"
+            className="button-danger"
+            onClick={handleEmptyTrash}
+            disabled={isDisabled}
+          >
+            {intl.formatMessage({
+              id: "trash.emptyButton",
+              defaultMessage: "Empty Trash",
+            })}
+          </button>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <div className="trash-list">
+          {items.map((item) => (
+            <div key={item.item_id} className="trash-card">
+              <div className="trash-card-info">
+                <h4>{item.name}</h4>
+                <p>
+                  {intl.formatMessage(
+                    {
+                      id: "trash.deletedAt",
+                      defaultMessage: "Deleted {date}",
+                    },
+                    {
+                      date: intl.formatDate(item.deleted_at, {
+                        dateStyle: "medium",
+                        timeStyle: "short",
+                      }),
+                    },
+                  )}
+                </p>
+              </div>
+              <div className="trash-card-actions">
+                {canRestore && (
+                  <button
+                    type="button"
+                    className="button-secondary"
+                    onClick={() => handleRestore(item)}
+                    disabled={isDisabled}
+                  >
+                    {intl.formatMessage({
+                      id: "trash.restoreButton",
+                      defaultMessage: "Restore",
+                    })}
+                  </button>
+                )}
+                {canPurge && (
+                  <button
+                    type="button"
+                    className="button-danger"
+                    onClick={() => handlePurge(item)}
+                    disabled={isDisabled}
+                  >
+                    {intl.formatMessage({
+                      id: "trash.purgeButton",
+                      defaultMessage: "Delete Permanently",
+                    })}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,11 @@
+import React from "react";
+
+// Options of a <select> for the nodes returned by flattenTree, indented by their depth
+const TreeOptions = ({ nodes, idKey }) =>
+  nodes.map(({ row, depth }) => (
+    <option key={row[idKey]} value={row[idKey]}>
+      {"\u00a0\u00a0".repeat(depth) + row.name}
+    </option>
+  ));
+
+export default TreeOptions;
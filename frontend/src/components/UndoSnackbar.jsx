@@ -0,0 +1,90 @@
+import React, { useEffect } from "react";
+import { useIntl } from "react-intl";
+import { useUndo } from "../undo/UndoContext";
+import "./UndoSnackbar.css";
+
+// How long the snackbar stays up after an action
+const HIDE_AFTER_MS = 8000;
+
+// Offers to undo the last action, or to redo the one just undone
+const UndoSnackbar = () => {
+  const intl = useIntl();
+  const { lastAction, undo, redo, dismiss, canUndo, canRedo } = useUndo();
+
+  useEffect(() => {
+    if (!lastAction || lastAction.error) return;
+    const timer = setTimeout(dismiss, HIDE_AFTER_MS);
+    return () => clearTimeout(timer);
+  }, [lastAction, dismiss]);
+
+  if (!lastAction) return null;
+
+  const { description, undone, error } = lastAction;
+  let message;
+  if (error) {
+    message = intl.formatMessage(
+      {
+        id: undone ? "undo.error.redo" : "undo.error.undo",
+        defaultMessage: undone
+          ? 'Could not redo "{description}": {error}'
+          : 'Could not undo "{description}": {error}',
+      },
+      { description, error },
+    );
+  } else if (undone) {
+    message = intl.formatMessage(
+      { id: "undo.undone", defaultMessage: "Undone: {description}" },
+      { description },
+    );
+  } else {
+    message = description;
+  }
+
+  return (
+    <div className="undo-snackbar" role="status">
+      <span
+        className={`undo-snackbar-message${error ? " undo-snackbar-error" : ""}`}
+      >
+        {message}
+      </span>
+      {undone ? (
+        <button
+          type="button"
+          className="button-light"
+          onClick={redo}
+          disabled={!canRedo}
+        >
+          {intl.formatMessage({
+            id: "undo.redoButton",
+            defaultMessage: "Redo",
+          })}
+        </button>
+      ) : (
+        <button
+          type="button"
+          className="button-light"
+          onClick={undo}
+          disabled={!canUndo}
+        >
+          {intl.formatMessage({
+            id: "undo.undoButton",
+            defaultMessage: "Undo",
+          })}
+        </button>
+      )}
+      <button
+        type="button"
+        className="undo-snackbar-dismiss"
+        onClick={dismiss}
+        aria-label={intl.formatMessage({
+          id: "undo.dismiss",
+          defaultMessage: "Dismiss",
+        })}
+      >
+        &times;
+      </button>
+    </div>
+  );
+};
+
+export default UndoSnackbar;
@@ -1,85 +1,72 @@
+import {
+  normalizeItemQuery,
+  expandLocationFilter,
+  expandCategoryFilter,
+  itemMatchesQuery,
+  compareItemsBy,
+} from "../api/providerUtils";
 
-const parseSortCriteria = (criteria) => {
-  if (criteria === "price_asc") {
-    return { sortBy: "price", sortOrder: "asc" };
-  }
-  if (criteria === "price_desc") {
-    return { sortBy: "price", sortOrder: "desc" };
-  }
-  if (criteria.endsWith("_asc")) {
-    return { sortBy: criteria.slice(0, -4), sortOrder: "asc" };
-  }
-  if (criteria.endsWith("_desc")) {
-    return { sortBy: criteria.slice(0, -5), sortOrder: "desc" };
-  }
-  return { sortBy: "created_at", sortOrder: "desc" }; // Default
+/**
+ * Maps the ItemsView filter state onto the query object accepted by listItems.
+ * Pagination is left to the caller.
+ */
+export const buildItemQuery = (filterCriteria, sortCriteriaString) => {
+  const {
+    filterName,
+    filterLocationIds,
+    filterCategoryIds,
+    filterOwnerIds,
+    filterTagIds,
+    filterTagMode,
+    filterFields,
+    filterStatuses,
+    filterPriceMin,
+    filterPriceMax,
+  } = filterCriteria;
+  return {
+    name: filterName,
+    locationIds: filterLocationIds,
+    categoryIds: filterCategoryIds,
+    ownerIds: filterOwnerIds,
+    tagIds: filterTagIds,
+    tagMode: filterTagMode,
+    fieldFilters: filterFields,
+    statuses: filterStatuses,
+    priceMin: filterPriceMin,
+    priceMax: filterPriceMax,
+    sort: sortCriteriaString,
+  };
 };
 
+// `locations` and `categories` let a filter include everything in the locations
+// inside a selected location, and in the subcategories of a selected category
 export const processItems = (
   allItemsMetadata,
   filterCriteria,
   sortCriteriaString,
-  paginationCriteria
+  paginationCriteria,
+  locations = [],
+  categories = []
 ) => {
-  let processedItems = [...allItemsMetadata]; // Start with a copy of all items
-
-  const { filterName, filterLocationIds, filterCategoryIds, filterOwnerIds, filterPriceMin, filterPriceMax } = filterCriteria;
+  const query = expandCategoryFilter(
+    expandLocationFilter(
+      normalizeItemQuery(buildItemQuery(filterCriteria, sortCriteriaString)),
+      locations
+    ),
+    categories
+  );
   const { currentPage, pageSize } = paginationCriteria;
 
   // 1. Filtering
-  if (filterName && filterName.trim()) {
-    const lowerFilterName = filterName.trim().toLowerCase();
-    processedItems = processedItems.filter(item =>
-      item.name.toLowerCase().includes(lowerFilterName) ||
-      (item.description && item.description.toLowerCase().includes(lowerFilterName))
-    );
-  }
-  if (filterLocationIds && filterLocationIds.length > 0) {
-    processedItems = processedItems.filter(item => filterLocationIds.includes(item.location_id));
-  }
-  if (filterCategoryIds && filterCategoryIds.length > 0) {
-    processedItems = processedItems.filter(item => filterCategoryIds.includes(item.category_id));
-  }
-  if (filterOwnerIds && filterOwnerIds.length > 0) {
-    processedItems = processedItems.filter(item => filterOwnerIds.includes(item.owner_id));
-  }
-  // Price range filter
-  if (typeof filterPriceMin !== "undefined" || typeof filterPriceMax !== "undefined") {
-    processedItems = processedItems.filter(item => {
-      if (item.price == null) return true;
-      if (typeof filterPriceMin === "number" && item.price < filterPriceMin) return false;
-      if (typeof filterPriceMax === "number" && item.price > filterPriceMax) return false;
-      return true;
-    });
-  }
+  const processedItems = allItemsMetadata.filter((item) =>
+    itemMatchesQuery(item, query)
+  );
 
   // This is the count of items *after* filtering, but *before* pagination.
   const totalFilteredItemsCount = processedItems.length;
 
   // 2. Sorting
-  const { sortBy, sortOrder } = parseSortCriteria(sortCriteriaString);
-  processedItems.sort((a, b) => {
-    let valA = a[sortBy];
-    let valB = b[sortBy];
-
-    if (sortBy === "price") {
-      valA = typeof valA === "number" ? valA : 0;
-      valB = typeof valB === "number" ? valB : 0;
-    }
-    // Handle date strings for created_at/updated_at
-    else if (sortBy.endsWith("_at") && typeof valA === 'string' && typeof valB === 'string') {
-      valA = new Date(valA);
-      valB = new Date(valB);
-    } else if (typeof valA === 'string' && typeof valB === 'string') {
-      // Case-insensitive sort for strings
-      valA = valA.toLowerCase();
-      valB = valB.toLowerCase();
-    }
-
-    if (valA < valB) return sortOrder === "asc" ? -1 : 1;
-    if (valA > valB) return sortOrder === "asc" ? 1 : -1;
-    return 0;
-  });
+  processedItems.sort(compareItemsBy(query.sort));
 
   // 3. Pagination
   // Calculate the items for the current view (all loaded pages up to current)
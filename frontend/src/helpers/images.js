@@ -45,6 +45,45 @@ export const compressImage = async (file, options, baseErrorMessage) => {
     }
 };
 
+// Thumbnails are small enough to load a whole page of the item grid quickly
+const THUMBNAIL_OPTIONS = {
+    maxSizeMB: 0.03,
+    maxWidthOrHeight: 320,
+    useWebWorker: true,
+    fileType: 'image/jpeg',
+};
+
+/**
+ * Creates the 'thumb' variant of an image file, stored next to the full-size image.
+ *
+ * @param {File} file - The (possibly already compressed) image file.
+ * @param {string} baseErrorMessage - Base error message used if resizing fails.
+ * @returns {Promise<File>} A promise that resolves with the thumbnail file.
+ */
+export const createThumbnail = async (file, baseErrorMessage) => {
+    const thumbnail = await compressImage(file, THUMBNAIL_OPTIONS, baseErrorMessage);
+    return new File([thumbnail], `thumb_${file.name}`, {
+        type: thumbnail.type,
+        lastModified: Date.now(),
+    });
+};
+
+/**
+ * Like createThumbnail, but resolves to null when the thumbnail cannot be made,
+ * for bulk copies where the thumbnail backfill can make it later.
+ *
+ * @param {File} file - The image file.
+ * @returns {Promise<File | null>}
+ */
+export const createThumbnailOrNull = async (file) => {
+    try {
+        return await createThumbnail(file, "Thumbnail creation failed");
+    } catch (error) {
+        console.error("Thumbnail creation failed:", error);
+        return null;
+    }
+};
+
 /**
  * Rotates an image file 90 degrees clockwise.
  *
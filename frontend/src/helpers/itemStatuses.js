@@ -0,0 +1,100 @@
+// Item statuses as configured in the app settings. The providers only store the key
+// of an item's status; which statuses exist, what they are called and which may follow
+// which is kept here, per browser.
+
+/**
+ * Statuses used until others are configured. `next` lists the statuses an item may be
+ * switched to from this one. Labels of these keys come from the translations.
+ * @type {{ key: string, label?: string, next: string[] }[]}
+ */
+export const DEFAULT_ITEM_STATUSES = [
+  { key: "clean", next: ["worn", "laundry", "tailor", "lent", "stored"] },
+  { key: "worn", next: ["clean", "laundry"] },
+  { key: "laundry", next: ["clean", "tailor"] },
+  { key: "tailor", next: ["clean"] },
+  { key: "lent", next: ["clean", "laundry"] },
+  { key: "stored", next: ["clean", "laundry"] },
+];
+
+const DEFAULT_LABELS = {
+  clean: "Clean",
+  worn: "Being worn",
+  laundry: "In the laundry",
+  tailor: "At the tailor",
+  lent: "Lent out",
+  stored: "Stored away",
+};
+
+/**
+ * Turns a label into a status key, e.g. "Dry cleaning" into "dry_cleaning".
+ * @param {string} label
+ * @returns {string}
+ */
+export const statusKeyFromLabel = (label) =>
+  String(label ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+
+/**
+ * Brings configured statuses into shape: unique keys, and transitions that only
+ * name statuses that exist. Falls back to the defaults when nothing usable is given.
+ * @param {*} statuses
+ * @returns {{ key: string, label?: string, next: string[] }[]}
+ */
+export const normalizeItemStatuses = (statuses) => {
+  if (!Array.isArray(statuses)) return DEFAULT_ITEM_STATUSES;
+  const seen = new Set();
+  const valid = statuses.filter((status) => {
+    const key = status?.key;
+    if (typeof key !== "string" || key === "" || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (valid.length === 0) return DEFAULT_ITEM_STATUSES;
+  return valid.map((status) => ({
+    ...status,
+    next: (Array.isArray(status.next) ? status.next : []).filter(
+      (key) => key !== status.key && seen.has(key),
+    ),
+  }));
+};
+
+/**
+ * Label of a status key. Keys that are no longer configured are shown as they are.
+ * @param {import('react-intl').IntlShape} intl
+ * @param {{ key: string, label?: string }[]} statuses
+ * @param {string | null} key
+ * @returns {string}
+ */
+export const getStatusLabel = (intl, statuses, key) => {
+  if (!key) {
+    return intl.formatMessage({
+      id: "status.none",
+      defaultMessage: "No status",
+    });
+  }
+  const status = statuses.find((s) => s.key === key);
+  if (status?.label) return status.label;
+  if (DEFAULT_LABELS[key]) {
+    return intl.formatMessage({
+      id: `status.${key}`,
+      defaultMessage: DEFAULT_LABELS[key],
+    });
+  }
+  return key;
+};
+
+/**
+ * Statuses an item in the given status may be switched to. An item without a
+ * status, or with one that is no longer configured, may be put in any of them.
+ * @param {{ key: string, next: string[] }[]} statuses
+ * @param {string | null} key
+ * @returns {string[]}
+ */
+export const getNextStatuses = (statuses, key) => {
+  const current = statuses.find((s) => s.key === key);
+  if (!current) return statuses.map((s) => s.key).filter((k) => k !== key);
+  return current.next;
+};
@@ -0,0 +1,156 @@
+import { unreturnedEntries } from "../api/providerUtils";
+
+// Printable packing lists. The page is a standalone HTML document, so it can be saved as a file
+// or printed, which browsers also offer to save as a PDF.
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const PRINT_STYLES = `
+  body { margin: 2em; font-family: sans-serif; color: #000; }
+  h1 { margin: 0 0 0.2em; }
+  .dates, .note { margin: 0 0 0.5em; color: #444; }
+  .unreturned-summary { font-weight: bold; color: #b00020; }
+  table { width: 100%; border-collapse: collapse; margin-top: 1em; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ccc; text-align: left; }
+  th.check, td.check { width: 6em; text-align: center; }
+  tr.unreturned td { font-weight: bold; color: #b00020; }
+  @media print { body { margin: 0; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * Builds a printable page of a packing list with a box per piece of clothing to tick when it is
+ * packed and again when it is back. Clothes not returned after the trip are marked.
+ * @param {import("../api/apiSchema").PackingList} packingList
+ * @param {Map<string, object>} itemsByUuid - Items by UUID; entries of other items are left out.
+ * @param {object[]} locations - For showing where each piece is kept.
+ * @param {import("react-intl").IntlShape} intl
+ * @returns {string} The HTML document.
+ */
+export const buildPackingListHtml = (
+  packingList,
+  itemsByUuid,
+  locations,
+  intl,
+) => {
+  const formatDay = (value) =>
+    intl.formatDate(`${value}T00:00:00`, { dateStyle: "medium" });
+  const unreturned = new Set(
+    unreturnedEntries(packingList).map((entry) => entry.item_uuid),
+  );
+  const entries = packingList.entries.filter((entry) =>
+    itemsByUuid.has(entry.item_uuid),
+  );
+  const checkbox = (checked) => (checked ? "&#9745;" : "&#9744;");
+
+  const rows = entries
+    .map((entry) => {
+      const item = itemsByUuid.get(entry.item_uuid);
+      const location = locations.find(
+        (loc) => loc.location_id === item.location_id,
+      );
+      return `<tr${unreturned.has(entry.item_uuid) ? ' class="unreturned"' : ""}>
+        <td>${escapeHtml(item.name)}</td>
+        <td>${escapeHtml(location?.name)}</td>
+        <td class="check">${checkbox(entry.packed)}</td>
+        <td class="check">${checkbox(entry.returned)}</td>
+      </tr>`;
+    })
+    .join("\n");
+
+  const dates =
+    packingList.starts_on || packingList.ends_on
+      ? [packingList.starts_on, packingList.ends_on]
+          .map((value) => (value ? formatDay(value) : ""))
+          .join(" – ")
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(intl.locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(packingList.name)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(packingList.name)}</h1>
+${dates ? `<p class="dates">${escapeHtml(dates)}</p>` : ""}
+${packingList.note ? `<p class="note">${escapeHtml(packingList.note)}</p>` : ""}
+${
+  unreturned.size > 0
+    ? `<p class="unreturned-summary">${escapeHtml(
+        intl.formatMessage(
+          {
+            id: "packingLists.unreturnedCount",
+            defaultMessage:
+              "{count, plural, one {# piece of clothing has} other {# clothes have}} not come back.",
+          },
+          { count: unreturned.size },
+        ),
+      )}</p>`
+    : ""
+}
+<table>
+<thead>
+<tr>
+  <th>${escapeHtml(intl.formatMessage({ id: "packingLists.print.item", defaultMessage: "Clothing" }))}</th>
+  <th>${escapeHtml(intl.formatMessage({ id: "packingLists.print.location", defaultMessage: "Location" }))}</th>
+  <th class="check">${escapeHtml(intl.formatMessage({ id: "packingLists.packed", defaultMessage: "Packed" }))}</th>
+  <th class="check">${escapeHtml(intl.formatMessage({ id: "packingLists.returned", defaultMessage: "Returned" }))}</th>
+</tr>
+</thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Opens the page in a new window and the browser's print dialog on it.
+ * @param {string} html
+ * @returns {boolean} False when the browser blocked the window.
+ */
+export const printPackingList = (html) => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) return false;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
+
+/**
+ * Downloads the page as an HTML file named after the list.
+ * @param {string} html
+ * @param {string} name - Name of the packing list.
+ */
+export const downloadPackingListHtml = (html, name) => {
+  const fileName = `${
+    String(name)
+      .trim()
+      .replace(/[\\/:*?"<>|]+/g, "_") || "packing-list"
+  }.html`;
+  const url = URL.createObjectURL(
+    new Blob([html], { type: "text/html;charset=utf-8" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,168 @@
+import { getProviderEndpoint } from "../api/providerRegistry";
+
+// Checkpoints of imports that did not finish, so they can be resumed or rolled back.
+// Kept in an IndexedDB database of their own, like the outbox, one per provider endpoint.
+// Next to the progress the providers report, a checkpoint may hold a backup export of the
+// data from before the import; rolling back imports that backup.
+
+const DB_NAME = "InventoryImport";
+const DB_VERSION = 2;
+const CHECKPOINTS = "checkpoints";
+const BACKUPS = "backups";
+const COMPLETED_ITEMS = "completedItems"; // Items an import has finished, one row each (since version 2)
+
+// All completed items of a scope
+const completedItemsOf = (scope) =>
+  IDBKeyRange.bound([scope, ""], [scope, "\uffff"]);
+
+let dbPromise = null;
+
+const openImportDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(CHECKPOINTS)) {
+        db.createObjectStore(CHECKPOINTS, { keyPath: "scope" });
+      }
+      // Backups are large, so they are not rewritten with every checkpoint
+      if (!db.objectStoreNames.contains(BACKUPS)) {
+        db.createObjectStore(BACKUPS);
+      }
+      // Neither is the list of completed items, which grows with every item
+      if (!db.objectStoreNames.contains(COMPLETED_ITEMS)) {
+        const completedItems = db.createObjectStore(COMPLETED_ITEMS, {
+          keyPath: ["scope", "itemId"],
+        });
+        // Version 1 kept the list in the checkpoint itself
+        const transaction = event.target.transaction;
+        transaction.objectStore(CHECKPOINTS).openCursor().onsuccess = (
+          cursorEvent,
+        ) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          const { completedItemIds = [], ...progress } =
+            cursor.value.progress || {};
+          completedItemIds.forEach((itemId) =>
+            completedItems.put({ scope: cursor.value.scope, itemId }),
+          );
+          if (cursor.value.progress)
+            cursor.update({ ...cursor.value, progress });
+          cursor.continue();
+        };
+      }
+    };
+    request.onsuccess = (event) => resolve(event.target.result);
+    request.onerror = (event) => {
+      dbPromise = null;
+      reject(
+        new Error(
+          `Failed to open the import checkpoints: ${event.target.error}`,
+        ),
+      );
+    };
+  });
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openImportDB();
+  return new Promise((resolve, reject) => {
+    const request = createRequest(
+      db.transaction(storeName, mode).objectStore(storeName),
+    );
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () =>
+      reject(new Error(`Import checkpoint request failed: ${request.error}`));
+  });
+};
+
+/**
+ * Identifies the database an import writes to.
+ * @param {string} providerType
+ * @param {object} providerSettings - Settings of that provider.
+ */
+export const getImportScope = (providerType, providerSettings) =>
+  getProviderEndpoint(providerType, providerSettings);
+
+/**
+ * The checkpoint of the unfinished import into a scope, or null. Its progress lists every
+ * item completed so far in completedItemIds.
+ * @returns {Promise<{ scope: string, fileName: string, fileSize: number, fileLastModified: number, startedAt: string, hasBackup: boolean, progress: object | null } | null>}
+ */
+export const readImportCheckpoint = async (scope) => {
+  const checkpoint = await runRequest(CHECKPOINTS, "readonly", (store) =>
+    store.get(scope),
+  );
+  if (!checkpoint?.progress) return checkpoint || null;
+  const completedItems = await runRequest(
+    COMPLETED_ITEMS,
+    "readonly",
+    (store) => store.getAll(completedItemsOf(scope)),
+  );
+  return {
+    ...checkpoint,
+    progress: {
+      ...checkpoint.progress,
+      completedItemIds: completedItems.map((row) => row.itemId),
+    },
+  };
+};
+
+/**
+ * Saves a checkpoint. The items in its progress.addedCompletedItemIds are added to those
+ * completed before, so that a checkpoint costs the same to save however far the import is.
+ */
+export const saveImportCheckpoint = async (checkpoint) => {
+  const { addedCompletedItemIds = [], ...progress } = checkpoint.progress || {};
+  const db = await openImportDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      [CHECKPOINTS, COMPLETED_ITEMS],
+      "readwrite",
+    );
+    transaction
+      .objectStore(CHECKPOINTS)
+      .put({ ...checkpoint, progress: checkpoint.progress && progress });
+    // A new import has not completed anything, whatever an earlier one left behind
+    if (!checkpoint.progress) {
+      transaction
+        .objectStore(COMPLETED_ITEMS)
+        .delete(completedItemsOf(checkpoint.scope));
+    }
+    addedCompletedItemIds.forEach((itemId) =>
+      transaction
+        .objectStore(COMPLETED_ITEMS)
+        .put({ scope: checkpoint.scope, itemId }),
+    );
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () =>
+      reject(
+        new Error(`Import checkpoint request failed: ${transaction.error}`),
+      );
+  });
+};
+
+/** Stores the export taken before an import into the scope. */
+export const saveImportBackup = (scope, blob) =>
+  runRequest(BACKUPS, "readwrite", (store) => store.put(blob, scope));
+
+export const readImportBackup = async (scope) =>
+  (await runRequest(BACKUPS, "readonly", (store) => store.get(scope))) || null;
+
+/** Forgets the checkpoint of a scope and its backup. */
+export const clearImportCheckpoint = async (scope) => {
+  await runRequest(CHECKPOINTS, "readwrite", (store) => store.delete(scope));
+  await runRequest(COMPLETED_ITEMS, "readwrite", (store) =>
+    store.delete(completedItemsOf(scope)),
+  );
+  await runRequest(BACKUPS, "readwrite", (store) => store.delete(scope));
+};
+
+/** Tells whether a chosen file is the one an unfinished import was reading. */
+export const isCheckpointFile = (checkpoint, file) =>
+  Boolean(checkpoint && file) &&
+  checkpoint.fileName === file.name &&
+  checkpoint.fileSize === file.size &&
+  checkpoint.fileLastModified === file.lastModified;
@@ -0,0 +1,56 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb'
+
+// A fresh copy of the store on its own database, as the store keeps its connection
+const loadStore = async (factory = new IDBFactory()) => {
+  vi.resetModules()
+  vi.stubGlobal('indexedDB', factory)
+  vi.stubGlobal('IDBKeyRange', IDBKeyRange)
+  return import('./importCheckpointStore')
+}
+
+const started = { scope: 'datasette:http://db.test', fileName: 'export.zip', fileSize: 10, fileLastModified: 1, startedAt: '2026-10-01T00:00:00.000Z', hasBackup: false, progress: null }
+const progress = (addedCompletedItemIds, startedItemId = null) => ({ cleared: true, idMaps: { locations: { 1: 10 } }, addedCompletedItemIds, startedItemId })
+
+describe('import checkpoints', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('collects the items completed over many checkpoints', async () => {
+    const store = await loadStore()
+    await store.saveImportCheckpoint(started)
+    await store.saveImportCheckpoint({ ...started, progress: progress(['1']) })
+    await store.saveImportCheckpoint({ ...started, progress: progress([], '2') })
+    await store.saveImportCheckpoint({ ...started, progress: progress(['2']) })
+
+    expect(await store.readImportCheckpoint(started.scope)).toEqual({
+      ...started,
+      progress: { cleared: true, idMaps: { locations: { 1: 10 } }, startedItemId: null, completedItemIds: ['1', '2'] },
+    })
+
+    // A new import starts from nothing
+    await store.saveImportCheckpoint(started)
+    await store.saveImportCheckpoint({ ...started, progress: progress([]) })
+    expect((await store.readImportCheckpoint(started.scope)).progress.completedItemIds).toEqual([])
+
+    await store.clearImportCheckpoint(started.scope)
+    expect(await store.readImportCheckpoint(started.scope)).toBeNull()
+  })
+
+  it('moves the completed items out of a checkpoint saved by version 1', async () => {
+    const factory = new IDBFactory()
+    const request = factory.open('InventoryImport', 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('checkpoints', { keyPath: 'scope' })
+        .put({ ...started, progress: { cleared: true, idMaps: {}, completedItemIds: ['1', '2'], startedItemId: '3' } })
+      request.result.createObjectStore('backups')
+    }
+    await new Promise((resolve) => (request.onsuccess = resolve))
+    request.result.close()
+
+    const store = await loadStore(factory)
+    await store.saveImportCheckpoint({ ...started, progress: progress(['3']) })
+
+    expect((await store.readImportCheckpoint(started.scope)).progress.completedItemIds).toEqual(['1', '2', '3'])
+  })
+})
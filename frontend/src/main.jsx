@@ -4,13 +4,19 @@ import App from "./App.jsx";
 import { ApiProvider } from "./api/ApiContext.jsx";
 import { TranslationProvider } from "./translations/TranslationContext.jsx";
 import { SettingsProvider } from "./settings/SettingsContext.jsx";
+import { UndoProvider } from "./undo/UndoContext.jsx";
+import { OutboxProvider } from "./outbox/OutboxContext.jsx";
 import "./main.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <SettingsProvider>
     <TranslationProvider>
       <ApiProvider>
-        <App />
+        <UndoProvider>
+          <OutboxProvider>
+            <App />
+          </OutboxProvider>
+        </UndoProvider>
       </ApiProvider>
     </TranslationProvider>
   </SettingsProvider>,
@@ -0,0 +1,252 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+} from "react";
+import { v4 as uuidv4 } from "uuid";
+import { useApi } from "../api/ApiContext";
+import {
+  QUEUEABLE_METHODS,
+  getOutboxScope,
+  listOperations,
+  addOperation,
+  updateOperation,
+  deleteOperation,
+  isConnectivityError,
+  toQueuedData,
+  loadLookups,
+  replayOperation,
+} from "./outboxStore";
+
+// Only the providers behind a server can become unreachable
+const REMOTE_PROVIDERS = ["datasette", "postgrest"];
+// How often waiting changes are retried while the server seems to be down
+const RETRY_INTERVAL_MS = 30000;
+
+const OutboxContext = createContext(null);
+
+export const useOutbox = () => {
+  const context = useContext(OutboxContext);
+  if (!context) {
+    throw new Error("useOutbox must be used within an OutboxProvider");
+  }
+  return context;
+};
+
+const isBrowserOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+export const OutboxProvider = ({ children }) => {
+  const api = useApi();
+  const scope =
+    api.isConfigured && REMOTE_PROVIDERS.includes(api.apiProviderType)
+      ? getOutboxScope(
+          api.apiProviderType,
+          api.apiSettings?.[api.apiProviderType],
+        )
+      : null;
+  // Operations of the current provider, oldest first
+  const [operations, setOperations] = useState([]);
+  const [isOnline, setIsOnline] = useState(!isBrowserOffline());
+  const [isSyncing, setIsSyncing] = useState(false);
+  // Bumped after a sync changed something, so views know to fetch their data again
+  const [syncRevision, setSyncRevision] = useState(0);
+  const syncingRef = useRef(false);
+
+  const reload = useCallback(async () => {
+    if (!scope) {
+      setOperations([]);
+      return;
+    }
+    try {
+      setOperations(await listOperations(scope));
+    } catch (err) {
+      console.error("Failed to read the outbox:", err);
+    }
+  }, [scope]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const enqueue = useCallback(
+    async (methodName, inputData, { item, lookups }) => {
+      const data = { ...inputData };
+      // Not known yet for items added offline; item_uuid stands in
+      delete data.item_id;
+      delete data.item_ids;
+      delete data.item_uuid;
+      // Lets replay tell whether the wear event reached the server already
+      if (methodName === "addWearEvent") data.uuid = uuidv4();
+      const itemUuid = methodName === "addItem" ? uuidv4() : item?.uuid;
+      if (!itemUuid) throw new Error("The item to change has no UUID.");
+      await addOperation({
+        scope,
+        method: methodName,
+        item_uuid: itemUuid,
+        item_name: data.name ?? item?.name ?? "",
+        data: methodName === "deleteItem" ? null : toQueuedData(data, lookups),
+        status: "pending",
+        error: null,
+        created_at: new Date().toISOString(),
+      });
+      await reload();
+      return { success: true, queued: true };
+    },
+    [scope, reload],
+  );
+
+  const hasPending = operations.some((op) => op.status === "pending");
+
+  /**
+   * Runs an item change, or queues it when the server cannot be reached.
+   * Once a change waits in the outbox, later ones queue up behind it to keep their order.
+   * Resolves to the provider result, or to `{ success: true, queued: true }`.
+   * @param {string} methodName - One of QUEUEABLE_METHODS; other methods always run.
+   * @param {object} inputData - Input of the method.
+   * @param {{ run: () => Promise<object>, item?: object, lookups: object }} options - `run` performs
+   *   the change online; `item` is the item being changed and `lookups` the lists its IDs refer to.
+   */
+  const submit = useCallback(
+    async (methodName, inputData, { run, item, lookups }) => {
+      if (!scope || !QUEUEABLE_METHODS.includes(methodName)) return run();
+      if (!isOnline || hasPending || item?.queued) {
+        return enqueue(methodName, inputData, { item, lookups });
+      }
+      try {
+        return await run();
+      } catch (err) {
+        if (!isConnectivityError(err)) throw err;
+        setIsOnline(false);
+        return enqueue(methodName, inputData, { item, lookups });
+      }
+    },
+    [scope, isOnline, hasPending, enqueue],
+  );
+
+  /**
+   * Runs a change that cannot wait in the outbox. When the server turns out to be
+   * unreachable, `isOffline` becomes true so views can disable such changes until it is back.
+   * @param {() => Promise<object>} run - Performs the change.
+   */
+  const runOnline = useCallback(
+    async (run) => {
+      try {
+        return await run();
+      } catch (err) {
+        if (scope && isConnectivityError(err)) setIsOnline(false);
+        throw err;
+      }
+    },
+    [scope],
+  );
+
+  // Replays the pending operations in order. A failed one is kept with its error
+  // and replay goes on with the next; losing the connection stops it.
+  const sync = useCallback(async () => {
+    if (!scope || syncingRef.current || isBrowserOffline()) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    let changed = false;
+    try {
+      const pending = (await listOperations(scope)).filter(
+        (op) => op.status === "pending",
+      );
+      // Also tells whether the server answers again
+      const lookups = await loadLookups(api);
+      setIsOnline(true);
+      for (const op of pending) {
+        try {
+          await replayOperation(api, op, lookups);
+          await deleteOperation(op.op_id);
+        } catch (err) {
+          if (isConnectivityError(err)) {
+            setIsOnline(false);
+            break;
+          }
+          console.error(`Failed to replay outbox operation ${op.op_id}:`, err);
+          await updateOperation({
+            ...op,
+            status: "failed",
+            error: err.message,
+          });
+        }
+        changed = true;
+      }
+    } catch (err) {
+      if (isConnectivityError(err)) {
+        setIsOnline(false);
+      } else {
+        console.error("Failed to sync the outbox:", err);
+      }
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      await reload();
+      if (changed) setSyncRevision((r) => r + 1);
+    }
+  }, [api, scope, reload]);
+
+  const retry = useCallback(
+    async (opId) => {
+      const op = operations.find((o) => o.op_id === opId);
+      if (!op) return;
+      await updateOperation({ ...op, status: "pending", error: null });
+      await reload();
+      sync();
+    },
+    [operations, reload, sync],
+  );
+
+  const discard = useCallback(
+    async (opId) => {
+      await deleteOperation(opId);
+      await reload();
+    },
+    [reload],
+  );
+
+  // The browser only knows whether there is a network, not whether the server answers
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sync();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [sync]);
+
+  // Keep trying while changes are waiting or the server seems to be down
+  useEffect(() => {
+    if (!scope || (!hasPending && isOnline)) return;
+    sync();
+    const timer = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [scope, hasPending, isOnline, sync]);
+
+  const value = {
+    isEnabled: !!scope,
+    operations,
+    isOnline,
+    isOffline: !!scope && !isOnline,
+    isSyncing,
+    syncRevision,
+    submit,
+    runOnline,
+    sync,
+    retry,
+    discard,
+  };
+
+  return (
+    <OutboxContext.Provider value={value}>{children}</OutboxContext.Provider>
+  );
+};
@@ -0,0 +1,319 @@
+import { getProviderEndpoint } from "../api/providerRegistry";
+
+// A local outbox for item changes that could not reach a remote provider.
+// Operations are kept in an IndexedDB database of their own, apart from the data
+// of the IndexedDB provider, and replayed in the order they were made.
+// Queued changes refer to items, locations, categories, owners, tags and custom
+// fields by UUID, because the provider IDs of items added offline are not known yet.
+
+const DB_NAME = "InventoryOutbox";
+const DB_VERSION = 1;
+const STORE = "operations";
+
+/** Methods whose calls can wait in the outbox. */
+export const QUEUEABLE_METHODS = [
+  "addItem",
+  "updateItem",
+  "deleteItem",
+  "setItemStatus",
+  "addWearEvent",
+];
+
+let dbPromise = null;
+
+const openOutboxDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, {
+          keyPath: "op_id",
+          autoIncrement: true,
+        });
+        store.createIndex("scope", "scope");
+      }
+    };
+    request.onsuccess = (event) => resolve(event.target.result);
+    request.onerror = (event) => {
+      dbPromise = null;
+      reject(new Error(`Failed to open the outbox: ${event.target.error}`));
+    };
+  });
+  return dbPromise;
+};
+
+const runRequest = async (mode, createRequest) => {
+  const db = await openOutboxDB();
+  return new Promise((resolve, reject) => {
+    const request = createRequest(
+      db.transaction(STORE, mode).objectStore(STORE),
+    );
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () =>
+      reject(new Error(`Outbox request failed: ${request.error}`));
+  });
+};
+
+/**
+ * Identifies the server whose changes an operation belongs to, so switching providers
+ * never replays changes against the wrong database.
+ * @param {string} providerType
+ * @param {object} providerSettings - Settings of that provider.
+ */
+export const getOutboxScope = (providerType, providerSettings) =>
+  getProviderEndpoint(providerType, providerSettings);
+
+/** Lists the operations of a scope, oldest first. */
+export const listOperations = async (scope) => {
+  const operations = await runRequest("readonly", (store) =>
+    store.index("scope").getAll(scope),
+  );
+  return operations.sort((a, b) => a.op_id - b.op_id);
+};
+
+/** Stores a new operation; resolves to its op_id. */
+export const addOperation = (operation) =>
+  runRequest("readwrite", (store) => store.add(operation));
+
+export const updateOperation = (operation) =>
+  runRequest("readwrite", (store) => store.put(operation));
+
+export const deleteOperation = (opId) =>
+  runRequest("readwrite", (store) => store.delete(opId));
+
+/**
+ * Tells whether an error means the server could not be reached, rather than that it refused the change.
+ * fetch rejects with a TypeError whose message differs between browsers; providers sometimes wrap it.
+ */
+export const isConnectivityError = (err) =>
+  (typeof navigator !== "undefined" && navigator.onLine === false) ||
+  /failed to fetch|networkerror|load failed|network request failed/i.test(
+    err?.message || "",
+  );
+
+// Fields of an item change that point at other entities, and the lists to find them in
+const REFERENCES = [
+  {
+    field: "location_id",
+    uuidField: "location_uuid",
+    list: "locations",
+    idField: "location_id",
+  },
+  {
+    field: "category_id",
+    uuidField: "category_uuid",
+    list: "categories",
+    idField: "category_id",
+  },
+  {
+    field: "owner_id",
+    uuidField: "owner_uuid",
+    list: "owners",
+    idField: "owner_id",
+  },
+];
+
+const findRow = (rows, key, value) =>
+  (rows || []).find((row) => String(row[key]) === String(value));
+
+const uuidOf = (rows, idField, id) => {
+  const row = findRow(rows, idField, id);
+  if (!row?.uuid) throw new Error(`No UUID is known for ${idField} ${id}.`);
+  return row.uuid;
+};
+
+const idOf = (rows, idField, uuid) => {
+  const row = findRow(rows, "uuid", uuid);
+  if (!row) {
+    throw new Error(
+      `The ${idField.replace(/_id$/, "")} this change refers to no longer exists.`,
+    );
+  }
+  return row[idField];
+};
+
+/**
+ * Rewrites the IDs in the input of addItem or updateItem to UUIDs for the outbox.
+ * `field_values` stay keyed by field, but by the field's UUID.
+ * @param {object} data - The input, without item_id.
+ * @param {{ locations: object[], categories: object[], owners: object[], tags: object[], customFields: object[] }} lookups
+ *   The lists the IDs are looked up in.
+ */
+export const toQueuedData = (data, lookups) => {
+  const { tag_ids: tagIds, field_values: fieldValues, ...rest } = data;
+  const queued = { ...rest };
+  REFERENCES.forEach(({ field, uuidField, list, idField }) => {
+    if (rest[field] === undefined) return;
+    delete queued[field];
+    queued[uuidField] =
+      rest[field] === null ? null : uuidOf(lookups[list], idField, rest[field]);
+  });
+  if (tagIds !== undefined) {
+    queued.tag_uuids = tagIds.map((tagId) =>
+      uuidOf(lookups.tags, "tag_id", tagId),
+    );
+  }
+  if (fieldValues !== undefined) {
+    queued.field_values = Object.fromEntries(
+      Object.entries(fieldValues).map(([fieldId, value]) => [
+        uuidOf(lookups.customFields, "field_id", fieldId),
+        value,
+      ]),
+    );
+  }
+  return queued;
+};
+
+/**
+ * Turns queued data back into provider input, looking the UUIDs up in current lists.
+ * Throws when something the change refers to has been deleted meanwhile.
+ */
+export const fromQueuedData = (queued, lookups) => {
+  const { tag_uuids: tagUuids, field_values: fieldValues, ...rest } = queued;
+  const data = { ...rest };
+  REFERENCES.forEach(({ field, uuidField, list, idField }) => {
+    if (rest[uuidField] === undefined) return;
+    delete data[uuidField];
+    data[field] =
+      rest[uuidField] === null
+        ? null
+        : idOf(lookups[list], idField, rest[uuidField]);
+  });
+  if (tagUuids !== undefined) {
+    data.tag_ids = tagUuids.map((uuid) => idOf(lookups.tags, "tag_id", uuid));
+  }
+  if (fieldValues !== undefined) {
+    data.field_values = Object.fromEntries(
+      Object.entries(fieldValues).map(([uuid, value]) => [
+        idOf(lookups.customFields, "field_id", uuid),
+        value,
+      ]),
+    );
+  }
+  return data;
+};
+
+/**
+ * Shows the pending operations on top of a list of items, as if they had been saved already.
+ * Items added offline get a temporary item_id and are marked with `queued: "add"`,
+ * items with changes still waiting with `queued: "update"`. Failed operations are left out.
+ * @param {object[]} items - Items as loaded from the provider.
+ * @param {object[]} operations - Outbox operations, oldest first.
+ * @param {object} lookups - See toQueuedData.
+ */
+export const applyQueuedOperations = (items, operations, lookups) => {
+  let result = items;
+  operations
+    .filter((op) => op.status === "pending")
+    .forEach((op) => {
+      let data;
+      try {
+        data = fromQueuedData(op.data || {}, lookups);
+      } catch {
+        return; // Replay will report it
+      }
+      const { imageFile, thumbnailFile, removeImage, uuid, ...fields } = data;
+      if (op.method === "addItem") {
+        result = [
+          {
+            tag_ids: [],
+            field_values: {},
+            ...fields,
+            item_id: `queued-${op.op_id}`,
+            uuid: op.item_uuid,
+            image_uuid: null,
+            deleted_at: null,
+            created_at: op.created_at,
+            queued: "add",
+            queued_image_file: imageFile instanceof File ? imageFile : null,
+          },
+          ...result,
+        ];
+      } else if (op.method === "updateItem" || op.method === "setItemStatus") {
+        result = result.map((item) =>
+          item.uuid === op.item_uuid
+            ? {
+                ...item,
+                ...fields,
+                ...(removeImage ? { image_uuid: null } : {}),
+                queued: item.queued || "update",
+              }
+            : item,
+        );
+      } else if (op.method === "deleteItem") {
+        result = result.filter((item) => item.uuid !== op.item_uuid);
+      } else if (op.method === "addWearEvent") {
+        result = result.map((item) =>
+          item.uuid === op.item_uuid
+            ? {
+                ...item,
+                wear_count: (Number(item.wear_count) || 0) + 1,
+                last_worn_on:
+                  item.last_worn_on && item.last_worn_on > fields.worn_on
+                    ? item.last_worn_on
+                    : fields.worn_on,
+                queued: item.queued || "update",
+              }
+            : item,
+        );
+      }
+    });
+  return result;
+};
+
+/** Loads the lists that queued changes are resolved against. */
+export const loadLookups = async (api) => {
+  const [locations, categories, owners, tags, customFields] = await Promise.all(
+    [
+      api.listLocations(),
+      api.listCategories(),
+      api.listOwners(),
+      api.listTags(),
+      api.listCustomFields(),
+    ],
+  );
+  return { locations, categories, owners, tags, customFields };
+};
+
+/**
+ * Sends one queued operation to the provider. Throws when it cannot be applied.
+ * An item that already exists under the queued UUID counts as added, in case the
+ * add reached the server but its response did not come back; the same goes for wear events.
+ * @param {object} api - The ApiContext value.
+ * @param {object} op - The outbox operation.
+ * @param {object} lookups - See loadLookups.
+ */
+export const replayOperation = async (api, op, lookups) => {
+  const data = op.data ? fromQueuedData(op.data, lookups) : null;
+  const item = await api.getItemByUuid({ uuid: op.item_uuid });
+  let result;
+  if (op.method === "addItem") {
+    result = item
+      ? { success: true, newId: item.item_id }
+      : await api.addItem({ ...data, uuid: op.item_uuid });
+  } else if (!item) {
+    throw new Error("The item no longer exists.");
+  } else if (op.method === "updateItem") {
+    result = await api.updateItem({ ...data, item_id: item.item_id });
+  } else if (op.method === "setItemStatus") {
+    result = await api.setItemStatus({
+      item_ids: [item.item_id],
+      status: data.status,
+    });
+  } else if (op.method === "addWearEvent") {
+    const wearEvents = await api.listWearEvents({ item_uuid: op.item_uuid });
+    result = wearEvents.some((wearEvent) => wearEvent.uuid === data.uuid)
+      ? { success: true }
+      : await api.addWearEvent({ ...data, item_uuid: op.item_uuid });
+  } else {
+    result = await api.deleteItem({ item_id: item.item_id });
+  }
+  if (!result?.success) {
+    throw new Error(
+      result?.message || result?.errorCode || "The change was refused.",
+    );
+  }
+  return result;
+};
@@ -0,0 +1,130 @@
+import { toQueuedData, fromQueuedData, applyQueuedOperations, replayOperation, isConnectivityError } from './outboxStore'
+
+const lookups = {
+  locations: [{ location_id: 1, uuid: 'loc-a' }, { location_id: 2, uuid: 'loc-b' }],
+  categories: [{ category_id: 3, uuid: 'cat-a' }],
+  owners: [{ owner_id: 4, uuid: 'own-a' }],
+  tags: [{ tag_id: 5, uuid: 'tag-a' }, { tag_id: 6, uuid: 'tag-b' }],
+  customFields: [{ field_id: 7, uuid: 'field-a' }],
+}
+
+const change = {
+  name: 'Scarf',
+  location_id: 2,
+  category_id: 3,
+  owner_id: 4,
+  tag_ids: [6, 5],
+  field_values: { 7: 'wool' },
+}
+
+describe('outbox references', () => {
+  it('stores references by UUID and resolves them back to IDs', () => {
+    const queued = toQueuedData(change, lookups)
+    expect(queued).toEqual({
+      name: 'Scarf',
+      location_uuid: 'loc-b',
+      category_uuid: 'cat-a',
+      owner_uuid: 'own-a',
+      tag_uuids: ['tag-b', 'tag-a'],
+      field_values: { 'field-a': 'wool' },
+    })
+    expect(fromQueuedData(queued, lookups)).toEqual(change)
+  })
+
+  it('fails to resolve a reference that no longer exists', () => {
+    const queued = toQueuedData(change, lookups)
+    expect(() => fromQueuedData(queued, { ...lookups, locations: [] })).toThrow('location')
+  })
+})
+
+describe('outbox operations', () => {
+  const queued = toQueuedData(change, lookups)
+
+  it('shows pending operations on top of the loaded items', () => {
+    const items = [
+      { item_id: 10, uuid: 'item-a', name: 'Hat', location_id: 1 },
+      { item_id: 11, uuid: 'item-b', name: 'Coat', location_id: 1 },
+    ]
+    const operations = [
+      { op_id: 1, method: 'addItem', item_uuid: 'item-c', data: queued, status: 'pending' },
+      { op_id: 2, method: 'updateItem', item_uuid: 'item-a', data: { name: 'Cap', location_uuid: 'loc-b' }, status: 'pending' },
+      { op_id: 3, method: 'deleteItem', item_uuid: 'item-b', data: null, status: 'pending' },
+      { op_id: 4, method: 'deleteItem', item_uuid: 'item-a', data: null, status: 'failed' },
+    ]
+    const shown = applyQueuedOperations(items, operations, lookups)
+    expect(shown.map(item => [item.item_id, item.name, item.queued])).toEqual([
+      ['queued-1', 'Scarf', 'add'],
+      [10, 'Cap', 'update'],
+    ])
+    expect(shown[1].location_id).toBe(2)
+  })
+
+  it('replays an update against the item found by UUID', async () => {
+    const calls = []
+    const api = {
+      getItemByUuid: async ({ uuid }) => (uuid === 'item-a' ? { item_id: 42, uuid } : null),
+      updateItem: async (data) => {
+        calls.push(data)
+        return { success: true }
+      },
+    }
+    await replayOperation(api, { method: 'updateItem', item_uuid: 'item-a', data: queued }, lookups)
+    expect(calls).toEqual([{ ...change, item_id: 42 }])
+    await expect(replayOperation(api, { method: 'updateItem', item_uuid: 'gone', data: queued }, lookups)).rejects.toThrow('no longer exists')
+  })
+
+  it('does not add an item twice when the first add reached the server', async () => {
+    const api = {
+      getItemByUuid: async ({ uuid }) => ({ item_id: 42, uuid }),
+      addItem: async () => {
+        throw new Error('should not be called')
+      },
+    }
+    const result = await replayOperation(api, { method: 'addItem', item_uuid: 'item-c', data: queued }, lookups)
+    expect(result.newId).toBe(42)
+  })
+
+  it('shows a queued status change and wear on the item', () => {
+    const items = [{ item_id: 10, uuid: 'item-a', name: 'Hat', status: null, wear_count: 2, last_worn_on: '2026-10-01' }]
+    const operations = [
+      { op_id: 1, method: 'setItemStatus', item_uuid: 'item-a', data: { status: 'laundry' }, status: 'pending' },
+      { op_id: 2, method: 'addWearEvent', item_uuid: 'item-a', data: { worn_on: '2026-10-18', uuid: 'wear-a' }, status: 'pending' },
+    ]
+    expect(applyQueuedOperations(items, operations, lookups)).toEqual([
+      { ...items[0], status: 'laundry', wear_count: 3, last_worn_on: '2026-10-18', queued: 'update' },
+    ])
+  })
+
+  it('replays a status change and a wear event against the item found by UUID', async () => {
+    const calls = []
+    const wearEvents = []
+    const api = {
+      getItemByUuid: async ({ uuid }) => ({ item_id: 42, uuid }),
+      setItemStatus: async (data) => {
+        calls.push(['setItemStatus', data])
+        return { success: true }
+      },
+      listWearEvents: async () => wearEvents,
+      addWearEvent: async (data) => {
+        calls.push(['addWearEvent', data])
+        wearEvents.push(data)
+        return { success: true }
+      },
+    }
+    const wear = { method: 'addWearEvent', item_uuid: 'item-a', data: { worn_on: '2026-10-18', uuid: 'wear-a' } }
+    await replayOperation(api, { method: 'setItemStatus', item_uuid: 'item-a', data: { status: 'laundry' } }, lookups)
+    await replayOperation(api, wear, lookups)
+    // The wear event reached the server already, e.g. before the response of the first replay was lost
+    await replayOperation(api, wear, lookups)
+
+    expect(calls).toEqual([
+      ['setItemStatus', { item_ids: [42], status: 'laundry' }],
+      ['addWearEvent', { worn_on: '2026-10-18', uuid: 'wear-a', item_uuid: 'item-a' }],
+    ])
+  })
+
+  it('tells unreachable servers from refused changes', () => {
+    expect(isConnectivityError(new TypeError('Failed to fetch'))).toBe(true)
+    expect(isConnectivityError(new Error('Item name is required.'))).toBe(false)
+  })
+})
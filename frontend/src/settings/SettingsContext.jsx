@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback } from "react";
 import { defaultLocale } from "../translations/i18n";
+import { DEFAULT_ITEM_STATUSES } from "../helpers/itemStatuses";
 
 export const LS_APP_SETTINGS_KEY = "clothinvAppSettings";
 
@@ -8,6 +9,9 @@ const defaultSettings = {
   apiProviderType: "indexedDB",
   apiSettings: {}, // Will be populated per provider, e.g., { datasette: {...}, postgrest: {...} }
   imageCompressionEnabled: true,
+  clientName: "", // Recorded as the actor of every change made from this browser
+  trashRetentionDays: 30, // Items stay in the trash this many days; 0 keeps them until the trash is emptied
+  itemStatuses: DEFAULT_ITEM_STATUSES, // Statuses an item can be in, and which may follow which
 };
 
 // Helper function to determine if a value is an object (and not an array or null)
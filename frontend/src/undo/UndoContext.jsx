@@ -0,0 +1,145 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+} from "react";
+import { useApi } from "../api/ApiContext";
+import { COMMAND_BUILDERS, createIdAliases } from "./undoCommands";
+
+// Older commands are dropped once the stack grows past this
+const MAX_UNDO_STEPS = 50;
+
+const UndoContext = createContext(null);
+
+export const useUndo = () => {
+  const context = useContext(UndoContext);
+  if (!context) {
+    throw new Error("useUndo must be used within an UndoProvider");
+  }
+  return context;
+};
+
+// Text fields keep the browser's own undo for what is typed into them
+const isTextInput = (element) =>
+  element?.isContentEditable ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(element?.tagName);
+
+export const UndoProvider = ({ children }) => {
+  const api = useApi();
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  // What the snackbar shows: { description, undone, error? }
+  const [lastAction, setLastAction] = useState(null);
+  // Bumped after every undo or redo, so views know to fetch their data again
+  const [revision, setRevision] = useState(0);
+  const [isBusy, setIsBusy] = useState(false);
+  const aliasesRef = useRef(createIdAliases());
+
+  // Commands only make sense against the data they were recorded on
+  useEffect(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+    setLastAction(null);
+    aliasesRef.current = createIdAliases();
+  }, [api.apiProviderType, api.apiSettings]);
+
+  /**
+   * Runs an API mutation and records how to take it back.
+   * Resolves to the provider result, like calling the ApiContext method directly.
+   * @param {string} methodName - One of the methods in COMMAND_BUILDERS.
+   * @param {object} inputData - Passed on to the method.
+   * @param {{ description: string, item?: object }} options - `description` is shown in the snackbar;
+   *   item commands also need the `item` as it was before the change.
+   */
+  const run = useCallback(
+    async (methodName, inputData, { description, ...context } = {}) => {
+      const build = COMMAND_BUILDERS[methodName];
+      if (!build) return api[methodName](inputData);
+      const command = await build(api, aliasesRef.current, inputData, context);
+      const result = await command.run();
+      if (result?.success) {
+        setUndoStack((stack) =>
+          [...stack, { ...command, description }].slice(-MAX_UNDO_STEPS),
+        );
+        setRedoStack([]);
+        setLastAction({ description, undone: false });
+      }
+      return result;
+    },
+    [api],
+  );
+
+  // Applies the top command of one stack and moves it onto the other.
+  // A command that fails stays where it was, so it can be tried again.
+  const step = useCallback(
+    async (fromStack, setFromStack, setToStack, isUndo) => {
+      const command = fromStack[fromStack.length - 1];
+      if (!command || isBusy) return;
+      setIsBusy(true);
+      try {
+        await (isUndo ? command.undo() : command.redo());
+        setFromStack((stack) => stack.slice(0, -1));
+        setToStack((stack) => [...stack, command]);
+        setLastAction({ description: command.description, undone: isUndo });
+      } catch (err) {
+        console.error(`Failed to ${isUndo ? "undo" : "redo"}:`, err);
+        setLastAction({
+          description: command.description,
+          undone: !isUndo,
+          error: err.message,
+        });
+      } finally {
+        setIsBusy(false);
+        setRevision((r) => r + 1);
+      }
+    },
+    [isBusy],
+  );
+
+  const undo = useCallback(
+    () => step(undoStack, setUndoStack, setRedoStack, true),
+    [step, undoStack],
+  );
+  const redo = useCallback(
+    () => step(redoStack, setRedoStack, setUndoStack, false),
+    [step, redoStack],
+  );
+  const dismiss = useCallback(() => setLastAction(null), []);
+  const canUndo = undoStack.length > 0 && !isBusy && api.writeAllowed;
+  const canRedo = redoStack.length > 0 && !isBusy && api.writeAllowed;
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd instead of Ctrl on macOS)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTextInput(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        if (canUndo) undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        if (canRedo) redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo, canUndo, canRedo]);
+
+  const value = {
+    run,
+    undo,
+    redo,
+    dismiss,
+    canUndo,
+    canRedo,
+    isBusy,
+    lastAction,
+    revision,
+  };
+
+  return <UndoContext.Provider value={value}>{children}</UndoContext.Provider>;
+};
@@ -0,0 +1,445 @@
+// Undoable commands built on top of the ApiContext methods.
+// A command runs one mutation and knows how to take it back. Its builder reads
+// whatever the inverse needs *before* the mutation runs: the fields of the edited
+// entity, or the image file that is about to be removed.
+
+/**
+ * Keeps track of entities that undo or redo had to create again under a new ID,
+ * so the commands recorded with the old ID still find them.
+ */
+export const createIdAliases = () => {
+  const aliases = {};
+  return {
+    set: (type, oldId, newId) => {
+      if (oldId !== newId) aliases[`${type}:${oldId}`] = newId;
+    },
+    resolve: (type, id) => {
+      let current = id;
+      const seen = new Set();
+      while (
+        aliases[`${type}:${current}`] !== undefined &&
+        !seen.has(current)
+      ) {
+        seen.add(current);
+        current = aliases[`${type}:${current}`];
+      }
+      return current;
+    },
+  };
+};
+
+// Fields that point at other entities, by the entity type they point at
+const REFERENCE_FIELDS = {
+  item_id: "item",
+  location_id: "location",
+  parent_location_id: "location",
+  category_id: "category",
+  parent_category_id: "category",
+  owner_id: "owner",
+};
+
+const resolveReferences = (aliases, data) =>
+  Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      REFERENCE_FIELDS[key] && value != null
+        ? aliases.resolve(REFERENCE_FIELDS[key], value)
+        : value,
+    ]),
+  );
+
+const pick = (row, fields) =>
+  Object.fromEntries(fields.map((field) => [field, row[field] ?? null]));
+
+// Provider methods report expected failures (e.g. ENTITY_IN_USE) in their result instead of throwing
+const ensureSuccess = (result) => {
+  if (result && result.success === false) {
+    const error = new Error(
+      result.message || result.errorCode || "The change could not be applied.",
+    );
+    error.errorCode = result.errorCode;
+    throw error;
+  }
+  return result;
+};
+
+const ENTITIES = {
+  location: {
+    idField: "location_id",
+    list: "listLocations",
+    add: "addLocation",
+    update: "updateLocation",
+    remove: "deleteLocation",
+    fields: ["name", "description", "parent_location_id"],
+  },
+  category: {
+    idField: "category_id",
+    list: "listCategories",
+    add: "addCategory",
+    update: "updateCategory",
+    remove: "deleteCategory",
+    fields: ["name", "description", "parent_category_id"],
+  },
+  owner: {
+    idField: "owner_id",
+    list: "listOwners",
+    add: "addOwner",
+    update: "updateOwner",
+    remove: "deleteOwner",
+    fields: ["name", "description"],
+  },
+};
+
+const ITEM_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "status",
+  "location_id",
+  "category_id",
+  "owner_id",
+  "tag_ids",
+  "field_values",
+];
+
+// Every item, those in the trash included
+const listAllItems = async (api) => [
+  ...(await api.listItems({})).items,
+  ...(await api.listTrash({})).items,
+];
+
+const findEntity = async (api, type, id) => {
+  const { idField, list } = ENTITIES[type];
+  const rows = await api[list]();
+  const row = rows.find((r) => r[idField] === id);
+  if (!row) throw new Error(`The ${type} ${id} was not found.`);
+  return row;
+};
+
+// Adds an entity again under its old UUID, e.g. when undoing its deletion, so that sync,
+// history and the outbox see the same entity; its old ID is pointed at the new one
+const recreateEntity = async (api, aliases, type, oldId, data) => {
+  const { add } = ENTITIES[type];
+  const result = ensureSuccess(
+    await api[add](resolveReferences(aliases, data)),
+  );
+  aliases.set(type, aliases.resolve(type, oldId), result.newId);
+  return result;
+};
+
+const addEntityCommand = (type) => async (api, aliases, inputData) => {
+  const { idField, add, remove } = ENTITIES[type];
+  let addedId = null;
+  let addedUuid = null;
+  return {
+    run: async () => {
+      const result = await api[add](inputData);
+      if (result?.success) {
+        addedId = result.newId;
+        addedUuid = result.uuid;
+      }
+      return result;
+    },
+    undo: async () =>
+      ensureSuccess(
+        await api[remove]({ [idField]: aliases.resolve(type, addedId) }),
+      ),
+    redo: () =>
+      recreateEntity(api, aliases, type, addedId, {
+        ...inputData,
+        uuid: addedUuid,
+      }),
+  };
+};
+
+const updateEntityCommand = (type) => async (api, aliases, inputData) => {
+  const { idField, update, fields } = ENTITIES[type];
+  const id = inputData[idField];
+  const before = await findEntity(api, type, id);
+  return {
+    run: () => api[update](inputData),
+    undo: async () =>
+      ensureSuccess(
+        await api[update](
+          resolveReferences(aliases, {
+            [idField]: id,
+            ...pick(before, fields),
+          }),
+        ),
+      ),
+    redo: async () =>
+      ensureSuccess(await api[update](resolveReferences(aliases, inputData))),
+  };
+};
+
+const deleteEntityCommand = (type) => async (api, aliases, inputData) => {
+  const { idField, remove, fields } = ENTITIES[type];
+  const id = inputData[idField];
+  const before = await findEntity(api, type, id);
+  // A category's custom fields are deleted with it, and so are the values items hold for them
+  const customFields =
+    type === "category" && typeof api.listCustomFields === "function"
+      ? (await api.listCustomFields()).filter(
+          (field) => field.category_id === id,
+        )
+      : [];
+  const fieldIds = new Set(customFields.map((field) => String(field.field_id)));
+  const itemFieldValues =
+    fieldIds.size > 0
+      ? (await listAllItems(api))
+          .map((item) => ({
+            item_id: item.item_id,
+            values: Object.entries(item.field_values || {}).filter(
+              ([fieldId]) => fieldIds.has(String(fieldId)),
+            ),
+          }))
+          .filter(({ values }) => values.length > 0)
+      : [];
+  return {
+    run: () => api[remove](inputData),
+    undo: async () => {
+      const result = await recreateEntity(api, aliases, type, id, {
+        ...pick(before, fields),
+        uuid: before.uuid,
+      });
+      const newFieldIds = new Map();
+      for (const field of customFields) {
+        const added = ensureSuccess(
+          await api.addCustomField({
+            uuid: field.uuid,
+            category_id: result.newId,
+            name: field.name,
+            field_type: field.field_type,
+            options: field.options,
+            position: field.position,
+          }),
+        );
+        newFieldIds.set(String(field.field_id), added.newId);
+      }
+      if (itemFieldValues.length > 0) {
+        const itemsById = new Map(
+          (await listAllItems(api)).map((item) => [item.item_id, item]),
+        );
+        for (const { item_id: itemId, values } of itemFieldValues) {
+          const item = itemsById.get(aliases.resolve("item", itemId));
+          if (!item) continue; // Purged from the trash since
+          ensureSuccess(
+            await api.updateItem({
+              item_id: item.item_id,
+              ...pick(item, ITEM_FIELDS),
+              field_values: {
+                ...item.field_values,
+                ...Object.fromEntries(
+                  values.map(([fieldId, value]) => [
+                    newFieldIds.get(String(fieldId)),
+                    value,
+                  ]),
+                ),
+              },
+            }),
+          );
+        }
+      }
+      return result;
+    },
+    redo: async () =>
+      ensureSuccess(
+        await api[remove]({ [idField]: aliases.resolve(type, id) }),
+      ),
+  };
+};
+
+// Reads an image of an item and its thumbnail, so they can be uploaded again after the image was removed
+const captureItemImage = async (api, itemId, imageUuid) => {
+  // getImage falls back to the full image when there is no thumbnail, so ask first
+  const hasThumbnail =
+    typeof api.listImagesMissingVariant === "function" &&
+    !(await api.listImagesMissingVariant({ variant: "thumb" })).includes(
+      imageUuid,
+    );
+  return {
+    image_uuid: imageUuid,
+    file: await api.getImage({ image_uuid: imageUuid }),
+    thumbnailFile: hasThumbnail
+      ? await api.getImage({ image_uuid: imageUuid, variant: "thumb" })
+      : null,
+    rows: await api.listItemImages({ item_id: itemId }),
+  };
+};
+
+// Uploads a removed image again under its old UUID and puts it back in its old place
+const restoreItemImage = async (api, itemId, captured) => {
+  if (!(captured.file instanceof File)) {
+    throw new Error("The removed image could not be read back.");
+  }
+  const wasPrimary = captured.rows.some(
+    (row) => row.image_uuid === captured.image_uuid && row.is_primary,
+  );
+  ensureSuccess(
+    await api.addItemImage({
+      item_id: itemId,
+      imageFile: captured.file,
+      thumbnailFile:
+        captured.thumbnailFile instanceof File ? captured.thumbnailFile : null,
+      image_uuid: captured.image_uuid,
+      is_primary: wasPrimary,
+    }),
+  );
+  if (captured.rows.length > 1) {
+    ensureSuccess(
+      await api.reorderItemImages({
+        item_id: itemId,
+        image_uuids: captured.rows.map((row) => row.image_uuid),
+      }),
+    );
+  }
+};
+
+const addItemCommand = async (api, aliases, inputData) => {
+  let addedId = null;
+  // The item goes to the trash on undo and comes back from it on redo, keeping its ID
+  return {
+    run: async () => {
+      const result = await api.addItem(inputData);
+      if (result?.success) addedId = result.newId;
+      return result;
+    },
+    undo: async () =>
+      ensureSuccess(
+        await api.deleteItem({ item_id: aliases.resolve("item", addedId) }),
+      ),
+    redo: async () =>
+      ensureSuccess(
+        await api.restoreItem({ item_id: aliases.resolve("item", addedId) }),
+      ),
+  };
+};
+
+// context.item is the item as listed before the update
+const updateItemCommand = async (api, aliases, inputData, context) => {
+  const before = context?.item;
+  if (!before) throw new Error("The item being updated is required for undo.");
+  const itemId = inputData.item_id;
+  const replacesImage = inputData.imageFile instanceof File;
+  const removesImage = !!inputData.removeImage && !!before.image_uuid;
+  const captured =
+    (replacesImage || removesImage) && before.image_uuid
+      ? await captureItemImage(api, itemId, before.image_uuid)
+      : null;
+
+  return {
+    run: () => api.updateItem(inputData),
+    undo: async () => {
+      const fields = resolveReferences(aliases, {
+        item_id: itemId,
+        ...pick(before, ITEM_FIELDS),
+      });
+      const result = ensureSuccess(await api.updateItem(fields));
+      if (replacesImage) {
+        // The uploaded image goes, under whatever UUID it got
+        const keptUuids = new Set(
+          (captured?.rows || []).map((row) => row.image_uuid),
+        );
+        const currentRows = await api.listItemImages({ item_id: itemId });
+        for (const row of currentRows) {
+          if (keptUuids.has(row.image_uuid)) continue;
+          ensureSuccess(
+            await api.removeItemImage({
+              item_id: itemId,
+              image_uuid: row.image_uuid,
+            }),
+          );
+        }
+      }
+      // The replaced or removed image comes back under its own UUID, with its thumbnail
+      if (captured) await restoreItemImage(api, itemId, captured);
+      return result;
+    },
+    redo: async () =>
+      ensureSuccess(
+        await api.updateItem(resolveReferences(aliases, inputData)),
+      ),
+  };
+};
+
+const deleteItemCommand = async (api, aliases, inputData) => {
+  const itemId = inputData.item_id;
+  // Deleting moves the item to the trash, so undo only has to take it back out
+  return {
+    run: () => api.deleteItem(inputData),
+    undo: async () => ensureSuccess(await api.restoreItem({ item_id: itemId })),
+    redo: async () => ensureSuccess(await api.deleteItem({ item_id: itemId })),
+  };
+};
+
+// context.items are the items as listed before the change; undo puts each back in its own status
+const setItemStatusCommand = async (api, aliases, inputData, context) => {
+  const before = context?.items;
+  if (!before)
+    throw new Error("The items being changed are required for undo.");
+  const itemIdsByStatus = new Map();
+  before.forEach((item) => {
+    const status = item.status ?? null;
+    itemIdsByStatus.set(status, [
+      ...(itemIdsByStatus.get(status) || []),
+      item.item_id,
+    ]);
+  });
+  return {
+    run: () => api.setItemStatus(inputData),
+    undo: async () => {
+      let result = { success: true };
+      for (const [status, itemIds] of itemIdsByStatus) {
+        result = ensureSuccess(
+          await api.setItemStatus({
+            item_ids: itemIds.map((id) => aliases.resolve("item", id)),
+            status,
+          }),
+        );
+      }
+      return result;
+    },
+    redo: async () =>
+      ensureSuccess(
+        await api.setItemStatus({
+          ...inputData,
+          item_ids: inputData.item_ids.map((id) => aliases.resolve("item", id)),
+        }),
+      ),
+  };
+};
+
+const removeItemImageCommand = async (api, aliases, inputData) => {
+  const { item_id: itemId, image_uuid: imageUuid } = inputData;
+  const captured = await captureItemImage(api, itemId, imageUuid);
+  return {
+    run: () => api.removeItemImage(inputData),
+    undo: async () => {
+      await restoreItemImage(api, itemId, captured);
+      return { success: true };
+    },
+    redo: async () => ensureSuccess(await api.removeItemImage(inputData)),
+  };
+};
+
+/**
+ * Command builders by the name of the ApiContext method they wrap.
+ * Each is called as `build(api, aliases, inputData, context)` and resolves to
+ * `{ run, undo, redo }`; `run` returns the provider result, `undo` and `redo` throw on failure.
+ */
+export const COMMAND_BUILDERS = {
+  addItem: addItemCommand,
+  updateItem: updateItemCommand,
+  deleteItem: deleteItemCommand,
+  setItemStatus: setItemStatusCommand,
+  removeItemImage: removeItemImageCommand,
+  addLocation: addEntityCommand("location"),
+  updateLocation: updateEntityCommand("location"),
+  deleteLocation: deleteEntityCommand("location"),
+  addCategory: addEntityCommand("category"),
+  updateCategory: updateEntityCommand("category"),
+  deleteCategory: deleteEntityCommand("category"),
+  addOwner: addEntityCommand("owner"),
+  updateOwner: updateEntityCommand("owner"),
+  deleteOwner: deleteEntityCommand("owner"),
+};
@@ -0,0 +1,155 @@
+import { COMMAND_BUILDERS, createIdAliases } from './undoCommands'
+
+// Keeps locations in memory, handing out a new ID on every add like the providers do
+const createLocationApi = () => {
+  let nextId = 1
+  const rows = []
+  return {
+    rows,
+    listLocations: async () => rows.map(row => ({ ...row })),
+    addLocation: async (data) => {
+      const uuid = data.uuid || `loc-${nextId}`
+      rows.push({ location_id: nextId, ...data, uuid })
+      return { success: true, newId: nextId++, uuid }
+    },
+    updateLocation: async (data) => {
+      const row = rows.find(r => r.location_id === data.location_id)
+      if (!row) return { success: false, errorCode: 'NOT_FOUND' }
+      Object.assign(row, data)
+      return { success: true }
+    },
+    deleteLocation: async ({ location_id }) => {
+      const index = rows.findIndex(r => r.location_id === location_id)
+      if (index < 0) return { success: false, errorCode: 'NOT_FOUND' }
+      rows.splice(index, 1)
+      return { success: true }
+    },
+  }
+}
+
+describe('undo ID aliases', () => {
+  it('follows chained aliases per entity type', () => {
+    const aliases = createIdAliases()
+    aliases.set('location', 1, 5)
+    aliases.set('location', 5, 9)
+    expect(aliases.resolve('location', 1)).toBe(9)
+    expect(aliases.resolve('category', 1)).toBe(1)
+  })
+})
+
+describe('undo commands', () => {
+  it('re-creates a deleted location and keeps older commands pointing at it', async () => {
+    const api = createLocationApi()
+    const aliases = createIdAliases()
+    await api.addLocation({ name: 'Closet', description: null, parent_location_id: null })
+
+    const update = await COMMAND_BUILDERS.updateLocation(api, aliases, { location_id: 1, name: 'Wardrobe' })
+    await update.run()
+    const remove = await COMMAND_BUILDERS.deleteLocation(api, aliases, { location_id: 1 })
+    await remove.run()
+
+    await remove.undo()
+    expect(api.rows).toEqual([{ location_id: 2, uuid: 'loc-1', name: 'Wardrobe', description: null, parent_location_id: null }])
+
+    await update.undo()
+    expect(api.rows[0].name).toBe('Closet')
+  })
+
+  it('throws when the inverse cannot be applied', async () => {
+    const api = createLocationApi()
+    const add = await COMMAND_BUILDERS.addLocation(api, createIdAliases(), { name: 'Shelf' })
+    await add.run()
+    await api.deleteLocation({ location_id: 1 })
+    await expect(add.undo()).rejects.toThrow('NOT_FOUND')
+  })
+
+  it('puts every item back in its own status when a bulk status change is undone', async () => {
+    const items = [{ item_id: 1, status: 'laundry' }, { item_id: 2, status: 'worn' }, { item_id: 3, status: 'laundry' }]
+    const api = {
+      setItemStatus: async ({ item_ids, status }) => {
+        items.filter(item => item_ids.includes(item.item_id)).forEach(item => { item.status = status })
+        return { success: true, updatedCount: item_ids.length }
+      },
+    }
+    const change = await COMMAND_BUILDERS.setItemStatus(api, createIdAliases(), { item_ids: [1, 2, 3], status: 'clean' }, { items: items.map(item => ({ ...item })) })
+
+    await change.run()
+    expect(items.map(item => item.status)).toEqual(['clean', 'clean', 'clean'])
+    await change.undo()
+    expect(items.map(item => item.status)).toEqual(['laundry', 'worn', 'laundry'])
+    await change.redo()
+    expect(items.map(item => item.status)).toEqual(['clean', 'clean', 'clean'])
+  })
+
+  it('brings back a deleted category with its custom fields and the values items held for them', async () => {
+    let nextId = 10
+    const categories = [{ category_id: 1, uuid: 'cat-a', name: 'Shirts', description: null, parent_category_id: null }]
+    let fields = [{ field_id: 2, uuid: 'field-a', category_id: 1, name: 'Fabric', field_type: 'text', options: null, position: 0 }]
+    const items = [{ item_id: 3, name: 'Scarf', category_id: 4, location_id: 5, owner_id: 6, field_values: { 2: 'wool', 7: 'red' }, deleted_at: '2026-01-01T00:00:00.000Z' }]
+    const api = {
+      listCategories: async () => categories,
+      addCategory: async (data) => {
+        categories.push({ ...data, category_id: nextId })
+        return { success: true, newId: nextId++, uuid: data.uuid }
+      },
+      deleteCategory: async ({ category_id }) => {
+        categories.splice(categories.findIndex(row => row.category_id === category_id), 1)
+        fields = fields.filter(field => field.category_id !== category_id)
+        items.forEach(item => delete item.field_values[2])
+        return { success: true }
+      },
+      listCustomFields: async () => fields,
+      addCustomField: async (data) => {
+        fields.push({ ...data, field_id: nextId })
+        return { success: true, newId: nextId++ }
+      },
+      listItems: async () => ({ items: [] }),
+      listTrash: async () => ({ items: items.map(item => ({ ...item, field_values: { ...item.field_values } })) }),
+      updateItem: async ({ item_id, ...data }) => {
+        Object.assign(items.find(item => item.item_id === item_id), data)
+        return { success: true }
+      },
+    }
+
+    const remove = await COMMAND_BUILDERS.deleteCategory(api, createIdAliases(), { category_id: 1 })
+    await remove.run()
+    await remove.undo()
+
+    expect(categories).toEqual([expect.objectContaining({ category_id: 10, uuid: 'cat-a', name: 'Shirts' })])
+    expect(fields).toEqual([expect.objectContaining({ field_id: 11, uuid: 'field-a', category_id: 10, name: 'Fabric' })])
+    expect(items[0]).toMatchObject({ name: 'Scarf', category_id: 4, field_values: { 7: 'red', 11: 'wool' } })
+  })
+
+  it('puts a replaced image back under its own UUID, with its thumbnail', async () => {
+    const photo = new File(['front'], 'front.jpg', { type: 'image/jpeg' })
+    const thumbnail = new File(['thumb'], 'thumb_front.jpg', { type: 'image/jpeg' })
+    let rows = [{ item_id: 1, image_uuid: 'img-a', position: 0, is_primary: true }]
+    const added = []
+    const api = {
+      listImagesMissingVariant: async () => [],
+      getImage: async ({ variant }) => (variant === 'thumb' ? thumbnail : photo),
+      listItemImages: async () => rows.map(row => ({ ...row })),
+      updateItem: async ({ imageFile }) => {
+        if (imageFile) rows = [{ item_id: 1, image_uuid: 'img-new', position: 0, is_primary: true }]
+        return { success: true }
+      },
+      removeItemImage: async ({ image_uuid }) => {
+        rows = rows.filter(row => row.image_uuid !== image_uuid)
+        return { success: true }
+      },
+      addItemImage: async (data) => {
+        added.push(data)
+        rows.push({ item_id: 1, image_uuid: data.image_uuid, position: rows.length, is_primary: data.is_primary })
+        return { success: true, image_uuid: data.image_uuid }
+      },
+    }
+    const item = { item_id: 1, name: 'Shirt', image_uuid: 'img-a' }
+
+    const update = await COMMAND_BUILDERS.updateItem(api, createIdAliases(), { item_id: 1, name: 'Shirt', imageFile: new File(['back'], 'back.jpg') }, { item })
+    await update.run()
+    await update.undo()
+
+    expect(rows).toEqual([{ item_id: 1, image_uuid: 'img-a', position: 0, is_primary: true }])
+    expect(added).toEqual([expect.objectContaining({ image_uuid: 'img-a', imageFile: photo, thumbnailFile: thumbnail, is_primary: true })])
+  })
+})
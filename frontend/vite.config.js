@@ -1,4 +1,4 @@
-import { defineConfig, loadEnv } from 'vite';
+import { defineConfig, loadEnv, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
@@ -13,6 +13,10 @@ export default defineConfig(({ mode }) => {
     base: env.VITE_BASE_URL || '/', // Use VITE_BASE_URL if set, otherwise default to '/'
     server: {
       port: 3000,
+      fs: {
+        // The schema migrations are read from the SQL files of the backend
+        allow: [searchForWorkspaceRoot(process.cwd()), '../backend/migrations'],
+      },
     },
     test: {
       globals: true,